@@ -35,4 +35,12 @@ export default [
       ],
     },
   },
+  {
+    files: ['src/serviceWorker.js'],
+    languageOptions: { globals: globals.serviceworker },
+  },
+  {
+    files: ['scripts/**/*.js'],
+    languageOptions: { globals: globals.node },
+  },
 ]
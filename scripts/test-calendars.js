@@ -0,0 +1,53 @@
+/**
+ * Calendar parser regression checks for CI
+ * Parses every fixture workbook in src/services/calendarParsing/fixtures and
+ * compares it with its expected snapshot, the same checks as the Dashboard's
+ * Calendar Parser Checks page. Exits with status 1 when any fixture differs.
+ *
+ *   npm run test:calendars
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+
+// Reads a fixture workbook from disk in the shape the parser expects of a File
+const loadFixtureFromDisk = async (fixture) => {
+  const data = await readFile(fileURLToPath(fixture.url));
+  const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  return { name: fixture.file, size: buffer.byteLength, arrayBuffer: async () => buffer };
+};
+
+const formatValue = (value) => (value === undefined ? '(missing)' : JSON.stringify(value));
+
+// The app's modules rely on Vite (JSON imports, import.meta.env), so load them through it
+const server = await createServer({
+  appType: 'custom',
+  logLevel: 'error',
+  server: { middlewareMode: true, hmr: false },
+});
+
+let failed = 0;
+try {
+  const { runCalendarFixtures } = await server.ssrLoadModule('/src/services/calendarParsing/goldenSnapshots.js');
+  const { default: fixtures } = await server.ssrLoadModule('/src/services/calendarParsing/fixtures/index.js');
+  const results = await runCalendarFixtures(fixtures, loadFixtureFromDisk);
+
+  results.forEach((result) => {
+    console.log(`${result.passed ? 'PASS' : 'FAIL'}  ${result.id}  ${result.description}`);
+    if (result.error) console.log(`      ${result.error}`);
+    result.diffs.forEach(({ path, expected, actual }) => {
+      console.log(`      ${path}: expected ${formatValue(expected)}, got ${formatValue(actual)}`);
+    });
+  });
+
+  failed = results.filter(result => !result.passed).length;
+  console.log(`\n${results.length - failed} of ${results.length} calendar fixtures passing`);
+} catch (error) {
+  console.error('Could not run the calendar fixtures:', error);
+  failed = 1;
+} finally {
+  await server.close();
+}
+
+process.exitCode = failed > 0 ? 1 : 0;
@@ -14,6 +14,8 @@ import CropAdvisory from './pages/CropAdvisory';
 import PoultryAdvisory from './pages/PoultryAdvisory';
 import AgroMetAdvisory from './pages/AgroMetAdvisory';
 import FloodDrought from './pages/FloodDrought';
+import WeatherAlerts from './pages/WeatherAlerts';
+import UssdSimulator from './pages/UssdSimulator';
 import NewsUpdates from './pages/NewsUpdates';
 import AgroBulletins from './pages/AgroBulletins';
 import OurServices from './pages/OurServices';
@@ -35,6 +37,8 @@ import CropDiagnosticTool from './components/CropDiagnosticTool';
 import NotFound from './components/NotFound';
 import ErrorBoundary from './components/ErrorBoundary';
 import ScrollToTop from './components/ScrollToTop';
+import ProtectedRoute from './components/ProtectedRoute';
+import { PERMISSIONS } from './utils/accessControl';
 
 function App() {
   return (
@@ -57,7 +61,10 @@ function App() {
               <Route path="/seasonal-forecast" element={<SeasonalForecast />} />
               <Route path="/subseasonal-forecast" element={<SubseasonalForecast />} />
               <Route path="/flood-drought" element={<FloodDrought />} />
+              <Route path="/weather-alerts" element={<WeatherAlerts />} />
+              <Route path="/ussd-simulator" element={<UssdSimulator />} />
               <Route path="/agro-bulletins" element={<AgroBulletins />} />
+              <Route path="/agro-bulletins/:regionCode/:year/:dekad" element={<AgroBulletins />} />
 
               {/* Agriculture routes */}
               <Route path="/crop-advisory" element={<CropAdvisory />} />
@@ -90,12 +97,26 @@ function App() {
               {/* Admin routes */}
               <Route path="/admin-login" element={<AdminLogin />} />
               <Route path="/admin-signup" element={<AdminSignUp />} />
-              <Route path="/dashboard" element={<DashboardPage />} />
+              <Route
+                path="/dashboard"
+                element={
+                  <ProtectedRoute permission={PERMISSIONS.VIEW_CONTENT}>
+                    <DashboardPage />
+                  </ProtectedRoute>
+                }
+              />
 
               {/* Calendar preview routes */}
               <Route path="/calendar-preview" element={<CalendarPreviewPage />} />
               <Route path="/poultry-calendar-preview" element={<PoultryCalendarPreviewPage />} />
-              <Route path="/create-poultry-calendar" element={<CreatePoultryCalendarPage />} />
+              <Route
+                path="/create-poultry-calendar"
+                element={
+                  <ProtectedRoute permission={PERMISSIONS.UPLOAD_CONTENT}>
+                    <CreatePoultryCalendarPage />
+                  </ProtectedRoute>
+                }
+              />
               <Route path="/combine-view" element={<CombineView />} />
 
               {/* 404 catch-all */}
@@ -0,0 +1,162 @@
+import { useState, useEffect, useCallback } from 'react';
+import { FaTimes, FaPlus, FaSearch, FaFileAlt, FaFilePdf, FaTrash } from 'react-icons/fa';
+import PropTypes from 'prop-types';
+import chatHistoryService from '../../services/chatHistoryService';
+
+const SEARCH_DELAY = 250;
+
+const formatUpdated = (iso) => {
+  const date = new Date(iso);
+  return date.toDateString() === new Date().toDateString()
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString();
+};
+
+/**
+ * Past AgriBot conversations: pick one to carry on, search them, export or
+ * delete them
+ */
+const ChatHistoryPanel = ({ isOpen, currentSessionId, onSelect, onNewChat, onClose }) => {
+  const [sessions, setSessions] = useState([]);
+  const [warning, setWarning] = useState(null);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+
+  const loadSessions = useCallback(async () => {
+    const result = await chatHistoryService.getSessions();
+    setSessions(result.data);
+    setWarning(result.warning || result.error || null);
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    loadSessions();
+    return chatHistoryService.onChange(loadSessions);
+  }, [isOpen, loadSessions]);
+
+  useEffect(() => {
+    if (!query.trim()) {
+      setResults(null);
+      return undefined;
+    }
+    const timer = setTimeout(async () => {
+      setResults(await chatHistoryService.search(query));
+    }, SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [query, sessions]);
+
+  const handleDelete = async (session) => {
+    if (!window.confirm(`Delete "${session.title}"?`)) return;
+    const result = await chatHistoryService.deleteSession(session.id);
+    if (result.warning) setWarning(result.warning);
+    if (session.id === currentSessionId) onNewChat();
+  };
+
+  if (!isOpen) return null;
+
+  const entries = results || sessions.map(session => ({ session, matches: [] }));
+
+  return (
+    <div className="absolute inset-0 z-30 flex flex-col bg-white rounded-lg">
+      <div className="flex items-center justify-between p-3 sm:p-4 border-b border-gray-200 bg-green-500 text-white rounded-t-lg">
+        <h3 className="font-semibold text-base sm:text-lg">Chat history</h3>
+        <button
+          onClick={onClose}
+          className="p-1.5 sm:p-2 hover:bg-white hover:bg-opacity-20 rounded transition-colors"
+          title="Back to chat"
+        >
+          <FaTimes className="text-xs sm:text-sm" />
+        </button>
+      </div>
+
+      <div className="p-3 space-y-2 border-b border-gray-100">
+        <button
+          onClick={onNewChat}
+          className="w-full flex items-center justify-center px-3 py-2 text-sm font-medium text-white bg-green-600 rounded-lg hover:bg-green-700 transition-colors"
+        >
+          <FaPlus className="mr-2" />
+          New chat
+        </button>
+        <div className="relative">
+          <FaSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 text-sm" />
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search past conversations"
+            className="w-full pl-9 pr-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+          />
+        </div>
+        {warning && <p className="text-xs text-yellow-700">{warning}</p>}
+      </div>
+
+      <div className="flex-1 overflow-y-auto">
+        {entries.length === 0 ? (
+          <p className="p-4 text-sm text-center text-gray-500">
+            {results ? `No conversations mention "${query.trim()}".` : 'No saved conversations yet.'}
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {entries.map(({ session, matches }) => (
+              <li
+                key={session.id}
+                className={`group px-3 py-2.5 hover:bg-gray-50 ${session.id === currentSessionId ? 'bg-green-50' : ''}`}
+              >
+                <div className="flex items-start justify-between gap-2">
+                  <button onClick={() => onSelect(session)} className="flex-1 min-w-0 text-left">
+                    <p className="text-sm font-medium text-gray-800 truncate">{session.title}</p>
+                    <p className="text-xs text-gray-500">
+                      {formatUpdated(session.updatedAt)} · {session.messages.filter(message => message.isUser).length} questions
+                    </p>
+                  </button>
+                  <div className="flex items-center space-x-1 text-gray-400">
+                    <button
+                      onClick={() => chatHistoryService.exportToText(session)}
+                      className="p-1 hover:text-gray-700"
+                      title="Export as text"
+                    >
+                      <FaFileAlt className="text-xs" />
+                    </button>
+                    <button
+                      onClick={() => chatHistoryService.exportToPDF(session)}
+                      className="p-1 hover:text-gray-700"
+                      title="Export as PDF"
+                    >
+                      <FaFilePdf className="text-xs" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(session)}
+                      className="p-1 hover:text-red-600"
+                      title="Delete conversation"
+                    >
+                      <FaTrash className="text-xs" />
+                    </button>
+                  </div>
+                </div>
+                {matches.map(match => (
+                  <button
+                    key={match.messageId}
+                    onClick={() => onSelect(session)}
+                    className="block w-full mt-1 text-left text-xs text-gray-600 line-clamp-2"
+                  >
+                    <span className="font-medium">{match.isUser ? 'You' : 'AgriBot'}:</span> {match.snippet}
+                  </button>
+                ))}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+ChatHistoryPanel.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  currentSessionId: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+  onNewChat: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default ChatHistoryPanel;
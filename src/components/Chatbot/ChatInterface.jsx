@@ -6,14 +6,23 @@ import {
   FaDownload,
   FaUser,
   FaGlobe,
+  FaHistory,
+  FaStop,
+  FaVolumeUp,
+  FaVolumeMute,
 } from "react-icons/fa";
 import PropTypes from "prop-types";
 import MessageBubble from "./MessageBubble";
 import ChatInput from "./ChatInput";
 import FarmProfileModal from "./FarmProfileModal";
+import ChatHistoryPanel from "./ChatHistoryPanel";
 import chatbotService from "../../services/chatbotService";
+import chatHistoryService from "../../services/chatHistoryService";
+import chatRetrievalService from "../../services/chatRetrievalService";
 import personalizedFarmingService from "../../services/personalizedFarmingService";
 import translationService from "../../services/translationService";
+import voiceLanguageService from "../../services/voiceLanguageService";
+import { useChatbot } from "../../contexts/ChatbotContext";
 import { getSupportedLanguages, getTranslation } from "../../data/ghanaianLanguages";
 
 const ChatInterface = ({ isOpen, onClose, onMinimize, userContext = {} }) => {
@@ -23,6 +32,14 @@ const ChatInterface = ({ isOpen, onClose, onMinimize, userContext = {} }) => {
   const [conversationHistory, setConversationHistory] = useState([]);
   const [farmProfile, setFarmProfile] = useState(null);
   const [showProfileModal, setShowProfileModal] = useState(false);
+  // Set while an answer is streaming, to stop it
+  const [abortController, setAbortController] = useState(null);
+  const { chatPreferences, updatePreferences } = useChatbot();
+
+  // Saved conversations (chatHistoryService)
+  const [session, setSession] = useState(() => chatHistoryService.createSession());
+  const [showHistory, setShowHistory] = useState(false);
+  const [showExportMenu, setShowExportMenu] = useState(false);
   
   // Ghana NLP Integration
   const [currentLanguage, setCurrentLanguage] = useState("en");
@@ -32,6 +49,7 @@ const ChatInterface = ({ isOpen, onClose, onMinimize, userContext = {} }) => {
   
   const messagesEndRef = useRef(null);
   const chatContainerRef = useRef(null);
+  const speakerRef = useRef(null);
 
   // Get display text with translation support
   const getDisplayText = useCallback((key, defaultText) => {
@@ -61,6 +79,30 @@ const ChatInterface = ({ isOpen, onClose, onMinimize, userContext = {} }) => {
     }
   }, [messages.length, getDisplayText]);
 
+  // Carry on with the most recent conversation after a reload
+  useEffect(() => {
+    chatHistoryService.getSessions().then((result) => {
+      const latest = result.data[0];
+      if (latest) {
+        setSession(latest);
+        setMessages(latest.messages);
+        setConversationHistory(latest.history || []);
+      }
+    });
+  }, []);
+
+  // Save the conversation once it has a question and the answer is in
+  useEffect(() => {
+    if (isLoading || !messages.some((message) => message.isUser)) return;
+    if (messages === session.messages && conversationHistory === session.history) return;
+
+    chatHistoryService
+      .saveSession({ ...session, messages, history: conversationHistory })
+      .then((result) => {
+        if (result.success) setSession(result.data);
+      });
+  }, [messages, conversationHistory, isLoading, session]);
+
   // Auto-scroll to bottom when new messages arrive
   useEffect(() => {
     scrollToBottom();
@@ -70,6 +112,8 @@ const ChatInterface = ({ isOpen, onClose, onMinimize, userContext = {} }) => {
   useEffect(() => {
     const translateExistingMessages = async () => {
       if (currentLanguage === "en" || messages.length === 0) return;
+      // Translate answers once they are complete, not after every streamed piece
+      if (messages.some((message) => message.isStreaming)) return;
 
       try {
         const translations = new Map();
@@ -106,6 +150,28 @@ const ChatInterface = ({ isOpen, onClose, onMinimize, userContext = {} }) => {
   };
 
 
+  // Reads answers aloud sentence by sentence; in other languages each
+  // English sentence is translated and voiced before the next one
+  const startSpeaker = () => {
+    speakerRef.current?.stop();
+    speakerRef.current = currentLanguage === "en"
+      ? voiceLanguageService.createSentenceSpeaker("en")
+      : voiceLanguageService.createSentenceSpeaker(currentLanguage, async (sentence) =>
+        translationService.textToSpeech(
+          await translationService.translate(sentence, currentLanguage, "en"),
+          currentLanguage
+        )
+      );
+    return speakerRef.current;
+  };
+
+  const toggleSpeakAnswers = () => {
+    if (chatPreferences.speakAnswers) {
+      speakerRef.current?.stop();
+    }
+    updatePreferences({ speakAnswers: !chatPreferences.speakAnswers });
+  };
+
   const handleSendMessage = async (messageText, imageData = null) => {
     if ((!messageText.trim() && !imageData) || isLoading) return;
 
@@ -122,8 +188,19 @@ const ChatInterface = ({ isOpen, onClose, onMinimize, userContext = {} }) => {
     setError(null);
 
     try {
-      // Check for FAQ response first
-      const faqResponse = await chatbotService.getFAQResponse(messageText);
+      const enhancedUserContext = {
+        ...userContext,
+        farmProfile: farmProfile,
+        hasProfile: !!farmProfile,
+      };
+
+      // Published calendars, advisories and the pest/disease guide for this user
+      const sources = imageData
+        ? []
+        : await chatRetrievalService.retrieve(messageText, enhancedUserContext);
+
+      // Quick FAQ answers only when the platform has nothing more specific
+      const faqResponse = sources.length === 0 && await chatbotService.getFAQResponse(messageText);
       if (faqResponse) {
         const botMessage = {
           id: Date.now() + 1,
@@ -134,6 +211,7 @@ const ChatInterface = ({ isOpen, onClose, onMinimize, userContext = {} }) => {
           timestamp: Date.now(),
         };
         setMessages((prev) => [...prev, botMessage]);
+        if (chatPreferences.speakAnswers) startSpeaker().finish(faqResponse);
         setIsLoading(false);
         return;
       }
@@ -153,20 +231,35 @@ const ChatInterface = ({ isOpen, onClose, onMinimize, userContext = {} }) => {
         setConversationHistory(currentHistory);
       }
 
-      // Send to Claude via proxy with Phase 3 enhancements
-      const enhancedUserContext = {
-        ...userContext,
-        farmProfile: farmProfile,
-        hasProfile: !!farmProfile,
+      // Stream the answer into its bubble, speaking each finished sentence
+      // when answers are read aloud
+      const botId = Date.now() + 1;
+      const speaker = chatPreferences.speakAnswers ? startSpeaker() : null;
+      const controller = new AbortController();
+      setAbortController(controller);
+      const showPartialAnswer = (text) => {
+        speaker?.push(text);
+        setMessages((prev) => [
+          ...prev.filter((message) => message.id !== botId),
+          { id: botId, text, isUser: false, timestamp: Date.now(), isStreaming: true },
+        ]);
       };
 
+      // Send to Claude via proxy with Phase 3 enhancements
       const response = await chatbotService.sendEnhancedMessage(
         messageText,
         currentHistory,
         enhancedUserContext,
-        imageData?.file
+        imageData?.file,
+        sources,
+        { onText: showPartialAnswer, signal: controller.signal }
       );
 
+      if (response.cancelled) {
+        speaker?.stop();
+        return;
+      }
+
       if (response.success) {
         let botMessageText = response.message;
         
@@ -185,12 +278,18 @@ const ChatInterface = ({ isOpen, onClose, onMinimize, userContext = {} }) => {
         }
         
         const botMessage = {
-          id: Date.now() + 1,
+          id: botId,
           text: botMessageText,
           isUser: false,
           timestamp: Date.now(),
+          sources: response.sources || [],
+          cards: response.cards || [],
+          stopReason: response.stopReason || null,
         };
-        setMessages((prev) => [...prev, botMessage]);
+        setMessages((prev) => [...prev.filter((message) => message.id !== botId), botMessage]);
+
+        if (response.stopReason === "cancelled") speaker?.stop();
+        else speaker?.finish(response.message);
 
         // Update conversation history
         setConversationHistory((prev) => [
@@ -214,37 +313,50 @@ const ChatInterface = ({ isOpen, onClose, onMinimize, userContext = {} }) => {
         timestamp: Date.now(),
         isError: true,
       };
-      setMessages((prev) => [...prev, errorMessage]);
+      setMessages((prev) => [...prev.filter((message) => !message.isStreaming), errorMessage]);
     } finally {
+      setAbortController(null);
       setIsLoading(false);
     }
   };
 
-  const clearChat = () => {
+  const cancelResponse = () => {
+    abortController?.abort();
+  };
+
+  const openSession = (savedSession) => {
+    cancelResponse();
+    setSession(savedSession);
+    setMessages(savedSession.messages);
+    setConversationHistory(savedSession.history || []);
+    setError(null);
+    setShowHistory(false);
+  };
+
+  const startNewChat = () => {
+    cancelResponse();
+    setSession(chatHistoryService.createSession());
     setMessages([]);
     setConversationHistory([]);
     setError(null);
+    setShowHistory(false);
+  };
+
+  const clearChat = async () => {
+    if (messages.some((message) => message.isUser)) {
+      await chatHistoryService.deleteSession(session.id);
+    }
+    startNewChat();
   };
 
-  const downloadChat = () => {
-    const chatContent = messages
-      .map(
-        (msg) =>
-          `[${new Date(msg.timestamp).toLocaleString()}] ${
-            msg.isUser ? "You" : "AgriBot"
-          }: ${msg.text}`
-      )
-      .join("\n\n");
-
-    const blob = new Blob([chatContent], { type: "text/plain" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `agribot-chat-${new Date().toISOString().split("T")[0]}.txt`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  const downloadChat = async (format) => {
+    setShowExportMenu(false);
+    const current = { ...session, messages };
+    if (format === "pdf") {
+      await chatHistoryService.exportToPDF(current);
+    } else {
+      chatHistoryService.exportToText(current);
+    }
   };
 
   const handleProfileCreated = (newProfile) => {
@@ -318,16 +430,53 @@ const ChatInterface = ({ isOpen, onClose, onMinimize, userContext = {} }) => {
             <FaUser className="text-xs sm:text-sm md:text-base" />
           </button>
           <button
-            onClick={downloadChat}
+            onClick={toggleSpeakAnswers}
+            className="p-1.5 sm:p-2 md:p-3 hover:bg-white hover:bg-opacity-20 rounded transition-colors"
+            title={chatPreferences.speakAnswers ? "Stop reading answers aloud" : "Read answers aloud"}
+          >
+            {chatPreferences.speakAnswers ? (
+              <FaVolumeUp className="text-xs sm:text-sm md:text-base" />
+            ) : (
+              <FaVolumeMute className="text-xs sm:text-sm md:text-base" />
+            )}
+          </button>
+          <button
+            onClick={() => setShowHistory(true)}
             className="p-1.5 sm:p-2 md:p-3 hover:bg-white hover:bg-opacity-20 rounded transition-colors"
-            title="Download chat"
+            title="Chat history"
           >
-            <FaDownload className="text-xs sm:text-sm md:text-base" />
+            <FaHistory className="text-xs sm:text-sm md:text-base" />
           </button>
+          <div className="relative">
+            <button
+              onClick={() => setShowExportMenu(!showExportMenu)}
+              className="p-1.5 sm:p-2 md:p-3 hover:bg-white hover:bg-opacity-20 rounded transition-colors"
+              title="Download chat"
+            >
+              <FaDownload className="text-xs sm:text-sm md:text-base" />
+            </button>
+
+            {showExportMenu && (
+              <div className="absolute top-full right-0 mt-2 bg-white rounded-lg shadow-lg border border-gray-200 py-2 z-50 min-w-[120px]">
+                <button
+                  onClick={() => downloadChat("text")}
+                  className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 transition-colors"
+                >
+                  Text file
+                </button>
+                <button
+                  onClick={() => downloadChat("pdf")}
+                  className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 transition-colors"
+                >
+                  PDF
+                </button>
+              </div>
+            )}
+          </div>
           <button
             onClick={clearChat}
             className="p-1.5 sm:p-2 md:p-3 hover:bg-white hover:bg-opacity-20 rounded transition-colors"
-            title="Clear chat"
+            title="Delete this chat"
           >
             <FaTrash className="text-xs sm:text-sm md:text-base" />
           </button>
@@ -386,16 +535,32 @@ const ChatInterface = ({ isOpen, onClose, onMinimize, userContext = {} }) => {
             imageData={message.imageData}
             currentLanguage={currentLanguage}
             translatedText={!message.isUser ? translatedMessages.get(message.id) : null}
+            sources={message.sources}
+            cards={message.cards}
+            isStreaming={message.isStreaming}
+            stopReason={message.stopReason}
           />
         ))}
 
-        {isLoading && (
+        {isLoading && !messages.some((message) => message.isStreaming) && (
           <MessageBubble message="" isUser={false} isTyping={true} />
         )}
 
         <div ref={messagesEndRef} />
       </div>
 
+      {abortController && (
+        <div className="flex justify-center py-1 border-t border-gray-100">
+          <button
+            onClick={cancelResponse}
+            className="flex items-center px-3 py-1 text-xs sm:text-sm text-gray-600 hover:text-red-600 transition-colors"
+          >
+            <FaStop className="mr-1.5" />
+            Stop answering
+          </button>
+        </div>
+      )}
+
       {/* Input */}
       <ChatInput
         onSendMessage={handleSendMessage}
@@ -404,6 +569,15 @@ const ChatInterface = ({ isOpen, onClose, onMinimize, userContext = {} }) => {
         currentLanguage={currentLanguage}
       />
 
+      {/* Past conversations */}
+      <ChatHistoryPanel
+        isOpen={showHistory}
+        currentSessionId={session.id}
+        onSelect={openSession}
+        onNewChat={startNewChat}
+        onClose={() => setShowHistory(false)}
+      />
+
       {/* Farm Profile Modal */}
       <FarmProfileModal
         isOpen={showProfileModal}
@@ -420,6 +594,7 @@ ChatInterface.propTypes = {
   onMinimize: PropTypes.func.isRequired,
   userContext: PropTypes.shape({
     region: PropTypes.string,
+    district: PropTypes.string,
     weather: PropTypes.shape({
       condition: PropTypes.string,
       temperature: PropTypes.number,
@@ -1,8 +1,16 @@
 import { useState } from 'react';
 import { FaUser, FaRobot, FaCopy, FaCheck, FaVolumeUp, FaStop } from 'react-icons/fa';
 import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import ToolResultCard from './ToolResultCard';
 import translationService from '../../services/translationService';
 
+// Why a streamed answer ended early (chatbotService.streamMessage)
+const STOP_REASONS = {
+  cancelled: 'You stopped this answer.',
+  interrupted: 'The connection dropped, so this answer is incomplete.'
+};
+
 const MessageBubble = ({ 
   message, 
   isUser, 
@@ -10,7 +18,11 @@ const MessageBubble = ({
   isTyping = false, 
   imageData = null, 
   currentLanguage = "en",
-  translatedText = null 
+  translatedText = null,
+  sources = [],
+  cards = [],
+  isStreaming = false,
+  stopReason = null
 }) => {
   const [copied, setCopied] = useState(false);
   const [isSpeaking, setIsSpeaking] = useState(false);
@@ -135,11 +147,37 @@ const MessageBubble = ({
           <div
             className="text-xs sm:text-sm md:text-base leading-relaxed"
             dangerouslySetInnerHTML={{
-              __html: formatMessage(translatedText || message)
+              __html: formatMessage(translatedText || message) +
+                (isStreaming ? '<span class="inline-block w-1.5 h-4 ml-0.5 align-middle bg-gray-500 animate-pulse"></span>' : '')
             }}
           />
+
+          {stopReason && (
+            <p className="mt-1 text-xs italic text-gray-500">{STOP_REASONS[stopReason]}</p>
+          )}
           
-          {!isUser && (
+          {/* Forecasts, activities, prices and diagnoses the answer looked up */}
+          {!isUser && cards.map((card, index) => (
+            <ToolResultCard key={`${card.kind}-${index}`} card={card} />
+          ))}
+
+          {/* Platform calendars and advisories the answer drew on */}
+          {!isUser && sources.length > 0 && (
+            <div className="mt-2 pt-2 border-t border-gray-200 text-xs sm:text-sm">
+              <p className="font-medium text-gray-600 mb-1">Sources</p>
+              <ol className="space-y-0.5">
+                {sources.map((source) => (
+                  <li key={source.id}>
+                    <Link to={source.url} className="text-green-700 hover:underline">
+                      [{source.number}] {source.title}
+                    </Link>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+
+          {!isUser && !isStreaming && (
             <div className="flex items-center space-x-1 mt-1 sm:mt-2">
               <button
                 onClick={handleSpeak}
@@ -189,6 +227,15 @@ MessageBubble.propTypes = {
   }),
   currentLanguage: PropTypes.string,
   translatedText: PropTypes.string,
+  sources: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    number: PropTypes.number.isRequired,
+    title: PropTypes.string.isRequired,
+    url: PropTypes.string.isRequired
+  })),
+  cards: PropTypes.arrayOf(PropTypes.object),
+  isStreaming: PropTypes.bool,
+  stopReason: PropTypes.oneOf(['cancelled', 'interrupted']),
 };
 
 export default MessageBubble;
\ No newline at end of file
@@ -0,0 +1,172 @@
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { FaCloudSunRain, FaSeedling, FaTags, FaStethoscope } from 'react-icons/fa';
+
+const TREND_STYLES = {
+  rising: 'text-red-600',
+  stable: 'text-gray-600',
+  volatile: 'text-orange-600',
+  seasonal: 'text-blue-600',
+};
+
+const PROBLEM_TYPES = {
+  pest: 'Pest',
+  disease: 'Disease',
+  nutrient_deficiency: 'Nutrient deficiency',
+};
+
+const formatDay = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric' });
+
+const formatTemp = (value) => (value === null || value === undefined ? '–' : `${Math.round(value)}°`);
+
+const ForecastCard = ({ card }) => (
+  <div className="grid grid-cols-7 gap-1 text-center">
+    {card.days.map(day => (
+      <div key={day.date} className="rounded bg-white px-1 py-1.5" title={day.summary}>
+        <p className="text-[10px] font-medium text-gray-500">{formatDay(day.date)}</p>
+        <p className="text-xs font-semibold text-gray-800">{formatTemp(day.maxTemp)}</p>
+        <p className="text-[10px] text-gray-500">{formatTemp(day.minTemp)}</p>
+        <p className={`text-[10px] ${day.precipitation >= 1 ? 'text-blue-600 font-medium' : 'text-gray-400'}`}>
+          {day.precipitation >= 1 ? `${Math.round(day.precipitation)}mm` : 'dry'}
+        </p>
+      </div>
+    ))}
+  </div>
+);
+
+const ActivitiesCard = ({ card }) => (
+  <>
+    {card.week && <p className="text-xs text-gray-500 mb-1">Week {card.week} of the production cycle</p>}
+    {card.activities.length > 0 ? (
+      <ul className="space-y-1">
+        {card.activities.map(activity => (
+          <li key={`${activity.name}-${activity.timing}`} className="flex justify-between gap-2 text-xs">
+            <span className="font-medium text-gray-800">{activity.name}</span>
+            <span className="text-gray-500">{activity.timing}</span>
+          </li>
+        ))}
+      </ul>
+    ) : (
+      <p className="text-xs text-gray-500">No published activities for now.</p>
+    )}
+  </>
+);
+
+const PriceCard = ({ card }) => (
+  <div className="flex items-end justify-between">
+    <div>
+      <p className="text-lg font-bold text-gray-900">GH₵{card.price.toFixed(2)}</p>
+      <p className="text-xs text-gray-500">{card.unit}</p>
+    </div>
+    <div className="text-right text-xs">
+      <p className={`font-medium capitalize ${TREND_STYLES[card.trend] || 'text-gray-600'}`}>{card.trend}</p>
+      <p className="text-gray-500 capitalize">{card.demand.replace(/-/g, ' ')} demand</p>
+    </div>
+  </div>
+);
+
+const DiagnosisCard = ({ card }) => (
+  card.problems.length > 0 ? (
+    <ul className="space-y-1.5">
+      {card.problems.map(problem => (
+        <li key={problem.name} className="text-xs">
+          <div className="flex justify-between">
+            <span className="font-medium text-gray-800">{problem.name}</span>
+            <span className="text-gray-500">{PROBLEM_TYPES[problem.type] || problem.type} · {problem.confidence}%</span>
+          </div>
+          <div className="mt-0.5 h-1.5 rounded-full bg-gray-200">
+            <div className="h-1.5 rounded-full bg-green-500" style={{ width: `${problem.confidence}%` }} />
+          </div>
+        </li>
+      ))}
+    </ul>
+  ) : (
+    <p className="text-xs text-gray-500">No match for these symptoms. Try the photo diagnosis.</p>
+  )
+);
+
+const CARD_TYPES = {
+  forecast: { icon: FaCloudSunRain, color: 'text-blue-500', body: ForecastCard },
+  activities: { icon: FaSeedling, color: 'text-green-600', body: ActivitiesCard },
+  price: { icon: FaTags, color: 'text-yellow-600', body: PriceCard },
+  diagnosis: { icon: FaStethoscope, color: 'text-red-500', body: DiagnosisCard },
+};
+
+/**
+ * A chatbot tool result (see chatToolService) shown with the answer
+ */
+const ToolResultCard = ({ card }) => {
+  const type = CARD_TYPES[card.kind];
+  if (!type) return null;
+  const { icon: Icon, color, body: Body } = type;
+
+  return (
+    <div className="mt-2 rounded-lg border border-gray-200 bg-gray-50 p-2 sm:p-3">
+      <div className="flex items-center justify-between mb-2">
+        <p className="flex items-center text-xs sm:text-sm font-semibold text-gray-700">
+          <Icon className={`mr-1.5 ${color}`} />
+          {card.title}
+        </p>
+        {card.url && (
+          <Link to={card.url} className="text-xs text-green-700 hover:underline">
+            Open
+          </Link>
+        )}
+      </div>
+      <Body card={card} />
+      {card.source && <p className="mt-1 text-[10px] text-gray-400">Source: {card.source}</p>}
+    </div>
+  );
+};
+
+ForecastCard.propTypes = {
+  card: PropTypes.shape({
+    days: PropTypes.arrayOf(PropTypes.shape({
+      date: PropTypes.string.isRequired,
+      minTemp: PropTypes.number,
+      maxTemp: PropTypes.number,
+      precipitation: PropTypes.number,
+      summary: PropTypes.string
+    })).isRequired
+  }).isRequired
+};
+
+ActivitiesCard.propTypes = {
+  card: PropTypes.shape({
+    week: PropTypes.number,
+    activities: PropTypes.arrayOf(PropTypes.shape({
+      name: PropTypes.string,
+      timing: PropTypes.string
+    })).isRequired
+  }).isRequired
+};
+
+PriceCard.propTypes = {
+  card: PropTypes.shape({
+    price: PropTypes.number.isRequired,
+    unit: PropTypes.string,
+    trend: PropTypes.string,
+    demand: PropTypes.string.isRequired
+  }).isRequired
+};
+
+DiagnosisCard.propTypes = {
+  card: PropTypes.shape({
+    problems: PropTypes.arrayOf(PropTypes.shape({
+      name: PropTypes.string.isRequired,
+      type: PropTypes.string,
+      confidence: PropTypes.number
+    })).isRequired
+  }).isRequired
+};
+
+ToolResultCard.propTypes = {
+  card: PropTypes.shape({
+    kind: PropTypes.oneOf(Object.keys(CARD_TYPES)).isRequired,
+    title: PropTypes.string.isRequired,
+    url: PropTypes.string,
+    source: PropTypes.string
+  }).isRequired
+};
+
+export default ToolResultCard;
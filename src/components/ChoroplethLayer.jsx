@@ -0,0 +1,89 @@
+import { useCallback } from "react";
+import { GeoJSON } from "react-leaflet";
+import PropTypes from "prop-types";
+import choroplethService from "../services/choroplethService";
+
+// District or region polygons coloured by a metric layer, or by defaultFillColor when no metric is active
+const ChoroplethLayer = ({
+  data,
+  metricId,
+  values,
+  valuesKey = "",
+  selectedCode,
+  defaultFillColor,
+  onFeatureClick,
+}) => {
+  const getFillColor = useCallback(
+    (properties) => {
+      if (!metricId) return defaultFillColor(properties);
+      return choroplethService.getColor(
+        metricId,
+        choroplethService.getFeatureValue(values, properties)
+      );
+    },
+    [metricId, values, defaultFillColor]
+  );
+
+  const style = useCallback(
+    (feature) => {
+      const isSelected = selectedCode && feature.properties.code === selectedCode;
+      return {
+        fillColor: getFillColor(feature.properties),
+        fillOpacity: metricId ? 0.75 : 0.35,
+        color: isSelected ? "#111827" : "#ffffff",
+        weight: isSelected ? 2.5 : 0.8,
+      };
+    },
+    [getFillColor, metricId, selectedCode]
+  );
+
+  const onEachFeature = (feature, layer) => {
+    const { name, code } = feature.properties;
+    const reading = metricId
+      ? `<br/>${choroplethService.formatValue(
+          metricId,
+          choroplethService.getFeatureValue(values, feature.properties)
+        )}`
+      : "";
+    layer.bindTooltip(`<strong>${name}</strong>${code ? ` (${code})` : ""}${reading}`, {
+      sticky: true,
+    });
+  };
+
+  return (
+    <GeoJSON
+      // Tooltips are bound once per layer, so rebuild when the readings change
+      key={`${metricId || "none"}-${valuesKey}`}
+      data={data}
+      style={style}
+      onEachFeature={onEachFeature}
+      eventHandlers={{
+        click: (e) => {
+          e.originalEvent.stopPropagation();
+          onFeatureClick(e.latlng, e.layer.feature);
+        },
+        mouseover: (e) => {
+          e.layer.setStyle({ weight: 2, color: "#374151" });
+        },
+        mouseout: (e) => {
+          e.layer.setStyle(style(e.layer.feature));
+        },
+      }}
+    />
+  );
+};
+
+ChoroplethLayer.propTypes = {
+  data: PropTypes.object.isRequired,
+  metricId: PropTypes.string,
+  values: PropTypes.shape({
+    districts: PropTypes.object,
+    regions: PropTypes.object,
+  }),
+  valuesKey: PropTypes.string,
+  selectedCode: PropTypes.string,
+  defaultFillColor: PropTypes.func.isRequired,
+  onFeatureClick: PropTypes.func.isRequired,
+};
+
+export default ChoroplethLayer;
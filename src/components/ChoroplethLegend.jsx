@@ -0,0 +1,49 @@
+import PropTypes from "prop-types";
+import choroplethService from "../services/choroplethService";
+
+const ChoroplethLegend = ({ metricId, loading, error, footnote }) => {
+  const metric = choroplethService.getMetric(metricId);
+  if (!metric) return null;
+
+  return (
+    <div className="absolute bottom-[10px] left-[10px] z-[1000] bg-white/95 border border-gray-200 rounded-md shadow-md p-2 text-xs text-gray-700 max-w-[220px]">
+      <p className="font-semibold text-gray-900">
+        {metric.label}
+        {metric.unit && <span className="font-normal text-gray-500"> ({metric.unit})</span>}
+      </p>
+      <p className="text-[10px] text-gray-500 mb-1 leading-tight">{metric.description}</p>
+
+      {loading ? (
+        <p className="text-gray-500">Loading layer...</p>
+      ) : (
+        <ul className="space-y-0.5">
+          {choroplethService.getLegend(metricId).map((entry) => (
+            <li key={entry.label} className="flex items-center gap-1.5">
+              <span
+                className="inline-block w-3 h-3 rounded-sm border border-gray-300 flex-shrink-0"
+                style={{ backgroundColor: entry.color }}
+              />
+              <span>{entry.label}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && !loading && (
+        <p className="text-[10px] text-amber-700 mt-1 leading-tight">{error}</p>
+      )}
+      {footnote && (
+        <p className="text-[10px] text-gray-400 mt-1 leading-tight">{footnote}</p>
+      )}
+    </div>
+  );
+};
+
+ChoroplethLegend.propTypes = {
+  metricId: PropTypes.string,
+  loading: PropTypes.bool,
+  error: PropTypes.string,
+  footnote: PropTypes.string,
+};
+
+export default ChoroplethLegend;
@@ -21,6 +21,9 @@ import axios from "axios";
 import axiosRetry from "axios-retry";
 import translationService from "../services/translationService";
 import diseaseDetectionService from "../services/diseaseDetectionService";
+import alertService from "../services/alertService";
+import diagnosticUsageService from "../services/diagnosticUsageService";
+import GuidedDiagnosis from "./GuidedDiagnosis";
 import {
   getTranslation,
   getSupportedLanguages,
@@ -235,6 +238,12 @@ const PlantDiseaseDetector = () => {
       if (resultData) {
         setResult(resultData);
         cache.current.set(cacheKey, resultData);
+        diagnosticUsageService.record({
+          tool: "image",
+          crop: resultData.plant,
+          result: resultData.disease,
+          source: resultData.source || "Offline fallback",
+        });
 
         console.log("🔬 Disease detection result:", resultData);
         console.log("🌐 Current language:", currentLanguage);
@@ -303,62 +312,33 @@ const PlantDiseaseDetector = () => {
     }
   };
 
-  // Send notification with offline queuing
+  // Share the detection through the alert service, which holds it until
+  // the device is back online
   const sendNotification = async () => {
     if (!userName.trim()) {
       setError(getDisplayText("enterNameError", "Please enter your name"));
       return;
     }
 
-    const notificationData = {
+    const { queued } = await alertService.sendCommunityAlert({
       plant: result.plant,
       disease: result.disease,
-      user: userName,
-    };
-
-    if (!navigator.onLine) {
-      // Queue notification in local storage
-      const queuedNotifications = JSON.parse(
-        localStorage.getItem("queuedNotifications") || "[]"
-      );
-      queuedNotifications.push(notificationData);
-      localStorage.setItem(
-        "queuedNotifications",
-        JSON.stringify(queuedNotifications)
-      );
-      alert(
-        getDisplayText(
-          "offlineQueued",
-          "Offline: Notification queued and will be sent when online"
-        )
-      );
-      setShowNotificationForm(false);
-      setUserName("");
-      return;
-    }
-
-    try {
-      const response = await axios.post(
-        "https://susya.onrender.com/notify",
-        notificationData,
-        {
-          headers: { "Content-Type": "application/json" },
-        }
-      );
+      reporter: userName.trim(),
+    });
 
-      if (response.status === 200) {
-        alert(
-          getDisplayText(
+    alert(
+      queued
+        ? getDisplayText(
+            "offlineQueued",
+            "Offline: Notification queued and will be sent when online"
+          )
+        : getDisplayText(
             "notificationSent",
             "✅ Notification sent successfully!"
           )
-        );
-        setShowNotificationForm(false);
-        setUserName("");
-      }
-    } catch (err) {
-      setError(`Failed to send notification: ${err.message}`);
-    }
+    );
+    setShowNotificationForm(false);
+    setUserName("");
   };
 
   // Reset application
@@ -1210,6 +1190,9 @@ const PlantDiseaseDetector = () => {
           </motion.div>
         </div>
 
+        {/* Guided Diagnosis - no photo or connection needed */}
+        <GuidedDiagnosis />
+
         {/* Notification Modal */}
         <AnimatePresence>
           {showNotificationForm && (
@@ -14,6 +14,8 @@ import userService from '../../services/userService';
 import TemplateGenerationService from '../../services/templateGenerationService';
 import { safeRender, safeRenderForCard } from '../../utils/renderUtils';
 import AgrometAdvisoryUpload from './AgrometAdvisoryUpload';
+import usePermissions from '../../hooks/usePermissions';
+import { PERMISSIONS } from '../../utils/accessControl';
 import { GHANA_REGIONS, COMMODITY_CODES, getRegionByCode, getDistrictByCode, getCommodityByCode } from '../../data/ghanaCodes';
 
 const AgrometAdvisoryManager = () => {
@@ -32,6 +34,8 @@ const AgrometAdvisoryManager = () => {
   const [availableDistricts, setAvailableDistricts] = useState([]);
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const { can } = usePermissions();
+  const canUpload = can(PERMISSIONS.UPLOAD_CONTENT);
 
   useEffect(() => {
     loadData();
@@ -160,10 +164,10 @@ const AgrometAdvisoryManager = () => {
     setCurrentPage(1);
   };
 
-  const handleDelete = async (id) => {
+  const handleDelete = async (item) => {
     if (window.confirm('Are you sure you want to delete this advisory?')) {
       try {
-        await userService.deleteAgriculturalData('agromet-advisory', id);
+        await userService.deleteAgriculturalData('agromet-advisory', item.id, item);
         loadData();
       } catch (err) {
         console.error('Error deleting advisory:', err);
@@ -244,17 +248,19 @@ const AgrometAdvisoryManager = () => {
               <FaDownload className="mr-2" />
               Download Template
             </button>
-            <label className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center justify-center cursor-pointer">
-              <FaFileUpload className="mr-2" />
-              Upload Multi-Sheet Excel
-              <input
-                type="file"
-                accept=".xlsx,.xls"
-                onChange={handleFileUpload}
-                className="hidden"
-                disabled={uploading}
-              />
-            </label>
+            {canUpload && (
+              <label className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center justify-center cursor-pointer">
+                <FaFileUpload className="mr-2" />
+                Upload Multi-Sheet Excel
+                <input
+                  type="file"
+                  accept=".xlsx,.xls"
+                  onChange={handleFileUpload}
+                  className="hidden"
+                  disabled={uploading}
+                />
+              </label>
+            )}
             <button
               onClick={exportToCSV}
               className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 flex items-center justify-center"
@@ -388,13 +394,15 @@ const AgrometAdvisoryManager = () => {
           <p className="text-gray-500 mb-4">
             No agromet advisory data has been uploaded yet. Upload a multi-sheet Excel file to get started.
           </p>
-          <button
-            onClick={() => setShowUploadModal(true)}
-            className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center mx-auto"
-          >
-            <FaPlus className="mr-2" />
-            Upload Your First Advisory File
-          </button>
+          {canUpload && (
+            <button
+              onClick={() => setShowUploadModal(true)}
+              className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center mx-auto"
+            >
+              <FaPlus className="mr-2" />
+              Upload Your First Advisory File
+            </button>
+          )}
         </div>
       ) : viewMode === 'table' ? (
         <>
@@ -462,20 +470,24 @@ const AgrometAdvisoryManager = () => {
                         >
                           <FaEye />
                         </button>
-                        <button
-                          onClick={() => console.log('Edit:', item)}
-                          className="text-yellow-600 hover:text-yellow-900"
-                          title="Edit"
-                        >
-                          <FaEdit />
-                        </button>
-                        <button
-                          onClick={() => handleDelete(item.id)}
-                          className="text-red-600 hover:text-red-900"
-                          title="Delete"
-                        >
-                          <FaTrash />
-                        </button>
+                        {can(PERMISSIONS.EDIT_CONTENT, item) && (
+                          <button
+                            onClick={() => console.log('Edit:', item)}
+                            className="text-yellow-600 hover:text-yellow-900"
+                            title="Edit"
+                          >
+                            <FaEdit />
+                          </button>
+                        )}
+                        {can(PERMISSIONS.DELETE_CONTENT, item) && (
+                          <button
+                            onClick={() => handleDelete(item)}
+                            className="text-red-600 hover:text-red-900"
+                            title="Delete"
+                          >
+                            <FaTrash />
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -552,20 +564,24 @@ const AgrometAdvisoryManager = () => {
                     >
                       <FaEye />
                     </button>
-                    <button
-                      onClick={() => console.log('Edit:', item)}
-                      className="text-yellow-600 hover:text-yellow-900 p-1"
-                      title="Edit"
-                    >
-                      <FaEdit />
-                    </button>
-                    <button
-                      onClick={() => handleDelete(item.id)}
-                      className="text-red-600 hover:text-red-900 p-1"
-                      title="Delete"
-                    >
-                      <FaTrash />
-                    </button>
+                    {can(PERMISSIONS.EDIT_CONTENT, item) && (
+                      <button
+                        onClick={() => console.log('Edit:', item)}
+                        className="text-yellow-600 hover:text-yellow-900 p-1"
+                        title="Edit"
+                      >
+                        <FaEdit />
+                      </button>
+                    )}
+                    {can(PERMISSIONS.DELETE_CONTENT, item) && (
+                      <button
+                        onClick={() => handleDelete(item)}
+                        className="text-red-600 hover:text-red-900 p-1"
+                        title="Delete"
+                      >
+                        <FaTrash />
+                      </button>
+                    )}
                   </div>
                 </div>
                 
@@ -14,10 +14,18 @@ import {
 } from 'react-icons/fa';
 import * as XLSX from 'xlsx';
 import { GHANA_REGIONS, COMMODITY_CODES, generateUniqueId, getRegionByCode, getDistrictByCode, getCommodityByCode } from '../../data/ghanaCodes';
+import toast from 'react-hot-toast';
 import userService from '../../services/userService';
+import contentWorkflowService from '../../services/contentWorkflowService';
+import usePermissions from '../../hooks/usePermissions';
+import { PERMISSIONS } from '../../utils/accessControl';
 import TemplateGenerationService from '../../services/templateGenerationService';
+import importValidationService from '../../services/importValidationService';
+import useImportValidation from '../../hooks/useImportValidation';
+import ImportValidationSummary from './ImportValidationSummary';
 
 const AgrometAdvisoryUpload = ({ isOpen, onClose, onSave }) => {
+  const { can, access, isInScope } = usePermissions();
   const [formData, setFormData] = useState({
     regionCode: '',
     districtCode: '',
@@ -37,6 +45,7 @@ const AgrometAdvisoryUpload = ({ isOpen, onClose, onSave }) => {
   const [selectedSheets, setSelectedSheets] = useState([]);
   const [viewMode, setViewMode] = useState('table');
   const [expandedSheets, setExpandedSheets] = useState({});
+  const rowCheck = useImportValidation({ sheets: selectedSheets });
 
   // Update districts when region changes
   useEffect(() => {
@@ -91,6 +100,7 @@ const AgrometAdvisoryUpload = ({ isOpen, onClose, onSave }) => {
       setParsedSheets(sheets);
       setSelectedSheets(sheets.map(sheet => sheet.name));
       setFormData(prev => ({ ...prev, file }));
+      rowCheck.check(() => importValidationService.validateFile(file, 'agromet-advisory'));
       
       if (sheets.length > 0) {
         setUploadStep(2);
@@ -144,10 +154,14 @@ const AgrometAdvisoryUpload = ({ isOpen, onClose, onSave }) => {
     
     if (!formData.regionCode) newErrors.regionCode = 'Region is required';
     if (!formData.districtCode) newErrors.districtCode = 'District is required';
+    else if (!can(PERMISSIONS.UPLOAD_CONTENT, { region: formData.regionCode, district: formData.districtCode })) {
+      newErrors.districtCode = `As ${access} you cannot upload content for this district`;
+    }
     if (!formData.commodityCode) newErrors.commodityCode = 'Commodity is required';
     if (!formData.file) newErrors.file = 'File is required';
     if (!formData.title.trim()) newErrors.title = 'Title is required';
     if (selectedSheets.length === 0) newErrors.sheets = 'At least one sheet must be selected';
+    else if (rowCheck.blockedReason) newErrors.rows = rowCheck.blockedReason;
     
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -211,9 +225,15 @@ const AgrometAdvisoryUpload = ({ isOpen, onClose, onSave }) => {
       formDataToSubmit.append('title', formData.title);
       formDataToSubmit.append('description', formData.description);
       formDataToSubmit.append('selectedSheets', JSON.stringify(selectedSheets));
+
+      // Uploads stay drafts until published through the review queue
+      const workflowId = contentWorkflowService.createWorkflowId('agromet-advisory');
+      formDataToSubmit.append('workflowId', workflowId);
+      formDataToSubmit.append('status', 'draft');
       
-      // Add the file
-      formDataToSubmit.append('file', formData.file);
+      // Add the file, or only its valid rows when the author chose that
+      const upload = await rowCheck.prepareUpload(formData.file);
+      formDataToSubmit.append('file', upload.file);
       
       // Progress simulation
       const progressInterval = setInterval(() => {
@@ -228,6 +248,18 @@ const AgrometAdvisoryUpload = ({ isOpen, onClose, onSave }) => {
       setUploadProgress(100);
 
       if (result.success) {
+        const drafted = await contentWorkflowService.registerDraft({
+          workflowId,
+          contentType: 'agromet-advisory',
+          recordId: result.data?.data?.id || result.data?.id,
+          uniqueId: previewData.uniqueId,
+          title: formData.title,
+          region: formData.regionCode,
+          district: formData.districtCode,
+          commodity: getCommodityByCode(formData.commodityCode)?.name
+        });
+        if (!drafted.success) toast.error(`Saved, but it could not be added to the Review Queue: ${drafted.error}`);
+        toast.success('Advisory saved as a draft. Submit it for review from the Review Queue to publish it.');
         onSave(result.data);
         setTimeout(() => {
           handleReset();
@@ -257,6 +289,7 @@ const AgrometAdvisoryUpload = ({ isOpen, onClose, onSave }) => {
     setUploadStep(1);
     setParsedSheets([]);
     setSelectedSheets([]);
+    rowCheck.reset();
     setPreviewData(null);
     setErrors({});
     setUploadProgress(0);
@@ -340,7 +373,7 @@ const AgrometAdvisoryUpload = ({ isOpen, onClose, onSave }) => {
                     }`}
                   >
                     <option value="">Select Region...</option>
-                    {Object.values(GHANA_REGIONS).map(region => (
+                    {Object.values(GHANA_REGIONS).filter(region => isInScope({ region: region.code })).map(region => (
                       <option key={region.code} value={region.code}>
                         {region.code} - {region.name}
                       </option>
@@ -598,7 +631,18 @@ const AgrometAdvisoryUpload = ({ isOpen, onClose, onSave }) => {
                 ))}
               </div>
 
+              {/* Row check of the selected sheets */}
+              <ImportValidationSummary
+                report={rowCheck.report}
+                status={rowCheck.status}
+                error={rowCheck.error}
+                importValidOnly={rowCheck.importValidOnly}
+                onImportValidOnly={rowCheck.setImportValidOnly}
+                className="text-sm"
+              />
+
               {errors.sheets && <p className="text-red-500 text-sm">{errors.sheets}</p>}
+              {errors.rows && <p className="text-red-500 text-sm">{errors.rows}</p>}
 
               {/* Navigation Buttons */}
               <div className="flex flex-col sm:flex-row justify-between gap-3 sm:gap-0">
@@ -679,6 +723,12 @@ const AgrometAdvisoryUpload = ({ isOpen, onClose, onSave }) => {
                       <span className="font-medium text-gray-700">Total Records:</span>
                       <span className="ml-2">{previewData.totalRecords}</span>
                     </div>
+                    {rowCheck.status === 'needs-review' && (
+                      <div>
+                        <span className="font-medium text-gray-700">Rows Imported:</span>
+                        <span className="ml-2">{rowCheck.report.summary.valid} of {rowCheck.report.summary.total} (rows with problems are left out)</span>
+                      </div>
+                    )}
                     <div>
                       <span className="font-medium text-gray-700">File Size:</span>
                       <span className="ml-2">{Math.round(formData.file.size / 1024)} KB</span>
@@ -0,0 +1,271 @@
+import { useState, useEffect } from "react";
+import { FaClipboardList, FaDownload, FaChevronDown, FaChevronRight } from "react-icons/fa";
+import PropTypes from "prop-types";
+import auditLogService, { AUDIT_ACTIONS } from "../../services/auditLogService";
+import userService from "../../services/userService";
+
+const ACTION_BADGES = {
+  green: "bg-green-100 text-green-800",
+  blue: "bg-blue-100 text-blue-800",
+  red: "bg-red-100 text-red-800",
+  yellow: "bg-yellow-100 text-yellow-800",
+  purple: "bg-purple-100 text-purple-800",
+  orange: "bg-orange-100 text-orange-800",
+};
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = { action: "", entityType: "", actor: "", from: "", to: "", search: "" };
+
+const formatDate = (value) =>
+  new Date(value).toLocaleString("en-GB", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+
+const Snapshot = ({ label, value }) => (
+  <div className="flex-1 min-w-0">
+    <p className="text-xs font-medium text-gray-500 uppercase mb-1">{label}</p>
+    {value ? (
+      <pre className="text-xs bg-gray-50 border border-gray-200 rounded p-2 overflow-auto max-h-64 whitespace-pre-wrap break-words">
+        {JSON.stringify(value, null, 2)}
+      </pre>
+    ) : (
+      <p className="text-xs text-gray-400">—</p>
+    )}
+  </div>
+);
+
+Snapshot.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.any,
+};
+
+const AuditLogViewer = () => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [expandedId, setExpandedId] = useState(null);
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  const [allEntries, setAllEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    userService.getAuditLog().then((result) => {
+      if (result.success) setAllEntries(result.data);
+      setLoadError(result.success ? null : result.error);
+      setLoading(false);
+    });
+  }, []);
+
+  const entries = auditLogService.filterEntries(allEntries, filters);
+  const facets = auditLogService.getFacets(allEntries);
+  const pendingCount = auditLogService.getPendingCount();
+
+  const updateFilter = (field, value) => {
+    setFilters({ ...filters, [field]: value });
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  const exportToCSV = () => {
+    if (entries.length === 0) return;
+
+    const blob = new Blob([auditLogService.toCsv(entries)], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `audit_log_${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header and filters */}
+      <div className="bg-white rounded-lg shadow px-4 sm:px-6 py-4">
+        <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-3">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900 flex items-center">
+              <FaClipboardList className="mr-2 text-green-600" />
+              Audit Log
+            </h3>
+            <p className="text-sm text-gray-500">
+              Every upload, edit, delete, workflow change, SMS dispatch and emergency alert made from the Dashboard. Entries cannot be changed or removed.
+            </p>
+          </div>
+          <button
+            onClick={exportToCSV}
+            disabled={entries.length === 0}
+            className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+          >
+            <FaDownload className="mr-2" />
+            Export CSV ({entries.length})
+          </button>
+        </div>
+        {loadError && (
+          <p className="text-sm text-red-600 mt-2">Could not load the audit log: {loadError}</p>
+        )}
+        {pendingCount > 0 && (
+          <p className="text-sm text-yellow-700 mt-2">
+            {pendingCount} {pendingCount === 1 ? "entry" : "entries"} from this browser could not be sent yet and will be sent with the next change.
+          </p>
+        )}
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-6 gap-3 mt-4">
+          <input
+            type="text"
+            value={filters.search}
+            onChange={(e) => updateFilter("search", e.target.value)}
+            placeholder="Search summary or ID"
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm lg:col-span-2"
+          />
+          <select
+            value={filters.action}
+            onChange={(e) => updateFilter("action", e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">All actions</option>
+            {Object.values(AUDIT_ACTIONS).map((action) => (
+              <option key={action.id} value={action.id}>{action.label}</option>
+            ))}
+          </select>
+          <select
+            value={filters.entityType}
+            onChange={(e) => updateFilter("entityType", e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">All entity types</option>
+            {facets.entityTypes.map((entityType) => (
+              <option key={entityType} value={entityType}>{entityType}</option>
+            ))}
+          </select>
+          <select
+            value={filters.actor}
+            onChange={(e) => updateFilter("actor", e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">All users</option>
+            {facets.actors.map((actor) => (
+              <option key={actor.email || actor.name} value={actor.email || actor.name}>
+                {actor.name}{actor.email && actor.email !== actor.name ? ` (${actor.email})` : ""}
+              </option>
+            ))}
+          </select>
+          <div className="flex items-center gap-2">
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => updateFilter("from", e.target.value)}
+              title="From"
+              className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm"
+            />
+            <input
+              type="date"
+              value={filters.to}
+              onChange={(e) => updateFilter("to", e.target.value)}
+              title="To"
+              className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm"
+            />
+          </div>
+        </div>
+        {Object.values(filters).some(Boolean) && (
+          <button
+            onClick={() => {
+              setFilters(EMPTY_FILTERS);
+              setVisibleCount(PAGE_SIZE);
+            }}
+            className="mt-3 text-sm text-green-600 hover:text-green-700"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {/* Entries */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {entries.length === 0 ? (
+          <p className="px-4 py-6 text-sm text-gray-500 text-center">
+            {loading ? "Loading..." : "No audit entries match these filters."}
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2"></th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">When</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Action</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Entity</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Summary</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {entries.slice(0, visibleCount).map((entry) => {
+                  const action = AUDIT_ACTIONS[entry.action];
+                  const expanded = expandedId === entry.id;
+                  return [
+                    <tr
+                      key={entry.id}
+                      onClick={() => setExpandedId(expanded ? null : entry.id)}
+                      className="cursor-pointer hover:bg-gray-50"
+                    >
+                      <td className="px-3 py-2 text-gray-400">
+                        {expanded ? <FaChevronDown /> : <FaChevronRight />}
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap text-gray-700">{formatDate(entry.timestamp)}</td>
+                      <td className="px-3 py-2 whitespace-nowrap text-gray-700">
+                        <div>{entry.actor.name}</div>
+                        {entry.actor.email && <div className="text-xs text-gray-500">{entry.actor.email}</div>}
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        <span className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${ACTION_BADGES[action?.color] || ACTION_BADGES.yellow}`}>
+                          {action?.label || entry.action}
+                        </span>
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap text-gray-700">
+                        <div>{entry.entityType}</div>
+                        {entry.entityId && <div className="text-xs text-gray-500">{entry.entityId}</div>}
+                      </td>
+                      <td className="px-3 py-2 text-gray-700">{entry.summary}</td>
+                    </tr>,
+                    expanded && (
+                      <tr key={`${entry.id}-detail`} className="bg-gray-50">
+                        <td></td>
+                        <td colSpan={5} className="px-3 py-3">
+                          <div className="flex flex-col md:flex-row gap-4">
+                            <Snapshot label="Before" value={entry.before} />
+                            <Snapshot label="After" value={entry.after} />
+                          </div>
+                          <p className="text-xs text-gray-500 mt-2">
+                            Entry #{entry.sequence}
+                            {entry.actor.role && ` · role ${entry.actor.role}`}
+                          </p>
+                        </td>
+                      </tr>
+                    ),
+                  ];
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {entries.length > visibleCount && (
+          <div className="px-4 py-3 border-t border-gray-200 text-center">
+            <button
+              onClick={() => setVisibleCount(visibleCount + PAGE_SIZE)}
+              className="text-sm text-green-600 hover:text-green-700"
+            >
+              Show more ({entries.length - visibleCount} older entries)
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuditLogViewer;
@@ -7,9 +7,13 @@ import {
   FaPlus,
   FaSearch,
   FaFilter,
+  FaHistory,
 } from "react-icons/fa";
 import PropTypes from "prop-types";
 import userService from "../../services/userService";
+import CalendarVersionHistory from "./CalendarVersionHistory";
+import usePermissions from "../../hooks/usePermissions";
+import { PERMISSIONS } from "../../utils/accessControl";
 import { safeRender, safeRenderForCard } from "../../utils/renderUtils";
 
 const CalendarDataPreview = ({ dataType, title, onAddNew }) => {
@@ -21,6 +25,9 @@ const CalendarDataPreview = ({ dataType, title, onAddNew }) => {
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage] = useState(10);
   const [viewMode, setViewMode] = useState("table"); // 'table' or 'card'
+  const [historyItem, setHistoryItem] = useState(null);
+  const { can } = usePermissions();
+  const canUpload = can(PERMISSIONS.UPLOAD_CONTENT);
 
   useEffect(() => {
     loadData();
@@ -70,10 +77,10 @@ const CalendarDataPreview = ({ dataType, title, onAddNew }) => {
   const totalPages = Math.ceil(filteredData.length / itemsPerPage);
   const uniqueRegions = [...new Set(safeData.map((item) => item.region))];
 
-  const handleDelete = async (id) => {
+  const handleDelete = async (item) => {
     if (window.confirm("Are you sure you want to delete this record?")) {
       try {
-        await userService.deleteAgriculturalData(dataType, id);
+        await userService.deleteAgriculturalData(dataType, item.id, item);
         loadData();
       } catch (err) {
         console.error("Error deleting record:", err);
@@ -81,6 +88,13 @@ const CalendarDataPreview = ({ dataType, title, onAddNew }) => {
     }
   };
 
+  const getVersionDescriptor = (item) => ({
+    dataType,
+    region: item.region,
+    district: item.district,
+    commodity: item.crop || item.poultryType || item.commodity,
+  });
+
   const exportToCSV = () => {
     if (filteredData.length === 0) return;
 
@@ -143,13 +157,15 @@ const CalendarDataPreview = ({ dataType, title, onAddNew }) => {
             </p>
           </div>
           <div className="flex space-x-2">
-            <button
-              onClick={onAddNew}
-              className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center"
-            >
-              <FaPlus className="mr-2" />
-              Add New
-            </button>
+            {canUpload && (
+              <button
+                onClick={onAddNew}
+                className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center"
+              >
+                <FaPlus className="mr-2" />
+                Add New
+              </button>
+            )}
             <button
               onClick={exportToCSV}
               className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 flex items-center"
@@ -230,13 +246,15 @@ const CalendarDataPreview = ({ dataType, title, onAddNew }) => {
           <p className="text-gray-500 mb-4">
             No {title.toLowerCase()} data has been uploaded yet.
           </p>
-          <button
-            onClick={onAddNew}
-            className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center mx-auto"
-          >
-            <FaPlus className="mr-2" />
-            Create Your First {title}
-          </button>
+          {canUpload && (
+            <button
+              onClick={onAddNew}
+              className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center mx-auto"
+            >
+              <FaPlus className="mr-2" />
+              Create Your First {title}
+            </button>
+          )}
         </div>
       ) : viewMode === "table" ? (
         <>
@@ -290,20 +308,31 @@ const CalendarDataPreview = ({ dataType, title, onAddNew }) => {
                         >
                           <FaEye />
                         </button>
+                        {can(PERMISSIONS.EDIT_CONTENT, item) && (
+                          <button
+                            onClick={() => console.log("Edit:", item)}
+                            className="text-yellow-600 hover:text-yellow-900"
+                            title="Edit"
+                          >
+                            <FaEdit />
+                          </button>
+                        )}
                         <button
-                          onClick={() => console.log("Edit:", item)}
-                          className="text-yellow-600 hover:text-yellow-900"
-                          title="Edit"
-                        >
-                          <FaEdit />
-                        </button>
-                        <button
-                          onClick={() => handleDelete(item.id)}
-                          className="text-red-600 hover:text-red-900"
-                          title="Delete"
+                          onClick={() => setHistoryItem(item)}
+                          className="text-green-600 hover:text-green-900"
+                          title="Version History"
                         >
-                          <FaTrash />
+                          <FaHistory />
                         </button>
+                        {can(PERMISSIONS.DELETE_CONTENT, item) && (
+                          <button
+                            onClick={() => handleDelete(item)}
+                            className="text-red-600 hover:text-red-900"
+                            title="Delete"
+                          >
+                            <FaTrash />
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -384,20 +413,31 @@ const CalendarDataPreview = ({ dataType, title, onAddNew }) => {
                     >
                       <FaEye />
                     </button>
+                    {can(PERMISSIONS.EDIT_CONTENT, item) && (
+                      <button
+                        onClick={() => console.log("Edit:", item)}
+                        className="text-yellow-600 hover:text-yellow-900 p-1"
+                        title="Edit"
+                      >
+                        <FaEdit />
+                      </button>
+                    )}
                     <button
-                      onClick={() => console.log("Edit:", item)}
-                      className="text-yellow-600 hover:text-yellow-900 p-1"
-                      title="Edit"
-                    >
-                      <FaEdit />
-                    </button>
-                    <button
-                      onClick={() => handleDelete(item.id)}
-                      className="text-red-600 hover:text-red-900 p-1"
-                      title="Delete"
+                      onClick={() => setHistoryItem(item)}
+                      className="text-green-600 hover:text-green-900 p-1"
+                      title="Version History"
                     >
-                      <FaTrash />
+                      <FaHistory />
                     </button>
+                    {can(PERMISSIONS.DELETE_CONTENT, item) && (
+                      <button
+                        onClick={() => handleDelete(item)}
+                        className="text-red-600 hover:text-red-900 p-1"
+                        title="Delete"
+                      >
+                        <FaTrash />
+                      </button>
+                    )}
                   </div>
                 </div>
 
@@ -478,6 +518,16 @@ const CalendarDataPreview = ({ dataType, title, onAddNew }) => {
           )}
         </>
       )}
+
+      {historyItem && (
+        <CalendarVersionHistory
+          descriptor={getVersionDescriptor(historyItem)}
+          title={`${historyItem.crop || historyItem.poultryType || historyItem.commodity || title} · ${historyItem.district || ""}, ${historyItem.region || ""}`}
+          onClose={() => setHistoryItem(null)}
+          onRolledBack={loadData}
+          canRollback={can(PERMISSIONS.EDIT_CONTENT, historyItem)}
+        />
+      )}
     </div>
   );
 };
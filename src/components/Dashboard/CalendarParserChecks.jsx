@@ -0,0 +1,192 @@
+import { useState } from 'react';
+import {
+  FaVial,
+  FaPlay,
+  FaCheckCircle,
+  FaTimesCircle,
+  FaDownload,
+  FaFileUpload
+} from 'react-icons/fa';
+import PropTypes from 'prop-types';
+import calendarParsingService from '../../services/calendarParsingService';
+import { toGoldenSnapshot, runCalendarFixtures } from '../../services/calendarParsing/goldenSnapshots';
+import fixtures from '../../services/calendarParsing/fixtures';
+import { isDevelopment } from '../../config/apiConfig';
+
+const formatValue = (value) => (value === undefined ? '(missing)' : JSON.stringify(value));
+
+const downloadSnapshot = (name, snapshot) => {
+  const blob = new Blob([`${JSON.stringify(snapshot, null, 2)}\n`], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${name}.expected.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const HeuristicChips = ({ heuristics }) => (
+  <div className="flex flex-wrap gap-1 mt-2">
+    {heuristics.map(rule => (
+      <span key={rule} className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700 font-mono">
+        {rule}
+      </span>
+    ))}
+  </div>
+);
+
+HeuristicChips.propTypes = {
+  heuristics: PropTypes.arrayOf(PropTypes.string).isRequired,
+};
+
+const CalendarParserChecks = () => {
+  const [results, setResults] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [uploaded, setUploaded] = useState(null);
+
+  const passedCount = results.filter(result => result.passed).length;
+
+  const handleRun = async () => {
+    setRunning(true);
+    setResults(await runCalendarFixtures());
+    setRunning(false);
+  };
+
+  const handleUpload = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const result = await calendarParsingService.parseFile(file);
+    setUploaded({ name: file.name.replace(/\.[^.]+$/, ''), snapshot: toGoldenSnapshot(result) });
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow px-4 sm:px-6 py-4 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-2">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900 flex items-center">
+            <FaVial className="mr-2 text-green-600" />
+            Calendar Parser Checks
+          </h3>
+          <p className="text-sm text-gray-500">
+            {fixtures.length} sample workbooks parsed and compared with their expected snapshots
+            {results.length > 0 && ` · ${passedCount} of ${results.length} passing`}
+          </p>
+          {/* The workbooks are left out of production builds */}
+          {!isDevelopment && (
+            <p className="text-sm text-gray-500">
+              Run <code>npm run test:calendars</code> from a checkout to check them.
+            </p>
+          )}
+        </div>
+        <button
+          onClick={handleRun}
+          disabled={running || !isDevelopment}
+          className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+        >
+          <FaPlay className="mr-2" />
+          {running ? 'Running...' : 'Run checks'}
+        </button>
+      </div>
+
+      {/* Fixture results */}
+      <div className="bg-white rounded-lg shadow divide-y divide-gray-200">
+        {fixtures.map((fixture) => {
+          const result = results.find(entry => entry.id === fixture.id);
+          return (
+            <div key={fixture.id} className="px-4 sm:px-6 py-4">
+              <div className="flex justify-between items-start gap-4">
+                <div>
+                  <p className="text-sm font-medium text-gray-900 flex items-center">
+                    {result && (result.passed
+                      ? <FaCheckCircle className="mr-2 text-green-600" />
+                      : <FaTimesCircle className="mr-2 text-red-600" />)}
+                    {fixture.file}
+                  </p>
+                  <p className="text-sm text-gray-500">{fixture.description}</p>
+                </div>
+                {result?.snapshot && (
+                  <button
+                    onClick={() => downloadSnapshot(fixture.id, result.snapshot)}
+                    className="inline-flex items-center px-3 py-1 text-xs font-medium rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 whitespace-nowrap"
+                  >
+                    <FaDownload className="mr-1" />
+                    Snapshot JSON
+                  </button>
+                )}
+              </div>
+
+              {result?.snapshot && <HeuristicChips heuristics={result.snapshot.heuristics} />}
+
+              {result?.error && (
+                <p className="mt-2 text-sm text-red-700">{result.error}</p>
+              )}
+
+              {result?.diffs.length > 0 && (
+                <table className="mt-3 min-w-full text-xs">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="pr-4 py-1 font-medium">Path</th>
+                      <th className="pr-4 py-1 font-medium">Expected</th>
+                      <th className="py-1 font-medium">Actual</th>
+                    </tr>
+                  </thead>
+                  <tbody className="font-mono">
+                    {result.diffs.map(diff => (
+                      <tr key={diff.path} className="align-top">
+                        <td className="pr-4 py-1 text-gray-700">{diff.path}</td>
+                        <td className="pr-4 py-1 text-green-700 break-all">{formatValue(diff.expected)}</td>
+                        <td className="py-1 text-red-700 break-all">{formatValue(diff.actual)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Snapshot any workbook, e.g. a new layout to add to the corpus */}
+      <div className="bg-white rounded-lg shadow px-4 sm:px-6 py-4">
+        <h4 className="text-sm font-medium text-gray-900">Snapshot a workbook</h4>
+        <p className="text-sm text-gray-500 mb-3">
+          Parse a calendar file to see which heuristics fired; save the snapshot next to the file in the fixtures folder to add it to the checks.
+        </p>
+        <label className="inline-flex items-center px-3 py-2 text-sm font-medium rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 cursor-pointer">
+          <FaFileUpload className="mr-2" />
+          Choose Excel file
+          <input type="file" accept=".xlsx,.xls" onChange={handleUpload} className="hidden" />
+        </label>
+
+        {uploaded && (
+          <div className="mt-4">
+            <div className="flex justify-between items-center">
+              <p className="text-sm text-gray-700">
+                {uploaded.name}
+                {uploaded.snapshot.success
+                  ? ` · ${uploaded.snapshot.activities.length} activities, confidence ${uploaded.snapshot.confidence}`
+                  : ` · ${uploaded.snapshot.error}`}
+              </p>
+              <button
+                onClick={() => downloadSnapshot(uploaded.name, uploaded.snapshot)}
+                className="inline-flex items-center px-3 py-1 text-xs font-medium rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+              >
+                <FaDownload className="mr-1" />
+                Snapshot JSON
+              </button>
+            </div>
+            <HeuristicChips heuristics={uploaded.snapshot.heuristics} />
+            <pre className="mt-3 p-3 bg-gray-50 rounded text-xs overflow-auto max-h-96">
+              {JSON.stringify(uploaded.snapshot, null, 2)}
+            </pre>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CalendarParserChecks;
@@ -0,0 +1,283 @@
+import { useState, useEffect } from "react";
+import {
+  FaHistory,
+  FaTimes,
+  FaUndo,
+  FaPlusCircle,
+  FaMinusCircle,
+  FaExchangeAlt,
+} from "react-icons/fa";
+import PropTypes from "prop-types";
+import calendarVersionService from "../../services/calendarVersionService";
+
+const formatDate = (value) =>
+  new Date(value).toLocaleString("en-GB", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const formatSpan = (span) => {
+  if (!span?.start) return "no scheduled weeks";
+  return span.start === span.end ? span.start : `${span.start} – ${span.end}`;
+};
+
+const formatShift = ({ startShift, lengthChange }) => {
+  const parts = [];
+  if (startShift !== 0) {
+    const weeks = Math.abs(startShift);
+    parts.push(`${weeks} week${weeks === 1 ? "" : "s"} ${startShift > 0 ? "later" : "earlier"}`);
+  }
+  if (lengthChange !== 0) {
+    parts.push(`${lengthChange > 0 ? "+" : ""}${lengthChange} week${Math.abs(lengthChange) === 1 ? "" : "s"} long`);
+  }
+  return parts.join(", ") || "different weeks";
+};
+
+const VersionDiff = ({ diff }) => {
+  const changeCount = diff.added.length + diff.removed.length + diff.shifted.length;
+  if (changeCount === 0) {
+    return (
+      <p className="text-sm text-gray-500">
+        Both versions schedule the same {diff.unchanged.length} activities in the same weeks.
+      </p>
+    );
+  }
+
+  return (
+    <ul className="space-y-2 text-sm">
+      {diff.added.map((entry, index) => (
+        <li key={`added-${index}`} className="flex items-start">
+          <FaPlusCircle className="mt-0.5 mr-2 text-green-600 flex-shrink-0" />
+          <span>
+            <span className="font-medium">{entry.name}</span> added
+            <span className="text-gray-500"> ({formatSpan(entry.to)})</span>
+          </span>
+        </li>
+      ))}
+      {diff.removed.map((entry, index) => (
+        <li key={`removed-${index}`} className="flex items-start">
+          <FaMinusCircle className="mt-0.5 mr-2 text-red-600 flex-shrink-0" />
+          <span>
+            <span className="font-medium">{entry.name}</span> removed
+            <span className="text-gray-500"> (was {formatSpan(entry.from)})</span>
+          </span>
+        </li>
+      ))}
+      {diff.shifted.map((entry, index) => (
+        <li key={`shifted-${index}`} className="flex items-start">
+          <FaExchangeAlt className="mt-0.5 mr-2 text-yellow-600 flex-shrink-0" />
+          <span>
+            <span className="font-medium">{entry.name}</span> moved from{" "}
+            {formatSpan(entry.from)} to {formatSpan(entry.to)}
+            <span className="text-gray-500"> ({formatShift(entry)})</span>
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+VersionDiff.propTypes = {
+  diff: PropTypes.shape({
+    added: PropTypes.array.isRequired,
+    removed: PropTypes.array.isRequired,
+    shifted: PropTypes.array.isRequired,
+    unchanged: PropTypes.array.isRequired,
+  }).isRequired,
+};
+
+const CalendarVersionHistory = ({ descriptor, title, onClose, onRolledBack, canRollback = true }) => {
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const versions = history?.versions || [];
+  const [compare, setCompare] = useState({ from: null, to: null });
+  const [rollingBack, setRollingBack] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const { dataType, region, district, commodity } = descriptor;
+  useEffect(() => {
+    calendarVersionService.getHistory({ dataType, region, district, commodity }).then((result) => {
+      const loaded = result.data?.versions || [];
+      setHistory(result.data);
+      setError(result.success ? null : `Could not load the version history: ${result.error}`);
+      setCompare({
+        from: loaded.length > 1 ? loaded[loaded.length - 2].version : null,
+        to: loaded[loaded.length - 1]?.version || null,
+      });
+      setLoading(false);
+    });
+  }, [dataType, region, district, commodity]);
+
+  const findVersion = (number) => versions.find((entry) => entry.version === number);
+  const fromVersion = findVersion(compare.from);
+  const toVersion = findVersion(compare.to);
+
+  const handleRollback = async (version) => {
+    const note = window.prompt(
+      `Roll back to version ${version.version}? Its workbook is uploaded again as a draft and becomes the current version once it is published from the Review Queue.\n\nNote for the version history:`,
+      `Rolled back to version ${version.version}`
+    );
+    if (note === null) return;
+
+    setRollingBack(version.version);
+    setError(null);
+    setNotice(null);
+    const result = await calendarVersionService.rollback(descriptor, version.version, note);
+    setRollingBack(null);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+
+    setNotice(`Version ${version.version} was uploaded again as a draft. Submit it for review from the Review Queue to publish it.`);
+    if (onRolledBack) onRolledBack(result.data);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900 flex items-center">
+              <FaHistory className="mr-2 text-green-600" />
+              Version History
+            </h3>
+            <p className="text-sm text-gray-500">{title}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" title="Close">
+            <FaTimes />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-6">
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-md p-3 text-sm text-red-700">
+              {error}
+            </div>
+          )}
+          {notice && (
+            <div className="bg-green-50 border border-green-200 rounded-md p-3 text-sm text-green-700">
+              {notice}
+            </div>
+          )}
+          {versions.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              {loading
+                ? "Loading..."
+                : "No versions recorded yet. A version is recorded each time an upload of this calendar is published."}
+            </p>
+          ) : (
+            <>
+
+              {/* Versions, newest first */}
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Version</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Published</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Note</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Changes</th>
+                      <th className="px-3 py-2 text-center text-xs font-medium text-gray-500 uppercase">Compare</th>
+                      <th className="px-3 py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {[...versions].reverse().map((version) => {
+                      const isCurrent = version.version === history.currentVersion;
+                      return (
+                        <tr key={version.version} className={isCurrent ? "bg-green-50" : ""}>
+                          <td className="px-3 py-2 whitespace-nowrap font-medium text-gray-900">
+                            v{version.version}
+                            {isCurrent && (
+                              <span className="ml-2 inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-green-100 text-green-800">
+                                Current
+                              </span>
+                            )}
+                          </td>
+                          <td className="px-3 py-2 whitespace-nowrap text-gray-700">
+                            <div>{version.publishedBy?.name}</div>
+                            <div className="text-xs text-gray-500">{formatDate(version.publishedAt)}</div>
+                          </td>
+                          <td className="px-3 py-2 text-gray-700">
+                            {version.note || <span className="text-gray-400">—</span>}
+                            {version.fileName && (
+                              <div className="text-xs text-gray-500">{version.fileName}</div>
+                            )}
+                          </td>
+                          <td className="px-3 py-2 text-gray-700">{version.changes}</td>
+                          <td className="px-3 py-2 whitespace-nowrap text-center">
+                            <input
+                              type="radio"
+                              name="compare-from"
+                              title="Compare from"
+                              checked={compare.from === version.version}
+                              onChange={() => setCompare({ ...compare, from: version.version })}
+                              className="mr-2"
+                            />
+                            <input
+                              type="radio"
+                              name="compare-to"
+                              title="Compare to"
+                              checked={compare.to === version.version}
+                              onChange={() => setCompare({ ...compare, to: version.version })}
+                            />
+                          </td>
+                          <td className="px-3 py-2 whitespace-nowrap text-right">
+                            {!isCurrent && canRollback && (
+                              <button
+                                onClick={() => handleRollback(version)}
+                                disabled={rollingBack !== null || !version.fileName}
+                                title={version.fileName ? "Upload this version again as a draft" : "This version has no stored workbook"}
+                                className="inline-flex items-center px-3 py-1 text-xs font-medium rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                              >
+                                <FaUndo className="mr-1" />
+                                {rollingBack === version.version ? "Rolling back..." : "Roll back"}
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+
+              {/* Activity-level diff */}
+              <div className="border border-gray-200 rounded-md p-4">
+                <h4 className="text-sm font-medium text-gray-900 mb-3">
+                  {fromVersion && toVersion && fromVersion !== toVersion
+                    ? `Changes from v${fromVersion.version} to v${toVersion.version}`
+                    : "Pick two versions to compare"}
+                </h4>
+                {fromVersion && toVersion && fromVersion !== toVersion && (
+                  <VersionDiff diff={calendarVersionService.diffVersions(fromVersion, toVersion)} />
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+CalendarVersionHistory.propTypes = {
+  descriptor: PropTypes.shape({
+    dataType: PropTypes.string.isRequired,
+    region: PropTypes.string,
+    district: PropTypes.string,
+    commodity: PropTypes.string,
+  }).isRequired,
+  title: PropTypes.string.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onRolledBack: PropTypes.func,
+  canRollback: PropTypes.bool,
+};
+
+export default CalendarVersionHistory;
@@ -0,0 +1,100 @@
+import { useState, useEffect } from 'react';
+import { FaWater, FaCloudRain } from 'react-icons/fa';
+import FileUploadForm from './FileUploadForm';
+import userService from '../../services/userService';
+import usePermissions from '../../hooks/usePermissions';
+import { PERMISSIONS } from '../../utils/accessControl';
+import { INCIDENT_DATA_TYPE, RAINFALL_DATA_TYPE } from '../../services/climateRiskService';
+
+// Column guide for each upload; names are matched case- and punctuation-insensitively
+const COLUMN_GUIDES = {
+  [INCIDENT_DATA_TYPE]: [
+    ['Date or Year', 'Event date (YYYY-MM-DD) or year'],
+    ['Hazard Type', 'Flood or Drought'],
+    ['District / District Code', 'e.g. Accra Metropolitan or DS004 (or Region for region-wide events)'],
+    ['People Affected', 'Number of people'],
+    ['Damages (GHS)', 'Economic loss in cedis'],
+    ['Sector', 'Optional: Agriculture, Infrastructure, Health, Economy']
+  ],
+  [RAINFALL_DATA_TYPE]: [
+    ['Date or Year + Month', 'Daily or monthly observation period'],
+    ['District / District Code', 'Station district (or Region for regional means)'],
+    ['Rainfall (mm)', 'Daily values are summed into monthly totals']
+  ]
+};
+
+const ClimateRiskDataManager = () => {
+  const [counts, setCounts] = useState({});
+  const { can, role } = usePermissions();
+  // Incident and rainfall files span the whole country
+  const canUpload = can(PERMISSIONS.UPLOAD_CONTENT) && role.scope === 'national';
+
+  useEffect(() => {
+    loadCounts();
+  }, []);
+
+  const loadCounts = async () => {
+    const [incidents, rainfall] = await Promise.all([
+      userService.getAgriculturalData(INCIDENT_DATA_TYPE),
+      userService.getAgriculturalData(RAINFALL_DATA_TYPE)
+    ]);
+    setCounts({
+      [INCIDENT_DATA_TYPE]: incidents.success ? incidents.data.length : null,
+      [RAINFALL_DATA_TYPE]: rainfall.success ? rainfall.data.length : null
+    });
+  };
+
+  const renderGuide = (dataType, title, Icon) => (
+    <div className="bg-gray-50 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-medium text-gray-800 flex items-center">
+          <Icon className="mr-2 text-blue-600" />
+          {title}
+        </h4>
+        <span className="text-sm text-gray-500">
+          {counts[dataType] === null || counts[dataType] === undefined
+            ? '—'
+            : `${counts[dataType]} records`}
+        </span>
+      </div>
+      <table className="min-w-full text-sm">
+        <tbody className="divide-y divide-gray-200">
+          {COLUMN_GUIDES[dataType].map(([column, description]) => (
+            <tr key={column}>
+              <td className="py-1 pr-4 font-medium text-gray-700 whitespace-nowrap">{column}</td>
+              <td className="py-1 text-gray-600">{description}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <div className="p-4 sm:p-6 space-y-6">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">Flood & Drought Data</h3>
+        <p className="text-sm text-gray-500">
+          Historical incidents and rainfall observations feed the drought indices, flood
+          exposure and resilience scores on the Flood & Drought page.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        {renderGuide(INCIDENT_DATA_TYPE, 'Hazard Incidents', FaWater)}
+        {renderGuide(RAINFALL_DATA_TYPE, 'Rainfall Observations', FaCloudRain)}
+      </div>
+
+      {canUpload ? (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <FileUploadForm reportType="Hazard Incident Data" onUploadSuccess={loadCounts} />
+          <FileUploadForm reportType="Rainfall Observation Data" onUploadSuccess={loadCounts} />
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">Only national admins can upload flood and drought data.</p>
+      )}
+    </div>
+  );
+};
+
+export default ClimateRiskDataManager;
@@ -106,13 +106,13 @@ const ContentManager = ({ dataType, title }) => {
     }
   };
 
-  const handleDelete = async (id) => {
+  const handleDelete = async (record) => {
     if (window.confirm("Are you sure you want to delete this record?")) {
       try {
-        const result = await userService.deleteAgriculturalData(dataType, id);
+        const result = await userService.deleteAgriculturalData(dataType, record.id, record);
         if (result.success) {
-          setData(data.filter(item => item.id !== id));
-          setSelectedItems(selectedItems.filter(item => item !== id));
+          setData(data.filter(item => item.id !== record.id));
+          setSelectedItems(selectedItems.filter(item => item !== record.id));
           // Reload data to ensure consistency
           loadData();
         } else {
@@ -131,7 +131,7 @@ const ContentManager = ({ dataType, title }) => {
     if (window.confirm(`Are you sure you want to delete ${selectedItems.length} selected records?`)) {
       try {
         const deletePromises = selectedItems.map(id => 
-          userService.deleteAgriculturalData(dataType, id)
+          userService.deleteAgriculturalData(dataType, id, data.find(item => item.id === id))
         );
         const results = await Promise.all(deletePromises);
         
@@ -252,7 +252,7 @@ const ContentManager = ({ dataType, title }) => {
                     <FaEdit />
                   </button>
                   <button 
-                    onClick={() => handleDelete(item.id)}
+                    onClick={() => handleDelete(item)}
                     className="text-red-600 hover:text-red-900"
                   >
                     <FaTrash />
@@ -285,7 +285,7 @@ const ContentManager = ({ dataType, title }) => {
                 <FaEdit />
               </button>
               <button 
-                onClick={() => handleDelete(item.id)}
+                onClick={() => handleDelete(item)}
                 className="text-red-600 hover:text-red-900"
               >
                 <FaTrash />
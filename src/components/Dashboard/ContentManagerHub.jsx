@@ -244,14 +244,25 @@ const ContentManagerHub = ({ dataType, onClose }) => {
 
   const handleSaveEdit = async () => {
     try {
-      // TODO: Backend API endpoint for updating records needs to be implemented
-      // For now, we'll show an honest message to users
-      toast.error('Edit functionality not yet implemented - backend API required');
-      console.log('Edit data that would be saved:', editFormData);
-
-      // Don't close modal or refresh since nothing was actually saved
-      // setEditModal({ isOpen: false, data: null });
-      // setRefreshTrigger(prev => prev + 1);
+      const original = editModal.data;
+      const updates = Object.fromEntries(
+        Object.entries(editFormData).filter(([key, value]) => value !== original[key])
+      );
+      if (Object.keys(updates).length === 0) {
+        setEditModal({ isOpen: false, data: null });
+        return;
+      }
+
+      const result = await userService.updateAgriculturalData(dataType, original.id, updates, original);
+      if (!result.success) {
+        toast.error(`Failed to update record: ${result.error}`);
+        return;
+      }
+
+      logger.userAction('Data record updated', { dataType, id: original.id, fields: Object.keys(updates) });
+      toast.success('Record updated');
+      setEditModal({ isOpen: false, data: null });
+      setRefreshTrigger(prev => prev + 1);
     } catch (error) {
       console.error('Edit save error:', error);
       toast.error('Failed to update record');
@@ -261,7 +272,7 @@ const ContentManagerHub = ({ dataType, onClose }) => {
   const handleDelete = async (row) => {
     if (window.confirm(`Are you sure you want to delete this ${config.title.toLowerCase()} record?`)) {
       try {
-        await userService.deleteAgriculturalData(dataType, row.id);
+        await userService.deleteAgriculturalData(dataType, row.id, row);
         logger.userAction('Data record deleted', { dataType, id: row.id });
         setRefreshTrigger(prev => prev + 1);
       } catch (error) {
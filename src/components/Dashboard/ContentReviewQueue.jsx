@@ -0,0 +1,395 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  FaClipboardCheck,
+  FaUserCheck,
+  FaComment,
+  FaClock,
+  FaHistory,
+} from "react-icons/fa";
+import PropTypes from "prop-types";
+import toast from "react-hot-toast";
+import contentWorkflowService, {
+  WORKFLOW_STATES,
+  WORKFLOW_TRANSITIONS,
+  CONTENT_TYPES,
+} from "../../services/contentWorkflowService";
+import userService from "../../services/userService";
+import usePermissions from "../../hooks/usePermissions";
+import { PERMISSIONS } from "../../utils/accessControl";
+
+const STATE_BADGES = {
+  gray: "bg-gray-100 text-gray-800",
+  yellow: "bg-yellow-100 text-yellow-800",
+  blue: "bg-blue-100 text-blue-800",
+  green: "bg-green-100 text-green-800",
+  red: "bg-red-100 text-red-800",
+};
+
+const TABS = [
+  { id: "queue", label: "Review queue" },
+  ...Object.values(WORKFLOW_STATES).map((state) => ({ id: state.id, label: state.label })),
+];
+
+const formatDate = (value) =>
+  new Date(value).toLocaleString("en-GB", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// Authors submit their drafts; every other move is a reviewer's decision
+const transitionPermission = (item, to) => (
+  item.state === "draft" && to === "in_review" ? PERMISSIONS.EDIT_CONTENT : PERMISSIONS.REVIEW_CONTENT
+);
+
+// <input type="datetime-local"> wants local time without a zone
+const toLocalInput = (value) => {
+  if (!value) return "";
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const StateBadge = ({ state }) => (
+  <span className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${STATE_BADGES[WORKFLOW_STATES[state].color]}`}>
+    {WORKFLOW_STATES[state].label}
+  </span>
+);
+
+StateBadge.propTypes = {
+  state: PropTypes.oneOf(Object.keys(WORKFLOW_STATES)).isRequired,
+};
+
+const WorkflowItemDetail = ({ item, onChange }) => {
+  const [reviewer, setReviewer] = useState({
+    name: item.reviewer?.name || "",
+    email: item.reviewer?.email || "",
+  });
+  const [comment, setComment] = useState("");
+  const [publishAt, setPublishAt] = useState(toLocalInput(item.scheduledPublishAt));
+  const { can } = usePermissions();
+  const canEdit = can(PERMISSIONS.EDIT_CONTENT, item);
+
+  const report = async (pending, message) => {
+    const result = await pending;
+    if (result.success) {
+      if (message) toast.success(message);
+      onChange();
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const handleTransition = (to, action) => {
+    report(contentWorkflowService.transition(item.id, to, comment), `${action}: ${item.title}`);
+    setComment("");
+  };
+
+  const handleAssignMe = () => {
+    const user = userService.getCurrentUser();
+    const me = {
+      name: user?.name || [user?.firstName, user?.lastName].filter(Boolean).join(" ") || user?.email || "",
+      email: user?.email || "",
+    };
+    setReviewer(me);
+    report(contentWorkflowService.assignReviewer(item.id, me), "Reviewer assigned");
+  };
+
+  const isClosed = item.state === "published" || item.state === "archived";
+  const transitions = WORKFLOW_TRANSITIONS[item.state].filter(({ to }) => can(transitionPermission(item, to), item));
+
+  return (
+    <div className="space-y-5">
+      <div>
+        <div className="flex items-center gap-2">
+          <h4 className="text-lg font-medium text-gray-900">{item.title}</h4>
+          <StateBadge state={item.state} />
+        </div>
+        <p className="text-sm text-gray-500">
+          {CONTENT_TYPES[item.contentType]}
+          {item.district && ` · ${item.district}`}
+          {item.region && `, ${item.region}`}
+          {item.commodity && ` · ${item.commodity}`}
+        </p>
+        <p className="text-xs text-gray-500 mt-1">
+          Uploaded by {item.createdBy.name} on {formatDate(item.createdAt)}
+        </p>
+      </div>
+
+      {/* Reviewer */}
+      <div>
+        <h5 className="text-sm font-medium text-gray-700 flex items-center mb-2">
+          <FaUserCheck className="mr-2 text-green-600" />
+          Reviewer
+        </h5>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <input
+            type="text"
+            value={reviewer.name}
+            onChange={(e) => setReviewer({ ...reviewer, name: e.target.value })}
+            placeholder="Name"
+            disabled={isClosed || !canEdit}
+            className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
+          />
+          <input
+            type="email"
+            value={reviewer.email}
+            onChange={(e) => setReviewer({ ...reviewer, email: e.target.value })}
+            placeholder="Email"
+            disabled={isClosed || !canEdit}
+            className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
+          />
+          {!isClosed && canEdit && (
+            <div className="flex gap-2">
+              <button
+                onClick={() => report(contentWorkflowService.assignReviewer(item.id, reviewer), "Reviewer assigned")}
+                className="px-3 py-2 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700"
+              >
+                Assign
+              </button>
+              <button
+                onClick={handleAssignMe}
+                className="px-3 py-2 text-sm font-medium rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 whitespace-nowrap"
+              >
+                Assign me
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Scheduled publish date */}
+      <div>
+        <h5 className="text-sm font-medium text-gray-700 flex items-center mb-2">
+          <FaClock className="mr-2 text-green-600" />
+          Scheduled publish
+        </h5>
+        {isClosed || !canEdit ? (
+          <p className="text-sm text-gray-600">
+            {item.publishedAt && `Published ${formatDate(item.publishedAt)}`}
+            {!item.publishedAt && (item.scheduledPublishAt ? `Publishes ${formatDate(item.scheduledPublishAt)} once approved` : "Not scheduled")}
+          </p>
+        ) : (
+          <div className="flex flex-col sm:flex-row gap-2 sm:items-center">
+            <input
+              type="datetime-local"
+              value={publishAt}
+              onChange={(e) => setPublishAt(e.target.value)}
+              className="px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
+            />
+            <button
+              onClick={() => report(
+                contentWorkflowService.schedulePublish(item.id, publishAt || null),
+                publishAt ? "Publish date scheduled" : "Schedule cleared"
+              )}
+              className="px-3 py-2 text-sm font-medium rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+            >
+              {publishAt ? "Save schedule" : "Clear schedule"}
+            </button>
+            <p className="text-xs text-gray-500">Published automatically once approved and the date has passed</p>
+          </div>
+        )}
+      </div>
+
+      {/* Comments */}
+      <div>
+        <h5 className="text-sm font-medium text-gray-700 flex items-center mb-2">
+          <FaComment className="mr-2 text-green-600" />
+          Comments
+        </h5>
+        {item.comments.length === 0 ? (
+          <p className="text-sm text-gray-500 mb-2">No comments yet.</p>
+        ) : (
+          <ul className="space-y-2 mb-3">
+            {item.comments.map((entry) => (
+              <li key={entry.id} className="bg-gray-50 rounded-md px-3 py-2">
+                <p className="text-xs text-gray-500">
+                  {entry.author.name} · {formatDate(entry.createdAt)}
+                </p>
+                <p className="text-sm text-gray-800 whitespace-pre-line">{entry.text}</p>
+              </li>
+            ))}
+          </ul>
+        )}
+        <textarea
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          rows={2}
+          placeholder="Add a comment; it is also attached to the next state change"
+          className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
+        />
+        <div className="flex flex-wrap gap-2 mt-2">
+          <button
+            onClick={() => {
+              report(contentWorkflowService.addComment(item.id, comment));
+              setComment("");
+            }}
+            disabled={!comment.trim()}
+            className="px-3 py-2 text-sm font-medium rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Add comment
+          </button>
+          {transitions.map(({ to, action }) => (
+            <button
+              key={to}
+              onClick={() => handleTransition(to, action)}
+              className={`px-3 py-2 text-sm font-medium rounded-md ${
+                to === "archived" || to === "draft"
+                  ? "border border-gray-300 text-gray-700 hover:bg-gray-50"
+                  : "text-white bg-green-600 hover:bg-green-700"
+              }`}
+            >
+              {action}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* History */}
+      <div>
+        <h5 className="text-sm font-medium text-gray-700 flex items-center mb-2">
+          <FaHistory className="mr-2 text-green-600" />
+          History
+        </h5>
+        <ul className="space-y-1 text-sm text-gray-700">
+          {[...item.history].reverse().map((entry, index) => (
+            <li key={index}>
+              <span className="text-gray-500">{formatDate(entry.at)}</span>{" "}
+              {entry.from ? `${WORKFLOW_STATES[entry.from].label} → ` : ""}
+              {WORKFLOW_STATES[entry.to].label} by {entry.by.name}
+              {entry.comment && <span className="text-gray-500"> · {entry.comment}</span>}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+WorkflowItemDetail.propTypes = {
+  item: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    contentType: PropTypes.string.isRequired,
+    state: PropTypes.string.isRequired,
+    region: PropTypes.string,
+    district: PropTypes.string,
+    commodity: PropTypes.string,
+    reviewer: PropTypes.object,
+    scheduledPublishAt: PropTypes.string,
+    publishedAt: PropTypes.string,
+    comments: PropTypes.array.isRequired,
+    history: PropTypes.array.isRequired,
+    createdBy: PropTypes.object.isRequired,
+    createdAt: PropTypes.string.isRequired,
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+const ContentReviewQueue = () => {
+  const { isInScope } = usePermissions();
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [activeTab, setActiveTab] = useState("queue");
+  const [selectedId, setSelectedId] = useState(null);
+
+  const refresh = useCallback(async () => {
+    const result = await contentWorkflowService.getItems();
+    // Regional and district staff only see content from their area
+    setItems(result.data.filter((item) => isInScope(item)));
+    setLoadError(result.success ? null : result.error);
+    setLoading(false);
+  }, [isInScope]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const queue = contentWorkflowService.getReviewQueue(items);
+  const visibleItems = activeTab === "queue"
+    ? items.filter((item) => queue.some((entry) => entry.id === item.id))
+    : items.filter((item) => item.state === activeTab)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  const selected = items.find((item) => item.id === selectedId) || visibleItems[0] || null;
+
+  const countFor = (tab) => (tab === "queue" ? queue.length : items.filter((item) => item.state === tab).length);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow px-4 sm:px-6 py-4">
+        <h3 className="text-lg font-medium text-gray-900 flex items-center">
+          <FaClipboardCheck className="mr-2 text-green-600" />
+          Content Review
+        </h3>
+        <p className="text-sm text-gray-500">
+          Uploaded advisories and calendars are drafts until they are reviewed, approved and published. Public pages show published content only.
+        </p>
+        {loadError && (
+          <p className="text-sm text-red-600 mt-2">Could not load the review queue: {loadError}</p>
+        )}
+        <div className="flex flex-wrap gap-2 mt-4">
+          {TABS.map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => {
+                setActiveTab(tab.id);
+                setSelectedId(null);
+              }}
+              className={`px-3 py-1 text-sm rounded-full ${
+                activeTab === tab.id
+                  ? "bg-green-600 text-white"
+                  : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+              }`}
+            >
+              {tab.label} ({countFor(tab.id)})
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Item list */}
+        <div className="bg-white rounded-lg shadow divide-y divide-gray-200">
+          {visibleItems.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-gray-500 text-center">{loading ? "Loading..." : "Nothing here."}</p>
+          ) : (
+            visibleItems.map((item) => (
+              <button
+                key={item.id}
+                onClick={() => setSelectedId(item.id)}
+                className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${selected?.id === item.id ? "bg-green-50" : ""}`}
+              >
+                <div className="flex justify-between items-start gap-2">
+                  <p className="text-sm font-medium text-gray-900">{item.title}</p>
+                  <StateBadge state={item.state} />
+                </div>
+                <p className="text-xs text-gray-500">
+                  {CONTENT_TYPES[item.contentType]}
+                  {item.district && ` · ${item.district}`}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {item.reviewer ? `Reviewer: ${item.reviewer.name}` : "No reviewer"}
+                  {item.scheduledPublishAt && ` · publishes ${formatDate(item.scheduledPublishAt)}`}
+                </p>
+              </button>
+            ))
+          )}
+        </div>
+
+        {/* Selected item */}
+        <div className="bg-white rounded-lg shadow px-4 sm:px-6 py-4 lg:col-span-2">
+          {selected ? (
+            <WorkflowItemDetail key={selected.id} item={selected} onChange={refresh} />
+          ) : (
+            <p className="text-sm text-gray-500">Select an item to review it.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ContentReviewQueue;
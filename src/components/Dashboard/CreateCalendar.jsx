@@ -5,9 +5,13 @@ import { districtOfGhana } from "../../districts";
 import { logger } from "../../utils/logger";
 import { validateFile, FileValidationError } from "../../utils/fileValidation";
 import userService from "../../services/userService";
+import contentWorkflowService from "../../services/contentWorkflowService";
+import usePermissions from "../../hooks/usePermissions";
+import { PERMISSIONS } from "../../utils/accessControl";
 import { toast } from "react-hot-toast";
 
 const CreateCropCalendar = ({ isOpen, onClose }) => {
+  const { can, access } = usePermissions();
   const [formData, setFormData] = useState({
     region: "",
     district: "",
@@ -96,6 +100,9 @@ const CreateCropCalendar = ({ isOpen, onClose }) => {
 
     if (!formData.region) newErrors.region = 'Region is required';
     if (!formData.district) newErrors.district = 'District is required';
+    else if (!can(PERMISSIONS.UPLOAD_CONTENT, { region: formData.region, district: formData.district })) {
+      newErrors.district = `As ${access} you cannot upload content for this district`;
+    }
     if (!formData.crop) newErrors.crop = 'Crop is required';
     if (!formData.majorExcel) newErrors.majorExcel = 'Major season Excel file is required';
     if (!formData.majorStartMonth) newErrors.majorStartMonth = 'Major season start month is required';
@@ -121,13 +128,27 @@ const CreateCropCalendar = ({ isOpen, onClose }) => {
     try {
       logger.info('Creating crop calendar with data:', formData);
 
+      // Calendars stay drafts until published through the review queue
+      const workflowId = contentWorkflowService.createWorkflowId('crop-calendar');
+
       // Call the new API endpoint
-      const result = await userService.createCropCalendar(formData);
+      const result = await userService.createCropCalendar({ ...formData, workflowId, status: 'draft' });
 
       logger.info('Crop calendar created successfully:', result.data);
 
+      const drafted = await contentWorkflowService.registerDraft({
+        workflowId,
+        contentType: 'crop-calendar',
+        recordId: result.data?.id || result.data?._id,
+        title: `${formData.crop} calendar`,
+        region: formData.region,
+        district: formData.district,
+        commodity: formData.crop,
+      });
+      if (!drafted.success) toast.error(`Saved, but it could not be added to the Review Queue: ${drafted.error}`);
+
       // Show success toast
-      toast.success(`🌾 ${formData.crop} calendar for ${formData.district}, ${formData.region} created successfully!`, {
+      toast.success(`🌾 ${formData.crop} calendar for ${formData.district}, ${formData.region} saved as a draft. Submit it for review from the Review Queue to publish it.`, {
         duration: 4000,
         position: 'top-right',
         icon: '✅',
@@ -8,7 +8,15 @@ import { toast } from 'react-hot-toast';
 import { getRegionDistrictMapping, getAllRegionNames, getDistrictsByRegionName } from '../../data/ghanaCodes';
 import { getSafeDistrictsByRegion, getSafeRegions } from '../../utils/regionDistrictHelpers';
 import { SafeDistrictOptions } from '../../components/common/SafeSelectOptions';
-import calendarPreviewParser from '../../utils/calendarPreviewParser';
+import calendarLayoutProfileService from '../../services/calendarLayoutProfileService';
+import calendarVersionService from '../../services/calendarVersionService';
+import contentWorkflowService from '../../services/contentWorkflowService';
+import importValidationService from '../../services/importValidationService';
+import usePermissions from '../../hooks/usePermissions';
+import useImportValidation from '../../hooks/useImportValidation';
+import { PERMISSIONS } from '../../utils/accessControl';
+import CalendarMappingWizard from '../common/CalendarMappingWizard';
+import ImportValidationSummary from './ImportValidationSummary';
 
 // Common crops in Ghana
 const ghanaCommonCrops = [
@@ -26,6 +34,7 @@ const months = [
 ];
 
 const CropCalendarForm = ({ isOpen, onClose, onSave }) => {
+  const { can, access } = usePermissions();
   const navigate = useNavigate();
   const [formData, setFormData] = useState({
     region: '',
@@ -34,12 +43,14 @@ const CropCalendarForm = ({ isOpen, onClose, onSave }) => {
     majorSeason: {
       file: null,
       startMonth: '',
-      startWeek: ''
+      startWeek: '',
+      layoutProfile: null
     },
     minorSeason: {
       file: null,
       startMonth: '',
-      startWeek: ''
+      startWeek: '',
+      layoutProfile: null
     }
   });
 
@@ -50,6 +61,13 @@ const CropCalendarForm = ({ isOpen, onClose, onSave }) => {
   const [errors, setErrors] = useState({});
   const [parsingPreview, setParsingPreview] = useState(false);
   const [previewError, setPreviewError] = useState(null);
+  const seasonChecks = {
+    majorSeason: useImportValidation(),
+    minorSeason: useImportValidation()
+  };
+  // { season, result, preview } while the layout mapping wizard is open
+  const [mappingRequest, setMappingRequest] = useState(null);
+  const [versionNote, setVersionNote] = useState('');
 
   // Get regions using safe helpers with error handling
   const { regions: safeRegions } = getSafeRegions();
@@ -137,6 +155,10 @@ const CropCalendarForm = ({ isOpen, onClose, onSave }) => {
     if (errors[field]) {
       setErrors(prev => ({ ...prev, [field]: '' }));
     }
+    // The district's saved layout profile may read the files differently
+    if (field === 'district') {
+      ['majorSeason', 'minorSeason'].forEach(season => checkSeasonFile(season, { ...formData[season], district: value }));
+    }
   };
 
   const handleSeasonChange = (season, field, value) => {
@@ -155,20 +177,36 @@ const CropCalendarForm = ({ isOpen, onClose, onSave }) => {
         ...prev,
         [season]: {
           ...prev[season],
-          file: file
+          file: file,
+          layoutProfile: null
         }
       }));
+      checkSeasonFile(season, { file, layoutProfile: null, district: formData.district });
     }
   };
 
+  // Check the activity rows of a season file, read with the layout it will be saved with
+  const checkSeasonFile = (season, { file, layoutProfile, district }) => {
+    if (!file) {
+      seasonChecks[season].reset();
+      return;
+    }
+    seasonChecks[season].check(async () => importValidationService.validateFile(file, 'crop-calendar', {
+      layoutProfile: layoutProfile || await calendarLayoutProfileService.getProfileForDistrict(district),
+      district
+    }));
+  };
+
   const removeFile = (season) => {
     setFormData(prev => ({
       ...prev,
       [season]: {
         ...prev[season],
-        file: null
+        file: null,
+        layoutProfile: null
       }
     }));
+    seasonChecks[season].reset();
   };
 
   const validateForm = () => {
@@ -176,9 +214,14 @@ const CropCalendarForm = ({ isOpen, onClose, onSave }) => {
 
     if (!formData.region) newErrors.region = 'Region is required';
     if (!formData.district) newErrors.district = 'District is required';
+    else if (!can(PERMISSIONS.UPLOAD_CONTENT, { region: formData.region, district: formData.district })) {
+      newErrors.district = `As ${access} you cannot upload content for this district`;
+    }
     if (!formData.crop) newErrors.crop = 'Crop is required';
 
     if (!formData.majorSeason.file) newErrors.majorSeasonFile = 'Major season file is required';
+    else if (seasonChecks.majorSeason.blockedReason) newErrors.majorSeasonFile = seasonChecks.majorSeason.blockedReason;
+    if (seasonChecks.minorSeason.blockedReason) newErrors.minorSeasonFile = seasonChecks.minorSeason.blockedReason;
     // Make start month optional for easier testing
     // if (!formData.majorSeason.startMonth) newErrors.majorSeasonMonth = 'Major season start month is required';
 
@@ -186,6 +229,18 @@ const CropCalendarForm = ({ isOpen, onClose, onSave }) => {
     return Object.keys(newErrors).length === 0;
   };
 
+  // A layout mapped for this upload wins over the district's saved profile.
+  // Rows left out by "import only the valid rows" are dropped here too, so
+  // the preview and the saved version match what is imported.
+  const parseSeasonFile = async (season) => importValidationService.withoutExcludedRows(
+    await calendarLayoutProfileService.parseWithProfile(
+      formData[season].file,
+      { region: formData.region, district: formData.district, crop: formData.crop },
+      formData[season].layoutProfile || await calendarLayoutProfileService.getProfileForDistrict(formData.district)
+    ),
+    seasonChecks[season].excludedRows
+  );
+
   const generatePreviewData = async () => {
     if (!formData.majorSeason.file) {
       setPreviewError('Please upload a major season Excel file first.');
@@ -196,18 +251,11 @@ const CropCalendarForm = ({ isOpen, onClose, onSave }) => {
     setPreviewError(null);
 
     try {
-      // Parse the major season file with enhanced parser
-      const majorSeasonData = await calendarPreviewParser.parseCalendarForPreview(
-        formData.majorSeason.file,
-        { region: formData.region, district: formData.district, crop: formData.crop }
-      );
+      const majorSeasonData = await parseSeasonFile('majorSeason');
 
       let minorSeasonData = null;
       if (formData.minorSeason.file) {
-        minorSeasonData = await calendarPreviewParser.parseCalendarForPreview(
-          formData.minorSeason.file,
-          { region: formData.region, district: formData.district, crop: formData.crop }
-        );
+        minorSeasonData = await parseSeasonFile('minorSeason');
       }
 
       // Combine the data for preview
@@ -237,41 +285,71 @@ const CropCalendarForm = ({ isOpen, onClose, onSave }) => {
   const handlePreview = async () => {
     if (validateForm()) {
       const preview = await generatePreviewData();
-      if (preview) {
-        // Store preview data in localStorage for the preview page
-        localStorage.setItem('calendarPreviewData', JSON.stringify(preview.majorSeason));
-        
-        // PRESERVE FORM DATA: Store form data for when user returns from preview
-        const formDataForRestore = {
-          region: formData.region,
-          district: formData.district,
-          crop: formData.crop,
-          majorSeason: {
-            ...formData.majorSeason,
-            // Don't store File object, just metadata
-            fileName: formData.majorSeason.file?.name,
-            startMonth: formData.majorSeason.startMonth,
-            startWeek: formData.majorSeason.startWeek
-          },
-          minorSeason: {
-            ...formData.minorSeason,
-            // Don't store File object, just metadata  
-            fileName: formData.minorSeason.file?.name,
-            startMonth: formData.minorSeason.startMonth,
-            startWeek: formData.minorSeason.startWeek
-          }
-        };
-        localStorage.setItem('calendarFormData', JSON.stringify(formDataForRestore));
-        
-        // Set session flag to indicate we're going to preview
-        sessionStorage.setItem('returningFromCalendarPreview', 'true');
-        
-        // Navigate to the full-page preview
-        navigate('/production/calendar-preview');
-      }
+      if (preview) reviewPreview(preview);
+    }
+  };
+
+  // Files that could not be read go through the mapping wizard before the preview opens
+  const reviewPreview = (preview) => {
+    const season = ['majorSeason', 'minorSeason']
+      .find(key => preview[key] && calendarLayoutProfileService.needsMapping(preview[key]));
+    if (season) {
+      setMappingRequest({ season, result: preview[season], preview });
+    } else {
+      openPreview(preview);
+    }
+  };
+
+  const handleMapLayout = async (season) => {
+    const result = await parseSeasonFile(season);
+    setMappingRequest({ season, result, preview: null });
+  };
+
+  const handleMappingApply = (result, layoutProfile) => {
+    const { season, preview } = mappingRequest;
+    setMappingRequest(null);
+    handleSeasonChange(season, 'layoutProfile', layoutProfile);
+    checkSeasonFile(season, { file: formData[season].file, layoutProfile, district: formData.district });
+    if (preview) {
+      reviewPreview({ ...preview, [season]: result });
+    } else {
+      toast.success(`Layout mapped: ${result.data.activities.length} activities found`);
     }
   };
 
+  const openPreview = (preview) => {
+    // Store preview data in localStorage for the preview page
+    localStorage.setItem('calendarPreviewData', JSON.stringify(preview.majorSeason));
+    
+    // PRESERVE FORM DATA: Store form data for when user returns from preview
+    const formDataForRestore = {
+      region: formData.region,
+      district: formData.district,
+      crop: formData.crop,
+      majorSeason: {
+        ...formData.majorSeason,
+        // Don't store File object, just metadata
+        fileName: formData.majorSeason.file?.name,
+        startMonth: formData.majorSeason.startMonth,
+        startWeek: formData.majorSeason.startWeek
+      },
+      minorSeason: {
+        ...formData.minorSeason,
+        // Don't store File object, just metadata  
+        fileName: formData.minorSeason.file?.name,
+        startMonth: formData.minorSeason.startMonth,
+        startWeek: formData.minorSeason.startWeek
+      }
+    };
+    localStorage.setItem('calendarFormData', JSON.stringify(formDataForRestore));
+    
+    // Set session flag to indicate we're going to preview
+    sessionStorage.setItem('returningFromCalendarPreview', 'true');
+    
+    // Navigate to the full-page preview
+    navigate('/production/calendar-preview');
+  };
+
   const handleSave = async () => {
     console.log('🌾 CropCalendar: Save button clicked - BUTTON IS WORKING!');
     console.log('🌾 CropCalendar: Current form state:', {
@@ -292,7 +370,7 @@ const CropCalendarForm = ({ isOpen, onClose, onSave }) => {
       console.log('❌ CropCalendar: Please fill ALL required fields and try again');
 
       // Show user feedback
-      alert('Please fill all required fields:\n- Region\n- District\n- Crop\n- Excel file\n\n(Start month is optional)');
+      alert('Please fill all required fields:\n- Region\n- District\n- Crop\n- Excel file without row problems\n\n(Start month is optional)');
       return;
     }
 
@@ -309,9 +387,18 @@ const CropCalendarForm = ({ isOpen, onClose, onSave }) => {
       
       // Add major season data
       if (formData.majorSeason.file) {
-        submitData.append('file', formData.majorSeason.file); // Use 'file' as the backend expects
+        const upload = await seasonChecks.majorSeason.prepareUpload(formData.majorSeason.file);
+        submitData.append('file', upload.file); // Use 'file' as the backend expects
+        // Activity rows with problems, left out when importing only the valid rows
+        if (upload.excludedRows) {
+          submitData.append('excludedRows', JSON.stringify(upload.excludedRows));
+        }
         submitData.append('majorSeasonMonth', formData.majorSeason.startMonth);
         submitData.append('majorSeasonWeek', formData.majorSeason.startWeek);
+        // Rows and columns an admin mapped by hand, for files auto-detection cannot read
+        if (formData.majorSeason.layoutProfile) {
+          submitData.append('layoutMapping', JSON.stringify(formData.majorSeason.layoutProfile.mapping));
+        }
       }
       
       // Add minor season data if provided
@@ -320,11 +407,45 @@ const CropCalendarForm = ({ isOpen, onClose, onSave }) => {
         submitData.append('minorSeasonWeek', formData.minorSeason.startWeek);
       }
 
+      // Snapshot the activities and form fields before upload adds dataType
+      const parsed = await parseSeasonFile('majorSeason');
+      const upload = calendarVersionService.splitFormData(submitData);
+
+      // Calendars stay drafts until published through the review queue
+      const workflowId = contentWorkflowService.createWorkflowId('crop-calendar');
+      submitData.append('workflowId', workflowId);
+      submitData.append('status', 'draft');
+
       // Submit using agricultural data service
       const result = await userService.uploadAgriculturalData(submitData, 'crop-calendar');
       
       if (result.success) {
-        toast.success(`🌾 ${formData.crop} calendar for ${formData.district}, ${formData.region} created successfully!`, {
+        const drafted = await contentWorkflowService.registerDraft({
+          workflowId,
+          contentType: 'crop-calendar',
+          recordId: result.data?.data?.id || result.data?.id,
+          title: `${formData.crop} calendar`,
+          region: formData.region,
+          district: formData.district,
+          commodity: formData.crop
+        });
+        if (!drafted.success) toast.error(`Saved, but it could not be added to the Review Queue: ${drafted.error}`);
+
+        // Becomes the calendar's next version once the draft is published
+        const staged = await calendarVersionService.stageVersion({
+          dataType: 'crop-calendar',
+          region: formData.region,
+          district: formData.district,
+          commodity: formData.crop,
+          ...upload,
+          parseResult: parsed,
+          workflowId,
+          recordId: result.data?.data?.id || result.data?.id || null,
+          note: versionNote
+        });
+        if (!staged.success) toast.error(`Saved, but its version could not be recorded: ${staged.error}`);
+
+        toast.success(`🌾 ${formData.crop} calendar for ${formData.district}, ${formData.region} saved as a draft. Submit it for review from the Review Queue to publish it.`, {
           duration: 4000,
           position: 'top-right',
           icon: '✅',
@@ -343,11 +464,14 @@ const CropCalendarForm = ({ isOpen, onClose, onSave }) => {
           region: '',
           district: '',
           crop: '',
-          majorSeason: { file: null, startMonth: '', startWeek: '' },
-          minorSeason: { file: null, startMonth: '', startWeek: '' }
+          majorSeason: { file: null, startMonth: '', startWeek: '', layoutProfile: null },
+          minorSeason: { file: null, startMonth: '', startWeek: '', layoutProfile: null }
         });
+        seasonChecks.majorSeason.reset();
+        seasonChecks.minorSeason.reset();
         setPreviewData(null);
         setShowPreview(false);
+        setVersionNote('');
       } else {
         throw new Error(result.error || result.message || 'Failed to save crop calendar');
       }
@@ -526,6 +650,21 @@ const CropCalendarForm = ({ isOpen, onClose, onSave }) => {
                       </div>
                       {errors.majorSeasonFile && <p className="text-red-500 text-xs mt-1">{errors.majorSeasonFile}</p>}
                       <p className="text-gray-500 text-xs mt-1">Upload Excel1</p>
+                      <ImportValidationSummary
+                        report={seasonChecks.majorSeason.report}
+                        status={seasonChecks.majorSeason.status}
+                        error={seasonChecks.majorSeason.error}
+                        importValidOnly={seasonChecks.majorSeason.importValidOnly}
+                        onImportValidOnly={seasonChecks.majorSeason.setImportValidOnly}
+                      />
+                      {formData.majorSeason.file && (
+                        <button
+                          onClick={() => handleMapLayout('majorSeason')}
+                          className="text-xs text-blue-600 hover:text-blue-800 mt-1"
+                        >
+                          {formData.majorSeason.layoutProfile ? `Layout: ${formData.majorSeason.layoutProfile.name} (edit)` : 'Map layout manually'}
+                        </button>
+                      )}
                     </div>
 
                     <div>
@@ -591,7 +730,23 @@ const CropCalendarForm = ({ isOpen, onClose, onSave }) => {
                           </button>
                         )}
                       </div>
+                      {errors.minorSeasonFile && <p className="text-red-500 text-xs mt-1">{errors.minorSeasonFile}</p>}
                       <p className="text-gray-500 text-xs mt-1">Upload Excel2</p>
+                      <ImportValidationSummary
+                        report={seasonChecks.minorSeason.report}
+                        status={seasonChecks.minorSeason.status}
+                        error={seasonChecks.minorSeason.error}
+                        importValidOnly={seasonChecks.minorSeason.importValidOnly}
+                        onImportValidOnly={seasonChecks.minorSeason.setImportValidOnly}
+                      />
+                      {formData.minorSeason.file && (
+                        <button
+                          onClick={() => handleMapLayout('minorSeason')}
+                          className="text-xs text-blue-600 hover:text-blue-800 mt-1"
+                        >
+                          {formData.minorSeason.layoutProfile ? `Layout: ${formData.minorSeason.layoutProfile.name} (edit)` : 'Map layout manually'}
+                        </button>
+                      )}
                     </div>
 
                     <div>
@@ -627,6 +782,19 @@ const CropCalendarForm = ({ isOpen, onClose, onSave }) => {
                 </div>
               </div>
 
+              {/* Version note */}
+              <div className="mt-6">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Version note</label>
+                <input
+                  type="text"
+                  value={versionNote}
+                  onChange={(e) => setVersionNote(e.target.value)}
+                  placeholder="What changed in this upload? (optional)"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
+                />
+                <p className="text-gray-500 text-xs mt-1">Saved with your name in the calendar&apos;s version history</p>
+              </div>
+
               {/* Action Buttons */}
               <div className="flex justify-between items-center mt-8">
                 <div className="flex space-x-2">
@@ -677,6 +845,17 @@ const CropCalendarForm = ({ isOpen, onClose, onSave }) => {
 
         </div>
       </div>
+
+      {mappingRequest && (
+        <CalendarMappingWizard
+          file={formData[mappingRequest.season].file}
+          metadata={{ region: formData.region, district: formData.district, crop: formData.crop }}
+          initialResult={mappingRequest.result}
+          initialProfile={formData[mappingRequest.season].layoutProfile || mappingRequest.result.layoutProfile}
+          onApply={handleMappingApply}
+          onCancel={() => setMappingRequest(null)}
+        />
+      )}
     </div>
   );
 };
@@ -13,12 +13,23 @@ import CropCalendarForm from "./CropCalendarForm";
 import PoultryCalendarForm from "./PoultryCalendarForm";
 import CalendarDataPreview from "./CalendarDataPreview";
 import AgrometAdvisoryManager from "./AgrometAdvisoryManager";
+import DekadBulletinManager from "./DekadBulletinManager";
+import ClimateRiskDataManager from "./ClimateRiskDataManager";
 import PoultryAdvisoryManager from "./PoultryAdvisoryManager";
+import SmsDisseminationManager from "./SmsDisseminationManager";
+import CalendarParserChecks from "./CalendarParserChecks";
+import ContentReviewQueue from "./ContentReviewQueue";
+import AuditLogViewer from "./AuditLogViewer";
+import Emergency from "./Emergency";
+import ReportsTable from "./ReportsTable";
 import EnhancedCalendarUpload from "../EnhancedCalendarUpload";
 import EnhancedCalendarViewer from "../EnhancedCalendarViewer";
 import ProductionCycleManager from "../ProductionCycleManager";
 import ProfileDropdown from "../common/ProfileDropdown";
 import userService from "../../services/userService";
+import reportService from "../../services/reportService";
+import usePermissions from "../../hooks/usePermissions";
+import { PERMISSIONS } from "../../utils/accessControl";
 
 const Dashboard = () => {
   const [searchParams, setSearchParams] = useSearchParams();
@@ -31,11 +42,13 @@ const Dashboard = () => {
   const [recentUploads, setRecentUploads] = useState([]);
   const [notifications, setNotifications] = useState([]);
   const [sidebarOpen, setSidebarOpen] = useState(false);
+  const { can, canAccessPage } = usePermissions();
 
   // Load user data and agricultural statistics
   useEffect(() => {
     loadUserData();
     loadAgriculturalStats();
+    reportService.runDueReports();
   }, []);
 
   // AUTO-OPEN MODAL: Only open if explicitly requested or returning from preview
@@ -59,6 +72,15 @@ const Dashboard = () => {
     }
   }, [searchParams, setSearchParams]); // React to URL changes
 
+  // Deep links to a dashboard page, e.g. ?page=content-management-sms-dissemination
+  useEffect(() => {
+    const page = searchParams.get('page');
+    if (page) {
+      if (canAccessPage(page)) setActivePage(page);
+      setSearchParams({});
+    }
+  }, [searchParams, setSearchParams, canAccessPage]);
+
   // Auto-refresh recent uploads every 30 seconds when on dashboard
   useEffect(() => {
     let intervalId;
@@ -201,6 +223,9 @@ const Dashboard = () => {
   };
 
   const handleNavigate = (page) => {
+    // Pages the role cannot open are hidden in the sidebar; deep links land here too
+    if (!canAccessPage(page)) return;
+
     setIsLoading(true);
     setActivePage(page);
     
@@ -293,10 +318,26 @@ const Dashboard = () => {
         return "Manage Crop Calendars";
       case "content-management-agromet-advisory":
         return "Manage Agromet Advisories";
+      case "content-management-dekad-bulletin":
+        return "Manage Dekad Bulletins";
+      case "content-management-climate-risk":
+        return "Manage Flood & Drought Data";
       case "content-management-poultry-calendar":
         return "Manage Poultry Calendars";
       case "content-management-poultry-advisory":
         return "Manage Poultry Advisories";
+      case "content-management-sms-dissemination":
+        return "SMS Dissemination";
+      case "content-management-calendar-parser-checks":
+        return "Calendar Parser Checks";
+      case "content-management-review-queue":
+        return "Content Review Queue";
+      case "content-management-audit-log":
+        return "Audit Log";
+      case "emergency":
+        return "Emergency Alerts";
+      case "reports":
+        return "Reports";
       case "enhanced-calendar-upload":
         return "Enhanced Calendar Upload";
       case "enhanced-calendar-viewer":
@@ -476,42 +517,44 @@ const Dashboard = () => {
                     </div>
 
                     {/* Quick Actions */}
-                    <div className="bg-white rounded-lg shadow p-4 sm:p-6">
-                      <h3 className="text-lg font-semibold text-gray-900 mb-4">Quick Actions</h3>
-                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
-                        <button
-                          onClick={() => handleNavigate("agricultural-crop-calendar")}
-                          className="flex items-center p-3 bg-green-50 rounded-lg hover:bg-green-100 transition-colors"
-                        >
-                          <FaCalendarAlt className="text-green-600 mr-3" />
-                          <span className="text-sm font-medium text-green-800">Upload Crop Calendar</span>
-                        </button>
+                    {can(PERMISSIONS.UPLOAD_CONTENT) && (
+                      <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+                        <h3 className="text-lg font-semibold text-gray-900 mb-4">Quick Actions</h3>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                          <button
+                            onClick={() => handleNavigate("agricultural-crop-calendar")}
+                            className="flex items-center p-3 bg-green-50 rounded-lg hover:bg-green-100 transition-colors"
+                          >
+                            <FaCalendarAlt className="text-green-600 mr-3" />
+                            <span className="text-sm font-medium text-green-800">Upload Crop Calendar</span>
+                          </button>
                         
-                        <button
-                          onClick={() => handleNavigate("agricultural-agromet-advisory")}
-                          className="flex items-center p-3 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors"
-                        >
-                          <FaCloudSun className="text-blue-600 mr-3" />
-                          <span className="text-sm font-medium text-blue-800">Upload Advisories</span>
-                        </button>
+                          <button
+                            onClick={() => handleNavigate("agricultural-agromet-advisory")}
+                            className="flex items-center p-3 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors"
+                          >
+                            <FaCloudSun className="text-blue-600 mr-3" />
+                            <span className="text-sm font-medium text-blue-800">Upload Advisories</span>
+                          </button>
                         
-                        <button
-                          onClick={() => handleNavigate("agricultural-poultry-calendar")}
-                          className="flex items-center p-3 bg-purple-50 rounded-lg hover:bg-purple-100 transition-colors"
-                        >
-                          <FaSeedling className="text-purple-600 mr-3" />
-                          <span className="text-sm font-medium text-purple-800">Upload Poultry Calendar</span>
-                        </button>
+                          <button
+                            onClick={() => handleNavigate("agricultural-poultry-calendar")}
+                            className="flex items-center p-3 bg-purple-50 rounded-lg hover:bg-purple-100 transition-colors"
+                          >
+                            <FaSeedling className="text-purple-600 mr-3" />
+                            <span className="text-sm font-medium text-purple-800">Upload Poultry Calendar</span>
+                          </button>
                         
-                        <button
-                          onClick={() => handleNavigate("agricultural-poultry-advisory")}
-                          className="flex items-center p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors"
-                        >
-                          <FaUsers className="text-gray-600 mr-3" />
-                          <span className="text-sm font-medium text-gray-800">Upload Poultry Advisory</span>
-                        </button>
+                          <button
+                            onClick={() => handleNavigate("agricultural-poultry-advisory")}
+                            className="flex items-center p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors"
+                          >
+                            <FaUsers className="text-gray-600 mr-3" />
+                            <span className="text-sm font-medium text-gray-800">Upload Poultry Advisory</span>
+                          </button>
+                        </div>
                       </div>
-                    </div>
+                    )}
                   </div>
                 </>
               )}
@@ -537,12 +580,36 @@ const Dashboard = () => {
                   {activePage === "content-management-agromet-advisory" && (
                     <AgrometAdvisoryManager />
                   )}
+                  {activePage === "content-management-dekad-bulletin" && (
+                    <DekadBulletinManager />
+                  )}
+                  {activePage === "content-management-climate-risk" && (
+                    <ClimateRiskDataManager />
+                  )}
                   {activePage === "content-management-poultry-advisory" && (
                     <PoultryAdvisoryManager />
                   )}
+                  {activePage === "content-management-sms-dissemination" && (
+                    <SmsDisseminationManager />
+                  )}
+                  {activePage === "content-management-calendar-parser-checks" && (
+                    <CalendarParserChecks />
+                  )}
+                  {activePage === "content-management-review-queue" && (
+                    <ContentReviewQueue />
+                  )}
+                  {activePage === "content-management-audit-log" && (
+                    <AuditLogViewer />
+                  )}
                 </div>
               )}
 
+              {/* Reports */}
+              {activePage === "reports" && <ReportsTable />}
+
+              {/* Emergency Broadcasts */}
+              {activePage === "emergency" && <Emergency />}
+
               {/* Agricultural Data Pages */}
               {activePage.startsWith("agricultural-") && !activePage.startsWith("content-management-") && (
                 <div className="bg-white rounded-lg shadow">
@@ -590,13 +657,13 @@ const Dashboard = () => {
 
       {/* Form Modals */}
       <CropCalendarForm
-        isOpen={showCropCalendarForm}
+        isOpen={showCropCalendarForm && can(PERMISSIONS.UPLOAD_CONTENT)}
         onClose={() => setShowCropCalendarForm(false)}
         onSave={handleCropCalendarSave}
       />
 
       <PoultryCalendarForm
-        isOpen={showPoultryCalendarForm}
+        isOpen={showPoultryCalendarForm && can(PERMISSIONS.UPLOAD_CONTENT)}
         onClose={() => setShowPoultryCalendarForm(false)}
         onSave={handlePoultryCalendarSave}
       />
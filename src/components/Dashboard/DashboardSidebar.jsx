@@ -1,4 +1,5 @@
 import { useState } from "react";
+import { Link } from "react-router-dom";
 import {
   FaTachometerAlt,
   FaBell,
@@ -14,13 +15,21 @@ import {
   FaChartBar,
   FaCog,
   FaStar,
-  FaFileAlt
+  FaFileAlt,
+  FaSms,
+  FaMobileAlt,
+  FaVial,
+  FaClipboardCheck,
+  FaClipboardList,
+  FaChartLine
 } from "react-icons/fa";
 import PropTypes from "prop-types";
+import usePermissions from "../../hooks/usePermissions";
 
 const Sidebar = ({ activePage, onNavigate }) => {
   const [calendarManagementExpanded, setCalendarManagementExpanded] = useState(true);
   const [advisoryManagementExpanded, setAdvisoryManagementExpanded] = useState(false);
+  const { canAccessPage, access } = usePermissions();
 
   const toggleCalendarManagement = () => {
     setCalendarManagementExpanded(!calendarManagementExpanded);
@@ -35,6 +44,7 @@ const Sidebar = ({ activePage, onNavigate }) => {
       <div className="h-screen w-72 bg-green-800 text-white flex flex-col fixed left-0 top-0 shadow-lg">
         <div className="p-4 border-b border-green-700">
           <h1 className="text-xl font-bold">TriAgro AI Admin</h1>
+          <p className="text-xs text-green-200 mt-1">{access}</p>
         </div>
 
         <nav className="flex-1 overflow-y-auto py-4">
@@ -54,12 +64,27 @@ const Sidebar = ({ activePage, onNavigate }) => {
               </button>
             </li>
 
+            {/* Editorial review of uploaded content */}
+            <li>
+              <button
+                onClick={() => onNavigate("content-management-review-queue")}
+                className={`w-full flex items-center px-4 py-3 text-sm rounded-lg transition-all ${
+                  activePage === "content-management-review-queue"
+                    ? "bg-green-700 shadow-md"
+                    : "hover:bg-green-700 hover:shadow-sm"
+                }`}
+              >
+                <FaClipboardCheck className="mr-3" />
+                <span>Review Queue</span>
+              </button>
+            </li>
+
             {/* Calendar Management */}
             <li>
               <button
                 onClick={toggleCalendarManagement}
                 className={`w-full flex items-center justify-between px-4 py-3 text-sm rounded-lg transition-all ${
-                  activePage.startsWith("calendar") || activePage.startsWith("agricultural-crop") || activePage.startsWith("agricultural-poultry") || activePage.startsWith("enhanced-calendar")
+                  activePage.startsWith("calendar") || activePage.startsWith("agricultural-crop") || activePage.startsWith("agricultural-poultry") || activePage.startsWith("enhanced-calendar") || activePage === "content-management-calendar-parser-checks"
                     ? "bg-green-700 shadow-md"
                     : "hover:bg-green-700 hover:shadow-sm"
                 }`}
@@ -103,6 +128,21 @@ const Sidebar = ({ activePage, onNavigate }) => {
                       <span>Poultry Calendars</span>
                     </button>
                   </li>
+                  {canAccessPage("content-management-calendar-parser-checks") && (
+                    <li>
+                      <button
+                        onClick={() => onNavigate("content-management-calendar-parser-checks")}
+                        className={`w-full flex items-center px-4 py-2 text-sm rounded-lg transition-all ${
+                          activePage === "content-management-calendar-parser-checks"
+                            ? "bg-green-600"
+                            : "hover:bg-green-600"
+                        }`}
+                      >
+                        <FaVial className="mr-3 text-sm" />
+                        <span>Parser Checks</span>
+                      </button>
+                    </li>
+                  )}
                 </ul>
               )}
             </li>
@@ -112,7 +152,7 @@ const Sidebar = ({ activePage, onNavigate }) => {
               <button
                 onClick={toggleAdvisoryManagement}
                 className={`w-full flex items-center justify-between px-4 py-3 text-sm rounded-lg transition-all ${
-                  activePage.startsWith("advisory") || activePage.startsWith("agricultural-agromet") || activePage.startsWith("content-management-agromet") || activePage.startsWith("content-management-poultry-advisory")
+                  activePage.startsWith("advisory") || activePage.startsWith("agricultural-agromet") || activePage.startsWith("content-management-agromet") || activePage.startsWith("content-management-poultry-advisory") || activePage === "content-management-sms-dissemination"
                     ? "bg-green-700 shadow-md"
                     : "hover:bg-green-700 hover:shadow-sm"
                 }`}
@@ -143,6 +183,32 @@ const Sidebar = ({ activePage, onNavigate }) => {
                       <span>Agromet Advisories</span>
                     </button>
                   </li>
+                  <li>
+                    <button
+                      onClick={() => onNavigate("content-management-dekad-bulletin")}
+                      className={`w-full flex items-center px-4 py-2 text-sm rounded-lg transition-all ${
+                        activePage === "content-management-dekad-bulletin"
+                          ? "bg-green-600"
+                          : "hover:bg-green-600"
+                      }`}
+                    >
+                      <FaNewspaper className="mr-3 text-sm" />
+                      <span>Dekad Bulletins</span>
+                    </button>
+                  </li>
+                  <li>
+                    <button
+                      onClick={() => onNavigate("content-management-climate-risk")}
+                      className={`w-full flex items-center px-4 py-2 text-sm rounded-lg transition-all ${
+                        activePage === "content-management-climate-risk"
+                          ? "bg-green-600"
+                          : "hover:bg-green-600"
+                      }`}
+                    >
+                      <FaChartBar className="mr-3 text-sm" />
+                      <span>Flood & Drought Data</span>
+                    </button>
+                  </li>
                   <li>
                     <button
                       onClick={() => onNavigate("content-management-poultry-advisory")}
@@ -156,6 +222,21 @@ const Sidebar = ({ activePage, onNavigate }) => {
                       <span>Poultry Advisories</span>
                     </button>
                   </li>
+                  {canAccessPage("content-management-sms-dissemination") && (
+                    <li>
+                      <button
+                        onClick={() => onNavigate("content-management-sms-dissemination")}
+                        className={`w-full flex items-center px-4 py-2 text-sm rounded-lg transition-all ${
+                          activePage === "content-management-sms-dissemination"
+                            ? "bg-green-600"
+                            : "hover:bg-green-600"
+                        }`}
+                      >
+                        <FaSms className="mr-3 text-sm" />
+                        <span>SMS Dissemination</span>
+                      </button>
+                    </li>
+                  )}
                 </ul>
               )}
             </li>
@@ -163,33 +244,81 @@ const Sidebar = ({ activePage, onNavigate }) => {
             <div className="border-t border-green-700 my-2"></div>
 
             {/* System Tools */}
-            <li>
-              <button
-                onClick={() => onNavigate("emergency")}
-                className={`w-full flex items-center px-4 py-3 text-sm rounded-lg transition-all ${
-                  activePage === "emergency"
-                    ? "bg-green-700 shadow-md"
-                    : "hover:bg-green-700 hover:shadow-sm"
-                }`}
-              >
-                <FaBell className="mr-3" />
-                <span>Emergency Alerts</span>
-              </button>
-            </li>
+            {canAccessPage("reports") && (
+              <li>
+                <button
+                  onClick={() => onNavigate("reports")}
+                  className={`w-full flex items-center px-4 py-3 text-sm rounded-lg transition-all ${
+                    activePage === "reports"
+                      ? "bg-green-700 shadow-md"
+                      : "hover:bg-green-700 hover:shadow-sm"
+                  }`}
+                >
+                  <FaChartLine className="mr-3" />
+                  <span>Reports</span>
+                </button>
+              </li>
+            )}
 
-            <li>
-              <button
-                onClick={() => onNavigate("news")}
-                className={`w-full flex items-center px-4 py-3 text-sm rounded-lg transition-all ${
-                  activePage === "news"
-                    ? "bg-green-700 shadow-md" 
-                    : "hover:bg-green-700 hover:shadow-sm"
-                }`}
-              >
-                <FaNewspaper className="mr-3" />
-                <span>News Management</span>
-              </button>
-            </li>
+            {canAccessPage("content-management-audit-log") && (
+              <li>
+                <button
+                  onClick={() => onNavigate("content-management-audit-log")}
+                  className={`w-full flex items-center px-4 py-3 text-sm rounded-lg transition-all ${
+                    activePage === "content-management-audit-log"
+                      ? "bg-green-700 shadow-md"
+                      : "hover:bg-green-700 hover:shadow-sm"
+                  }`}
+                >
+                  <FaClipboardList className="mr-3" />
+                  <span>Audit Log</span>
+                </button>
+              </li>
+            )}
+
+            {canAccessPage("emergency") && (
+              <li>
+                <button
+                  onClick={() => onNavigate("emergency")}
+                  className={`w-full flex items-center px-4 py-3 text-sm rounded-lg transition-all ${
+                    activePage === "emergency"
+                      ? "bg-green-700 shadow-md"
+                      : "hover:bg-green-700 hover:shadow-sm"
+                  }`}
+                >
+                  <FaBell className="mr-3" />
+                  <span>Emergency Alerts</span>
+                </button>
+              </li>
+            )}
+
+            {canAccessPage("news") && (
+              <li>
+                <button
+                  onClick={() => onNavigate("news")}
+                  className={`w-full flex items-center px-4 py-3 text-sm rounded-lg transition-all ${
+                    activePage === "news"
+                      ? "bg-green-700 shadow-md" 
+                      : "hover:bg-green-700 hover:shadow-sm"
+                  }`}
+                >
+                  <FaNewspaper className="mr-3" />
+                  <span>News Management</span>
+                </button>
+              </li>
+            )}
+
+            {canAccessPage("ussd-simulator") && (
+              <li>
+                <Link
+                  to="/ussd-simulator"
+                  className="w-full flex items-center px-4 py-3 text-sm rounded-lg transition-all hover:bg-green-700 hover:shadow-sm"
+                >
+                  <FaMobileAlt className="mr-3" />
+                  <span>USSD Simulator</span>
+                </Link>
+              </li>
+            )}
           </ul>
         </nav>
 
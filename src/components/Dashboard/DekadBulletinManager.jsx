@@ -0,0 +1,300 @@
+import { useState, useEffect } from 'react';
+import {
+  FaEye,
+  FaTrash,
+  FaPlus,
+  FaDownload,
+  FaLink
+} from 'react-icons/fa';
+import DekadBulletinUpload from './DekadBulletinUpload';
+import usePermissions from '../../hooks/usePermissions';
+import { PERMISSIONS } from '../../utils/accessControl';
+import dekadBulletinService from '../../services/dekadBulletinService';
+import TemplateGenerationService from '../../services/templateGenerationService';
+import { GHANA_REGIONS } from '../../data/ghanaCodes';
+
+const formatAnomaly = (value, unit) => {
+  if (value === null || value === undefined) return '—';
+  return `${value > 0 ? '+' : ''}${value}${unit}`;
+};
+
+const rainfallStatusClass = {
+  'above normal': 'bg-blue-100 text-blue-800',
+  'near normal': 'bg-green-100 text-green-800',
+  'below normal': 'bg-yellow-100 text-yellow-800',
+  unknown: 'bg-gray-100 text-gray-700',
+};
+
+const DekadBulletinManager = () => {
+  const [data, setData] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedRegionCode, setSelectedRegionCode] = useState('');
+  const [selectedYear, setSelectedYear] = useState('');
+  const [showUploadModal, setShowUploadModal] = useState(false);
+  const { can, role } = usePermissions();
+  // Bulletins cover whole regions, so district officers cannot upload them
+  const canUpload = can(PERMISSIONS.UPLOAD_CONTENT) && role.scope !== 'district';
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await dekadBulletinService.getBulletins();
+      if (result.success) {
+        setData(result.data || []);
+      } else {
+        setError(result.error || 'Failed to load dekad bulletins');
+      }
+    } catch (err) {
+      setError(err.message || 'An error occurred while loading data');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const filteredData = data.filter(item => {
+    const matchesRegion = selectedRegionCode === '' || item.regionCode === selectedRegionCode;
+    const matchesYear = selectedYear === '' || item.year === Number(selectedYear);
+    return matchesRegion && matchesYear;
+  });
+
+  const uniqueYears = [...new Set(data.map(item => item.year))].sort((a, b) => b - a);
+
+  const handleDelete = async (item) => {
+    if (window.confirm('Are you sure you want to delete this bulletin?')) {
+      const result = await dekadBulletinService.deleteBulletin(item.id, item);
+      if (result.success) {
+        loadData();
+      } else {
+        setError(result.error || 'Failed to delete bulletin');
+      }
+    }
+  };
+
+  const handleCopyLink = async (item) => {
+    const url = `${window.location.origin}${dekadBulletinService.getBulletinPath(item.regionCode, item.year, item.dekad)}`;
+    try {
+      await navigator.clipboard.writeText(url);
+    } catch (err) {
+      console.error('Failed to copy bulletin link:', err);
+      window.prompt('Copy this bulletin link:', url);
+    }
+  };
+
+  const handleDownloadTemplate = () => {
+    try {
+      TemplateGenerationService.downloadTemplate('dekad-bulletin', {
+        regionCode: selectedRegionCode || 'REG01',
+        year: selectedYear || new Date().getFullYear()
+      });
+    } catch (error) {
+      console.error('Error downloading template:', error);
+      alert('Error generating template. Please try again.');
+    }
+  };
+
+  const handleUploadSuccess = () => {
+    setShowUploadModal(false);
+    loadData();
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-500"></div>
+        <span className="ml-2 text-gray-600">Loading dekad bulletins...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      {/* Header */}
+      <div className="px-4 sm:px-6 py-4 border-b border-gray-200">
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center space-y-3 sm:space-y-0">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Dekad Bulletin Management</h3>
+            <p className="text-sm text-gray-500">
+              {filteredData.length} bulletins found from {data.length} total records
+            </p>
+          </div>
+          <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2 w-full sm:w-auto">
+            <button
+              onClick={handleDownloadTemplate}
+              className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 flex items-center justify-center"
+            >
+              <FaDownload className="mr-2" />
+              Download Template
+            </button>
+            {canUpload && (
+              <button
+                onClick={() => setShowUploadModal(true)}
+                className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center justify-center"
+              >
+                <FaPlus className="mr-2" />
+                Upload Bulletins
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="px-4 sm:px-6 py-3 bg-red-50 border-b border-red-200 flex justify-between items-center">
+          <p className="text-sm text-red-700">{error}</p>
+          <button
+            onClick={loadData}
+            className="text-sm bg-red-100 hover:bg-red-200 text-red-800 px-3 py-1 rounded"
+          >
+            Try Again
+          </button>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="px-4 sm:px-6 py-4 bg-gray-50 border-b border-gray-200">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <select
+            value={selectedRegionCode}
+            onChange={(e) => setSelectedRegionCode(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 text-sm"
+          >
+            <option value="">All Regions</option>
+            {Object.values(GHANA_REGIONS).map(region => (
+              <option key={region.code} value={region.code}>{region.code} - {region.name}</option>
+            ))}
+          </select>
+          <select
+            value={selectedYear}
+            onChange={(e) => setSelectedYear(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 text-sm"
+          >
+            <option value="">All Years</option>
+            {uniqueYears.map(year => (
+              <option key={year} value={year}>{year}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => {
+              setSelectedRegionCode('');
+              setSelectedYear('');
+            }}
+            className="px-3 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 text-sm"
+          >
+            Clear Filters
+          </button>
+        </div>
+      </div>
+
+      {/* Data Display */}
+      {filteredData.length === 0 ? (
+        <div className="px-6 py-8 text-center">
+          <div className="text-gray-400 mb-4">
+            <FaEye className="mx-auto h-12 w-12" />
+          </div>
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No Dekad Bulletins Available</h3>
+          <p className="text-gray-500 mb-4">
+            No dekad bulletins have been published yet. Upload an Excel sheet with one row per region and dekad.
+          </p>
+          {canUpload && (
+            <button
+              onClick={() => setShowUploadModal(true)}
+              className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center mx-auto"
+            >
+              <FaPlus className="mr-2" />
+              Upload Your First Bulletin
+            </button>
+          )}
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                {['Region', 'Dekad', 'Rainfall', 'vs Normal', 'Tmax / Tmin Anomaly', 'Crop Impact'].map(header => (
+                  <th key={header} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {header}
+                  </th>
+                ))}
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {filteredData.map(item => (
+                <tr key={item.id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">
+                      {item.regionCode} - {item.regionName}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{item.label}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {item.rainfall.observed} mm
+                    {item.rainfall.normal !== null && (
+                      <span className="text-gray-500"> / {item.rainfall.normal} mm</span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${rainfallStatusClass[item.rainfall.status]}`}>
+                      {formatAnomaly(item.rainfall.anomalyPercent, '%')} ({item.rainfall.status})
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {formatAnomaly(item.temperature.maxAnomaly, '°C')} / {formatAnomaly(item.temperature.minAnomaly, '°C')}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-700 max-w-xs truncate" title={item.cropImpact}>
+                    {item.cropImpact || '—'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                    <div className="flex justify-end space-x-2">
+                      <a
+                        href={dekadBulletinService.getBulletinPath(item.regionCode, item.year, item.dekad)}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-blue-600 hover:text-blue-900"
+                        title="View Bulletin"
+                      >
+                        <FaEye />
+                      </a>
+                      <button
+                        onClick={() => handleCopyLink(item)}
+                        className="text-green-600 hover:text-green-900"
+                        title="Copy Link"
+                      >
+                        <FaLink />
+                      </button>
+                      {can(PERMISSIONS.DELETE_CONTENT, item) && (
+                        <button
+                          onClick={() => handleDelete(item)}
+                          className="text-red-600 hover:text-red-900"
+                          title="Delete"
+                        >
+                          <FaTrash />
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <DekadBulletinUpload
+        isOpen={showUploadModal}
+        onClose={() => setShowUploadModal(false)}
+        onSave={handleUploadSuccess}
+      />
+    </div>
+  );
+};
+
+export default DekadBulletinManager;
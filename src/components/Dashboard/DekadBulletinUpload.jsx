@@ -0,0 +1,438 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  FaFileUpload,
+  FaDownload,
+  FaTimes,
+  FaCheck,
+  FaExclamationTriangle,
+  FaInfo
+} from 'react-icons/fa';
+import * as XLSX from 'xlsx';
+import { GHANA_REGIONS } from '../../data/ghanaCodes';
+import dekadBulletinService from '../../services/dekadBulletinService';
+import importValidationService from '../../services/importValidationService';
+import TemplateGenerationService from '../../services/templateGenerationService';
+import useImportValidation from '../../hooks/useImportValidation';
+import ImportValidationSummary from './ImportValidationSummary';
+
+const formatAnomaly = (value, unit) => {
+  if (value === null || value === undefined) return '—';
+  return `${value > 0 ? '+' : ''}${value}${unit}`;
+};
+
+const DekadBulletinUpload = ({ isOpen, onClose, onSave }) => {
+  const [formData, setFormData] = useState({
+    regionCode: '',
+    year: new Date().getFullYear(),
+    file: null
+  });
+
+  const [uploadStep, setUploadStep] = useState(1); // 1: Select, 2: Preview, 3: Confirm
+  const [loading, setLoading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(0);
+  const [records, setRecords] = useState([]);
+  // { file, records } to publish: the whole file, or only its valid rows
+  const [upload, setUpload] = useState(null);
+  const [errors, setErrors] = useState({});
+  const rowCheck = useImportValidation();
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+    if (errors[field]) {
+      setErrors(prev => ({ ...prev, [field]: '' }));
+    }
+  };
+
+  // Bulletins in every sheet of a workbook; the Region and Year selects fill in missing columns
+  const readBulletins = async (file) => {
+    const arrayBuffer = await file.arrayBuffer();
+    const workbook = XLSX.read(arrayBuffer, { type: 'array' });
+
+    const parsedRecords = [];
+    const parseErrors = [];
+    workbook.SheetNames.forEach(sheetName => {
+      const worksheet = workbook.Sheets[sheetName];
+      const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+
+      // Filter out empty rows
+      const filteredData = jsonData.filter(row => row.some(cell => cell !== undefined && cell !== ''));
+      if (filteredData.length < 2) return;
+
+      const defaults = { year: Number(formData.year) };
+      if (formData.regionCode) defaults.regionCode = formData.regionCode;
+
+      const result = dekadBulletinService.parseBulletinRows(filteredData[0], filteredData.slice(1), defaults);
+      parsedRecords.push(...result.records);
+      parseErrors.push(...result.errors.map(message => `${sheetName}: ${message}`));
+    });
+    return { records: dekadBulletinService.sortBulletins(parsedRecords), errors: parseErrors };
+  };
+
+  const handleFileChange = async (file) => {
+    if (!file) return;
+
+    setLoading(true);
+    try {
+      const defaults = { year: Number(formData.year) };
+      if (formData.regionCode) defaults.region = formData.regionCode;
+      rowCheck.check(() => importValidationService.validateFile(file, 'dekad-bulletin', { defaults }));
+
+      // Rows with problems are listed by the row check, so only the bulletins are kept here
+      const { records: parsedRecords, errors: parseErrors } = await readBulletins(file);
+      setRecords(parsedRecords);
+      setFormData(prev => ({ ...prev, file }));
+
+      if (parsedRecords.length > 0 || parseErrors.length > 0) {
+        setUploadStep(2);
+      } else {
+        setErrors({ file: 'No bulletin rows found in the file.' });
+      }
+    } catch (error) {
+      console.error('Error parsing file:', error);
+      setErrors({ file: 'Error parsing Excel file. Please check the format.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.file) newErrors.file = 'File is required';
+    if (!Number.isInteger(Number(formData.year))) newErrors.year = 'Year is required';
+    if (records.length === 0) newErrors.records = 'The file contains no valid bulletin rows';
+    else if (rowCheck.blockedReason) newErrors.records = rowCheck.blockedReason;
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handlePreview = async () => {
+    if (!validateForm()) return;
+
+    try {
+      const prepared = await rowCheck.prepareUpload(formData.file);
+      const publishRecords = prepared.file === formData.file ? records : (await readBulletins(prepared.file)).records;
+      setUpload({ file: prepared.file, records: publishRecords });
+      setUploadStep(3);
+    } catch (error) {
+      console.error('Error preparing the valid rows:', error);
+      setErrors({ records: `Could not prepare the valid rows: ${error.message}` });
+    }
+  };
+
+  const handleSave = async () => {
+    if (!validateForm() || !upload) return;
+
+    setLoading(true);
+    setUploadProgress(0);
+
+    try {
+      const formDataToSubmit = new FormData();
+      formDataToSubmit.append('regionCode', formData.regionCode);
+      formDataToSubmit.append('year', formData.year);
+      formDataToSubmit.append('records', JSON.stringify(upload.records));
+      formDataToSubmit.append('file', upload.file);
+
+      // Progress simulation
+      const progressInterval = setInterval(() => {
+        setUploadProgress(prev => Math.min(prev + 10, 90));
+      }, 200);
+
+      const result = await dekadBulletinService.uploadBulletins(formDataToSubmit, (progress) => {
+        setUploadProgress(progress);
+      });
+
+      clearInterval(progressInterval);
+      setUploadProgress(100);
+
+      if (result.success) {
+        onSave(result.data);
+        setTimeout(() => {
+          handleReset();
+          onClose();
+        }, 1000);
+      } else {
+        throw new Error(result.error || 'Upload failed');
+      }
+    } catch (error) {
+      console.error('Upload error:', error);
+      setErrors({ submit: 'Failed to upload bulletins: ' + error.message });
+    } finally {
+      setLoading(false);
+      setUploadProgress(0);
+    }
+  };
+
+  const handleReset = () => {
+    setFormData({
+      regionCode: '',
+      year: new Date().getFullYear(),
+      file: null
+    });
+    setUploadStep(1);
+    setRecords([]);
+    setUpload(null);
+    rowCheck.reset();
+    setErrors({});
+    setUploadProgress(0);
+  };
+
+  const handleDownloadTemplate = () => {
+    try {
+      TemplateGenerationService.downloadTemplate('dekad-bulletin', {
+        regionCode: formData.regionCode || 'REG01',
+        year: formData.year
+      });
+    } catch (error) {
+      console.error('Error downloading template:', error);
+      alert('Error generating template. Please try again.');
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const currentYear = new Date().getFullYear();
+  const yearOptions = Array.from({ length: 6 }, (_, i) => currentYear - i);
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto bg-black bg-opacity-50 flex items-start sm:items-center justify-center p-2 sm:p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-6xl max-h-screen sm:max-h-[95vh] overflow-y-auto mt-2 sm:mt-0">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center p-4 sm:p-6 border-b border-gray-200 sticky top-0 bg-white z-10 space-y-3 sm:space-y-0">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Upload Dekad Bulletins</h2>
+            <div className="flex flex-wrap items-center mt-2 gap-2 sm:gap-4">
+              {['Select & Upload', 'Preview Data', 'Confirm & Save'].map((label, index) => (
+                <div key={label} className={`flex items-center text-sm ${uploadStep >= index + 1 ? 'text-blue-600' : 'text-gray-400'}`}>
+                  <div className={`w-6 h-6 rounded-full flex items-center justify-center mr-2 text-xs font-semibold ${uploadStep >= index + 1 ? 'bg-blue-600 text-white' : 'bg-gray-300 text-gray-600'}`}>{index + 1}</div>
+                  {label}
+                </div>
+              ))}
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 p-1 rounded-full hover:bg-gray-100"
+          >
+            <FaTimes className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="p-4 sm:p-6">
+          {/* Step 1: Select & Upload */}
+          {uploadStep === 1 && (
+            <div className="space-y-6">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Default Region
+                  </label>
+                  <select
+                    value={formData.regionCode}
+                    onChange={(e) => handleInputChange('regionCode', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">Use the Region Code column</option>
+                    {Object.values(GHANA_REGIONS).map(region => (
+                      <option key={region.code} value={region.code}>{region.code} - {region.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Year *
+                  </label>
+                  <select
+                    value={formData.year}
+                    onChange={(e) => handleInputChange('year', Number(e.target.value))}
+                    className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                      errors.year ? 'border-red-500' : 'border-gray-300'
+                    }`}
+                  >
+                    {yearOptions.map(year => (
+                      <option key={year} value={year}>{year}</option>
+                    ))}
+                  </select>
+                  {errors.year && <p className="text-red-500 text-xs mt-1">{errors.year}</p>}
+                </div>
+              </div>
+
+              <div className="bg-blue-50 border border-blue-200 rounded-md p-4 flex">
+                <FaInfo className="text-blue-600 mt-0.5 mr-3 flex-shrink-0" />
+                <p className="text-sm text-blue-800">
+                  One row per region and dekad (1-36). Rainfall is compared against the normal
+                  column and temperature anomalies are calculated from the normal max/min columns.
+                  The Region Code and Year columns override the defaults above.
+                </p>
+              </div>
+
+              <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center">
+                <FaFileUpload className="mx-auto h-10 w-10 text-gray-400 mb-3" />
+                <label className="cursor-pointer inline-flex items-center px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700">
+                  {loading ? 'Reading file...' : 'Choose Excel File'}
+                  <input
+                    type="file"
+                    accept=".xlsx,.xls,.csv"
+                    onChange={(e) => handleFileChange(e.target.files[0])}
+                    className="hidden"
+                    disabled={loading}
+                  />
+                </label>
+                {errors.file && <p className="text-red-500 text-sm mt-2">{errors.file}</p>}
+              </div>
+
+              <div className="flex justify-start">
+                <button
+                  onClick={handleDownloadTemplate}
+                  className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 flex items-center"
+                >
+                  <FaDownload className="mr-2" />
+                  Download Template
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Step 2: Preview */}
+          {uploadStep === 2 && (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-600">
+                {records.length} bulletin{records.length === 1 ? '' : 's'} ready from {formData.file?.name}
+              </p>
+
+              {rowCheck.status !== 'ready' && (
+                <div className="bg-yellow-50 border border-yellow-200 rounded-md p-4">
+                  <div className="flex items-center text-yellow-800 font-medium text-sm">
+                    <FaExclamationTriangle className="mr-2" />
+                    Row check
+                  </div>
+                  <ImportValidationSummary
+                    report={rowCheck.report}
+                    status={rowCheck.status}
+                    error={rowCheck.error}
+                    importValidOnly={rowCheck.importValidOnly}
+                    onImportValidOnly={rowCheck.setImportValidOnly}
+                  />
+                </div>
+              )}
+
+              <div className="overflow-x-auto border border-gray-200 rounded-md">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {['Region', 'Dekad', 'Rainfall (mm)', 'Normal (mm)', 'Anomaly', 'Tmax Anomaly', 'Tmin Anomaly', 'Crop Impact'].map(header => (
+                        <th key={header} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          {header}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {records.map(record => (
+                      <tr key={record.id}>
+                        <td className="px-4 py-2 whitespace-nowrap">{record.regionName}</td>
+                        <td className="px-4 py-2 whitespace-nowrap">{record.label}</td>
+                        <td className="px-4 py-2">{record.rainfall.observed}</td>
+                        <td className="px-4 py-2">{record.rainfall.normal ?? '—'}</td>
+                        <td className="px-4 py-2 whitespace-nowrap">{formatAnomaly(record.rainfall.anomalyPercent, '%')}</td>
+                        <td className="px-4 py-2">{formatAnomaly(record.temperature.maxAnomaly, '°C')}</td>
+                        <td className="px-4 py-2">{formatAnomaly(record.temperature.minAnomaly, '°C')}</td>
+                        <td className="px-4 py-2 max-w-xs truncate" title={record.cropImpact}>{record.cropImpact || '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {errors.records && <p className="text-red-500 text-sm">{errors.records}</p>}
+
+              <div className="flex justify-between">
+                <button
+                  onClick={handleReset}
+                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300"
+                >
+                  Start Over
+                </button>
+                <button
+                  onClick={handlePreview}
+                  disabled={records.length === 0}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Continue
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Step 3: Confirm & Save */}
+          {uploadStep === 3 && upload && (
+            <div className="space-y-4">
+              <div className="bg-green-50 border border-green-200 rounded-md p-4 text-sm text-green-800">
+                <div className="flex items-center font-medium mb-1">
+                  <FaCheck className="mr-2" />
+                  Ready to publish {upload.records.length} dekad bulletin{upload.records.length === 1 ? '' : 's'}
+                </div>
+                <p>
+                  Regions: {[...new Set(upload.records.map(record => record.regionName))].join(', ')}
+                </p>
+                {upload.file !== formData.file && (
+                  <p>
+                    Rows with problems are left out.
+                  </p>
+                )}
+                <p>
+                  Existing bulletins for the same region, year and dekad will be replaced.
+                </p>
+              </div>
+
+              {loading && (
+                <div>
+                  <div className="flex justify-between text-sm text-blue-700 mb-1">
+                    <span>Uploading bulletins...</span>
+                    <span>{uploadProgress}%</span>
+                  </div>
+                  <div className="w-full bg-blue-200 rounded-full h-2">
+                    <div
+                      className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                      style={{ width: `${uploadProgress}%` }}
+                    ></div>
+                  </div>
+                </div>
+              )}
+
+              {errors.submit && <p className="text-red-500 text-sm">{errors.submit}</p>}
+
+              <div className="flex justify-between">
+                <button
+                  onClick={() => setUploadStep(2)}
+                  disabled={loading}
+                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300"
+                >
+                  Back
+                </button>
+                <button
+                  onClick={handleSave}
+                  disabled={loading}
+                  className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50 flex items-center"
+                >
+                  <FaFileUpload className="mr-2" />
+                  {loading ? 'Uploading...' : 'Publish Bulletins'}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+DekadBulletinUpload.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired,
+};
+
+export default DekadBulletinUpload;
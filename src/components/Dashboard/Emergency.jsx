@@ -1,7 +1,557 @@
-import React from "react";
+import { useState, useEffect, useCallback } from "react";
+import {
+  MapContainer,
+  TileLayer,
+  GeoJSON,
+  Polygon,
+  Polyline,
+  CircleMarker,
+  useMapEvents,
+} from "react-leaflet";
+import "leaflet/dist/leaflet.css";
+import {
+  FaBell,
+  FaDrawPolygon,
+  FaLanguage,
+  FaTimes,
+  FaUndo,
+  FaBan,
+} from "react-icons/fa";
+import PropTypes from "prop-types";
+import toast from "react-hot-toast";
+import emergencyAlertService, {
+  EMERGENCY_HAZARDS,
+  EMERGENCY_SEVERITIES,
+} from "../../services/emergencyAlertService";
+import boundaryService from "../../services/boundaryService";
+import translationService from "../../services/translationService";
+import { GHANA_REGIONS, getDistrictName } from "../../data/ghanaCodes";
+
+const MAP_CENTER = [7.9465, -1.0232];
+const DEFAULT_DURATION_HOURS = 24;
+
+const SEVERITY_FILL = { low: "#FACC15", medium: "#F97316", high: "#DC2626" };
+
+const SEVERITY_BADGES = {
+  low: "bg-yellow-100 text-yellow-800",
+  medium: "bg-orange-100 text-orange-800",
+  high: "bg-red-100 text-red-800",
+};
+
+// Every supported language except English, the language messages are written in
+const TRANSLATION_LANGUAGES = Object.values(translationService.getSupportedLanguages())
+  .filter((language) => language.code !== "en");
+
+// <input type="datetime-local"> wants local time without a zone
+const toLocalInput = (date) =>
+  new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+const defaultExpiry = () => toLocalInput(new Date(Date.now() + DEFAULT_DURATION_HOURS * 60 * 60 * 1000));
+
+const formatDate = (value) =>
+  new Date(value).toLocaleString("en-GB", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const emptyForm = () => ({
+  hazard: "flood",
+  severity: "medium",
+  title: "",
+  message: "",
+  translations: {},
+  expiresAt: defaultExpiry(),
+});
+
+// Clicks on the map add corners to the area being drawn
+const DrawingClicks = ({ drawing, onPoint }) => {
+  useMapEvents({
+    click: (e) => {
+      if (drawing) onPoint([e.latlng.lng, e.latlng.lat]);
+    },
+  });
+  return null;
+};
+
+DrawingClicks.propTypes = {
+  drawing: PropTypes.bool.isRequired,
+  onPoint: PropTypes.func.isRequired,
+};
+
+// District map: click districts to toggle them, or draw an area around them
+const AffectedAreaMap = ({ selectedCodes, severity, drawing, draftPoints, area, onToggleDistrict, onDraftPoint }) => {
+  const style = useCallback(
+    (feature) => {
+      const isSelected = selectedCodes.includes(feature.properties.code);
+      return {
+        fillColor: isSelected ? SEVERITY_FILL[severity] : "#9CA3AF",
+        fillOpacity: isSelected ? 0.6 : 0.15,
+        color: isSelected ? "#7F1D1D" : "#ffffff",
+        weight: isSelected ? 1.5 : 0.8,
+      };
+    },
+    [selectedCodes, severity]
+  );
+
+  const toLatLng = ([lng, lat]) => [lat, lng];
+  const draftPositions = draftPoints.map(toLatLng);
+
+  return (
+    <MapContainer
+      center={MAP_CENTER}
+      zoom={6}
+      scrollWheelZoom={true}
+      className="h-[420px] w-full rounded-md z-0"
+    >
+      <TileLayer
+        attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+        url="https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png"
+      />
+      <GeoJSON
+        data={boundaryService.getDistrictFeatures()}
+        style={style}
+        onEachFeature={(feature, layer) => {
+          layer.bindTooltip(feature.properties.name, { sticky: true });
+        }}
+        eventHandlers={{
+          // While drawing, the click bubbles up to DrawingClicks instead
+          click: (e) => {
+            if (!drawing && e.layer.feature.properties.code) onToggleDistrict(e.layer.feature.properties.code);
+          },
+        }}
+      />
+      <DrawingClicks drawing={drawing} onPoint={onDraftPoint} />
+      {area && !drawing && (
+        <Polygon
+          positions={area.map(toLatLng)}
+          interactive={false}
+          pathOptions={{ color: "#7F1D1D", weight: 2, dashArray: "6 4", fillOpacity: 0 }}
+        />
+      )}
+      {drawing && draftPositions.length >= 3 && (
+        <Polygon
+          positions={draftPositions}
+          interactive={false}
+          pathOptions={{ color: "#F59E0B", weight: 2, dashArray: "4 4", fillOpacity: 0.15 }}
+        />
+      )}
+      {drawing && draftPositions.length === 2 && (
+        <Polyline
+          positions={draftPositions}
+          interactive={false}
+          pathOptions={{ color: "#F59E0B", weight: 2, dashArray: "4 4" }}
+        />
+      )}
+      {drawing &&
+        draftPositions.map((position, index) => (
+          <CircleMarker
+            key={`${position[0]}-${position[1]}-${index}`}
+            center={position}
+            radius={4}
+            interactive={false}
+            pathOptions={{ color: "#B45309", fillColor: "#FBBF24", fillOpacity: 1, weight: 1 }}
+          />
+        ))}
+    </MapContainer>
+  );
+};
+
+AffectedAreaMap.propTypes = {
+  selectedCodes: PropTypes.arrayOf(PropTypes.string).isRequired,
+  severity: PropTypes.string.isRequired,
+  drawing: PropTypes.bool.isRequired,
+  draftPoints: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)).isRequired,
+  area: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)),
+  onToggleDistrict: PropTypes.func.isRequired,
+  onDraftPoint: PropTypes.func.isRequired,
+};
 
 const Emergency = () => {
-  return <div>Emergency</div>;
+  const [form, setForm] = useState(emptyForm);
+  const [districtCodes, setDistrictCodes] = useState([]);
+  const [area, setArea] = useState(null);
+  const [draftPoints, setDraftPoints] = useState(null);
+  const [translating, setTranslating] = useState(false);
+  const [error, setError] = useState(null);
+  const [alerts, setAlerts] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    const loadAlerts = async () => {
+      const result = await emergencyAlertService.getAlerts();
+      setAlerts(result.data);
+      setLoadError(result.success ? null : result.error);
+    };
+    loadAlerts();
+    return emergencyAlertService.onChange(loadAlerts);
+  }, []);
+
+  const drawing = draftPoints !== null;
+
+  const updateForm = (field, value) => setForm({ ...form, [field]: value });
+
+  const toggleDistrict = (code) => {
+    setDistrictCodes((codes) => (codes.includes(code) ? codes.filter((entry) => entry !== code) : [...codes, code]));
+  };
+
+  const addRegion = (regionCode) => {
+    if (!regionCode) return;
+    const codes = Object.keys(GHANA_REGIONS[regionCode].districts);
+    setDistrictCodes((current) => [...new Set([...current, ...codes])]);
+  };
+
+  const finishDrawing = () => {
+    if (draftPoints.length < 3) {
+      toast.error("Click at least three corners to draw an area");
+      return;
+    }
+    const inside = emergencyAlertService.getDistrictsInArea(draftPoints);
+    if (inside.length === 0) {
+      toast.error("No district centre lies inside the drawn area");
+      return;
+    }
+    setArea(draftPoints);
+    setDistrictCodes((current) => [...new Set([...current, ...inside])]);
+    setDraftPoints(null);
+    toast.success(`${inside.length} district${inside.length === 1 ? "" : "s"} added from the drawn area`);
+  };
+
+  const clearSelection = () => {
+    setDistrictCodes([]);
+    setArea(null);
+    setDraftPoints(null);
+  };
+
+  const handleTranslate = async () => {
+    if (!form.message.trim()) {
+      toast.error("Write the message before translating it");
+      return;
+    }
+    setTranslating(true);
+    const translations = await emergencyAlertService.translateMessage(
+      form.message,
+      TRANSLATION_LANGUAGES.map((language) => language.code)
+    );
+    setTranslating(false);
+    setForm((current) => ({ ...current, translations }));
+  };
+
+  const handlePublish = async (e) => {
+    e.preventDefault();
+    setError(null);
+    const result = await emergencyAlertService.createAlert({
+      ...form,
+      districtCodes,
+      area,
+      expiresAt: new Date(form.expiresAt).toISOString(),
+    });
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    toast.success(`"${result.data.title}" is now live across the site`);
+    setForm(emptyForm());
+    clearSelection();
+  };
+
+  const handleRetire = async (alert) => {
+    if (!window.confirm(`End the emergency "${alert.title}" now?`)) return;
+    const result = await emergencyAlertService.retireAlert(alert);
+    if (!result.success) toast.error(result.error);
+  };
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handlePublish} className="bg-white rounded-lg shadow px-4 sm:px-6 py-4 space-y-4">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900 flex items-center">
+            <FaBell className="mr-2 text-red-600" />
+            Emergency Broadcast
+          </h3>
+          <p className="text-sm text-gray-500">
+            Active emergencies show as a banner on every page and as shaded areas on the Home map until they expire.
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-md p-3 text-sm text-red-700">{error}</div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* Details */}
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-3">
+              <label className="block text-sm font-medium text-gray-700">
+                Hazard
+                <select
+                  value={form.hazard}
+                  onChange={(e) => updateForm("hazard", e.target.value)}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                >
+                  {Object.values(EMERGENCY_HAZARDS).map((hazard) => (
+                    <option key={hazard.id} value={hazard.id}>{hazard.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="block text-sm font-medium text-gray-700">
+                Severity
+                <select
+                  value={form.severity}
+                  onChange={(e) => updateForm("severity", e.target.value)}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                >
+                  {Object.values(EMERGENCY_SEVERITIES).map((severity) => (
+                    <option key={severity.id} value={severity.id}>{severity.label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700">
+              Title
+              <input
+                type="text"
+                value={form.title}
+                onChange={(e) => updateForm("title", e.target.value)}
+                placeholder="e.g. Flash floods along the White Volta"
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+            </label>
+
+            <label className="block text-sm font-medium text-gray-700">
+              Message (English)
+              <textarea
+                value={form.message}
+                onChange={(e) => updateForm("message", e.target.value)}
+                rows={3}
+                placeholder="What is happening and what farmers should do"
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+            </label>
+
+            <div className="space-y-2">
+              <div className="flex justify-between items-center">
+                <span className="text-sm font-medium text-gray-700">Translations</span>
+                <button
+                  type="button"
+                  onClick={handleTranslate}
+                  disabled={translating}
+                  className="inline-flex items-center px-3 py-1 text-xs font-medium rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                >
+                  <FaLanguage className="mr-1" />
+                  {translating ? "Translating..." : "Translate message"}
+                </button>
+              </div>
+              <p className="text-xs text-gray-500">
+                Machine translations are a starting point; check them before publishing. Empty translations fall back to English.
+              </p>
+              {TRANSLATION_LANGUAGES.map((language) => (
+                <label key={language.code} className="block text-xs font-medium text-gray-600">
+                  {language.name}
+                  <textarea
+                    value={form.translations[language.code] || ""}
+                    onChange={(e) => updateForm("translations", { ...form.translations, [language.code]: e.target.value })}
+                    rows={2}
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                  />
+                </label>
+              ))}
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700">
+              Expires
+              <input
+                type="datetime-local"
+                value={form.expiresAt}
+                onChange={(e) => updateForm("expiresAt", e.target.value)}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+            </label>
+          </div>
+
+          {/* Affected area */}
+          <div className="space-y-3">
+            <div className="flex flex-wrap items-center gap-2">
+              <select
+                value=""
+                onChange={(e) => addRegion(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+              >
+                <option value="">Add a whole region...</option>
+                {Object.values(GHANA_REGIONS).map((region) => (
+                  <option key={region.code} value={region.code}>{region.name}</option>
+                ))}
+              </select>
+              {drawing ? (
+                <>
+                  <button
+                    type="button"
+                    onClick={finishDrawing}
+                    className="px-3 py-2 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700"
+                  >
+                    Finish area ({draftPoints.length} corners)
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setDraftPoints(draftPoints.slice(0, -1))}
+                    disabled={draftPoints.length === 0}
+                    className="px-3 py-2 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                    title="Remove the last corner"
+                  >
+                    <FaUndo />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setDraftPoints(null)}
+                    className="px-3 py-2 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                </>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => setDraftPoints([])}
+                  className="inline-flex items-center px-3 py-2 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+                >
+                  <FaDrawPolygon className="mr-2" />
+                  Draw area
+                </button>
+              )}
+              {districtCodes.length > 0 && (
+                <button
+                  type="button"
+                  onClick={clearSelection}
+                  className="text-sm text-red-600 hover:text-red-700"
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+            <p className="text-xs text-gray-500">
+              {drawing
+                ? "Click the map to place the corners of the affected area, then finish it to add the districts inside."
+                : "Click districts to add or remove them."}
+            </p>
+
+            <AffectedAreaMap
+              selectedCodes={districtCodes}
+              severity={form.severity}
+              drawing={drawing}
+              draftPoints={draftPoints || []}
+              area={area}
+              onToggleDistrict={toggleDistrict}
+              onDraftPoint={(point) => setDraftPoints((points) => (points ? [...points, point] : points))}
+            />
+
+            <div>
+              <p className="text-sm font-medium text-gray-700 mb-1">
+                Affected districts ({districtCodes.length})
+              </p>
+              {districtCodes.length === 0 ? (
+                <p className="text-xs text-gray-500">None selected yet.</p>
+              ) : (
+                <div className="flex flex-wrap gap-1 max-h-32 overflow-y-auto">
+                  {districtCodes.map((code) => (
+                    <span key={code} className="inline-flex items-center px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-800">
+                      {getDistrictName(code)}
+                      <button type="button" onClick={() => toggleDistrict(code)} className="ml-1 text-gray-500 hover:text-gray-700">
+                        <FaTimes />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={drawing}
+            className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+          >
+            <FaBell className="mr-2" />
+            Publish emergency
+          </button>
+        </div>
+      </form>
+
+      {/* Emergencies */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="px-4 sm:px-6 py-3 border-b border-gray-200">
+          <h4 className="text-sm font-medium text-gray-900">Emergencies</h4>
+        </div>
+        {loadError && (
+          <p className="px-4 sm:px-6 pt-3 text-sm text-red-600">Could not load emergencies: {loadError}</p>
+        )}
+        {alerts.length === 0 ? (
+          <p className="px-4 py-6 text-sm text-gray-500 text-center">No emergencies have been published.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Emergency</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Severity</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Districts</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Published</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Expires</th>
+                  <th className="px-3 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {alerts.map((alert) => (
+                  <tr key={alert.id} className={alert.status === "active" ? "" : "text-gray-500"}>
+                    <td className="px-3 py-2">
+                      <div className="font-medium text-gray-900">{alert.title}</div>
+                      <div className="text-xs text-gray-500">
+                        {EMERGENCY_HAZARDS[alert.hazard]?.label}
+                        {Object.keys(alert.translations).length > 0 &&
+                          ` · ${Object.keys(alert.translations).length} translation${Object.keys(alert.translations).length === 1 ? "" : "s"}`}
+                      </div>
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap">
+                      <span className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${SEVERITY_BADGES[alert.severity]}`}>
+                        {EMERGENCY_SEVERITIES[alert.severity]?.label}
+                      </span>
+                    </td>
+                    <td className="px-3 py-2" title={alert.districtCodes.map((code) => getDistrictName(code)).join(", ")}>
+                      {alert.districtCodes.length}
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap">
+                      <div>{formatDate(alert.createdAt)}</div>
+                      <div className="text-xs text-gray-500">{alert.createdBy}</div>
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap">
+                      {alert.status === "active"
+                        ? formatDate(alert.expiresAt)
+                        : `${alert.retiredReason === "expired" ? "Expired" : "Ended"} ${formatDate(alert.retiredAt)}`}
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap text-right">
+                      {alert.status === "active" && (
+                        <button
+                          onClick={() => handleRetire(alert)}
+                          className="inline-flex items-center px-3 py-1 text-xs font-medium rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+                        >
+                          <FaBan className="mr-1" />
+                          End now
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
 };
 
 export default Emergency;
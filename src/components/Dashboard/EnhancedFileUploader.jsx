@@ -18,6 +18,10 @@ import {
   FaEye
 } from "react-icons/fa";
 import userService from "../../services/userService";
+import contentWorkflowService, { CONTENT_TYPES } from "../../services/contentWorkflowService";
+import importValidationService from "../../services/importValidationService";
+import ImportValidationSummary from "./ImportValidationSummary";
+import TemplateGenerationService from "../../services/templateGenerationService";
 import { validateFile, FileValidationError, formatFileSize } from "../../utils/fileValidation";
 import { logger } from "../../utils/logger";
 import toast from "react-hot-toast";
@@ -113,7 +117,9 @@ const EnhancedFileUploader = ({
           name: file.name,
           size: file.size,
           type: file.type,
-          status: 'ready'
+          status: importValidationService.hasSchema(dataType) ? 'validating' : 'ready',
+          report: null,
+          importValidOnly: false
         });
 
         logger.info('File validated and added', { filename: file.name, size: file.size });
@@ -136,6 +142,10 @@ const EnhancedFileUploader = ({
       setFiles(validFiles.slice(0, 1));
     }
 
+    (allowMultiple ? validFiles : validFiles.slice(0, 1))
+      .filter(fileItem => fileItem.status === 'validating')
+      .forEach(validateRows);
+
     if (newErrors.length > 0) {
       setErrors(prev => [...prev, ...newErrors]);
       setTimeout(() => {
@@ -144,6 +154,28 @@ const EnhancedFileUploader = ({
     }
   };
 
+  // Check every row against the data type's template before anything is uploaded
+  const validateRows = async (fileItem) => {
+    let update;
+    try {
+      const report = await importValidationService.validateFile(fileItem.file, dataType);
+      update = { status: importValidationService.getStatus(report), report };
+      logger.info('File rows validated', { filename: fileItem.name, ...report.summary });
+    } catch (error) {
+      update = { status: 'rejected', validationError: `Could not read the file: ${error.message}` };
+      logger.warn('File row validation failed', { filename: fileItem.name, error: error.message });
+    }
+    setFiles(prev => prev.map(f => (f.id === fileItem.id ? { ...f, ...update } : f)));
+  };
+
+  const setImportValidOnly = (fileId, importValidOnly) => {
+    setFiles(prev => prev.map(f => (f.id === fileId ? { ...f, importValidOnly } : f)));
+  };
+
+  const isUploadable = (fileItem) =>
+    fileItem.status === 'ready' ||
+    (fileItem.status === 'needs-review' && fileItem.importValidOnly);
+
   // Handle file input change
   const handleFileInputChange = (e) => {
     if (e.target.files && e.target.files.length > 0) {
@@ -165,19 +197,8 @@ const EnhancedFileUploader = ({
   // Download template
   const handleDownloadTemplate = async () => {
     try {
-      const response = await userService.downloadTemplate(dataType);
-      if (response.success) {
-        const url = window.URL.createObjectURL(new Blob([response.data]));
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `${dataType}-template.xlsx`;
-        document.body.appendChild(link);
-        link.click();
-        link.remove();
-        window.URL.revokeObjectURL(url);
-        
-        logger.userAction('Template downloaded', { dataType });
-      }
+      TemplateGenerationService.downloadTemplate(dataType);
+      logger.userAction('Template downloaded', { dataType });
     } catch (error) {
       logger.error('Template download failed', error);
       setErrors(prev => [...prev, {
@@ -190,25 +211,41 @@ const EnhancedFileUploader = ({
 
   // Upload files
   const handleUpload = async () => {
-    if (files.length === 0) return;
+    const uploadable = files.filter(isUploadable);
+    if (uploadable.length === 0) return;
 
     setUploading(true);
     setUploadResults([]);
     const results = [];
 
-    for (const fileItem of files) {
+    for (const fileItem of uploadable) {
       try {
         setFiles(prev => prev.map(f => 
           f.id === fileItem.id ? { ...f, status: 'uploading' } : f
         ));
 
+        const uploadTitle = fileItem.name.replace(/\.[^/.]+$/, ""); // Remove extension
+        const uploadData = new FormData();
+        if (fileItem.status === 'needs-review') {
+          const upload = await importValidationService.prepareValidUpload(fileItem.file, fileItem.report);
+          uploadData.append("file", upload.file);
+          if (upload.excludedRows) uploadData.append("excludedRows", JSON.stringify(upload.excludedRows));
+        } else {
+          uploadData.append("file", fileItem.file);
+        }
+        uploadData.append("title", uploadTitle);
+        uploadData.append("description", `${title} data upload`);
+        uploadData.append("tags", JSON.stringify([dataType, title.toLowerCase()]));
+
+        // Advisories and calendars stay drafts until published through the review queue
+        const workflowId = CONTENT_TYPES[dataType] ? contentWorkflowService.createWorkflowId(dataType) : null;
+        if (workflowId) {
+          uploadData.append("workflowId", workflowId);
+          uploadData.append("status", "draft");
+        }
+
         const result = await userService.uploadAgriculturalData(
-          {
-            file: fileItem.file,
-            title: fileItem.name.replace(/\.[^/.]+$/, ""), // Remove extension
-            description: `${title} data upload`,
-            tags: [dataType, title.toLowerCase()]
-          },
+          uploadData,
           dataType,
           (progress) => {
             setUploadProgress(prev => ({
@@ -219,6 +256,16 @@ const EnhancedFileUploader = ({
         );
 
         if (result.success) {
+          if (workflowId) {
+            const drafted = await contentWorkflowService.registerDraft({
+              workflowId,
+              contentType: dataType,
+              recordId: result.data?.data?.id || result.data?.id,
+              title: uploadTitle,
+            });
+            if (!drafted.success) toast.error(`Saved, but it could not be added to the Review Queue: ${drafted.error}`);
+          }
+
           const uploadResult = {
             id: fileItem.id,
             filename: fileItem.name,
@@ -236,7 +283,7 @@ const EnhancedFileUploader = ({
 
           // Show success toast notification
           toast.success(
-            `🎉 ${fileItem.name} uploaded successfully!\n${result.data?.recordCount || 0} records processed`,
+            `🎉 ${fileItem.name} uploaded successfully!\n${result.data?.recordCount || 0} records processed${workflowId ? "\nSaved as a draft for review" : ""}`,
             {
               duration: 4000,
               icon: '📄',
@@ -380,50 +427,73 @@ const EnhancedFileUploader = ({
             
             <div className="space-y-2">
               {files.map((fileItem) => (
-                <div
-                  key={fileItem.id}
-                  className="flex items-center justify-between p-3 bg-gray-50 rounded-md"
-                >
-                  <div className="flex items-center flex-1 min-w-0">
-                    <div className="flex-shrink-0 mr-3">
-                      {getFileIcon(fileItem.name)}
-                    </div>
+                <div key={fileItem.id} className="p-3 bg-gray-50 rounded-md">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center flex-1 min-w-0">
+                      <div className="flex-shrink-0 mr-3">
+                        {getFileIcon(fileItem.name)}
+                      </div>
                     
-                    <div className="flex-1 min-w-0">
-                      <p className="text-sm font-medium text-gray-900 truncate">
-                        {fileItem.name}
-                      </p>
-                      <p className="text-xs text-gray-500">
-                        {formatFileSize(fileItem.size)}
-                      </p>
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm font-medium text-gray-900 truncate">
+                          {fileItem.name}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {formatFileSize(fileItem.size)}
+                        </p>
+                      </div>
+
+                      {/* Status indicator */}
+                      <div className="flex-shrink-0 ml-4">
+                        {fileItem.status === 'validating' && (
+                          <div className="flex items-center">
+                            <FaSpinner className="animate-spin text-gray-500 mr-2" />
+                            <span className="text-xs text-gray-600">Checking rows...</span>
+                          </div>
+                        )}
+                        {fileItem.status === 'needs-review' && (
+                          <FaExclamationTriangle className="text-yellow-500" />
+                        )}
+                        {fileItem.status === 'rejected' && (
+                          <FaExclamationTriangle className="text-red-500" />
+                        )}
+                        {fileItem.status === 'uploading' && (
+                          <div className="flex items-center">
+                            <FaSpinner className="animate-spin text-blue-500 mr-2" />
+                            <span className="text-xs text-blue-600">
+                              {uploadProgress[fileItem.id] || 0}%
+                            </span>
+                          </div>
+                        )}
+                        {fileItem.status === 'success' && (
+                          <FaCheckCircle className="text-green-500" />
+                        )}
+                        {fileItem.status === 'error' && (
+                          <FaExclamationTriangle className="text-red-500" />
+                        )}
+                      </div>
                     </div>
 
-                    {/* Status indicator */}
-                    <div className="flex-shrink-0 ml-4">
-                      {fileItem.status === 'uploading' && (
-                        <div className="flex items-center">
-                          <FaSpinner className="animate-spin text-blue-500 mr-2" />
-                          <span className="text-xs text-blue-600">
-                            {uploadProgress[fileItem.id] || 0}%
-                          </span>
-                        </div>
-                      )}
-                      {fileItem.status === 'success' && (
-                        <FaCheckCircle className="text-green-500" />
-                      )}
-                      {fileItem.status === 'error' && (
-                        <FaExclamationTriangle className="text-red-500" />
-                      )}
-                    </div>
+                    {['ready', 'needs-review', 'rejected'].includes(fileItem.status) && (
+                      <button
+                        onClick={() => removeFile(fileItem.id)}
+                        className="ml-2 p-1 text-gray-400 hover:text-red-500"
+                      >
+                        <FaTimes />
+                      </button>
+                    )}
                   </div>
 
-                  {fileItem.status === 'ready' && (
-                    <button
-                      onClick={() => removeFile(fileItem.id)}
-                      className="ml-2 p-1 text-gray-400 hover:text-red-500"
-                    >
-                      <FaTimes />
-                    </button>
+                  {/* Row validation */}
+                  {(fileItem.report || fileItem.validationError) && (
+                    <ImportValidationSummary
+                      report={fileItem.report}
+                      status={fileItem.status}
+                      error={fileItem.validationError}
+                      importValidOnly={fileItem.importValidOnly}
+                      onImportValidOnly={(checked) => setImportValidOnly(fileItem.id, checked)}
+                      className="ml-8"
+                    />
                   )}
                 </div>
               ))}
@@ -453,7 +523,7 @@ const EnhancedFileUploader = ({
             <div className="mt-6 flex justify-end">
               <button
                 onClick={handleUpload}
-                disabled={files.length === 0 || uploading || files.every(f => f.status !== 'ready')}
+                disabled={uploading || !files.some(isUploadable)}
                 className="px-6 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center"
               >
                 {uploading ? (
@@ -464,7 +534,7 @@ const EnhancedFileUploader = ({
                 ) : (
                   <>
                     <FaUpload className="mr-2" />
-                    Upload {files.length} File{files.length !== 1 ? 's' : ''}
+                    Upload {files.filter(isUploadable).length} File{files.filter(isUploadable).length !== 1 ? 's' : ''}
                   </>
                 )}
               </button>
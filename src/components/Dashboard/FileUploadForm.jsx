@@ -101,7 +101,9 @@ const FileUploadForm = ({ reportType, onUploadSuccess }) => {
       "Crop Calendar Data": "crop-calendar",
       "Agromet Advisory Data": "agromet-advisory", 
       "Production Calendar Data": "production-calendar",
-      "Poultry Calendar Data": "poultry-calendar"
+      "Poultry Calendar Data": "poultry-calendar",
+      "Hazard Incident Data": "hazard-incident",
+      "Rainfall Observation Data": "rainfall-observation"
     };
     return mapping[reportType] || null;
   };
@@ -0,0 +1,101 @@
+import PropTypes from "prop-types";
+import { FaClipboardList } from "react-icons/fa";
+import importValidationService from "../../services/importValidationService";
+
+// Problems listed inline; the downloadable report has them all
+const MAX_LISTED_PROBLEMS = 5;
+
+// Row check results for one upload, with the error report download and the
+// option to import only the rows that passed (see useImportValidation)
+const ImportValidationSummary = ({ report, status, error, importValidOnly, onImportValidOnly, className = "" }) => {
+  if (status === "validating") {
+    return <p className={`mt-2 text-xs text-gray-600 ${className}`}>Checking rows...</p>;
+  }
+  if (error) {
+    return <p className={`mt-2 text-xs text-red-600 ${className}`}>{error}</p>;
+  }
+  if (!report) return null;
+
+  const { total, valid, invalid, sheetErrors } = report.summary;
+  const problems = [
+    ...report.sheets.flatMap(sheet => sheet.errors.map(problem => `${sheet.name}: ${problem}`)),
+    ...report.rows
+      .filter(row => row.errors.length > 0)
+      .map(row => `${row.sheet}, row ${row.row}: ${row.errors.join('; ')}`)
+  ];
+  const clean = invalid === 0 && sheetErrors === 0;
+
+  return (
+    <div className={`mt-2 text-xs ${className}`}>
+      <div className="flex flex-wrap items-center gap-3">
+        <span className={clean ? "text-green-700" : "text-yellow-800"}>
+          {total === 0 && sheetErrors === 0 && "No data rows found under the template headers."}
+          {(total > 0 || sheetErrors > 0) && (
+            <>
+              {total} row{total !== 1 ? "s" : ""} checked
+              {clean ? ", all valid" : `, ${invalid} with problems`}
+              {sheetErrors > 0 && ` · ${sheetErrors} sheet problem${sheetErrors !== 1 ? "s" : ""}`}
+            </>
+          )}
+        </span>
+        {!clean && (
+          <button
+            type="button"
+            onClick={() => importValidationService.downloadReport(report)}
+            className="flex items-center text-blue-600 hover:text-blue-800"
+          >
+            <FaClipboardList className="mr-1" />
+            Download error report
+          </button>
+        )}
+      </div>
+
+      {problems.length > 0 && (
+        <ul className="mt-1 space-y-0.5 text-red-600">
+          {problems.slice(0, MAX_LISTED_PROBLEMS).map(problem => (
+            <li key={problem}>{problem}</li>
+          ))}
+          {problems.length > MAX_LISTED_PROBLEMS && (
+            <li className="text-gray-500">
+              …and {problems.length - MAX_LISTED_PROBLEMS} more in the error report
+            </li>
+          )}
+        </ul>
+      )}
+
+      {status === "rejected" && (
+        <p className="mt-2 text-gray-700">
+          No row can be imported. Fix the rows in the error report and choose the file again.
+        </p>
+      )}
+      {status === "needs-review" && (
+        <label className="mt-2 flex items-center text-gray-700">
+          <input
+            type="checkbox"
+            checked={importValidOnly}
+            onChange={(e) => onImportValidOnly(e.target.checked)}
+            className="mr-2"
+          />
+          Import only the {valid} valid row{valid !== 1 ? "s" : ""}
+          {report.layout === "calendar" && "; the other rows are skipped"}
+        </label>
+      )}
+    </div>
+  );
+};
+
+ImportValidationSummary.propTypes = {
+  report: PropTypes.shape({
+    layout: PropTypes.string,
+    summary: PropTypes.object.isRequired,
+    sheets: PropTypes.array.isRequired,
+    rows: PropTypes.array.isRequired
+  }),
+  status: PropTypes.string,
+  error: PropTypes.string,
+  importValidOnly: PropTypes.bool,
+  onImportValidOnly: PropTypes.func.isRequired,
+  className: PropTypes.string
+};
+
+export default ImportValidationSummary;
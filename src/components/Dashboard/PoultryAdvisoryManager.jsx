@@ -14,6 +14,8 @@ import userService from '../../services/userService';
 import TemplateGenerationService from '../../services/templateGenerationService';
 import { safeRender, safeRenderForCard } from '../../utils/renderUtils';
 import PoultryAdvisoryUpload from './PoultryAdvisoryUpload';
+import usePermissions from '../../hooks/usePermissions';
+import { PERMISSIONS } from '../../utils/accessControl';
 import { GHANA_REGIONS, POULTRY_TYPES, getRegionByCode, getDistrictByCode, getPoultryTypeByCode, getBreedByCode } from '../../data/ghanaCodes';
 
 const PoultryAdvisoryManager = () => {
@@ -30,6 +32,8 @@ const PoultryAdvisoryManager = () => {
   const [viewMode, setViewMode] = useState('table');
   const [showUploadModal, setShowUploadModal] = useState(false);
   const [availableDistricts, setAvailableDistricts] = useState([]);
+  const { can } = usePermissions();
+  const canUpload = can(PERMISSIONS.UPLOAD_CONTENT);
 
   useEffect(() => {
     loadData();
@@ -112,10 +116,10 @@ const PoultryAdvisoryManager = () => {
     }
   };
 
-  const handleDelete = async (id) => {
+  const handleDelete = async (item) => {
     if (window.confirm('Are you sure you want to delete this advisory?')) {
       try {
-        await userService.deleteAgriculturalData('poultry-advisory', id);
+        await userService.deleteAgriculturalData('poultry-advisory', item.id, item);
         loadData();
       } catch (err) {
         console.error('Error deleting advisory:', err);
@@ -199,13 +203,15 @@ const PoultryAdvisoryManager = () => {
               <FaDownload className="mr-2" />
               Download Template
             </button>
-            <button
-              onClick={() => setShowUploadModal(true)}
-              className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center justify-center"
-            >
-              <FaFileUpload className="mr-2" />
-              Upload Multi-Sheet Excel
-            </button>
+            {canUpload && (
+              <button
+                onClick={() => setShowUploadModal(true)}
+                className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center justify-center"
+              >
+                <FaFileUpload className="mr-2" />
+                Upload Multi-Sheet Excel
+              </button>
+            )}
             <button
               onClick={exportToCSV}
               className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 flex items-center justify-center"
@@ -319,13 +325,15 @@ const PoultryAdvisoryManager = () => {
           <p className="text-gray-500 mb-4">
             No poultry advisory data has been uploaded yet. Upload a multi-sheet Excel file to get started.
           </p>
-          <button
-            onClick={() => setShowUploadModal(true)}
-            className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center mx-auto"
-          >
-            <FaPlus className="mr-2" />
-            Upload Your First Advisory File
-          </button>
+          {canUpload && (
+            <button
+              onClick={() => setShowUploadModal(true)}
+              className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center mx-auto"
+            >
+              <FaPlus className="mr-2" />
+              Upload Your First Advisory File
+            </button>
+          )}
         </div>
       ) : viewMode === 'table' ? (
         <>
@@ -397,20 +405,24 @@ const PoultryAdvisoryManager = () => {
                         >
                           <FaEye />
                         </button>
-                        <button
-                          onClick={() => console.log('Edit:', item)}
-                          className="text-yellow-600 hover:text-yellow-900"
-                          title="Edit"
-                        >
-                          <FaEdit />
-                        </button>
-                        <button
-                          onClick={() => handleDelete(item.id)}
-                          className="text-red-600 hover:text-red-900"
-                          title="Delete"
-                        >
-                          <FaTrash />
-                        </button>
+                        {can(PERMISSIONS.EDIT_CONTENT, item) && (
+                          <button
+                            onClick={() => console.log('Edit:', item)}
+                            className="text-yellow-600 hover:text-yellow-900"
+                            title="Edit"
+                          >
+                            <FaEdit />
+                          </button>
+                        )}
+                        {can(PERMISSIONS.DELETE_CONTENT, item) && (
+                          <button
+                            onClick={() => handleDelete(item)}
+                            className="text-red-600 hover:text-red-900"
+                            title="Delete"
+                          >
+                            <FaTrash />
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -487,20 +499,24 @@ const PoultryAdvisoryManager = () => {
                     >
                       <FaEye />
                     </button>
-                    <button
-                      onClick={() => console.log('Edit:', item)}
-                      className="text-yellow-600 hover:text-yellow-900 p-1"
-                      title="Edit"
-                    >
-                      <FaEdit />
-                    </button>
-                    <button
-                      onClick={() => handleDelete(item.id)}
-                      className="text-red-600 hover:text-red-900 p-1"
-                      title="Delete"
-                    >
-                      <FaTrash />
-                    </button>
+                    {can(PERMISSIONS.EDIT_CONTENT, item) && (
+                      <button
+                        onClick={() => console.log('Edit:', item)}
+                        className="text-yellow-600 hover:text-yellow-900 p-1"
+                        title="Edit"
+                      >
+                        <FaEdit />
+                      </button>
+                    )}
+                    {can(PERMISSIONS.DELETE_CONTENT, item) && (
+                      <button
+                        onClick={() => handleDelete(item)}
+                        className="text-red-600 hover:text-red-900 p-1"
+                        title="Delete"
+                      >
+                        <FaTrash />
+                      </button>
+                    )}
                   </div>
                 </div>
                 
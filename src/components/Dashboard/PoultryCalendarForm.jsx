@@ -12,9 +12,15 @@ import {
 } from '../../data/ghanaCodes';
 import { getSafeDistrictsByRegion, getSafeRegions } from '../../utils/regionDistrictHelpers';
 import { SafeDistrictOptions } from '../../components/common/SafeSelectOptions';
-import calendarPreviewParser from '../../utils/calendarPreviewParser';
-import * as XLSX from 'xlsx';
-import SophisticatedExcelParser from '../../utils/sophisticatedExcelParser';
+import calendarLayoutProfileService from '../../services/calendarLayoutProfileService';
+import calendarVersionService from '../../services/calendarVersionService';
+import contentWorkflowService from '../../services/contentWorkflowService';
+import importValidationService from '../../services/importValidationService';
+import usePermissions from '../../hooks/usePermissions';
+import useImportValidation from '../../hooks/useImportValidation';
+import { PERMISSIONS } from '../../utils/accessControl';
+import CalendarMappingWizard from '../common/CalendarMappingWizard';
+import ImportValidationSummary from './ImportValidationSummary';
 
 // Convert POULTRY_TYPES from centralized data to the format expected by the form
 const getPoultryTypesForForm = () => {
@@ -48,6 +54,7 @@ const months = [
 ];
 
 const PoultryCalendarForm = ({ isOpen, onClose, onSave }) => {
+  const { can, access } = usePermissions();
   const navigate = useNavigate();
   const [formData, setFormData] = useState({
     region: '',
@@ -56,7 +63,8 @@ const PoultryCalendarForm = ({ isOpen, onClose, onSave }) => {
     productionCycle: {
       file: null,
       startMonth: '',
-      startWeek: ''
+      startWeek: '',
+      layoutProfile: null
     }
   });
 
@@ -67,6 +75,10 @@ const PoultryCalendarForm = ({ isOpen, onClose, onSave }) => {
   const [previewError, setPreviewError] = useState(null);
   const [saveSuccess, setSaveSuccess] = useState(false);
   const [saveError, setSaveError] = useState(null);
+  // { result, openPreview } while the layout mapping wizard is open
+  const [mappingRequest, setMappingRequest] = useState(null);
+  const rowCheck = useImportValidation();
+  const [versionNote, setVersionNote] = useState('');
 
   // Get regions using safe helpers with error handling
   const { regions: safeRegions } = getSafeRegions();
@@ -123,6 +135,8 @@ const PoultryCalendarForm = ({ isOpen, onClose, onSave }) => {
     if (errors[field]) {
       setErrors(prev => ({ ...prev, [field]: '' }));
     }
+    // The district's saved layout profile may read the file differently
+    if (field === 'district') checkCycleFile({ ...formData.productionCycle, district: value });
   };
 
   const handleCycleChange = (field, value) => {
@@ -141,20 +155,36 @@ const PoultryCalendarForm = ({ isOpen, onClose, onSave }) => {
         ...prev,
         productionCycle: {
           ...prev.productionCycle,
-          file: file
+          file: file,
+          layoutProfile: null
         }
       }));
+      checkCycleFile({ file, layoutProfile: null, district: formData.district });
     }
   };
 
+  // Check the activity rows of the file, read with the layout it will be saved with
+  const checkCycleFile = ({ file, layoutProfile, district }) => {
+    if (!file) {
+      rowCheck.reset();
+      return;
+    }
+    rowCheck.check(async () => importValidationService.validateFile(file, 'poultry-calendar', {
+      layoutProfile: layoutProfile || await calendarLayoutProfileService.getProfileForDistrict(district),
+      district
+    }));
+  };
+
   const removeFile = () => {
     setFormData(prev => ({
       ...prev,
       productionCycle: {
         ...prev.productionCycle,
-        file: null
+        file: null,
+        layoutProfile: null
       }
     }));
+    rowCheck.reset();
   };
 
   const validateForm = () => {
@@ -162,9 +192,13 @@ const PoultryCalendarForm = ({ isOpen, onClose, onSave }) => {
 
     if (!formData.region) newErrors.region = 'Region is required';
     if (!formData.district) newErrors.district = 'District is required';
+    else if (!can(PERMISSIONS.UPLOAD_CONTENT, { region: formData.region, district: formData.district })) {
+      newErrors.district = `As ${access} you cannot upload content for this district`;
+    }
     if (!formData.poultryType) newErrors.poultryType = 'Poultry type is required';
 
     if (!formData.productionCycle.file) newErrors.productionCycleFile = 'Production cycle file is required';
+    else if (rowCheck.blockedReason) newErrors.productionCycleFile = rowCheck.blockedReason;
     // Make start month optional for easier testing
     // if (!formData.productionCycle.startMonth) newErrors.productionCycleMonth = 'Production cycle start month is required';
 
@@ -172,61 +206,21 @@ const PoultryCalendarForm = ({ isOpen, onClose, onSave }) => {
     return Object.keys(newErrors).length === 0;
   };
 
-  // Parse raw Excel content for direct preview
-  const parseRawExcelContent = async (file) => {
-    try {
-      const arrayBuffer = await file.arrayBuffer();
-      const workbook = XLSX.read(arrayBuffer, { type: 'array', cellStyles: true });
-      
-      const result = {};
-      
-      workbook.SheetNames.forEach(sheetName => {
-        const sheet = workbook.Sheets[sheetName];
-        const range = XLSX.utils.decode_range(sheet['!ref']);
-        const data = [];
-        
-        // Extract cell data with formatting
-        for (let row = range.s.r; row <= range.e.r; row++) {
-          const rowData = [];
-          for (let col = range.s.c; col <= range.e.c; col++) {
-            const cellAddress = XLSX.utils.encode_cell({ r: row, c: col });
-            const cell = sheet[cellAddress];
-            
-            if (cell) {
-              rowData.push({
-                value: cell.v || '',
-                formula: cell.f || null,
-                type: cell.t || 'str',
-                style: cell.s || null,
-                address: cellAddress
-              });
-            } else {
-              rowData.push({
-                value: '',
-                formula: null,
-                type: 'str',
-                style: null,
-                address: cellAddress
-              });
-            }
-          }
-          data.push(rowData);
-        }
-        
-        result[sheetName] = {
-          data: data,
-          range: sheet['!ref'],
-          totalRows: range.e.r - range.s.r + 1,
-          totalCols: range.e.c - range.s.c + 1
-        };
-      });
-      
-      return result;
-    } catch (error) {
-      console.error('Error parsing raw Excel content:', error);
-      return null;
-    }
-  };
+  // A layout mapped for this upload wins over the district's saved profile.
+  // Rows left out by "import only the valid rows" are dropped here too, so
+  // the preview and the saved version match what is imported.
+  const parseCycleFile = async () => importValidationService.withoutExcludedRows(
+    await calendarLayoutProfileService.parseWithProfile(
+      formData.productionCycle.file,
+      {
+        region: formData.region,
+        district: formData.district,
+        poultryType: formData.poultryType
+      },
+      formData.productionCycle.layoutProfile || await calendarLayoutProfileService.getProfileForDistrict(formData.district)
+    ),
+    rowCheck.excludedRows
+  );
 
   const generatePreviewData = async () => {
     if (!formData.productionCycle.file) {
@@ -238,117 +232,64 @@ const PoultryCalendarForm = ({ isOpen, onClose, onSave }) => {
     setPreviewError(null);
 
     try {
-      // Use sophisticated Excel parser for exact content extraction (NO FALLBACK)
-      console.log('🔬 Using sophisticated Excel parser for exact content extraction');
-
-      const sophisticatedParser = new SophisticatedExcelParser();
+      const productionCycle = await parseCycleFile();
 
-      // Parse Excel file with sophisticated content extraction
-      const parseResult = await sophisticatedParser.parseExcelFile(
-        formData.productionCycle.file,
-        {
-          region: formData.region,
-          district: formData.district,
-          year: new Date().getFullYear(),
-          poultryType: formData.poultryType
-        }
-      );
-
-      console.log('📊 Sophisticated parser preview result:', parseResult.success ? 'SUCCESS' : 'FAILED');
-      console.log('📊 Source:', parseResult.source);
-      console.log('📊 Sheets processed:', parseResult.sheetsData ? Object.keys(parseResult.sheetsData).length : 0);
-
-      if (!parseResult.success) {
-        throw new Error(parseResult.error || 'Sophisticated parser failed to process Excel file');
+      // Files that could not be read go through the mapping wizard first
+      if (calendarLayoutProfileService.needsMapping(productionCycle)) {
+        setMappingRequest({ result: productionCycle, openPreview: true });
+        return null;
       }
 
-      // Extract main sheet data with validation
-      const sheetNames = Object.keys(parseResult.sheetsData);
-      if (sheetNames.length === 0) {
-        throw new Error('No sheets were successfully processed from the Excel file');
-      }
-
-      const mainSheetName = sheetNames[0];
-      const mainSheet = parseResult.sheetsData[mainSheetName];
-
-      if (!mainSheet) {
-        throw new Error(`Main sheet "${mainSheetName}" data is missing`);
-      }
-
-      console.log('📊 Processing main sheet:', mainSheetName);
-
-      console.log('📊 Activities found:', mainSheet.activities?.length || 0);
-      console.log('📊 Colors detected:', Object.keys(mainSheet.colors).length);
-      console.log('📊 Calendar type:', parseResult.calendarAnalysis.calendarType);
-
-      // Create preview data structure using sophisticated parser results
-      const combinedPreview = {
-        productionCycle: {
-          // Sophisticated parser data with exact Excel content
-          timeline: mainSheet.timeline,
-          activities: mainSheet.activities,
-          schedule: mainSheet.activities, // Use activities as schedule
-          colors: mainSheet.colors,
-          calendarType: parseResult.calendarAnalysis.calendarType,
-          commodity: parseResult.calendarAnalysis.commodity,
-          totalWeeks: mainSheet.timeline?.periods?.length || 0,
-          sheetsData: parseResult.sheetsData,
-          formattingData: parseResult.formattingData,
-
-          // Metadata
-          metadata: {
-            region: formData.region,
-            district: formData.district,
-            poultryType: formData.poultryType,
-            sophisticated: true,
-            exactContent: true,
-            noFallback: true,
-            source: parseResult.source,
-            parseMetadata: parseResult.metadata
-          }
-        },
-        rawExcelContent: parseResult.sheetsData,
+      return {
+        productionCycle,
         metadata: {
           region: formData.region,
           district: formData.district,
           poultryType: formData.poultryType,
           totalFiles: 1,
-          parseDate: new Date().toISOString(),
-          sophisticated: true,
-          exactContent: true,
-          activitiesFound: mainSheet.activities?.length || 0,
-          colorsDetected: Object.keys(mainSheet.colors).length,
-          sheetsProcessed: Object.keys(parseResult.sheetsData).length
+          parseDate: new Date().toISOString()
         }
       };
 
-      return combinedPreview;
-
     } catch (error) {
-      console.error('Error with sophisticated Excel parsing:', error);
-      setPreviewError(`Error parsing Excel file with sophisticated parser: ${error.message}`);
+      console.error('Error parsing poultry calendar preview:', error);
+      setPreviewError(`Error parsing Excel file: ${error.message}`);
       return null;
     } finally {
       setParsingPreview(false);
     }
   };
 
+  const openPreview = (productionCycle) => {
+    // Store preview data in localStorage for the preview page
+    localStorage.setItem('poultryCalendarPreviewData', JSON.stringify(productionCycle));
+
+    // Store form data for restoration when returning from preview
+    localStorage.setItem('poultryCalendarFormData', JSON.stringify(formData));
+
+    // Navigate to preview page
+    navigate('/production/poultry-calendar-preview');
+  };
+
   const handlePreview = async () => {
     if (validateForm()) {
       const preview = await generatePreviewData();
-      if (preview) {
-        // Store preview data in localStorage for the preview page
-        localStorage.setItem('poultryCalendarPreviewData', JSON.stringify(preview.productionCycle));
-        
-        // Store form data for restoration when returning from preview
-        localStorage.setItem('poultryCalendarFormData', JSON.stringify(formData));
-        
-        // Navigate to preview page
-        navigate('/production/poultry-calendar-preview');
-      }
+      if (preview) openPreview(preview.productionCycle);
     }
   };
 
+  const handleMapLayout = async () => {
+    setMappingRequest({ result: await parseCycleFile(), openPreview: false });
+  };
+
+  const handleMappingApply = (result, layoutProfile) => {
+    const { openPreview: continueToPreview } = mappingRequest;
+    setMappingRequest(null);
+    handleCycleChange('layoutProfile', layoutProfile);
+    checkCycleFile({ file: formData.productionCycle.file, layoutProfile, district: formData.district });
+    if (continueToPreview) openPreview(result);
+  };
+
   const handleSave = async () => {
     console.log('🐔 PoultryCalendar: Save button clicked - BUTTON IS WORKING!');
     console.log('🐔 PoultryCalendar: Current form state:', {
@@ -369,7 +310,7 @@ const PoultryCalendarForm = ({ isOpen, onClose, onSave }) => {
       console.log('❌ PoultryCalendar: Please fill ALL required fields and try again');
 
       // Show user feedback
-      alert('Please fill all required fields:\n- Region\n- District\n- Poultry Type\n- Excel file\n\n(Start month is optional)');
+      alert('Please fill all required fields:\n- Region\n- District\n- Poultry Type\n- Excel file without row problems\n\n(Start month is optional)');
       return;
     }
 
@@ -391,14 +332,32 @@ const PoultryCalendarForm = ({ isOpen, onClose, onSave }) => {
 
       // Add production cycle data
       if (formData.productionCycle.file) {
-        submitData.append('file', formData.productionCycle.file);
+        const upload = await rowCheck.prepareUpload(formData.productionCycle.file);
+        submitData.append('file', upload.file);
+        // Activity rows with problems, left out when importing only the valid rows
+        if (upload.excludedRows) {
+          submitData.append('excludedRows', JSON.stringify(upload.excludedRows));
+        }
         submitData.append('productionCycleMonth', formData.productionCycle.startMonth);
         submitData.append('productionCycleWeek', formData.productionCycle.startWeek);
+        // Rows and columns an admin mapped by hand, for files auto-detection cannot read
+        if (formData.productionCycle.layoutProfile) {
+          submitData.append('layoutMapping', JSON.stringify(formData.productionCycle.layoutProfile.mapping));
+        }
         console.log('📁 File attached:', formData.productionCycle.file.name);
       }
 
       console.log('📤 Submitting poultry calendar data...');
 
+      // Snapshot the activities and form fields before upload adds dataType
+      const parsed = await parseCycleFile();
+      const upload = calendarVersionService.splitFormData(submitData);
+
+      // Calendars stay drafts until published through the review queue
+      const workflowId = contentWorkflowService.createWorkflowId('poultry-calendar');
+      submitData.append('workflowId', workflowId);
+      submitData.append('status', 'draft');
+
       // Submit using agricultural data service
       const result = await userService.uploadAgriculturalData(submitData, 'poultry-calendar');
 
@@ -412,6 +371,37 @@ const PoultryCalendarForm = ({ isOpen, onClose, onSave }) => {
           activities: result.activities || 0
         });
 
+        const drafted = await contentWorkflowService.registerDraft({
+          workflowId,
+          contentType: 'poultry-calendar',
+          recordId: result.data?.data?.id || result.data?.id,
+          title: `${formData.poultryType} calendar`,
+          region: formData.region,
+          district: formData.district,
+          commodity: formData.poultryType
+        });
+        if (!drafted.success) {
+          setSaveError(`Saved, but it could not be added to the Review Queue: ${drafted.error}`);
+          return;
+        }
+
+        // Becomes the calendar's next version once the draft is published
+        const staged = await calendarVersionService.stageVersion({
+          dataType: 'poultry-calendar',
+          region: formData.region,
+          district: formData.district,
+          commodity: formData.poultryType,
+          ...upload,
+          parseResult: parsed,
+          workflowId,
+          recordId: result.data?.data?.id || result.data?.id || null,
+          note: versionNote
+        });
+        if (!staged.success) {
+          setSaveError(`Saved as a draft, but its version could not be recorded: ${staged.error}`);
+          return;
+        }
+
         setSaveSuccess(true);
 
         // Show success for 2 seconds before closing
@@ -427,11 +417,14 @@ const PoultryCalendarForm = ({ isOpen, onClose, onSave }) => {
             productionCycle: {
               file: null,
               startMonth: '',
-              startWeek: ''
+              startWeek: '',
+              layoutProfile: null
             }
           });
+          rowCheck.reset();
 
           setSaveSuccess(false);
+          setVersionNote('');
         }, 2000);
       } else {
         console.error('❌ Save failed with success=false:', result);
@@ -604,6 +597,21 @@ const PoultryCalendarForm = ({ isOpen, onClose, onSave }) => {
                     </div>
                     {errors.productionCycleFile && <p className="text-red-500 text-xs mt-1">{errors.productionCycleFile}</p>}
                     <p className="text-gray-500 text-xs mt-1">Upload Excel file for production cycle</p>
+                    <ImportValidationSummary
+                      report={rowCheck.report}
+                      status={rowCheck.status}
+                      error={rowCheck.error}
+                      importValidOnly={rowCheck.importValidOnly}
+                      onImportValidOnly={rowCheck.setImportValidOnly}
+                    />
+                    {formData.productionCycle.file && (
+                      <button
+                        onClick={handleMapLayout}
+                        className="text-xs text-blue-600 hover:text-blue-800 mt-1"
+                      >
+                        {formData.productionCycle.layoutProfile ? `Layout: ${formData.productionCycle.layoutProfile.name} (edit)` : 'Map layout manually'}
+                      </button>
+                    )}
                   </div>
 
                   <div>
@@ -638,6 +646,18 @@ const PoultryCalendarForm = ({ isOpen, onClose, onSave }) => {
                     />
                   </div>
 
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Version note</label>
+                    <input
+                      type="text"
+                      value={versionNote}
+                      onChange={(e) => setVersionNote(e.target.value)}
+                      placeholder="What changed in this upload? (optional)"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
+                    />
+                    <p className="text-gray-500 text-xs mt-1">Saved with your name in the calendar&apos;s version history</p>
+                  </div>
+
                 </div>
               </div>
           </div>
@@ -653,7 +673,7 @@ const PoultryCalendarForm = ({ isOpen, onClose, onSave }) => {
                 </div>
                 <div className="ml-3">
                   <p className="text-sm font-medium text-green-800">
-                    Poultry calendar saved successfully! Using enhanced Excel parsing with color detection.
+                    Poultry calendar saved as a draft. Submit it for review from the Review Queue to publish it.
                   </p>
                 </div>
               </div>
@@ -786,6 +806,17 @@ const PoultryCalendarForm = ({ isOpen, onClose, onSave }) => {
           </div>
         </div>
       </div>
+
+      {mappingRequest && (
+        <CalendarMappingWizard
+          file={formData.productionCycle.file}
+          metadata={{ region: formData.region, district: formData.district, poultryType: formData.poultryType }}
+          initialResult={mappingRequest.result}
+          initialProfile={formData.productionCycle.layoutProfile || mappingRequest.result.layoutProfile}
+          onApply={handleMappingApply}
+          onCancel={() => setMappingRequest(null)}
+        />
+      )}
     </div>
   );
 };
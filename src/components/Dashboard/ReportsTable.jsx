@@ -1,7 +1,528 @@
-import React from "react";
+import { useState, useEffect } from "react";
+import {
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import {
+  FaChartBar,
+  FaFilePdf,
+  FaFileExcel,
+  FaSave,
+  FaSync,
+  FaTrash,
+  FaEye,
+  FaClock,
+} from "react-icons/fa";
+import PropTypes from "prop-types";
+import toast from "react-hot-toast";
+import reportService, {
+  REPORT_TYPES,
+  REPORT_RANGES,
+  REPORT_SCHEDULES,
+  CONTENT_SOURCES,
+} from "../../services/reportService";
+import usePermissions from "../../hooks/usePermissions";
+import { GHANA_REGIONS } from "../../data/ghanaCodes";
+
+const formatDate = (value) =>
+  value
+    ? new Date(value).toLocaleString("en-GB", {
+        day: "numeric",
+        month: "short",
+        year: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "—";
+
+const ReportChart = ({ generated }) => {
+  const { chart, rows } = generated;
+  if (rows.length === 0) return null;
+
+  const Chart = chart.kind === "line" ? LineChart : BarChart;
+  return (
+    <div className="h-72">
+      <ResponsiveContainer width="100%" height="100%">
+        <Chart data={rows} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+          <XAxis dataKey={chart.xKey} tick={{ fontSize: 11 }} />
+          <YAxis allowDecimals={false} />
+          <Tooltip />
+          <Legend />
+          {chart.series.map((series) =>
+            chart.kind === "line" ? (
+              <Line key={series.key} type="monotone" dataKey={series.key} name={series.label} stroke={series.color} />
+            ) : (
+              <Bar
+                key={series.key}
+                dataKey={series.key}
+                name={series.label}
+                fill={series.color}
+                stackId={chart.stacked ? "total" : undefined}
+              />
+            )
+          )}
+        </Chart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+ReportChart.propTypes = {
+  generated: PropTypes.shape({
+    chart: PropTypes.shape({
+      kind: PropTypes.oneOf(["bar", "line"]).isRequired,
+      xKey: PropTypes.string.isRequired,
+      stacked: PropTypes.bool,
+      series: PropTypes.arrayOf(PropTypes.object).isRequired,
+    }).isRequired,
+    rows: PropTypes.arrayOf(PropTypes.object).isRequired,
+  }).isRequired,
+};
+
+const ReportView = ({ title, generated }) => {
+  const exportReport = async (format) => {
+    try {
+      if (format === "pdf") await reportService.exportToPDF(title, generated);
+      else reportService.exportToExcel(title, generated);
+    } catch (error) {
+      toast.error(`Export failed: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-2">
+        <div>
+          <h4 className="text-md font-medium text-gray-900">{title}</h4>
+          <p className="text-xs text-gray-500">
+            {reportService.describeParameters(generated)} · generated {formatDate(generated.generatedAt)}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => exportReport("pdf")}
+            className="inline-flex items-center px-3 py-1.5 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+          >
+            <FaFilePdf className="mr-2 text-red-600" />
+            PDF
+          </button>
+          <button
+            onClick={() => exportReport("excel")}
+            className="inline-flex items-center px-3 py-1.5 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+          >
+            <FaFileExcel className="mr-2 text-green-600" />
+            Excel
+          </button>
+        </div>
+      </div>
+
+      <ReportChart generated={generated} />
+
+      {generated.rows.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-4">No data for these parameters.</p>
+      ) : (
+        <div className="overflow-x-auto max-h-96">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                {generated.columns.map((column) => (
+                  <th key={column.key} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                    {column.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {generated.rows.map((row, index) => (
+                <tr key={`${row[generated.chart.xKey]}-${index}`}>
+                  {generated.columns.map((column) => (
+                    <td key={column.key} className="px-3 py-2 whitespace-nowrap text-gray-700">
+                      {row[column.key]}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+ReportView.propTypes = {
+  title: PropTypes.string.isRequired,
+  generated: PropTypes.shape({
+    generatedAt: PropTypes.string.isRequired,
+    columns: PropTypes.arrayOf(PropTypes.object).isRequired,
+    rows: PropTypes.arrayOf(PropTypes.object).isRequired,
+    chart: PropTypes.object.isRequired,
+  }).isRequired,
+};
 
 const ReportsTable = () => {
-  return <div>ReportsTable</div>;
+  const { scope, isInScope } = usePermissions();
+  const scopedRegion = scope.level === "national" ? "" : scope.regionCode || "";
+
+  const [type, setType] = useState("uploads_by_region");
+  const [parameters, setParameters] = useState({
+    range: "last_12_weeks",
+    from: "",
+    to: "",
+    regionCode: scopedRegion,
+    sources: Object.keys(CONTENT_SOURCES),
+  });
+  const [generated, setGenerated] = useState(null);
+  const [generating, setGenerating] = useState(false);
+  const [saveName, setSaveName] = useState("");
+  const [saveSchedule, setSaveSchedule] = useState("none");
+  const [reports, setReports] = useState([]);
+  const [reportsWarning, setReportsWarning] = useState(null);
+  const [openReport, setOpenReport] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const reportType = REPORT_TYPES[type];
+  const regionOptions = Object.values(GHANA_REGIONS).filter((region) => isInScope({ region: region.code }));
+
+  const loadReports = async () => {
+    const result = await reportService.getReports();
+    setReports(result.data);
+    setReportsWarning(result.warning);
+  };
+
+  useEffect(() => {
+    // Weekly reports that fell due while nobody was looking
+    reportService.runDueReports().then(loadReports);
+  }, []);
+
+  const updateParameter = (field, value) => setParameters({ ...parameters, [field]: value });
+
+  const toggleSource = (source) => {
+    const sources = parameters.sources.includes(source)
+      ? parameters.sources.filter((entry) => entry !== source)
+      : [...parameters.sources, source];
+    updateParameter("sources", sources);
+  };
+
+  // Only the parameters the report type uses are kept with it
+  const reportParameters = () => ({
+    ...(reportType.usesDateRange && {
+      range: parameters.range,
+      ...(parameters.range === "custom" && { from: parameters.from, to: parameters.to }),
+    }),
+    ...(reportType.usesRegion && { regionCode: parameters.regionCode || null }),
+    ...(type === "uploads_by_region" && { sources: parameters.sources }),
+  });
+
+  const handleGenerate = async () => {
+    if (type === "uploads_by_region" && parameters.sources.length === 0) {
+      toast.error("Choose at least one content type");
+      return;
+    }
+    setGenerating(true);
+    const result = await reportService.generateReport(type, reportParameters());
+    setGenerating(false);
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+    setGenerated(result.data);
+    setOpenReport(null);
+    if (!saveName) setSaveName(reportType.label);
+  };
+
+  const handleSave = async () => {
+    const result = await reportService.saveReport({
+      name: saveName,
+      type: generated.type,
+      parameters: generated.parameters,
+      schedule: saveSchedule,
+      lastRun: generated,
+    });
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+    toast.success(result.warning || `Saved "${result.data.name}"`);
+    setSaveName("");
+    setSaveSchedule("none");
+    loadReports();
+  };
+
+  const handleRun = async (report) => {
+    setBusyId(report.id);
+    const result = await reportService.runReport(report);
+    setBusyId(null);
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+    setOpenReport(result.data);
+    setGenerated(null);
+    loadReports();
+  };
+
+  const handleScheduleChange = async (report, schedule) => {
+    const result = await reportService.saveReport({ ...report, schedule, nextRunAt: null });
+    if (!result.success) toast.error(result.error);
+    loadReports();
+  };
+
+  const handleDelete = async (report) => {
+    if (!window.confirm(`Delete the saved report "${report.name}"?`)) return;
+    const result = await reportService.deleteReport(report);
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+    if (openReport?.id === report.id) setOpenReport(null);
+    loadReports();
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Report builder */}
+      <div className="bg-white rounded-lg shadow px-4 sm:px-6 py-4 space-y-4">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900 flex items-center">
+            <FaChartBar className="mr-2 text-green-600" />
+            Reports
+          </h3>
+          <p className="text-sm text-gray-500">{reportType.description}</p>
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+          <label className="block text-sm font-medium text-gray-700">
+            Report
+            <select
+              value={type}
+              onChange={(e) => setType(e.target.value)}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+            >
+              {Object.values(REPORT_TYPES).map((option) => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+
+          {reportType.usesDateRange && (
+            <label className="block text-sm font-medium text-gray-700">
+              Period
+              <select
+                value={parameters.range}
+                onChange={(e) => updateParameter("range", e.target.value)}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+              >
+                {Object.values(REPORT_RANGES).map((range) => (
+                  <option key={range.id} value={range.id}>{range.label}</option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          {reportType.usesDateRange && parameters.range === "custom" && (
+            <div className="flex items-end gap-2">
+              <input
+                type="date"
+                value={parameters.from}
+                onChange={(e) => updateParameter("from", e.target.value)}
+                title="From"
+                className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm"
+              />
+              <input
+                type="date"
+                value={parameters.to}
+                onChange={(e) => updateParameter("to", e.target.value)}
+                title="To"
+                className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm"
+              />
+            </div>
+          )}
+
+          {reportType.usesRegion && (
+            <label className="block text-sm font-medium text-gray-700">
+              Region
+              <select
+                value={parameters.regionCode}
+                onChange={(e) => updateParameter("regionCode", e.target.value)}
+                disabled={Boolean(scopedRegion)}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-sm disabled:bg-gray-100"
+              >
+                {!scopedRegion && <option value="">All regions</option>}
+                {regionOptions.map((region) => (
+                  <option key={region.code} value={region.code}>{region.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+        </div>
+
+        {type === "uploads_by_region" && (
+          <div className="flex flex-wrap gap-4">
+            {Object.entries(CONTENT_SOURCES).map(([source, label]) => (
+              <label key={source} className="inline-flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={parameters.sources.includes(source)}
+                  onChange={() => toggleSource(source)}
+                  className="mr-2"
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        )}
+
+        <button
+          onClick={handleGenerate}
+          disabled={generating}
+          className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+        >
+          <FaSync className={`mr-2 ${generating ? "animate-spin" : ""}`} />
+          {generating ? "Generating..." : "Generate report"}
+        </button>
+      </div>
+
+      {/* Generated or opened report */}
+      {(generated || openReport?.lastRun) && (
+        <div className="bg-white rounded-lg shadow px-4 sm:px-6 py-4 space-y-4">
+          {generated ? (
+            <>
+              <ReportView title={saveName || reportType.label} generated={generated} />
+              <div className="flex flex-col sm:flex-row gap-2 border-t border-gray-200 pt-4">
+                <input
+                  type="text"
+                  value={saveName}
+                  onChange={(e) => setSaveName(e.target.value)}
+                  placeholder="Report name"
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                />
+                <select
+                  value={saveSchedule}
+                  onChange={(e) => setSaveSchedule(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                >
+                  {Object.values(REPORT_SCHEDULES).map((schedule) => (
+                    <option key={schedule.id} value={schedule.id}>
+                      {schedule.id === "weekly" ? "Regenerate weekly" : "Regenerate on demand"}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={handleSave}
+                  className="inline-flex items-center justify-center px-4 py-2 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700"
+                >
+                  <FaSave className="mr-2" />
+                  Save report
+                </button>
+              </div>
+            </>
+          ) : (
+            <ReportView title={openReport.name} generated={openReport.lastRun} />
+          )}
+        </div>
+      )}
+
+      {/* Saved reports */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="px-4 sm:px-6 py-3 border-b border-gray-200">
+          <h4 className="text-sm font-medium text-gray-900">Saved reports</h4>
+          {reportsWarning && <p className="text-xs text-yellow-700 mt-1">{reportsWarning}</p>}
+        </div>
+        {reports.length === 0 ? (
+          <p className="px-4 py-6 text-sm text-gray-500 text-center">
+            No saved reports yet. Generate a report and save it to keep it here.
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Report</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Schedule</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Last generated</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Next run</th>
+                  <th className="px-3 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {reports.map((report) => (
+                  <tr key={report.id} className={openReport?.id === report.id ? "bg-green-50" : ""}>
+                    <td className="px-3 py-2">
+                      <div className="font-medium text-gray-900">{report.name}</div>
+                      <div className="text-xs text-gray-500">
+                        {REPORT_TYPES[report.type]?.label}
+                        {report.storage === "local" && " · saved in this browser"}
+                      </div>
+                    </td>
+                    <td className="px-3 py-2">
+                      <select
+                        value={report.schedule}
+                        onChange={(e) => handleScheduleChange(report, e.target.value)}
+                        className="px-2 py-1 border border-gray-300 rounded-md text-xs"
+                      >
+                        {Object.values(REPORT_SCHEDULES).map((schedule) => (
+                          <option key={schedule.id} value={schedule.id}>{schedule.label}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-700">{formatDate(report.lastRun?.generatedAt)}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-700">
+                      {report.schedule === "weekly" ? (
+                        <span className="inline-flex items-center">
+                          <FaClock className="mr-1 text-gray-400" />
+                          {formatDate(report.nextRunAt)}
+                        </span>
+                      ) : (
+                        "—"
+                      )}
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap text-right space-x-2">
+                      <button
+                        onClick={() => {
+                          setOpenReport(report);
+                          setGenerated(null);
+                        }}
+                        disabled={!report.lastRun}
+                        className="text-gray-600 hover:text-gray-900 disabled:opacity-30"
+                        title="View the latest run"
+                      >
+                        <FaEye />
+                      </button>
+                      <button
+                        onClick={() => handleRun(report)}
+                        disabled={busyId === report.id}
+                        className="text-green-600 hover:text-green-800 disabled:opacity-30"
+                        title="Regenerate now"
+                      >
+                        <FaSync className={busyId === report.id ? "animate-spin" : ""} />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(report)}
+                        className="text-red-600 hover:text-red-800"
+                        title="Delete"
+                      >
+                        <FaTrash />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
 };
 
 export default ReportsTable;
@@ -0,0 +1,466 @@
+import { useState, useEffect, useMemo } from 'react';
+import {
+  FaSms,
+  FaPaperPlane,
+  FaUserPlus,
+  FaFileUpload,
+  FaTrash,
+  FaRedo,
+  FaChevronDown,
+  FaChevronRight
+} from 'react-icons/fa';
+import smsDispatchService from '../../services/smsDispatchService';
+import { analyzeSms, toGsmFriendly } from '../../utils/smsEncoding';
+import { GHANA_REGIONS, getRegionByCode } from '../../data/ghanaCodes';
+import usePermissions from '../../hooks/usePermissions';
+
+const STATUS_STYLES = {
+  queued: 'bg-gray-100 text-gray-700',
+  sent: 'bg-blue-100 text-blue-800',
+  delivered: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+};
+
+const EMPTY_RECIPIENT = { name: '', phone: '', regionCode: '', districtCode: '', crops: '' };
+
+const SmsDisseminationManager = () => {
+  const { scope, isInScope } = usePermissions();
+  const [draft] = useState(() => smsDispatchService.takeDraft());
+  const [title, setTitle] = useState(draft?.title || '');
+  const [message, setMessage] = useState(draft?.message || '');
+  const [regionCode, setRegionCode] = useState(draft?.regionCode || scope.regionCode || '');
+  const [districtCodes, setDistrictCodes] = useState(draft?.districtCode ? [draft.districtCode] : []);
+  const [crops, setCrops] = useState(draft?.crop ? [draft.crop] : []);
+  const [recipients, setRecipients] = useState(() => smsDispatchService.getRecipients());
+  const [dispatches, setDispatches] = useState(() => smsDispatchService.getDispatches());
+  const [newRecipient, setNewRecipient] = useState(EMPTY_RECIPIENT);
+  const [expandedDispatch, setExpandedDispatch] = useState(null);
+  const [feedback, setFeedback] = useState(null);
+
+  useEffect(() => smsDispatchService.onChange(() => {
+    setRecipients(smsDispatchService.getRecipients());
+    setDispatches(smsDispatchService.getDispatches());
+  }), []);
+
+  // Poll for delivery receipts while any message is still awaiting one
+  useEffect(() => {
+    const awaiting = dispatches.some(dispatch => dispatch.recipients.some(recipient => recipient.status === 'sent'));
+    if (!awaiting) return undefined;
+
+    const intervalId = setInterval(() => {
+      smsDispatchService.refreshStatuses();
+    }, 5000);
+    return () => clearInterval(intervalId);
+  }, [dispatches]);
+
+  const analysis = useMemo(() => analyzeSms(message), [message]);
+  const gsmFriendly = useMemo(() => toGsmFriendly(message), [message]);
+  // Regional officers reach their own region only; no district picked means all of it
+  const regionOptions = Object.values(GHANA_REGIONS).filter(region => isInScope({ region: region.code }));
+  const scopedDistrictCodes = districtCodes.length === 0 && scope.level !== 'national'
+    ? Object.keys(getRegionByCode(scope.regionCode)?.districts || {})
+    : districtCodes.filter(code => isInScope({ district: code }));
+  // An empty district list means everyone, which only national users may send to
+  const matching = scope.level === 'national' || scopedDistrictCodes.length > 0
+    ? smsDispatchService.selectRecipients({ districtCodes: scopedDistrictCodes, crops })
+    : [];
+
+  const regionDistricts = regionCode
+    ? Object.entries(getRegionByCode(regionCode)?.districts || {}).map(([code, name]) => ({ code, name }))
+    : [];
+  const knownCrops = [...new Set(recipients.flatMap(recipient => recipient.crops))].sort();
+  const provider = smsDispatchService.getProvider();
+
+  const toggle = (list, setList, value) => {
+    setList(list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+  };
+
+  const handleSend = () => {
+    if (!window.confirm(`Send this SMS to ${matching.length} recipient${matching.length === 1 ? '' : 's'}?`)) return;
+
+    const result = smsDispatchService.createDispatch({ title, message, districtCodes: scopedDistrictCodes, crops });
+    if (!result.success) {
+      setFeedback({ type: 'error', text: result.error });
+      return;
+    }
+    setFeedback({ type: 'success', text: `Queued ${result.data.recipients.length} messages via ${result.data.providerLabel}` });
+    setExpandedDispatch(result.data.id);
+    setTitle('');
+    setMessage('');
+  };
+
+  const handleAddRecipient = (event) => {
+    event.preventDefault();
+    const result = smsDispatchService.addRecipient({
+      name: newRecipient.name,
+      phone: newRecipient.phone,
+      districtCode: newRecipient.districtCode,
+      crops: newRecipient.crops.split(','),
+    });
+
+    if (!result.success) {
+      setFeedback({ type: 'error', text: result.error });
+      return;
+    }
+    setFeedback(null);
+    setNewRecipient({ ...EMPTY_RECIPIENT, regionCode: newRecipient.regionCode });
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const result = smsDispatchService.importRecipients(await file.text());
+    const { added, skipped } = result.data;
+    setFeedback({
+      type: result.success ? 'success' : 'error',
+      text: `Imported ${added} recipient${added === 1 ? '' : 's'}${skipped ? `, skipped ${skipped}` : ''}.`
+        + (result.errors.length ? ` ${result.errors.slice(0, 3).join('; ')}` : ''),
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow px-4 sm:px-6 py-4 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-2">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900 flex items-center">
+            <FaSms className="mr-2 text-sky-600" />
+            SMS Dissemination
+          </h3>
+          <p className="text-sm text-gray-500">
+            {recipients.length} recipients in the directory · {provider ? `sending via ${provider.label}` : 'no SMS gateway configured'}
+          </p>
+        </div>
+        {!provider && (
+          <span className="px-2 py-1 text-xs font-semibold rounded-full bg-red-100 text-red-800">
+            Sending is off until an SMS gateway is configured
+          </span>
+        )}
+        {provider?.id === 'fake' && (
+          <span className="px-2 py-1 text-xs font-semibold rounded-full bg-yellow-100 text-yellow-800">
+            Test mode: no real SMS are sent
+          </span>
+        )}
+      </div>
+
+      {feedback && (
+        <div className={`rounded-md p-3 text-sm ${feedback.type === 'error' ? 'bg-red-50 text-red-700 border border-red-200' : 'bg-green-50 text-green-700 border border-green-200'}`}>
+          {feedback.text}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Compose */}
+        <div className="bg-white rounded-lg shadow p-4 sm:p-6 space-y-3">
+          <h4 className="font-semibold text-gray-900">Compose</h4>
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder="Title for the dispatch log (optional)"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+          />
+          <textarea
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            rows={6}
+            placeholder="Advisory text to send"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm font-mono"
+          />
+          <div className="flex flex-wrap justify-between text-xs text-gray-600 gap-2">
+            <span>
+              {analysis.encoding} · {analysis.units} characters · {analysis.segments.length} segment{analysis.segments.length === 1 ? '' : 's'}
+            </span>
+            <span>{analysis.remaining} left in this segment</span>
+          </div>
+          {analysis.encoding === 'UCS-2' && (
+            <div className="text-xs text-amber-800 bg-amber-50 border border-amber-200 rounded p-2">
+              {analysis.nonGsmCharacters.join(' ')} {analysis.nonGsmCharacters.length === 1 ? 'is' : 'are'} outside
+              the GSM alphabet, so each segment holds {analysis.perSegment} characters instead of 153-160.
+              {gsmFriendly !== message && (
+                <button
+                  onClick={() => setMessage(gsmFriendly)}
+                  className="ml-1 underline font-medium"
+                >
+                  Replace quotes and dashes
+                </button>
+              )}
+            </div>
+          )}
+          {analysis.segments.length > 1 && (
+            <div className="space-y-1">
+              {analysis.segments.map((segment, index) => (
+                <p key={index} className="text-xs font-mono bg-sky-50 border border-sky-100 rounded p-1.5">
+                  <span className="text-sky-700 font-semibold mr-1">{index + 1}/{analysis.segments.length}</span>
+                  {segment}
+                </p>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Recipients */}
+        <div className="bg-white rounded-lg shadow p-4 sm:p-6 space-y-3">
+          <h4 className="font-semibold text-gray-900">Recipients</h4>
+          <select
+            value={regionCode}
+            onChange={(e) => setRegionCode(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">Pick a region to choose districts</option>
+            {regionOptions.map(region => (
+              <option key={region.code} value={region.code}>{region.name}</option>
+            ))}
+          </select>
+          {regionDistricts.length > 0 && (
+            <div className="max-h-40 overflow-y-auto border border-gray-200 rounded-md p-2 grid grid-cols-1 sm:grid-cols-2 gap-1">
+              {regionDistricts.map(district => (
+                <label key={district.code} className="flex items-center text-sm">
+                  <input
+                    type="checkbox"
+                    checked={districtCodes.includes(district.code)}
+                    onChange={() => toggle(districtCodes, setDistrictCodes, district.code)}
+                    className="mr-2"
+                  />
+                  {district.name}
+                </label>
+              ))}
+            </div>
+          )}
+          {districtCodes.length > 0 && (
+            <p className="text-xs text-gray-600">
+              {districtCodes.length} district{districtCodes.length === 1 ? '' : 's'} selected
+              <button onClick={() => setDistrictCodes([])} className="ml-2 text-blue-600 hover:underline">
+                Clear
+              </button>
+            </p>
+          )}
+
+          {knownCrops.length > 0 && (
+            <div>
+              <p className="text-sm text-gray-700 mb-1">Crops</p>
+              <div className="flex flex-wrap gap-1">
+                {knownCrops.map(crop => (
+                  <button
+                    key={crop}
+                    onClick={() => toggle(crops, setCrops, crop)}
+                    className={`px-2 py-1 text-xs rounded-full border ${
+                      crops.includes(crop)
+                        ? 'bg-green-600 text-white border-green-600'
+                        : 'border-gray-300 text-gray-700 hover:bg-gray-100'
+                    }`}
+                  >
+                    {crop}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <p className="text-sm text-gray-700">
+            {matching.length} matching recipient{matching.length === 1 ? '' : 's'}
+            {districtCodes.length === 0 && crops.length === 0 && (scope.level === 'national' ? ' (everyone in the directory)' : ' (everyone in your region)')}
+          </p>
+          <button
+            onClick={handleSend}
+            disabled={!provider || !message.trim() || matching.length === 0}
+            className="w-full px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <FaPaperPlane className="mr-2" />
+            Send to {matching.length} recipient{matching.length === 1 ? '' : 's'}
+          </button>
+        </div>
+      </div>
+
+      {/* Delivery status */}
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-4 sm:px-6 py-4 border-b border-gray-200">
+          <h4 className="font-semibold text-gray-900">Dispatches</h4>
+        </div>
+        {dispatches.length === 0 ? (
+          <p className="px-4 sm:px-6 py-6 text-sm text-gray-500">No SMS have been sent yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {dispatches.map(dispatch => {
+              const summary = smsDispatchService.getDispatchSummary(dispatch);
+              const expanded = expandedDispatch === dispatch.id;
+              return (
+                <li key={dispatch.id} className="px-4 sm:px-6 py-3">
+                  <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                    <button
+                      onClick={() => setExpandedDispatch(expanded ? null : dispatch.id)}
+                      className="flex items-center text-left min-w-0"
+                    >
+                      {expanded ? <FaChevronDown className="mr-2 flex-shrink-0" /> : <FaChevronRight className="mr-2 flex-shrink-0" />}
+                      <span className="min-w-0">
+                        <span className="block text-sm font-medium text-gray-900 truncate">{dispatch.title}</span>
+                        <span className="block text-xs text-gray-500">
+                          {new Date(dispatch.createdAt).toLocaleString()} · {dispatch.segmentCount} segment{dispatch.segmentCount === 1 ? '' : 's'} ({dispatch.encoding}) · {dispatch.providerLabel}
+                        </span>
+                      </span>
+                    </button>
+                    <div className="flex items-center gap-1 flex-wrap">
+                      {Object.entries(summary).filter(([, count]) => count > 0).map(([status, count]) => (
+                        <span key={status} className={`px-2 py-0.5 text-xs font-semibold rounded-full ${STATUS_STYLES[status]}`}>
+                          {count} {status}
+                        </span>
+                      ))}
+                      {summary.failed > 0 && (
+                        <button
+                          onClick={() => smsDispatchService.retryFailed(dispatch.id)}
+                          className="ml-1 text-xs text-blue-600 hover:text-blue-800 flex items-center"
+                          title="Retry failed messages"
+                        >
+                          <FaRedo className="mr-1" /> Retry
+                        </button>
+                      )}
+                    </div>
+                  </div>
+
+                  {expanded && (
+                    <div className="mt-3 overflow-x-auto">
+                      <p className="text-xs font-mono bg-gray-50 rounded p-2 mb-2">{dispatch.message}</p>
+                      <table className="min-w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-xs text-gray-500 uppercase">
+                            <th className="py-1 pr-4">Recipient</th>
+                            <th className="py-1 pr-4">Phone</th>
+                            <th className="py-1 pr-4">Status</th>
+                            <th className="py-1 pr-4">Updated</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                          {dispatch.recipients.map(recipient => (
+                            <tr key={recipient.phone}>
+                              <td className="py-1 pr-4">{recipient.name || '—'}</td>
+                              <td className="py-1 pr-4 font-mono text-xs">{recipient.phone}</td>
+                              <td className="py-1 pr-4">
+                                <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${STATUS_STYLES[recipient.status]}`} title={recipient.error || ''}>
+                                  {recipient.status}
+                                </span>
+                                {recipient.error && <span className="ml-2 text-xs text-red-600">{recipient.error}</span>}
+                              </td>
+                              <td className="py-1 pr-4 text-xs text-gray-500">{new Date(recipient.updatedAt).toLocaleTimeString()}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+
+      {/* Recipient directory */}
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-4 sm:px-6 py-4 border-b border-gray-200 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-2">
+          <div>
+            <h4 className="font-semibold text-gray-900">Recipient directory</h4>
+            <p className="text-xs text-gray-500">CSV columns: name, phone, district, crops (separated by ;)</p>
+          </div>
+          <label className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 flex items-center justify-center cursor-pointer text-sm">
+            <FaFileUpload className="mr-2" />
+            Import CSV
+            <input type="file" accept=".csv,text/csv" onChange={handleImport} className="hidden" />
+          </label>
+        </div>
+
+        <form onSubmit={handleAddRecipient} className="px-4 sm:px-6 py-4 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-6 gap-2 border-b border-gray-200">
+          <input
+            type="text"
+            value={newRecipient.name}
+            onChange={(e) => setNewRecipient({ ...newRecipient, name: e.target.value })}
+            placeholder="Name"
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          />
+          <input
+            type="tel"
+            value={newRecipient.phone}
+            onChange={(e) => setNewRecipient({ ...newRecipient, phone: e.target.value })}
+            placeholder="Phone"
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          />
+          <select
+            value={newRecipient.regionCode}
+            onChange={(e) => setNewRecipient({ ...newRecipient, regionCode: e.target.value, districtCode: '' })}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">Region</option>
+            {regionOptions.map(region => (
+              <option key={region.code} value={region.code}>{region.name}</option>
+            ))}
+          </select>
+          <select
+            value={newRecipient.districtCode}
+            onChange={(e) => setNewRecipient({ ...newRecipient, districtCode: e.target.value })}
+            disabled={!newRecipient.regionCode}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm disabled:bg-gray-100"
+          >
+            <option value="">District</option>
+            {Object.entries(getRegionByCode(newRecipient.regionCode)?.districts || {}).map(([code, name]) => (
+              <option key={code} value={code}>{name}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={newRecipient.crops}
+            onChange={(e) => setNewRecipient({ ...newRecipient, crops: e.target.value })}
+            placeholder="Crops, comma separated"
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          />
+          <button
+            type="submit"
+            className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center justify-center text-sm"
+          >
+            <FaUserPlus className="mr-2" />
+            Add
+          </button>
+        </form>
+
+        {recipients.length === 0 ? (
+          <p className="px-4 sm:px-6 py-6 text-sm text-gray-500">No recipients yet. Add farmers above or import a CSV.</p>
+        ) : (
+          <div className="overflow-x-auto max-h-80">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+                  <th className="px-4 sm:px-6 py-2">Name</th>
+                  <th className="px-4 sm:px-6 py-2">Phone</th>
+                  <th className="px-4 sm:px-6 py-2">District</th>
+                  <th className="px-4 sm:px-6 py-2">Crops</th>
+                  <th className="px-4 sm:px-6 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {recipients.map(recipient => (
+                  <tr key={recipient.id} className="hover:bg-gray-50">
+                    <td className="px-4 sm:px-6 py-2">{recipient.name || '—'}</td>
+                    <td className="px-4 sm:px-6 py-2 font-mono text-xs">{recipient.phone}</td>
+                    <td className="px-4 sm:px-6 py-2">{recipient.districtName}</td>
+                    <td className="px-4 sm:px-6 py-2">{recipient.crops.join(', ') || '—'}</td>
+                    <td className="px-4 sm:px-6 py-2 text-right">
+                      <button
+                        onClick={() => smsDispatchService.removeRecipient(recipient.id)}
+                        className="text-red-600 hover:text-red-900"
+                        title="Remove recipient"
+                      >
+                        <FaTrash />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SmsDisseminationManager;
@@ -0,0 +1,124 @@
+import { useState } from "react";
+import { AlertTriangle, X } from "lucide-react";
+import PropTypes from "prop-types";
+import { useEmergencyAlerts } from "../hooks/useEmergencyAlerts";
+import { EMERGENCY_HAZARDS } from "../services/emergencyAlertService";
+import translationService from "../services/translationService";
+import { getDistrictName } from "../data/ghanaCodes";
+
+const DISMISSED_KEY = "triagro_dismissed_emergencies";
+const MAX_LISTED_DISTRICTS = 4;
+
+const SEVERITY_STYLES = {
+  high: "bg-red-700 text-white",
+  medium: "bg-orange-500 text-white",
+  low: "bg-yellow-300 text-gray-900",
+};
+
+const readDismissed = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(DISMISSED_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const formatExpiry = (value) =>
+  new Date(value).toLocaleString("en-GB", {
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const describeDistricts = (codes) => {
+  const names = codes.map((code) => getDistrictName(code));
+  if (names.length <= MAX_LISTED_DISTRICTS) return names.join(", ");
+  return `${names.slice(0, MAX_LISTED_DISTRICTS).join(", ")} and ${names.length - MAX_LISTED_DISTRICTS} more districts`;
+};
+
+const EmergencyNotice = ({ alert, onDismiss }) => {
+  const languages = translationService.getSupportedLanguages();
+  const available = ["en", ...Object.keys(alert.translations || {})];
+  const preferred = translationService.getUserLanguage();
+  const [language, setLanguage] = useState(available.includes(preferred) ? preferred : "en");
+  const message = language === "en" ? alert.message : alert.translations[language];
+
+  return (
+    <div className={`${SEVERITY_STYLES[alert.severity] || SEVERITY_STYLES.medium} px-4 py-2`} role="alert">
+      <div className="container mx-auto flex items-start gap-3 pr-16">
+        <AlertTriangle className="h-5 w-5 flex-shrink-0 mt-0.5" />
+        <div className="flex-1 min-w-0 text-sm">
+          <p className="font-semibold">
+            {EMERGENCY_HAZARDS[alert.hazard]?.label || "Emergency"}: {alert.title}
+          </p>
+          <p>{message}</p>
+          <p className="text-xs opacity-90 mt-0.5">
+            {describeDistricts(alert.districtCodes)} · until {formatExpiry(alert.expiresAt)}
+          </p>
+          {available.length > 1 && (
+            <div className="flex flex-wrap gap-2 mt-1 text-xs">
+              {available.map((code) => (
+                <button
+                  key={code}
+                  onClick={() => setLanguage(code)}
+                  className={`underline-offset-2 ${language === code ? "font-bold underline" : "opacity-80 hover:underline"}`}
+                >
+                  {languages[code]?.name || code}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+        <button onClick={() => onDismiss(alert.id)} className="flex-shrink-0 opacity-80 hover:opacity-100" title="Hide this alert">
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+EmergencyNotice.propTypes = {
+  alert: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    hazard: PropTypes.string.isRequired,
+    severity: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    message: PropTypes.string.isRequired,
+    translations: PropTypes.object,
+    districtCodes: PropTypes.arrayOf(PropTypes.string).isRequired,
+    expiresAt: PropTypes.string.isRequired,
+  }).isRequired,
+  onDismiss: PropTypes.func.isRequired,
+};
+
+// Site-wide banner for active emergencies, pinned to the bottom of the
+// window (the header floats over the top) with the most severe first. A
+// dismissed alert stays hidden for the rest of the browser session.
+const EmergencyBanner = () => {
+  const alerts = useEmergencyAlerts();
+  const [dismissed, setDismissed] = useState(readDismissed);
+
+  const handleDismiss = (alertId) => {
+    const updated = [...dismissed, alertId];
+    sessionStorage.setItem(DISMISSED_KEY, JSON.stringify(updated));
+    setDismissed(updated);
+  };
+
+  const severityRank = { high: 0, medium: 1, low: 2 };
+  const visible = alerts
+    .filter((alert) => !dismissed.includes(alert.id))
+    .sort((a, b) => severityRank[a.severity] - severityRank[b.severity]);
+
+  if (visible.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-0 inset-x-0 z-40 divide-y divide-black/10 shadow-lg max-h-[40vh] overflow-y-auto">
+      {visible.map((alert) => (
+        <EmergencyNotice key={alert.id} alert={alert} onDismiss={handleDismiss} />
+      ))}
+    </div>
+  );
+};
+
+export default EmergencyBanner;
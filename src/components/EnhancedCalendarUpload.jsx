@@ -2,8 +2,15 @@ import React, { useState, useRef } from 'react';
 import { Upload, FileSpreadsheet, Calendar, Loader2, CheckCircle, AlertCircle, Info } from 'lucide-react';
 import { getRegionDistrictMapping, getAllRegionNames, getDistrictsByRegionName } from '../data/ghanaCodes';
 import userService from '../services/userService';
+import calendarLayoutProfileService from '../services/calendarLayoutProfileService';
+import calendarVersionService from '../services/calendarVersionService';
+import contentWorkflowService from '../services/contentWorkflowService';
+import usePermissions from '../hooks/usePermissions';
+import { PERMISSIONS } from '../utils/accessControl';
+import CalendarMappingWizard from './common/CalendarMappingWizard';
 
 const EnhancedCalendarUpload = () => {
+  const { can, access } = usePermissions();
   const [file, setFile] = useState(null);
   const [uploading, setUploading] = useState(false);
   const [uploadResult, setUploadResult] = useState(null);
@@ -12,6 +19,8 @@ const EnhancedCalendarUpload = () => {
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
   const [year, setYear] = useState(new Date().getFullYear());
+  const [layoutProfile, setLayoutProfile] = useState(null);
+  const [mappingRequest, setMappingRequest] = useState(null);
   const fileInputRef = useRef(null);
 
   const regionNames = getAllRegionNames();
@@ -21,6 +30,7 @@ const EnhancedCalendarUpload = () => {
     if (selectedFile) {
       setFile(selectedFile);
       setUploadResult(null);
+      setLayoutProfile(null);
       
       // Auto-generate title from filename if not set
       if (!title) {
@@ -50,6 +60,47 @@ const EnhancedCalendarUpload = () => {
       return;
     }
 
+    if (!can(PERMISSIONS.UPLOAD_CONTENT, { region: selectedRegion, district: selectedDistrict })) {
+      alert(`As ${access} you cannot upload calendars for ${selectedDistrict}`);
+      return;
+    }
+
+    // Read the file here first: layouts auto-detection cannot read are mapped by hand
+    setUploading(true);
+    const profile = layoutProfile || await calendarLayoutProfileService.getProfileForDistrict(selectedDistrict);
+    const parsed = await calendarLayoutProfileService.parseWithProfile(
+      file,
+      { region: selectedRegion, district: selectedDistrict },
+      profile
+    );
+    if (calendarLayoutProfileService.needsMapping(parsed)) {
+      setUploading(false);
+      setMappingRequest({ result: parsed, upload: true });
+      return;
+    }
+    await submitUpload(parsed, parsed.layoutProfile ? profile : null);
+  };
+
+  const handleMapLayout = async () => {
+    const result = await calendarLayoutProfileService.parseWithProfile(
+      file,
+      { region: selectedRegion, district: selectedDistrict },
+      layoutProfile || await calendarLayoutProfileService.getProfileForDistrict(selectedDistrict)
+    );
+    setMappingRequest({ result, upload: false });
+  };
+
+  const handleMappingApply = async (result, profile) => {
+    const { upload } = mappingRequest;
+    setMappingRequest(null);
+    setLayoutProfile(profile);
+    if (upload) {
+      setUploading(true);
+      await submitUpload(result, profile);
+    }
+  };
+
+  const submitUpload = async (parsed, mappedProfile) => {
     try {
       setUploading(true);
       setUploadResult(null);
@@ -62,6 +113,16 @@ const EnhancedCalendarUpload = () => {
       formData.append('title', title);
       formData.append('description', description);
       formData.append('year', year.toString());
+      if (mappedProfile) {
+        formData.append('layoutMapping', JSON.stringify(mappedProfile.mapping));
+      }
+
+      const upload = calendarVersionService.splitFormData(formData);
+
+      // Calendars stay drafts until published through the review queue
+      const workflowId = contentWorkflowService.createWorkflowId('enhanced-calendar');
+      formData.append('workflowId', workflowId);
+      formData.append('status', 'draft');
 
       const result = await userService.uploadAgriculturalData(
         formData, 
@@ -72,6 +133,33 @@ const EnhancedCalendarUpload = () => {
       );
 
       console.log('Enhanced calendar upload result:', result);
+      if (result.success) {
+        const drafted = await contentWorkflowService.registerDraft({
+          workflowId,
+          contentType: 'enhanced-calendar',
+          recordId: result.data?.data?.id || result.data?.id,
+          title: title || parsed.title,
+          region: selectedRegion,
+          district: selectedDistrict,
+          commodity: parsed.commodity
+        });
+        result.workflowError = drafted.success ? null : drafted.error;
+
+        // Becomes the calendar's next version once the draft is published.
+        // Commodity comes from the file here, so version by what the parser found
+        const staged = await calendarVersionService.stageVersion({
+          dataType: 'enhanced-calendar',
+          region: selectedRegion,
+          district: selectedDistrict,
+          commodity: parsed.commodity || title,
+          ...upload,
+          parseResult: parsed,
+          workflowId,
+          recordId: result.data?.data?.id || result.data?.id || null,
+          note: description
+        });
+        result.versionError = staged.success ? null : staged.error;
+      }
       setUploadResult(result);
 
       if (result.success) {
@@ -79,6 +167,7 @@ const EnhancedCalendarUpload = () => {
         setFile(null);
         setTitle('');
         setDescription('');
+        setLayoutProfile(null);
         if (fileInputRef.current) {
           fileInputRef.current.value = '';
         }
@@ -171,6 +260,17 @@ const EnhancedCalendarUpload = () => {
         </div>
       </div>
 
+      {file && (
+        <div className="-mt-4 mb-6 text-sm">
+          <button
+            onClick={handleMapLayout}
+            className="text-blue-600 hover:text-blue-800"
+          >
+            {layoutProfile ? `Layout: ${layoutProfile.name} (edit)` : 'Map layout manually'}
+          </button>
+        </div>
+      )}
+
       {/* Form Fields */}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
         {/* Region Selection */}
@@ -294,7 +394,18 @@ const EnhancedCalendarUpload = () => {
               </h3>
               <p className={`mt-1 text-sm ${uploadResult.success ? 'text-green-700' : 'text-red-700'}`}>
                 {uploadResult.message}
+                {uploadResult.success && ' It stays a draft until it is approved and published from the Review Queue.'}
               </p>
+              {uploadResult.workflowError && (
+                <p className="mt-1 text-sm text-red-700">
+                  It could not be added to the Review Queue: {uploadResult.workflowError}
+                </p>
+              )}
+              {uploadResult.versionError && (
+                <p className="mt-1 text-sm text-red-700">
+                  Its version could not be recorded: {uploadResult.versionError}
+                </p>
+              )}
               
               {uploadResult.success && uploadResult.calendarType && (
                 <div className="mt-3 space-y-2">
@@ -337,10 +448,22 @@ const EnhancedCalendarUpload = () => {
               <li>• <strong>Production Cycles:</strong> For poultry with flexible start dates (broiler, layer, etc.)</li>
               <li>• <strong>Auto-Detection:</strong> System identifies calendar type from Excel structure and commodity</li>
               <li>• <strong>Activity Mapping:</strong> Extracts activities and timeline from Excel layout</li>
+              <li>• <strong>Layout Profiles:</strong> Layouts you map by hand are reused for the district&apos;s next uploads</li>
             </ul>
           </div>
         </div>
       </div>
+
+      {mappingRequest && (
+        <CalendarMappingWizard
+          file={file}
+          metadata={{ region: selectedRegion, district: selectedDistrict }}
+          initialResult={mappingRequest.result}
+          initialProfile={layoutProfile || mappingRequest.result.layoutProfile}
+          onApply={handleMappingApply}
+          onCancel={() => setMappingRequest(null)}
+        />
+      )}
     </div>
   );
 };
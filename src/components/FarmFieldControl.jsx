@@ -0,0 +1,237 @@
+import { useState, useRef } from "react";
+import PropTypes from "prop-types";
+import { Sprout, PenLine, Upload, Undo2, Check, X } from "lucide-react";
+import { getAllRegionNames, getDistrictsByRegionName } from "../data/ghanaCodes";
+
+const REGION_NAMES = getAllRegionNames();
+
+// "My farm" controls: draw a field by clicking its corners, import field
+// boundaries from GeoJSON/KML, and jump to a saved field. The farmer picks
+// the field's district; it starts at the district of the last saved field.
+// Maps with their own overlay layout pass positionClassName to place it.
+const FarmFieldControl = ({
+  fields,
+  selectedFieldId,
+  drawing,
+  draftPointCount,
+  message,
+  onStartDrawing,
+  onUndo,
+  onCancel,
+  onFinish,
+  onImport,
+  onSelectField,
+  isMobile = false,
+  positionClassName = null,
+}) => {
+  const [open, setOpen] = useState(false);
+  const [fieldName, setFieldName] = useState("");
+  const lastLocation = fields[fields.length - 1]?.location;
+  const [regionName, setRegionName] = useState(lastLocation?.regionName || "");
+  const [districtCode, setDistrictCode] = useState(lastLocation?.districtCode || "");
+  const fileInputRef = useRef(null);
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (file) onImport(file, districtCode);
+    e.target.value = "";
+  };
+
+  const handleFinish = () => {
+    onFinish(fieldName.trim(), districtCode);
+    setFieldName("");
+  };
+
+  const districtPicker = (
+    <div className="flex gap-1">
+      <select
+        value={regionName}
+        onChange={(e) => {
+          setRegionName(e.target.value);
+          setDistrictCode("");
+        }}
+        className="w-1/2 border border-gray-300 rounded px-1 py-1 focus:outline-none focus:ring-1 focus:ring-green-500"
+        aria-label="Field region"
+      >
+        <option value="">Region</option>
+        {REGION_NAMES.map((name) => (
+          <option key={name} value={name}>
+            {name.replace(/\s+Region$/, "")}
+          </option>
+        ))}
+      </select>
+      <select
+        value={districtCode}
+        onChange={(e) => setDistrictCode(e.target.value)}
+        disabled={!regionName}
+        className="w-1/2 border border-gray-300 rounded px-1 py-1 focus:outline-none focus:ring-1 focus:ring-green-500 disabled:opacity-40"
+        aria-label="Field district"
+      >
+        <option value="">District</option>
+        {getDistrictsByRegionName(regionName).map((district) => (
+          <option key={district.code} value={district.code}>
+            {district.name}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+
+  return (
+    <div
+      className={`${positionClassName || `absolute ${isMobile ? "top-[50px]" : "top-[150px]"} left-[10px]`} z-[1000] text-xs text-gray-700`}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <button
+        onClick={() => setOpen((prev) => !prev)}
+        className={`flex items-center gap-1 px-2 h-[30px] border rounded shadow-md transition-colors ${
+          open || drawing
+            ? "bg-green-600 border-green-700 text-white"
+            : "bg-white border-gray-300 hover:bg-gray-50"
+        }`}
+        aria-expanded={open}
+        title="My farm fields"
+      >
+        <Sprout className="w-4 h-4" />
+        <span className="font-medium">My farm</span>
+      </button>
+
+      {(open || drawing) && (
+        <div className="mt-1 w-[220px] bg-white/95 border border-gray-200 rounded-md shadow-md p-2 space-y-2">
+          {drawing ? (
+            <>
+              <p className="leading-tight">
+                Click the map to mark each corner of your field.{" "}
+                <span className="text-gray-500">({draftPointCount} marked)</span>
+              </p>
+              <input
+                type="text"
+                value={fieldName}
+                onChange={(e) => setFieldName(e.target.value)}
+                placeholder="Field name (optional)"
+                className="w-full border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-1 focus:ring-green-500"
+              />
+              {districtPicker}
+              <div className="flex gap-1">
+                <button
+                  onClick={handleFinish}
+                  disabled={draftPointCount < 3 || !districtCode}
+                  className="flex-1 flex items-center justify-center gap-1 py-1 rounded bg-green-600 text-white hover:bg-green-700 disabled:opacity-40"
+                >
+                  <Check className="w-3 h-3" /> Save
+                </button>
+                <button
+                  onClick={onUndo}
+                  disabled={draftPointCount === 0}
+                  className="p-1 rounded border border-gray-300 hover:bg-gray-100 disabled:opacity-40"
+                  aria-label="Remove last corner"
+                >
+                  <Undo2 className="w-3 h-3" />
+                </button>
+                <button
+                  onClick={onCancel}
+                  className="p-1 rounded border border-gray-300 hover:bg-gray-100"
+                  aria-label="Cancel drawing"
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              {districtPicker}
+              <div className="flex gap-1">
+                <button
+                  onClick={onStartDrawing}
+                  className="flex-1 flex items-center justify-center gap-1 py-1 rounded bg-green-600 text-white hover:bg-green-700"
+                >
+                  <PenLine className="w-3 h-3" /> Draw field
+                </button>
+                <button
+                  onClick={() => fileInputRef.current?.click()}
+                  disabled={!districtCode}
+                  className="flex-1 flex items-center justify-center gap-1 py-1 rounded border border-gray-300 hover:bg-gray-100 disabled:opacity-40"
+                  title={districtCode ? "Import a GeoJSON or KML file" : "Choose the district first"}
+                >
+                  <Upload className="w-3 h-3" /> Import
+                </button>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept=".geojson,.json,.kml"
+                  onChange={handleFileChange}
+                  className="hidden"
+                />
+              </div>
+
+              {fields.length > 0 ? (
+                <ul className="max-h-[140px] overflow-y-auto divide-y divide-gray-100">
+                  {fields.map((field) => (
+                    <li key={field.id}>
+                      <button
+                        onClick={() => onSelectField(field.id)}
+                        className={`w-full flex justify-between gap-2 py-1 px-1 text-left rounded hover:bg-green-50 ${
+                          field.id === selectedFieldId ? "bg-green-50 font-medium" : ""
+                        }`}
+                      >
+                        <span className="truncate">{field.name}</span>
+                        <span className="text-gray-500 flex-shrink-0">
+                          {field.area.acres.toFixed(2)} ac
+                        </span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-gray-500 leading-tight">
+                  Choose the district, then draw or import your fields to get forecasts and advice for them.
+                </p>
+              )}
+            </>
+          )}
+
+          {message && (
+            <p
+              className={`leading-tight ${
+                message.type === "error" ? "text-red-600" : "text-green-700"
+              }`}
+            >
+              {message.text}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+FarmFieldControl.propTypes = {
+  fields: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      area: PropTypes.shape({ acres: PropTypes.number }).isRequired,
+      location: PropTypes.shape({
+        districtCode: PropTypes.string,
+        regionName: PropTypes.string,
+      }),
+    })
+  ).isRequired,
+  selectedFieldId: PropTypes.string,
+  drawing: PropTypes.bool.isRequired,
+  draftPointCount: PropTypes.number.isRequired,
+  message: PropTypes.shape({
+    type: PropTypes.oneOf(["error", "success"]),
+    text: PropTypes.string,
+  }),
+  onStartDrawing: PropTypes.func.isRequired,
+  onUndo: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  onFinish: PropTypes.func.isRequired,
+  onImport: PropTypes.func.isRequired,
+  onSelectField: PropTypes.func.isRequired,
+  isMobile: PropTypes.bool,
+  positionClassName: PropTypes.string,
+};
+
+export default FarmFieldControl;
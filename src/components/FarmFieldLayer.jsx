@@ -0,0 +1,122 @@
+import { useEffect } from "react";
+import {
+  GeoJSON,
+  Pane,
+  Polyline,
+  Polygon,
+  CircleMarker,
+  useMap,
+  useMapEvents,
+} from "react-leaflet";
+import L from "leaflet";
+import PropTypes from "prop-types";
+
+const toLatLng = ([lng, lat]) => [lat, lng];
+
+// Saved farm fields and the field being drawn. Fields sit in their own pane
+// so they stay above the district layer when it is rebuilt.
+const FarmFieldLayer = ({
+  fields,
+  selectedFieldId,
+  drawing,
+  draftPoints,
+  onFieldClick,
+  onDraftPoint,
+}) => {
+  const map = useMap();
+
+  // Clicks on open map (outside the district polygons) add corners too
+  useMapEvents({
+    click: (e) => {
+      if (drawing) onDraftPoint(e.latlng);
+    },
+  });
+
+  // Bring the selected field into view
+  useEffect(() => {
+    const field = fields.find((item) => item.id === selectedFieldId);
+    if (field) {
+      map.fitBounds(L.geoJSON(field.geometry).getBounds(), {
+        maxZoom: 16,
+        padding: [40, 40],
+      });
+    }
+  }, [selectedFieldId, fields, map]);
+
+  useEffect(() => {
+    const container = map.getContainer();
+    container.style.cursor = drawing ? "crosshair" : "";
+    return () => {
+      container.style.cursor = "";
+    };
+  }, [drawing, map]);
+
+  const draftPositions = draftPoints.map(toLatLng);
+
+  return (
+    <Pane name="farm-fields" style={{ zIndex: 450 }}>
+      {fields.map((field) => {
+        const isSelected = field.id === selectedFieldId;
+        return (
+          <GeoJSON
+            key={field.id}
+            data={field.geometry}
+            style={{
+              color: isSelected ? "#14532D" : "#16A34A",
+              weight: isSelected ? 3 : 2,
+              fillColor: "#22C55E",
+              fillOpacity: isSelected ? 0.45 : 0.3,
+            }}
+            eventHandlers={{
+              click: (e) => {
+                e.originalEvent.stopPropagation();
+                onFieldClick(e.latlng, field);
+              },
+            }}
+          />
+        );
+      })}
+
+      {drawing && draftPositions.length >= 3 && (
+        <Polygon
+          positions={draftPositions}
+          interactive={false}
+          pathOptions={{ color: "#F59E0B", weight: 2, dashArray: "4 4", fillOpacity: 0.15 }}
+        />
+      )}
+      {drawing && draftPositions.length === 2 && (
+        <Polyline
+          positions={draftPositions}
+          interactive={false}
+          pathOptions={{ color: "#F59E0B", weight: 2, dashArray: "4 4" }}
+        />
+      )}
+      {drawing &&
+        draftPositions.map((position, index) => (
+          <CircleMarker
+            key={`${position[0]}-${position[1]}-${index}`}
+            center={position}
+            radius={4}
+            interactive={false}
+            pathOptions={{ color: "#B45309", fillColor: "#FBBF24", fillOpacity: 1, weight: 1 }}
+          />
+        ))}
+    </Pane>
+  );
+};
+
+FarmFieldLayer.propTypes = {
+  fields: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      geometry: PropTypes.object.isRequired,
+    })
+  ).isRequired,
+  selectedFieldId: PropTypes.string,
+  drawing: PropTypes.bool.isRequired,
+  draftPoints: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)).isRequired,
+  onFieldClick: PropTypes.func.isRequired,
+  onDraftPoint: PropTypes.func.isRequired,
+};
+
+export default FarmFieldLayer;
@@ -0,0 +1,221 @@
+import { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import {
+  Sprout,
+  Thermometer,
+  CloudRain,
+  AlertTriangle,
+  CalendarDays,
+  Trash2,
+} from "lucide-react";
+import farmFieldService from "../services/farmFieldService";
+import weatherProviderService from "../services/weatherProviderService";
+
+const SEVERITY_STYLES = {
+  high: "bg-red-50 border-red-200 text-red-800",
+  medium: "bg-amber-50 border-amber-200 text-amber-800",
+  low: "bg-green-50 border-green-200 text-green-800",
+};
+
+const formatDay = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString("en-GB", {
+    weekday: "short",
+    day: "numeric",
+  });
+
+// Forecast, advisories and calendar activities for one of the farmer's fields
+const FarmFieldPanel = ({ field, crops, onClose, onRemove }) => {
+  const [outlook, setOutlook] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [confirmRemove, setConfirmRemove] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setConfirmRemove(false);
+
+    farmFieldService.getFieldOutlook(field, { crops }).then((result) => {
+      if (cancelled) return;
+      setOutlook(result);
+      setLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [field, crops]);
+
+  const weather = outlook?.data.weather;
+  const { location } = field;
+
+  return (
+    <div
+      className="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 bg-white/95 border border-gray-200 rounded-lg shadow-xl p-3 sm:p-4 z-[1000] w-[290px] max-w-[calc(100vw-1rem)] sm:w-96 text-gray-800 max-h-[70vh] overflow-y-auto"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="flex justify-between items-start mb-2">
+        <div className="flex-1 min-w-0">
+          <h3 className="text-sm font-semibold text-gray-900 flex items-center gap-1 truncate">
+            <Sprout className="w-4 h-4 text-green-600 flex-shrink-0" />
+            <span className="truncate">{field.name}</span>
+          </h3>
+          <p className="text-gray-500 text-xs">
+            {field.area.hectares.toFixed(2)} ha · {field.area.acres.toFixed(2)} acres
+          </p>
+          <p className="text-gray-500 text-[10px]">
+            {location.districtName}, {location.regionName}
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="text-gray-400 hover:text-gray-600 text-lg p-1 hover:bg-gray-100 rounded-full transition-colors flex-shrink-0 ml-1"
+          aria-label="Close field panel"
+        >
+          ×
+        </button>
+      </div>
+
+      {loading && (
+        <p className="text-xs text-gray-500 text-center py-4">Loading field outlook...</p>
+      )}
+
+      {!loading && !weather && (
+        <p className="text-xs text-amber-700 text-center py-2">{outlook?.error}</p>
+      )}
+
+      {!loading && weather && (
+        <div className="space-y-3">
+          <div className="flex items-center justify-between bg-gradient-to-r from-green-50 to-blue-50 rounded-lg px-3 py-2">
+            <div className="flex items-center gap-2">
+              <Thermometer className="w-5 h-5 text-orange-500" />
+              <span className="text-xl font-bold text-gray-900">
+                {weather.current.temperature}°C
+              </span>
+            </div>
+            <div className="text-right text-xs">
+              <p className="font-medium text-gray-700">{weather.current.condition}</p>
+              <p className="text-gray-500">Humidity {weather.current.humidity ?? "--"}%</p>
+            </div>
+          </div>
+
+          {weather.forecast.length > 0 && (
+            <div className="grid grid-cols-4 gap-1 text-center text-[10px]">
+              {weather.forecast.slice(0, 4).map((day) => (
+                <div key={day.date} className="bg-gray-50 rounded p-1">
+                  <p className="font-medium text-gray-700">{formatDay(day.date)}</p>
+                  <p className="text-gray-900">
+                    {day.highTemp}° / {day.lowTemp}°
+                  </p>
+                  <p className="text-blue-700 flex items-center justify-center gap-0.5">
+                    <CloudRain className="w-3 h-3" />
+                    {(day.rainfall || 0).toFixed(1)}mm
+                  </p>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div>
+            <h4 className="text-xs font-semibold text-gray-900 flex items-center gap-1 mb-1">
+              <AlertTriangle className="w-3 h-3 text-amber-600" />
+              Advisories
+            </h4>
+            {weather.alerts.length > 0 ? (
+              <ul className="space-y-1">
+                {weather.alerts.map((alert) => (
+                  <li
+                    key={alert.type}
+                    className={`border rounded p-1.5 text-xs leading-tight ${
+                      SEVERITY_STYLES[alert.severity] || SEVERITY_STYLES.low
+                    }`}
+                  >
+                    <p className="font-medium">{alert.message}</p>
+                    <p className="mt-0.5 opacity-80">{alert.action}</p>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-xs text-gray-500">No weather advisories for this field.</p>
+            )}
+          </div>
+
+          <p className="text-[10px] text-gray-400 text-center">
+            Source: {weatherProviderService.getProviderLabel(weather.source)}
+          </p>
+        </div>
+      )}
+
+      {!loading && outlook && (
+        <div className="mt-3 pt-2 border-t border-gray-200">
+          <h4 className="text-xs font-semibold text-gray-900 flex items-center gap-1 mb-1">
+            <CalendarDays className="w-3 h-3 text-green-600" />
+            This month
+            {outlook.data.activitySource === "seasonal" && (
+              <span className="font-normal text-gray-500">(seasonal plan)</span>
+            )}
+          </h4>
+          {outlook.data.activities.length > 0 ? (
+            <ul className="text-xs space-y-0.5">
+              {outlook.data.activities.map((item, index) => (
+                <li key={`${item.activity}-${item.crop}-${index}`} className="flex justify-between gap-2">
+                  <span>
+                    {item.activity}
+                    {item.crop && <span className="text-gray-600"> · {item.crop}</span>}
+                  </span>
+                  <span className="text-gray-500 flex-shrink-0">{item.period}</span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-xs text-gray-500">No calendar activities this month.</p>
+          )}
+        </div>
+      )}
+
+      <div className="mt-3 pt-2 border-t border-gray-200 flex justify-end">
+        {confirmRemove ? (
+          <div className="flex items-center gap-2 text-xs">
+            <span>Remove this field?</span>
+            <button
+              onClick={() => onRemove(field.id)}
+              className="px-2 py-0.5 rounded bg-red-600 text-white hover:bg-red-700"
+            >
+              Remove
+            </button>
+            <button
+              onClick={() => setConfirmRemove(false)}
+              className="px-2 py-0.5 rounded border border-gray-300 hover:bg-gray-100"
+            >
+              Keep
+            </button>
+          </div>
+        ) : (
+          <button
+            onClick={() => setConfirmRemove(true)}
+            className="flex items-center gap-1 text-xs text-gray-500 hover:text-red-600"
+          >
+            <Trash2 className="w-3 h-3" /> Remove field
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+FarmFieldPanel.propTypes = {
+  field: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    area: PropTypes.shape({
+      hectares: PropTypes.number,
+      acres: PropTypes.number,
+    }).isRequired,
+    centroid: PropTypes.arrayOf(PropTypes.number).isRequired,
+    location: PropTypes.object.isRequired,
+  }).isRequired,
+  crops: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onClose: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+};
+
+export default FarmFieldPanel;
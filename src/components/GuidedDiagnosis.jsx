@@ -0,0 +1,386 @@
+import { useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import {
+  ArrowLeft,
+  CheckCircle,
+  ClipboardList,
+  HelpCircle,
+  RotateCcw,
+  WifiOff,
+} from "lucide-react";
+import problemDiagnosisService from "../services/problemDiagnosisService";
+import diagnosticUsageService from "../services/diagnosticUsageService";
+import maizeImg from "../assets/images/yellow maize.png";
+import riceImg from "../assets/images/rice.png";
+import sorghumImg from "../assets/images/sorghum.png";
+import cassavaImg from "../assets/images/cassava.png";
+import yamImg from "../assets/images/yam.png";
+import plantainImg from "../assets/images/plantain.png";
+import tomatoImg from "../assets/images/tomatoes.png";
+import pepperImg from "../assets/images/pepper.png";
+import onionImg from "../assets/images/onion.png";
+import soybeanImg from "../assets/images/yellow soya.png";
+import rainyImg from "../assets/images/Rainy.jpg";
+import clearImg from "../assets/images/Clear.jpg";
+import brownEdgesSvg from "../assets/diagnosis/brown-edges.svg";
+import curledSvg from "../assets/diagnosis/curled.svg";
+import deadHeartSvg from "../assets/diagnosis/dead-heart.svg";
+import fieldSvg from "../assets/diagnosis/field.svg";
+import fruitSvg from "../assets/diagnosis/fruit.svg";
+import holesSvg from "../assets/diagnosis/holes.svg";
+import larvaeSvg from "../assets/diagnosis/larvae.svg";
+import leavesSvg from "../assets/diagnosis/leaves.svg";
+import mosaicSvg from "../assets/diagnosis/mosaic.svg";
+import mouldSvg from "../assets/diagnosis/mould.svg";
+import mudTubesSvg from "../assets/diagnosis/mud-tubes.svg";
+import normalWeatherSvg from "../assets/diagnosis/normal-weather.svg";
+import patchesSvg from "../assets/diagnosis/patches.svg";
+import poorFillSvg from "../assets/diagnosis/poor-fill.svg";
+import poorRootsSvg from "../assets/diagnosis/poor-roots.svg";
+import purpleSvg from "../assets/diagnosis/purple.svg";
+import rootsSvg from "../assets/diagnosis/roots.svg";
+import rootsEatenSvg from "../assets/diagnosis/roots-eaten.svg";
+import rotSvg from "../assets/diagnosis/rot.svg";
+import scatteredSvg from "../assets/diagnosis/scattered.svg";
+import spotsSvg from "../assets/diagnosis/spots.svg";
+import stemSvg from "../assets/diagnosis/stem.svg";
+import stemHolesSvg from "../assets/diagnosis/stem-holes.svg";
+import stickySvg from "../assets/diagnosis/sticky.svg";
+import streaksSvg from "../assets/diagnosis/streaks.svg";
+import stuntedSvg from "../assets/diagnosis/stunted.svg";
+import vascularSvg from "../assets/diagnosis/vascular.svg";
+import weakStemSvg from "../assets/diagnosis/weak-stem.svg";
+import wholeSvg from "../assets/diagnosis/whole.svg";
+import wiltingSvg from "../assets/diagnosis/wilting.svg";
+import yellowOldSvg from "../assets/diagnosis/yellow-old.svg";
+import yellowVeinsOldSvg from "../assets/diagnosis/yellow-veins-old.svg";
+import yellowVeinsYoungSvg from "../assets/diagnosis/yellow-veins-young.svg";
+
+const CHOICE_IMAGES = {
+  crop: {
+    maize: maizeImg,
+    rice: riceImg,
+    sorghum: sorghumImg,
+    cassava: cassavaImg,
+    yam: yamImg,
+    plantain: plantainImg,
+    tomato: tomatoImg,
+    pepper: pepperImg,
+    onion: onionImg,
+    soybean: soybeanImg,
+  },
+  weather: {
+    wet: rainyImg,
+    dry: clearImg,
+    normal: normalWeatherSvg,
+  },
+};
+
+// Drawings of plant parts, signs and spread patterns, by choice id
+const DRAWINGS = {
+  "brown-edges": brownEdgesSvg,
+  curled: curledSvg,
+  "dead-heart": deadHeartSvg,
+  field: fieldSvg,
+  fruit: fruitSvg,
+  holes: holesSvg,
+  larvae: larvaeSvg,
+  leaves: leavesSvg,
+  mosaic: mosaicSvg,
+  mould: mouldSvg,
+  "mud-tubes": mudTubesSvg,
+  patches: patchesSvg,
+  "poor-fill": poorFillSvg,
+  "poor-roots": poorRootsSvg,
+  purple: purpleSvg,
+  roots: rootsSvg,
+  "roots-eaten": rootsEatenSvg,
+  rot: rotSvg,
+  scattered: scatteredSvg,
+  spots: spotsSvg,
+  stem: stemSvg,
+  "stem-holes": stemHolesSvg,
+  sticky: stickySvg,
+  streaks: streaksSvg,
+  stunted: stuntedSvg,
+  vascular: vascularSvg,
+  "weak-stem": weakStemSvg,
+  whole: wholeSvg,
+  wilting: wiltingSvg,
+  "yellow-old": yellowOldSvg,
+  "yellow-veins-old": yellowVeinsOldSvg,
+  "yellow-veins-young": yellowVeinsYoungSvg,
+};
+
+const choiceImage = (stepId, choiceId) =>
+  CHOICE_IMAGES[stepId]?.[choiceId] || DRAWINGS[choiceId];
+
+const PROBLEM_TYPES = {
+  pest: "Pest",
+  disease: "Disease",
+  nutrient_deficiency: "Nutrient deficiency",
+};
+
+const ACTION_LABELS = {
+  chemical: "Chemical",
+  biological: "Biological",
+  cultural: "Cultural",
+  organic: "Organic",
+  prevention: "Prevention",
+  quick_fix: "Quick fix",
+  foliar: "Foliar spray",
+};
+
+const confidenceColor = (confidence) => {
+  if (confidence >= 60) return "bg-green-500";
+  if (confidence >= 30) return "bg-yellow-500";
+  return "bg-orange-400";
+};
+
+/**
+ * Step-by-step diagnosis from what the farmer sees: crop, plant part, sign,
+ * spread and weather. Everything it needs ships with the app, so it works
+ * in the field without a connection.
+ */
+const GuidedDiagnosis = () => {
+  const steps = problemDiagnosisService.getGuidedSteps();
+  const [answers, setAnswers] = useState([]);
+  const [result, setResult] = useState(null);
+
+  const stepIndex = answers.length;
+  const step = steps[stepIndex];
+  const answered = Object.fromEntries(
+    answers.map((answer, index) => [steps[index].id, answer])
+  );
+  const choices = step
+    ? problemDiagnosisService.getGuidedChoices(step.id, answered)
+    : [];
+  const candidates = problemDiagnosisService.getLikelyGuidedCandidates(answered);
+
+  const answer = (choiceId) => {
+    const next = [...answers, choiceId];
+    setAnswers(next);
+    if (next.length === steps.length) {
+      const finalAnswers = Object.fromEntries(
+        next.map((value, index) => [steps[index].id, value])
+      );
+      const diagnosis = problemDiagnosisService.diagnoseGuided(finalAnswers).data;
+      setResult(diagnosis);
+      diagnosticUsageService.record({
+        tool: "guided",
+        crop: finalAnswers.crop || null,
+        result: diagnosis[0]?.name || null,
+      });
+    }
+  };
+
+  const goBack = () => {
+    setResult(null);
+    setAnswers(answers.slice(0, -1));
+  };
+
+  const restart = () => {
+    setResult(null);
+    setAnswers([]);
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="mt-6 lg:mt-12 bg-white/80 backdrop-blur-sm rounded-3xl shadow-2xl p-6 sm:p-8 border border-white/20"
+    >
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+        <h2 className="text-2xl sm:text-3xl font-bold text-gray-800 flex items-center">
+          <div className="bg-gradient-to-r from-amber-500 to-orange-500 p-3 rounded-xl mr-4">
+            <ClipboardList className="w-6 h-6 text-white" />
+          </div>
+          Guided Diagnosis
+        </h2>
+        <span className="self-start sm:self-auto inline-flex items-center px-3 py-1 rounded-full bg-gray-100 text-gray-700 text-sm">
+          <WifiOff className="w-4 h-4 mr-2" />
+          Works without internet
+        </span>
+      </div>
+
+      {/* Progress */}
+      <div className="flex gap-2 mb-6" aria-label="Progress">
+        {steps.map((item, index) => (
+          <div
+            key={item.id}
+            className={`h-2 flex-1 rounded-full ${
+              index < stepIndex ? "bg-green-500" : index === stepIndex ? "bg-green-200" : "bg-gray-200"
+            }`}
+          />
+        ))}
+      </div>
+
+      {answers.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 mb-6">
+          <button
+            onClick={goBack}
+            className="inline-flex items-center px-3 py-1.5 rounded-lg text-sm text-gray-700 bg-gray-100 hover:bg-gray-200"
+          >
+            <ArrowLeft className="w-4 h-4 mr-1" />
+            Back
+          </button>
+          {answers.map((choiceId, index) => (
+            <span
+              key={steps[index].id}
+              className="px-3 py-1 rounded-full text-sm bg-green-50 text-green-800 border border-green-200"
+            >
+              {choiceId
+                ? problemDiagnosisService.getGuidedChoice(steps[index].id, choiceId).label
+                : "Not sure"}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <AnimatePresence mode="wait">
+        {result ? (
+          <motion.div
+            key="result"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="space-y-4"
+          >
+            {result.length === 0 ? (
+              <div className="p-6 rounded-2xl bg-yellow-50 text-yellow-800">
+                <p className="font-semibold mb-1">No clear match</p>
+                <p className="text-sm">
+                  Try again with a different sign, upload a photo above, or ask your
+                  extension officer.
+                </p>
+              </div>
+            ) : (
+              result.map((problem, index) => (
+                <div
+                  key={problem.key}
+                  className={`p-5 rounded-2xl border ${
+                    index === 0 ? "border-green-300 bg-green-50" : "border-gray-200 bg-white"
+                  }`}
+                >
+                  <div className="flex items-start justify-between gap-4 mb-2">
+                    <div>
+                      <h3 className="text-lg font-bold text-gray-800">{problem.name}</h3>
+                      <p className="text-sm text-gray-500">
+                        {PROBLEM_TYPES[problem.type]}
+                        {problem.cause && ` · ${problem.cause}`}
+                      </p>
+                    </div>
+                    <span className="text-lg font-bold text-gray-800">{problem.confidence}%</span>
+                  </div>
+                  <div className="h-2 rounded-full bg-gray-200 mb-4">
+                    <div
+                      className={`h-2 rounded-full ${confidenceColor(problem.confidence)}`}
+                      style={{ width: `${problem.confidence}%` }}
+                    />
+                  </div>
+
+                  {problem.matched.length > 0 && (
+                    <div className="mb-3">
+                      <p className="text-sm font-semibold text-gray-700 mb-1">Why</p>
+                      <ul className="space-y-1">
+                        {problem.matched.map((label) => (
+                          <li key={label} className="flex items-center text-sm text-gray-600">
+                            <CheckCircle className="w-4 h-4 mr-2 text-green-500 flex-shrink-0" />
+                            {label}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  <p className="text-sm font-semibold text-gray-700 mb-1">What to do</p>
+                  <div className="grid sm:grid-cols-2 gap-2 text-sm text-gray-600">
+                    {Object.entries(problem.actions).map(([kind, items]) => (
+                      <p key={kind}>
+                        <span className="font-medium text-gray-700">
+                          {ACTION_LABELS[kind] || kind}:
+                        </span>{" "}
+                        {Array.isArray(items) ? items.join(", ") : items}
+                      </p>
+                    ))}
+                  </div>
+                  {problem.prevention && (
+                    <p className="mt-2 text-sm text-gray-600">
+                      <span className="font-medium text-gray-700">Prevention:</span>{" "}
+                      {problem.prevention}
+                    </p>
+                  )}
+                </div>
+              ))
+            )}
+
+            <button
+              onClick={restart}
+              className="inline-flex items-center px-4 py-2 rounded-xl text-white font-semibold bg-gradient-to-r from-green-500 to-emerald-600"
+            >
+              <RotateCcw className="w-4 h-4 mr-2" />
+              Start again
+            </button>
+          </motion.div>
+        ) : (
+          <motion.div
+            key={step.id}
+            initial={{ opacity: 0, x: 20 }}
+            animate={{ opacity: 1, x: 0 }}
+            exit={{ opacity: 0, x: -20 }}
+          >
+            <p className="text-sm text-gray-500 mb-1">
+              Step {stepIndex + 1} of {steps.length}
+            </p>
+            <h3 className="text-xl font-semibold text-gray-800 mb-4">{step.question}</h3>
+
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-3">
+              {choices.map((choice) => (
+                <motion.button
+                  key={choice.id}
+                  whileHover={{ scale: 1.03 }}
+                  whileTap={{ scale: 0.97 }}
+                  onClick={() => answer(choice.id)}
+                  className="flex flex-col items-center p-3 rounded-2xl border-2 border-gray-200 hover:border-green-400 bg-white text-center"
+                >
+                  <img
+                    src={choiceImage(step.id, choice.id)}
+                    alt=""
+                    className="w-20 h-20 object-contain mb-2"
+                  />
+                  <span className="text-sm font-medium text-gray-700">{choice.label}</span>
+                </motion.button>
+              ))}
+              <button
+                onClick={() => answer(null)}
+                className="flex flex-col items-center justify-center p-3 rounded-2xl border-2 border-dashed border-gray-300 hover:border-gray-400 text-gray-500"
+              >
+                <HelpCircle className="w-10 h-10 mb-2" />
+                <span className="text-sm font-medium">Not sure</span>
+              </button>
+            </div>
+
+            {stepIndex > 0 && candidates.length > 0 && (
+              <div className="mt-6 p-4 rounded-2xl bg-gray-50">
+                <p className="text-sm font-semibold text-gray-700 mb-2">Still possible</p>
+                <div className="flex flex-wrap gap-2">
+                  {candidates.slice(0, 6).map((candidate) => (
+                    <span
+                      key={candidate.key}
+                      className="px-3 py-1 rounded-full text-sm bg-white border border-gray-200 text-gray-700"
+                    >
+                      {candidate.problem.name} · {Math.round(candidate.confidence)}%
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </motion.div>
+  );
+};
+
+export default GuidedDiagnosis;
@@ -112,6 +112,7 @@ const Header = () => {
     { to: "/flood-drought", label: "Flood & Drought Bulletins" },
 
     { to: "/seasonal-forecast", label: "Seasonal Forecast" },
+    { to: "/weather-alerts", label: "Weather Alerts" },
   ];
 
   const agricultureLinks = [
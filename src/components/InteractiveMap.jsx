@@ -5,6 +5,11 @@ import 'leaflet/dist/leaflet.css';
 import PropTypes from 'prop-types';
 import ghanaRegionsData from '../assets/ghana-regions.json';
 import { Cloud, CloudRain, Sun, Thermometer, Droplets, Wind, Eye, Gauge } from 'lucide-react';
+import FarmFieldLayer from './FarmFieldLayer';
+import FarmFieldControl from './FarmFieldControl';
+import FarmFieldPanel from './FarmFieldPanel';
+import { useFarmFields } from '../hooks/useFarmFields';
+import personalizedFarmingService from '../services/personalizedFarmingService';
 
 // Fix for default markers
 delete L.Icon.Default.prototype._getIconUrl;
@@ -193,6 +198,8 @@ const GHANA_REGIONS = {
   }
 };
 
+const NO_CROPS = [];
+
 // Map control component for zooming to regions
 const MapController = ({ selectedRegion, onRegionSelect }) => {
   const map = useMap();
@@ -281,6 +288,7 @@ const InteractiveMap = ({
   const [loading, setLoading] = useState(true);
   const [mapCenter] = useState([7.9465, -1.0232]); // Center of Ghana
   const [mapZoom] = useState(7);
+  const farm = useFarmFields();
 
   // Load districts data
   useEffect(() => {
@@ -317,6 +325,9 @@ const InteractiveMap = ({
   };
 
   const handleDistrictClick = (district) => {
+    // While a field is being drawn the click marks a corner instead
+    if (farm.drawing) return;
+    farm.selectField(null);
     setSelectedDistrict(district);
     setSelectedRegion(district.region);
     if (onDistrictSelect) {
@@ -329,6 +340,20 @@ const InteractiveMap = ({
     setSelectedDistrict(null);
   };
 
+  const handleFieldClick = (latlng, field) => {
+    if (farm.drawing) {
+      farm.addDraftPoint(latlng);
+      return;
+    }
+    closeInfoPanel();
+    farm.selectField(field.id);
+  };
+
+  const handleSelectField = (fieldId) => {
+    closeInfoPanel();
+    farm.selectField(fieldId);
+  };
+
   if (loading) {
     return (
       <div className="w-full h-96 flex items-center justify-center bg-gray-100 rounded-lg">
@@ -390,7 +415,7 @@ const InteractiveMap = ({
                 }
               }}
             >
-              <Popup>
+              {!farm.drawing && <Popup>
                 <div className="p-2">
                   <h4 className="font-bold text-sm">{district.name}</h4>
                   <p className="text-xs text-gray-600">Region: {district.region}</p>
@@ -401,7 +426,7 @@ const InteractiveMap = ({
                     </div>
                   )}
                 </div>
-              </Popup>
+              </Popup>}
             </CircleMarker>
           );
         })}
@@ -412,10 +437,12 @@ const InteractiveMap = ({
             key={regionName}
             position={regionData.center}
             eventHandlers={{
-              click: () => handleRegionClick(regionName)
+              click: () => {
+                if (!farm.drawing) handleRegionClick(regionName);
+              }
             }}
           >
-            <Popup>
+            {!farm.drawing && <Popup>
               <div className="p-2">
                 <h4 className="font-bold">{regionName} Region</h4>
                 <p className="text-sm text-gray-600">{regionData.description}</p>
@@ -426,9 +453,19 @@ const InteractiveMap = ({
                   <strong>Major Crops:</strong> {regionData.majorCrops.join(', ')}
                 </p>
               </div>
-            </Popup>
+            </Popup>}
           </Marker>
         ))}
+
+        {/* The farmer's own fields, and the one being drawn */}
+        <FarmFieldLayer
+          fields={farm.fields}
+          selectedFieldId={farm.selectedField?.id || null}
+          drawing={farm.drawing}
+          draftPoints={farm.draftPoints}
+          onFieldClick={handleFieldClick}
+          onDraftPoint={farm.addDraftPoint}
+        />
       </MapContainer>
 
       {/* Region/District Info Panel */}
@@ -454,41 +491,70 @@ const InteractiveMap = ({
         </div>
       </div>
 
-      {/* Region Selector */}
-      <div className="absolute top-4 left-4 bg-white rounded-lg shadow-lg p-3 z-[1000] max-w-48">
-        <label className="block text-sm font-medium text-gray-700 mb-2">
-          Select Region:
-        </label>
-        <select
-          value={selectedRegion || ''}
-          onChange={(e) => handleRegionClick(e.target.value)}
-          className="w-full text-xs border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
-        >
-          <option value="">All Regions</option>
-          {Object.keys(GHANA_REGIONS).map(region => (
-            <option key={region} value={region}>{region}</option>
-          ))}
-        </select>
+      {/* Region Selector and farm fields */}
+      <div className="absolute top-4 left-4 z-[1000] space-y-2">
+        <div className="bg-white rounded-lg shadow-lg p-3 max-w-48">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Select Region:
+          </label>
+          <select
+            value={selectedRegion || ''}
+            onChange={(e) => handleRegionClick(e.target.value)}
+            className="w-full text-xs border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All Regions</option>
+            {Object.keys(GHANA_REGIONS).map(region => (
+              <option key={region} value={region}>{region}</option>
+            ))}
+          </select>
         
-        {selectedRegion && districtsByRegion[selectedRegion] && (
-          <div className="mt-2">
-            <label className="block text-xs font-medium text-gray-700 mb-1">
-              Districts ({districtsByRegion[selectedRegion].length}):
-            </label>
-            <div className="max-h-32 overflow-y-auto text-xs space-y-1">
-              {districtsByRegion[selectedRegion].map(district => (
-                <button
-                  key={district.name}
-                  onClick={() => handleDistrictClick(district)}
-                  className="block w-full text-left px-2 py-1 hover:bg-blue-50 rounded"
-                >
-                  {district.name}
-                </button>
-              ))}
+          {selectedRegion && districtsByRegion[selectedRegion] && (
+            <div className="mt-2">
+              <label className="block text-xs font-medium text-gray-700 mb-1">
+                Districts ({districtsByRegion[selectedRegion].length}):
+              </label>
+              <div className="max-h-32 overflow-y-auto text-xs space-y-1">
+                {districtsByRegion[selectedRegion].map(district => (
+                  <button
+                    key={district.name}
+                    onClick={() => handleDistrictClick(district)}
+                    className="block w-full text-left px-2 py-1 hover:bg-blue-50 rounded"
+                  >
+                    {district.name}
+                  </button>
+                ))}
+              </div>
             </div>
-          </div>
-        )}
+          )}
+        </div>
+
+        <FarmFieldControl
+          fields={farm.fields}
+          selectedFieldId={farm.selectedField?.id || null}
+          drawing={farm.drawing}
+          draftPointCount={farm.draftPoints.length}
+          message={farm.message}
+          onStartDrawing={() => {
+            closeInfoPanel();
+            farm.startDrawing();
+          }}
+          onUndo={farm.undoDraftPoint}
+          onCancel={farm.cancelDrawing}
+          onFinish={farm.finishDrawing}
+          onImport={farm.importFile}
+          onSelectField={handleSelectField}
+          positionClassName="relative"
+        />
       </div>
+
+      {farm.selectedField && (
+        <FarmFieldPanel
+          field={farm.selectedField}
+          crops={personalizedFarmingService.currentProfile?.crops?.current || NO_CROPS}
+          onClose={() => farm.selectField(null)}
+          onRemove={farm.removeField}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,118 @@
+import PropTypes from "prop-types";
+import { Play, Pause, SkipBack, SkipForward, Clock } from "lucide-react";
+
+// Playback controls for the weather map time dimension
+const MapTimeSlider = ({
+  modes,
+  mode,
+  onModeChange,
+  frames,
+  index,
+  onIndexChange,
+  playing,
+  onTogglePlay,
+  loading,
+  error,
+}) => {
+  const frame = frames[index];
+  const hasFrames = frames.length > 0;
+
+  return (
+    <div
+      className="absolute bottom-[10px] right-[10px] z-[1000] bg-white/95 border border-gray-200 rounded-md shadow-md p-2 text-xs text-gray-700 w-[260px] max-w-[calc(100%-20px)]"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="flex items-center gap-1 mb-1">
+        <Clock className="w-4 h-4 text-gray-600 flex-shrink-0" />
+        <select
+          value={mode || ""}
+          onChange={(e) => onModeChange(e.target.value || null)}
+          className="flex-1 text-xs bg-transparent focus:outline-none"
+          aria-label="Time range"
+        >
+          <option value="">Live conditions</option>
+          {Object.values(modes).map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {hasFrames && (
+        <>
+          <div className="flex items-center gap-1">
+            <button
+              onClick={() => onIndexChange(Math.max(0, index - 1))}
+              disabled={index === 0}
+              className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+              aria-label="Previous step"
+            >
+              <SkipBack className="w-3 h-3" />
+            </button>
+            <button
+              onClick={onTogglePlay}
+              className="p-1 rounded bg-blue-600 text-white hover:bg-blue-700"
+              aria-label={playing ? "Pause" : "Play"}
+            >
+              {playing ? <Pause className="w-3 h-3" /> : <Play className="w-3 h-3" />}
+            </button>
+            <button
+              onClick={() => onIndexChange(Math.min(frames.length - 1, index + 1))}
+              disabled={index === frames.length - 1}
+              className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+              aria-label="Next step"
+            >
+              <SkipForward className="w-3 h-3" />
+            </button>
+            <input
+              type="range"
+              min={0}
+              max={frames.length - 1}
+              value={index}
+              onChange={(e) => onIndexChange(Number(e.target.value))}
+              className="flex-1 accent-blue-600"
+              aria-label="Time step"
+            />
+          </div>
+
+          <p className="mt-1 text-center font-medium text-gray-900 truncate">
+            {frame?.label}
+            {loading && <span className="font-normal text-gray-500"> · loading...</span>}
+          </p>
+        </>
+      )}
+
+      {mode && (
+        <p className="text-[10px] text-gray-500 mt-1 leading-tight">
+          Time steps show one reading per region; choose Live conditions for
+          district detail.
+        </p>
+      )}
+
+      {error && !loading && (
+        <p className="text-[10px] text-amber-700 mt-1 leading-tight">{error}</p>
+      )}
+    </div>
+  );
+};
+
+MapTimeSlider.propTypes = {
+  modes: PropTypes.object.isRequired,
+  mode: PropTypes.string,
+  onModeChange: PropTypes.func.isRequired,
+  frames: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  index: PropTypes.number.isRequired,
+  onIndexChange: PropTypes.func.isRequired,
+  playing: PropTypes.bool.isRequired,
+  onTogglePlay: PropTypes.func.isRequired,
+  loading: PropTypes.bool,
+  error: PropTypes.string,
+};
+
+export default MapTimeSlider;
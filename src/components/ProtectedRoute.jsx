@@ -1,8 +1,10 @@
-import { Navigate, useLocation } from 'react-router-dom';
+import { Navigate, useLocation, Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { ShieldOff } from 'lucide-react';
 import { useAuth } from '../hooks/useAuth';
 
-const ProtectedRoute = ({ children }) => {
-  const { isAuthenticated, isLoading } = useAuth();
+const ProtectedRoute = ({ children, permission }) => {
+  const { isAuthenticated, isLoading, can, role } = useAuth();
   const location = useLocation();
 
   if (isLoading) {
@@ -21,7 +23,29 @@ const ProtectedRoute = ({ children }) => {
     return <Navigate to="/admin-login" state={{ from: location }} replace />;
   }
 
+  if (permission && !can(permission)) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
+        <div className="bg-white rounded-lg shadow p-8 max-w-md text-center">
+          <ShieldOff className="mx-auto h-12 w-12 text-red-500" />
+          <h2 className="mt-4 text-lg font-semibold text-gray-900">Access denied</h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Your role ({role.label}) does not allow access to this page. Ask a national admin to change your role.
+          </p>
+          <Link to="/" className="mt-4 inline-block text-sm font-medium text-green-600 hover:text-green-700">
+            Back to home
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
   return children;
 };
 
-export default ProtectedRoute;
\ No newline at end of file
+ProtectedRoute.propTypes = {
+  children: PropTypes.node.isRequired,
+  permission: PropTypes.string,
+};
+
+export default ProtectedRoute;
@@ -1,16 +1,32 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import {
   MapContainer,
   TileLayer,
   Marker,
   CircleMarker,
+  GeoJSON,
   useMap,
   Polygon,
 } from "react-leaflet";
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
 import PropTypes from "prop-types";
-import ghanaRegionsData from "../assets/ghana-regions.json";
+import weatherProviderService from "../services/weatherProviderService";
+import boundaryService from "../services/boundaryService";
+import choroplethService from "../services/choroplethService";
+import ChoroplethLayer from "./ChoroplethLayer";
+import ChoroplethLegend from "./ChoroplethLegend";
+import MapTimeSlider from "./MapTimeSlider";
+import mapTimelineService, {
+  TIMELINE_MODES,
+} from "../services/mapTimelineService";
+import { useMapTimeline } from "../hooks/useMapTimeline";
+import FarmFieldLayer from "./FarmFieldLayer";
+import FarmFieldControl from "./FarmFieldControl";
+import FarmFieldPanel from "./FarmFieldPanel";
+import { useFarmFields } from "../hooks/useFarmFields";
+import personalizedFarmingService from "../services/personalizedFarmingService";
+import { getRegionCode } from "../data/ghanaCodes";
 import {
   Cloud,
   CloudRain,
@@ -22,155 +38,61 @@ import {
   Gauge,
   MapPin,
   RefreshCw,
+  Layers,
 } from "lucide-react";
 
-// Ambee Weather API configuration
-const AMBEE_API_KEY =
-  import.meta.env.VITE_AMBEE_API_KEY || import.meta.env.VITE_BASE_AMBEE_API_KEY;
-const AMBEE_BASE_URL = "/api/ambee";
-
-// Ambee Weather API service
-const ambeeWeatherService = {
+// Map weather service: formats normalized provider reports for the info panel
+const mapWeatherService = {
   async getWeatherByCoordinates(lat, lng) {
-    // Check if API key is available and not the placeholder
-    if (!AMBEE_API_KEY || AMBEE_API_KEY === "your-ambee-api-key-here") {
-      console.info("Ambee API key not configured, using mock weather data");
-      return this.getMockWeatherData(lat, lng);
-    }
-
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-
-      const response = await fetch(
-        `${AMBEE_BASE_URL}/weather/latest/by-lat-lng?lat=${lat}&lng=${lng}`,
-        {
-          headers: {
-            "Content-type": "application/json",
-            "x-api-key": AMBEE_API_KEY,
-          },
-          signal: controller.signal,
-        }
-      );
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        throw new Error(`Weather API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      if (data && data.data) {
-        return this.formatWeatherData(data.data);
-      } else {
-        throw new Error("Invalid API response format");
-      }
-    } catch (error) {
-      console.warn("Ambee API unavailable, using mock data:", error.message);
-      return this.getMockWeatherData(lat, lng);
-    }
+    const report = await weatherProviderService.getWeather({ lat, lng });
+    return this.formatWeatherData(report);
   },
 
-  formatWeatherData(data) {
-    // Convert Fahrenheit to Celsius
-    const tempCelsius = Math.round(((data.temperature - 32) * 5) / 9);
+  formatWeatherData(report) {
+    const { current } = report;
 
     return {
-      temperature: `${tempCelsius}°C`,
-      condition: this.getWeatherCondition(data.summary),
-      summary: data.summary || "No detailed forecast available",
-      humidity: `${data.humidity}%`,
-      windSpeed: `${Math.round(data.windSpeed * 3.6)} km/h`, // Convert m/s to km/h
-      rainfall: `${(
-        data.precipIntensity ||
-        data.precipitationIntensity ||
-        0
-      ).toFixed(1)}mm`,
-      visibility: `${Math.round(data.visibility || 10)}km`, // Already in km
-      pressure: `${Math.round(data.pressure)} hPa`,
-      icon: this.getWeatherIcon(data.summary),
+      temperature: current.temperature !== null && current.temperature !== undefined
+        ? `${Math.round(current.temperature)}°C`
+        : "--",
+      condition: weatherProviderService.getConditionLabel(current.condition),
+      summary: current.summary,
+      humidity: `${current.humidity ?? "--"}%`,
+      windSpeed: `${current.windSpeed ?? "--"} km/h`,
+      rainfall: `${(current.precipitation || 0).toFixed(1)}mm`,
+      visibility: current.visibility !== null ? `${current.visibility}km` : "--",
+      pressure: current.pressure !== null ? `${current.pressure} hPa` : "--",
+      icon: this.getWeatherIcon(current.condition),
+      source: weatherProviderService.getProviderLabel(report.source),
     };
   },
 
-  getWeatherCondition(summary) {
-    const summaryLower = (summary || "").toLowerCase();
-    if (summaryLower.includes("rain") || summaryLower.includes("shower"))
-      return "Rainy";
-    if (summaryLower.includes("cloud")) return "Cloudy";
-    if (summaryLower.includes("clear") || summaryLower.includes("sunny"))
-      return "Sunny";
-    if (summaryLower.includes("storm")) return "Stormy";
-    if (summaryLower.includes("fog") || summaryLower.includes("mist"))
-      return "Foggy";
-    return "Partly Cloudy";
-  },
-
-  getWeatherIcon(summary) {
-    const summaryLower = (summary || "").toLowerCase();
-    if (summaryLower.includes("rain") || summaryLower.includes("shower"))
-      return CloudRain;
-    if (summaryLower.includes("cloud")) return Cloud;
-    if (summaryLower.includes("clear") || summaryLower.includes("sunny"))
-      return Sun;
-    return Cloud;
-  },
-
-  getMockWeatherData(lat, lng) {
-    // Fallback mock data when API is unavailable
-    // Generate realistic temperature based on latitude and time of day
-    const now = new Date();
-    const hour = now.getHours();
-    const isNight = hour < 6 || hour > 18;
-
-    // Base temperature varies by latitude (northern regions are hotter)
-    const baseTemp = lat > 9 ? 30 : lat > 7 ? 28 : 26;
-    const tempVariation = isNight ? -3 : 2; // Cooler at night
-    const finalTemp = baseTemp + tempVariation + Math.random() * 4;
-
-    const humidity = 60 + Math.random() * 30;
-
-    // Time-based weather conditions - more realistic for Ghana
-    const timeBasedConditions = isNight
-      ? ["Clear", "Partly Cloudy", "Cloudy"]
-      : ["Sunny", "Partly Cloudy", "Cloudy", "Light Rain"];
-
-    const condition =
-      timeBasedConditions[
-        Math.floor(Math.random() * timeBasedConditions.length)
-      ];
-    const icons = {
-      Sunny: Sun,
-      Clear: Sun,
-      "Partly Cloudy": Cloud,
-      Cloudy: Cloud,
-      "Light Rain": CloudRain,
-    };
-
-    // Generate realistic weather summaries
-    const summaries = {
-      Sunny: "Clear skies with bright sunshine throughout the day",
-      Clear: "Clear night skies with good visibility",
-      "Partly Cloudy": "Mix of sun and clouds with occasional shade",
-      Cloudy: "Overcast skies with thick cloud cover",
-      "Light Rain": "Light rainfall with cloudy conditions",
-    };
+  // Time slider readings (see mapTimelineService) in the same display shape
+  formatReading(reading) {
+    const formatOrDash = (value, unit) =>
+      value !== null && value !== undefined ? `${Math.round(value)}${unit}` : "--";
 
     return {
-      temperature: `${Math.round(finalTemp)}°C`,
-      condition: condition,
-      summary:
-        summaries[condition] || "Typical West African weather conditions",
-      humidity: `${Math.round(humidity)}%`,
-      windSpeed: `${Math.round(5 + Math.random() * 20)} km/h`,
-      rainfall:
-        condition === "Light Rain"
-          ? `${(2 + Math.random() * 8).toFixed(1)}mm`
-          : `${(Math.random() * 2).toFixed(1)}mm`,
-      visibility: `${Math.round(8 + Math.random() * 12)}km`,
-      pressure: `${Math.round(1010 + Math.random() * 20)} hPa`,
-      icon: icons[condition] || Cloud,
+      temperature: formatOrDash(reading.temperature, "°C"),
+      condition: reading.label,
+      summary: reading.summary,
+      humidity: formatOrDash(reading.humidity, "%"),
+      windSpeed: formatOrDash(reading.windSpeed, " km/h"),
+      rainfall: `${(reading.precipitation || 0).toFixed(1)}mm`,
+      visibility: "--",
+      pressure: "--",
+      icon: this.getWeatherIcon(reading.condition),
+      source: reading.source
+        ? weatherProviderService.getProviderLabel(reading.source)
+        : "Dekad bulletin",
     };
   },
+
+  getWeatherIcon(condition) {
+    if (["rain", "drizzle", "thunderstorm"].includes(condition)) return CloudRain;
+    if (condition === "clear") return Sun;
+    return Cloud;
+  },
 };
 
 // Fix for default markers
@@ -610,6 +532,24 @@ const WEST_AFRICA_COUNTRIES = {
 //   },
 // ];
 
+const NO_CROPS = [];
+
+const toShortRegionName = (regionName) => regionName.replace(/\s+Region$/, "");
+
+// Boundary records carry full region names; the panel data above is keyed by short names
+const toMapDistrict = (district) => ({
+  ...district,
+  region: toShortRegionName(district.regionName),
+  coordinates: district.center,
+});
+
+// The bundled polygons are only approximate, so districts are picked from
+// their reference points rather than by where a click lands
+const DISTRICT_POINTS = boundaryService
+  .getDistrictFeatures()
+  .features.filter((feature) => feature.properties.center)
+  .map((feature) => toMapDistrict(boundaryService.toDistrict(feature)));
+
 // Map control component for zooming to regions
 const MapController = ({ selectedRegion, onRegionSelect, isMobile }) => {
   const map = useMap();
@@ -700,12 +640,17 @@ const WeatherInfoPanel = ({
   selectedDistrict,
   onClose,
   realTimeWeather,
+  layerReading,
+  timeStep,
 }) => {
   if (!selectedRegion && !selectedDistrict) return null;
 
   const regionData = selectedRegion ? GHANA_REGIONS[selectedRegion] : null;
   const weatherKey = selectedDistrict ? selectedDistrict.name : selectedRegion;
-  const weather = realTimeWeather[weatherKey] || regionData?.weather;
+  // A time slider step replaces the live reading, even when the step has no data
+  const weather = timeStep
+    ? timeStep.weather
+    : realTimeWeather[weatherKey] || regionData?.weather;
   const IconComponent = weather?.icon;
 
   return (
@@ -719,13 +664,20 @@ const WeatherInfoPanel = ({
               {selectedDistrict ? selectedDistrict.name : selectedRegion}
             </span>
           </h3>
+          {selectedDistrict?.code && (
+            <p className="text-gray-500 text-[10px]">
+              {selectedDistrict.code} · {selectedDistrict.regionCode}
+            </p>
+          )}
           <p className="text-gray-500 text-xs">
-            {new Date().toLocaleString("en-GB", {
-              day: "2-digit",
-              month: "short",
-              hour: "2-digit",
-              minute: "2-digit",
-            })}
+            {timeStep
+              ? timeStep.label
+              : new Date().toLocaleString("en-GB", {
+                  day: "2-digit",
+                  month: "short",
+                  hour: "2-digit",
+                  minute: "2-digit",
+                })}
           </p>
         </div>
         <button
@@ -804,6 +756,27 @@ const WeatherInfoPanel = ({
               </p>
             </div>
           </div>
+
+          {weather.source && (
+            <p className="text-[10px] text-gray-400 text-center">
+              Source: {weather.source}
+            </p>
+          )}
+        </div>
+      )}
+
+      {timeStep && !weather && (
+        <p className="text-xs text-gray-500 text-center py-2">
+          No data for this time step
+        </p>
+      )}
+
+      {layerReading && (
+        <div className="mt-1 pt-1 border-t border-gray-200">
+          <p className="text-xs text-gray-600 text-center truncate leading-tight">
+            <span className="font-medium text-gray-800">{layerReading.label}:</span>{" "}
+            {layerReading.value}
+          </p>
         </div>
       )}
 
@@ -827,6 +800,14 @@ WeatherInfoPanel.propTypes = {
   selectedDistrict: PropTypes.object,
   onClose: PropTypes.func.isRequired,
   realTimeWeather: PropTypes.object.isRequired,
+  layerReading: PropTypes.shape({
+    label: PropTypes.string,
+    value: PropTypes.string,
+  }),
+  timeStep: PropTypes.shape({
+    label: PropTypes.string,
+    weather: PropTypes.object,
+  }),
 };
 
 // Main Weather Interactive Map Component
@@ -834,12 +815,17 @@ const WeatherInteractiveMap = ({
   onRegionSelect,
   onDistrictSelect,
   initialRegion = null,
+  children = null,
 }) => {
   const [selectedRegion, setSelectedRegion] = useState(initialRegion);
   const [selectedDistrict, setSelectedDistrict] = useState(null);
-  const [districts, setDistricts] = useState([]);
-  const [loading, setLoading] = useState(true);
   const [loadingWeather, setLoadingWeather] = useState(false);
+  const [activeMetric, setActiveMetric] = useState("");
+  const [metricValues, setMetricValues] = useState(null);
+  const [metricLoading, setMetricLoading] = useState(false);
+  const [metricError, setMetricError] = useState(null);
+  const timeline = useMapTimeline();
+  const farm = useFarmFields();
   // const [showWeatherOverlays] = useState(true);
   const [mapCenter] = useState([7.9465, -1.0232]); // Center of West Africa
   const [mapZoom] = useState(() => {
@@ -868,7 +854,7 @@ const WeatherInteractiveMap = ({
         async ([regionName, regionData]) => {
           try {
             const weatherData =
-              await ambeeWeatherService.getWeatherByCoordinates(
+              await mapWeatherService.getWeatherByCoordinates(
                 regionData.center[0],
                 regionData.center[1]
               );
@@ -910,22 +896,32 @@ const WeatherInteractiveMap = ({
     loadAllRegionsWeather();
   }, []);
 
-  // Load districts data
+  // Load the active choropleth layer
   useEffect(() => {
-    try {
-      const districtData = ghanaRegionsData.features.map((feature) => ({
-        name: feature.properties.name,
-        region: feature.properties.region,
-        coordinates: feature.geometry.coordinates,
-        radius: feature.properties.radius || 3000,
-      }));
-      setDistricts(districtData);
-      setLoading(false);
-    } catch (error) {
-      console.error("Error loading districts data:", error);
-      setLoading(false);
+    if (!activeMetric) {
+      setMetricValues(null);
+      setMetricError(null);
+      return undefined;
     }
-  }, []);
+
+    let cancelled = false;
+    setMetricLoading(true);
+    setMetricValues(null);
+    setMetricError(null);
+
+    choroplethService.loadMetric(activeMetric).then((result) => {
+      if (cancelled) return;
+      setMetricValues(result.data);
+      setMetricError(
+        result.success ? (result.stale ? "Showing last saved data" : null) : result.error
+      );
+      setMetricLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [activeMetric]);
 
   // Note: districtsByRegion removed as it was unused
 
@@ -942,7 +938,7 @@ const WeatherInteractiveMap = ({
     const regionData = GHANA_REGIONS[regionName];
     if (regionData && !realTimeWeather[regionName]) {
       try {
-        const weatherData = await ambeeWeatherService.getWeatherByCoordinates(
+        const weatherData = await mapWeatherService.getWeatherByCoordinates(
           regionData.center[0],
           regionData.center[1]
         );
@@ -982,13 +978,14 @@ const WeatherInteractiveMap = ({
   };
 
   const handleDistrictClick = async (district) => {
+    farm.selectField(null);
     setSelectedDistrict(district);
     setSelectedRegion(district.region);
 
     // Fetch real-time weather data for the district
     if (!realTimeWeather[district.name]) {
       try {
-        const weatherData = await ambeeWeatherService.getWeatherByCoordinates(
+        const weatherData = await mapWeatherService.getWeatherByCoordinates(
           district.coordinates[1],
           district.coordinates[0]
         );
@@ -1021,6 +1018,95 @@ const WeatherInteractiveMap = ({
     }
   };
 
+  const handleBoundaryClick = (latlng) => {
+    // While a field is being drawn, clicks mark its corners
+    if (farm.drawing) {
+      farm.addDraftPoint(latlng);
+      return;
+    }
+    closeInfoPanel();
+  };
+
+  const handleDistrictPointClick = (latlng, district) => {
+    if (farm.drawing) {
+      farm.addDraftPoint(latlng);
+      return;
+    }
+    handleDistrictClick(district);
+  };
+
+  const handleFieldClick = (latlng, field) => {
+    if (farm.drawing) {
+      farm.addDraftPoint(latlng);
+      return;
+    }
+    closeInfoPanel();
+    farm.selectField(field.id);
+  };
+
+  const handleSelectField = (fieldId) => {
+    closeInfoPanel();
+    farm.selectField(fieldId);
+  };
+
+  const getRegionFillColor = useCallback(
+    (properties) =>
+      GHANA_REGIONS[toShortRegionName(properties.regionName)]?.color || "#2563EB",
+    []
+  );
+
+  // Switch to a layer the time range can animate when the current one can't
+  const handleTimelineModeChange = (mode) => {
+    timeline.setMode(mode);
+    if (mode && !TIMELINE_MODES[mode].metrics.includes(activeMetric)) {
+      setActiveMetric(TIMELINE_MODES[mode].defaultMetric);
+    }
+  };
+
+  // A time slider step has one reading per region, so while one is shown
+  // the layer is drawn on the region polygons instead of the districts
+  const frameValues = mapTimelineService.toLayerValues(
+    timeline.frameData,
+    activeMetric
+  );
+  const layerValues = frameValues || metricValues;
+  const layerValuesKey = frameValues
+    ? timeline.frame.id
+    : metricValues
+      ? "live"
+      : "empty";
+
+  const selectedRegionCode =
+    selectedDistrict?.regionCode ||
+    (selectedRegion ? getRegionCode(`${selectedRegion} Region`) : null);
+
+  let layerReading = null;
+  if (activeMetric && frameValues && selectedRegionCode) {
+    layerReading = {
+      label: `${choroplethService.getMetric(activeMetric).label} (region)`,
+      value: choroplethService.formatValue(
+        activeMetric,
+        frameValues.regions[selectedRegionCode] ?? null
+      ),
+    };
+  } else if (activeMetric && selectedDistrict && layerValues) {
+    layerReading = {
+      label: choroplethService.getMetric(activeMetric).label,
+      value: choroplethService.formatValue(
+        activeMetric,
+        choroplethService.getFeatureValue(layerValues, selectedDistrict)
+      ),
+    };
+  }
+
+  const stepReading = timeline.frameData?.regions[selectedRegionCode];
+  const timeStep = timeline.frame
+    ? {
+        label: timeline.frame.label,
+        weather: stepReading ? mapWeatherService.formatReading(stepReading) : null,
+      }
+    : null;
+
   const handleMapClick = (e) => {
     // Close info panel when clicking anywhere on the map
     closeInfoPanel();
@@ -1049,24 +1135,6 @@ const WeatherInteractiveMap = ({
     setSelectedDistrict(null);
   };
 
-  if (loading) {
-    return (
-      <div className="w-full h-[50vh] min-h-[300px] sm:h-[60vh] md:h-[500px] lg:h-[600px] max-h-[80vh] flex items-center justify-center bg-white border border-gray-200 rounded-lg">
-        <div className="text-center">
-          <div className="animate-spin rounded-full h-8 w-8 sm:h-12 sm:w-12 border-b-2 border-blue-500 mx-auto mb-4"></div>
-          <p className="text-gray-600 text-sm sm:text-base">
-            Loading Ghana weather map...
-          </p>
-          {loadingWeather && (
-            <p className="text-gray-500 text-xs sm:text-sm mt-2">
-              Fetching live weather data...
-            </p>
-          )}
-        </div>
-      </div>
-    );
-  }
-
   return (
     <div className="relative w-full rounded-lg overflow-hidden shadow-lg bg-white border border-gray-200">
       <MapContainer
@@ -1120,46 +1188,63 @@ const WeatherInteractiveMap = ({
             />
           ))} */}
 
-        {/* Render district markers - IMD style */}
-        {districts.map((district, index) => {
-          const regionInfo = GHANA_REGIONS[district.region];
-          const isSelected = selectedDistrict?.name === district.name;
-          const isRegionSelected = selectedRegion === district.region;
+        {/* District boundaries coloured by the active layer, or region
+            boundaries while a time slider step is shown */}
+        <ChoroplethLayer
+          data={
+            frameValues
+              ? boundaryService.getRegionFeatures()
+              : boundaryService.getDistrictFeatures()
+          }
+          metricId={activeMetric || null}
+          values={layerValues}
+          valuesKey={layerValuesKey}
+          selectedCode={
+            (frameValues ? selectedRegionCode : selectedDistrict?.code) || null
+          }
+          defaultFillColor={getRegionFillColor}
+          onFeatureClick={handleBoundaryClick}
+        />
 
+        {/* District reference points */}
+        {DISTRICT_POINTS.map((district) => {
+          const isSelected = selectedDistrict?.name === district.name;
           return (
             <CircleMarker
-              key={index}
-              center={[district.coordinates[1], district.coordinates[0]]}
-              radius={isSelected ? 10 : isRegionSelected ? 7 : 5}
-              fillColor={regionInfo?.color || "#2563EB"}
-              color="#ffffff"
-              weight={isSelected ? 1 : 1}
-              opacity={1}
-              fillOpacity={isSelected ? 1 : isRegionSelected ? 0.8 : 0.6}
+              key={district.name}
+              center={[district.center[1], district.center[0]]}
+              radius={isSelected ? 6 : 3}
+              fillColor={isSelected ? "#111827" : "#ffffff"}
+              color="#374151"
+              weight={1}
+              fillOpacity={1}
               eventHandlers={{
                 click: (e) => {
                   e.originalEvent.stopPropagation();
-                  handleDistrictClick(district);
-                },
-                mouseover: (e) => {
-                  e.target.setStyle({
-                    radius: 8,
-                    fillOpacity: 1,
-                    weight: 2,
-                  });
-                },
-                mouseout: (e) => {
-                  e.target.setStyle({
-                    radius: isSelected ? 10 : isRegionSelected ? 7 : 5,
-                    fillOpacity: isSelected ? 1 : isRegionSelected ? 0.8 : 0.6,
-                    weight: isSelected ? 2 : 1,
-                  });
+                  handleDistrictPointClick(e.latlng, district);
                 },
               }}
-            ></CircleMarker>
+            />
           );
         })}
 
+        {/* The farmer's own fields, and the one being drawn */}
+        <FarmFieldLayer
+          fields={farm.fields}
+          selectedFieldId={farm.selectedField?.id || null}
+          drawing={farm.drawing}
+          draftPoints={farm.draftPoints}
+          onFieldClick={handleFieldClick}
+          onDraftPoint={farm.addDraftPoint}
+        />
+
+        {/* Region outlines */}
+        <GeoJSON
+          data={boundaryService.getRegionFeatures()}
+          interactive={false}
+          style={{ color: "#374151", weight: 1.5, fill: false }}
+        />
+
         {/* Ghana regional center markers - IMD style */}
         {Object.entries(GHANA_REGIONS).map(([regionName, regionData]) => {
           return (
@@ -1217,15 +1302,98 @@ const WeatherInteractiveMap = ({
             );
           }
         )}
+
+        {/* Overlays from the page, e.g. emergency areas */}
+        {children}
       </MapContainer>
 
+      {/* Map layer selector */}
+      <div
+        className="absolute top-[10px] right-[10px] z-[1000] bg-white/95 border border-gray-200 rounded-md shadow-md px-2 py-1 flex items-center gap-1"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <Layers className="w-4 h-4 text-gray-600" />
+        <select
+          value={activeMetric}
+          onChange={(e) => setActiveMetric(e.target.value)}
+          className="text-xs text-gray-700 bg-transparent focus:outline-none"
+          aria-label="Map layer"
+        >
+          <option value="">Regions</option>
+          {choroplethService.getMetrics().map((metric) => (
+            <option key={metric.id} value={metric.id}>
+              {metric.label}
+            </option>
+          ))}
+        </select>
+        {loadingWeather && (
+          <RefreshCw
+            className="w-3 h-3 text-gray-400 animate-spin"
+            aria-label="Fetching live weather data"
+          />
+        )}
+      </div>
+
+      <FarmFieldControl
+        fields={farm.fields}
+        selectedFieldId={farm.selectedField?.id || null}
+        drawing={farm.drawing}
+        draftPointCount={farm.draftPoints.length}
+        message={farm.message}
+        onStartDrawing={() => {
+          closeInfoPanel();
+          farm.startDrawing();
+        }}
+        onUndo={farm.undoDraftPoint}
+        onCancel={farm.cancelDrawing}
+        onFinish={farm.finishDrawing}
+        onImport={farm.importFile}
+        onSelectField={handleSelectField}
+        isMobile={isMobile}
+      />
+
+      <ChoroplethLegend
+        metricId={activeMetric || null}
+        loading={metricLoading && !frameValues}
+        error={metricError}
+        footnote={
+          boundaryService.isProvisional()
+            ? "District boundaries are approximate"
+            : undefined
+        }
+      />
+
+      <MapTimeSlider
+        modes={timeline.modes}
+        mode={timeline.mode}
+        onModeChange={handleTimelineModeChange}
+        frames={timeline.frames}
+        index={timeline.index}
+        onIndexChange={timeline.setIndex}
+        playing={timeline.playing}
+        onTogglePlay={timeline.togglePlay}
+        loading={timeline.loading}
+        error={timeline.error}
+      />
+
       {/* Weather Info Panel - IMD Style */}
       <WeatherInfoPanel
         selectedRegion={selectedRegion}
         selectedDistrict={selectedDistrict}
         onClose={closeInfoPanel}
         realTimeWeather={realTimeWeather}
+        layerReading={layerReading}
+        timeStep={timeStep}
       />
+
+      {farm.selectedField && (
+        <FarmFieldPanel
+          field={farm.selectedField}
+          crops={personalizedFarmingService.currentProfile?.crops?.current || NO_CROPS}
+          onClose={() => farm.selectField(null)}
+          onRemove={farm.removeField}
+        />
+      )}
     </div>
   );
 };
@@ -1234,6 +1402,7 @@ WeatherInteractiveMap.propTypes = {
   onRegionSelect: PropTypes.func,
   onDistrictSelect: PropTypes.func,
   initialRegion: PropTypes.string,
+  children: PropTypes.node,
 };
 
 export default WeatherInteractiveMap;
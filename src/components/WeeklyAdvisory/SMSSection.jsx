@@ -2,13 +2,23 @@
  * SMSSection Component
  * Displays SMS preview with sky blue gradient
  * Monospace font for SMS text, preview badge
+ * Staff allowed to send SMS can hand the text to the Dashboard SMS composer
  */
 
 import React from 'react';
-import { FaSms, FaMobileAlt, FaCopy } from 'react-icons/fa';
+import PropTypes from 'prop-types';
+import { useNavigate } from 'react-router-dom';
+import { FaSms, FaMobileAlt, FaCopy, FaPaperPlane } from 'react-icons/fa';
+import smsDispatchService from '../../services/smsDispatchService';
+import { analyzeSms } from '../../utils/smsEncoding';
+import { getDistrictByCode, getDistrictCode } from '../../data/ghanaCodes';
+import usePermissions from '../../hooks/usePermissions';
+import { PERMISSIONS } from '../../utils/accessControl';
 
-const SMSSection = ({ smsText }) => {
+const SMSSection = ({ smsText, district, crop }) => {
   const [copied, setCopied] = React.useState(false);
+  const navigate = useNavigate();
+  const { can } = usePermissions();
 
   const handleCopy = () => {
     if (smsText && smsText.trim() !== '' && smsText.trim() !== '-') {
@@ -18,8 +28,22 @@ const SMSSection = ({ smsText }) => {
     }
   };
 
+  const handleSendToFarmers = () => {
+    const districtCode = getDistrictCode(district);
+    smsDispatchService.saveDraft({
+      title: [crop, district].filter(Boolean).join(' - '),
+      message: smsText.trim(),
+      regionCode: getDistrictByCode(districtCode)?.regionCode || '',
+      districtCode: getDistrictByCode(districtCode) ? districtCode : '',
+      crop: crop || '',
+    });
+    navigate('/dashboard?page=content-management-sms-dissemination');
+  };
+
   if (!smsText) return null;
 
+  const sms = analyzeSms(smsText);
+
   return (
     <div className="mb-6">
       <div className="bg-gradient-to-br from-sky-50 to-blue-50 border border-sky-300/60 rounded-lg shadow-md shadow-sky-200/50 p-5">
@@ -40,17 +64,31 @@ const SMSSection = ({ smsText }) => {
             </div>
           </div>
 
-          {/* Copy Button */}
-          {smsText && smsText.trim() !== '' && smsText.trim() !== '-' && (
-            <button
-              onClick={handleCopy}
-              className="flex items-center gap-2 px-3 py-2 bg-sky-600 hover:bg-sky-700 text-white text-xs font-medium rounded-md transition-all duration-200 shadow-sm"
-              title="Copy SMS text to clipboard"
-            >
-              <FaCopy />
-              {copied ? 'Copied!' : 'Copy'}
-            </button>
-          )}
+          <div className="flex items-center">
+            {/* Copy Button */}
+            {smsText && smsText.trim() !== '' && smsText.trim() !== '-' && (
+              <button
+                onClick={handleCopy}
+                className="flex items-center gap-2 px-3 py-2 bg-sky-600 hover:bg-sky-700 text-white text-xs font-medium rounded-md transition-all duration-200 shadow-sm"
+                title="Copy SMS text to clipboard"
+              >
+                <FaCopy />
+                {copied ? 'Copied!' : 'Copy'}
+              </button>
+            )}
+
+            {/* Send Button (staff who may send SMS) */}
+            {can(PERMISSIONS.SEND_SMS) && smsText.trim() !== '' && smsText.trim() !== '-' && (
+              <button
+                onClick={handleSendToFarmers}
+                className="ml-2 flex items-center gap-2 px-3 py-2 bg-green-600 hover:bg-green-700 text-white text-xs font-medium rounded-md transition-all duration-200 shadow-sm"
+                title="Send this advisory to farmers by SMS"
+              >
+                <FaPaperPlane />
+                Send to farmers
+              </button>
+            )}
+          </div>
         </div>
 
         {/* SMS Preview Badge */}
@@ -74,10 +112,10 @@ const SMSSection = ({ smsText }) => {
         {/* Character Count */}
         {smsText && smsText.trim() !== '' && smsText.trim() !== '-' && (
           <div className="mt-3 flex items-center justify-between text-xs text-sky-700">
-            <span>Character count: {smsText.length}</span>
+            <span>Character count: {sms.units} ({sms.encoding})</span>
             <span>
-              SMS segments: {Math.ceil(smsText.length / 160)}
-              {smsText.length > 160 && ' (multi-part)'}
+              SMS segments: {sms.segments.length}
+              {sms.segments.length > 1 && ' (multi-part)'}
             </span>
           </div>
         )}
@@ -86,4 +124,10 @@ const SMSSection = ({ smsText }) => {
   );
 };
 
+SMSSection.propTypes = {
+  smsText: PropTypes.string,
+  district: PropTypes.string,
+  crop: PropTypes.string,
+};
+
 export default SMSSection;
@@ -372,6 +372,27 @@ const CalendarFullPageView = ({
             </h1>
           </div>
 
+          {/* Parse confidence - flag calendars that need checking against the source file */}
+          {calendarData.confidence && calendarData.confidence.level !== 'high' && (
+            <div className="max-w-3xl mx-auto mb-6 border border-yellow-300 bg-yellow-50 rounded-lg p-4 text-sm text-yellow-800">
+              <div className="flex items-center font-semibold mb-1">
+                <FaInfoCircle className="mr-2" />
+                {calendarData.confidence.level === 'low' ? 'Low' : 'Medium'} parsing confidence ({Math.round(calendarData.confidence.score * 100)}%) - check this preview against the Excel file
+              </div>
+              <ul className="list-disc ml-6">
+                {calendarData.confidence.warnings.map((warning, index) => (
+                  <li key={index}>{warning}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {calendarData.layoutProfile && (
+            <p className="text-center text-sm text-gray-500 -mt-6 mb-6">
+              Read with the layout profile &quot;{calendarData.layoutProfile.name}&quot;
+            </p>
+          )}
+
           {/* Calendar Table with enhanced horizontal scroll */}
           <div className="overflow-x-auto shadow-lg" style={{ maxHeight: '90vh' }}>
             <div className="min-w-max"> {/* Ensure table maintains its width */}
@@ -454,6 +475,7 @@ const CalendarFullPageView = ({
                         <td
                           key={cellIndex}
                           className="border border-gray-400 text-center text-xs h-8 min-w-[60px]"
+                          title={cell.source?.rule ? `${cell.source.sheet}!${cell.source.address} (${cell.source.rule})` : undefined}
                           style={{
                             backgroundColor: getCellBackgroundColor(cell, row.activity),
                             color: getCellTextColor(cell)
@@ -0,0 +1,386 @@
+/**
+ * Calendar Mapping Wizard
+ *
+ * Shown when a calendar upload cannot be read automatically. Admins click the
+ * raw sheet grid to mark the header rows, the activity column, the timeline
+ * columns and the fill colours that mean "active"; the live preview re-parses
+ * the sheet with that mapping. The mapping can be saved as the district's
+ * layout profile so later uploads from the district are read the same way.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { FaTimes, FaTable, FaCheck, FaExclamationTriangle } from 'react-icons/fa';
+import calendarParsingService from '../../services/calendarParsingService';
+import calendarLayoutProfileService from '../../services/calendarLayoutProfileService';
+import { getDistrictName } from '../../data/ghanaCodes';
+
+const MAX_ROWS = 60;
+const MAX_COLUMNS = 60;
+
+const EMPTY_MAPPING = {
+  monthRow: -1,
+  weekRow: -1,
+  dateRow: -1,
+  activityColumn: -1,
+  firstActivityRow: -1,
+  timelineStart: null,
+  timelineEnd: null,
+  activeColors: [],
+};
+
+const MODES = [
+  { id: 'monthRow', label: 'Month row', hint: 'Click any cell in the row with month names.' },
+  { id: 'weekRow', label: 'Week row', hint: 'Click any cell in the row with week labels (WK1, Week 1, ...).' },
+  { id: 'dateRow', label: 'Date row', hint: 'Optional: click the row with calendar dates (1-7, 8-14, ...).' },
+  { id: 'activity', label: 'First activity', hint: 'Click the name of the first activity; its column becomes the activity column.' },
+  { id: 'timelineStart', label: 'Timeline start', hint: 'Click the first period column.' },
+  { id: 'timelineEnd', label: 'Timeline end', hint: 'Click the last period column.' },
+  { id: 'colours', label: 'Active colours', hint: 'Click coloured cells (or the swatches below) whose fill means the activity happens then.' },
+];
+
+const HEADER_ROW_STYLES = {
+  monthRow: 'ring-2 ring-inset ring-blue-500',
+  weekRow: 'ring-2 ring-inset ring-purple-500',
+  dateRow: 'ring-2 ring-inset ring-amber-500',
+};
+
+const columnLetter = (index) => {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+};
+
+const CalendarMappingWizard = ({ file, metadata, initialResult, initialProfile, onApply, onCancel }) => {
+  const [grids, setGrids] = useState([]);
+  const [sheetName, setSheetName] = useState(initialResult?.sheetName || '');
+  const [mapping, setMapping] = useState({ ...EMPTY_MAPPING, ...initialResult?.layout });
+  const [mode, setMode] = useState('activity');
+  const [saveAsProfile, setSaveAsProfile] = useState(Boolean(metadata.district));
+  const [profileName, setProfileName] = useState(initialProfile?.name || '');
+  const [loadError, setLoadError] = useState(null);
+  const [applying, setApplying] = useState(false);
+
+  useEffect(() => {
+    calendarParsingService.readSheetGrids(file)
+      .then((sheetGrids) => {
+        setGrids(sheetGrids);
+        setSheetName(current => current || sheetGrids[0]?.name || '');
+      })
+      .catch(error => setLoadError(error.message));
+  }, [file]);
+
+  const grid = grids.find(entry => entry.name === sheetName) || grids[0];
+  const errors = calendarLayoutProfileService.validateMapping(mapping);
+
+  // Re-parse the sheet with the mapping as it stands
+  const preview = useMemo(() => {
+    if (!grid || errors.length > 0) return null;
+    return calendarParsingService.parseGrid(grid, { ...metadata, fileName: file.name, layoutProfile: { mapping } });
+  }, [grid, mapping, errors.length, metadata, file.name]);
+
+  const sheetColours = useMemo(() => {
+    const counts = new Map();
+    (grid?.rows || []).flat().forEach((cell) => {
+      if (cell.color) counts.set(cell.color, (counts.get(cell.color) || 0) + 1);
+    });
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  }, [grid]);
+
+  const toggleColour = (color) => {
+    setMapping(current => ({
+      ...current,
+      activeColors: current.activeColors.includes(color)
+        ? current.activeColors.filter(entry => entry !== color)
+        : [...current.activeColors, color],
+    }));
+  };
+
+  const handleCellClick = (rowIndex, columnIndex, cell) => {
+    if (mode === 'colours') {
+      if (cell.color) toggleColour(cell.color);
+      return;
+    }
+    setMapping((current) => {
+      switch (mode) {
+        case 'monthRow':
+        case 'weekRow':
+        case 'dateRow':
+          return { ...current, [mode]: current[mode] === rowIndex ? -1 : rowIndex };
+        case 'activity':
+          return {
+            ...current,
+            activityColumn: columnIndex,
+            firstActivityRow: rowIndex,
+            timelineStart: current.timelineStart > columnIndex ? current.timelineStart : columnIndex + 1,
+          };
+        case 'timelineStart':
+          return { ...current, timelineStart: columnIndex };
+        case 'timelineEnd':
+          return { ...current, timelineEnd: columnIndex };
+        default:
+          return current;
+      }
+    });
+  };
+
+  const handleApply = async () => {
+    setApplying(true);
+    let layoutProfile = { id: null, name: 'Manual mapping', mapping };
+    if (saveAsProfile) {
+      const saved = await calendarLayoutProfileService.saveProfile({
+        id: initialProfile?.id,
+        name: profileName,
+        district: metadata.district,
+        region: metadata.region,
+        sheetName: grid.name,
+        mapping,
+      });
+      if (!saved.success) {
+        setLoadError(saved.error);
+        setApplying(false);
+        return;
+      }
+      layoutProfile = saved.data;
+    }
+    const result = await calendarLayoutProfileService.parseWithProfile(file, metadata, layoutProfile);
+    setApplying(false);
+    onApply(result, layoutProfile);
+  };
+
+  const rowClass = (rowIndex) => {
+    const headerMode = Object.keys(HEADER_ROW_STYLES).find(key => mapping[key] === rowIndex);
+    return headerMode ? HEADER_ROW_STYLES[headerMode] : '';
+  };
+
+  const inTimeline = (columnIndex) => (
+    mapping.timelineStart != null
+    && columnIndex >= mapping.timelineStart
+    && (mapping.timelineEnd == null || columnIndex <= mapping.timelineEnd)
+  );
+
+  const activeMode = MODES.find(entry => entry.id === mode);
+  const rows = (grid?.rows || []).slice(0, MAX_ROWS);
+  const width = Math.min(MAX_COLUMNS, Math.max(0, ...rows.map(row => row.length)));
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-black bg-opacity-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-6xl max-h-[95vh] flex flex-col">
+        {/* Header */}
+        <div className="flex justify-between items-start px-6 py-4 border-b">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+              <FaTable className="mr-2 text-green-600" />
+              Map calendar layout
+            </h2>
+            <p className="text-sm text-gray-500">
+              {initialResult?.success === false
+                ? `${file.name} could not be read automatically: ${initialResult.error}`
+                : `Check how ${file.name} is read and correct the rows and columns if needed.`}
+            </p>
+          </div>
+          <button onClick={onCancel} className="text-gray-400 hover:text-gray-600" aria-label="Close">
+            <FaTimes />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-auto px-6 py-4 space-y-4">
+          {loadError && (
+            <div className="rounded-md p-3 text-sm bg-red-50 text-red-700 border border-red-200">{loadError}</div>
+          )}
+
+          {/* Sheet and mode selection */}
+          <div className="flex flex-wrap items-center gap-2">
+            {grids.length > 1 && (
+              <select
+                value={grid?.name || ''}
+                onChange={(e) => setSheetName(e.target.value)}
+                className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+              >
+                {grids.map(entry => (
+                  <option key={entry.name} value={entry.name}>{entry.name}</option>
+                ))}
+              </select>
+            )}
+            {MODES.map(entry => (
+              <button
+                key={entry.id}
+                onClick={() => setMode(entry.id)}
+                className={`px-3 py-1 text-sm rounded-full border ${
+                  mode === entry.id
+                    ? 'bg-green-600 border-green-600 text-white'
+                    : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {entry.label}
+              </button>
+            ))}
+          </div>
+          <p className="text-sm text-gray-600">{activeMode.hint}</p>
+
+          {/* Colours found in the sheet */}
+          {sheetColours.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-xs text-gray-500">Fill colours:</span>
+              {sheetColours.map(([color, count]) => (
+                <button
+                  key={color}
+                  onClick={() => toggleColour(color)}
+                  title={`${color} (${count} cells)`}
+                  className={`flex items-center px-2 py-0.5 text-xs rounded border ${
+                    mapping.activeColors.includes(color) ? 'border-green-600 bg-green-50' : 'border-gray-300'
+                  }`}
+                >
+                  <span className="inline-block w-4 h-4 mr-1 rounded border border-gray-300" style={{ backgroundColor: color }} />
+                  {mapping.activeColors.includes(color) && <FaCheck className="text-green-600" />}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* Raw sheet grid */}
+          <div className="overflow-auto border rounded-md max-h-[45vh]">
+            <table className="text-xs border-collapse">
+              <thead className="sticky top-0 bg-gray-100 z-10">
+                <tr>
+                  <th className="px-2 py-1 border text-gray-500" />
+                  {Array.from({ length: width }, (_, c) => (
+                    <th
+                      key={c}
+                      className={`px-2 py-1 border font-medium ${
+                        c === mapping.activityColumn ? 'bg-green-200 text-green-900' : inTimeline(c) ? 'bg-green-50 text-gray-700' : 'text-gray-400'
+                      }`}
+                    >
+                      {columnLetter(c)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row, r) => (
+                  <tr key={r} className={rowClass(r)}>
+                    <td className={`px-2 py-1 border text-gray-500 bg-gray-100 ${r === mapping.firstActivityRow ? 'font-bold text-green-700' : ''}`}>
+                      {r + 1}
+                    </td>
+                    {Array.from({ length: width }, (_, c) => {
+                      const cell = row[c] || { text: '', color: null };
+                      const isActiveColour = cell.color && mapping.activeColors.includes(cell.color);
+                      return (
+                        <td
+                          key={c}
+                          onClick={() => handleCellClick(r, c, cell)}
+                          title={cell.text || undefined}
+                          className={`px-2 py-1 border cursor-pointer max-w-[10rem] truncate hover:outline hover:outline-2 hover:outline-green-500 ${
+                            c === mapping.activityColumn && r >= mapping.firstActivityRow ? 'font-semibold' : ''
+                          } ${isActiveColour ? 'outline outline-2 outline-green-700' : ''}`}
+                          style={{ backgroundColor: cell.color || undefined }}
+                        >
+                          {cell.text}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {grid && grid.rows.length > MAX_ROWS && (
+            <p className="text-xs text-gray-500">Showing the first {MAX_ROWS} of {grid.rows.length} rows.</p>
+          )}
+
+          {/* Live preview */}
+          <div className="rounded-md border p-3">
+            <h3 className="text-sm font-medium text-gray-900 mb-2">Preview</h3>
+            {errors.length > 0 && (
+              <ul className="text-sm text-gray-600 list-disc list-inside">
+                {errors.map(error => <li key={error}>{error}</li>)}
+              </ul>
+            )}
+            {preview && !preview.success && (
+              <p className="text-sm text-red-700 flex items-center">
+                <FaExclamationTriangle className="mr-2" />
+                {preview.error}
+              </p>
+            )}
+            {preview?.success && (
+              <div className="text-sm text-gray-700 space-y-1">
+                <p>
+                  {preview.data.activities.length} activities over {preview.data.timeline.totalSpan} periods
+                  {preview.data.timeline.months[0]?.month ? ` (${preview.data.timeline.months.map(month => month.name).join(', ')})` : ''}
+                  {' '}· confidence {Math.round(preview.confidence.score * 100)}%
+                </p>
+                <ul className="grid grid-cols-1 md:grid-cols-2 gap-x-4 text-xs text-gray-600">
+                  {preview.data.activities.map(activity => (
+                    <li key={activity.id} className="flex items-center">
+                      <span className="inline-block w-3 h-3 mr-2 rounded border border-gray-300" style={{ backgroundColor: activity.color || undefined }} />
+                      {activity.name} - {activity.periods.length} period{activity.periods.length === 1 ? '' : 's'}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 px-6 py-4 border-t bg-gray-50">
+          <div className="flex flex-col sm:flex-row sm:items-center gap-2 text-sm">
+            <label className={`flex items-center ${metadata.district ? 'text-gray-700' : 'text-gray-400'}`}>
+              <input
+                type="checkbox"
+                checked={saveAsProfile}
+                disabled={!metadata.district}
+                onChange={(e) => setSaveAsProfile(e.target.checked)}
+                className="mr-2"
+              />
+              Save as the layout profile for {metadata.district ? getDistrictName(metadata.district) : 'this district (select a district first)'}
+            </label>
+            {saveAsProfile && (
+              <input
+                type="text"
+                value={profileName}
+                onChange={(e) => setProfileName(e.target.value)}
+                placeholder="Profile name (optional)"
+                className="px-2 py-1 border border-gray-300 rounded-md"
+              />
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button onClick={onCancel} className="px-4 py-2 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100">
+              Cancel
+            </button>
+            <button
+              onClick={handleApply}
+              disabled={!preview?.success || applying}
+              className="px-4 py-2 text-sm rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+            >
+              {applying ? 'Applying...' : 'Use this layout'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+CalendarMappingWizard.propTypes = {
+  file: PropTypes.object.isRequired,
+  metadata: PropTypes.shape({
+    region: PropTypes.string,
+    district: PropTypes.string,
+    crop: PropTypes.string,
+    poultryType: PropTypes.string,
+  }).isRequired,
+  initialResult: PropTypes.object,
+  // Profile being edited ({ id, name }); saving updates it instead of adding one
+  initialProfile: PropTypes.shape({
+    id: PropTypes.string,
+    name: PropTypes.string,
+  }),
+  onApply: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+export default CalendarMappingWizard;
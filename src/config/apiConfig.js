@@ -19,7 +19,19 @@ export const API_CONFIG = {
   GHANANLP_API_KEY: import.meta.env.VITE_GHANANLP_API_KEY || '',
 
   // Ambee API configuration
-  AMBEE_API_KEY: import.meta.env.VITE_AMBEE_API_KEY || '',
+  AMBEE_API_KEY: import.meta.env.VITE_AMBEE_API_KEY || import.meta.env.VITE_BASE_AMBEE_API_KEY || '',
+
+  // Weather provider selection: ambee | open-meteo | gmet-stations | fixture
+  WEATHER_PROVIDER: import.meta.env.VITE_WEATHER_PROVIDER || '',
+  OPEN_METEO_BASE_URL: import.meta.env.VITE_OPEN_METEO_BASE_URL || 'https://api.open-meteo.com',
+  GMET_STATION_FEED_URL: import.meta.env.VITE_GMET_STATION_FEED_URL || '',
+
+  // SMS provider selection: gateway | fake (fake in development only; defaults to gateway when a URL is set)
+  SMS_PROVIDER: import.meta.env.VITE_SMS_PROVIDER || '',
+  SMS_GATEWAY_URL: import.meta.env.VITE_SMS_GATEWAY_URL || '',
+
+  // Short code farmers dial for the USSD menus
+  USSD_SERVICE_CODE: import.meta.env.VITE_USSD_SERVICE_CODE || '*920*44#',
 };
 
 // API endpoints
@@ -55,6 +67,13 @@ export const API_ENDPOINTS = {
     UPLOAD: '/api/weekly-advisories/upload',
   },
 
+  // Dekadal (10-day) agromet bulletins
+  DEKAD_BULLETINS: {
+    UPLOAD: '/api/dekad-bulletins/upload',
+    GET: '/api/dekad-bulletins',
+    DELETE: (bulletinId) => `/api/dekad-bulletins/${bulletinId}`,
+  },
+
   // Files
   FILES: {
     UPLOAD: '/user/files/upload',
@@ -79,6 +98,7 @@ export const API_ENDPOINTS = {
   // Notifications
   NOTIFICATIONS: {
     GET: '/user/notifications',
+    CREATE: '/user/notifications',
     MARK_READ: (notificationId) => `/user/notifications/${notificationId}/read`,
   },
 
@@ -14,6 +14,7 @@ export const useChatbot = () => {
 export const ChatbotProvider = ({ children }) => {
   const [userContext, setUserContext] = useState({
     region: null,
+    district: null,
     weather: null,
     season: null,
     crops: [],
@@ -23,6 +24,8 @@ export const ChatbotProvider = ({ children }) => {
   const [chatPreferences, setChatPreferences] = useState({
     language: 'en',
     enableVoice: true,
+    // Read AgriBot's answers aloud as they arrive
+    speakAnswers: false,
     enableNotifications: true,
   });
 
@@ -43,15 +46,18 @@ export const ChatbotProvider = ({ children }) => {
         currentPage = 'dashboard';
       }
 
-      // Try to get region from localStorage or URL params
+      // Try to get region and district from localStorage or URL params
       const savedRegion = localStorage.getItem('userRegion');
+      const savedDistrict = localStorage.getItem('userDistrict');
       const urlParams = new URLSearchParams(window.location.search);
       const regionFromUrl = urlParams.get('region');
+      const districtFromUrl = urlParams.get('district');
 
       setUserContext(prev => ({
         ...prev,
         currentPage,
         region: regionFromUrl || savedRegion || prev.region,
+        district: districtFromUrl || savedDistrict || prev.district,
       }));
     };
 
@@ -92,6 +98,11 @@ export const ChatbotProvider = ({ children }) => {
     localStorage.setItem('userRegion', region);
   };
 
+  const updateDistrict = (district) => {
+    setUserContext(prev => ({ ...prev, district }));
+    localStorage.setItem('userDistrict', district);
+  };
+
   const updateWeather = useCallback((weather) => {
     setUserContext(prev => ({ ...prev, weather }));
   }, []);
@@ -186,6 +197,7 @@ export const ChatbotProvider = ({ children }) => {
     userContext,
     chatPreferences,
     updateRegion,
+    updateDistrict,
     updateWeather,
     updateCrops,
     updatePreferences,
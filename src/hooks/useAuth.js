@@ -1,5 +1,6 @@
 import { useState, useEffect, useCallback } from 'react';
 import userService from '../services/userService';
+import { can as canUser, getRole } from '../utils/accessControl';
 
 /**
  * Custom hook for managing authentication state
@@ -72,7 +73,12 @@ export const useAuth = () => {
 
   // Check if user has admin role
   const isAdmin = useCallback(() => {
-    return user?.role === 'admin' || user?.role === 'administrator';
+    return getRole(user).id === 'national_admin';
+  }, [user]);
+
+  // Check a permission, optionally for a { region, district } target
+  const can = useCallback((permission, target) => {
+    return canUser(user, permission, target);
   }, [user]);
 
   // Check auth status on hook initialization
@@ -88,6 +94,8 @@ export const useAuth = () => {
     logout,
     checkAuth,
     isAdmin: isAdmin(),
+    role: getRole(user),
+    can,
   };
 };
 
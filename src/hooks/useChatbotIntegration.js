@@ -12,17 +12,15 @@ export const useChatbotIntegration = () => {
     const fetchWeatherData = async () => {
       if (userContext.region) {
         try {
-          const weatherData = await getCurrentWeather();
-          // Find weather for the user's region or use a default
-          const regionWeather = weatherData.weather.find(w => 
-            w.city.toLowerCase().includes(userContext.region.toLowerCase())
-          ) || weatherData.weather[0];
+          const regionWeather = await getCurrentWeather({ region: userContext.region });
 
           updateWeather({
             condition: regionWeather.condition,
             temperature: regionWeather.temperature,
-            humidity: Math.floor(Math.random() * 40) + 60, // Mock humidity
+            humidity: regionWeather.humidity,
+            windSpeed: regionWeather.windSpeed,
             location: regionWeather.city,
+            source: regionWeather.source,
           });
         } catch (error) {
           console.error('Failed to fetch weather data for chatbot:', error);
@@ -70,14 +68,15 @@ export const useChatbotIntegration = () => {
 
 // Hook for components to provide chatbot context
 export const useChatbotContext = () => {
-  const { updateRegion, updateWeather, updateCrops } = useChatbot();
+  const { updateRegion, updateDistrict, updateWeather, updateCrops } = useChatbot();
 
   const provideCropContext = (crops) => {
     updateCrops(Array.isArray(crops) ? crops : [crops]);
   };
 
-  const provideLocationContext = (region) => {
+  const provideLocationContext = (region, district = null) => {
     updateRegion(region);
+    if (district) updateDistrict(district);
   };
 
   const provideWeatherContext = (weather) => {
@@ -0,0 +1,42 @@
+import { useState, useEffect, useCallback } from "react";
+import emergencyAlertService from "../services/emergencyAlertService";
+
+// How often visitors check for newly broadcast emergencies
+const POLL_INTERVAL = 5 * 60 * 1000;
+
+// Longest a timer may wait; setTimeout overflows past ~24.8 days
+const MAX_TIMER_DELAY = 24 * 60 * 60 * 1000;
+
+// Active emergencies from the server, reloaded when one is published or
+// retired here, every few minutes and when the next one reaches its expiry
+export const useEmergencyAlerts = () => {
+  const [alerts, setAlerts] = useState([]);
+
+  const refresh = useCallback(async () => {
+    const result = await emergencyAlertService.getActiveAlerts();
+    // Keep showing the last known emergencies while the server is unreachable
+    if (result.success) setAlerts(result.data);
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    const unsubscribe = emergencyAlertService.onChange(refresh);
+    const timer = setInterval(refresh, POLL_INTERVAL);
+    return () => {
+      unsubscribe();
+      clearInterval(timer);
+    };
+  }, [refresh]);
+
+  const nextExpiry = alerts.map((alert) => alert.expiresAt).sort()[0];
+  useEffect(() => {
+    if (!nextExpiry) return undefined;
+    const delay = Math.min(Math.max(new Date(nextExpiry) - Date.now(), 0) + 1000, MAX_TIMER_DELAY);
+    const timer = setTimeout(refresh, delay);
+    return () => clearTimeout(timer);
+  }, [nextExpiry, refresh]);
+
+  return alerts;
+};
+
+export default useEmergencyAlerts;
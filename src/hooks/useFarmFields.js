@@ -0,0 +1,137 @@
+import { useState, useCallback } from "react";
+import farmFieldService from "../services/farmFieldService";
+import personalizedFarmingService from "../services/personalizedFarmingService";
+
+// "My farm" field state for the maps: saved fields, the field being
+// drawn (a list of [lng, lat] corners) and imports from GeoJSON/KML files
+export const useFarmFields = () => {
+  const [fields, setFields] = useState(() =>
+    personalizedFarmingService.getFarmFields()
+  );
+  const [draftPoints, setDraftPoints] = useState(null);
+  const [selectedFieldId, setSelectedFieldId] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  // Returns the saved fields, or null with the reason in message
+  const saveFields = useCallback((newFields) => {
+    for (const field of newFields) {
+      const result = personalizedFarmingService.saveFarmField(field);
+      if (!result.success) {
+        setMessage({
+          type: "error",
+          text: result.message || result.errors?.join(", ") || result.error,
+        });
+        return null;
+      }
+    }
+    setFields(personalizedFarmingService.getFarmFields());
+    return newFields;
+  }, []);
+
+  const startDrawing = useCallback(() => {
+    setDraftPoints([]);
+    setSelectedFieldId(null);
+    setMessage(null);
+  }, []);
+
+  const addDraftPoint = useCallback((latlng) => {
+    setDraftPoints((points) => (points ? [...points, [latlng.lng, latlng.lat]] : points));
+  }, []);
+
+  const undoDraftPoint = useCallback(() => {
+    setDraftPoints((points) => (points ? points.slice(0, -1) : points));
+  }, []);
+
+  const cancelDrawing = useCallback(() => {
+    setDraftPoints(null);
+  }, []);
+
+  const finishDrawing = useCallback(
+    (name, districtCode) => {
+      const result = farmFieldService.createField(
+        { type: "Polygon", coordinates: [draftPoints || []] },
+        { name, source: "drawn", districtCode }
+      );
+      if (!result.success) {
+        setMessage({ type: "error", text: result.error });
+        return;
+      }
+
+      const saved = saveFields([result.data]);
+      if (saved) {
+        setDraftPoints(null);
+        setSelectedFieldId(result.data.id);
+        setMessage({ type: "success", text: `${result.data.name} saved to your farm profile` });
+      }
+    },
+    [draftPoints, saveFields]
+  );
+
+  // Every field in one file is placed in the district chosen for the import
+  const importFile = useCallback(
+    async (file, districtCode) => {
+      setMessage(null);
+      const parsed = farmFieldService.parseFieldFile(await file.text(), file.name);
+      if (!parsed.success) {
+        setMessage({ type: "error", text: parsed.error });
+        return;
+      }
+
+      const source = /\.kml$/i.test(file.name) ? "kml" : "geojson";
+      // Default names are numbered after the fields already saved
+      const existingCount = personalizedFarmingService.getFarmFields().length;
+      const created = parsed.data.map((shape, index) =>
+        farmFieldService.createField(shape.geometry, {
+          name: shape.name || `Field ${existingCount + index + 1}`,
+          source,
+          districtCode,
+        })
+      );
+      const valid = created.filter((result) => result.success).map((result) => result.data);
+
+      if (valid.length === 0) {
+        setMessage({ type: "error", text: created[0].error });
+        return;
+      }
+
+      const saved = saveFields(valid);
+      if (!saved) return;
+
+      const skipped = created.length - valid.length;
+      setSelectedFieldId(saved[0].id);
+      setMessage({
+        type: "success",
+        text: `Imported ${saved.length} field${saved.length === 1 ? "" : "s"}${
+          skipped ? ` (${skipped} skipped: ${created.find((result) => !result.success).error})` : ""
+        }`,
+      });
+    },
+    [saveFields]
+  );
+
+  const removeField = useCallback((fieldId) => {
+    const result = personalizedFarmingService.removeFarmField(fieldId);
+    if (!result.success) {
+      setMessage({ type: "error", text: result.message || result.error });
+      return;
+    }
+    setFields(personalizedFarmingService.getFarmFields());
+    setSelectedFieldId(null);
+  }, []);
+
+  return {
+    fields,
+    drawing: draftPoints !== null,
+    draftPoints: draftPoints || [],
+    startDrawing,
+    addDraftPoint,
+    undoDraftPoint,
+    cancelDrawing,
+    finishDrawing,
+    importFile,
+    removeField,
+    selectedField: fields.find((field) => field.id === selectedFieldId) || null,
+    selectField: setSelectedFieldId,
+    message,
+  };
+};
@@ -0,0 +1,85 @@
+import { useState, useCallback, useMemo, useRef } from "react";
+import importValidationService from "../services/importValidationService";
+
+const EMPTY = { checking: false, report: null, error: null, importValidOnly: false };
+
+// Why a checked file cannot be uploaded yet, for the form's error message
+const BLOCKED_REASONS = {
+  validating: "The rows are still being checked",
+  "needs-review": "Some rows have problems: fix them and choose the file again, or import only the valid rows",
+  rejected: "No row of this file can be imported; see the error report",
+};
+
+// Row check state for one file of an upload form: the report, whether the
+// file may be uploaded and the "import only the valid rows" choice. Pass
+// `sheets` when the form lets the author leave sheets out; only those count.
+export const useImportValidation = ({ sheets = null } = {}) => {
+  const [state, setState] = useState(EMPTY);
+  // Only the latest check may set the report when files change quickly
+  const latestCheck = useRef(0);
+
+  // run: () => Promise<report>, e.g. importValidationService.validateFile(...)
+  const check = useCallback(async (run) => {
+    const id = latestCheck.current + 1;
+    latestCheck.current = id;
+    setState({ ...EMPTY, checking: true });
+    let next;
+    try {
+      next = { ...EMPTY, report: await run() };
+    } catch (error) {
+      next = { ...EMPTY, error: `Could not read the file: ${error.message}` };
+    }
+    if (latestCheck.current === id) setState(next);
+  }, []);
+
+  const reset = useCallback(() => {
+    latestCheck.current += 1;
+    setState(EMPTY);
+  }, []);
+
+  const setImportValidOnly = useCallback((importValidOnly) => {
+    setState((prev) => ({ ...prev, importValidOnly }));
+  }, []);
+
+  const report = useMemo(
+    () => (state.report && sheets ? importValidationService.forSheets(state.report, sheets) : state.report),
+    [state.report, sheets]
+  );
+
+  let status = null;
+  if (state.checking) status = "validating";
+  else if (state.error) status = "rejected";
+  else if (report) status = importValidationService.getStatus(report);
+
+  const validOnly = status === "needs-review" && state.importValidOnly;
+  const canUpload = status === "ready" || validOnly;
+
+  // Rows the server is to skip in a calendar imported in part
+  const excludedRows = useMemo(
+    () => (validOnly && report.layout === "calendar" ? importValidationService.getExcludedRows(report) : null),
+    [validOnly, report]
+  );
+
+  // The file to send: the original, or the valid rows only; see
+  // importValidationService.prepareValidUpload for excludedRows
+  const prepareUpload = useCallback(
+    (file) => (validOnly ? importValidationService.prepareValidUpload(file, report) : Promise.resolve({ file, excludedRows: null })),
+    [validOnly, report]
+  );
+
+  return {
+    report,
+    status,
+    error: state.error,
+    importValidOnly: state.importValidOnly,
+    setImportValidOnly,
+    canUpload,
+    blockedReason: status && !canUpload ? BLOCKED_REASONS[status] : null,
+    excludedRows,
+    check,
+    reset,
+    prepareUpload,
+  };
+};
+
+export default useImportValidation;
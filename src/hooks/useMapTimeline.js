@@ -0,0 +1,93 @@
+import { useState, useEffect, useCallback } from "react";
+import mapTimelineService, {
+  TIMELINE_MODES,
+} from "../services/mapTimelineService";
+
+// Time slider state for the weather map: frames, playback and prefetching.
+// A null mode means the live snapshot (no time dimension).
+export const useMapTimeline = ({ frameDelay = 1500 } = {}) => {
+  const [mode, setModeState] = useState(null);
+  const [frames, setFrames] = useState([]);
+  const [index, setIndexState] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [frameData, setFrameData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const setMode = useCallback((newMode) => {
+    setPlaying(false);
+    setModeState(newMode || null);
+    setFrames(newMode ? mapTimelineService.buildFrames(newMode) : []);
+    setIndexState(0);
+    setFrameData(null);
+    setError(null);
+  }, []);
+
+  // Moving the slider by hand stops playback
+  const setIndex = useCallback((newIndex) => {
+    setPlaying(false);
+    setIndexState(newIndex);
+  }, []);
+
+  const togglePlay = useCallback(() => {
+    setPlaying((prev) => !prev);
+  }, []);
+
+  // Load the current frame, then warm the cache for the next ones
+  useEffect(() => {
+    const frame = frames[index];
+    if (!frame) return undefined;
+
+    let cancelled = false;
+    if (!mapTimelineService.isFrameReady(frame)) {
+      setLoading(true);
+    }
+
+    mapTimelineService.loadFrame(frame).then((data) => {
+      if (cancelled) return;
+      setFrameData(data);
+      setError(data.error || null);
+      setLoading(false);
+      mapTimelineService.prefetch(frames, index + 1);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [frames, index]);
+
+  // Playback waits for the next frame's data, so a slow connection
+  // holds the current frame instead of showing an empty one
+  useEffect(() => {
+    if (!playing || frames.length < 2) return undefined;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const nextIndex = (index + 1) % frames.length;
+      await mapTimelineService.loadFrame(frames[nextIndex]);
+      if (!cancelled) {
+        setIndexState(nextIndex);
+      }
+    }, frameDelay);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [playing, frames, index, frameDelay]);
+
+  return {
+    modes: TIMELINE_MODES,
+    mode,
+    setMode,
+    frames,
+    index,
+    setIndex,
+    frame: frames[index] || null,
+    frameData: mode ? frameData : null,
+    playing,
+    togglePlay,
+    loading,
+    error,
+  };
+};
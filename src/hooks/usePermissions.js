@@ -0,0 +1,38 @@
+import { useMemo } from 'react';
+import userService from '../services/userService';
+import {
+  can,
+  canAccessPage,
+  isInScope,
+  getRole,
+  getScope,
+  describeAccess,
+} from '../utils/accessControl';
+
+/**
+ * Role and permission checks for the signed-in user, for hiding Dashboard
+ * pages and actions. Reads the user stored at login, so it needs no request;
+ * the server still has the final say on every upload and edit.
+ */
+export const usePermissions = () => {
+  const user = userService.getCurrentUser();
+  // The stored user is read afresh on every render; only these fields set
+  // the access, and older accounts carry region/district names instead of codes
+  const role = user?.role;
+  const regionCode = user?.regionCode || user?.region;
+  const districtCode = user?.districtCode || user?.district;
+
+  return useMemo(() => {
+    const accessUser = { role, regionCode, districtCode };
+    return {
+      role: getRole(accessUser),
+      scope: getScope(accessUser),
+      access: describeAccess(accessUser),
+      can: (permission, target) => can(accessUser, permission, target),
+      canAccessPage: (page) => canAccessPage(accessUser, page),
+      isInScope: (target) => isInScope(accessUser, target),
+    };
+  }, [role, regionCode, districtCode]);
+};
+
+export default usePermissions;
@@ -1,5 +1,5 @@
 import { useState, useCallback } from "react";
-import axios from "axios";
+import weatherProviderService from "../services/weatherProviderService";
 
 // Custom hook for weather data management
 export const useWeatherData = () => {
@@ -7,75 +7,22 @@ export const useWeatherData = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
-  // Get API configuration from environment
-  const getApiConfig = useCallback(() => {
-    const apiKey = import.meta.env.VITE_AMBEE_API_KEY;
-    const isMockMode = !apiKey || apiKey === "your-ambee-api-key-here";
-
-    return {
-      apiKey,
-      isMockMode,
-      baseUrl: "/api/ambee/weather/forecast/by-lat-lng"
-    };
-  }, []);
-
-  // Generate mock weather data
-  const generateMockWeather = useCallback((city) => {
-    const conditions = [
-      "Sunny Intervals", "Cloudy", "Light Rain", "Partly Cloudy",
-      "Clear Sky", "Overcast", "Mist"
-    ];
+  // Fetch weather data for a city through the shared weather provider layer
+  const fetchWeatherForCity = useCallback(async (city, lat, lng) => {
+    const report = await weatherProviderService.getWeather({ lat, lng, name: city });
+    const today = report.daily[0];
 
     return {
       city,
-      condition: conditions[Math.floor(Math.random() * conditions.length)],
-      minTemp: Math.round(20 + Math.random() * 10),
-      maxTemp: Math.round(28 + Math.random() * 12),
+      lat,
+      lng,
+      condition: weatherProviderService.getConditionLabel(report.current.condition),
+      minTemp: Math.round(today?.minTemp ?? report.current.temperature),
+      maxTemp: Math.round(today?.maxTemp ?? report.current.temperature),
+      source: report.source,
     };
   }, []);
 
-  // Fetch weather data for a city
-  const fetchWeatherForCity = useCallback(async (city, lat, lng) => {
-    const { apiKey, isMockMode, baseUrl } = getApiConfig();
-
-    if (isMockMode) {
-      console.info("API key not configured, using mock weather data");
-      return generateMockWeather(city);
-    }
-
-    try {
-      const url = `${baseUrl}?lat=${lat}&lng=${lng}`;
-      const response = await axios.get(url, {
-        headers: {
-          "Content-type": "application/json",
-          "x-api-key": apiKey,
-        },
-        timeout: 10000, // 10 second timeout
-      });
-
-      const forecast = response.data.data?.[0];
-      if (!forecast) {
-        throw new Error("No forecast data available");
-      }
-
-      // Handle temperature conversion (Fahrenheit to Celsius if needed)
-      const tempCelsius = forecast.temperature > 50
-        ? Math.round(((forecast.temperature - 32) * 5) / 9)
-        : Math.round(forecast.temperature);
-
-      return {
-        city,
-        condition: forecast.summary || "Sunny Intervals",
-        minTemp: Math.max(0, Math.round(tempCelsius - 3)),
-        maxTemp: Math.round(tempCelsius + 3),
-      };
-    } catch (err) {
-      console.error(`Error fetching weather for ${city}:`, err.message);
-      // Return mock data as fallback
-      return generateMockWeather(city);
-    }
-  }, [generateMockWeather, getApiConfig]);
-
   // Fetch weather for multiple cities
   const fetchWeatherForCities = useCallback(async (cities) => {
     setLoading(true);
@@ -145,8 +92,8 @@ export const useWeatherData = () => {
     if (weatherData.length > 0) {
       const cities = weatherData.map(item => ({
         city: item.city,
-        lat: 0, // Would need to store original coordinates
-        lng: 0
+        lat: item.lat,
+        lng: item.lng
       }));
       fetchWeatherForCities(cities);
     }
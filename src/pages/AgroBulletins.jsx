@@ -1,10 +1,11 @@
 import { useState, useEffect } from "react";
+import { useParams, useNavigate } from "react-router-dom";
 import PageTitle from '../components/PageTitle';
+import dekadBulletinService from "../services/dekadBulletinService";
 import {
   Sun,
   Cloud,
   CloudRain,
-  CloudLightning,
   CloudDrizzle,
   Wind,
   Droplet,
@@ -24,9 +25,36 @@ import {
   Download,
   Share2,
   Search,
+  Link2,
 } from "lucide-react";
 
+// Formats an anomaly with an explicit sign, e.g. "+1.2°C" / "-15%"
+const formatAnomaly = (value, unit) => {
+  if (value === null || value === undefined) return "—";
+  return `${value > 0 ? "+" : ""}${value}${unit}`;
+};
+
+// Icon for a dekad's rainfall against its normal
+const rainfallIcon = (status) => {
+  if (status === "above normal") return <CloudRain className="text-blue-500" />;
+  if (status === "near normal") return <CloudDrizzle className="text-blue-400" />;
+  if (status === "below normal") return <Sun className="text-yellow-500" />;
+  return <Cloud className="text-gray-400" />;
+};
+
+// Bar width for an anomaly, saturating at `fullScale`
+const anomalyBarWidth = (value, fullScale) =>
+  `${Math.min(100, Math.round((Math.abs(value || 0) / fullScale) * 100))}%`;
+
 const AgroBulletins = () => {
+  const params = useParams();
+  const navigate = useNavigate();
+  const routeRegion = dekadBulletinService.resolveRegion(params.regionCode);
+  const requestedDekad =
+    routeRegion && params.year && params.dekad
+      ? { year: Number(params.year), dekad: Number(params.dekad) }
+      : null;
+
   const [loading, setLoading] = useState(true);
   const [currentDate, setCurrentDate] = useState(new Date());
   const [activeTab, setActiveTab] = useState("general");
@@ -37,6 +65,104 @@ const AgroBulletins = () => {
   const [showHistoricalComparison, setShowHistoricalComparison] =
     useState(false);
   const [showRegionalFilter, setShowRegionalFilter] = useState(false);
+  const [bulletinHistory, setBulletinHistory] = useState([]);
+  const [bulletinsLoading, setBulletinsLoading] = useState(false);
+  const [bulletinsError, setBulletinsError] = useState(null);
+  const [bulletinsStale, setBulletinsStale] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  // Dekad bulletin URLs (/agro-bulletins/:regionCode/:year/:dekad) open the past dekad view for that region
+  const routeRegionName = routeRegion?.name;
+  useEffect(() => {
+    if (routeRegionName) {
+      setSelectedRegion(routeRegionName.replace(/\s+Region$/, ""));
+      setDekadPeriod("past");
+    }
+  }, [routeRegionName]);
+
+  // Load the published dekad bulletin history for the selected region
+  useEffect(() => {
+    const region = dekadBulletinService.resolveRegion(selectedRegion);
+    if (!region) return;
+
+    let cancelled = false;
+    const loadBulletins = async () => {
+      setBulletinsLoading(true);
+      setBulletinsError(null);
+      const result = await dekadBulletinService.getBulletins({
+        regionCode: region.code,
+      });
+      if (cancelled) return;
+
+      setBulletinHistory(result.data || []);
+      setBulletinsStale(Boolean(result.stale));
+      if (!result.success) {
+        setBulletinsError(result.error || "Failed to load dekad bulletins");
+      }
+      setBulletinsLoading(false);
+    };
+
+    loadBulletins();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedRegion]);
+
+  // The bulletin named in the URL, otherwise the latest published one
+  const selectedBulletin = requestedDekad
+    ? bulletinHistory.find(
+        (b) =>
+          b.regionCode === routeRegion.code &&
+          b.year === requestedDekad.year &&
+          b.dekad === requestedDekad.dekad
+      ) || null
+    : bulletinHistory[0] || null;
+
+  const openBulletin = (regionCode, year, dekad) => {
+    navigate(dekadBulletinService.getBulletinPath(regionCode, year, dekad));
+  };
+
+  const handleDekadSelect = (value) => {
+    const [year, dekad] = value.split("-").map(Number);
+    const region = dekadBulletinService.resolveRegion(selectedRegion);
+    if (region) openBulletin(region.code, year, dekad);
+  };
+
+  const handleRegionSelect = (regionName) => {
+    setSelectedRegion(regionName);
+    setShowRegionalFilter(false);
+
+    // Keep the shared dekad in the URL so regions can be compared for the same period
+    const region = dekadBulletinService.resolveRegion(regionName);
+    if (requestedDekad && region) {
+      openBulletin(region.code, requestedDekad.year, requestedDekad.dekad);
+    }
+  };
+
+  const handleShareBulletin = async () => {
+    if (!selectedBulletin) return;
+    const url = `${window.location.origin}${dekadBulletinService.getBulletinPath(
+      selectedBulletin.regionCode,
+      selectedBulletin.year,
+      selectedBulletin.dekad
+    )}`;
+
+    try {
+      if (navigator.share) {
+        await navigator.share({
+          title: `${selectedBulletin.regionName} dekad bulletin`,
+          text: selectedBulletin.label,
+          url,
+        });
+        return;
+      }
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) {
+      console.error("Failed to share bulletin link:", error);
+    }
+  };
 
   // Generate dates for the dekad forecast
   const getDates = (offsetDays = 0) => {
@@ -72,25 +198,18 @@ const AgroBulletins = () => {
     return dates;
   };
 
-  // Define region options
-  const regions = [
-    "Greater Accra",
-    "Ashanti",
-    "Western",
-    "Eastern",
-    "Central",
-    "Northern",
-    "Upper East",
-    "Upper West",
-    "Volta",
-    "Bono",
-    "Bono East",
-    "Ahafo",
-    "Western North",
-    "Oti",
-    "North East",
-    "Savannah",
-  ];
+  // Dekad shown by the regional tab: the bulletin opened from the URL, else
+  // the dekad before, containing or after today
+  const regionalDekad =
+    dekadPeriod === "past" && selectedBulletin
+      ? { year: selectedBulletin.year, dekad: selectedBulletin.dekad }
+      : dekadBulletinService.shiftDekad(
+          dekadBulletinService.getDekadOfDate(currentDate),
+          { past: -1, current: 0, next: 1 }[dekadPeriod]
+        );
+  const regionalBulletins = bulletinHistory.filter(
+    (b) => b.year === regionalDekad.year && b.dekad === regionalDekad.dekad
+  );
 
   // Group regions by zone for better organization
   const regionsByZone = {
@@ -113,220 +232,6 @@ const AgroBulletins = () => {
     ],
   };
 
-  // Past dekad analysis - generate data for the past 10 days
-  const generatePastDekadData = () => {
-    // For each region, generate summary statistics
-    const regionalData = {};
-
-    regions.forEach((region) => {
-      // Generate realistic but varying past data
-      const avgMaxTemp = 26 + Math.floor(Math.random() * 6);
-      const avgMinTemp = avgMaxTemp - 6 - Math.floor(Math.random() * 3);
-      const totalRainfall =
-        Math.floor(Math.random() * 50) +
-        (region.includes("Western") || region.includes("Central")
-          ? 30
-          : region.includes("Northern") ||
-            region.includes("Upper") ||
-            region.includes("Savannah")
-          ? 10
-          : 20);
-
-      // Different rainfall distribution patterns based on region
-      const rainfallDistribution = region.includes("Coastal")
-        ? "Moderate, well-distributed"
-        : region.includes("Western") || region.includes("Central")
-        ? "Heavy, clustered"
-        : region.includes("Northern") || region.includes("Upper")
-        ? "Light, scattered"
-        : "Mixed patterns";
-
-      // Generate regional past trends
-      regionalData[region] = {
-        avgMaxTemp,
-        avgMinTemp,
-        totalRainfall,
-        rainfallDistribution,
-        highestTemp: avgMaxTemp + 2 + Math.floor(Math.random() * 2),
-        lowestTemp: avgMinTemp - 2 - Math.floor(Math.random() * 2),
-        rainyDays: Math.min(
-          10,
-          Math.floor(totalRainfall / 10) + Math.floor(Math.random() * 3)
-        ),
-        avgHumidity:
-          60 +
-          Math.floor(Math.random() * 20) +
-          (region.includes("Western") || region.includes("Central")
-            ? 10
-            : region.includes("Northern") || region.includes("Upper")
-            ? -10
-            : 0),
-        summary: generatePastDekadSummary(region),
-        impactOnCrops: generateCropImpactSummary(region),
-      };
-    });
-
-    return regionalData;
-  };
-
-  // Helper function to generate past dekad summary
-  const generatePastDekadSummary = (region) => {
-    // Base summaries with regional variations
-    const baseSummaries = [
-      `The past dekad in ${region} saw [WEATHER_PATTERN] conditions, with temperatures [TEMP_TREND] than expected for this time of year. Rainfall was [RAINFALL_TREND], affecting soil moisture levels significantly.`,
-      `${region} experienced [WEATHER_PATTERN] weather during the past dekad, with [RAINFALL_TREND] precipitation patterns. Temperature variations were [TEMP_VARIABILITY].`,
-      `The previous 10-day period in ${region} was characterized by [WEATHER_PATTERN] conditions, with [TEMP_TREND] temperatures and [RAINFALL_TREND] rainfall distribution.`,
-    ];
-
-    // Regional weather patterns
-    let weatherPattern, rainfallTrend, tempTrend, tempVariability;
-
-    if (region.includes("Western") || region.includes("Central")) {
-      weatherPattern = [
-        "wet and humid",
-        "mostly rainy",
-        "intermittently stormy",
-      ][Math.floor(Math.random() * 3)];
-      rainfallTrend = [
-        "above average",
-        "well distributed",
-        "higher than normal",
-      ][Math.floor(Math.random() * 3)];
-      tempTrend = [
-        "slightly lower",
-        "consistent with seasonal averages",
-        "moderately lower",
-      ][Math.floor(Math.random() * 3)];
-      tempVariability = [
-        "minimal",
-        "typical for the season",
-        "lower than expected",
-      ][Math.floor(Math.random() * 3)];
-    } else if (
-      region.includes("Northern") ||
-      region.includes("Upper") ||
-      region.includes("Savannah")
-    ) {
-      weatherPattern = [
-        "predominantly dry",
-        "sunny with scattered clouds",
-        "clear with occasional precipitation",
-      ][Math.floor(Math.random() * 3)];
-      rainfallTrend = ["below average", "sporadic", "limited"][
-        Math.floor(Math.random() * 3)
-      ];
-      tempTrend = ["higher", "significantly higher", "above seasonal averages"][
-        Math.floor(Math.random() * 3)
-      ];
-      tempVariability = [
-        "significant between day and night",
-        "considerable",
-        "higher than normal",
-      ][Math.floor(Math.random() * 3)];
-    } else if (region.includes("Greater Accra") || region.includes("Volta")) {
-      weatherPattern = ["partly cloudy", "moderately humid", "mixed"][
-        Math.floor(Math.random() * 3)
-      ];
-      rainfallTrend = [
-        "localized",
-        "concentrated in coastal areas",
-        "variable",
-      ][Math.floor(Math.random() * 3)];
-      tempTrend = [
-        "consistent with averages",
-        "typical for the season",
-        "as expected",
-      ][Math.floor(Math.random() * 3)];
-      tempVariability = ["moderate", "typical", "expected for the season"][
-        Math.floor(Math.random() * 3)
-      ];
-    } else {
-      weatherPattern = [
-        "seasonally typical",
-        "mixed",
-        "variable across subregions",
-      ][Math.floor(Math.random() * 3)];
-      rainfallTrend = [
-        "fairly distributed",
-        "average",
-        "consistent with seasonal patterns",
-      ][Math.floor(Math.random() * 3)];
-      tempTrend = [
-        "within expected ranges",
-        "normal",
-        "consistent with historical averages",
-      ][Math.floor(Math.random() * 3)];
-      tempVariability = ["moderate", "expected", "normal"][
-        Math.floor(Math.random() * 3)
-      ];
-    }
-
-    // Select a base summary and fill in the placeholders
-    let summary =
-      baseSummaries[Math.floor(Math.random() * baseSummaries.length)];
-    summary = summary
-      .replace("[WEATHER_PATTERN]", weatherPattern)
-      .replace("[TEMP_TREND]", tempTrend)
-      .replace("[RAINFALL_TREND]", rainfallTrend)
-      .replace("[TEMP_VARIABILITY]", tempVariability);
-
-    return summary;
-  };
-
-  // Helper function to generate crop impact summary
-  const generateCropImpactSummary = (region) => {
-    // Base impacts with variations
-    let impacts = [];
-
-    // Region-specific impacts
-    if (region.includes("Western") || region.includes("Central")) {
-      impacts.push(
-        "Cocoa pod development benefited from consistent moisture levels"
-      );
-      impacts.push(
-        "Oil palm fruit production showed positive response to rainfall"
-      );
-      if (Math.random() > 0.5)
-        impacts.push(
-          "Some risk of black pod disease in cocoa due to high humidity"
-        );
-    } else if (
-      region.includes("Northern") ||
-      region.includes("Upper") ||
-      region.includes("Savannah")
-    ) {
-      impacts.push("Cereals (maize, sorghum) experienced some moisture stress");
-      impacts.push("Legumes showed resilience under drier conditions");
-      if (Math.random() > 0.5)
-        impacts.push("Irrigation was necessary for vegetable production");
-    } else if (region.includes("Ashanti") || region.includes("Eastern")) {
-      impacts.push(
-        "Mixed crop systems performed well under variable conditions"
-      );
-      impacts.push("Maize at tasseling stage benefited from rainfall events");
-      if (Math.random() > 0.5)
-        impacts.push("Cassava and yam showed continued vigorous growth");
-    } else if (region.includes("Greater Accra") || region.includes("Volta")) {
-      impacts.push(
-        "Coastal vegetable production required supplemental irrigation"
-      );
-      impacts.push("Urban agricultural systems showed varied performance");
-      if (Math.random() > 0.5)
-        impacts.push("Fruit trees maintained steady development");
-    } else {
-      impacts.push("Most crops showed normal development patterns");
-      impacts.push("Rainfall adequately supported crop water requirements");
-    }
-
-    // Add a general impact
-    impacts.push(
-      "Overall crop health remained stable with some localized variations"
-    );
-
-    // Return a formatted list
-    return impacts.join(". ") + ".";
-  };
-
   // Mock data for agro-meteorological bulletins
   const agroBulletins = {
     general: {
@@ -889,261 +794,27 @@ const AgroBulletins = () => {
     },
     regional: {
       title: "Regional Specific Outlook",
-      summary: `Weather conditions for ${selectedRegion} region with localized advisories for farmers in this area.`,
-      bulletins: getDates().map((dateInfo, index) => {
-        // Generate somewhat realistic but varying weather conditions
-        const conditions = [
-          "Sunny with afternoon clouds",
-          "Partly cloudy",
-          "Mostly sunny",
-          "Light scattered showers",
-          "Moderate rainfall",
-          "Heavy isolated showers",
-          "Clear skies",
-          "Morning fog, afternoon sun",
-          "Overcast with light rain",
-          "Thunderstorms possible",
-        ];
-
-        // Weather patterns depend on dekad period and region
-        let conditionIndex;
-
-        if (dekadPeriod === "past") {
-          // Past dekad - generate what actually happened
-          if (
-            selectedRegion.includes("Western") ||
-            selectedRegion.includes("Central")
-          ) {
-            // Western regions - more likely rainy in past
-            conditionIndex = 3 + Math.floor(Math.random() * 6);
-            if (conditionIndex >= conditions.length)
-              conditionIndex = conditions.length - 1;
-          } else if (
-            selectedRegion.includes("Northern") ||
-            selectedRegion.includes("Upper") ||
-            selectedRegion.includes("Savannah")
-          ) {
-            // Northern regions - more likely sunny/dry in past
-            conditionIndex = Math.floor(Math.random() * 3);
-          } else {
-            // Other regions - mixed conditions
-            conditionIndex = Math.floor(Math.random() * conditions.length);
-          }
-        } else if (dekadPeriod === "current") {
-          // Current dekad - more mixed conditions
-          if (index < 5) {
-            // First part of current dekad - actual recorded data
-            if (selectedRegion.includes("Western")) {
-              conditionIndex = 3 + Math.floor(Math.random() * 4);
-            } else if (selectedRegion.includes("Northern")) {
-              conditionIndex = Math.floor(Math.random() * 3);
-            } else {
-              conditionIndex = Math.floor(Math.random() * conditions.length);
-            }
-          } else {
-            // Second part of current dekad - short-term forecast
-            conditionIndex = Math.floor(Math.random() * conditions.length);
-          }
-        } else {
-          // Future dekad forecast
-          if (index < 3) {
-            // First 3 days - more likely sunny
-            conditionIndex = Math.floor(Math.random() * 4);
-          } else if (index < 7) {
-            // Middle days - mix of conditions
-            conditionIndex = Math.floor(Math.random() * conditions.length);
-          } else {
-            // Last 3 days - more likely rainy
-            conditionIndex = 3 + Math.floor(Math.random() * 7);
-            if (conditionIndex >= conditions.length)
-              conditionIndex = conditions.length - 1;
-          }
-        }
-
-        // Generate temperature between 23-32°C, generally warmer in first days
-        // Adjust based on region and dekad period
-        let baseMaxTemp = 29;
-        if (
-          selectedRegion.includes("Northern") ||
-          selectedRegion.includes("Upper") ||
-          selectedRegion.includes("Savannah")
-        ) {
-          baseMaxTemp += 2;
-        } else if (
-          selectedRegion.includes("Coastal") ||
-          selectedRegion.includes("Greater Accra")
-        ) {
-          baseMaxTemp -= 1;
-        }
-
-        const maxTemp =
-          baseMaxTemp - Math.floor(index / 3) + Math.floor(Math.random() * 3);
-        const minTemp = maxTemp - 5 - Math.floor(Math.random() * 3);
-
-        // Generate rainfall probability based on region, period, and day
-        let rainProb;
-        if (
-          selectedRegion.includes("Western") ||
-          selectedRegion.includes("Central")
-        ) {
-          // Western regions - higher rainfall probability
-          if (index < 3) {
-            rainProb = 20 + Math.floor(Math.random() * 30);
-          } else if (index < 7) {
-            rainProb = 40 + Math.floor(Math.random() * 30);
-          } else {
-            rainProb = 60 + Math.floor(Math.random() * 30);
-          }
-        } else if (
-          selectedRegion.includes("Northern") ||
-          selectedRegion.includes("Upper") ||
-          selectedRegion.includes("Savannah")
-        ) {
-          // Northern regions - lower rainfall probability
-          if (index < 3) {
-            rainProb = Math.floor(Math.random() * 20);
-          } else if (index < 7) {
-            rainProb = 10 + Math.floor(Math.random() * 30);
-          } else {
-            rainProb = 30 + Math.floor(Math.random() * 40);
-          }
-        } else {
-          // Other regions - moderate rainfall probability
-          if (index < 3) {
-            rainProb = 10 + Math.floor(Math.random() * 30);
-          } else if (index < 7) {
-            rainProb = 30 + Math.floor(Math.random() * 40);
-          } else {
-            rainProb = 50 + Math.floor(Math.random() * 40);
-          }
-        }
-
-        // Generate content with farming advice based on conditions
-        let farmingAdvice = "";
-        if (
-          conditions[conditionIndex].includes("Sunny") ||
-          conditions[conditionIndex].includes("Clear")
-        ) {
-          farmingAdvice =
-            "Good conditions for field operations including planting, weeding, and fertilizer application. Consider irrigation for sensitive crops.";
-        } else if (
-          conditions[conditionIndex].includes("cloudy") ||
-          conditions[conditionIndex].includes("Partly")
-        ) {
-          farmingAdvice =
-            "Moderate evapotranspiration expected. Good conditions for most field operations and crop growth.";
-        } else if (conditions[conditionIndex].includes("fog")) {
-          farmingAdvice =
-            "Delay morning spraying operations until fog clears. Humidity-loving crops will benefit from these conditions.";
-        } else if (
-          conditions[conditionIndex].includes("light rain") ||
-          conditions[conditionIndex].includes("scattered")
-        ) {
-          farmingAdvice =
-            "Light rainfall beneficial for crop development. Good opportunity for foliar fertilizer application following rain.";
-        } else if (conditions[conditionIndex].includes("Moderate rainfall")) {
-          farmingAdvice =
-            "Ensure proper field drainage. Delay fertilizer application. Good conditions for transplanting seedlings.";
-        } else if (
-          conditions[conditionIndex].includes("Heavy") ||
-          conditions[conditionIndex].includes("Thunderstorms")
-        ) {
-          farmingAdvice =
-            "Risk of soil erosion and waterlogging. Avoid field operations. Monitor low-lying areas for potential flooding.";
-        }
-
-        // Add region-specific advice
-        if (
-          selectedRegion === "Northern" ||
-          selectedRegion === "Upper East" ||
-          selectedRegion === "Upper West" ||
-          selectedRegion === "Savannah" ||
-          selectedRegion === "North East"
-        ) {
-          if (maxTemp > 30) {
-            farmingAdvice +=
-              " High temperatures may cause heat stress in crops - consider shade for sensitive seedlings.";
-          }
-        } else if (
-          selectedRegion === "Western" ||
-          selectedRegion === "Western North" ||
-          selectedRegion === "Central"
-        ) {
-          if (
-            conditions[conditionIndex].includes("rain") ||
-            conditions[conditionIndex].includes("showers")
-          ) {
-            farmingAdvice +=
-              " Higher humidity may increase disease pressure in tree crops. Monitor cocoa for black pod disease.";
-          }
-        } else if (
-          selectedRegion === "Greater Accra" ||
-          selectedRegion === "Volta"
-        ) {
-          if (rainProb < 30) {
-            farmingAdvice +=
-              " Coastal areas may experience higher than predicted temperatures. Ensure adequate irrigation for vegetable crops.";
-          }
-        }
-
-        // Get appropriate weather icon
-        let weatherIcon;
-        if (
-          conditions[conditionIndex].includes("Sunny") ||
-          conditions[conditionIndex].includes("Clear")
-        ) {
-          weatherIcon = <Sun className="text-yellow-500" />;
-        } else if (
-          conditions[conditionIndex].includes("cloudy") ||
-          conditions[conditionIndex].includes("Partly")
-        ) {
-          weatherIcon = <Cloud className="text-gray-400" />;
-        } else if (conditions[conditionIndex].includes("fog")) {
-          weatherIcon = <Cloud className="text-gray-300" />;
-        } else if (
-          conditions[conditionIndex].includes("light rain") ||
-          conditions[conditionIndex].includes("scattered")
-        ) {
-          weatherIcon = <CloudDrizzle className="text-blue-400" />;
-        } else if (conditions[conditionIndex].includes("Moderate rainfall")) {
-          weatherIcon = <CloudRain className="text-blue-500" />;
-        } else if (
-          conditions[conditionIndex].includes("Heavy") ||
-          conditions[conditionIndex].includes("Thunderstorms")
-        ) {
-          weatherIcon = <CloudLightning className="text-purple-600" />;
-        } else {
-          weatherIcon = <Cloud className="text-gray-400" />;
-        }
-
-        // Add a historical comparison data when viewing past data
-        const historicalData = {
-          maxTemp: maxTemp - 1 + Math.floor(Math.random() * 3),
-          minTemp: minTemp - 1 + Math.floor(Math.random() * 3),
-          rainProbability: rainProb - 10 + Math.floor(Math.random() * 20),
-        };
-
-        return {
-          id: index + 1,
-          icon: weatherIcon,
-          title: `${dateInfo.day}, ${dateInfo.date}`,
-          fullDate: dateInfo.full,
-          condition: conditions[conditionIndex],
-          maxTemp: maxTemp,
-          minTemp: minTemp,
-          rainProbability: rainProb,
-          windSpeed: 5 + Math.floor(Math.random() * 15),
-          humidity: 65 + Math.floor(Math.random() * 25),
-          content: farmingAdvice,
-          historical: historicalData, // For comparison
-        };
-      }),
+      summary:
+        regionalBulletins.length > 0
+          ? `Published dekad bulletin for ${selectedRegion} region.`
+          : bulletinsLoading
+          ? `Loading dekad bulletins for ${selectedRegion} region...`
+          : `No bulletin has been published for ${selectedRegion} region for ${dekadBulletinService.formatDekadLabel(
+              regionalDekad.year,
+              regionalDekad.dekad
+            )}.`,
+      bulletins: regionalBulletins.map((bulletin) => ({
+        id: bulletin.id,
+        icon: rainfallIcon(bulletin.rainfall.status),
+        title: bulletin.label,
+        fullDate: bulletin.regionName,
+        condition: bulletin.summary || `Rainfall ${bulletin.rainfall.status}`,
+        content: bulletin.cropImpact || "No crop impact reported.",
+        bulletin,
+      })),
     },
   };
 
-  // Generate past dekad analysis data
-  const pastDekadData = generatePastDekadData();
-
   // Process Bulletins by search query
   const filterBulletinsByQuery = (bulletins) => {
     if (!searchQuery || searchQuery.trim() === "") return bulletins;
@@ -1164,11 +835,6 @@ const AgroBulletins = () => {
     return () => clearTimeout(timer);
   }, []);
 
-  useEffect(() => {
-    // Update the region-specific summary when region changes
-    agroBulletins.regional.summary = `Weather conditions for ${selectedRegion} region with localized advisories for farmers in this area.`;
-  }, [selectedRegion]);
-
   if (loading) {
     return (
       <div className="flex justify-center items-center min-h-[400px]">
@@ -1307,10 +973,7 @@ const AgroBulletins = () => {
                               ? "bg-green-100 text-green-800"
                               : "text-gray-700 hover:bg-gray-100"
                           }`}
-                          onClick={() => {
-                            setSelectedRegion(region);
-                            setShowRegionalFilter(false);
-                          }}
+                          onClick={() => handleRegionSelect(region)}
                         >
                           {region}
                         </button>
@@ -1328,15 +991,73 @@ const AgroBulletins = () => {
       {dekadPeriod === "past" && (
         <div className="mb-8 bg-white shadow-md rounded-lg overflow-hidden border border-gray-200">
           <div className="bg-green-50 px-6 py-4 border-b border-gray-200">
-            <h2 className="text-xl font-semibold text-gray-800 flex items-center">
-              <BarChart className="mr-2 text-green-600" />
-              Past Dekad Analysis for {selectedRegion}
-            </h2>
-            <p className="mt-1 text-gray-600">
-              {pastDekadData[selectedRegion].summary}
-            </p>
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+              <h2 className="text-xl font-semibold text-gray-800 flex items-center">
+                <BarChart className="mr-2 text-green-600" />
+                Past Dekad Analysis for {selectedRegion}
+              </h2>
+
+              {/* Dekad picker over the published bulletin history */}
+              {bulletinHistory.length > 0 && (
+                <div className="flex items-center">
+                  <Calendar className="mr-2 h-4 w-4 text-green-700" />
+                  <select
+                    value={
+                      selectedBulletin
+                        ? `${selectedBulletin.year}-${selectedBulletin.dekad}`
+                        : ""
+                    }
+                    onChange={(e) => handleDekadSelect(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-md text-sm bg-white focus:outline-none focus:ring-2 focus:ring-green-500"
+                  >
+                    {!selectedBulletin && (
+                      <option value="" disabled>
+                        Select a dekad
+                      </option>
+                    )}
+                    {bulletinHistory.map((bulletin) => (
+                      <option
+                        key={bulletin.id}
+                        value={`${bulletin.year}-${bulletin.dekad}`}
+                      >
+                        {bulletin.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+            </div>
+            {selectedBulletin && (
+              <p className="mt-1 text-gray-600">
+                {selectedBulletin.summary ||
+                  `Rainfall was ${selectedBulletin.rainfall.status} during ${selectedBulletin.label}.`}
+              </p>
+            )}
+            {bulletinsStale && (
+              <p className="mt-1 text-xs text-yellow-700">
+                Showing previously loaded bulletins — the bulletin service is
+                currently unreachable.
+              </p>
+            )}
           </div>
 
+          {bulletinsLoading ? (
+            <div className="flex justify-center items-center p-10">
+              <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-green-500"></div>
+            </div>
+          ) : !selectedBulletin ? (
+            <div className="p-6 text-center text-gray-600">
+              <Info className="mx-auto mb-2 h-6 w-6 text-gray-400" />
+              {bulletinsError && bulletinHistory.length === 0
+                ? `Dekad bulletins could not be loaded: ${bulletinsError}`
+                : requestedDekad
+                ? `No bulletin has been published for ${selectedRegion} in ${dekadBulletinService.formatDekadLabel(
+                    requestedDekad.year,
+                    requestedDekad.dekad
+                  )}.`
+                : `No dekad bulletin has been published for ${selectedRegion} yet.`}
+            </div>
+          ) : (
           <div className="p-6">
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
               <div className="bg-gray-50 p-4 rounded-lg">
@@ -1347,18 +1068,21 @@ const AgroBulletins = () => {
                   </h3>
                 </div>
                 <p className="text-2xl font-bold text-gray-900">
-                  {pastDekadData[selectedRegion].avgMinTemp}°-
-                  {pastDekadData[selectedRegion].avgMaxTemp}°C
+                  {selectedBulletin.temperature.observedMin ?? "—"}°-
+                  {selectedBulletin.temperature.observedMax ?? "—"}°C
                 </p>
                 <p className="text-xs text-gray-500 mt-1">Avg. daily range</p>
                 <div className="mt-2 text-xs">
                   <span className="text-gray-600">
-                    High: {pastDekadData[selectedRegion].highestTemp}°C
+                    Max:{" "}
+                    {formatAnomaly(selectedBulletin.temperature.maxAnomaly, "°C")}
                   </span>
                   <span className="mx-1">|</span>
                   <span className="text-gray-600">
-                    Low: {pastDekadData[selectedRegion].lowestTemp}°C
+                    Min:{" "}
+                    {formatAnomaly(selectedBulletin.temperature.minAnomaly, "°C")}
                   </span>
+                  <span className="text-gray-500"> vs normal</span>
                 </div>
               </div>
 
@@ -1370,19 +1094,24 @@ const AgroBulletins = () => {
                   </h3>
                 </div>
                 <p className="text-2xl font-bold text-gray-900">
-                  {pastDekadData[selectedRegion].totalRainfall} mm
+                  {selectedBulletin.rainfall.observed} mm
                 </p>
                 <p className="text-xs text-gray-500 mt-1">
-                  Total precipitation
+                  Normal: {selectedBulletin.rainfall.normal ?? "—"} mm (
+                  {selectedBulletin.rainfall.status})
                 </p>
                 <div className="mt-2 text-xs">
+                  {selectedBulletin.rainfall.rainyDays !== null && (
+                    <>
+                      <span className="text-gray-600">
+                        Rainy days: {selectedBulletin.rainfall.rainyDays}
+                      </span>
+                      <span className="mx-1">|</span>
+                    </>
+                  )}
                   <span className="text-gray-600">
-                    Rainy days: {pastDekadData[selectedRegion].rainyDays}
-                  </span>
-                  <span className="mx-1">|</span>
-                  <span className="text-gray-600">
-                    Distribution:{" "}
-                    {pastDekadData[selectedRegion].rainfallDistribution}
+                    Anomaly:{" "}
+                    {formatAnomaly(selectedBulletin.rainfall.anomalyPercent, "%")}
                   </span>
                 </div>
               </div>
@@ -1395,20 +1124,22 @@ const AgroBulletins = () => {
                   </h3>
                 </div>
                 <p className="text-2xl font-bold text-gray-900">
-                  {pastDekadData[selectedRegion].avgHumidity}%
+                  {selectedBulletin.humidity ?? "—"}%
                 </p>
                 <p className="text-xs text-gray-500 mt-1">
                   Average relative humidity
                 </p>
-                <div className="mt-2 text-xs">
-                  <span className="text-gray-600">
-                    {pastDekadData[selectedRegion].avgHumidity > 75
-                      ? "High disease pressure"
-                      : pastDekadData[selectedRegion].avgHumidity < 55
-                      ? "Low disease pressure"
-                      : "Moderate disease pressure"}
-                  </span>
-                </div>
+                {selectedBulletin.humidity !== null && (
+                  <div className="mt-2 text-xs">
+                    <span className="text-gray-600">
+                      {selectedBulletin.humidity > 75
+                        ? "High disease pressure"
+                        : selectedBulletin.humidity < 55
+                        ? "Low disease pressure"
+                        : "Moderate disease pressure"}
+                    </span>
+                  </div>
+                )}
               </div>
 
               <div className="bg-gray-50 p-4 rounded-lg">
@@ -1419,7 +1150,7 @@ const AgroBulletins = () => {
                   </h3>
                 </div>
                 <div className="text-sm text-gray-700 mt-1 max-h-20 overflow-y-auto">
-                  {pastDekadData[selectedRegion].impactOnCrops}
+                  {selectedBulletin.cropImpact || "No crop impact reported."}
                 </div>
               </div>
             </div>
@@ -1441,25 +1172,33 @@ const AgroBulletins = () => {
             {showHistoricalComparison && (
               <div className="bg-gray-50 p-4 rounded-lg mb-4">
                 <h3 className="text-sm font-medium text-gray-700 mb-2">
-                  Comparison with 5-year average
+                  Comparison with dekadal normal
                 </h3>
                 <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
                   <div>
                     <div className="flex justify-between items-center mb-1">
-                      <span className="text-xs text-gray-600">Temperature</span>
+                      <span className="text-xs text-gray-600">
+                        Max Temperature
+                      </span>
                       <span className="text-xs font-medium text-gray-900">
-                        {Math.random() > 0.5 ? "+" : "-"}
-                        {Math.floor(Math.random() * 2)}.
-                        {Math.floor(Math.random() * 10)}°C
+                        {formatAnomaly(
+                          selectedBulletin.temperature.maxAnomaly,
+                          "°C"
+                        )}
                       </span>
                     </div>
                     <div className="w-full bg-gray-200 rounded-full h-2">
                       <div
                         className={`h-2 rounded-full ${
-                          Math.random() > 0.5 ? "bg-red-500" : "bg-blue-500"
+                          selectedBulletin.temperature.maxAnomaly > 0
+                            ? "bg-red-500"
+                            : "bg-blue-500"
                         }`}
                         style={{
-                          width: `${50 + Math.floor(Math.random() * 40)}%`,
+                          width: anomalyBarWidth(
+                            selectedBulletin.temperature.maxAnomaly,
+                            3
+                          ),
                         }}
                       ></div>
                     </div>
@@ -1469,17 +1208,24 @@ const AgroBulletins = () => {
                     <div className="flex justify-between items-center mb-1">
                       <span className="text-xs text-gray-600">Rainfall</span>
                       <span className="text-xs font-medium text-gray-900">
-                        {Math.random() > 0.7 ? "+" : "-"}
-                        {Math.floor(Math.random() * 20) + 5}%
+                        {formatAnomaly(
+                          selectedBulletin.rainfall.anomalyPercent,
+                          "%"
+                        )}
                       </span>
                     </div>
                     <div className="w-full bg-gray-200 rounded-full h-2">
                       <div
                         className={`h-2 rounded-full ${
-                          Math.random() > 0.3 ? "bg-blue-500" : "bg-yellow-500"
+                          selectedBulletin.rainfall.anomalyPercent >= 0
+                            ? "bg-blue-500"
+                            : "bg-yellow-500"
                         }`}
                         style={{
-                          width: `${40 + Math.floor(Math.random() * 50)}%`,
+                          width: anomalyBarWidth(
+                            selectedBulletin.rainfall.anomalyPercent,
+                            100
+                          ),
                         }}
                       ></div>
                     </div>
@@ -1487,17 +1233,28 @@ const AgroBulletins = () => {
 
                   <div>
                     <div className="flex justify-between items-center mb-1">
-                      <span className="text-xs text-gray-600">Humidity</span>
+                      <span className="text-xs text-gray-600">
+                        Min Temperature
+                      </span>
                       <span className="text-xs font-medium text-gray-900">
-                        {Math.random() > 0.5 ? "+" : "-"}
-                        {Math.floor(Math.random() * 8) + 2}%
+                        {formatAnomaly(
+                          selectedBulletin.temperature.minAnomaly,
+                          "°C"
+                        )}
                       </span>
                     </div>
                     <div className="w-full bg-gray-200 rounded-full h-2">
                       <div
-                        className="h-2 rounded-full bg-blue-400"
+                        className={`h-2 rounded-full ${
+                          selectedBulletin.temperature.minAnomaly > 0
+                            ? "bg-red-400"
+                            : "bg-blue-400"
+                        }`}
                         style={{
-                          width: `${45 + Math.floor(Math.random() * 40)}%`,
+                          width: anomalyBarWidth(
+                            selectedBulletin.temperature.minAnomaly,
+                            3
+                          ),
                         }}
                       ></div>
                     </div>
@@ -1512,12 +1269,20 @@ const AgroBulletins = () => {
                 <Download className="mr-2 h-4 w-4" />
                 Download Full Report
               </button>
-              <button className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500">
-                <Share2 className="mr-2 h-4 w-4" />
-                Share Analysis
+              <button
+                onClick={handleShareBulletin}
+                className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+              >
+                {linkCopied ? (
+                  <Link2 className="mr-2 h-4 w-4" />
+                ) : (
+                  <Share2 className="mr-2 h-4 w-4" />
+                )}
+                {linkCopied ? "Link Copied" : "Share Analysis"}
               </button>
             </div>
           </div>
+          )}
         </div>
       )}
 
@@ -1618,20 +1383,26 @@ const AgroBulletins = () => {
                       <div className="mt-2 flex flex-wrap gap-3">
                         <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
                           <Thermometer className="mr-1 h-3 w-3" />
-                          {bulletin.minTemp}°-{bulletin.maxTemp}°C
+                          {bulletin.bulletin.temperature.observedMin ?? "—"}°-
+                          {bulletin.bulletin.temperature.observedMax ?? "—"}°C
                         </span>
                         <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
                           <CloudRain className="mr-1 h-3 w-3" />
-                          {bulletin.rainProbability}% chance
-                        </span>
-                        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
-                          <Droplet className="mr-1 h-3 w-3" />
-                          {bulletin.humidity}% humidity
-                        </span>
-                        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
-                          <Wind className="mr-1 h-3 w-3" />
-                          {bulletin.windSpeed} km/h
+                          {bulletin.bulletin.rainfall.observed ?? "—"} mm (
+                          {bulletin.bulletin.rainfall.status})
                         </span>
+                        {bulletin.bulletin.rainfall.rainyDays !== null && (
+                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                            <Calendar className="mr-1 h-3 w-3" />
+                            {bulletin.bulletin.rainfall.rainyDays} rainy days
+                          </span>
+                        )}
+                        {bulletin.bulletin.humidity !== null && (
+                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                            <Droplet className="mr-1 h-3 w-3" />
+                            {bulletin.bulletin.humidity}% humidity
+                          </span>
+                        )}
                       </div>
 
                       <div className="mt-1 text-sm font-medium">
@@ -1641,36 +1412,35 @@ const AgroBulletins = () => {
                       {expandedBulletin === bulletin.id && (
                         <div className="mt-3 pt-3 border-t border-gray-200">
                           <h4 className="font-medium text-green-700 mb-1">
-                            Farming Advice:
+                            Crop Impact:
                           </h4>
                           <p className="text-gray-700">{bulletin.content}</p>
 
-                          {dekadPeriod === "past" && (
-                            <div className="mt-3 pt-3 border-t border-gray-200">
-                              <h4 className="font-medium text-gray-600 text-sm mb-1">
-                                Historical Comparison:
-                              </h4>
-                              <div className="grid grid-cols-2 gap-2 text-xs">
-                                <div>
-                                  <span className="text-gray-500">
-                                    5-year avg temp:
-                                  </span>
-                                  <span className="ml-1 font-medium">
-                                    {bulletin.historical.minTemp}°-
-                                    {bulletin.historical.maxTemp}°C
-                                  </span>
-                                </div>
-                                <div>
-                                  <span className="text-gray-500">
-                                    5-year avg rain chance:
-                                  </span>
-                                  <span className="ml-1 font-medium">
-                                    {bulletin.historical.rainProbability}%
-                                  </span>
-                                </div>
+                          <div className="mt-3 pt-3 border-t border-gray-200">
+                            <h4 className="font-medium text-gray-600 text-sm mb-1">
+                              Compared with Normal:
+                            </h4>
+                            <div className="grid grid-cols-2 gap-2 text-xs">
+                              <div>
+                                <span className="text-gray-500">
+                                  Normal temp:
+                                </span>
+                                <span className="ml-1 font-medium">
+                                  {bulletin.bulletin.temperature.normalMin ?? "—"}°-
+                                  {bulletin.bulletin.temperature.normalMax ?? "—"}°C
+                                </span>
+                              </div>
+                              <div>
+                                <span className="text-gray-500">
+                                  Normal rainfall:
+                                </span>
+                                <span className="ml-1 font-medium">
+                                  {bulletin.bulletin.rainfall.normal ?? "—"} mm (
+                                  {formatAnomaly(bulletin.bulletin.rainfall.anomalyPercent, "%")})
+                                </span>
                               </div>
                             </div>
-                          )}
+                          </div>
                         </div>
                       )}
                     </div>
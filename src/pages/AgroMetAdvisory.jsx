@@ -1,9 +1,12 @@
 import { useState, useMemo, useRef, useEffect } from "react";
+import { useSearchParams } from "react-router-dom";
 import PageTitle from '../components/PageTitle';
 import { districtOfGhana } from "../district";
 import { FaEye, FaDownload, FaArrowLeft, FaSpinner, FaDatabase } from "react-icons/fa";
 import html2pdf from "html2pdf.js";
 import axios from 'axios';
+import contentWorkflowService from '../services/contentWorkflowService';
+import { getDistrictName, getRegionName } from '../data/ghanaCodes';
 
 // Weekly Advisory Components
 import ActivitySidebar from '../components/WeeklyAdvisory/ActivitySidebar';
@@ -60,10 +63,15 @@ const AgroMetAdvisory = () => {
     season: ["Dry Season", "Rainy Season", "Harmattan"],
   };
 
+  // Links to an advisory (e.g. chatbot sources) carry region and district codes
+  const [searchParams] = useSearchParams();
+  const linkedCrop = searchParams.get("crop") || "";
   const [selected, setSelected] = useState({
-    crop: "",
-    region: "",
-    district: "",
+    crop: linkedCrop && linkedCrop.charAt(0).toUpperCase() + linkedCrop.slice(1),
+    region: searchParams.get("regionCode")
+      ? getRegionName(searchParams.get("regionCode")).replace(/\s+Region$/i, "").toUpperCase()
+      : "",
+    district: searchParams.get("districtCode") ? getDistrictName(searchParams.get("districtCode")) : "",
     year: "",
     season: "",
   });
@@ -182,8 +190,13 @@ const AgroMetAdvisory = () => {
         const response = await axios.get(`/api/weekly-advisories/activities?${params}`);
 
         if (response.data.success) {
-          setActivitiesList(response.data.data);
-          setHasWeeklyData(response.data.data.length > 0);
+          // Only activities of published advisories are shown; each activity
+          // carries its advisory's workflow status
+          const publishedActivities = response.data.data.filter(activity => (
+            contentWorkflowService.isPublic({ status: activity.advisory_status })
+          ));
+          setActivitiesList(publishedActivities);
+          setHasWeeklyData(publishedActivities.length > 0);
         }
       } catch (error) {
         console.error('Error fetching weekly advisories:', error);
@@ -681,7 +694,11 @@ const AgroMetAdvisory = () => {
                     <SummarySection summary={selectedAdvisory.overall_summary} />
 
                     {/* SMS Section (AFTER Summary) */}
-                    <SMSSection smsText={selectedAdvisory.sms_text} />
+                    <SMSSection
+                      smsText={selectedAdvisory.sms_text}
+                      district={selected.district}
+                      crop={selected.crop}
+                    />
                   </div>
                 </div>
               )}
@@ -1,7 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useSearchParams, useNavigate } from 'react-router-dom';
 import CalendarFullPageView from '../components/common/CalendarFullPageView';
-import calendarPreviewParser from '../utils/calendarPreviewParser';
 import PageTitle from '../components/PageTitle';
 
 const CalendarPreviewPage = () => {
@@ -1,4 +1,5 @@
 import { useState, useEffect } from "react";
+import { useSearchParams } from "react-router-dom";
 import { districtOfGhana } from "../districts";
 import { FaDownload, FaShareAlt, FaSpinner, FaExclamationTriangle, FaSync, FaFolder } from "react-icons/fa";
 import agriculturalDataService from '../services/agriculturalDataService';
@@ -8,7 +9,7 @@ import { InlineOfflineWarning } from '../components/common/OfflineNotification';
 import SmartCalendarRenderer from '../components/common/SmartCalendarRenderer';
 import { getSafeDistrictsByRegion } from '../utils/regionDistrictHelpers';
 import { SafeDistrictOptions } from '../components/common/SafeSelectOptions';
-import { getAllRegionNames } from '../data/ghanaCodes';
+import { getAllRegionNames, getDistrictName, getRegionName } from '../data/ghanaCodes';
 import toast from 'react-hot-toast';
 
 // DownloadButton Component
@@ -271,9 +272,15 @@ const adjustActivitiesForSeason = (baseActivities, season) => {
 
 
 const CropCalendar = () => {
-  const [selectedCrop, setSelectedCrop] = useState("all");
-  const [selectedRegion, setSelectedRegion] = useState("All Regions");
-  const [selectedDistrict, setSelectedDistrict] = useState("All Districts");
+  // Links to a calendar (e.g. chatbot sources) carry region and district codes
+  const [searchParams] = useSearchParams();
+  const [selectedCrop, setSelectedCrop] = useState(searchParams.get("crop") || "all");
+  const [selectedRegion, setSelectedRegion] = useState(
+    searchParams.get("regionCode") ? getRegionName(searchParams.get("regionCode")) : "All Regions"
+  );
+  const [selectedDistrict, setSelectedDistrict] = useState(
+    searchParams.get("districtCode") ? getDistrictName(searchParams.get("districtCode")) : "All Districts"
+  );
   const [selectedYearSeason, setSelectedYearSeason] =
     useState("2025 Major Season"); // Default to 2025 Major Season
   const [farmingActivities, setFarmingActivities] = useState([]); // Default state for activities
@@ -545,175 +552,6 @@ const CropCalendar = () => {
     }
   }, [selectedRegion]);
 
-  // Function to parse Excel data from backend into activities
-  const parseExcelDataToActivities = (calendar) => {
-    const activities = [];
-    const sheets = calendar.fileData.sheets;
-
-    if (!sheets || typeof sheets !== 'object') {
-      console.error('Invalid sheets data for calendar:', calendar.id);
-      return activities;
-    }
-
-    // Process each sheet
-    Object.keys(sheets).forEach(sheetName => {
-      const sheet = sheets[sheetName];
-
-      if (!sheet || !sheet.data || !Array.isArray(sheet.data)) {
-        console.warn(`Sheet "${sheetName}" has no data array`);
-        return;
-      }
-
-      // Find activity column and month columns
-      const { activityColumnIndex, monthColumns } = findColumnsInExcelData(sheet.data);
-
-      if (activityColumnIndex === -1) {
-        console.warn(`Could not find activity column in sheet: ${sheetName}`);
-        return;
-      }
-
-      // Extract activities from rows
-      sheet.data.forEach((row, rowIndex) => {
-        if (!Array.isArray(row) || rowIndex < 3) {
-          return; // Skip headers and invalid rows
-        }
-
-        const activityName = row[activityColumnIndex];
-        if (!activityName || typeof activityName !== 'string') {
-          return;
-        }
-
-        // Skip row numbers and headers
-        const lowerActivityName = activityName.toLowerCase();
-        if (lowerActivityName.includes('s/n') ||
-            lowerActivityName.includes('stage') ||
-            lowerActivityName.includes('activity') ||
-            /^\d+$/.test(activityName.toString().trim())) {
-          return;
-        }
-
-        // Find which months this activity spans
-        const { startMonth, endMonth } = findActivityTimespan(row, monthColumns);
-
-        // Skip activities with no timing data
-        if (!startMonth || !endMonth) {
-          return;
-        }
-
-        const normalizedName = normalizeActivityName(activityName);
-        const activity = {
-          activity: normalizedName,
-          start: startMonth,
-          end: endMonth,
-          color: generateColorFromActivityName(normalizedName),
-          advisory: `Follow best practices for ${normalizedName.toLowerCase()}`,
-          calendarId: calendar.id,
-          commodity: calendar.crop || calendar.commodity,
-          regionCode: calendar.region,
-          districtCode: calendar.district,
-          season: 'Major',
-          metadata: {
-            source: 'uploaded',
-            sheet: sheetName,
-            row: rowIndex,
-            timingSource: 'excel'
-          }
-        };
-
-        activities.push(activity);
-      });
-    });
-
-    return activities;
-  };
-
-  // Helper functions for Excel parsing
-  const findColumnsInExcelData = (data) => {
-    let activityColumnIndex = -1;
-    const monthColumns = [];
-    const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
-
-    // Look in the first 3 rows for Excel structure
-    for (let rowIndex = 0; rowIndex < Math.min(3, data.length); rowIndex++) {
-      const row = data[rowIndex];
-      if (!Array.isArray(row)) continue;
-
-      row.forEach((cell, colIndex) => {
-        if (!cell) return;
-        const cellLower = String(cell).toLowerCase().trim();
-
-        // Find activity column
-        if (cellLower.includes('activity') || cellLower.includes('stage') ||
-            cellLower === 'stage of activity' || cellLower === 'activity') {
-          activityColumnIndex = colIndex;
-        }
-
-        // Find month columns
-        const matchingMonth = months.find(month => {
-          return cellLower === month || cellLower === month.toUpperCase() ||
-                 cellLower === getFullMonthName(month).toLowerCase();
-        });
-
-        if (matchingMonth && !monthColumns.find(m => m.index === colIndex)) {
-          const fullMonthName = getFullMonthName(matchingMonth);
-          monthColumns.push({
-            index: colIndex,
-            month: fullMonthName,
-            monthIndex: months.indexOf(matchingMonth),
-            abbreviation: matchingMonth.toUpperCase()
-          });
-        }
-      });
-    }
-
-    // Sort month columns by their position in the year
-    monthColumns.sort((a, b) => a.monthIndex - b.monthIndex);
-
-    return { activityColumnIndex, monthColumns };
-  };
-
-  const findActivityTimespan = (row, monthColumns) => {
-    const filledMonths = [];
-
-    monthColumns.forEach(monthInfo => {
-      if (monthInfo.index < row.length) {
-        const cellValue = row[monthInfo.index];
-        const hasContent = cellValue !== null && cellValue !== undefined &&
-                           cellValue !== '' && String(cellValue).trim() !== '';
-
-        if (hasContent) {
-          // Look for timing markers: X, x, ✓, •, 1, dates, etc.
-          const valueStr = String(cellValue).trim().toLowerCase();
-          if (valueStr === 'x' || valueStr === '✓' || valueStr === '•' ||
-              valueStr === '1' || valueStr.includes('-') ||
-              /^\d+$/.test(valueStr) || valueStr.length === 1) {
-            filledMonths.push(monthInfo.month);
-          }
-        }
-      }
-    });
-
-    if (filledMonths.length === 0) {
-      return { startMonth: null, endMonth: null };
-    }
-
-    return {
-      startMonth: filledMonths[0],
-      endMonth: filledMonths[filledMonths.length - 1]
-    };
-  };
-
-  const getFullMonthName = (monthAbbr) => {
-    const monthMap = {
-      'jan': 'January', 'feb': 'February', 'mar': 'March', 'apr': 'April',
-      'may': 'May', 'jun': 'June', 'jul': 'July', 'aug': 'August',
-      'sep': 'September', 'oct': 'October', 'nov': 'November', 'dec': 'December'
-    };
-    return monthMap[monthAbbr.toLowerCase()] || monthAbbr;
-  };
-
-
-
   // Function to normalize and clean activity names
   const normalizeActivityName = (rawName) => {
     if (!rawName || typeof rawName !== 'string') {
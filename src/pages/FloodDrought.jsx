@@ -1,4 +1,5 @@
-import { useState } from "react";
+import { useState, useEffect, useMemo } from "react";
+import { Link } from "react-router-dom";
 import PageTitle from '../components/PageTitle';
 import {
   BarChart,
@@ -14,6 +15,7 @@ import {
   PieChart,
   Pie,
   Cell,
+  ReferenceLine,
 } from "recharts";
 import {
   Droplet,
@@ -24,151 +26,166 @@ import {
   TrendingUp,
   Award,
 } from "lucide-react";
+import climateRiskService from "../services/climateRiskService";
+import { SPI_SCALES } from "../utils/droughtIndices";
+
+// Compact people counts, e.g. 43M / 12.5K
+const formatCount = (value) => {
+  if (value >= 1e6) return `${(value / 1e6).toFixed(1).replace(/\.0$/, "")}M`;
+  if (value >= 1e3) return `${(value / 1e3).toFixed(1).replace(/\.0$/, "")}K`;
+  return `${value}`;
+};
+
+// "+17% from 2023" style change between two yearly totals
+const formatChange = (current, previous, previousYear) => {
+  if (previous === undefined) return "";
+  if (!previous) return current ? `• new since ${previousYear}` : "";
+  const change = Math.round(((current - previous) / previous) * 100);
+  return `• ${change >= 0 ? "+" : ""}${change}% from ${previousYear}`;
+};
 
 const FloodDrought = () => {
   const [activeTab, setActiveTab] = useState("dashboard");
   const [selectedRegion, setSelectedRegion] = useState("global");
+  const [dataset, setDataset] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [isStale, setIsStale] = useState(false);
+  const [yearRange, setYearRange] = useState(null);
+  const [spiScale, setSpiScale] = useState(3);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadData = async () => {
+      setLoading(true);
+      const result = await climateRiskService.loadDataset();
+      if (cancelled) return;
+
+      setDataset(result.data);
+      setIsStale(Boolean(result.stale));
+      setLoadError(result.success ? null : result.error);
+
+      // Default to the latest five years on record
+      const { years } = result.data;
+      if (years.length > 0) {
+        const to = years[years.length - 1];
+        setYearRange({ from: Math.max(years[0], to - 4), to });
+      }
+      setLoading(false);
+    };
+
+    loadData();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const assessment = useMemo(
+    () =>
+      dataset && yearRange
+        ? climateRiskService.assess(dataset, yearRange, { spiScale })
+        : null,
+    [dataset, yearRange, spiScale]
+  );
+
+  const availableYears = dataset?.years || [];
+  const yearly = assessment?.yearly || [];
+
+  // Chart series in the units shown on the page
+  const floodData = yearly.map((entry) => ({
+    year: entry.year,
+    incidents: entry.flood.incidents,
+    affected: Math.round(entry.flood.affected / 100) / 10,
+    damages: Math.round(entry.flood.damages / 1e5) / 10,
+  }));
+
+  const droughtData = yearly.map((entry) => ({
+    year: entry.year,
+    regions: entry.drought.regions,
+    affected: Math.round(entry.drought.affected / 100) / 10,
+    damages: Math.round(entry.drought.damages / 1e5) / 10,
+  }));
+
+  const combinedTrendData = yearly.map((entry) => ({
+    year: entry.year,
+    flood: Math.round(entry.flood.damages / 1e5) / 10,
+    drought: Math.round(entry.drought.damages / 1e5) / 10,
+  }));
+
+  // Agro-ecological zone scores with uploaded data behind them
+  const climateMatrixData = (assessment?.zones || []).filter(
+    (zone) => zone.hasData
+  );
+  const globalHotspots = assessment?.hotspots || [];
+  const impactData = assessment?.impactDistribution || [];
+  const vulnerableDistricts = (assessment?.floodExposure || []).slice(0, 5);
 
-  // Ghana-specific flood data
-  const floodData = [
-    { year: 2020, incidents: 24, affected: 8, damages: 16 },
-    { year: 2021, incidents: 31, affected: 12, damages: 25 },
-    { year: 2022, incidents: 38, affected: 17, damages: 34 },
-    { year: 2023, incidents: 42, affected: 21, damages: 46 },
-    { year: 2024, incidents: 49, affected: 28, damages: 58 },
-  ];
-
-  // Ghana-specific drought data
-  const droughtData = [
-    { year: 2020, regions: 3, affected: 5, damages: 12 },
-    { year: 2021, regions: 4, affected: 7, damages: 18 },
-    { year: 2022, regions: 5, affected: 9, damages: 24 },
-    { year: 2023, regions: 6, affected: 12, damages: 31 },
-    { year: 2024, regions: 7, affected: 15, damages: 38 },
-  ];
-
-  // Combined economic impact data for Ghana
-  const combinedTrendData = [
-    { year: 2020, flood: 16, drought: 12 },
-    { year: 2021, flood: 25, drought: 18 },
-    { year: 2022, flood: 34, drought: 24 },
-    { year: 2023, flood: 46, drought: 31 },
-    { year: 2024, flood: 58, drought: 38 },
-  ];
-
-  // Ghana's agroecological zones climate risk data
-  const climateMatrixData = [
-    {
-      region: "Sudan Savannah",
-      floodRisk: 65,
-      droughtRisk: 90,
-      adaptationScore: 45,
-    },
-    {
-      region: "Guinea Savannah",
-      floodRisk: 70,
-      droughtRisk: 85,
-      adaptationScore: 50,
-    },
-    {
-      region: "Transition Zone",
-      floodRisk: 75,
-      droughtRisk: 70,
-      adaptationScore: 60,
-    },
-    {
-      region: "Deciduous Forest",
-      floodRisk: 80,
-      droughtRisk: 55,
-      adaptationScore: 65,
-    },
-    {
-      region: "Rainforest",
-      floodRisk: 85,
-      droughtRisk: 40,
-      adaptationScore: 70,
-    },
-    {
-      region: "Coastal Savannah",
-      floodRisk: 90,
-      droughtRisk: 60,
-      adaptationScore: 55,
-    },
-  ];
-
-  // Ghana's climate vulnerability hotspots
-  const globalHotspots = [
-    {
-      type: "Flood",
-      region: "Coastal Savannah",
-      risk: "Extreme",
-      trend: "Increasing",
-      impact: 90,
-    },
-    {
-      type: "Flood",
-      region: "Rainforest",
-      risk: "High",
-      trend: "Increasing",
-      impact: 85,
-    },
-    {
-      type: "Flood",
-      region: "Deciduous Forest",
-      risk: "High",
-      trend: "Stable",
-      impact: 80,
-    },
-    {
-      type: "Drought",
-      region: "Sudan Savannah",
-      risk: "Extreme",
-      trend: "Worsening",
-      impact: 90,
-    },
-    {
-      type: "Drought",
-      region: "Guinea Savannah",
-      risk: "High",
-      trend: "Worsening",
-      impact: 85,
-    },
-    {
-      type: "Drought",
-      region: "Transition Zone",
-      risk: "Moderate",
-      trend: "Fluctuating",
-      impact: 70,
-    },
-  ];
-
-  // Impact distribution data for Ghana
-  const impactData = [
-    { name: "Agriculture", value: 60 },
-    { name: "Infrastructure", value: 20 },
-    { name: "Health", value: 12 },
-    { name: "Economy", value: 8 },
-  ];
+  const latestYear = yearly[yearly.length - 1];
+  const previousYear = yearly[yearly.length - 2];
+  const peopleAffected = (entry) =>
+    entry ? entry.flood.affected + entry.drought.affected : 0;
 
   const COLORS = ["#0088FE", "#00C49F", "#FFBB28", "#FF8042"];
 
-  // Climate resilience score calculation
+  // Climate resilience score for a zone, or the national mean
   const calculateResilienceScore = (region) => {
+    if (region === "global") {
+      return assessment?.resilience || { score: null, label: "No data", color: "#9CA3AF" };
+    }
+
     const regionData = climateMatrixData.find((item) => item.region === region);
-    if (!regionData) return { score: 65, color: "#FFA500" }; // Default for global
+    if (!regionData) return { score: null, label: "No data", color: "#9CA3AF" };
 
-    const score = Math.round(regionData.adaptationScore);
-    let color = "#FF0000"; // Red for low scores
+    const score = regionData.adaptationScore;
+    return { score, ...climateRiskService.getResilienceLevel(score) };
+  };
 
-    if (score > 75) color = "#00CC00"; // Green for high scores
-    else if (score > 50) color = "#FFA500"; // Orange for medium scores
+  const resilienceScore = calculateResilienceScore(selectedRegion);
 
-    return { score, color };
+  const handleYearChange = (field, value) => {
+    const year = Number(value);
+    setYearRange((prev) => {
+      const next = { ...prev, [field]: year };
+      // Keep the range ordered by collapsing it onto the changed year
+      return next.from > next.to ? { from: year, to: year } : next;
+    });
   };
 
-  const resilienceScore = calculateResilienceScore(
-    selectedRegion === "global" ? "Global" : selectedRegion
-  );
+  const renderImpactPie = () =>
+    impactData.length === 0 ? (
+      <p className="text-sm text-gray-500 p-4">
+        No sector information in the uploaded incident records for this
+        period.
+      </p>
+    ) : (
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <PieChart>
+            <Pie
+              data={impactData}
+              cx="50%"
+              cy="50%"
+              labelLine={false}
+              outerRadius={80}
+              fill="#8884d8"
+              dataKey="value"
+              label={({ name, percent }) =>
+                `${name} ${(percent * 100).toFixed(0)}%`
+              }
+            >
+              {impactData.map((entry, index) => (
+                <Cell
+                  key={`cell-${index}`}
+                  fill={COLORS[index % COLORS.length]}
+                />
+              ))}
+            </Pie>
+            <Tooltip />
+          </PieChart>
+        </ResponsiveContainer>
+      </div>
+    );
 
   // Tabs content
   const renderDashboard = () => (
@@ -180,17 +197,35 @@ const FloodDrought = () => {
             <h3 className="font-bold">Flood Events</h3>
             <Droplet size={24} />
           </div>
-          <p className="text-3xl font-bold mt-2">7</p>
-          <p className="text-sm opacity-80">2024 • +17% from 2023</p>
+          <p className="text-3xl font-bold mt-2">
+            {latestYear?.flood.incidents ?? "—"}
+          </p>
+          <p className="text-sm opacity-80">
+            {latestYear?.year}{" "}
+            {formatChange(
+              latestYear?.flood.incidents,
+              previousYear?.flood.incidents,
+              previousYear?.year
+            )}
+          </p>
         </div>
 
         <div className="bg-gradient-to-br from-amber-500 to-amber-700 p-4 rounded-xl shadow-lg text-white">
           <div className="flex items-center justify-between">
-            <h3 className="font-bold">Drought Zones</h3>
+            <h3 className="font-bold">Regions in Drought</h3>
             <Thermometer size={24} />
           </div>
-          <p className="text-3xl font-bold mt-2">49</p>
-          <p className="text-sm opacity-80">2024 • +17% from 2023</p>
+          <p className="text-3xl font-bold mt-2">
+            {latestYear?.drought.regions ?? "—"}
+          </p>
+          <p className="text-sm opacity-80">
+            {latestYear?.year}{" "}
+            {formatChange(
+              latestYear?.drought.regions,
+              previousYear?.drought.regions,
+              previousYear?.year
+            )}
+          </p>
         </div>
 
         <div className="bg-gradient-to-br from-red-500 to-red-700 p-4 rounded-xl shadow-lg text-white">
@@ -198,8 +233,17 @@ const FloodDrought = () => {
             <h3 className="font-bold">People Affected</h3>
             <AlertTriangle size={24} />
           </div>
-          <p className="text-3xl font-bold mt-2">43M</p>
-          <p className="text-sm opacity-80">2024 • +33% from 2023</p>
+          <p className="text-3xl font-bold mt-2">
+            {formatCount(peopleAffected(latestYear))}
+          </p>
+          <p className="text-sm opacity-80">
+            {latestYear?.year}{" "}
+            {formatChange(
+              peopleAffected(latestYear),
+              previousYear ? peopleAffected(previousYear) : undefined,
+              previousYear?.year
+            )}
+          </p>
         </div>
 
         <div className="bg-gradient-to-br from-green-500 to-green-700 p-4 rounded-xl shadow-lg text-white">
@@ -207,8 +251,13 @@ const FloodDrought = () => {
             <h3 className="font-bold">Resilience Score</h3>
             <Award size={24} />
           </div>
-          <p className="text-3xl font-bold mt-2">{resilienceScore.score}</p>
-          <p className="text-sm opacity-80">Ghana • Moderate</p>
+          <p className="text-3xl font-bold mt-2">
+            {resilienceScore.score ?? "—"}
+          </p>
+          <p className="text-sm opacity-80">
+            {selectedRegion === "global" ? "Ghana" : selectedRegion} •{" "}
+            {resilienceScore.label}
+          </p>
         </div>
       </div>
 
@@ -305,32 +354,7 @@ const FloodDrought = () => {
           <h3 className="text-lg font-semibold mb-4 text-gray-800">
             Impact Distribution
           </h3>
-          <div className="h-64">
-            <ResponsiveContainer width="100%" height="100%">
-              <PieChart>
-                <Pie
-                  data={impactData}
-                  cx="50%"
-                  cy="50%"
-                  labelLine={false}
-                  outerRadius={80}
-                  fill="#8884d8"
-                  dataKey="value"
-                  label={({ name, percent }) =>
-                    `${name} ${(percent * 100).toFixed(0)}%`
-                  }
-                >
-                  {impactData.map((entry, index) => (
-                    <Cell
-                      key={`cell-${index}`}
-                      fill={COLORS[index % COLORS.length]}
-                    />
-                  ))}
-                </Pie>
-                <Tooltip />
-              </PieChart>
-            </ResponsiveContainer>
-          </div>
+          {renderImpactPie()}
         </div>
 
         <div className="bg-white p-4 rounded-xl shadow-md lg:col-span-2">
@@ -429,10 +453,10 @@ const FloodDrought = () => {
           </h3>
         </div>
         <p className="mb-6 text-gray-700 leading-relaxed">
-          Global flood events have shown a concerning upward trend over the past
-          five years, with both frequency and severity increasing. Climate
-          change, urbanization, and deforestation are primary contributing
-          factors to this alarming pattern.
+          Recorded flood incidents and people affected across Ghana for the
+          selected period. District exposure combines the number of flood
+          events, people affected and damages with the count of very wet
+          months (SPI-1 of 1.5 or more) in the rainfall record.
         </p>
 
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -451,7 +475,7 @@ const FloodDrought = () => {
                   <Bar dataKey="incidents" name="Incidents" fill="#0088FE" />
                   <Bar
                     dataKey="affected"
-                    name="Population (millions)"
+                    name="People Affected (thousands)"
                     fill="#00C49F"
                   />
                 </BarChart>
@@ -492,37 +516,44 @@ const FloodDrought = () => {
 
             <div className="bg-blue-50 p-4 rounded-xl shadow-md">
               <h4 className="font-semibold text-blue-700 mb-3">
-                Most Vulnerable Regions
+                Most Exposed Districts
               </h4>
-              <div className="space-y-2">
-                <div className="flex justify-between items-center">
-                  <span className="text-sm">Bangladesh Delta</span>
-                  <div className="w-32 bg-gray-200 rounded-full h-2">
-                    <div
-                      className="bg-red-600 h-2 rounded-full"
-                      style={{ width: "95%" }}
-                    ></div>
-                  </div>
-                </div>
-                <div className="flex justify-between items-center">
-                  <span className="text-sm">Yangtze River Basin</span>
-                  <div className="w-32 bg-gray-200 rounded-full h-2">
-                    <div
-                      className="bg-red-600 h-2 rounded-full"
-                      style={{ width: "85%" }}
-                    ></div>
-                  </div>
-                </div>
-                <div className="flex justify-between items-center">
-                  <span className="text-sm">Mississippi Basin</span>
-                  <div className="w-32 bg-gray-200 rounded-full h-2">
+              {vulnerableDistricts.length === 0 ? (
+                <p className="text-sm text-gray-600">
+                  No flood incidents or very wet months recorded in this period.
+                </p>
+              ) : (
+                <div className="space-y-2">
+                  {vulnerableDistricts.map((district) => (
                     <div
-                      className="bg-orange-500 h-2 rounded-full"
-                      style={{ width: "75%" }}
-                    ></div>
-                  </div>
+                      key={district.districtCode || district.regionCode}
+                      className="flex justify-between items-center"
+                      title={`${district.events} events • ${formatCount(
+                        district.affected
+                      )} affected • ${district.wetMonths} very wet months`}
+                    >
+                      <span className="text-sm">
+                        {district.name}
+                        <span className="text-xs text-gray-500 ml-1">
+                          ({district.regionName.replace(/\s+Region$/, "")})
+                        </span>
+                      </span>
+                      <div className="w-32 bg-gray-200 rounded-full h-2">
+                        <div
+                          className={`h-2 rounded-full ${
+                            district.exposure > 80
+                              ? "bg-red-600"
+                              : district.exposure > 60
+                              ? "bg-orange-500"
+                              : "bg-yellow-400"
+                          }`}
+                          style={{ width: `${district.exposure}%` }}
+                        ></div>
+                      </div>
+                    </div>
+                  ))}
                 </div>
-              </div>
+              )}
             </div>
           </div>
         </div>
@@ -540,10 +571,10 @@ const FloodDrought = () => {
           </h3>
         </div>
         <p className="mb-6 text-gray-700 leading-relaxed">
-          Drought conditions have intensified globally, with longer duration and
-          greater severity becoming increasingly common. Rising temperatures,
-          changing precipitation patterns, and increased water demand are major
-          contributing factors.
+          Drought is tracked with the Standardized Precipitation Index (SPI)
+          computed from observed monthly rainfall. Values of -1 or below mark
+          moderate drought, -1.5 severe and -2 extreme. Affected regions count
+          both recorded drought incidents and months of SPI-3 drought.
         </p>
 
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -569,7 +600,7 @@ const FloodDrought = () => {
                   <Line
                     type="monotone"
                     dataKey="damages"
-                    name="Economic Damage ($B)"
+                    name="Economic Damage (Million GHS)"
                     stroke="#FFBB28"
                     strokeWidth={2}
                   />
@@ -628,6 +659,76 @@ const FloodDrought = () => {
             </div>
           </div>
         </div>
+
+        <div className="bg-white p-4 rounded-xl shadow-md mt-6">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-3 gap-2">
+            <h4 className="font-semibold text-amber-700">
+              Standardized Precipitation Index (national mean)
+            </h4>
+            <div className="flex space-x-1">
+              {SPI_SCALES.map((scale) => (
+                <button
+                  key={scale}
+                  onClick={() => setSpiScale(scale)}
+                  className={`px-3 py-1 rounded-lg text-sm font-medium ${
+                    spiScale === scale
+                      ? "bg-amber-600 text-white"
+                      : "bg-gray-100 text-gray-600 hover:bg-gray-200"
+                  }`}
+                >
+                  SPI-{scale}
+                </button>
+              ))}
+            </div>
+          </div>
+          {assessment?.spiTimeline.length ? (
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={assessment.spiTimeline}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+                  <XAxis dataKey="period" minTickGap={20} />
+                  <YAxis domain={[-3, 3]} />
+                  <Tooltip />
+                  <ReferenceLine y={-1} stroke="#FF8042" strokeDasharray="4 4" />
+                  <ReferenceLine y={0} stroke="#9CA3AF" />
+                  <Bar dataKey="spi" name={`SPI-${spiScale}`}>
+                    {assessment.spiTimeline.map((entry) => (
+                      <Cell
+                        key={entry.period}
+                        fill={entry.spi < 0 ? "#FF8042" : "#0088FE"}
+                      />
+                    ))}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">
+              Not enough rainfall observations to compute SPI-{spiScale} for
+              this period. At least five years of monthly totals per location
+              are needed.
+            </p>
+          )}
+
+          {assessment?.locationsInDrought.length > 0 && (
+            <div className="mt-4">
+              <h5 className="text-sm font-medium text-gray-700 mb-2">
+                Latest SPI-{spiScale} in drought
+              </h5>
+              <div className="flex flex-wrap gap-2">
+                {assessment.locationsInDrought.map((location) => (
+                  <span
+                    key={location.districtCode || location.regionCode}
+                    className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800"
+                  >
+                    {location.districtName || location.regionName}: {location.spi} (
+                    {location.category})
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
       </div>
     </div>
   );
@@ -642,10 +743,11 @@ const FloodDrought = () => {
           </h3>
         </div>
         <p className="mb-6 text-gray-700 leading-relaxed">
-          The Climate Matrix provides a comprehensive overview of flood and
-          drought risks across different regions, along with their current
-          adaptation capabilities. This visualization helps identify priority
-          areas for intervention.
+          Flood risk, drought risk and resilience for each agro-ecological
+          zone in the selected period. Flood risk is the mean district flood
+          exposure, drought risk combines SPI-3 drought frequency with recorded
+          drought incidents, and the adaptation score is what remains of 100
+          after averaging the two.
         </p>
 
         <div className="bg-white p-4 rounded-xl shadow-md mb-6">
@@ -697,50 +799,42 @@ const FloodDrought = () => {
                 </tr>
               </thead>
               <tbody className="divide-y divide-gray-200">
-                <tr>
-                  <td className="py-2 px-3 text-sm">South Asia</td>
-                  <td className="py-2 px-3 text-sm">
-                    <span className="bg-blue-100 text-blue-800 px-2 py-0.5 rounded-full text-xs">
-                      Flood
-                    </span>
-                  </td>
-                  <td className="py-2 px-3 text-sm">
-                    <span className="text-red-600">Critical</span>
-                  </td>
-                </tr>
-                <tr>
-                  <td className="py-2 px-3 text-sm">Sub-Saharan Africa</td>
-                  <td className="py-2 px-3 text-sm">
-                    <span className="bg-amber-100 text-amber-800 px-2 py-0.5 rounded-full text-xs">
-                      Drought
-                    </span>
-                  </td>
-                  <td className="py-2 px-3 text-sm">
-                    <span className="text-red-600">Critical</span>
-                  </td>
-                </tr>
-                <tr>
-                  <td className="py-2 px-3 text-sm">Western Europe</td>
-                  <td className="py-2 px-3 text-sm">
-                    <span className="bg-blue-100 text-blue-800 px-2 py-0.5 rounded-full text-xs">
-                      Flood
-                    </span>
-                  </td>
-                  <td className="py-2 px-3 text-sm">
-                    <span className="text-green-600">Moderate</span>
-                  </td>
-                </tr>
-                <tr>
-                  <td className="py-2 px-3 text-sm">Australia</td>
-                  <td className="py-2 px-3 text-sm">
-                    <span className="bg-amber-100 text-amber-800 px-2 py-0.5 rounded-full text-xs">
-                      Drought
-                    </span>
-                  </td>
-                  <td className="py-2 px-3 text-sm">
-                    <span className="text-amber-600">High</span>
-                  </td>
-                </tr>
+                {climateMatrixData.map((zone) => {
+                  const primaryRisk =
+                    zone.floodRisk >= zone.droughtRisk ? "Flood" : "Drought";
+                  const vulnerability = climateRiskService.getRiskLevel(
+                    Math.max(zone.floodRisk, zone.droughtRisk)
+                  );
+                  return (
+                    <tr key={zone.region}>
+                      <td className="py-2 px-3 text-sm">{zone.region}</td>
+                      <td className="py-2 px-3 text-sm">
+                        <span
+                          className={`px-2 py-0.5 rounded-full text-xs ${
+                            primaryRisk === "Flood"
+                              ? "bg-blue-100 text-blue-800"
+                              : "bg-amber-100 text-amber-800"
+                          }`}
+                        >
+                          {primaryRisk}
+                        </span>
+                      </td>
+                      <td className="py-2 px-3 text-sm">
+                        <span
+                          className={
+                            vulnerability === "Extreme"
+                              ? "text-red-600"
+                              : vulnerability === "High"
+                              ? "text-amber-600"
+                              : "text-green-600"
+                          }
+                        >
+                          {vulnerability}
+                        </span>
+                      </td>
+                    </tr>
+                  );
+                })}
               </tbody>
             </table>
           </div>
@@ -749,32 +843,7 @@ const FloodDrought = () => {
             <h4 className="font-semibold text-purple-700 mb-3">
               Impact Distribution
             </h4>
-            <div className="h-64">
-              <ResponsiveContainer width="100%" height="100%">
-                <PieChart>
-                  <Pie
-                    data={impactData}
-                    cx="50%"
-                    cy="50%"
-                    labelLine={false}
-                    outerRadius={80}
-                    fill="#8884d8"
-                    dataKey="value"
-                    label={({ name, percent }) =>
-                      `${name} ${(percent * 100).toFixed(0)}%`
-                    }
-                  >
-                    {impactData.map((entry, index) => (
-                      <Cell
-                        key={`cell-${index}`}
-                        fill={COLORS[index % COLORS.length]}
-                      />
-                    ))}
-                  </Pie>
-                  <Tooltip />
-                </PieChart>
-              </ResponsiveContainer>
-            </div>
+            {renderImpactPie()}
           </div>
         </div>
       </div>
@@ -833,18 +902,84 @@ const FloodDrought = () => {
         </button>
       </div>
 
+      {/* Year range */}
+      {availableYears.length > 0 && yearRange && (
+        <div className="flex flex-wrap items-center justify-center gap-2 mb-6 text-sm text-gray-700">
+          <span className="font-medium">Period:</span>
+          <select
+            className="bg-gray-50 border border-gray-300 rounded-lg p-2"
+            value={yearRange.from}
+            onChange={(e) => handleYearChange("from", e.target.value)}
+          >
+            {availableYears.map((year) => (
+              <option key={year} value={year}>
+                {year}
+              </option>
+            ))}
+          </select>
+          <span>to</span>
+          <select
+            className="bg-gray-50 border border-gray-300 rounded-lg p-2"
+            value={yearRange.to}
+            onChange={(e) => handleYearChange("to", e.target.value)}
+          >
+            {availableYears.map((year) => (
+              <option key={year} value={year}>
+                {year}
+              </option>
+            ))}
+          </select>
+          {isStale && (
+            <span className="text-amber-700">
+              • Showing previously loaded records
+            </span>
+          )}
+        </div>
+      )}
+
       {/* Content based on active tab */}
-      {activeTab === "dashboard" && renderDashboard()}
-      {activeTab === "flood" && renderFloodAnalysis()}
-      {activeTab === "drought" && renderDroughtAnalysis()}
-      {activeTab === "matrix" && renderMatrix()}
+      {loading ? (
+        <div className="flex justify-center items-center min-h-[300px]">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      ) : !assessment ? (
+        <div className="bg-white rounded-xl shadow-md p-8 text-center text-gray-600">
+          <AlertTriangle size={32} className="mx-auto mb-3 text-amber-500" />
+          <p className="font-medium text-gray-800 mb-1">
+            {loadError
+              ? "Flood and drought records could not be loaded."
+              : "No flood or drought records have been uploaded yet."}
+          </p>
+          <p className="text-sm">
+            {loadError ||
+              "Upload hazard incident records and rainfall observations (CSV or Excel) from the Dashboard to compute drought indices, flood exposure and resilience scores."}
+          </p>
+          <Link
+            to="/dashboard"
+            className="inline-block mt-4 text-blue-600 hover:text-blue-800 text-sm font-medium"
+          >
+            Go to Dashboard
+          </Link>
+        </div>
+      ) : (
+        <>
+          {activeTab === "dashboard" && renderDashboard()}
+          {activeTab === "flood" && renderFloodAnalysis()}
+          {activeTab === "drought" && renderDroughtAnalysis()}
+          {activeTab === "matrix" && renderMatrix()}
+        </>
+      )}
 
       <div className="mt-8 border-t pt-6 text-sm text-gray-500 flex justify-between">
         <p>
           Data sources: Ghana Meteorological Agency, Hydromet Research Office
           for Disaster Risk Reduction
         </p>
-        <p>Last updated: May 2025</p>
+        <p>
+          {dataset
+            ? `${dataset.incidents.length} incidents • ${dataset.rainfall.length} rainfall observations`
+            : ""}
+        </p>
       </div>
       </div>
     </>
@@ -40,6 +40,10 @@ import "../components/PopupStyles.css";
 import cap from "../assets/icons/CAP.png";
 import PropTypes from "prop-types";
 import axios from "axios";
+import weatherProviderService from "../services/weatherProviderService";
+import emergencyAlertService, { EMERGENCY_HAZARDS } from "../services/emergencyAlertService";
+import translationService from "../services/translationService";
+import { useEmergencyAlerts } from "../hooks/useEmergencyAlerts";
 import {
   ChevronRight,
   Cloud,
@@ -79,6 +83,7 @@ const useWindowSize = () => {
 const SeverityPolygon = ({
   coordinates,
   severity,
+  title,
   message,
   onPolygonClick,
 }) => {
@@ -93,7 +98,7 @@ const SeverityPolygon = ({
   };
   const handleClick = (event) => {
     const latlng = event.latlng;
-    onPolygonClick(latlng, message, severity);
+    onPolygonClick(latlng, message, severity, title);
   };
   return (
     <Polygon
@@ -114,29 +119,34 @@ SeverityPolygon.propTypes = {
   coordinates: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number))
     .isRequired,
   severity: PropTypes.string.isRequired,
+  title: PropTypes.string,
   message: PropTypes.string.isRequired,
   onPolygonClick: PropTypes.func.isRequired,
 };
 
+// Popup HTML is built as a string; keep authored text from becoming markup
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
 // Dynamic Popup component for polygons
 const DynamicPopup = ({ popupData, setPopupData }) => {
   const map = useMap();
   useMemo(() => {
     if (popupData) {
-      const { position, message, severity } = popupData;
+      const { position, message, severity, title } = popupData;
       const popup = L.popup()
         .setLatLng(position)
         .setContent(
           `
           <div class="popup-content flex flex-col">
-            <h2 class="location-title text-blue-900 capitalize">${severity} Rainfall Zone</h2>
+            <h2 class="location-title text-blue-900 capitalize">${escapeHtml(title || `${severity} Rainfall Zone`)}</h2>
             <hr class="border-blue-500" />
             <p class="text-blue-600 font-bold">${new Date().toLocaleDateString()}</p>
             <hr class="border-gray-300" />
             <div class="weather-details">
               <div class="weather-info flex items-center my-2">
                 <i class="fas fa-cloud-sun text-gray-900 text-xl mr-2"></i>
-                <p><strong>Forecast:</strong> ${message}</p>
+                <p><strong>${title ? `${escapeHtml(severity)} severity:` : "Forecast:"}</strong> ${escapeHtml(message)}</p>
               </div>
             </div>
           </div>
@@ -258,7 +268,22 @@ const Home = () => {
 
   const [currentDateTime, setCurrentDateTime] = useState("");
   const [formattedTime, setFormattedTime] = useState("");
-  const [setPopupData] = useState(null);
+  const [popupData, setPopupData] = useState(null);
+  const emergencies = useEmergencyAlerts();
+  const language = translationService.getUserLanguage();
+
+  // Each active emergency outlined district by district
+  const emergencyAreas = useMemo(
+    () =>
+      emergencies.flatMap((alert) =>
+        emergencyAlertService.getAlertRings(alert).map((ring, index) => ({
+          key: `${alert.id}-${index}`,
+          ring,
+          alert,
+        }))
+      ),
+    [emergencies]
+  );
   const [expandedCategory, setExpandedCategory] = useState(null);
 
   const forecastCategories = [
@@ -476,134 +501,42 @@ const Home = () => {
   const [weatherData, setWeatherData] = useState([]);
   const [loadingWeather, setLoadingWeather] = useState(true);
 
-  // Ambee Weather API configuration
-  const AMBEE_API_KEY =
-    import.meta.env.VITE_AMBEE_API_KEY ||
-    import.meta.env.VITE_BASE_AMBEE_API_KEY;
-  const AMBEE_BASE_URL = "/api/ambee";
-
-  // Fetch weather data for a specific city
-  const fetchCityWeather = async (city) => {
-    // Check if API key is available and not the placeholder
-    if (!AMBEE_API_KEY || AMBEE_API_KEY === "your-ambee-api-key-here") {
-      console.info(
-        `Ambee API key not configured, using mock weather data for ${city.name}`
-      );
-      return getMockWeatherForCity(city);
+  // GMet-style condition wording used on the city cards
+  const toCardCondition = (condition) => {
+    switch (condition) {
+      case "rain":
+      case "drizzle":
+      case "thunderstorm":
+        return "Rains, Sunny Intervals";
+      case "cloudy":
+      case "partly-cloudy":
+      case "fog":
+        return "Cloudy, Sunny Intervals";
+      default:
+        return "Sunny Intervals";
     }
-
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-
-      const response = await fetch(
-        `${AMBEE_BASE_URL}/weather/latest/by-lat-lng?lat=${city.lat}&lng=${city.lng}`,
-        {
-          headers: {
-            "Content-type": "application/json",
-            "x-api-key": AMBEE_API_KEY,
-          },
-          signal: controller.signal,
-        }
-      );
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        throw new Error(`Weather API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      if (data && data.data) {
-        return formatWeatherDataForCity(city, data.data);
-      } else {
-        throw new Error("Invalid API response format");
-      }
-    } catch (error) {
-      console.warn(
-        `Ambee API unavailable for ${city.name}, using mock data:`,
-        error.message
-      );
-      return getMockWeatherForCity(city);
-    }
-  };
-
-  // Format weather data from Ambee API
-  const formatWeatherDataForCity = (cityData, weatherData) => {
-    // Convert Fahrenheit to Celsius
-    const tempCelsius = Math.round(((weatherData.temperature - 32) * 5) / 9);
-
-    // Get condition from summary
-    const condition = getWeatherCondition(weatherData.summary);
-
-    // Calculate min/max temps (simulate daily range)
-    const minTemp = Math.max(tempCelsius - 3, 18);
-    const maxTemp = tempCelsius + 4;
-
-    return {
-      city: cityData.name,
-      condition: condition,
-      minTemp: minTemp,
-      maxTemp: maxTemp,
-      type: cityData.type,
-      region: cityData.region,
-      summary: weatherData.summary || "No detailed forecast available",
-      humidity: weatherData.humidity,
-      windSpeed: Math.round(weatherData.windSpeed * 3.6), // Convert m/s to km/h
-    };
   };
 
-  // Get weather condition from summary
-  const getWeatherCondition = (summary) => {
-    const summaryLower = (summary || "").toLowerCase();
-    if (summaryLower.includes("rain") || summaryLower.includes("shower"))
-      return "Rains, Sunny Intervals";
-    if (summaryLower.includes("cloud")) return "Cloudy, Sunny Intervals";
-    if (summaryLower.includes("clear") || summaryLower.includes("sunny"))
-      return "Sunny Intervals";
-    if (summaryLower.includes("storm")) return "Rains, Sunny Intervals";
-    if (summaryLower.includes("fog") || summaryLower.includes("mist"))
-      return "Cloudy, Sunny Intervals";
-    return "Sunny Intervals";
-  };
-
-  // Generate mock weather data for fallback
-  const getMockWeatherForCity = (cityData) => {
-    const now = new Date();
-    const hour = now.getHours();
-    const isNight = hour < 6 || hour > 18;
-
-    // Base temperature varies by latitude (northern cities are hotter)
-    const baseTemp = cityData.lat > 9 ? 30 : cityData.lat > 7 ? 28 : 26;
-    const tempVariation = isNight ? -3 : 2;
-    const currentTemp = Math.round(
-      baseTemp + tempVariation + Math.random() * 4
-    );
-
-    // Time-based weather conditions
-    const timeBasedConditions = isNight
-      ? ["Cloudy, Sunny Intervals", "Sunny Intervals"]
-      : [
-          "Sunny Intervals",
-          "Cloudy, Sunny Intervals",
-          "Rains, Sunny Intervals",
-        ];
-
-    const condition =
-      timeBasedConditions[
-        Math.floor(Math.random() * timeBasedConditions.length)
-      ];
+  // Fetch weather data for a specific city through the weather provider layer
+  const fetchCityWeather = async (city) => {
+    const report = await weatherProviderService.getWeather({
+      lat: city.lat,
+      lng: city.lng,
+      name: city.name,
+    });
+    const today = report.daily[0];
 
     return {
-      city: cityData.name,
-      condition: condition,
-      minTemp: Math.max(currentTemp - 3, 18),
-      maxTemp: currentTemp + 4,
-      type: cityData.type,
-      region: cityData.region,
-      summary: `${condition} with typical West African weather`,
-      humidity: Math.round(60 + Math.random() * 30),
-      windSpeed: Math.round(5 + Math.random() * 20),
+      city: city.name,
+      condition: toCardCondition(report.current.condition),
+      minTemp: Math.round(today?.minTemp ?? report.current.temperature),
+      maxTemp: Math.round(today?.maxTemp ?? report.current.temperature),
+      type: city.type,
+      region: city.region,
+      summary: report.current.summary,
+      humidity: report.current.humidity,
+      windSpeed: report.current.windSpeed,
+      source: report.source,
     };
   };
 
@@ -628,39 +561,14 @@ const Home = () => {
   const loadAllCitiesWeather = async () => {
     setLoadingWeather(true);
     try {
-      console.log("🌤️ Loading weather data for Ghana cities...");
-
-      const weatherPromises = ghanaCities.map(async (city) => {
-        try {
-          const weatherData = await fetchCityWeather(city);
-          console.log(`✅ Weather loaded for ${city.name}:`, weatherData);
-          return weatherData;
-        } catch (error) {
-          console.warn(
-            `⚠️ Failed to fetch weather for ${city.name}:`,
-            error.message
-          );
-          return getMockWeatherForCity(city);
-        }
-      });
-
-      const results = await Promise.allSettled(weatherPromises);
+      const results = await Promise.allSettled(ghanaCities.map(fetchCityWeather));
       const weatherDataArray = results
         .filter((result) => result.status === "fulfilled")
         .map((result) => result.value);
 
       setWeatherData(weatherDataArray);
-      console.log(
-        `🌟 Successfully loaded weather for ${weatherDataArray.length} cities`
-      );
     } catch (error) {
       console.error("❌ Error loading weather data:", error);
-      // Fallback to mock data for all cities
-      const fallbackData = ghanaCities.map((city) =>
-        getMockWeatherForCity(city)
-      );
-      setWeatherData(fallbackData);
-      console.log("🔄 Using fallback weather data for all cities");
     } finally {
       setLoadingWeather(false);
     }
@@ -684,8 +592,8 @@ const Home = () => {
     return () => clearInterval(interval);
   }, []);
 
-  const handlePolygonClick = (latlng, message, severity) => {
-    setPopupData({ position: latlng, message, severity });
+  const handlePolygonClick = (latlng, message, severity, title) => {
+    setPopupData({ position: latlng, message, severity, title });
   };
 
   return (
@@ -778,15 +686,45 @@ const Home = () => {
                   <i className="fas fa-bell mr-2"></i> Latest Weather Warnings
                 </h2>
                 <ul className="space-y-4">
-                  <li className="bg-yellow-100 border border-yellow-300 rounded-lg p-4 flex justify-between items-center">
-                    <div className="flex items-center">
-                      <FaExclamationTriangle className="text-red-500 mr-2" />
-                      <p className="font-bold text-blue-700">
-                        No active alerts currently
-                      </p>
-                    </div>
-                    <FaArrowRight className="text-blue-500" />
-                  </li>
+                  {emergencies.length === 0 ? (
+                    <li className="bg-yellow-100 border border-yellow-300 rounded-lg p-4 flex justify-between items-center">
+                      <div className="flex items-center">
+                        <FaExclamationTriangle className="text-red-500 mr-2" />
+                        <p className="font-bold text-blue-700">
+                          No active alerts currently
+                        </p>
+                      </div>
+                      <FaArrowRight className="text-blue-500" />
+                    </li>
+                  ) : (
+                    emergencies.map((alert) => (
+                      <li
+                        key={alert.id}
+                        className={`rounded-lg p-4 border ${
+                          alert.severity === "high"
+                            ? "bg-red-100 border-red-300"
+                            : alert.severity === "medium"
+                            ? "bg-orange-100 border-orange-300"
+                            : "bg-yellow-100 border-yellow-300"
+                        }`}
+                      >
+                        <div className="flex items-start">
+                          <FaExclamationTriangle className="text-red-500 mr-2 mt-1 flex-shrink-0" />
+                          <div>
+                            <p className="font-bold text-blue-700">
+                              {EMERGENCY_HAZARDS[alert.hazard]?.label}: {alert.title}
+                            </p>
+                            <p className="text-sm text-gray-800">
+                              {emergencyAlertService.getMessage(alert, language)}
+                            </p>
+                            <p className="text-xs text-gray-600 mt-1">
+                              Until {new Date(alert.expiresAt).toLocaleString("en-GB", { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" })}
+                            </p>
+                          </div>
+                        </div>
+                      </li>
+                    ))
+                  )}
                 </ul>
               </div>
               <div className="lg:col-span-2 bg-white/20 backdrop-blur-[5px] border-white/20 shadow-[0_4px_30px_rgba(0,0,0,0.1)] rounded-xl p-4 sticky h-full">
@@ -803,7 +741,19 @@ const Home = () => {
                   }}
                   showWeatherData={true}
                   showAgriculturalData={true}
-                />
+                >
+                  {emergencyAreas.map(({ key, ring, alert }) => (
+                    <SeverityPolygon
+                      key={key}
+                      coordinates={ring}
+                      severity={alert.severity}
+                      title={`${EMERGENCY_HAZARDS[alert.hazard]?.label}: ${alert.title}`}
+                      message={emergencyAlertService.getMessage(alert, language)}
+                      onPolygonClick={handlePolygonClick}
+                    />
+                  ))}
+                  <DynamicPopup popupData={popupData} setPopupData={setPopupData} />
+                </WeatherInteractiveMap>
               </div>
 
               <div className="bg-white/20 backdrop-blur-[5px] border-white/20 shadow-[0_4px_30px_rgba(0,0,0,0.1)] rounded-xl p-4 w-full h-full max-w-md">
@@ -1,6 +1,7 @@
 import { Outlet } from "react-router-dom";
 import Header from "../components/Header.jsx";
 import Footer from "../components/Footer.jsx";
+import EmergencyBanner from "../components/EmergencyBanner";
 import ChatbotWidget from "../components/Chatbot/ChatbotWidget";
 // import OfflineNotification from "../components/common/OfflineNotification";
 import { useChatbot } from "../contexts/ChatbotContext";
@@ -22,6 +23,9 @@ const Layout = () => {
 
       <Footer />
 
+      {/* Active emergency alerts */}
+      <EmergencyBanner />
+
       {/* AI Chatbot Widget - Fixed floating button */}
       <ChatbotWidget userContext={chatContext} />
     </div>
@@ -1,4 +1,5 @@
 import { useState, useEffect } from "react";
+import { useSearchParams } from "react-router-dom";
 import { districtOfGhana } from "../districts";
 import { FaDownload, FaShareAlt, FaSpinner, FaExclamationTriangle, FaSync, FaFolder, FaDatabase, FaInfoCircle } from "react-icons/fa";
 import agriculturalDataService from '../services/agriculturalDataService';
@@ -8,7 +9,7 @@ import { InlineOfflineWarning } from '../components/common/OfflineNotification';
 import SmartCalendarRenderer from '../components/common/SmartCalendarRenderer';
 import { getSafeDistrictsByRegion } from '../utils/regionDistrictHelpers';
 import { SafeDistrictOptions } from '../components/common/SafeSelectOptions';
-import { getAllRegionNames } from '../data/ghanaCodes';
+import { getAllRegionNames, getDistrictName, getRegionName } from '../data/ghanaCodes';
 import toast from 'react-hot-toast';
 
 // Get regions data with fallback
@@ -549,10 +550,16 @@ const transformBackendActivitiesToPoultryCalendarFormat = (backendActivities) =>
 };
 
 const PoultryCalendar = () => {
+  // Links to a calendar (e.g. chatbot sources) carry region and district codes
+  const [searchParams] = useSearchParams();
   const [selectedYearSeason, setSelectedYearSeason] = useState("2025 Major Season");
-  const [selectedPoultry, setSelectedPoultry] = useState("layers");
-  const [selectedRegion, setSelectedRegion] = useState("All Regions");
-  const [selectedDistrict, setSelectedDistrict] = useState("All Districts");
+  const [selectedPoultry, setSelectedPoultry] = useState(searchParams.get("poultry") || "layers");
+  const [selectedRegion, setSelectedRegion] = useState(
+    searchParams.get("regionCode") ? getRegionName(searchParams.get("regionCode")) : "All Regions"
+  );
+  const [selectedDistrict, setSelectedDistrict] = useState(
+    searchParams.get("districtCode") ? getDistrictName(searchParams.get("districtCode")) : "All Districts"
+  );
   const [poultryActivities, setPoultryActivities] = useState([]); // Default state for activities
   const [loading, setLoading] = useState(false); // Loading state for filtering
   const [initialLoad, setInitialLoad] = useState(true); // Track if initial load
@@ -1,4 +1,4 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import {
   Sun,
   Cloud,
@@ -10,8 +10,12 @@ import {
   Thermometer,
   MapPin,
   Loader,
+  Navigation,
+  AlertTriangle,
 } from "lucide-react";
 import PageTitle from "../components/PageTitle";
+import forecastService from "../services/forecastService";
+import { getAllRegions, getDistrictsByRegionCode, getDistrictCode } from "../data/ghanaCodes";
 
 const SevenDaysForecast = () => {
   const [selectedDay, setSelectedDay] = useState(0);
@@ -22,239 +26,129 @@ const SevenDaysForecast = () => {
     country: "Ghana",
   });
   const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
   const [currentDateTime, setCurrentDateTime] = useState(new Date());
   const [forecastData, setForecastData] = useState([]);
+  const [forecastMeta, setForecastMeta] = useState(null);
+  const [target, setTarget] = useState(null);
+  const [selectedRegionCode, setSelectedRegionCode] = useState("");
+  const [selectedDistrictCode, setSelectedDistrictCode] = useState("");
 
-  // Function to get formatted date string (e.g., "May 21")
-  const getFormattedDate = (daysToAdd = 0) => {
-    const date = new Date(currentDateTime);
-    date.setDate(date.getDate() + daysToAdd);
-    return date.toLocaleDateString("en-US", { month: "short", day: "numeric" });
-  };
+  // Map the forecast service payload to the rows this page renders
+  const toPageForecast = useCallback((forecast) => {
+    return forecast.days.map((day, index) => {
+      const date = new Date(`${day.date}T12:00:00Z`);
+      return {
+        day: index === 0 && !forecast.stale
+          ? "Today"
+          : date.toLocaleDateString("en-US", { weekday: "short" }),
+        date: date.toLocaleDateString("en-US", { month: "short", day: "numeric" }),
+        high: Math.round(day.maxTemp),
+        low: Math.round(day.minTemp),
+        condition: day.condition,
+        humidity: Math.round(day.humidity ?? 0),
+        rainChance: Math.round(day.rainProbability ?? 0),
+        rainfall: day.rainfall ?? 0,
+        windSpeed: Math.round(day.windSpeed ?? 0),
+        hourly: day.hourly.map((hour) => ({
+          time: new Date(hour.time).toLocaleTimeString("en-US", {
+            hour: "numeric",
+            timeZone: "UTC",
+          }).replace(" ", ""),
+          temp: Math.round(hour.temperature),
+          condition: hour.condition,
+          rainChance: Math.round(hour.rainProbability ?? 0),
+        })),
+      };
+    });
+  }, []);
 
-  // Function to get day name
-  const getDayName = (daysToAdd = 0) => {
-    const date = new Date(currentDateTime);
-    date.setDate(date.getDate() + daysToAdd);
+  // Get user's location, falling back to Accra when geolocation is unavailable
+  useEffect(() => {
+    if (!navigator.geolocation) {
+      setTarget({});
+      return;
+    }
 
-    if (daysToAdd === 0) return "Today";
-    return date.toLocaleDateString("en-US", { weekday: "short" });
-  };
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setTarget({
+          lat: position.coords.latitude,
+          lng: position.coords.longitude,
+          name: "Your Location",
+        });
+      },
+      (geoError) => {
+        console.warn("Geolocation unavailable, using Accra:", geoError.message);
+        setTarget({});
+      },
+      { timeout: 10000, maximumAge: 10 * 60 * 1000 }
+    );
+  }, []);
 
-  // Get user's location
+  // Update the current time every minute
   useEffect(() => {
-    const getUserLocation = async () => {
+    const timeInterval = setInterval(() => {
+      setCurrentDateTime(new Date());
+    }, 60000);
+
+    return () => clearInterval(timeInterval);
+  }, []);
+
+  // Load the forecast whenever the target changes
+  useEffect(() => {
+    if (!target) return;
+
+    let cancelled = false;
+    const loadForecast = async () => {
       setLoading(true);
+      setError(null);
       try {
-        // In a real app, you would use a geolocation API to get the actual location
-        // For demonstration, we'll use a mock location service with fallback to Accra
-
-        // This simulates getting location from browser's geolocation API
-        // navigator.geolocation.getCurrentPosition() would be used in a real app
-
-        // Simulate location detection (defaulting to Accra for demonstration)
-        setTimeout(() => {
-          setLocation({
-            city: "Accra",
-            region: "Greater Accra",
-            country: "Ghana",
-          });
-          setLoading(false);
-          generateForecastData();
-        }, 1000);
-      } catch (error) {
-        console.error("Error getting location:", error);
+        const forecast = await forecastService.getSevenDayForecast(target);
+        if (cancelled) return;
+
+        setForecastData(toPageForecast(forecast));
+        setForecastMeta(forecast);
+        setSelectedDay(0);
         setLocation({
-          city: "Accra",
-          region: "Greater Accra",
+          city: forecast.location.name || "Accra",
+          region: forecast.location.region || "",
           country: "Ghana",
         });
-        setLoading(false);
+      } catch (err) {
+        console.error("Error loading forecast:", err);
+        if (!cancelled) {
+          setError("The forecast could not be loaded. Please try again later.");
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
       }
     };
 
-    getUserLocation();
-
-    // Update the current time every minute
-    const timeInterval = setInterval(() => {
-      setCurrentDateTime(new Date());
-    }, 60000);
-
-    return () => clearInterval(timeInterval);
-  }, []);
+    loadForecast();
+    return () => {
+      cancelled = true;
+    };
+  }, [target, toPageForecast]);
 
-  // Generate forecast data based on current date
-  const generateForecastData = () => {
-    // Mock data for 7-day forecast with dynamic dates
-    const newForecastData = [
-      {
-        day: getDayName(0),
-        date: getFormattedDate(0),
-        high: 31,
-        low: 24,
-        condition: "partly-cloudy",
-        humidity: 70,
-        rainChance: 10,
-        windSpeed: 12,
-        hourly: [
-          { time: "6AM", temp: 24, condition: "clear", rainChance: 0 },
-          { time: "9AM", temp: 26, condition: "partly-cloudy", rainChance: 0 },
-          {
-            time: "12PM",
-            temp: 30,
-            condition: "partly-cloudy",
-            rainChance: 10,
-          },
-          { time: "3PM", temp: 31, condition: "partly-cloudy", rainChance: 10 },
-          { time: "6PM", temp: 28, condition: "partly-cloudy", rainChance: 5 },
-          { time: "9PM", temp: 26, condition: "clear", rainChance: 0 },
-          { time: "12AM", temp: 25, condition: "clear", rainChance: 0 },
-          { time: "3AM", temp: 24, condition: "clear", rainChance: 0 },
-        ],
-      },
-      {
-        day: getDayName(1),
-        date: getFormattedDate(1),
-        high: 32,
-        low: 24,
-        condition: "clear",
-        humidity: 65,
-        rainChance: 0,
-        windSpeed: 10,
-        hourly: [
-          { time: "6AM", temp: 24, condition: "clear", rainChance: 0 },
-          { time: "9AM", temp: 27, condition: "clear", rainChance: 0 },
-          { time: "12PM", temp: 30, condition: "clear", rainChance: 0 },
-          { time: "3PM", temp: 32, condition: "clear", rainChance: 0 },
-          { time: "6PM", temp: 29, condition: "clear", rainChance: 0 },
-          { time: "9PM", temp: 26, condition: "clear", rainChance: 0 },
-          { time: "12AM", temp: 25, condition: "clear", rainChance: 0 },
-          { time: "3AM", temp: 24, condition: "clear", rainChance: 0 },
-        ],
-      },
-      {
-        day: getDayName(2),
-        date: getFormattedDate(2),
-        high: 30,
-        low: 25,
-        condition: "partly-cloudy",
-        humidity: 75,
-        rainChance: 30,
-        windSpeed: 14,
-        hourly: [
-          { time: "6AM", temp: 25, condition: "partly-cloudy", rainChance: 10 },
-          { time: "9AM", temp: 27, condition: "partly-cloudy", rainChance: 20 },
-          {
-            time: "12PM",
-            temp: 29,
-            condition: "partly-cloudy",
-            rainChance: 30,
-          },
-          { time: "3PM", temp: 30, condition: "cloudy", rainChance: 30 },
-          { time: "6PM", temp: 28, condition: "cloudy", rainChance: 25 },
-          { time: "9PM", temp: 27, condition: "partly-cloudy", rainChance: 20 },
-          {
-            time: "12AM",
-            temp: 26,
-            condition: "partly-cloudy",
-            rainChance: 10,
-          },
-          { time: "3AM", temp: 25, condition: "partly-cloudy", rainChance: 10 },
-        ],
-      },
-      {
-        day: getDayName(3),
-        date: getFormattedDate(3),
-        high: 29,
-        low: 24,
-        condition: "rain",
-        humidity: 85,
-        rainChance: 80,
-        windSpeed: 18,
-        hourly: [
-          { time: "6AM", temp: 24, condition: "cloudy", rainChance: 40 },
-          { time: "9AM", temp: 25, condition: "cloudy", rainChance: 60 },
-          { time: "12PM", temp: 27, condition: "rain", rainChance: 80 },
-          { time: "3PM", temp: 29, condition: "rain", rainChance: 80 },
-          { time: "6PM", temp: 27, condition: "rain", rainChance: 70 },
-          { time: "9PM", temp: 26, condition: "rain", rainChance: 60 },
-          { time: "12AM", temp: 25, condition: "cloudy", rainChance: 40 },
-          { time: "3AM", temp: 24, condition: "cloudy", rainChance: 30 },
-        ],
-      },
-      {
-        day: getDayName(4),
-        date: getFormattedDate(4),
-        high: 30,
-        low: 23,
-        condition: "rain",
-        humidity: 80,
-        rainChance: 60,
-        windSpeed: 15,
-        hourly: [
-          { time: "6AM", temp: 23, condition: "cloudy", rainChance: 30 },
-          { time: "9AM", temp: 25, condition: "cloudy", rainChance: 40 },
-          { time: "12PM", temp: 28, condition: "rain", rainChance: 60 },
-          { time: "3PM", temp: 30, condition: "rain", rainChance: 60 },
-          { time: "6PM", temp: 27, condition: "rain", rainChance: 50 },
-          { time: "9PM", temp: 25, condition: "cloudy", rainChance: 30 },
-          {
-            time: "12AM",
-            temp: 24,
-            condition: "partly-cloudy",
-            rainChance: 20,
-          },
-          { time: "3AM", temp: 23, condition: "partly-cloudy", rainChance: 10 },
-        ],
-      },
-      {
-        day: getDayName(5),
-        date: getFormattedDate(5),
-        high: 31,
-        low: 23,
-        condition: "partly-cloudy",
-        humidity: 70,
-        rainChance: 20,
-        windSpeed: 12,
-        hourly: [
-          { time: "6AM", temp: 23, condition: "partly-cloudy", rainChance: 10 },
-          { time: "9AM", temp: 26, condition: "partly-cloudy", rainChance: 10 },
-          {
-            time: "12PM",
-            temp: 29,
-            condition: "partly-cloudy",
-            rainChance: 20,
-          },
-          { time: "3PM", temp: 31, condition: "partly-cloudy", rainChance: 20 },
-          { time: "6PM", temp: 28, condition: "partly-cloudy", rainChance: 10 },
-          { time: "9PM", temp: 26, condition: "clear", rainChance: 0 },
-          { time: "12AM", temp: 24, condition: "clear", rainChance: 0 },
-          { time: "3AM", temp: 23, condition: "clear", rainChance: 0 },
-        ],
-      },
-      {
-        day: getDayName(6),
-        date: getFormattedDate(6),
-        high: 32,
-        low: 24,
-        condition: "clear",
-        humidity: 65,
-        rainChance: 0,
-        windSpeed: 10,
-        hourly: [
-          { time: "6AM", temp: 24, condition: "clear", rainChance: 0 },
-          { time: "9AM", temp: 27, condition: "clear", rainChance: 0 },
-          { time: "12PM", temp: 30, condition: "clear", rainChance: 0 },
-          { time: "3PM", temp: 32, condition: "clear", rainChance: 0 },
-          { time: "6PM", temp: 29, condition: "clear", rainChance: 0 },
-          { time: "9PM", temp: 26, condition: "clear", rainChance: 0 },
-          { time: "12AM", temp: 25, condition: "clear", rainChance: 0 },
-          { time: "3AM", temp: 24, condition: "clear", rainChance: 0 },
-        ],
-      },
-    ];
+  const handleDistrictChange = (districtCode) => {
+    setSelectedDistrictCode(districtCode);
+    if (districtCode) {
+      setTarget({ districtCode });
+    }
+  };
 
-    setForecastData(newForecastData);
+  const handleUseMyLocation = () => {
+    setSelectedRegionCode("");
+    setSelectedDistrictCode("");
+    navigator.geolocation?.getCurrentPosition(
+      (position) => setTarget({
+        lat: position.coords.latitude,
+        lng: position.coords.longitude,
+        name: "Your Location",
+      }),
+      (geoError) => setError(`Could not get your location: ${geoError.message}`)
+    );
   };
 
   // Helper function to convert celsius to fahrenheit
@@ -324,6 +218,17 @@ const SevenDaysForecast = () => {
       : "from-blue-400 to-blue-600";
   };
 
+  // Format the forecast issue time for display
+  const formatIssuedAt = (isoString) => {
+    return new Date(isoString).toLocaleString("en-US", {
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+      hour: "numeric",
+      minute: "2-digit",
+    });
+  };
+
   // Format time for display with AM/PM
   const formatTime = () => {
     return currentDateTime.toLocaleTimeString("en-US", {
@@ -333,7 +238,16 @@ const SevenDaysForecast = () => {
     });
   };
 
-  if (loading || forecastData.length === 0) {
+  if (error && forecastData.length === 0) {
+    return (
+      <div className="flex flex-col items-center justify-center h-screen bg-blue-50">
+        <AlertTriangle className="w-12 h-12 text-amber-500" />
+        <p className="mt-4 text-lg text-gray-800">{error}</p>
+      </div>
+    );
+  }
+
+  if (loading && forecastData.length === 0) {
     return (
       <div className="flex flex-col items-center justify-center h-screen bg-blue-50">
         <Loader className="w-12 h-12 text-blue-500 animate-spin" />
@@ -348,26 +262,102 @@ const SevenDaysForecast = () => {
     <>
       <PageTitle title="7-Day Weather Forecast" />
       <div className="container mx-auto mt-10 px-4 sm:px-6 lg:px-8 mt-24">
-      {/* Location and last updated info */}
+      {/* Location and issue info */}
       <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-4">
         <div className="flex items-center mb-2 sm:mb-0">
           <MapPin className="h-5 w-5 text-blue-600 mr-1" />
           <h1 className="text-xl font-semibold text-gray-800">
-            {location.city}, {location.region}, {location.country}
+            {[location.city, location.region, location.country]
+              .filter(Boolean)
+              .join(", ")}
           </h1>
+          {loading && <Loader className="h-4 w-4 text-blue-500 animate-spin ml-2" />}
         </div>
-        <div className="text-sm text-gray-500">
-          Last updated:{" "}
-          {currentDateTime.toLocaleDateString("en-US", {
-            weekday: "long",
-            month: "long",
-            day: "numeric",
-            year: "numeric",
-          })}{" "}
-          {formatTime()}
+        <div className="text-sm text-gray-500 sm:text-right">
+          <div>
+            Issued:{" "}
+            {forecastMeta?.issuedAt
+              ? formatIssuedAt(forecastMeta.issuedAt)
+              : "Unknown"}
+          </div>
+          <div>
+            Source: {forecastMeta?.sourceLabel || "Unknown"}
+            {forecastMeta?.station &&
+              ` (${forecastMeta.station.name}, ${forecastMeta.station.distanceKm} km away)`}
+          </div>
         </div>
       </div>
 
+      {/* District picker */}
+      <div className="flex flex-col sm:flex-row gap-2 mb-4">
+        <select
+          value={selectedRegionCode}
+          onChange={(e) => {
+            setSelectedRegionCode(e.target.value);
+            setSelectedDistrictCode("");
+          }}
+          className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          aria-label="Region"
+        >
+          <option value="">Select region</option>
+          {getAllRegions().map((region) => (
+            <option key={region.code} value={region.code}>
+              {region.name}
+            </option>
+          ))}
+        </select>
+        <select
+          value={selectedDistrictCode}
+          onChange={(e) => handleDistrictChange(e.target.value)}
+          disabled={!selectedRegionCode}
+          className="border border-gray-300 rounded-lg px-3 py-2 text-sm disabled:bg-gray-100"
+          aria-label="District"
+        >
+          <option value="">Select district</option>
+          {selectedRegionCode &&
+            getDistrictsByRegionCode(selectedRegionCode).map((districtName) => (
+              <option key={districtName} value={getDistrictCode(districtName)}>
+                {districtName}
+              </option>
+            ))}
+        </select>
+        <button
+          onClick={handleUseMyLocation}
+          className="flex items-center justify-center gap-1 px-3 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700"
+        >
+          <Navigation size={14} />
+          Use my location
+        </button>
+      </div>
+
+      {forecastMeta?.stale && forecastData.length > 0 && (
+        <div className="flex items-center gap-2 mb-4 p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-800">
+          <AlertTriangle size={16} />
+          Live forecast unavailable. Showing the last forecast received on{" "}
+          {formatIssuedAt(forecastMeta.retrievedAt)}.
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {/* The provider sent no forecast days (station readings only), or every
+          day of the last saved forecast has passed */}
+      {forecastData.length === 0 ? (
+        <div className="flex flex-col items-center justify-center gap-2 mb-8 p-8 rounded-2xl bg-blue-50 border border-blue-100 text-center">
+          <AlertTriangle className="w-10 h-10 text-amber-500" />
+          <p className="text-lg text-gray-800">
+            No forecast is available for this location right now.
+          </p>
+          <p className="text-sm text-gray-600">
+            Try another district, or check back later.
+          </p>
+        </div>
+      ) : (
+      <>
       {/* Main forecast card */}
       <div
         className={`bg-gradient-to-br ${getBackgroundColor()} rounded-2xl shadow-lg text-white overflow-hidden`}
@@ -429,7 +419,10 @@ const SevenDaysForecast = () => {
               </div>
               <div className="flex items-center">
                 <CloudRain size={16} className="mr-2" />
-                <span>Rain: {forecastData[selectedDay].rainChance}%</span>
+                <span>
+                  Rain: {forecastData[selectedDay].rainChance}% (
+                  {forecastData[selectedDay].rainfall.toFixed(1)} mm)
+                </span>
               </div>
               <div className="flex items-center">
                 <Wind size={16} className="mr-2" />
@@ -520,6 +513,9 @@ const SevenDaysForecast = () => {
                 <th className="py-3 px-4 text-left text-sm font-medium text-gray-500">
                   RAIN %
                 </th>
+                <th className="py-3 px-4 text-left text-sm font-medium text-gray-500">
+                  RAINFALL
+                </th>
                 <th className="py-3 px-4 text-left text-sm font-medium text-gray-500">
                   HUMIDITY
                 </th>
@@ -563,6 +559,7 @@ const SevenDaysForecast = () => {
                       <span>{day.rainChance}%</span>
                     </div>
                   </td>
+                  <td className="py-3 px-4">{day.rainfall.toFixed(1)} mm</td>
                   <td className="py-3 px-4">
                     <div className="flex items-center">
                       <div className="w-16 bg-gray-200 rounded-full h-1.5 mr-2">
@@ -586,12 +583,14 @@ const SevenDaysForecast = () => {
           </table>
         </div>
       </div>
+      </>
+      )}
 
       {/* Footer */}
       <div className="mt-4 text-center text-sm text-gray-500 mb-8">
         <p>
-          Weather data provided by Ghana Meteorological Agency • Last updated:{" "}
-          {formatTime()}
+          Weather data provided by {forecastMeta?.sourceLabel || "Unknown"} •
+          Page refreshed: {formatTime()}
         </p>
       </div>
     </div>
@@ -0,0 +1,197 @@
+import { useState, useRef, useEffect } from "react";
+import PageTitle from "../components/PageTitle";
+import { Phone, PhoneOff, Send, RotateCcw } from "lucide-react";
+import ussdService, { USSD_MAX_LENGTH } from "../services/ussdService";
+import API_CONFIG from "../config/apiConfig";
+
+const newSessionId = () => `sim_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+
+// Sends requests exactly as a USSD gateway would, so flows behave the same on a real handset
+const UssdSimulator = () => {
+  const [phoneNumber, setPhoneNumber] = useState("+233240000000");
+  const [session, setSession] = useState(null);
+  const [screen, setScreen] = useState(null);
+  const [reply, setReply] = useState("");
+  const [transcript, setTranscript] = useState([]);
+  const [waiting, setWaiting] = useState(false);
+  const replyRef = useRef(null);
+
+  useEffect(() => {
+    if (screen && !screen.ended) replyRef.current?.focus();
+  }, [screen]);
+
+  const log = (direction, text) =>
+    setTranscript((entries) => [...entries, { direction, text, at: new Date() }]);
+
+  const sendRequest = async (sessionId, replies) => {
+    setWaiting(true);
+    const response = await ussdService.handleRequest({
+      sessionId,
+      phoneNumber,
+      text: replies.join("*"),
+    });
+    setWaiting(false);
+
+    const ended = response.startsWith("END ");
+    const text = response.slice(4);
+    setScreen({ text, ended });
+    log("out", response);
+    return ended;
+  };
+
+  const handleDial = async () => {
+    const sessionId = newSessionId();
+    setSession({ id: sessionId, replies: [] });
+    setTranscript([]);
+    log("in", `Dial ${API_CONFIG.USSD_SERVICE_CODE}`);
+    const ended = await sendRequest(sessionId, []);
+    if (ended) setSession(null);
+  };
+
+  const handleReply = async (event) => {
+    event.preventDefault();
+    if (!session || waiting || reply.trim() === "") return;
+
+    const replies = [...session.replies, reply.trim()];
+    setSession({ ...session, replies });
+    log("in", reply.trim());
+    setReply("");
+
+    const ended = await sendRequest(session.id, replies);
+    if (ended) setSession(null);
+  };
+
+  const handleCancel = () => {
+    if (session) {
+      ussdService.endSession(session.id);
+      log("in", "Cancel");
+    }
+    setSession(null);
+    setScreen(null);
+  };
+
+  return (
+    <>
+      <PageTitle title="USSD Simulator" />
+      <div className="container mx-auto p-6 mt-20 max-w-5xl">
+        <h2 className="text-3xl font-bold text-center mb-2 text-gray-800">USSD Simulator</h2>
+        <p className="text-center text-gray-600 mb-8">
+          Test the farmer USSD menus without a telco connection. Replies: 0 back, 00 main menu, 98
+          more options.
+        </p>
+
+        <div className="grid md:grid-cols-2 gap-8 items-start">
+          {/* Handset */}
+          <div className="mx-auto w-72 bg-gray-800 rounded-[2rem] p-4 shadow-xl">
+            <div className="bg-lime-100 rounded-lg h-80 p-3 flex flex-col font-mono text-sm text-gray-900">
+              {screen ? (
+                <>
+                  <pre className="flex-1 whitespace-pre-wrap break-words font-mono text-xs leading-snug overflow-y-auto">
+                    {screen.text}
+                  </pre>
+                  {!screen.ended ? (
+                    <form onSubmit={handleReply} className="mt-2 flex gap-1">
+                      <input
+                        ref={replyRef}
+                        value={reply}
+                        onChange={(e) => setReply(e.target.value)}
+                        inputMode="numeric"
+                        className="flex-1 min-w-0 px-2 py-1 border border-gray-400 rounded bg-white text-xs"
+                        aria-label="USSD reply"
+                        disabled={waiting}
+                      />
+                      <button
+                        type="submit"
+                        disabled={waiting}
+                        className="px-2 py-1 bg-gray-700 text-white rounded text-xs disabled:opacity-50"
+                        aria-label="Send reply"
+                      >
+                        <Send className="w-3 h-3" />
+                      </button>
+                    </form>
+                  ) : (
+                    <p className="mt-2 text-[10px] text-gray-600 text-center">Session ended</p>
+                  )}
+                </>
+              ) : (
+                <div className="flex-1 flex flex-col items-center justify-center text-center text-xs text-gray-600">
+                  <p className="mb-1">Dial</p>
+                  <p className="text-lg font-bold text-gray-900">{API_CONFIG.USSD_SERVICE_CODE}</p>
+                </div>
+              )}
+            </div>
+
+            <div className="flex justify-around mt-4">
+              <button
+                onClick={handleDial}
+                disabled={Boolean(session) || waiting}
+                className="w-12 h-12 rounded-full bg-green-500 hover:bg-green-600 text-white flex items-center justify-center disabled:opacity-50"
+                aria-label="Dial"
+              >
+                <Phone className="w-5 h-5" />
+              </button>
+              <button
+                onClick={handleCancel}
+                className="w-12 h-12 rounded-full bg-red-500 hover:bg-red-600 text-white flex items-center justify-center"
+                aria-label="Cancel session"
+              >
+                <PhoneOff className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+
+          {/* Session details */}
+          <div className="bg-white rounded-xl shadow-md p-5">
+            <label className="block text-sm text-gray-700 mb-4">
+              Caller number
+              <input
+                type="tel"
+                value={phoneNumber}
+                onChange={(e) => setPhoneNumber(e.target.value)}
+                disabled={Boolean(session)}
+                className="mt-1 w-full border border-gray-300 rounded-md p-2 text-sm disabled:bg-gray-100"
+              />
+            </label>
+
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm font-semibold text-gray-800">Session log</h3>
+              {transcript.length > 0 && (
+                <button
+                  onClick={() => setTranscript([])}
+                  className="text-xs text-gray-500 hover:text-gray-700 flex items-center gap-1"
+                >
+                  <RotateCcw className="w-3 h-3" /> Clear
+                </button>
+              )}
+            </div>
+            {transcript.length === 0 ? (
+              <p className="text-sm text-gray-500">Dial the service code to start a session.</p>
+            ) : (
+              <ul className="space-y-2 max-h-96 overflow-y-auto">
+                {transcript.map((entry, index) => (
+                  <li
+                    key={index}
+                    className={`rounded-md p-2 text-xs ${
+                      entry.direction === "in" ? "bg-blue-50 text-blue-900 ml-8" : "bg-gray-50 text-gray-800 mr-8"
+                    }`}
+                  >
+                    <div className="flex justify-between text-[10px] text-gray-500 mb-1">
+                      <span>{entry.direction === "in" ? "Farmer" : "Gateway response"}</span>
+                      <span>
+                        {entry.direction === "out" && `${entry.text.length - 4}/${USSD_MAX_LENGTH} chars · `}
+                        {entry.at.toLocaleTimeString()}
+                      </span>
+                    </div>
+                    <pre className="whitespace-pre-wrap break-words font-mono">{entry.text}</pre>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default UssdSimulator;
@@ -0,0 +1,429 @@
+import { useState, useEffect, useMemo, useCallback } from "react";
+import PageTitle from "../components/PageTitle";
+import {
+  Bell,
+  CloudRain,
+  Thermometer,
+  Sun,
+  Wind,
+  Trash2,
+  RefreshCw,
+  CheckCircle,
+  XCircle,
+  Clock,
+} from "lucide-react";
+import alertService, { HAZARD_TYPES, ALERT_CHANNELS } from "../services/alertService";
+import userService from "../services/userService";
+import {
+  getAllRegions,
+  getDistrictsByRegionName,
+  COMMODITY_CODES,
+} from "../data/ghanaCodes";
+
+const HAZARD_ICONS = {
+  "heavy-rain": CloudRain,
+  "heat-stress": Thermometer,
+  "dry-spell": Sun,
+  "strong-wind": Wind,
+};
+
+const SEVERITY_STYLES = {
+  high: "bg-red-50 border-red-200 text-red-800",
+  medium: "bg-amber-50 border-amber-200 text-amber-800",
+  low: "bg-green-50 border-green-200 text-green-800",
+};
+
+const CROP_OPTIONS = [...new Set(Object.values(COMMODITY_CODES))].sort();
+
+// In-app notifications need an account, so visitors start with SMS
+const emptyForm = () => ({
+  regionName: "",
+  districtCode: "",
+  crops: [],
+  hazards: Object.keys(HAZARD_TYPES),
+  channels: [userService.isAuthenticated() ? "in-app" : "sms"],
+  contact: { phone: "", email: "" },
+});
+
+const toggleValue = (list, value) =>
+  list.includes(value) ? list.filter((item) => item !== value) : [...list, value];
+
+const WeatherAlerts = () => {
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [alertLog, setAlertLog] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [cropToAdd, setCropToAdd] = useState("");
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [checking, setChecking] = useState(false);
+  const [checkMessage, setCheckMessage] = useState(null);
+
+  const channels = alertService.getChannels();
+
+  const loadAlerts = useCallback(async () => {
+    const subscriptionResult = await alertService.getSubscriptions();
+    const alertResult = await alertService.getAlerts(subscriptionResult.data);
+    setSubscriptions(subscriptionResult.data);
+    setAlertLog(alertResult.data);
+    setLoadError(subscriptionResult.error || alertResult.error || null);
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadAlerts();
+    return alertService.onChange(loadAlerts);
+  }, [loadAlerts]);
+
+  const regions = useMemo(() => getAllRegions(), []);
+  const districts = useMemo(
+    () => (form.regionName ? getDistrictsByRegionName(form.regionName) : []),
+    [form.regionName]
+  );
+
+  const updateForm = (changes) => setForm((current) => ({ ...current, ...changes }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    const result = await alertService.saveSubscription({
+      districtCode: form.districtCode,
+      crops: form.crops,
+      hazards: form.hazards,
+      channels: form.channels,
+      contact: form.contact,
+    });
+    setSaving(false);
+
+    if (!result.success) {
+      setErrors(result.errors);
+      return;
+    }
+    setErrors([]);
+    setForm(emptyForm());
+  };
+
+  const handleSubscriptionChange = async (change) => {
+    const result = await change;
+    setErrors(result.success ? [] : result.errors);
+  };
+
+  const handleCheckNow = async () => {
+    setChecking(true);
+    setCheckMessage(null);
+    const result = await alertService.checkSubscriptions(subscriptions);
+    setChecking(false);
+
+    const { checked, triggered } = result.data;
+    setCheckMessage(
+      !result.success
+        ? `The forecasts could not be checked: ${result.errors.join("; ")}`
+        : checked === 0
+        ? "Add a subscription to start receiving alerts."
+        : `Checked ${checked} subscription${checked === 1 ? "" : "s"}: ${
+            triggered.length > 0 ? `${triggered.length} new alert${triggered.length === 1 ? "" : "s"}` : "no new alerts"
+          }.${result.errors.length > 0 ? ` ${result.errors.join("; ")}` : ""}`
+    );
+  };
+
+  const needsPhone = form.channels.some((channel) => ALERT_CHANNELS[channel].contactField === "phone");
+  const needsEmail = form.channels.includes("email");
+
+  return (
+    <>
+      <PageTitle title="Weather Alerts" />
+      <div className="container mx-auto p-6 mt-20 max-w-5xl">
+        <h2 className="text-3xl font-bold text-center mb-2 text-gray-800">Weather Alerts</h2>
+        <p className="text-center text-gray-600 mb-8">
+          Get warned when the forecast for your district shows heavy rain, heat stress, a dry
+          spell or strong wind.
+        </p>
+
+        <div className="grid md:grid-cols-2 gap-6">
+          {/* Subscription form */}
+          <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-md p-5 space-y-4">
+            <h3 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+              <Bell className="w-5 h-5 text-green-600" />
+              New alert subscription
+            </h3>
+
+            <div className="grid grid-cols-2 gap-3">
+              <label className="text-sm text-gray-700">
+                Region
+                <select
+                  value={form.regionName}
+                  onChange={(e) => updateForm({ regionName: e.target.value, districtCode: "" })}
+                  className="mt-1 w-full border border-gray-300 rounded-md p-2 text-sm"
+                >
+                  <option value="">Select region</option>
+                  {regions.map((region) => (
+                    <option key={region.code} value={region.name}>
+                      {region.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-sm text-gray-700">
+                District
+                <select
+                  value={form.districtCode}
+                  onChange={(e) => updateForm({ districtCode: e.target.value })}
+                  disabled={!form.regionName}
+                  className="mt-1 w-full border border-gray-300 rounded-md p-2 text-sm disabled:bg-gray-100"
+                >
+                  <option value="">Select district</option>
+                  {districts.map((district) => (
+                    <option key={district.code} value={district.code}>
+                      {district.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            <div>
+              <p className="text-sm text-gray-700 mb-1">Crops (optional)</p>
+              <div className="flex gap-2">
+                <select
+                  value={cropToAdd}
+                  onChange={(e) => setCropToAdd(e.target.value)}
+                  className="flex-1 border border-gray-300 rounded-md p-2 text-sm"
+                >
+                  <option value="">Select crop</option>
+                  {CROP_OPTIONS.filter((crop) => !form.crops.includes(crop)).map((crop) => (
+                    <option key={crop} value={crop}>
+                      {crop}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => {
+                    if (cropToAdd) updateForm({ crops: [...form.crops, cropToAdd] });
+                    setCropToAdd("");
+                  }}
+                  className="px-3 py-2 text-sm rounded-md border border-gray-300 hover:bg-gray-100"
+                >
+                  Add
+                </button>
+              </div>
+              {form.crops.length > 0 && (
+                <div className="flex flex-wrap gap-1 mt-2">
+                  {form.crops.map((crop) => (
+                    <button
+                      key={crop}
+                      type="button"
+                      onClick={() => updateForm({ crops: toggleValue(form.crops, crop) })}
+                      className="px-2 py-0.5 rounded-full bg-green-100 text-green-800 text-xs hover:bg-green-200"
+                      title="Remove crop"
+                    >
+                      {crop} ×
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <fieldset>
+              <legend className="text-sm text-gray-700 mb-1">Hazards</legend>
+              <div className="space-y-1">
+                {Object.values(HAZARD_TYPES).map((hazard) => (
+                  <label key={hazard.id} className="flex items-start gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={form.hazards.includes(hazard.id)}
+                      onChange={() => updateForm({ hazards: toggleValue(form.hazards, hazard.id) })}
+                      className="mt-1"
+                    />
+                    <span>
+                      {hazard.label}
+                      <span className="block text-xs text-gray-500">{hazard.description}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+
+            <fieldset>
+              <legend className="text-sm text-gray-700 mb-1">Alert me by</legend>
+              <div className="flex flex-wrap gap-3">
+                {channels.map((channel) => (
+                  <label key={channel.id} className="flex items-center gap-1 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={form.channels.includes(channel.id)}
+                      onChange={() => updateForm({ channels: toggleValue(form.channels, channel.id) })}
+                    />
+                    {channel.label}
+                  </label>
+                ))}
+              </div>
+              {!userService.isAuthenticated() && (
+                <p className="text-xs text-gray-500 mt-1">Sign in to get alerts as in-app notifications.</p>
+              )}
+            </fieldset>
+
+            {(needsPhone || needsEmail) && (
+              <div className="grid grid-cols-2 gap-3">
+                {needsPhone && (
+                  <label className="text-sm text-gray-700">
+                    Phone number
+                    <input
+                      type="tel"
+                      value={form.contact.phone}
+                      onChange={(e) => updateForm({ contact: { ...form.contact, phone: e.target.value } })}
+                      placeholder="+233..."
+                      className="mt-1 w-full border border-gray-300 rounded-md p-2 text-sm"
+                    />
+                  </label>
+                )}
+                {needsEmail && (
+                  <label className="text-sm text-gray-700">
+                    Email
+                    <input
+                      type="email"
+                      value={form.contact.email}
+                      onChange={(e) => updateForm({ contact: { ...form.contact, email: e.target.value } })}
+                      className="mt-1 w-full border border-gray-300 rounded-md p-2 text-sm"
+                    />
+                  </label>
+                )}
+              </div>
+            )}
+
+            {errors.length > 0 && (
+              <ul className="text-sm text-red-600 list-disc list-inside">
+                {errors.map((error) => (
+                  <li key={error}>{error}</li>
+                ))}
+              </ul>
+            )}
+
+            <button
+              type="submit"
+              disabled={saving}
+              className="w-full py-2 rounded-md bg-green-600 text-white font-medium hover:bg-green-700 disabled:opacity-50"
+            >
+              {saving ? "Saving..." : "Subscribe"}
+            </button>
+          </form>
+
+          {/* Subscriptions */}
+          <div className="bg-white rounded-xl shadow-md p-5">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-lg font-semibold text-gray-800">My subscriptions</h3>
+              <button
+                onClick={handleCheckNow}
+                disabled={checking || loading}
+                className="flex items-center gap-1 px-3 py-1.5 text-sm rounded-md border border-gray-300 hover:bg-gray-100 disabled:opacity-50"
+              >
+                <RefreshCw className={`w-4 h-4 ${checking ? "animate-spin" : ""}`} />
+                Check forecasts now
+              </button>
+            </div>
+            {checkMessage && <p className="text-sm text-gray-600 mb-3">{checkMessage}</p>}
+            {loadError && (
+              <p className="text-sm text-red-600 mb-3">Could not load your subscriptions: {loadError}</p>
+            )}
+
+            {loading ? (
+              <p className="text-sm text-gray-500">Loading...</p>
+            ) : subscriptions.length === 0 ? (
+              <p className="text-sm text-gray-500">No subscriptions yet.</p>
+            ) : (
+              <ul className="space-y-3">
+                {subscriptions.map((subscription) => (
+                  <li key={subscription.id} className="border border-gray-200 rounded-lg p-3 text-sm">
+                    <div className="flex justify-between items-start gap-2">
+                      <div>
+                        <p className="font-medium text-gray-900">{subscription.districtName}</p>
+                        <p className="text-gray-600 text-xs">
+                          {subscription.hazards.map((id) => HAZARD_TYPES[id]?.label).join(", ")}
+                        </p>
+                        {subscription.crops.length > 0 && (
+                          <p className="text-gray-500 text-xs">Crops: {subscription.crops.join(", ")}</p>
+                        )}
+                        <p className="text-gray-500 text-xs">
+                          Via {subscription.channels.map((id) => ALERT_CHANNELS[id]?.label).join(", ")}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-2 flex-shrink-0">
+                        <label className="flex items-center gap-1 text-xs text-gray-600">
+                          <input
+                            type="checkbox"
+                            checked={subscription.active}
+                            onChange={() =>
+                              handleSubscriptionChange(
+                                alertService.setSubscriptionActive(subscription, !subscription.active)
+                              )
+                            }
+                          />
+                          Active
+                        </label>
+                        <button
+                          onClick={() => handleSubscriptionChange(alertService.removeSubscription(subscription.id))}
+                          className="text-gray-400 hover:text-red-600"
+                          aria-label={`Remove ${subscription.districtName} subscription`}
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+
+        {/* Recent alerts */}
+        <div className="bg-white rounded-xl shadow-md p-5 mt-6">
+          <h3 className="text-lg font-semibold text-gray-800 mb-3">Recent alerts</h3>
+          {alertLog.length === 0 ? (
+            <p className="text-sm text-gray-500">No alerts have been raised yet.</p>
+          ) : (
+            <ul className="space-y-2">
+              {alertLog.slice(0, 20).map((alert) => {
+                const Icon = HAZARD_ICONS[alert.hazard] || Bell;
+                return (
+                  <li
+                    key={alert.id}
+                    className={`border rounded-lg p-3 text-sm ${SEVERITY_STYLES[alert.severity] || SEVERITY_STYLES.low}`}
+                  >
+                    <p className="font-medium flex items-center gap-1">
+                      <Icon className="w-4 h-4" />
+                      {alert.title}
+                    </p>
+                    <p className="mt-1">{alert.message}</p>
+                    <p className="mt-0.5 opacity-80">{alert.action}</p>
+                    <div className="flex flex-wrap gap-2 mt-2 text-xs">
+                      {alert.deliveries.map((delivery) => (
+                        <span
+                          key={delivery.channel}
+                          className="flex items-center gap-1 bg-white/70 rounded px-1.5 py-0.5"
+                          title={delivery.error || delivery.transport}
+                        >
+                          {delivery.status === "sent" && <CheckCircle className="w-3 h-3 text-green-600" />}
+                          {delivery.status === "queued" && <Clock className="w-3 h-3 text-gray-500" />}
+                          {(delivery.status === "failed" || delivery.status === "not_sent") && (
+                            <XCircle className="w-3 h-3 text-red-600" />
+                          )}
+                          {delivery.transport}
+                          {delivery.status === "failed" && ` (attempt ${delivery.attempts})`}
+                          {delivery.status === "not_sent" && " (not sent)"}
+                        </span>
+                      ))}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default WeatherAlerts;
@@ -0,0 +1,52 @@
+/**
+ * Offline Service Worker
+ * Precaches the app shell and everything the guided crop diagnosis needs, so
+ * farmers can open and complete a diagnosis without a connection. The build
+ * (see vite.config.js) fills in the hashed file list below and emits this
+ * file as /sw.js; it is not bundled into the app.
+ */
+
+const PRECACHE = self.__PRECACHE_MANIFEST;
+const CACHE_NAME = `triagro-precache-${PRECACHE.version}`;
+const APP_SHELL = '/index.html';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE.urls))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop the files of earlier builds once this one has taken over
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('triagro-precache-') && key !== CACHE_NAME)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // API calls and other sites always go to the network
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  // Pages try the network first so a new deploy is picked up, then fall back to the cached shell
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(() => caches.match(APP_SHELL))
+    );
+    return;
+  }
+
+  // Build files are content-hashed, so a cached copy is always current
+  event.respondWith(
+    caches.match(request).then(cached => cached || fetch(request))
+  );
+});
@@ -1,10 +1,13 @@
 import axios from 'axios';
 import serverHealthCheck from '../utils/serverHealthCheck';
+import contentWorkflowService from './contentWorkflowService';
 
 /**
  * Agricultural Data Service
  * Frontend service for consuming agricultural data from the backend API
- * Provides access to crop calendars, production calendars, and agromet advisories
+ * Provides access to crop calendars, production calendars, and agromet advisories.
+ * Calendars and advisories still in the editorial workflow (drafts, in
+ * review, archived) are left out; see contentWorkflowService.
  */
 class AgriculturalDataService {
   constructor() {
@@ -131,7 +134,7 @@ class AgriculturalDataService {
         const response = await this.api.get(`/agricultural-data/crop-calendar?${params.toString()}`);
         return {
           success: true,
-          data: response.data.data || [],
+          data: contentWorkflowService.filterPublic(response.data.data || []),
           total: response.data.total || 0,
           filters: response.data.filters || {}
         };
@@ -185,7 +188,7 @@ class AgriculturalDataService {
       const response = await this.api.get(`/agricultural-data/agromet-advisory?${params.toString()}`);
       return {
         success: true,
-        data: response.data.data || [],
+        data: contentWorkflowService.filterPublic(response.data.data || []),
         total: response.data.total || 0,
         filters: response.data.filters || {}
       };
@@ -214,7 +217,7 @@ class AgriculturalDataService {
       const response = await this.api.get(`/agricultural-data/poultry-calendar?${params.toString()}`);
       return {
         success: true,
-        data: response.data.data || [],
+        data: contentWorkflowService.filterPublic(response.data.data || []),
         total: response.data.total || 0,
         filters: response.data.filters || {}
       };
@@ -565,19 +568,20 @@ class AgriculturalDataService {
 
         const response = await this.api.get(`/enhanced-calendars?${params.toString()}`);
         console.log('🔍 Enhanced calendars API response:', response.data);
+        const data = contentWorkflowService.filterPublic(response.data.data || []);  // Backend sends data in response.data.data
 
         return {
           success: true,
-          data: response.data.data || [],  // Backend sends data in response.data.data
+          data,
           total: response.data.total || 0,
           filters: response.data.filters || {},
           summary: response.data.summary || {},
           emptyResult: response.data.emptyResult || null,  // New empty result information
           metadata: {
             dataSource: 'enhanced-calendars',
-            hasUploadedData: (response.data.data || []).length > 0,
+            hasUploadedData: data.length > 0,
             queryTime: new Date().toISOString(),
-            isEmpty: (response.data.data || []).length === 0,
+            isEmpty: data.length === 0,
             hasEmptyResultInfo: !!response.data.emptyResult,
             ...response.data.metadata
           }
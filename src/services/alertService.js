@@ -0,0 +1,326 @@
+/**
+ * Weather Alert Service
+ * Alert subscriptions by district, crop and hazard type. Subscriptions are
+ * kept on the server, which checks every active one against its district
+ * forecast with the hazard rules below and delivers each new match once per
+ * channel (in-app notification, SMS, WhatsApp, email), whether or not the
+ * subscriber has the app open. Forecasts from offline fixtures, or older than
+ * a day, never raise alerts.
+ *
+ * Visitors who are not signed in can subscribe by SMS, WhatsApp or email; this
+ * browser remembers the subscriptions it created so they can be managed here.
+ * In-app notifications go to an account, so they need a signed-in user.
+ * Disease sightings shared from the diagnostic tool are sent the same way and
+ * wait here while the device is offline.
+ */
+
+import { getDistrictByCode } from '../data/ghanaCodes';
+import userService from './userService';
+
+// Subscriptions created from this browser, by ID
+const SUBSCRIPTION_IDS_KEY = 'triagro_alert_subscription_ids';
+// Disease sightings waiting to be sent
+const PENDING_COMMUNITY_KEY = 'triagro_community_alerts_pending';
+const PENDING_COMMUNITY_LIMIT = 50;
+
+// Days whose reading reaches a threshold; severity rises at the high threshold
+const thresholdRule = (field, threshold, highThreshold) => (daily) => daily
+  .filter(day => day[field] !== null && day[field] >= threshold)
+  .map(day => ({
+    date: day.date,
+    value: day[field],
+    severity: day[field] >= highThreshold ? 'high' : 'medium',
+  }));
+
+/**
+ * Hazard rules over normalized daily forecast entries (see weatherSchema).
+ * evaluate(daily) returns the matching days, earliest first. The server
+ * raises subscription alerts with the same thresholds; the USSD forecast
+ * uses them for its warning line.
+ */
+export const HAZARD_TYPES = {
+  'heavy-rain': {
+    id: 'heavy-rain',
+    label: 'Heavy rain',
+    description: '30 mm or more of rain in a day',
+    unit: 'mm',
+    action: 'Clear drainage channels, delay fertiliser and spraying, and harvest mature produce early.',
+    evaluate: thresholdRule('precipitation', 30, 50),
+  },
+  'heat-stress': {
+    id: 'heat-stress',
+    label: 'Heat stress',
+    description: 'Daytime highs of 35°C or more',
+    unit: '°C',
+    action: 'Irrigate early morning or evening, mulch to keep soil moisture, and shade nurseries and animals.',
+    evaluate: thresholdRule('maxTemp', 35, 38),
+  },
+  'dry-spell': {
+    id: 'dry-spell',
+    label: 'Dry spell',
+    description: '5 or more consecutive days with under 1 mm of rain',
+    unit: 'days',
+    action: 'Hold off planting, conserve soil moisture and plan irrigation for crops already in the field.',
+    evaluate: (daily) => {
+      const MIN_DRY_DAYS = 5;
+      let run = [];
+      for (const day of daily) {
+        if ((day.precipitation ?? 0) < 1) {
+          run.push(day);
+        } else if (run.length >= MIN_DRY_DAYS) {
+          break;
+        } else {
+          run = [];
+        }
+      }
+      if (run.length < MIN_DRY_DAYS) return [];
+      return [{
+        date: run[0].date,
+        value: run.length,
+        severity: run.length >= 7 ? 'high' : 'medium',
+      }];
+    },
+  },
+  'strong-wind': {
+    id: 'strong-wind',
+    label: 'Strong wind',
+    description: 'Winds of 40 km/h or more',
+    unit: 'km/h',
+    action: 'Stake tall crops such as maize and plantain, and secure nursery covers and poultry houses.',
+    evaluate: thresholdRule('windSpeed', 40, 60),
+  },
+};
+
+/**
+ * Delivery channels and the subscription contact field each one needs
+ */
+export const ALERT_CHANNELS = {
+  'in-app': { id: 'in-app', label: 'In-app notification', contactField: null, requiresAccount: true },
+  sms: { id: 'sms', label: 'SMS', contactField: 'phone', requiresAccount: false },
+  whatsapp: { id: 'whatsapp', label: 'WhatsApp', contactField: 'phone', requiresAccount: false },
+  email: { id: 'email', label: 'Email', contactField: 'email', requiresAccount: false },
+};
+
+const readJson = (key, fallback) => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (error) {
+    console.warn(`Could not read ${key}:`, error);
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Could not save ${key}:`, error);
+  }
+};
+
+class AlertService {
+  constructor() {
+    this.listeners = new Set();
+    this.sendingCommunity = null;
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => this.flushCommunityAlerts());
+    }
+  }
+
+  /**
+   * Channels the current visitor can subscribe with
+   * @returns {Array} Channel definitions from ALERT_CHANNELS
+   */
+  getChannels() {
+    const signedIn = userService.isAuthenticated();
+    return Object.values(ALERT_CHANNELS).filter(channel => signedIn || !channel.requiresAccount);
+  }
+
+  // Subscriptions
+
+  getSubscriptionIds() {
+    return readJson(SUBSCRIPTION_IDS_KEY, []);
+  }
+
+  /**
+   * This browser's subscriptions and the signed-in user's
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  async getSubscriptions() {
+    const ids = this.getSubscriptionIds();
+    if (ids.length === 0 && !userService.isAuthenticated()) return { success: true, data: [] };
+
+    const result = await userService.getAlertSubscriptions({ ids: ids.join(',') });
+    if (!result.success) return { success: false, data: [], error: result.error };
+    return { success: true, data: Array.isArray(result.data) ? result.data : [] };
+  }
+
+  validateSubscription(subscription) {
+    const errors = [];
+
+    if (!getDistrictByCode(subscription.districtCode)) errors.push('Choose a district');
+    if (!subscription.hazards?.length) errors.push('Choose at least one hazard');
+    if (!subscription.channels?.length) errors.push('Choose at least one way to be alerted');
+
+    (subscription.hazards || []).forEach((hazard) => {
+      if (!HAZARD_TYPES[hazard]) errors.push(`Unknown hazard type: ${hazard}`);
+    });
+
+    (subscription.channels || []).forEach((channel) => {
+      const definition = ALERT_CHANNELS[channel];
+      if (!definition) {
+        errors.push(`Unknown alert channel: ${channel}`);
+      } else if (definition.requiresAccount && !userService.isAuthenticated()) {
+        errors.push('Sign in to receive in-app notifications');
+      } else if (definition.contactField && !subscription.contact?.[definition.contactField]) {
+        errors.push(`A ${definition.contactField === 'phone' ? 'phone number' : 'email address'} is needed for ${definition.label} alerts`);
+      }
+    });
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * Create or update a subscription on the server
+   * @param {Object} data - { id?, districtCode, crops, hazards, channels, contact: { phone, email }, active }
+   * @returns {Promise<Object>} { success, data, errors }
+   */
+  async saveSubscription(data) {
+    const district = getDistrictByCode(data.districtCode);
+    const subscription = {
+      active: true,
+      crops: [],
+      contact: {},
+      ...data,
+      districtName: district?.name || '',
+      regionCode: district?.regionCode || '',
+    };
+
+    const validation = this.validateSubscription(subscription);
+    if (!validation.isValid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    const result = await userService.saveAlertSubscription(subscription);
+    if (!result.success) {
+      return { success: false, errors: [`The subscription could not be saved: ${result.error}`] };
+    }
+
+    const saved = { ...subscription, ...result.data };
+    const ids = this.getSubscriptionIds();
+    if (saved.id && !ids.includes(saved.id)) writeJson(SUBSCRIPTION_IDS_KEY, [...ids, saved.id]);
+    this.notifyListeners();
+
+    return { success: true, data: saved };
+  }
+
+  async removeSubscription(subscriptionId) {
+    const result = await userService.deleteAlertSubscription(subscriptionId);
+    if (!result.success) {
+      return { success: false, errors: [`The subscription could not be removed: ${result.error}`] };
+    }
+    writeJson(SUBSCRIPTION_IDS_KEY, this.getSubscriptionIds().filter(id => id !== subscriptionId));
+    this.notifyListeners();
+    return { success: true };
+  }
+
+  setSubscriptionActive(subscription, active) {
+    return this.saveSubscription({ ...subscription, active });
+  }
+
+  // Alerts
+
+  /**
+   * Alerts raised for these subscriptions, newest first. Each has { id,
+   * hazard, severity, title, message, action, date, deliveries }, and each
+   * delivery { channel, status, transport, error, attempts } with status
+   * `sent`, `queued` (waiting for the gateway), `not_sent` (no gateway for
+   * the channel) or `failed`.
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  async getAlerts(subscriptions) {
+    if (subscriptions.length === 0) return { success: true, data: [] };
+
+    const result = await userService.getWeatherAlerts({
+      subscriptionIds: subscriptions.map(subscription => subscription.id).join(','),
+    });
+    if (!result.success) return { success: false, data: [], error: result.error };
+    return { success: true, data: Array.isArray(result.data) ? result.data : [] };
+  }
+
+  /**
+   * Have the server check these subscriptions now instead of on its schedule
+   * @returns {Promise<Object>} { success, data: { checked, triggered }, errors }
+   */
+  async checkSubscriptions(subscriptions) {
+    const active = subscriptions.filter(subscription => subscription.active);
+    if (active.length === 0) {
+      return { success: true, data: { checked: 0, triggered: [] }, errors: [] };
+    }
+
+    const result = await userService.checkAlertSubscriptions(active.map(subscription => subscription.id));
+    if (!result.success) {
+      return { success: false, data: { checked: 0, triggered: [] }, errors: [result.error] };
+    }
+    if (result.data?.triggered?.length > 0) this.notifyListeners();
+    return {
+      success: true,
+      data: { checked: result.data?.checked ?? active.length, triggered: result.data?.triggered || [] },
+      errors: result.data?.errors || [],
+    };
+  }
+
+  // Community disease alerts
+
+  /**
+   * Share a disease found by the diagnostic tool with nearby farmers. Sent
+   * now when online, otherwise when the connection comes back.
+   * @param {Object} report - { plant, disease, reporter }
+   * @returns {Promise<Object>} { success, queued }
+   */
+  async sendCommunityAlert({ plant, disease, reporter }) {
+    const report = { plant, disease, reporter, reportedAt: new Date().toISOString() };
+    const pending = readJson(PENDING_COMMUNITY_KEY, []);
+    writeJson(PENDING_COMMUNITY_KEY, [...pending, report].slice(-PENDING_COMMUNITY_LIMIT));
+
+    const sent = await this.flushCommunityAlerts();
+    return { success: true, queued: !sent };
+  }
+
+  /**
+   * Send the waiting disease sightings
+   * @returns {Promise<boolean>} Whether nothing is left waiting
+   */
+  flushCommunityAlerts() {
+    if (this.sendingCommunity) return this.sendingCommunity;
+
+    const batch = readJson(PENDING_COMMUNITY_KEY, []);
+    if (batch.length === 0) return Promise.resolve(true);
+
+    this.sendingCommunity = userService.createCommunityAlerts(batch).then((result) => {
+      this.sendingCommunity = null;
+      if (!result.success) return false;
+      // Reports shared while the batch was in flight stay waiting
+      const rest = readJson(PENDING_COMMUNITY_KEY, []).slice(batch.length);
+      writeJson(PENDING_COMMUNITY_KEY, rest);
+      return rest.length === 0 || this.flushCommunityAlerts();
+    });
+    return this.sendingCommunity;
+  }
+
+  /**
+   * Be told when this browser's subscriptions or their alerts change
+   * @returns {Function} Unsubscribe
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners() {
+    this.listeners.forEach(listener => listener());
+  }
+}
+
+export default new AlertService();
@@ -0,0 +1,192 @@
+/**
+ * Audit Log Service
+ * Append-only record of every data mutation made from the Dashboard:
+ * uploads, edits, deletes, workflow transitions, SMS dispatches and
+ * emergency alerts. Each entry keeps the actor, the action, the entity type
+ * and ID, a snapshot of the entity before and after the change, and a
+ * timestamp.
+ *
+ * Entries are stored by the data API, which numbers them and never edits or
+ * removes them. An entry the server could not take is kept in this browser
+ * and sent again with the next one. Entries can be filtered and exported as
+ * CSV for compliance reporting.
+ */
+
+import { getRole } from '../utils/accessControl';
+
+// Entries waiting to be sent to the server
+const PENDING_KEY = 'triagro_audit_pending';
+// Longer strings in snapshots (file contents, data URLs) are cut to this length
+const MAX_SNAPSHOT_STRING = 2000;
+
+export const AUDIT_ACTIONS = {
+  upload: { id: 'upload', label: 'Upload', color: 'green' },
+  update: { id: 'update', label: 'Edit', color: 'blue' },
+  delete: { id: 'delete', label: 'Delete', color: 'red' },
+  workflow: { id: 'workflow', label: 'Workflow', color: 'yellow' },
+  sms: { id: 'sms', label: 'SMS dispatch', color: 'purple' },
+  emergency: { id: 'emergency', label: 'Emergency alert', color: 'orange' },
+};
+
+const readPending = () => {
+  try {
+    const stored = localStorage.getItem(PENDING_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.warn(`Could not read ${PENDING_KEY}:`, error);
+    return [];
+  }
+};
+
+const describeActor = (user) => ({
+  id: user?.id || user?._id || null,
+  name: user?.name || [user?.firstName, user?.lastName].filter(Boolean).join(' ') || user?.email || 'Unknown user',
+  email: user?.email || null,
+  role: user?.role ? getRole(user).id : null,
+});
+
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class AuditLogService {
+  /**
+   * A new entry, ready to send to the server
+   * @param {Object} entry - { action, entityType, entityId, before, after, summary, actor }
+   *   where actor is the signed-in user as stored by userService
+   */
+  createEntry({ action, entityType, entityId = null, before = null, after = null, summary = '', actor = null }) {
+    return {
+      id: `audit_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      timestamp: new Date().toISOString(),
+      actor: describeActor(actor),
+      action,
+      entityType,
+      entityId: entityId === null ? null : String(entityId),
+      before: this.snapshot(before),
+      after: this.snapshot(after),
+      summary,
+    };
+  }
+
+  /**
+   * Remove and return the entries still waiting to be sent, oldest first
+   */
+  takePending() {
+    const pending = readPending();
+    if (pending.length > 0) localStorage.removeItem(PENDING_KEY);
+    return pending;
+  }
+
+  /**
+   * Keep entries the server could not take, to send again later
+   */
+  keepPending(entries) {
+    const pending = [...readPending(), ...entries];
+    try {
+      localStorage.setItem(PENDING_KEY, JSON.stringify(pending));
+    } catch (error) {
+      console.error(`Could not keep ${pending.length} unsent audit entries:`, error);
+    }
+  }
+
+  getPendingCount() {
+    return readPending().length;
+  }
+
+  /**
+   * A JSON-safe copy of a record or upload. Files keep their name, type and
+   * size, FormData becomes a plain object and long strings are shortened.
+   */
+  snapshot(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof File !== 'undefined' && value instanceof File) {
+      return { fileName: value.name, type: value.type, size: value.size };
+    }
+    if (typeof FormData !== 'undefined' && value instanceof FormData) {
+      const fields = {};
+      for (const [key, field] of value.entries()) {
+        fields[key] = this.snapshot(field);
+      }
+      return fields;
+    }
+    if (Array.isArray(value)) return value.map(item => this.snapshot(item));
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, this.snapshot(field)]));
+    }
+    if (typeof value === 'string' && value.length > MAX_SNAPSHOT_STRING) {
+      return `${value.slice(0, MAX_SNAPSHOT_STRING)}… (${value.length} characters)`;
+    }
+    return value;
+  }
+
+  /**
+   * The given entries that match the filters, newest first
+   * @param {Array} entries - Entries from the server
+   * @param {Object} filters - { action, entityType, actor, from, to, search };
+   *   from/to are dates (YYYY-MM-DD) and include the whole day
+   */
+  filterEntries(entries, filters = {}) {
+    const { action, entityType, actor, from, to, search } = filters;
+    const term = (search || '').trim().toLowerCase();
+
+    return entries
+      .filter((entry) => {
+        if (action && entry.action !== action) return false;
+        if (entityType && entry.entityType !== entityType) return false;
+        if (actor && entry.actor.email !== actor && entry.actor.name !== actor) return false;
+        if (from && entry.timestamp.slice(0, 10) < from) return false;
+        if (to && entry.timestamp.slice(0, 10) > to) return false;
+        if (term) {
+          const haystack = [entry.summary, entry.entityId, entry.entityType, entry.actor.name, entry.actor.email]
+            .join(' ')
+            .toLowerCase();
+          if (!haystack.includes(term)) return false;
+        }
+        return true;
+      })
+      .sort((a, b) => (b.sequence || 0) - (a.sequence || 0) || b.timestamp.localeCompare(a.timestamp));
+  }
+
+  /**
+   * Distinct actors and entity types, for the viewer's filter options
+   */
+  getFacets(entries) {
+    const actors = new Map();
+    entries.forEach(entry => actors.set(entry.actor.email || entry.actor.name, entry.actor));
+    return {
+      actors: [...actors.values()],
+      entityTypes: [...new Set(entries.map(entry => entry.entityType))].sort(),
+    };
+  }
+
+  /**
+   * CSV of the given entries, one row per entry with the snapshots as JSON
+   */
+  toCsv(entries) {
+    const headers = [
+      'Sequence', 'Timestamp', 'Actor', 'Actor email', 'Actor role', 'Action',
+      'Entity type', 'Entity ID', 'Summary', 'Before', 'After',
+    ];
+    const rows = entries.map(entry => [
+      entry.sequence,
+      entry.timestamp,
+      entry.actor.name,
+      entry.actor.email,
+      entry.actor.role,
+      AUDIT_ACTIONS[entry.action]?.label || entry.action,
+      entry.entityType,
+      entry.entityId,
+      entry.summary,
+      entry.before ? JSON.stringify(entry.before) : '',
+      entry.after ? JSON.stringify(entry.after) : '',
+    ]);
+    return [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+  }
+}
+
+export default new AuditLogService();
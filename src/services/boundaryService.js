@@ -0,0 +1,122 @@
+/**
+ * Boundary Service
+ * District and region boundary polygons keyed by the codes in ghanaCodes.js,
+ * for drawing map layers, and each district's reference point.
+ *
+ * Geometry comes from assets/ghana-boundaries.json. Until it is replaced with
+ * the official Ghana Statistical Service boundaries the polygons are only
+ * approximate, so nothing resolves a point to a district through them.
+ *
+ * Every feature carries { level: 'district' | 'region', code, name } and
+ * districts also carry { regionCode, regionName, center: [lng, lat] }.
+ * Districts without an entry in ghanaCodes.js have a null code. ghanaCodes.js
+ * still lists the districts of Brong Ahafo and the old Northern Region under
+ * their former regions as well; those codes resolve to the same district's
+ * polygon in its current region.
+ */
+
+import boundaries from '../assets/ghana-boundaries.json';
+import { GHANA_REGIONS, getDistrictByCode } from '../data/ghanaCodes';
+import { REGION_CENTERS } from './weatherProviderService';
+
+// Polygons named differently from the district's entry in ghanaCodes.js
+const DISTRICT_CODE_ALIASES = {
+  'Awutu Senya West': 'DS087',
+  'Hemang Lower Denkyira': 'DS099',
+  'Obuasi Municipal': 'DS055',
+  'Offinso Municipal': 'DS057',
+  'Techiman Municipal': 'DS261',
+  'Tema Metropolitan': 'DS026',
+};
+
+const withAliasCode = (feature) => {
+  const alias = DISTRICT_CODE_ALIASES[feature.properties.name];
+  if (feature.properties.code || !alias) return feature;
+  return { ...feature, properties: { ...feature.properties, code: alias } };
+};
+
+const toFeatureCollection = (features) => ({ type: 'FeatureCollection', features });
+
+// Some districts are listed with and without their assembly type
+const baseName = (name) => (name || '').replace(/\s+(Municipal|Metropolitan)$/, '');
+
+class BoundaryService {
+  constructor() {
+    this.metadata = boundaries.metadata || {};
+
+    this.districts = boundaries.features
+      .filter(feature => feature.properties.level === 'district')
+      .map(withAliasCode);
+    this.regions = boundaries.features.filter(feature => feature.properties.level === 'region');
+
+    this.districtCollection = toFeatureCollection(this.districts);
+    this.regionCollection = toFeatureCollection(this.regions);
+  }
+
+  /**
+   * District polygons as a GeoJSON FeatureCollection (stable reference, safe for React props)
+   */
+  getDistrictFeatures() {
+    return this.districtCollection;
+  }
+
+  getRegionFeatures() {
+    return this.regionCollection;
+  }
+
+  getDistrictFeature(districtCode) {
+    // A polygon carrying the code in the file comes before one mapped to it by name
+    const byCode = (code) => {
+      const matches = this.districts.filter(feature => feature.properties.code === code);
+      return matches.find(feature => !DISTRICT_CODE_ALIASES[feature.properties.name]) || matches[0] || null;
+    };
+    const feature = byCode(districtCode);
+    if (feature || !districtCode) return feature;
+
+    // A district listed under its former region shares its name with the
+    // entry in its current region
+    const name = baseName(getDistrictByCode(districtCode)?.name);
+    if (!name) return null;
+    const sameName = Object.values(GHANA_REGIONS)
+      .flatMap(region => Object.entries(region.districts))
+      .filter(([code, districtName]) => baseName(districtName) === name && code !== districtCode);
+    return sameName.map(([code]) => byCode(code)).find(Boolean) || null;
+  }
+
+  getRegionFeature(regionCode) {
+    return this.regions.find(feature => feature.properties.code === regionCode) || null;
+  }
+
+  /**
+   * Forecast point for a district: its polygon centre, else its regional capital
+   * @returns {Object|null} { lat, lng, name }
+   */
+  getDistrictLocation(districtCode) {
+    const feature = this.getDistrictFeature(districtCode);
+    const district = getDistrictByCode(districtCode);
+    if (feature?.properties.center) {
+      const [lng, lat] = feature.properties.center;
+      return { lat, lng, name: district?.name || feature.properties.name };
+    }
+    const regionName = (district?.regionName || '').replace(/\s+Region$/, '');
+    return REGION_CENTERS[regionName] || null;
+  }
+
+  /**
+   * Plain district record for a feature
+   * @returns {Object} { code, name, regionCode, regionName, center: [lng, lat] }
+   */
+  toDistrict(feature) {
+    const { code, name, regionCode, regionName, center } = feature.properties;
+    return { code, name, regionCode, regionName, center };
+  }
+
+  /**
+   * Whether the bundled geometry is a stand-in for official boundaries
+   */
+  isProvisional() {
+    return /provisional/i.test(this.metadata.source || '');
+  }
+}
+
+export default new BoundaryService();
@@ -0,0 +1,153 @@
+/**
+ * Calendar Layout Profile Service
+ * Stores the calendar layouts admins map by hand when automatic detection
+ * fails: which rows hold the month, week and date headers, the activity
+ * column, the timeline columns and the fill colours that mean "active".
+ * Profiles belong to a district, so the next upload from that district is
+ * parsed with its profile (see the layout-profile parsing strategy).
+ *
+ * Profiles are stored by the data API, so every admin uploading for a
+ * district gets the same layouts. The server sets their ids, timestamps and
+ * use counts.
+ */
+
+import calendarParsingService from './calendarParsingService';
+import userService from './userService';
+import { getDistrictCode, getDistrictName } from '../data/ghanaCodes';
+
+// Forms pass district names, the enhanced upload passes codes
+const toDistrictCode = (district) => getDistrictCode(getDistrictName(district));
+
+const isRowIndex = (value) => Number.isInteger(value) && value >= -1;
+
+class CalendarLayoutProfileService {
+  /**
+   * @param {Object} filters - e.g. { districtCode }
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  async getProfiles(filters = {}) {
+    return userService.getCalendarLayoutProfiles(filters);
+  }
+
+  /**
+   * The most recently used profile for a district. Uploads parse without a
+   * profile when the profiles cannot be loaded.
+   * @param {string} district - District name or code
+   * @returns {Promise<Object|null>}
+   */
+  async getProfileForDistrict(district) {
+    if (!district) return null;
+    const districtCode = toDistrictCode(district);
+    const result = await this.getProfiles({ districtCode });
+    if (!result.success) {
+      console.warn('Could not load calendar layout profiles:', result.error);
+      return null;
+    }
+    return result.data
+      .filter(profile => profile.districtCode === districtCode)
+      .sort((a, b) => (b.lastUsedAt || b.updatedAt).localeCompare(a.lastUsedAt || a.updatedAt))[0] || null;
+  }
+
+  /**
+   * Check a mapping from the mapping wizard
+   * @returns {Array<string>} Problems; empty when the mapping is usable
+   */
+  validateMapping(mapping) {
+    const errors = [];
+    if (!mapping) return ['No layout mapping given.'];
+    if (!Number.isInteger(mapping.activityColumn) || mapping.activityColumn < 0) {
+      errors.push('Mark the activity column.');
+    }
+    if (!Number.isInteger(mapping.firstActivityRow) || mapping.firstActivityRow < 0) {
+      errors.push('Mark the first activity row.');
+    }
+    if (![mapping.monthRow, mapping.weekRow, mapping.dateRow].every(isRowIndex)) {
+      errors.push('Header rows must be row numbers.');
+    }
+    const headerRows = [mapping.monthRow, mapping.weekRow, mapping.dateRow].filter(r => r >= 0);
+    if (headerRows.some(r => r >= mapping.firstActivityRow)) {
+      errors.push('Header rows must be above the first activity row.');
+    }
+    if (mapping.timelineEnd != null && mapping.timelineEnd < mapping.timelineStart) {
+      errors.push('The timeline must end after it starts.');
+    }
+    return errors;
+  }
+
+  /**
+   * Create or update the layout profile of a district
+   * @param {Object} profile - { id?, name, district, region, sheetName, mapping }
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  async saveProfile({ id, name, district, region, sheetName, mapping }) {
+    if (!district) {
+      return { success: false, error: 'Select a district before saving a layout profile.' };
+    }
+    const errors = this.validateMapping(mapping);
+    if (errors.length > 0) {
+      return { success: false, error: errors.join(' ') };
+    }
+
+    const districtName = getDistrictName(district);
+    const result = await userService.saveCalendarLayoutProfile({
+      id: id || undefined,
+      name: name?.trim() || `${districtName} calendar layout`,
+      districtCode: toDistrictCode(district),
+      districtName,
+      region: region || undefined,
+      sheetName: sheetName || null,
+      mapping: {
+        monthRow: mapping.monthRow,
+        weekRow: mapping.weekRow,
+        dateRow: mapping.dateRow,
+        activityColumn: mapping.activityColumn,
+        firstActivityRow: mapping.firstActivityRow,
+        timelineStart: mapping.timelineStart ?? mapping.activityColumn + 1,
+        timelineEnd: mapping.timelineEnd ?? null,
+        activeColors: mapping.activeColors || [],
+      },
+    });
+    if (!result.success) {
+      return { success: false, error: `Could not save the layout profile: ${result.error}` };
+    }
+    return result;
+  }
+
+  /**
+   * Record that a profile parsed an upload, so it stays the district default
+   */
+  async markUsed(id) {
+    const result = await userService.markCalendarLayoutProfileUsed(id);
+    if (!result.success) console.warn('Could not record the layout profile use:', result.error);
+  }
+
+  /**
+   * Whether a parse result should go to the mapping wizard: nothing was
+   * found, or the weakest stage was a guess and no profile was used
+   */
+  needsMapping(result) {
+    if (!result?.success) return true;
+    return !result.layoutProfile && result.confidence?.level === 'low';
+  }
+
+  /**
+   * Parse an upload with a layout profile, by default the district's own.
+   * The profile only wins when it fits the sheet; the result names it when
+   * it was used.
+   * @param {Object|null} [profile] - Omit for the district's own; null parses without one
+   * @returns {Promise<Object>} calendarParsingService.parseFile result plus layoutProfile
+   */
+  async parseWithProfile(file, metadata = {}, profile) {
+    const layoutProfile = profile === undefined ? await this.getProfileForDistrict(metadata.district) : profile;
+    const result = await calendarParsingService.parseFile(file, { ...metadata, layoutProfile });
+    const usedProfile = Boolean(layoutProfile) && result.confidence?.stages.structure?.strategy === 'layout-profile';
+    if (usedProfile && layoutProfile.id) await this.markUsed(layoutProfile.id);
+    return { ...result, layoutProfile: usedProfile ? { id: layoutProfile.id, name: layoutProfile.name } : null };
+  }
+
+  async deleteProfile(id) {
+    return userService.deleteCalendarLayoutProfile(id);
+  }
+}
+
+export default new CalendarLayoutProfileService();
@@ -0,0 +1,60 @@
+/**
+ * Activity Extraction Strategies
+ * Read the activity rows below the headers.
+ *
+ * Activities: { id, name, row, source }
+ */
+
+import { looksLikeActivityName, cleanActivityName } from './calendarPatterns';
+
+// A legend or notes block ends the activity list
+const SECTION_END_PATTERN = /^(legend|key|notes?|remarks?|comments?|source|prepared by)\b/i;
+
+export const activityColumnStrategy = {
+  id: 'activity-column',
+  label: 'Named rows in the activity column',
+  run({ grid, structure }) {
+    const { activityColumn, firstActivityRow } = structure;
+    const activities = [];
+    const seen = new Set();
+    let skipped = 0;
+    const heuristics = new Set();
+
+    for (let r = firstActivityRow; r < grid.rows.length; r += 1) {
+      const cell = grid.rows[r][activityColumn];
+      if (!cell?.text) continue;
+      if (SECTION_END_PATTERN.test(cell.text)) {
+        heuristics.add('stopped-at-legend');
+        break;
+      }
+      if (!looksLikeActivityName(cell.text)) {
+        // Bare row numbers are expected; skipped text may be a missed activity
+        if (/[a-z]/i.test(cell.text)) skipped += 1;
+        continue;
+      }
+
+      const name = cleanActivityName(cell.text);
+      if (name !== cell.text) heuristics.add('name-cleaned');
+      // Merged name cells repeat over several rows; keep the first
+      if (cell.mergedFrom && seen.has(cell.mergedFrom)) {
+        heuristics.add('merged-names');
+        continue;
+      }
+      seen.add(cell.address);
+
+      activities.push({ id: `row-${r + 1}`, name, row: r, source: { address: cell.address } });
+    }
+
+    if (activities.length === 0) return null;
+    const notes = skipped > 0 ? [`${skipped} row(s) in the activity column were not read as activities.`] : [];
+    if (skipped > 0) heuristics.add('skipped-rows');
+    return {
+      result: activities,
+      confidence: activities.length / (activities.length + skipped),
+      notes,
+      heuristics: [...heuristics],
+    };
+  },
+};
+
+export default [activityColumnStrategy];
@@ -0,0 +1,77 @@
+/**
+ * Calendar Patterns
+ * Text recognisers shared by the calendar parsing strategies.
+ */
+
+export const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+const MONTH_PATTERN = /^(jan(uary)?|feb(ruary)?|mar(ch)?|apr(il)?|may|june?|july?|aug(ust)?|sep(t(ember)?)?|oct(ober)?|nov(ember)?|dec(ember)?)\.?(\s*['-]?\s*\d{2,4})?$/i;
+const WEEK_PATTERN = /^(w|wk|week)\s*[-.]?\s*\d{1,3}$/i;
+const DAY_RANGE_PATTERN = /^(day\s*)?\d{1,3}\s*[-–]\s*\d{1,3}$/i;
+const DATE_PATTERN = /\d{1,2}\s*(st|nd|rd|th)?\s*[/.-]?\s*(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec|\d{1,2})/i;
+
+// Header words that label the activity column rather than naming an activity
+const ACTIVITY_HEADER_WORDS = ['activity', 'activities', 'stage of', 'stages', 'task', 'operation', 'farm practice'];
+const NON_ACTIVITY_WORDS = ['s/n', 'calendar date', 'month', 'week', 'date', 'total', 'legend', 'note', 'source:'];
+
+/**
+ * Month number (1-12) named by a header cell, or null
+ */
+export const matchMonth = (text) => {
+  const value = String(text || '').trim();
+  if (!MONTH_PATTERN.test(value)) return null;
+  const prefix = value.slice(0, 3).toLowerCase();
+  return MONTH_NAMES.findIndex(name => name.slice(0, 3).toLowerCase() === prefix) + 1 || null;
+};
+
+export const isWeekLabel = (text) => WEEK_PATTERN.test(String(text || '').trim());
+
+export const isDateRangeLabel = (text) => {
+  const value = String(text || '').trim();
+  return value !== '' && (DAY_RANGE_PATTERN.test(value) || DATE_PATTERN.test(value));
+};
+
+export const isActivityHeader = (text) => {
+  const value = String(text || '').toLowerCase();
+  return ACTIVITY_HEADER_WORDS.some(word => value.includes(word));
+};
+
+/**
+ * Whether a first-column cell can name an activity
+ */
+export const looksLikeActivityName = (text) => {
+  const value = String(text || '').trim();
+  if (value.length < 3 || /^\d+(\.\d+)?$/.test(value)) return false;
+  if (matchMonth(value) || isWeekLabel(value)) return false;
+  const lower = value.toLowerCase();
+  return !isActivityHeader(lower) && !NON_ACTIVITY_WORDS.some(word => lower.startsWith(word));
+};
+
+/**
+ * Strip row numbering and stray separators from an activity name
+ */
+export const cleanActivityName = (text) => String(text || '')
+  .replace(/^\s*\d+\s*[.)]\s+/, '')
+  .replace(/^[|\-_\s]+/, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Poultry and other livestock calendars run on production cycles rather than months
+const CYCLE_COMMODITIES = ['broiler', 'layer', 'cockerel', 'duck', 'turkey', 'guinea fowl', 'goose', 'poultry'];
+const SEASONAL_COMMODITIES = [
+  'maize', 'rice', 'sorghum', 'millet', 'soybean', 'soyabean', 'cowpea', 'groundnut', 'cassava',
+  'yam', 'plantain', 'tomato', 'pepper', 'onion', 'okra', 'garden egg', 'cocoa', 'cashew', 'beans',
+];
+
+/**
+ * Commodity named in free text (title, file name), or null
+ */
+export const findCommodity = (text) => {
+  const value = String(text || '').toLowerCase();
+  return [...CYCLE_COMMODITIES, ...SEASONAL_COMMODITIES].find(name => value.includes(name)) || null;
+};
+
+export const isCycleCommodity = (commodity) => CYCLE_COMMODITIES.includes(String(commodity || '').toLowerCase());
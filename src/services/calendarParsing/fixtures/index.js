@@ -0,0 +1,64 @@
+/**
+ * Calendar Parsing Fixtures
+ * Sample workbooks for the calendar layouts district offices upload, each
+ * paired with the snapshot the parser is expected to produce. When a parsing
+ * change is intended, copy the new snapshot from the Calendar Parser Checks
+ * page into the matching .expected.json file and review the diff.
+ *
+ * `npm run test:calendars` checks them in Node. The workbooks are resolved
+ * at run time rather than imported, so they stay out of the production
+ * build; the Dashboard page can only load them from the dev server.
+ */
+
+import maizeMergedMonths from './maize-merged-months.expected.json';
+import riceUnmergedMonths from './rice-unmerged-months.expected.json';
+import broilerProductionCycle from './broiler-production-cycle.expected.json';
+import sorghumTextMarkers from './sorghum-text-markers.expected.json';
+import tomatoHeaderless from './tomato-headerless.expected.json';
+
+// Held in a variable so the bundler does not pull the workbooks into the build
+const FIXTURES_BASE_URL = import.meta.url;
+
+const fixture = (file, description, metadata, expected) => ({
+  id: file.replace(/\.xlsx$/, ''),
+  file,
+  url: new URL(`./${file}`, FIXTURES_BASE_URL).href,
+  description,
+  metadata,
+  expected,
+});
+
+const fixtures = [
+  fixture(
+    'maize-merged-months.xlsx',
+    'Merged month headers over week and calendar-date rows, S/N column, legend block',
+    { crop: 'Maize' },
+    maizeMergedMonths
+  ),
+  fixture(
+    'rice-unmerged-months.xlsx',
+    'Month named once above its first week, theme colours, no activity header',
+    {},
+    riceUnmergedMonths
+  ),
+  fixture(
+    'broiler-production-cycle.xlsx',
+    'Production weeks without months, activity name merged over two rows',
+    { poultryType: 'Broiler' },
+    broilerProductionCycle
+  ),
+  fixture(
+    'sorghum-text-markers.xlsx',
+    'Saved without formatting: X markers under month columns, remarks row',
+    {},
+    sorghumTextMarkers
+  ),
+  fixture(
+    'tomato-headerless.xlsx',
+    'No month or week headers at all',
+    {},
+    tomatoHeaderless
+  ),
+];
+
+export default fixtures;
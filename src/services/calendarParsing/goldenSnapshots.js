@@ -0,0 +1,92 @@
+/**
+ * Golden Snapshots
+ * Regression checks for calendar parsing. A snapshot is the compact,
+ * reviewable part of a parse result (timeline labels, activity periods and
+ * colours, chosen strategies, heuristics that fired); the fixture corpus in
+ * ./fixtures pairs sample workbooks with their expected snapshots.
+ */
+
+import calendarParsingService, { PARSING_STAGES } from '../calendarParsingService';
+import fixtures from './fixtures';
+
+/**
+ * [0, 1, 2, 6] -> "0-2,6"
+ */
+const compactPeriods = (periods) => periods.reduce((ranges, period) => {
+  const last = ranges[ranges.length - 1];
+  if (last && period === last[1] + 1) last[1] = period;
+  else ranges.push([period, period]);
+  return ranges;
+}, []).map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)).join(',');
+
+export const toGoldenSnapshot = (result) => {
+  const stages = result.confidence?.stages || {};
+  const strategies = Object.fromEntries(PARSING_STAGES.map(stage => [stage, stages[stage]?.strategy || null]));
+  const heuristics = result.confidence?.heuristics || [];
+
+  if (!result.success) {
+    return { success: false, error: result.error, strategies, heuristics };
+  }
+
+  const { timeline, activities } = result.data;
+  return {
+    success: true,
+    sheetName: result.sheetName,
+    calendarType: result.calendarType,
+    commodity: result.commodity,
+    title: result.title,
+    timeline: timeline.columns.map(column => [...new Set([column.label, column.monthLabel, column.dateRange])].filter(Boolean).join(' | ')),
+    months: timeline.months.map(month => `${month.name} ${month.startIndex}+${month.colspan}`),
+    activities: activities.map(activity => ({
+      name: activity.name,
+      cell: activity.source.address,
+      color: activity.color,
+      periods: compactPeriods(activity.periods),
+    })),
+    strategies,
+    heuristics,
+    confidence: result.confidence.score,
+  };
+};
+
+/**
+ * Differences between an expected and an actual snapshot
+ * @returns {Array<Object>} { path, expected, actual }
+ */
+export const compareSnapshots = (expected, actual, path = '') => {
+  if (Array.isArray(expected) || Array.isArray(actual) || (expected && actual && typeof expected === 'object' && typeof actual === 'object')) {
+    if (Array.isArray(expected) !== Array.isArray(actual) || !expected || !actual) {
+      return [{ path: path || '(root)', expected, actual }];
+    }
+    const keys = Array.isArray(expected)
+      ? Array.from({ length: Math.max(expected.length, actual.length) }, (_, index) => index)
+      : [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+    return keys.flatMap(key => compareSnapshots(expected[key], actual[key], path ? `${path}.${key}` : String(key)));
+  }
+  return expected === actual ? [] : [{ path: path || '(root)', expected, actual }];
+};
+
+const loadFixtureFile = async (fixture) => {
+  const response = await fetch(fixture.url);
+  if (!response.ok) throw new Error(`Could not load ${fixture.file} (HTTP ${response.status})`);
+  const buffer = await response.arrayBuffer();
+  return { name: fixture.file, size: buffer.byteLength, arrayBuffer: async () => buffer };
+};
+
+/**
+ * Parse every fixture workbook and compare it with its expected snapshot
+ * @param {Array} corpus - Fixtures to run
+ * @param {Function} loadFile - (fixture) => Promise of a File-like
+ *   { name, size, arrayBuffer() }; the default fetches the fixture URL
+ * @returns {Promise<Array<Object>>} { id, description, passed, diffs, snapshot, error }
+ */
+export const runCalendarFixtures = async (corpus = fixtures, loadFile = loadFixtureFile) => Promise.all(corpus.map(async (fixture) => {
+  try {
+    const file = await loadFile(fixture);
+    const snapshot = toGoldenSnapshot(await calendarParsingService.parseFile(file, fixture.metadata));
+    const diffs = compareSnapshots(fixture.expected, snapshot);
+    return { id: fixture.id, description: fixture.description, passed: diffs.length === 0, diffs, snapshot };
+  } catch (error) {
+    return { id: fixture.id, description: fixture.description, passed: false, diffs: [], snapshot: null, error: error.message };
+  }
+}));
@@ -0,0 +1,98 @@
+/**
+ * Colour-to-Schedule Strategies
+ * Decide which timeline cells of each activity row are scheduled and record
+ * why, so every active cell can be traced back to the sheet.
+ *
+ * Schedules: { activityId, color, cells: [{ active, value, background, source }] }
+ * with one cell per timeline column.
+ */
+
+const IGNORED_MARKERS = ['0', '-', 'false', 'null', 'n/a'];
+
+const mostFrequent = (values) => {
+  const counts = values.reduce((acc, value) => acc.set(value, (acc.get(value) || 0) + 1), new Map());
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+};
+
+const buildSchedules = ({ grid, timeline, activities }, isActive, rule) => activities.map((activity) => {
+  const row = grid.rows[activity.row] || [];
+  const cells = timeline.map((column) => {
+    const cell = row[column.column];
+    const active = Boolean(cell && isActive(cell));
+    return {
+      active,
+      value: cell?.text || '',
+      background: active ? cell.color : null,
+      source: { address: cell?.address || null, rule: active ? rule : null },
+    };
+  });
+  return {
+    activityId: activity.id,
+    color: mostFrequent(cells.filter(cell => cell.background).map(cell => cell.background)),
+    cells,
+  };
+});
+
+const scheduledShare = (schedules) => (
+  schedules.filter(schedule => schedule.cells.some(cell => cell.active)).length / (schedules.length || 1)
+);
+
+/**
+ * Only the fill colours an admin marked as active in a layout profile; other
+ * fills (legend swatches, shaded weekends) are ignored
+ */
+export const profileColoursStrategy = {
+  id: 'profile-colours',
+  label: 'Active colours from the layout profile',
+  run(context) {
+    const activeColors = context.structure.activeColors || [];
+    if (activeColors.length === 0) return null;
+    const schedules = buildSchedules(context, cell => activeColors.includes(cell.color), 'profile-colour');
+    const share = scheduledShare(schedules);
+    if (share === 0) return null;
+    const notes = share < 1 ? ['Some activities have none of the profile colours.'] : [];
+    const heuristics = ['profile-colours', share < 1 && 'unscheduled-activities'].filter(Boolean);
+    // The admin said which colours count, so other fills must not win
+    return { result: schedules, confidence: 1, notes, heuristics };
+  },
+};
+
+/**
+ * Filled (coloured) cells mark scheduled periods, as in the MoFA templates
+ */
+export const cellFillStrategy = {
+  id: 'cell-fill',
+  label: 'Cell fill colours',
+  run(context) {
+    const schedules = buildSchedules(context, cell => Boolean(cell.color), 'fill');
+    const share = scheduledShare(schedules);
+    if (share === 0) return null;
+    const notes = share < 1 ? ['Some activities have no coloured cells.'] : [];
+    const heuristics = ['fill-colour', share < 1 && 'unscheduled-activities'].filter(Boolean);
+    return { result: schedules, confidence: share, notes, heuristics };
+  },
+};
+
+/**
+ * Marker text (X, ✓, 1, dates) marks scheduled periods; used for files saved
+ * without formatting, such as CSV exports or backend sheet rows
+ */
+export const cellMarkerStrategy = {
+  id: 'cell-marker',
+  label: 'Marker text in cells',
+  run(context) {
+    const isMarker = cell => cell.text !== '' && !IGNORED_MARKERS.includes(cell.text.toLowerCase());
+    const schedules = buildSchedules(context, isMarker, 'marker');
+    const share = scheduledShare(schedules);
+    if (share === 0) return null;
+    // Text markers are less reliable than fills: notes and labels look the same
+    return {
+      result: schedules,
+      confidence: share * 0.8,
+      notes: ['Schedule read from cell text, not colours.'],
+      heuristics: ['text-marker', share < 1 && 'unscheduled-activities'].filter(Boolean),
+    };
+  },
+};
+
+export default [profileColoursStrategy, cellFillStrategy, cellMarkerStrategy];
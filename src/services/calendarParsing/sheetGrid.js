@@ -0,0 +1,118 @@
+/**
+ * Sheet Grid
+ * Turns a SheetJS worksheet, or the raw sheet rows the backend stores with an
+ * uploaded calendar, into one grid shape the parsing strategies work on:
+ * rows of { value, text, color, address } cells.
+ */
+
+import * as XLSX from 'xlsx';
+
+// Excel's default indexed palette (entries calendars actually use)
+const INDEXED_COLORS = {
+  8: '#000000', 9: '#FFFFFF', 10: '#FF0000', 11: '#00FF00', 12: '#0000FF', 13: '#FFFF00',
+  14: '#FF00FF', 15: '#00FFFF', 16: '#800000', 17: '#008000', 18: '#000080', 19: '#808000',
+  20: '#800080', 21: '#008080', 22: '#C0C0C0', 23: '#808080', 40: '#00CCFF', 41: '#CCFFFF',
+  42: '#CCFFCC', 43: '#FFFF99', 44: '#99CCFF', 45: '#FF99CC', 46: '#CC99FF', 47: '#FFCC99',
+  48: '#3366FF', 49: '#33CCCC', 50: '#99CC00', 51: '#FFCC00', 52: '#FF9900', 53: '#FF6600',
+  54: '#666699', 55: '#969696', 56: '#003366', 57: '#339966', 58: '#003300', 59: '#333300',
+  60: '#993300', 61: '#993366', 62: '#333399', 63: '#333333',
+};
+
+const toHex = (color) => {
+  if (!color) return null;
+  if (color.rgb) {
+    const rgb = String(color.rgb).replace(/^#/, '');
+    return `#${rgb.slice(-6).toUpperCase()}`;
+  }
+  if (color.indexed !== undefined) return INDEXED_COLORS[color.indexed] || null;
+  return null;
+};
+
+/**
+ * Solid fill colour of a cell style as #RRGGBB, or null when the cell is not
+ * filled. Accepts SheetJS community styles ({ patternType, fgColor }) as well
+ * as the nested { fill: { ... } } form written by styling forks.
+ */
+export const getFillColor = (style) => {
+  if (!style) return null;
+  const fill = style.fill || style;
+  if (fill.patternType && fill.patternType !== 'solid') return null;
+  const color = toHex(fill.fgColor) || toHex(fill.bgColor);
+  return color === '#FFFFFF' ? null : color;
+};
+
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value).trim();
+};
+
+/**
+ * Read an uploaded workbook. Stub cells are kept because calendar bars are
+ * often coloured cells with no value.
+ */
+export const readWorkbook = async (file) => {
+  const arrayBuffer = await file.arrayBuffer();
+  const workbook = XLSX.read(arrayBuffer, { type: 'array', cellStyles: true, sheetStubs: true });
+  if (!workbook?.SheetNames?.length) {
+    throw new Error('Excel file contains no readable sheets. Please check the file format.');
+  }
+  return workbook;
+};
+
+/**
+ * Grid for one SheetJS worksheet. Merged cells repeat their value across the
+ * merge so month headers spanning several week columns line up.
+ */
+export const worksheetToGrid = (worksheet, name) => {
+  const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1:A1');
+  const rows = [];
+
+  for (let r = 0; r <= range.e.r; r += 1) {
+    const row = [];
+    for (let c = 0; c <= range.e.c; c += 1) {
+      const address = XLSX.utils.encode_cell({ r, c });
+      const cell = worksheet[address];
+      const value = cell && cell.t !== 'z' ? cell.v : null;
+      row.push({
+        value,
+        text: cell?.w !== undefined ? String(cell.w).trim() : cellText(value),
+        color: getFillColor(cell?.s),
+        address,
+      });
+    }
+    rows.push(row);
+  }
+
+  (worksheet['!merges'] || []).forEach(({ s, e }) => {
+    const origin = rows[s.r]?.[s.c];
+    if (!origin) return;
+    for (let r = s.r; r <= e.r; r += 1) {
+      for (let c = s.c; c <= e.c; c += 1) {
+        if ((r !== s.r || c !== s.c) && rows[r]?.[c]) {
+          rows[r][c] = { ...rows[r][c], value: origin.value, text: origin.text, mergedFrom: origin.address };
+        }
+      }
+    }
+  });
+
+  return { name, rows };
+};
+
+/**
+ * Grid for sheet rows stored by the backend: arrays of plain values, or of
+ * { value, style } objects when formatting was kept.
+ */
+export const rowsToGrid = (data, name) => ({
+  name,
+  rows: (Array.isArray(data) ? data : []).map((row, r) => (Array.isArray(row) ? row : []).map((entry, c) => {
+    const isObject = entry !== null && typeof entry === 'object' && !(entry instanceof Date);
+    const value = isObject ? entry.value ?? entry.v ?? null : entry;
+    return {
+      value,
+      text: cellText(value),
+      color: isObject ? getFillColor(entry.style || entry.s) : null,
+      address: XLSX.utils.encode_cell({ r, c }),
+    };
+  })),
+});
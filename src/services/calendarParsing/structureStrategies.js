@@ -0,0 +1,238 @@
+/**
+ * Structure Detection Strategies
+ * Locate the header rows (month / week / date), the activity column, where
+ * the timeline starts and the first activity row.
+ *
+ * Each strategy returns { result, confidence (0-1), notes, heuristics } or
+ * null; `heuristics` names the rules that shaped the result.
+ */
+
+import {
+  matchMonth, isWeekLabel, isDateRangeLabel, isActivityHeader, looksLikeActivityName,
+  findCommodity, isCycleCommodity,
+} from './calendarPatterns';
+
+const HEADER_SCAN_ROWS = 15;
+const MIN_LABELS = 3; // labelled cells needed before a row counts as a header row
+
+const countMatches = (row, test) => row.filter(cell => test(cell.text)).length;
+
+const findHeaderRow = (rows, test) => {
+  for (let r = 0; r < Math.min(rows.length, HEADER_SCAN_ROWS); r += 1) {
+    if (countMatches(rows[r], test) >= MIN_LABELS) return r;
+  }
+  return -1;
+};
+
+const findTitle = (rows, beforeRow) => {
+  const candidates = rows.slice(0, Math.max(beforeRow, 1))
+    .flat()
+    .map(cell => cell.text)
+    .filter(text => text.length > 5 && !matchMonth(text) && !isWeekLabel(text));
+  return candidates.sort((a, b) => b.length - a.length)[0] || '';
+};
+
+const resolveCommodity = (metadata, title) => {
+  if (metadata.crop || metadata.poultryType) return { commodity: metadata.crop || metadata.poultryType, heuristic: 'commodity-from-form' };
+  if (findCommodity(title)) return { commodity: findCommodity(title), heuristic: 'commodity-from-title' };
+  if (findCommodity(metadata.fileName)) return { commodity: findCommodity(metadata.fileName), heuristic: 'commodity-from-filename' };
+  return { commodity: null, heuristic: 'commodity-unknown' };
+};
+
+const resolveCalendarType = (metadata, commodity, weekRow, monthRow) => {
+  if (metadata.poultryType || isCycleCommodity(commodity)) return 'cycle';
+  if (weekRow !== -1 && monthRow === -1) return 'cycle';
+  return 'seasonal';
+};
+
+/**
+ * Month / week / calendar-date header rows above an activity column, the
+ * layout MoFA crop and poultry calendars use.
+ */
+export const headerRowsStrategy = {
+  id: 'header-rows',
+  label: 'Month, week and date header rows',
+  run({ grid, metadata }) {
+    const { rows } = grid;
+    const monthRow = findHeaderRow(rows, matchMonth);
+    const weekRow = findHeaderRow(rows, isWeekLabel);
+    if (monthRow === -1 && weekRow === -1) return null;
+
+    const firstHeader = Math.min(...[monthRow, weekRow].filter(r => r !== -1));
+    const lastHeader = Math.max(monthRow, weekRow);
+    // Calendar date ranges ("1-7", "8-14") sit directly under the week row
+    const dateRow = rows[lastHeader + 1] && countMatches(rows[lastHeader + 1], isDateRangeLabel) >= MIN_LABELS
+      ? lastHeader + 1
+      : -1;
+    const headerEnd = dateRow !== -1 ? dateRow : lastHeader;
+    const notes = [];
+    const heuristics = [
+      monthRow !== -1 && 'month-row',
+      weekRow !== -1 && 'week-row',
+      dateRow !== -1 && 'date-row',
+      rows.slice(firstHeader, headerEnd + 1).some(row => row.some(cell => cell.mergedFrom)) && 'merged-headers',
+    ].filter(Boolean);
+
+    // Timeline starts at the first labelled column of the most detailed header row
+    const timelineRow = rows[weekRow !== -1 ? weekRow : monthRow];
+    const timelineStart = timelineRow.findIndex(cell => (
+      weekRow !== -1 ? isWeekLabel(cell.text) : matchMonth(cell.text)
+    ));
+
+    // Activity column: an explicit "Activity"/"Stage" header left of the
+    // timeline, otherwise the left column holding the most activity-like names
+    let activityColumn = -1;
+    for (let r = 0; r <= headerEnd && activityColumn === -1; r += 1) {
+      activityColumn = rows[r].findIndex((cell, c) => c < timelineStart && isActivityHeader(cell.text));
+    }
+    if (activityColumn === -1) {
+      const scores = Array.from({ length: timelineStart }, (_, c) => rows
+        .slice(headerEnd + 1)
+        .filter(row => looksLikeActivityName(row[c]?.text)).length);
+      const best = Math.max(0, ...scores);
+      activityColumn = best > 0 ? scores.indexOf(best) : 0;
+      notes.push(`No activity header found; using column ${activityColumn + 1}.`);
+    }
+    const hasActivityHeader = notes.length === 0;
+    heuristics.push(hasActivityHeader ? 'activity-header' : 'activity-column-inferred');
+
+    let firstActivityRow = headerEnd + 1;
+    while (firstActivityRow < rows.length && !looksLikeActivityName(rows[firstActivityRow][activityColumn]?.text)) {
+      firstActivityRow += 1;
+    }
+
+    const title = findTitle(rows, firstHeader);
+    const { commodity, heuristic: commodityHeuristic } = resolveCommodity(metadata, title);
+    heuristics.push(commodityHeuristic);
+
+    const calendarType = resolveCalendarType(metadata, commodity, weekRow, monthRow);
+    // Production cycles count weeks from placement, so only seasonal calendars need months
+    const hasFullTimeline = weekRow !== -1 && (monthRow !== -1 || calendarType === 'cycle');
+    if (monthRow === -1 && calendarType === 'seasonal') notes.push('No month header row found.');
+    if (weekRow === -1) notes.push('No week header row found; months are the timeline columns.');
+
+    let confidence = 0.5;
+    if (hasFullTimeline) confidence += 0.3;
+    if (hasActivityHeader) confidence += 0.2;
+    if (firstActivityRow >= rows.length) {
+      notes.push('No activity rows found below the headers.');
+      confidence = 0.2;
+    }
+
+    return {
+      result: {
+        title,
+        commodity,
+        calendarType,
+        monthRow,
+        weekRow,
+        dateRow,
+        headerEnd,
+        activityColumn,
+        timelineStart,
+        firstActivityRow,
+      },
+      confidence,
+      notes,
+      heuristics,
+    };
+  },
+};
+
+/**
+ * Headerless sheets: names down the first text column, every column to its
+ * right is a period. Only used when no header rows can be found.
+ */
+export const firstColumnStrategy = {
+  id: 'first-column',
+  label: 'Activity names in the first text column',
+  run({ grid, metadata }) {
+    const { rows } = grid;
+    const width = Math.max(0, ...rows.map(row => row.length));
+    const scores = Array.from({ length: Math.min(width, 3) }, (_, c) => rows
+      .filter(row => looksLikeActivityName(row[c]?.text)).length);
+    const best = Math.max(0, ...scores);
+    if (best === 0) return null;
+
+    const activityColumn = scores.indexOf(best);
+    // Rows with nothing to their right are titles, not activities
+    const hasTimelineContent = row => row.some((cell, c) => c > activityColumn && (cell.text || cell.color));
+    const firstActivityRow = rows.findIndex(row => (
+      looksLikeActivityName(row[activityColumn]?.text) && hasTimelineContent(row)
+    ));
+    if (firstActivityRow === -1) return null;
+    const title = findTitle(rows, firstActivityRow);
+    const { commodity, heuristic: commodityHeuristic } = resolveCommodity(metadata, title);
+
+    return {
+      result: {
+        title,
+        commodity,
+        calendarType: resolveCalendarType(metadata, commodity, -1, -1),
+        monthRow: -1,
+        weekRow: -1,
+        dateRow: -1,
+        headerEnd: firstActivityRow - 1,
+        activityColumn,
+        timelineStart: activityColumn + 1,
+        firstActivityRow,
+      },
+      confidence: 0.25,
+      notes: ['No timeline headers found; columns are numbered periods.'],
+      heuristics: ['headerless-layout', commodityHeuristic],
+    };
+  },
+};
+
+/**
+ * A layout an admin mapped by hand in the calendar mapping wizard, saved as a
+ * district layout profile and passed in as metadata.layoutProfile
+ */
+export const layoutProfileStrategy = {
+  id: 'layout-profile',
+  label: 'Saved layout profile',
+  run({ grid, metadata }) {
+    const mapping = metadata.layoutProfile?.mapping;
+    if (!mapping) return null;
+
+    const { rows } = grid;
+    const { monthRow = -1, weekRow = -1, dateRow = -1, activityColumn, firstActivityRow } = mapping;
+    const hasActivities = rows.slice(firstActivityRow)
+      .some(row => looksLikeActivityName(row[activityColumn]?.text));
+    if (!hasActivities) return null;
+
+    const timelineStart = mapping.timelineStart ?? activityColumn + 1;
+    const headerRows = [monthRow, weekRow, dateRow].filter(r => r !== -1);
+    const notes = [];
+    // A profile from another template may point at rows that are empty here
+    const headersFit = [monthRow, weekRow].filter(r => r !== -1)
+      .every(r => (rows[r] || []).slice(timelineStart).some(cell => cell.text));
+    if (!headersFit) notes.push('The header rows of the saved layout profile are empty in this sheet.');
+
+    const title = findTitle(rows, Math.min(firstActivityRow, ...headerRows));
+    const { commodity, heuristic: commodityHeuristic } = resolveCommodity(metadata, title);
+
+    return {
+      result: {
+        title,
+        commodity,
+        calendarType: resolveCalendarType(metadata, commodity, weekRow, monthRow),
+        monthRow,
+        weekRow,
+        dateRow,
+        headerEnd: headerRows.length > 0 ? Math.max(...headerRows) : firstActivityRow - 1,
+        activityColumn,
+        timelineStart,
+        timelineEnd: mapping.timelineEnd ?? null,
+        firstActivityRow,
+        activeColors: mapping.activeColors || [],
+      },
+      confidence: headersFit ? 1 : 0.4,
+      notes,
+      heuristics: ['layout-profile', commodityHeuristic],
+    };
+  },
+};
+
+// The profile goes first: an admin-confirmed layout wins ties
+export default [layoutProfileStrategy, headerRowsStrategy, firstColumnStrategy];
@@ -0,0 +1,121 @@
+/**
+ * Timeline Extraction Strategies
+ * Build the ordered period columns (weeks or months) of a calendar sheet.
+ *
+ * Columns: { index, column, label, weekLabel, monthLabel, month, dateRange, source }
+ * where `column` is the sheet column and `index` the position in the timeline.
+ */
+
+import { matchMonth, isWeekLabel } from './calendarPatterns';
+
+const lastLabelledColumn = (row, from) => {
+  let last = -1;
+  row.forEach((cell, c) => {
+    if (c >= from && cell.text) last = c;
+  });
+  return last;
+};
+
+/**
+ * Group consecutive columns sharing a month label into header spans
+ */
+export const buildMonthSpans = (columns) => columns.reduce((spans, column) => {
+  const current = spans[spans.length - 1];
+  if (column.monthLabel && current?.name === column.monthLabel) {
+    current.colspan += 1;
+  } else if (column.monthLabel) {
+    spans.push({ name: column.monthLabel, month: column.month, startIndex: column.index, colspan: 1 });
+  }
+  return spans;
+}, []);
+
+/**
+ * Columns labelled by the detected header rows. Month labels carry forward
+ * over the weeks they cover when the month cell is not merged.
+ */
+export const headerLabelsStrategy = {
+  id: 'header-labels',
+  label: 'Week and month header labels',
+  run({ grid, structure }) {
+    const { monthRow, weekRow, dateRow, timelineStart } = structure;
+    if (monthRow === -1 && weekRow === -1) return null;
+
+    const { rows } = grid;
+    const labelRow = rows[weekRow !== -1 ? weekRow : monthRow];
+    const end = structure.timelineEnd ?? lastLabelledColumn(labelRow, timelineStart);
+    const columns = [];
+    let month = null;
+    let monthLabel = null;
+    let unlabelled = 0;
+    let carriedMonths = 0;
+
+    for (let c = timelineStart; c <= end; c += 1) {
+      const monthCell = monthRow !== -1 ? rows[monthRow][c] : null;
+      const monthNumber = matchMonth(monthCell?.text);
+      if (monthNumber) {
+        month = monthNumber;
+        monthLabel = monthCell.text.toUpperCase();
+      } else if (month) {
+        carriedMonths += 1;
+      }
+
+      const weekCell = weekRow !== -1 ? rows[weekRow][c] : null;
+      const weekLabel = weekCell && isWeekLabel(weekCell.text) ? weekCell.text.toUpperCase() : null;
+      if (!weekLabel && !monthNumber && weekRow !== -1) unlabelled += 1;
+
+      columns.push({
+        index: columns.length,
+        column: c,
+        label: weekLabel || monthLabel || `P${columns.length + 1}`,
+        weekLabel,
+        monthLabel,
+        month,
+        dateRange: dateRow !== -1 ? rows[dateRow][c]?.text || null : null,
+        source: { address: (weekCell || monthCell)?.address },
+      });
+    }
+
+    if (columns.length === 0) return null;
+    const notes = unlabelled > 0 ? [`${unlabelled} timeline column(s) have no week label.`] : [];
+    const heuristics = [
+      weekRow !== -1 ? 'week-columns' : 'month-columns',
+      carriedMonths > 0 && 'month-carried-forward',
+      unlabelled > 0 && 'unlabelled-columns',
+    ].filter(Boolean);
+    return { result: columns, confidence: 1 - unlabelled / columns.length, notes, heuristics };
+  },
+};
+
+/**
+ * Numbered periods for sheets without timeline headers
+ */
+export const numberedColumnsStrategy = {
+  id: 'numbered-columns',
+  label: 'Numbered period columns',
+  run({ grid, structure }) {
+    const { timelineStart, timelineEnd, firstActivityRow } = structure;
+    const width = timelineEnd != null
+      ? timelineEnd + 1
+      : Math.max(0, ...grid.rows.slice(firstActivityRow).map(row => row.length));
+    if (width <= timelineStart) return null;
+
+    const columns = Array.from({ length: width - timelineStart }, (_, index) => ({
+      index,
+      column: timelineStart + index,
+      label: `P${index + 1}`,
+      weekLabel: null,
+      monthLabel: null,
+      month: null,
+      dateRange: null,
+      source: { address: null },
+    }));
+    return {
+      result: columns,
+      confidence: 0.3,
+      notes: ['Periods are numbered; no dates could be read.'],
+      heuristics: ['numbered-periods'],
+    };
+  },
+};
+
+export default [headerLabelsStrategy, numberedColumnsStrategy];
@@ -0,0 +1,314 @@
+/**
+ * Calendar Parsing Service
+ * The one parsing engine for uploaded crop and poultry calendars. Each sheet
+ * runs through four strategy stages (structure detection, timeline
+ * extraction, activity extraction, colour-to-schedule mapping); every stage
+ * keeps its highest-confidence candidate. Results carry a confidence report
+ * and per-cell provenance in the shape CalendarFullPageView renders, so an
+ * uploaded calendar looks the same in every preview and page.
+ */
+
+import { readWorkbook, worksheetToGrid, rowsToGrid } from './calendarParsing/sheetGrid';
+import { MONTH_NAMES } from './calendarParsing/calendarPatterns';
+import structureStrategies from './calendarParsing/structureStrategies';
+import timelineStrategies, { buildMonthSpans } from './calendarParsing/timelineStrategies';
+import activityStrategies from './calendarParsing/activityStrategies';
+import scheduleStrategies from './calendarParsing/scheduleStrategies';
+
+export const PARSING_STAGES = ['structure', 'timeline', 'activities', 'schedule'];
+
+const roundScore = (value) => Math.round(value * 100) / 100;
+
+/**
+ * The rows and columns a parse used, in the shape of a layout profile mapping
+ * (see calendarLayoutProfileService), so the mapping wizard can start from it
+ */
+const toLayout = (structure, activeColors = []) => ({
+  monthRow: structure.monthRow,
+  weekRow: structure.weekRow,
+  dateRow: structure.dateRow,
+  activityColumn: structure.activityColumn,
+  firstActivityRow: structure.firstActivityRow,
+  timelineStart: structure.timelineStart,
+  timelineEnd: structure.timelineEnd ?? null,
+  activeColors,
+});
+
+const confidenceLevel = (score) => {
+  if (score >= 0.8) return 'high';
+  if (score >= 0.5) return 'medium';
+  return 'low';
+};
+
+class CalendarParsingService {
+  constructor() {
+    this.strategies = Object.fromEntries(PARSING_STAGES.map(stage => [stage, []]));
+
+    structureStrategies.forEach(strategy => this.registerStrategy('structure', strategy));
+    timelineStrategies.forEach(strategy => this.registerStrategy('timeline', strategy));
+    activityStrategies.forEach(strategy => this.registerStrategy('activities', strategy));
+    scheduleStrategies.forEach(strategy => this.registerStrategy('schedule', strategy));
+  }
+
+  /**
+   * Add or replace a strategy for a stage. Strategies are { id, label, run(context) }
+   * where run returns { result, confidence, notes, heuristics } or null when it
+   * does not apply.
+   */
+  registerStrategy(stage, strategy) {
+    if (!this.strategies[stage]) {
+      throw new Error(`Unknown calendar parsing stage "${stage}"`);
+    }
+    this.strategies[stage] = [...this.strategies[stage].filter(s => s.id !== strategy.id), strategy];
+  }
+
+  /**
+   * Run every strategy of a stage and keep the most confident result.
+   * Earlier strategies win ties.
+   */
+  runStage(stage, context) {
+    const candidates = this.strategies[stage].map((strategy) => {
+      try {
+        const outcome = strategy.run(context);
+        return { strategy, ...(outcome || { result: null, confidence: 0, notes: [] }) };
+      } catch (error) {
+        console.warn(`Calendar parsing strategy "${strategy.id}" failed:`, error);
+        return { strategy, result: null, confidence: 0, notes: [error.message] };
+      }
+    });
+
+    const best = candidates
+      .filter(candidate => candidate.result)
+      .reduce((top, candidate) => (!top || candidate.confidence > top.confidence ? candidate : top), null);
+
+    return {
+      result: best?.result ?? null,
+      report: {
+        strategy: best?.strategy.id || null,
+        confidence: roundScore(best?.confidence || 0),
+        notes: best?.notes || [],
+        heuristics: best?.heuristics || [],
+        candidates: candidates.map(candidate => ({
+          id: candidate.strategy.id,
+          confidence: roundScore(candidate.result ? candidate.confidence : 0),
+        })),
+      },
+    };
+  }
+
+  buildConfidenceReport(stages) {
+    // A calendar is only as trustworthy as its weakest stage
+    const score = Math.min(...PARSING_STAGES.map(stage => stages[stage]?.confidence ?? 0));
+    return {
+      score,
+      level: confidenceLevel(score),
+      stages,
+      warnings: PARSING_STAGES.flatMap(stage => stages[stage]?.notes || []),
+      // Rules that fired, as "stage:rule", so layout changes show up in review
+      heuristics: PARSING_STAGES.flatMap(stage => (stages[stage]?.heuristics || []).map(rule => `${stage}:${rule}`)),
+    };
+  }
+
+  /**
+   * Parse one sheet grid (see calendarParsing/sheetGrid.js)
+   * @param {Object} grid - { name, rows }
+   * @param {Object} metadata - Upload form values (crop, poultryType, fileName, layoutProfile, ...)
+   */
+  parseGrid(grid, metadata = {}) {
+    const context = { grid, metadata };
+    const stages = {};
+    const fail = (error) => ({
+      success: false,
+      sheetName: grid.name,
+      error,
+      layout: context.structure ? toLayout(context.structure) : null,
+      confidence: this.buildConfidenceReport(stages),
+    });
+
+    const structure = this.runStage('structure', context);
+    stages.structure = structure.report;
+    if (!structure.result) return fail('Could not find a calendar layout (month or week headers and activity names).');
+    context.structure = structure.result;
+
+    const timeline = this.runStage('timeline', context);
+    stages.timeline = timeline.report;
+    if (!timeline.result) return fail('Could not read the calendar timeline.');
+    context.timeline = timeline.result;
+
+    const activities = this.runStage('activities', context);
+    stages.activities = activities.report;
+    if (!activities.result) return fail('No activities found in the calendar.');
+    context.activities = activities.result;
+
+    const schedule = this.runStage('schedule', context);
+    stages.schedule = schedule.report;
+    if (!schedule.result) {
+      stages.schedule.notes = ['No scheduled periods found: cells are neither coloured nor marked.'];
+    }
+
+    return this.buildResult(context, schedule.result || [], this.buildConfidenceReport(stages));
+  }
+
+  buildResult({ grid, structure, timeline, activities }, schedules, confidence) {
+    const { title, commodity, calendarType } = structure;
+    const withSheet = source => ({ sheet: grid.name, ...source });
+
+    const rows = activities.map((activity) => {
+      const schedule = schedules.find(entry => entry.activityId === activity.id);
+      const cells = (schedule?.cells || timeline.map(() => ({ active: false, value: '', background: null, source: {} })))
+        .map(cell => ({ ...cell, source: withSheet(cell.source) }));
+      return { activity: activity.name, activityId: activity.id, color: schedule?.color || null, cells };
+    });
+
+    const parsedActivities = activities.map((activity, index) => ({
+      id: activity.id,
+      name: activity.name,
+      color: rows[index].color,
+      periods: rows[index].cells.flatMap((cell, period) => (cell.active ? [period] : [])),
+      source: withSheet(activity.source),
+    }));
+
+    const activeColors = [...new Set(rows.flatMap(row => row.cells.map(cell => cell.background).filter(Boolean)))];
+
+    let months = buildMonthSpans(timeline);
+    if (months.length === 0) {
+      months = [{ name: calendarType === 'cycle' ? 'PRODUCTION CYCLE' : 'PERIODS', month: null, startIndex: 0, colspan: timeline.length }];
+    }
+
+    return {
+      success: true,
+      sheetName: grid.name,
+      calendarType,
+      commodity,
+      title,
+      layout: toLayout(structure, activeColors),
+      data: {
+        type: calendarType,
+        commodity,
+        title,
+        timeline: {
+          type: calendarType,
+          columns: timeline.map(column => ({ ...column, source: withSheet(column.source) })),
+          months,
+          totalSpan: timeline.length,
+        },
+        activities: parsedActivities,
+        calendarGrid: {
+          headers: ['Activity', ...timeline.map(column => column.label)],
+          rows,
+          summary: { totalColumns: timeline.length + 1, totalRows: rows.length, timelineType: calendarType },
+        },
+        summary: {
+          totalActivities: parsedActivities.length,
+          timeSpan: timeline.length,
+          activePeriodsCount: parsedActivities.reduce((sum, activity) => sum + activity.periods.length, 0),
+        },
+      },
+      confidence,
+    };
+  }
+
+  /**
+   * Parse every sheet of a SheetJS workbook and return the most confident one
+   */
+  parseWorkbook(workbook, metadata = {}) {
+    const results = workbook.SheetNames
+      .filter(name => workbook.Sheets[name])
+      .map(name => this.parseGrid(worksheetToGrid(workbook.Sheets[name], name), metadata));
+
+    const best = results.reduce((top, result) => {
+      if (!top) return result;
+      if (result.success !== top.success) return result.success ? result : top;
+      return result.confidence.score > top.confidence.score ? result : top;
+    }, null);
+
+    if (!best) {
+      return { success: false, error: 'Excel file contains no readable sheets.' };
+    }
+    return {
+      ...best,
+      sheets: results.map(result => ({
+        name: result.sheetName,
+        success: result.success,
+        confidence: result.confidence.score,
+      })),
+    };
+  }
+
+  /**
+   * Parse an uploaded calendar file for preview and saving
+   * @param {File} file - Excel workbook
+   * @param {Object} metadata - Upload form values (region, district, crop or poultryType)
+   * @returns {Promise<Object>} { success, fileName, calendarType, commodity, title, data, confidence, metadata }
+   */
+  async parseFile(file, metadata = {}) {
+    if (!file) {
+      return { success: false, error: 'No file provided for parsing', fileName: 'Unknown file' };
+    }
+
+    try {
+      const workbook = await readWorkbook(file);
+      const result = this.parseWorkbook(workbook, { fileName: file.name, ...metadata });
+      return {
+        ...result,
+        fileName: file.name,
+        fileSize: file.size,
+        metadata: {
+          totalActivities: result.data?.activities.length || 0,
+          totalTimeColumns: result.data?.timeline.columns.length || 0,
+          parseDate: new Date().toISOString(),
+          ...metadata,
+        },
+      };
+    } catch (error) {
+      console.error('Calendar parsing error:', error);
+      return { success: false, error: error.message, fileName: file.name };
+    }
+  }
+
+  /**
+   * Every sheet of a workbook as a grid, for mapping a layout by hand
+   * @returns {Promise<Array<Object>>} { name, rows }
+   */
+  async readSheetGrids(file) {
+    const workbook = await readWorkbook(file);
+    return workbook.SheetNames
+      .filter(name => workbook.Sheets[name])
+      .map(name => worksheetToGrid(workbook.Sheets[name], name));
+  }
+
+  /**
+   * Parse the raw sheets the backend stores with an uploaded calendar
+   * @param {Object} sheets - { [sheetName]: { data: rows } }
+   * @returns {Array<Object>} One result per sheet
+   */
+  parseSheets(sheets, metadata = {}) {
+    return Object.entries(sheets || {})
+      .filter(([, sheet]) => Array.isArray(sheet?.data))
+      .map(([name, sheet]) => this.parseGrid(rowsToGrid(sheet.data, name), metadata));
+  }
+
+  /**
+   * First and last scheduled month of each activity in a parse result, for
+   * month-based views. Activities on undated timelines are left out.
+   * @returns {Array<Object>} { name, startMonth, endMonth, color, source }
+   */
+  toMonthSpans(result) {
+    if (!result?.success) return [];
+    const { columns } = result.data.timeline;
+
+    return result.data.activities.flatMap((activity) => {
+      const months = activity.periods.map(period => columns[period].month).filter(Boolean);
+      if (months.length === 0) return [];
+      return [{
+        name: activity.name,
+        startMonth: MONTH_NAMES[months[0] - 1],
+        endMonth: MONTH_NAMES[months[months.length - 1] - 1],
+        color: activity.color,
+        source: activity.source,
+      }];
+    });
+  }
+}
+
+export default new CalendarParsingService();
@@ -0,0 +1,280 @@
+/**
+ * Calendar Version Service
+ * Keeps every published crop, poultry and enhanced calendar as a numbered
+ * version per region, district and commodity. A version records who
+ * published it, an optional note, the activities and their scheduled periods
+ * (for activity-level diffs) and the uploaded workbook itself so a rollback
+ * can re-upload exactly what was published before.
+ *
+ * Versions are stored by the data API with their workbooks. Each calendar
+ * upload is staged as a version of its draft; the server numbers it and
+ * records the publisher when the upload's workflow item is published, from
+ * the Review Queue or on its scheduled date. Staged versions that are never
+ * published do not appear in the history.
+ */
+
+import userService from './userService';
+import contentWorkflowService from './contentWorkflowService';
+import { getDistrictName, getRegionName } from '../data/ghanaCodes';
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const describeUser = () => {
+  const user = userService.getCurrentUser();
+  return {
+    id: user?.id || user?._id || null,
+    name: user?.name || [user?.firstName, user?.lastName].filter(Boolean).join(' ') || user?.email || 'Unknown user',
+    email: user?.email || null,
+  };
+};
+
+const uploadedRecordId = (upload) => upload.data?.data?.id || upload.data?.id || null;
+
+/**
+ * The activities of a parse result in the compact form versions keep
+ */
+const snapshotCalendar = (parseResult) => {
+  if (!parseResult?.success) return { timeline: [], activities: [] };
+  const { timeline, activities } = parseResult.data;
+  return {
+    calendarType: parseResult.calendarType,
+    title: parseResult.title,
+    timeline: timeline.columns.map(column => (
+      column.monthLabel && column.weekLabel ? `${column.weekLabel} (${column.monthLabel})` : column.label
+    )),
+    activities: activities.map(activity => ({
+      name: activity.name,
+      periods: activity.periods,
+      color: activity.color,
+    })),
+  };
+};
+
+// Same-named activities (two weeding rounds) are matched in order
+const keyActivities = (activities) => {
+  const seen = {};
+  return activities.map((activity) => {
+    const name = normalize(activity.name);
+    seen[name] = (seen[name] || 0) + 1;
+    return { ...activity, key: `${name}#${seen[name]}` };
+  });
+};
+
+class CalendarVersionService {
+  /**
+   * One key per calendar, whether districts and regions come as names or codes
+   * @param {Object} descriptor - { dataType, region, district, commodity }
+   */
+  getCalendarKey({ dataType, region, district, commodity }) {
+    return [
+      dataType,
+      normalize(getRegionName(region)),
+      normalize(getDistrictName(district)),
+      normalize(commodity),
+    ].join('|');
+  }
+
+  /**
+   * The workbook and text fields of an upload form, for stageVersion
+   * @returns {Object} { file, uploadFields }
+   */
+  splitFormData(formData) {
+    const entries = [...formData.entries()];
+    return {
+      file: entries.find(([, value]) => value instanceof File)?.[1] || null,
+      // dataType is added again by uploadAgriculturalData
+      uploadFields: Object.fromEntries(entries.filter(([field, value]) => typeof value === 'string' && field !== 'dataType')),
+    };
+  }
+
+  /**
+   * Published versions of a calendar, oldest first, each with a summary of
+   * its changes from the one before
+   * @returns {Promise<Object>} { success, data, error } where data is
+   *   { key, dataType, region, district, commodity, currentVersion, versions }
+   *   or null when nothing has been published
+   */
+  async getHistory(descriptor) {
+    const key = this.getCalendarKey(descriptor);
+    const result = await userService.getCalendarVersions({ key });
+    if (!result.success) return { success: false, data: null, error: result.error };
+
+    const published = (Array.isArray(result.data) ? result.data : [])
+      .filter(entry => entry.status === 'published' && entry.version)
+      .sort((a, b) => a.version - b.version);
+    if (published.length === 0) return { success: true, data: null };
+
+    const versions = published.map((entry, index) => ({
+      ...entry,
+      changes: index === 0 ? 'First version' : this.summarizeDiff(this.diffVersions(published[index - 1], entry)),
+    }));
+    const latest = versions[versions.length - 1];
+    return {
+      success: true,
+      data: {
+        key,
+        dataType: latest.dataType,
+        region: latest.region,
+        district: latest.district,
+        commodity: latest.commodity,
+        currentVersion: latest.version,
+        versions,
+      },
+    };
+  }
+
+  /**
+   * Stage an uploaded calendar as the version its draft becomes once published
+   * @param {Object} options - { dataType, region, district, commodity, file,
+   *   uploadFields, parseResult, workflowId, recordId, note }; uploadFields are
+   *   the form fields sent with the file, reused when rolling back. Rollbacks
+   *   pass the restored version's snapshot instead of a parse result.
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  async stageVersion({
+    dataType, region, district, commodity, file, uploadFields = {}, parseResult, snapshot = null,
+    workflowId, recordId = null, note = '', rolledBackFrom = null,
+  }) {
+    const version = {
+      key: this.getCalendarKey({ dataType, region, district, commodity }),
+      dataType,
+      region,
+      district,
+      commodity,
+      workflowId,
+      recordId,
+      status: 'staged',
+      stagedAt: new Date().toISOString(),
+      stagedBy: describeUser(),
+      note: note.trim(),
+      fileName: file?.name || null,
+      rolledBackFrom,
+      uploadFields,
+      snapshot: parseResult ? snapshotCalendar(parseResult) : snapshot,
+    };
+
+    const formData = new FormData();
+    if (file) formData.append('file', file);
+    formData.append('version', JSON.stringify(version));
+    const result = await userService.createCalendarVersion(formData);
+    if (!result.success) console.error('Error staging calendar version:', result.error);
+    return result;
+  }
+
+  /**
+   * Activity-level differences between two versions
+   * @returns {Object} { added, removed, shifted, unchanged } where shifted
+   *   entries are { name, from, to, startShift, lengthChange }
+   */
+  diffVersions(fromVersion, toVersion) {
+    const fromActivities = keyActivities(fromVersion?.snapshot?.activities || []);
+    const toActivities = keyActivities(toVersion?.snapshot?.activities || []);
+    const fromTimeline = fromVersion?.snapshot?.timeline || [];
+    const toTimeline = toVersion?.snapshot?.timeline || [];
+    const describe = (activity, timeline) => ({
+      periods: activity.periods,
+      start: timeline[activity.periods[0]] || null,
+      end: timeline[activity.periods[activity.periods.length - 1]] || null,
+    });
+
+    const diff = { added: [], removed: [], shifted: [], unchanged: [] };
+    toActivities.forEach((activity) => {
+      const before = fromActivities.find(entry => entry.key === activity.key);
+      if (!before) {
+        diff.added.push({ name: activity.name, to: describe(activity, toTimeline) });
+      } else if (before.periods.join(',') !== activity.periods.join(',')) {
+        diff.shifted.push({
+          name: activity.name,
+          from: describe(before, fromTimeline),
+          to: describe(activity, toTimeline),
+          startShift: (activity.periods[0] ?? 0) - (before.periods[0] ?? 0),
+          lengthChange: activity.periods.length - before.periods.length,
+        });
+      } else {
+        diff.unchanged.push({ name: activity.name });
+      }
+    });
+    fromActivities
+      .filter(activity => !toActivities.some(entry => entry.key === activity.key))
+      .forEach(activity => diff.removed.push({ name: activity.name, from: describe(activity, fromTimeline) }));
+    return diff;
+  }
+
+  summarizeDiff({ added, removed, shifted }) {
+    const parts = [
+      added.length && `${added.length} added`,
+      removed.length && `${removed.length} removed`,
+      shifted.length && `${shifted.length} rescheduled`,
+    ].filter(Boolean);
+    return parts.length > 0 ? parts.join(', ') : 'No activity changes';
+  }
+
+  /**
+   * Restore an earlier version: its workbook is uploaded again with the
+   * original form fields as a new draft, which becomes the current version
+   * once published from the Review Queue
+   * @returns {Promise<Object>} { success, data, error } where data is the draft's workflow item
+   */
+  async rollback(descriptor, versionNumber, note = '') {
+    const history = await this.getHistory(descriptor);
+    if (!history.success) return history;
+    const target = history.data?.versions.find(entry => entry.version === versionNumber);
+    if (!target) {
+      return { success: false, error: `Version ${versionNumber} not found` };
+    }
+
+    const stored = await userService.getCalendarVersionFile(target.id);
+    if (!stored.success) {
+      return { success: false, error: `The workbook of version ${versionNumber} could not be loaded: ${stored.error}` };
+    }
+    const file = new File([stored.data], target.fileName || 'calendar.xlsx', { type: stored.data.type });
+
+    const { dataType, region, district, commodity } = history.data;
+    const workflowId = contentWorkflowService.createWorkflowId(dataType);
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.entries(target.uploadFields || {}).forEach(([field, value]) => formData.append(field, value));
+    formData.append('rolledBackFromVersion', String(versionNumber));
+    formData.append('workflowId', workflowId);
+    formData.append('status', 'draft');
+
+    const upload = await userService.uploadAgriculturalData(formData, dataType);
+    if (!upload.success) {
+      return { success: false, error: upload.error || 'The server did not accept the rollback upload' };
+    }
+
+    const versionNote = note || `Rolled back to version ${versionNumber}`;
+    const drafted = await contentWorkflowService.registerDraft({
+      workflowId,
+      contentType: dataType,
+      recordId: uploadedRecordId(upload),
+      title: `${commodity} calendar: ${versionNote}`,
+      region,
+      district,
+      commodity,
+    });
+    if (!drafted.success) {
+      return { success: false, error: `Uploaded, but it could not be added to the Review Queue: ${drafted.error}` };
+    }
+
+    const staged = await this.stageVersion({
+      dataType,
+      region,
+      district,
+      commodity,
+      file,
+      uploadFields: target.uploadFields,
+      snapshot: target.snapshot,
+      workflowId,
+      recordId: uploadedRecordId(upload),
+      note: versionNote,
+      rolledBackFrom: versionNumber,
+    });
+    if (!staged.success) {
+      return { success: false, error: `The draft is in the Review Queue, but its version could not be recorded: ${staged.error}` };
+    }
+    return drafted;
+  }
+}
+
+export default new CalendarVersionService();
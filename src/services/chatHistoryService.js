@@ -0,0 +1,417 @@
+/**
+ * Chat History Service
+ * AgriBot conversations kept per user: in IndexedDB in this browser, and on
+ * the server through the userService chat-session endpoints while the user
+ * is signed in. Past sessions can be searched by their text and exported as
+ * plain text or PDF to share with an extension officer.
+ *
+ * A session is { id, userId, title, messages, history, createdAt, updatedAt,
+ * syncedAt }. `history` is what the model is sent with the next question,
+ * including the chatbotService.summarizeConversation summary once the
+ * conversation has grown long, so a reopened session carries on where it
+ * stopped.
+ */
+
+import userService from './userService';
+
+const DB_NAME = 'triagro_chat';
+const DB_VERSION = 1;
+const SESSION_STORE = 'sessions';
+// Used when IndexedDB is unavailable (some private browsing modes)
+const LOCAL_SESSIONS_KEY = 'triagro_chat_sessions';
+const TITLE_LENGTH = 60;
+const SNIPPET_RADIUS = 60;
+const MAX_MATCHES_PER_SESSION = 3;
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (databasePromise) return databasePromise;
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+  databasePromise = new Promise((resolve) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+      store.createIndex('userId', 'userId');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn(`Could not open ${DB_NAME}, keeping chats in localStorage:`, request.error);
+      resolve(null);
+    };
+  });
+  return databasePromise;
+};
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Messages without their photo files, for the server and localStorage
+const toPortableSession = (session) => ({
+  ...session,
+  messages: session.messages.map(({ imageData, ...message }) => (
+    imageData ? { ...message, hasImage: true } : message
+  )),
+});
+
+const readLocalSessions = () => {
+  try {
+    const stored = localStorage.getItem(LOCAL_SESSIONS_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.warn(`Could not read ${LOCAL_SESSIONS_KEY}:`, error);
+    return [];
+  }
+};
+
+const writeLocalSessions = (sessions) => {
+  localStorage.setItem(LOCAL_SESSIONS_KEY, JSON.stringify(sessions.map(toPortableSession)));
+};
+
+const readSessions = async (userId) => {
+  const db = await openDatabase();
+  if (!db) return readLocalSessions().filter(session => session.userId === userId);
+  const store = db.transaction(SESSION_STORE, 'readonly').objectStore(SESSION_STORE);
+  return requestResult(store.index('userId').getAll(userId));
+};
+
+const writeSession = async (session) => {
+  const db = await openDatabase();
+  if (!db) {
+    writeLocalSessions([...readLocalSessions().filter(entry => entry.id !== session.id), session]);
+    return;
+  }
+  const store = db.transaction(SESSION_STORE, 'readwrite').objectStore(SESSION_STORE);
+  await requestResult(store.put(session));
+};
+
+const removeSession = async (sessionId) => {
+  const db = await openDatabase();
+  if (!db) {
+    writeLocalSessions(readLocalSessions().filter(entry => entry.id !== sessionId));
+    return;
+  }
+  const store = db.transaction(SESSION_STORE, 'readwrite').objectStore(SESSION_STORE);
+  await requestResult(store.delete(sessionId));
+};
+
+const currentUserId = () => {
+  const user = userService.getCurrentUser();
+  return user?.id || user?._id || user?.email || 'guest';
+};
+
+const toSessionList = (data) => {
+  const list = Array.isArray(data) ? data : data?.data || data?.sessions || [];
+  return Array.isArray(list) ? list : [];
+};
+
+const sessionTitle = (messages) => {
+  const first = messages.find(message => message.isUser && message.text?.trim());
+  if (!first) return 'New chat';
+  const text = first.text.trim().replace(/\s+/g, ' ');
+  return text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH - 1)}…` : text;
+};
+
+const snippetAround = (text, index, length) => {
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, index + length + SNIPPET_RADIUS);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ')}${end < text.length ? '…' : ''}`;
+};
+
+// jsPDF's standard fonts cover Latin-1 only, so emoji and markdown markers go
+const toPdfText = (text) => String(text || '')
+  .replace(/\*\*|__|`/g, '')
+  .replace(/GH₵/g, 'GHS ')
+  .replace(/[^\t\n\r\x20-\x7E\xA0-\xFF]/g, '')
+  .replace(/[ \t]+\n/g, '\n');
+
+class ChatHistoryService {
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  /**
+   * A new, unsaved session for the signed-in user (or the guest)
+   */
+  createSession(now = new Date()) {
+    return {
+      id: `chat_${now.getTime()}_${Math.random().toString(36).substr(2, 6)}`,
+      userId: currentUserId(),
+      title: 'New chat',
+      messages: [],
+      history: [],
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      syncedAt: null,
+    };
+  }
+
+  /**
+   * The user's sessions, most recently updated first. Signed-in users get
+   * their sessions from other devices merged in.
+   * @returns {Promise<Object>} { success, data, warning }
+   */
+  async getSessions() {
+    try {
+      const warning = userService.isAuthenticated() ? (await this.sync()).warning : null;
+      const sessions = await readSessions(currentUserId());
+      return {
+        success: true,
+        data: sessions.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt))),
+        warning,
+      };
+    } catch (error) {
+      console.error('Failed to load chat history:', error);
+      return { success: false, data: [], error: error.message };
+    }
+  }
+
+  async getSession(sessionId) {
+    const sessions = await readSessions(currentUserId());
+    return sessions.find(session => session.id === sessionId) || null;
+  }
+
+  /**
+   * Store a session after a new message, and send it to the server when
+   * the user is signed in
+   * @param {Object} session - From createSession, with messages and history
+   */
+  async saveSession(session, now = new Date()) {
+    const saved = {
+      ...session,
+      userId: session.userId || currentUserId(),
+      title: sessionTitle(session.messages),
+      updatedAt: now.toISOString(),
+    };
+
+    try {
+      await writeSession(saved);
+    } catch (error) {
+      console.error('Failed to save chat session:', error);
+      return { success: false, error: error.message };
+    }
+
+    let warning = null;
+    if (userService.isAuthenticated()) {
+      const result = await userService.saveChatSession(saved.id, toPortableSession(saved));
+      if (result.success) {
+        saved.syncedAt = saved.updatedAt;
+        await writeSession(saved);
+      } else {
+        warning = `Chat saved in this browser only (${result.error})`;
+      }
+    }
+
+    this.notifyListeners();
+    return { success: true, data: saved, warning };
+  }
+
+  async deleteSession(sessionId) {
+    try {
+      await removeSession(sessionId);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+    const result = userService.isAuthenticated()
+      ? await userService.deleteChatSession(sessionId)
+      : { success: true };
+    this.notifyListeners();
+    return result.success
+      ? { success: true }
+      : { success: true, warning: `Removed from this browser only (${result.error})` };
+  }
+
+  /**
+   * Merge the server's sessions with this browser's: the newer copy of each
+   * wins, sessions changed here since their last sync are sent up, and
+   * synced sessions missing from the server are removed here. Photos stay
+   * with the browser copy they were sent from.
+   */
+  async sync() {
+    const userId = currentUserId();
+    const result = await userService.getChatSessions();
+    if (!result.success) {
+      return { success: false, warning: `Showing chats saved in this browser (${result.error})` };
+    }
+
+    const local = new Map((await readSessions(userId)).map(session => [session.id, session]));
+    const remote = toSessionList(result.data).filter(session => session.id);
+
+    for (const session of remote) {
+      const existing = local.get(session.id);
+      if (existing && String(existing.updatedAt) >= String(session.updatedAt)) continue;
+
+      const photos = new Map((existing?.messages || [])
+        .filter(message => message.imageData)
+        .map(message => [message.id, message.imageData]));
+      await writeSession({
+        ...session,
+        userId,
+        messages: (session.messages || []).map(message => (
+          photos.has(message.id) ? { ...message, imageData: photos.get(message.id) } : message
+        )),
+        history: session.history || [],
+        syncedAt: session.updatedAt,
+      });
+      local.delete(session.id);
+    }
+
+    const remoteIds = new Set(remote.map(session => session.id));
+    for (const session of local.values()) {
+      if (remoteIds.has(session.id) && session.syncedAt === session.updatedAt) continue;
+      // Synced before but gone from the server: deleted on another device
+      if (!remoteIds.has(session.id) && session.syncedAt) {
+        await removeSession(session.id);
+        continue;
+      }
+      const pushed = await userService.saveChatSession(session.id, toPortableSession(session));
+      if (pushed.success) await writeSession({ ...session, syncedAt: session.updatedAt });
+    }
+
+    return { success: true, warning: null };
+  }
+
+  /**
+   * Full-text search across the user's sessions. A session matches when it
+   * contains every word of the query; the best matches come first.
+   * @returns {Promise<Object[]>} [{ session, matches: [{ messageId, isUser, snippet }] }]
+   */
+  async search(query) {
+    const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return [];
+
+    const sessions = await readSessions(currentUserId());
+    return sessions
+      .map(session => {
+        const texts = [session.title, ...session.messages.map(message => message.text)]
+          .map(text => String(text || '').toLowerCase());
+        if (!terms.every(term => texts.some(text => text.includes(term)))) return null;
+
+        const hits = texts.reduce((total, text) => total + terms.filter(term => text.includes(term)).length, 0);
+        const matches = session.messages
+          .map(message => {
+            const text = String(message.text || '');
+            const lower = text.toLowerCase();
+            const term = terms.find(candidate => lower.includes(candidate));
+            return term && {
+              messageId: message.id,
+              isUser: message.isUser,
+              snippet: snippetAround(text, lower.indexOf(term), term.length),
+            };
+          })
+          .filter(Boolean)
+          .slice(0, MAX_MATCHES_PER_SESSION);
+        return { session, matches, hits };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.hits - a.hits || String(b.session.updatedAt).localeCompare(String(a.session.updatedAt)))
+      .map(({ session, matches }) => ({ session, matches }));
+  }
+
+  fileName(session) {
+    return `agribot-chat-${String(session.updatedAt || session.createdAt).slice(0, 10)}`;
+  }
+
+  /**
+   * The session as plain text, with each answer's sources
+   */
+  toText(session) {
+    const header = `${session.title}\nAgriBot conversation, ${new Date(session.createdAt).toLocaleString()}`;
+    const body = session.messages
+      .map(
+        (msg) =>
+          `[${new Date(msg.timestamp).toLocaleString()}] ${
+            msg.isUser ? 'You' : 'AgriBot'
+          }: ${msg.text}${(msg.sources || [])
+            .map((source) => `\n  [${source.number}] ${source.title} (${source.url})`)
+            .join('')}`
+      )
+      .join('\n\n');
+    return `${header}\n\n${body}\n`;
+  }
+
+  exportToText(session) {
+    const blob = new Blob([this.toText(session)], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${this.fileName(session)}.txt`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Download the session as a PDF transcript
+   */
+  async exportToPDF(session) {
+    const { jsPDF } = await import('jspdf');
+    const doc = new jsPDF();
+    const pageWidth = doc.internal.pageSize.width;
+    const pageHeight = doc.internal.pageSize.height;
+    const margin = 20;
+    const lineHeight = 5;
+    const textWidth = pageWidth - margin * 2;
+    let y = 20;
+
+    const ensureSpace = (height) => {
+      if (y + height > pageHeight - 20) {
+        doc.addPage();
+        y = 20;
+      }
+    };
+
+    doc.setFontSize(16);
+    doc.setFont('helvetica', 'bold');
+    const titleLines = doc.splitTextToSize(toPdfText(session.title), textWidth);
+    doc.text(titleLines, margin, y);
+    y += titleLines.length * 7;
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'normal');
+    doc.text(`AgriBot conversation, ${new Date(session.createdAt).toLocaleString()}`, margin, y);
+    y += 10;
+
+    session.messages.forEach((msg) => {
+      ensureSpace(lineHeight * 2);
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(msg.isUser ? 37 : 46, msg.isUser ? 99 : 125, msg.isUser ? 235 : 50);
+      doc.text(`${msg.isUser ? 'You' : 'AgriBot'} - ${new Date(msg.timestamp).toLocaleString()}`, margin, y);
+      y += lineHeight + 1;
+
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(0, 0, 0);
+      const sources = (msg.sources || []).map(source => `[${source.number}] ${source.title} (${source.url})`);
+      const lines = doc.splitTextToSize(toPdfText([msg.text, ...sources].join('\n')), textWidth);
+      lines.forEach((line) => {
+        ensureSpace(lineHeight);
+        doc.text(line, margin, y);
+        y += lineHeight;
+      });
+      y += 4;
+    });
+
+    const pageCount = doc.internal.getNumberOfPages();
+    for (let i = 1; i <= pageCount; i++) {
+      doc.setPage(i);
+      doc.setFontSize(8);
+      doc.text(`Page ${i} of ${pageCount} | Generated by TriAgro AI`, pageWidth / 2, pageHeight - 10, { align: 'center' });
+    }
+
+    doc.save(`${this.fileName(session)}.pdf`);
+  }
+
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners() {
+    this.listeners.forEach(listener => listener());
+  }
+}
+
+export default new ChatHistoryService();
@@ -0,0 +1,309 @@
+/**
+ * Chat Retrieval Service
+ * Finds passages in the platform's own published content for a chat
+ * question: crop calendars, weekly agromet advisories, poultry calendars and
+ * the problemDiagnosisService pest, disease and nutrient knowledge base.
+ *
+ * Passages are kept to the asker's region, district and crops, ranked by how
+ * many of the question's words they contain, and carry a citation linking to
+ * the page the content is published on, so the chatbot can answer from them
+ * and the answer can point back to its sources.
+ */
+
+import agriculturalDataService from './agriculturalDataService';
+import problemDiagnosisService from './problemDiagnosisService';
+import { getDistrictByCode, getDistrictName, getRegionName } from '../data/ghanaCodes';
+import { toRegionCode, toDistrictCode } from '../utils/accessControl';
+
+// Fetched calendars and advisories are reused per location for this long
+const INDEX_TTL = 10 * 60 * 1000;
+const MAX_SOURCES = 4;
+// Passage text sent to the chat request, per source
+const MAX_PASSAGE_LENGTH = 600;
+
+const STOP_WORDS = new Set([
+  'about', 'after', 'also', 'and', 'any', 'are', 'can', 'could', 'does', 'for', 'from', 'have',
+  'how', 'into', 'my', 'should', 'that', 'the', 'their', 'them', 'then', 'there', 'this', 'what',
+  'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your',
+]);
+
+// "tomatoes" and "tomato", "groundnuts" and "groundnut" are the same crop
+const stem = (word) => (word.length > 4 ? word.replace(/(es|s)$/, '') : word);
+
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length >= 3 && !STOP_WORDS.has(word))
+  .map(stem);
+
+const toList = (value) => (Array.isArray(value) ? value : [value]).filter(Boolean);
+
+// "chemical: Warrior, Ampligo. cultural: Early planting" from { chemical: [...], cultural: [...] }
+const describeGroups = (groups = {}) => Object.entries(groups)
+  .map(([group, items]) => `${group.replace(/_/g, ' ')}: ${toList(items).join(', ')}`)
+  .join('. ');
+
+const uniqueMonths = (periods = []) => [...new Set(periods.map(period => period.month).filter(Boolean))];
+
+const describeTiming = (item) => {
+  if (item.startDate && item.endDate) return `${item.startDate} to ${item.endDate}`;
+  if (item.startWeek && item.endWeek) return `weeks ${item.startWeek}-${item.endWeek}`;
+  const months = uniqueMonths(item.periods);
+  return months.length > 0 ? months.join(', ') : null;
+};
+
+const describeActivities = (activities = []) => activities
+  .map((activity) => {
+    const name = activity.activityName || activity.activity || activity.name;
+    const timing = describeTiming(activity);
+    return name && (timing ? `${name}: ${timing}` : name);
+  })
+  .filter(Boolean)
+  .join('; ');
+
+const recordLocation = (record) => {
+  const districtCode = toDistrictCode(record.districtCode || record.district);
+  const regionCode = toRegionCode(record.regionCode || record.region)
+    || (districtCode ? getDistrictByCode(districtCode).regionCode : null);
+  return { regionCode, districtCode };
+};
+
+const placeName = ({ regionCode, districtCode }) => {
+  if (districtCode) return `${getDistrictName(districtCode)}, ${getRegionName(getDistrictByCode(districtCode).regionCode)}`;
+  return regionCode ? getRegionName(regionCode) : 'Ghana';
+};
+
+// Citation links use codes; the pages turn them back into their own filter values
+const pageUrl = (path, params) => {
+  const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value)).toString();
+  return query ? `${path}?${query}` : path;
+};
+
+const cropCalendarPassage = (record, index) => {
+  const location = recordLocation(record);
+  const crop = record.crop || record.commodity || '';
+  const text = [
+    record.season || record.year ? `Season: ${[record.season, record.year].filter(Boolean).join(' ')}.` : '',
+    record.plantingStart ? `Planting: ${record.plantingStart} to ${record.plantingEnd}.` : '',
+    record.harvestStart ? `Harvest: ${record.harvestStart} to ${record.harvestEnd}.` : '',
+    describeActivities(record.activities),
+  ].filter(Boolean).join(' ');
+
+  return {
+    id: `crop-calendar:${record.id || record._id || index}`,
+    type: 'crop-calendar',
+    title: `${crop} crop calendar, ${placeName(location)}`,
+    text,
+    crops: [crop],
+    ...location,
+    url: pageUrl('/crop-calendar', { ...location, crop: crop.toLowerCase() }),
+  };
+};
+
+const poultryCalendarPassage = (record, index) => {
+  const location = recordLocation(record);
+  const poultryType = record.poultryType || record.commodity || 'Poultry';
+  const activities = record.activities ? describeActivities(record.activities) : describeActivities([record]);
+
+  return {
+    id: `poultry-calendar:${record.id || record._id || index}`,
+    type: 'poultry-calendar',
+    title: `${poultryType} production calendar, ${placeName(location)}`,
+    text: activities,
+    crops: [poultryType, 'poultry'],
+    ...location,
+    url: pageUrl('/poultry-calendar', {
+      ...location,
+      poultry: /broil/i.test(poultryType) ? 'broilers' : 'layers',
+    }),
+  };
+};
+
+const advisoryPassage = (record, index) => {
+  const location = recordLocation(record);
+  const crop = record.crop || record.commodity || '';
+  const week = record.weekNumber || record.week;
+  const text = [
+    record.overall_summary || record.summary,
+    record.sms_text || record.smsText || record.advisory,
+    describeActivities(record.activities),
+  ].filter(Boolean).join(' ');
+
+  return {
+    id: `agromet-advisory:${record.id || record._id || index}`,
+    type: 'agromet-advisory',
+    title: `${crop} weekly advisory${week ? ` (week ${week})` : ''}, ${placeName(location)}`,
+    text,
+    crops: [crop],
+    ...location,
+    url: pageUrl('/agromet-advisory', { ...location, crop: crop.toLowerCase() }),
+  };
+};
+
+// The pest, disease and nutrient entries apply everywhere, so they carry no location
+const knowledgeBasePassages = () => {
+  const { pestDatabase, diseaseDatabase, nutrientDeficiencies } = problemDiagnosisService;
+  const entry = (key, item, details) => ({
+    id: `diagnosis:${key}`,
+    type: 'diagnosis',
+    title: `${item.name} (crop problem guide)`,
+    text: [`Symptoms: ${item.symptoms.join(', ')}.`, ...details].filter(Boolean).join(' '),
+    crops: item.crops_affected || item.crops_commonly_affected || [],
+    regionCode: null,
+    districtCode: null,
+    url: '/crop-diagnose',
+  });
+
+  return [
+    ...Object.entries(pestDatabase).map(([key, pest]) => entry(key, pest, [
+      `Affects ${pest.crops_affected.join(', ')}.`,
+      `Control: ${describeGroups(pest.control_methods)}.`,
+      pest.prevention ? `Prevention: ${pest.prevention}.` : '',
+    ])),
+    ...Object.entries(diseaseDatabase).map(([key, disease]) => entry(key, disease, [
+      `Affects ${disease.crops_affected.join(', ')}.`,
+      disease.cause ? `Cause: ${disease.cause}.` : '',
+      `Control: ${describeGroups(disease.control_methods)}.`,
+    ])),
+    ...Object.entries(nutrientDeficiencies).map(([key, deficiency]) => entry(key, deficiency, [
+      `Correction: ${describeGroups(deficiency.correction)}.`,
+      deficiency.prevention ? `Prevention: ${deficiency.prevention}.` : '',
+    ])),
+  ];
+};
+
+class ChatRetrievalService {
+  constructor() {
+    this.indexes = new Map();
+    this.knowledgeBase = null;
+  }
+
+  /**
+   * Region, district and crops of the asker, from the chatbot context and
+   * the farm profile when there is one
+   */
+  resolveContext(userContext = {}) {
+    const profile = userContext.farmProfile;
+    const districtCode = toDistrictCode(userContext.district || profile?.personal?.district);
+    const regionCode = toRegionCode(userContext.region || profile?.personal?.region)
+      || (districtCode ? getDistrictByCode(districtCode).regionCode : null);
+    const crops = [...toList(userContext.crops), ...toList(profile?.crops?.current)];
+    return { regionCode, districtCode, crops: [...new Set(crops.map(crop => stem(String(crop).toLowerCase())))] };
+  }
+
+  /**
+   * Passages from the published calendars and advisories of a location plus
+   * the knowledge base. Failed sources are skipped; retrieval never blocks a chat.
+   */
+  async getIndex({ regionCode, districtCode }) {
+    const key = districtCode || regionCode || 'all';
+    const cached = this.indexes.get(key);
+    if (cached && Date.now() - cached.createdAt < INDEX_TTL) return cached.passages;
+
+    const filters = {};
+    if (districtCode) filters.district = getDistrictName(districtCode);
+    else if (regionCode) filters.region = getRegionName(regionCode);
+
+    const load = async (fetchRecords, toPassage) => {
+      try {
+        const result = await fetchRecords(filters);
+        return (result.success ? result.data : []).map(toPassage);
+      } catch (error) {
+        console.warn('Chat retrieval source failed:', error.message);
+        return [];
+      }
+    };
+
+    const [cropCalendars, advisories, poultryCalendars] = await Promise.all([
+      load(params => agriculturalDataService.getCropCalendar(params), cropCalendarPassage),
+      load(params => agriculturalDataService.getAgrometAdvisory(params), advisoryPassage),
+      load(params => agriculturalDataService.getPoultryCalendar(params), poultryCalendarPassage),
+    ]);
+
+    if (!this.knowledgeBase) this.knowledgeBase = knowledgeBasePassages();
+    const passages = [...cropCalendars, ...advisories, ...poultryCalendars, ...this.knowledgeBase]
+      .filter(passage => passage.text)
+      .map(passage => ({
+        ...passage,
+        tokens: new Set(tokenize(`${passage.title} ${passage.text}`)),
+        cropStems: passage.crops.filter(Boolean).map(crop => stem(String(crop).toLowerCase())),
+      }));
+
+    this.indexes.set(key, { passages, createdAt: Date.now() });
+    return passages;
+  }
+
+  /**
+   * The passages that best answer a question, numbered for citation
+   * @param {string} question - The user's message
+   * @param {Object} userContext - ChatbotContext values plus farmProfile
+   * @returns {Promise<Array>} [{ number, id, type, title, text, url }]
+   */
+  async retrieve(question, userContext = {}, limit = MAX_SOURCES) {
+    const questionTokens = [...new Set(tokenize(question))];
+    if (questionTokens.length === 0) return [];
+
+    const context = this.resolveContext(userContext);
+    const passages = await this.getIndex(context);
+
+    // Crops named in the question win over the crops in the profile
+    const knownCrops = new Set(passages.flatMap(passage => passage.cropStems));
+    const askedCrops = questionTokens.filter(token => knownCrops.has(token));
+    const crops = askedCrops.length > 0 ? askedCrops : context.crops;
+    // Crop names narrow the passages; the rest of the question ranks them
+    const topicTokens = questionTokens.filter(token => !knownCrops.has(token));
+    const rankingTokens = topicTokens.length > 0 ? topicTokens : questionTokens;
+
+    return passages
+      .filter((passage) => {
+        if (context.districtCode && passage.districtCode && passage.districtCode !== context.districtCode) return false;
+        if (context.regionCode && passage.regionCode && passage.regionCode !== context.regionCode) return false;
+        if (crops.length > 0 && passage.cropStems.length > 0) {
+          return passage.cropStems.some(crop => crops.includes(crop));
+        }
+        return true;
+      })
+      .map((passage) => {
+        const hits = rankingTokens.filter(token => passage.tokens.has(token)
+          || (token.length >= 4 && [...passage.tokens].some(word => word.startsWith(token)))).length;
+        const cropMatch = passage.cropStems.some(crop => crops.includes(crop)) ? 2 : 0;
+        const localMatch = passage.districtCode && passage.districtCode === context.districtCode ? 1 : 0;
+        return { passage, hits, score: hits + cropMatch + localMatch };
+      })
+      .filter(({ hits }) => hits > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ passage }, index) => ({
+        number: index + 1,
+        id: passage.id,
+        type: passage.type,
+        title: passage.title,
+        text: passage.text.length > MAX_PASSAGE_LENGTH
+          ? `${passage.text.slice(0, MAX_PASSAGE_LENGTH)}…`
+          : passage.text,
+        url: passage.url,
+      }));
+  }
+
+  /**
+   * The question with its sources, in the form sent to the chat proxy
+   */
+  groundMessage(question, sources = []) {
+    if (sources.length === 0) return question;
+    const passages = sources.map(source => `[${source.number}] ${source.title}: ${source.text}`).join('\n');
+    return [
+      'Answer from the TriAgro platform sources below where they apply, citing them by number like [1].',
+      'If they do not cover the question, say so and answer from general knowledge.',
+      '',
+      passages,
+      '',
+      `Question: ${question}`,
+    ].join('\n');
+  }
+
+  clearIndex() {
+    this.indexes.clear();
+  }
+}
+
+export default new ChatRetrievalService();
@@ -0,0 +1,233 @@
+/**
+ * Chat Tool Service
+ * Tools the chatbot's model can call while it answers: the 7-day forecast
+ * for a district, this week's calendar activities for a crop, the market
+ * price of a commodity and a diagnosis from described symptoms.
+ *
+ * Each tool has a JSON-schema definition sent with the chat request and a
+ * runner. A runner returns a short text result for the model and a card
+ * that the chat window shows with the answer.
+ */
+
+import agriculturalDataService from './agriculturalDataService';
+import boundaryService from './boundaryService';
+import marketIntelligenceService from './marketIntelligenceService';
+import problemDiagnosisService from './problemDiagnosisService';
+import weatherProviderService from './weatherProviderService';
+import { resolveDistrict } from './importValidationService';
+import { getDistrictByCode } from '../data/ghanaCodes';
+import { toDistrictCode } from '../utils/accessControl';
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+const commodityLabel = (key) => key.charAt(0).toUpperCase() + key.slice(1).replace(/-/g, ' ');
+
+/**
+ * The district a tool call is about: the one named in the call, otherwise
+ * the asker's own (chatbot context or farm profile)
+ */
+const resolveToolDistrict = (district, userContext = {}) => {
+  if (district) {
+    const resolved = resolveDistrict(district);
+    return resolved.code ? getDistrictByCode(resolved.code) : null;
+  }
+  const code = toDistrictCode(userContext.district || userContext.farmProfile?.personal?.district);
+  return code ? getDistrictByCode(code) : null;
+};
+
+const unknownDistrict = (district) => ({
+  content: district
+    ? `Unknown district "${district}". Ask the user which Ghanaian district they mean.`
+    : 'No district given and the user has not set one. Ask the user for their district.',
+  isError: true,
+});
+
+// Calendar activities scheduled in the given month, for calendars without a production cycle
+const activitiesInMonth = (record, month) => {
+  const inMonth = (value) => String(value || '').trim().toLowerCase().slice(0, 3) === MONTH_NAMES[month];
+  const named = (record.activities || [])
+    .filter(activity => (activity.periods || []).some(period => inMonth(period.month)))
+    .map(activity => ({ name: activity.activityName || activity.activity || activity.name, timing: 'This month' }));
+  if (named.length > 0) return named;
+
+  return [
+    record.plantingStart && { name: 'Planting', timing: `${record.plantingStart} to ${record.plantingEnd}` },
+    record.harvestStart && { name: 'Harvest', timing: `${record.harvestStart} to ${record.harvestEnd}` },
+  ].filter(Boolean);
+};
+
+export const CHAT_TOOLS = {
+  get_forecast: {
+    description: 'Get the 7-day weather forecast (temperature, rainfall, conditions) for a district in Ghana.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        district: { type: 'string', description: 'District name or code. Leave out to use the user\'s district.' },
+      },
+    },
+    async run({ district } = {}, userContext) {
+      const place = resolveToolDistrict(district, userContext);
+      if (!place) return unknownDistrict(district);
+      const location = boundaryService.getDistrictLocation(place.code);
+      if (!location) return { content: `No forecast point for ${place.name}.`, isError: true };
+
+      const report = await weatherProviderService.getWeather(location);
+      const days = report.daily.slice(0, 7).map(day => ({
+        date: day.date,
+        minTemp: day.minTemp,
+        maxTemp: day.maxTemp,
+        precipitation: day.precipitation,
+        precipitationProbability: day.precipitationProbability,
+        summary: day.summary,
+      }));
+      return {
+        content: JSON.stringify({ district: place.name, region: place.regionName, source: report.source, days }),
+        card: { kind: 'forecast', title: `7-day forecast, ${place.name}`, source: report.source, days },
+      };
+    },
+  },
+
+  get_calendar_activities: {
+    description: 'Get the farming activities due now for a crop in a district, from the published crop calendars.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        crop: { type: 'string', description: 'Crop name, e.g. maize' },
+        district: { type: 'string', description: 'District name or code. Leave out to use the user\'s district.' },
+      },
+      required: ['crop'],
+    },
+    async run({ crop, district } = {}, userContext) {
+      const place = resolveToolDistrict(district, userContext);
+      if (!place) return unknownDistrict(district);
+
+      let week = null;
+      let activities = [];
+      const cycles = await agriculturalDataService.getProductionCycles({
+        commodity: crop,
+        districtCode: place.code,
+        status: 'active',
+      });
+      const cycle = cycles.success ? cycles.data[0] : null;
+      if (cycle) {
+        const current = await agriculturalDataService.getCurrentActivities(cycle.id || cycle._id);
+        const data = current.success ? current.data : [];
+        week = data.currentWeek || null;
+        activities = (Array.isArray(data) ? data : data.activities || []).map(activity => ({
+          name: activity.activityName || activity.activity || activity.name,
+          timing: activity.status || (activity.startWeek ? `Weeks ${activity.startWeek}-${activity.endWeek}` : ''),
+        }));
+      }
+
+      if (activities.length === 0) {
+        const calendars = await agriculturalDataService.getCropCalendar({ district: place.name });
+        const record = (calendars.success ? calendars.data : [])
+          .find(item => sameText(item.crop || item.commodity, crop));
+        if (record) activities = activitiesInMonth(record, new Date().getMonth());
+      }
+
+      const title = `${commodityLabel(crop)} activities now, ${place.name}`;
+      const url = `/crop-calendar?${new URLSearchParams({
+        regionCode: place.regionCode,
+        districtCode: place.code,
+        crop: crop.toLowerCase(),
+      })}`;
+      return {
+        content: activities.length > 0
+          ? JSON.stringify({ crop, district: place.name, week, activities })
+          : `No published ${crop} calendar activities for ${place.name} at the moment.`,
+        card: { kind: 'activities', title, week, activities, url },
+      };
+    },
+  },
+
+  get_market_price: {
+    description: 'Get the current market price, trend and demand for an agricultural commodity in Ghana.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        commodity: {
+          type: 'string',
+          enum: Object.keys(marketIntelligenceService.currentPrices),
+          description: 'Commodity',
+        },
+      },
+      required: ['commodity'],
+    },
+    async run({ commodity } = {}) {
+      const price = commodity && marketIntelligenceService.getCurrentPrice(commodity);
+      if (!price) {
+        return { content: `No current market price for "${commodity}".`, isError: true };
+      }
+      const label = commodityLabel(commodity);
+      return {
+        content: JSON.stringify({ commodity: label, currency: 'GHS', ...price }),
+        card: { kind: 'price', title: `${label} market price`, commodity: label, ...price },
+      };
+    },
+  },
+
+  diagnose_symptoms: {
+    description: 'Diagnose likely pests, diseases or nutrient deficiencies from a description of crop symptoms.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        symptoms: { type: 'string', description: 'What the user sees on the crop, in plain words' },
+        crop: { type: 'string', description: 'Affected crop, if known' },
+      },
+      required: ['symptoms'],
+    },
+    async run({ symptoms, crop = null } = {}) {
+      if (!symptoms) return { content: 'Describe the symptoms to diagnose.', isError: true };
+      const content = problemDiagnosisService.diagnoseProblem(symptoms, crop);
+      const problems = problemDiagnosisService.matchProblems(symptoms, crop).slice(0, 3).map(match => ({
+        name: match.problem.name,
+        type: match.type,
+        confidence: Math.round(match.confidence),
+        matchedSymptoms: match.matched_symptoms,
+      }));
+      return {
+        content,
+        card: { kind: 'diagnosis', title: crop ? `${commodityLabel(crop)} diagnosis` : 'Crop diagnosis', problems, url: '/crop-diagnose' },
+      };
+    },
+  },
+};
+
+class ChatToolService {
+  /**
+   * Tool definitions in the form sent with the chat request
+   */
+  getDefinitions() {
+    return Object.entries(CHAT_TOOLS).map(([name, tool]) => ({
+      name,
+      description: tool.description,
+      input_schema: tool.input_schema,
+    }));
+  }
+
+  /**
+   * Run one tool call from the model. Failures come back as error results
+   * for the model to explain, never as exceptions.
+   * @param {Object} call - { id, name, input }
+   * @returns {Promise<Object>} { id, name, content, isError, card }
+   */
+  async run(call, userContext = {}) {
+    const tool = CHAT_TOOLS[call.name];
+    if (!tool) {
+      return { id: call.id, name: call.name, content: `Unknown tool ${call.name}`, isError: true, card: null };
+    }
+
+    try {
+      const result = await tool.run(call.input || {}, userContext);
+      return { id: call.id, name: call.name, isError: false, card: null, ...result };
+    } catch (error) {
+      console.warn(`Chat tool ${call.name} failed:`, error);
+      return { id: call.id, name: call.name, content: `${call.name} failed: ${error.message}`, isError: true, card: null };
+    }
+  }
+}
+
+export default new ChatToolService();
@@ -1,19 +1,86 @@
 import axios from 'axios';
 import chatbotIntegrationService from './chatbotIntegrationService';
+import chatRetrievalService from './chatRetrievalService';
+import chatToolService from './chatToolService';
+
+// Tool calls answered per question before the model must reply in text
+const MAX_TOOL_ROUNDS = 4;
+// A stream that sends nothing for this long counts as dropped
+const STREAM_IDLE_TIMEOUT = 30000;
+
+// Tool rounds in the form the proxy expects them back
+const toToolRoundsPayload = (toolRounds) => toolRounds.map(round => ({
+  toolCalls: round.toolCalls,
+  results: round.results.map(({ id, content, isError }) => ({ toolCallId: id, content, isError }))
+}));
+
+const toolCards = (toolRounds) => toolRounds.flatMap(round => round.results.map(result => result.card).filter(Boolean));
+
+// Read server-sent events from a fetch response body, passing each `data:`
+// payload to onEvent as parsed JSON and calling onChunk whenever bytes
+// arrive. Resolves whether the stream finished with a done event.
+const readEventStream = async (body, onEvent, onChunk) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finished = false;
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    onChunk();
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+    for (const event of events) {
+      const data = event
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+      if (!data) continue;
+      const payload = JSON.parse(data);
+      if (payload.type === 'done') finished = true;
+      onEvent(payload);
+    }
+  }
+  return finished;
+};
 
 class ChatbotService {
   constructor() {
     // Use local proxy server to avoid CORS issues
     this.apiUrl = 'http://localhost:3001/api/chat';
+    this.streamUrl = 'http://localhost:3001/api/chat/stream';
     this.faqUrl = 'http://localhost:3001/api/faq';
     this.healthUrl = 'http://localhost:3001/api/health';
   }
 
 
-  // Enhanced message sending with Phase 3 features
-  async sendEnhancedMessage(message, conversationHistory = [], userContext = {}, imageData = null) {
+  // Enhanced message sending. Text questions go to the model, which calls
+  // tools (chatToolService) for the data it needs; the fixed Phase 3 sequence
+  // handles photos, and answers locally when the proxy cannot be reached.
+  // With streamOptions ({ onText, signal }) text answers are streamed (see
+  // streamMessage), falling back to a single request if streaming fails
+  // before any text arrives.
+  async sendEnhancedMessage(message, conversationHistory = [], userContext = {}, imageData = null, sources = [], streamOptions = null) {
+    if (!imageData) {
+      if (streamOptions) {
+        const streamed = await this.streamMessage(message, conversationHistory, userContext, sources, streamOptions);
+        if (streamed.success || streamed.cancelled) return streamed;
+      }
+      const result = await this.sendMessage(message, conversationHistory, userContext, sources);
+      if (result.success) return result;
+      return (await this.getLocalEnhancedResponse(message, null, userContext)) || result;
+    }
+
+    const localResult = await this.getLocalEnhancedResponse(message, imageData, userContext);
+    return localResult || await this.sendMessage(message, conversationHistory, userContext, sources);
+  }
+
+  // Phase 3 processing (image analysis, language, personalization, voice)
+  async getLocalEnhancedResponse(message, imageData, userContext) {
     try {
-      // First try Phase 3 enhanced processing
       const enhancedResult = await chatbotIntegrationService.processEnhancedMessage(
         message, 
         imageData, 
@@ -29,30 +96,34 @@ class ChatbotService {
           enhanced: true
         };
       }
-
-      // Fallback to regular message processing
-      return await this.sendMessage(message, conversationHistory, userContext);
     } catch (error) {
-      console.error('Enhanced message processing failed, falling back to regular:', error);
-      return await this.sendMessage(message, conversationHistory, userContext);
+      console.error('Enhanced message processing failed:', error);
     }
+    return null;
   }
 
-  // Send message to Claude API via proxy server
-  async sendMessage(message, conversationHistory = [], userContext = {}) {
+  // Send message to Claude API via proxy server, grounded in the given
+  // platform sources (see chatRetrievalService.retrieve).
+  //
+  // The request offers the chatToolService tools. When the reply carries
+  // toolCalls ([{ id, name, input }]) they are run here and the request is
+  // repeated with toolRounds ([{ toolCalls, results }]) until the model
+  // answers in text. Each result's card is returned with the answer.
+  async sendMessage(message, conversationHistory = [], userContext = {}, sources = []) {
     try {
       // Check if proxy server is running
       await this.checkServerHealth();
 
       const requestBody = {
-        message,
+        message: chatRetrievalService.groundMessage(message, sources),
         conversationHistory,
-        userContext
+        userContext,
+        tools: chatToolService.getDefinitions()
       };
 
-      const response = await axios.post(
+      const postChat = (body) => axios.post(
         this.apiUrl,
-        requestBody,
+        body,
         {
           headers: {
             'Content-Type': 'application/json',
@@ -61,11 +132,23 @@ class ChatbotService {
         }
       );
 
+      let response = await postChat(requestBody);
+      const toolRounds = [];
+      while (response.data?.success && response.data?.toolCalls?.length > 0 && toolRounds.length < MAX_TOOL_ROUNDS) {
+        const { toolCalls } = response.data;
+        const results = await Promise.all(toolCalls.map(call => chatToolService.run(call, userContext)));
+        toolRounds.push({ toolCalls, results });
+        response = await postChat({ ...requestBody, toolRounds: toToolRoundsPayload(toolRounds) });
+      }
+      const cards = toolCards(toolRounds);
+
       if (response.data?.success && response.data?.message) {
         return {
           success: true,
           message: response.data.message,
           usage: response.data.usage,
+          sources,
+          cards,
         };
       } else {
         throw new Error(response.data?.error || 'Invalid response from proxy server');
@@ -114,6 +197,97 @@ class ChatbotService {
     }
   }
 
+  // Stream the answer from the proxy's server-sent events endpoint. The
+  // request is the sendMessage one; the response is a stream of events:
+  //   { type: 'text', text }            the next piece of the answer
+  //   { type: 'tool_calls', toolCalls } run these, then stream the next round
+  //   { type: 'done', usage }           the round is complete
+  //   { type: 'error', error }
+  // onText gets the answer so far after every piece. A stream cancelled
+  // through `signal`, or dropped, keeps the text that arrived and returns it
+  // flagged `partial` with stopReason 'cancelled' or 'interrupted'.
+  async streamMessage(message, conversationHistory = [], userContext = {}, sources = [], { onText = () => {}, signal = null } = {}) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort);
+    let idleTimer = null;
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(abort, STREAM_IDLE_TIMEOUT);
+    };
+
+    const requestBody = {
+      message: chatRetrievalService.groundMessage(message, sources),
+      conversationHistory,
+      userContext,
+      tools: chatToolService.getDefinitions()
+    };
+    const toolRounds = [];
+    let answer = '';
+    let usage = null;
+
+    try {
+      await this.checkServerHealth();
+
+      for (;;) {
+        if (controller.signal.aborted) throw new Error('Cancelled');
+        resetIdleTimer();
+        const response = await fetch(this.streamUrl, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: 'text/event-stream',
+          },
+          body: JSON.stringify(toolRounds.length > 0 ? { ...requestBody, toolRounds: toToolRoundsPayload(toolRounds) } : requestBody),
+          signal: controller.signal,
+        });
+        if (!response.ok || !response.body) {
+          throw new Error(`Streaming unavailable (HTTP ${response.status})`);
+        }
+
+        let toolCalls = [];
+        const finished = await readEventStream(response.body, (event) => {
+          if (event.type === 'text') {
+            answer += event.text;
+            onText(answer);
+          } else if (event.type === 'tool_calls') {
+            toolCalls = event.toolCalls || [];
+          } else if (event.type === 'done') {
+            usage = event.usage;
+          } else if (event.type === 'error') {
+            throw new Error(event.error);
+          }
+        }, resetIdleTimer);
+        if (!finished) throw new Error('The connection closed before the answer was complete');
+
+        if (toolCalls.length === 0 || toolRounds.length >= MAX_TOOL_ROUNDS) break;
+        clearTimeout(idleTimer);
+        const results = await Promise.all(toolCalls.map(call => chatToolService.run(call, userContext)));
+        toolRounds.push({ toolCalls, results });
+      }
+
+      if (!answer.trim()) throw new Error('Invalid response from proxy server');
+      return { success: true, message: answer, usage, sources, cards: toolCards(toolRounds) };
+    } catch (error) {
+      const cancelled = !!signal?.aborted;
+      if (answer.trim()) {
+        return {
+          success: true,
+          message: answer,
+          partial: true,
+          stopReason: cancelled ? 'cancelled' : 'interrupted',
+          sources,
+          cards: toolCards(toolRounds),
+        };
+      }
+      if (!cancelled) console.warn('Chat stream failed:', error);
+      return { success: false, cancelled, error: cancelled ? 'Cancelled' : error.message };
+    } finally {
+      clearTimeout(idleTimer);
+      signal?.removeEventListener('abort', abort);
+    }
+  }
+
   // Check if proxy server is running
   async checkServerHealth() {
     try {
@@ -245,36 +419,26 @@ class ChatbotService {
     }
 
     try {
-      const messages = [
-        {
-          role: 'user',
-          content: `Summarize this agricultural conversation, keeping key farming advice and context. Be concise but preserve important details: ${JSON.stringify(conversationHistory.slice(0, -2))}`
-        }
-      ];
-
       const response = await axios.post(
         this.apiUrl,
         {
-          model: this.model,
-          max_tokens: 200,
-          temperature: 0.3,
-          system: 'You are a helpful assistant that summarizes agricultural conversations concisely.',
-          messages: messages
+          message: `Summarize this agricultural conversation, keeping key farming advice and context. Be concise but preserve important details: ${JSON.stringify(conversationHistory.slice(0, -2))}`,
+          conversationHistory: [],
+          userContext: {}
         },
         {
           headers: {
-            'x-api-key': this.apiKey,
             'Content-Type': 'application/json',
-            'anthropic-version': this.apiVersion,
-          }
+          },
+          timeout: 30000,
         }
       );
 
-      if (response.data?.content?.[0]?.text) {
+      if (response.data?.success && response.data?.message) {
         return [
           {
             role: 'system',
-            content: `Previous conversation summary: ${response.data.content[0].text}`
+            content: `Previous conversation summary: ${response.data.message}`
           },
           ...conversationHistory.slice(-2) // Keep last 2 messages
         ];
@@ -0,0 +1,274 @@
+/**
+ * Choropleth Service
+ * Metric layers for colouring district polygons: each metric defines its
+ * colour classes (legend) and a loader that returns values keyed by district
+ * code and/or region code. Districts without a value of their own take their
+ * region's value; region polygons take only the region's.
+ */
+
+import { GHANA_REGIONS } from '../data/ghanaCodes';
+import { SPI_CLASSES } from '../utils/droughtIndices';
+import weatherProviderService, { REGION_CENTERS } from './weatherProviderService';
+import emergencyAlertService from './emergencyAlertService';
+import boundaryService from './boundaryService';
+import dekadBulletinService from './dekadBulletinService';
+import climateRiskService from './climateRiskService';
+
+export const NO_DATA_COLOR = '#E5E7EB';
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+const SPI_COLORS = ['#2166AC', '#4393C3', '#92C5DE', '#F7F7F7', '#F4A582', '#D6604D', '#B2182B'];
+
+/**
+ * Classes are checked in order; a value takes the first class whose min it reaches
+ */
+export const CHOROPLETH_METRICS = {
+  'rainfall-anomaly': {
+    id: 'rainfall-anomaly',
+    label: 'Rainfall anomaly',
+    description: 'Latest dekad rainfall against the long-term normal',
+    unit: '%',
+    classes: [
+      { min: 50, color: '#2166AC', label: 'More than +50%' },
+      { min: 20, color: '#67A9CF', label: '+20% to +50%' },
+      { min: -20, color: '#F7F7F7', label: 'Near normal (±20%)' },
+      { min: -50, color: '#EF8A62', label: '-20% to -50%' },
+      { min: -Infinity, color: '#B2182B', label: 'Less than -50%' },
+    ],
+  },
+  rainfall: {
+    id: 'rainfall',
+    label: 'Rainfall',
+    description: 'Rainfall total for the period shown (today, forecast step or dekad)',
+    unit: 'mm',
+    classes: [
+      { min: 50, color: '#08306B', label: '50 mm and above' },
+      { min: 25, color: '#2171B5', label: '25-50 mm' },
+      { min: 10, color: '#6BAED6', label: '10-25 mm' },
+      { min: 5, color: '#C6DBEF', label: '5-10 mm' },
+      { min: 1, color: '#EFF3FF', label: '1-5 mm' },
+      { min: -Infinity, color: '#FFF7E6', label: 'Dry (under 1 mm)' },
+    ],
+  },
+  temperature: {
+    id: 'temperature',
+    label: 'Temperature',
+    description: 'Air temperature at each regional capital (daily and dekad steps show the maximum)',
+    unit: '°C',
+    classes: [
+      { min: 36, color: '#BD0026', label: '36°C and above' },
+      { min: 33, color: '#F03B20', label: '33-36°C' },
+      { min: 30, color: '#FD8D3C', label: '30-33°C' },
+      { min: 27, color: '#FECC5C', label: '27-30°C' },
+      { min: -Infinity, color: '#FFFFB2', label: 'Below 27°C' },
+    ],
+  },
+  'advisory-severity': {
+    id: 'advisory-severity',
+    label: 'Advisory severity',
+    description: 'Highest severity among the emergency advisories published for each district',
+    unit: '',
+    classes: [
+      { min: 3, color: '#DC2626', label: 'High' },
+      { min: 2, color: '#F59E0B', label: 'Medium' },
+      { min: 1, color: '#FDE68A', label: 'Low' },
+      { min: -Infinity, color: '#D1FAE5', label: 'No advisories' },
+    ],
+  },
+  'drought-index': {
+    id: 'drought-index',
+    label: 'Drought index (SPI-3)',
+    description: 'Latest 3-month Standardized Precipitation Index from uploaded rainfall records',
+    unit: '',
+    classes: SPI_CLASSES.map((spiClass, index) => ({
+      min: spiClass.min,
+      color: SPI_COLORS[index],
+      label: spiClass.label,
+    })),
+  },
+};
+
+const DROUGHT_SPI_SCALE = 3;
+
+const shortRegionName = (name) => name.replace(/\s+Region$/, '');
+
+const emptyValues = () => ({ districts: {}, regions: {} });
+
+// District values are keyed by the code of the polygon they colour
+const featureCode = (districtCode) => boundaryService.getDistrictFeature(districtCode)?.properties.code || districtCode;
+
+class ChoroplethService {
+  getMetrics() {
+    return Object.values(CHOROPLETH_METRICS);
+  }
+
+  getMetric(metricId) {
+    return CHOROPLETH_METRICS[metricId] || null;
+  }
+
+  getClass(metricId, value) {
+    const metric = this.getMetric(metricId);
+    if (!metric || value === null || value === undefined || !Number.isFinite(value)) return null;
+    return metric.classes.find(metricClass => value >= metricClass.min) || null;
+  }
+
+  getColor(metricId, value) {
+    return this.getClass(metricId, value)?.color || NO_DATA_COLOR;
+  }
+
+  /**
+   * Legend entries, including the no-data swatch
+   * @returns {Array} [{ color, label }]
+   */
+  getLegend(metricId) {
+    const metric = this.getMetric(metricId);
+    if (!metric) return [];
+    return [
+      ...metric.classes.map(({ color, label }) => ({ color, label })),
+      { color: NO_DATA_COLOR, label: 'No data' },
+    ];
+  }
+
+  formatValue(metricId, value) {
+    if (value === null || value === undefined) return 'No data';
+    if (metricId === 'advisory-severity') return this.getClass(metricId, value).label;
+    if (metricId === 'rainfall-anomaly') return `${value > 0 ? '+' : ''}${Math.round(value)}%`;
+    if (metricId === 'temperature') return `${Math.round(value)}°C`;
+    if (metricId === 'rainfall') return `${value.toFixed(1)} mm`;
+    return value.toFixed(2);
+  }
+
+  /**
+   * Value for a region feature, or for a district feature falling back to its region
+   */
+  getFeatureValue(values, properties) {
+    if (!values) return null;
+    if (properties.level === 'region') return values.regions[properties.code] ?? null;
+    const districtValue = properties.code ? values.districts?.[properties.code] : undefined;
+    if (districtValue !== undefined) return districtValue;
+    return values.regions[properties.regionCode] ?? null;
+  }
+
+  /**
+   * Load the values for a metric
+   * @returns {Promise<Object>} { success, data: { districts, regions }, stale, error }
+   */
+  async loadMetric(metricId) {
+    try {
+      switch (metricId) {
+        case 'rainfall-anomaly':
+          return await this.loadRainfallAnomaly();
+        case 'rainfall':
+          return await this.loadRainfall();
+        case 'temperature':
+          return await this.loadTemperature();
+        case 'advisory-severity':
+          return await this.loadAdvisorySeverity();
+        case 'drought-index':
+          return await this.loadDroughtIndex();
+        default:
+          return { success: false, data: emptyValues(), error: `Unknown map layer: ${metricId}` };
+      }
+    } catch (error) {
+      console.error(`Error loading map layer ${metricId}:`, error);
+      return { success: false, data: emptyValues(), error: error.message };
+    }
+  }
+
+  async loadRainfallAnomaly() {
+    const result = await dekadBulletinService.getBulletins();
+    const data = emptyValues();
+
+    // Bulletins arrive newest first, so the first one seen per region is the latest
+    (result.data || []).forEach((bulletin) => {
+      if (data.regions[bulletin.regionCode] === undefined && bulletin.rainfall.anomalyPercent !== null) {
+        data.regions[bulletin.regionCode] = bulletin.rainfall.anomalyPercent;
+      }
+    });
+
+    return { success: result.success, data, stale: Boolean(result.stale), error: result.error };
+  }
+
+  /**
+   * One reading per region; failed regions are left without a value
+   */
+  async loadRegionalReadings(readRegion) {
+    const regions = Object.values(GHANA_REGIONS)
+      .map(region => ({ code: region.code, name: shortRegionName(region.name) }))
+      .filter(region => REGION_CENTERS[region.name]);
+
+    const results = await Promise.allSettled(regions.map(region => readRegion(region)));
+    const data = emptyValues();
+    const failures = [];
+
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled' && result.value !== null) {
+        data.regions[regions[index].code] = result.value;
+      } else if (result.status === 'rejected') {
+        failures.push(regions[index].name);
+      }
+    });
+
+    return {
+      success: failures.length < regions.length,
+      data,
+      stale: false,
+      error: failures.length ? `No data for ${failures.join(', ')}` : undefined,
+    };
+  }
+
+  loadTemperature() {
+    return this.loadRegionalReadings(async ({ name }) => {
+      const report = await weatherProviderService.getWeather(REGION_CENTERS[name]);
+      return Number.isFinite(report.current.temperature) ? report.current.temperature : null;
+    });
+  }
+
+  loadRainfall() {
+    return this.loadRegionalReadings(async ({ name }) => {
+      const report = await weatherProviderService.getWeather(REGION_CENTERS[name]);
+      return report.daily[0]?.precipitation ?? report.current.precipitation;
+    });
+  }
+
+  async loadAdvisorySeverity() {
+    const result = await emergencyAlertService.getActiveAlerts();
+    const data = emptyValues();
+
+    // Once the published advisories are known, districts without one show as clear
+    if (result.success) {
+      Object.keys(GHANA_REGIONS).forEach((regionCode) => {
+        data.regions[regionCode] = 0;
+      });
+    }
+    result.data.forEach((alert) => {
+      alert.districtCodes.forEach((districtCode) => {
+        const code = featureCode(districtCode);
+        data.districts[code] = Math.max(data.districts[code] || 0, SEVERITY_RANK[alert.severity] || 0);
+      });
+    });
+
+    return { success: result.success, data, stale: false, error: result.error };
+  }
+
+  async loadDroughtIndex() {
+    const result = await climateRiskService.loadDataset();
+    const data = emptyValues();
+    const indices = climateRiskService.computeDroughtIndices(result.data?.rainfall || []);
+
+    Object.values(indices).forEach(({ location, spi }) => {
+      const latest = [...spi[DROUGHT_SPI_SCALE]].reverse().find(entry => entry.spi !== null);
+      if (!latest) return;
+      if (location.districtCode) {
+        data.districts[featureCode(location.districtCode)] = latest.spi;
+      } else {
+        data.regions[location.regionCode] = latest.spi;
+      }
+    });
+
+    return { success: result.success, data, stale: Boolean(result.stale), error: result.error };
+  }
+}
+
+export default new ChoroplethService();
@@ -0,0 +1,510 @@
+/**
+ * Climate Risk Service
+ * Flood and drought risk engine for the FloodDrought page. Reads historical
+ * hazard incident records and rainfall observations uploaded through the
+ * agricultural data upload path, and computes drought indices (SPI over
+ * 1/3/6 months), flood exposure per district and a resilience score per
+ * agro-ecological zone for any year range.
+ */
+
+import userService from './userService';
+import { GHANA_REGIONS, getDistrictByCode, getRegionByCode } from '../data/ghanaCodes';
+import { computeSpi, SPI_SCALES } from '../utils/droughtIndices';
+
+export const INCIDENT_DATA_TYPE = 'hazard-incident';
+export const RAINFALL_DATA_TYPE = 'rainfall-observation';
+
+const CACHE_PREFIX = 'climate_risk_';
+
+// SPI at or below this marks a month as in drought (WMO "moderately dry")
+const DROUGHT_SPI_THRESHOLD = -1;
+// SPI at or above this marks a month as very wet for flood exposure
+const WET_SPI_THRESHOLD = 1.5;
+// Under a normal distribution about 16% of months fall below -1; twice that scores 100
+const DROUGHT_FREQUENCY_FULL_SCALE = 0.32;
+
+// Flood exposure weights (events, people affected, damages, very wet months)
+const FLOOD_EXPOSURE_WEIGHTS = { events: 0.35, affected: 0.25, damages: 0.2, wetMonths: 0.2 };
+// Drought risk weights (SPI-3 drought frequency, recorded drought incidents)
+const DROUGHT_RISK_WEIGHTS = { spi: 0.6, incidents: 0.4 };
+
+// Dominant agro-ecological zone for each region
+export const AGRO_ECOLOGICAL_ZONES = {
+  'Sudan Savannah': ['REG09'],
+  'Guinea Savannah': ['REG08', 'REG10', 'REG15', 'REG16'],
+  'Transition Zone': ['REG07', 'REG11', 'REG13', 'REG14'],
+  'Deciduous Forest': ['REG02', 'REG06', 'REG12'],
+  'Rainforest': ['REG03', 'REG17'],
+  'Coastal Savannah': ['REG01', 'REG04', 'REG05'],
+};
+
+const ZONE_BY_REGION = Object.entries(AGRO_ECOLOGICAL_ZONES).reduce((map, [zone, regionCodes]) => {
+  regionCodes.forEach(code => { map[code] = zone; });
+  return map;
+}, {});
+
+// Case/format-insensitive field lookup for uploaded spreadsheet rows
+const pickField = (record, ...names) => {
+  const keys = Object.keys(record);
+  for (const name of names) {
+    const wanted = name.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const key = keys.find(k => k.toLowerCase().replace(/[^a-z0-9]/g, '') === wanted);
+    if (key !== undefined && record[key] !== '' && record[key] !== null && record[key] !== undefined) {
+      return record[key];
+    }
+  }
+  return undefined;
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return 0;
+  const number = Number(value.toString().replace(/,/g, ''));
+  return Number.isFinite(number) ? number : 0;
+};
+
+const parseYearMonth = (record) => {
+  const year = Number(pickField(record, 'year'));
+  const month = Number(pickField(record, 'month'));
+  if (Number.isInteger(year) && year > 1900) {
+    return { year, month: Number.isInteger(month) && month >= 1 && month <= 12 ? month : null };
+  }
+
+  const dateValue = pickField(record, 'date', 'eventDate', 'observationDate', 'startDate');
+  if (!dateValue) return null;
+
+  const match = dateValue.toString().match(/^(\d{4})-(\d{1,2})/);
+  if (match) return { year: Number(match[1]), month: Number(match[2]) };
+
+  const date = new Date(dateValue);
+  return Number.isNaN(date.getTime()) ? null : { year: date.getFullYear(), month: date.getMonth() + 1 };
+};
+
+const findDistrictByName = (name) => {
+  const wanted = name.toString().trim().toLowerCase();
+  for (const region of Object.values(GHANA_REGIONS)) {
+    const entry = Object.entries(region.districts).find(([, districtName]) => districtName.toLowerCase() === wanted);
+    if (entry) {
+      return { code: entry[0], name: entry[1], regionCode: region.code, regionName: region.name };
+    }
+  }
+  return null;
+};
+
+const findRegion = (value) => {
+  if (!value) return null;
+  const text = value.toString().trim();
+  const byCode = getRegionByCode(text.toUpperCase());
+  if (byCode) return byCode;
+  const fullName = /\s+region$/i.test(text) ? text : `${text} Region`;
+  return Object.values(GHANA_REGIONS).find(r => r.name.toLowerCase() === fullName.toLowerCase()) || null;
+};
+
+/**
+ * Resolve the location columns of a record to a district and/or region
+ * @returns {Object|null} { districtCode, districtName, regionCode, regionName, zone }
+ */
+const resolveLocation = (record) => {
+  const districtValue = pickField(record, 'districtCode', 'district');
+  const district = districtValue
+    ? getDistrictByCode(districtValue.toString().trim().toUpperCase()) || findDistrictByName(districtValue)
+    : null;
+  const region = district ? getRegionByCode(district.regionCode) : findRegion(pickField(record, 'regionCode', 'region'));
+  if (!region) return null;
+
+  return {
+    districtCode: district?.code || null,
+    districtName: district?.name || null,
+    regionCode: region.code,
+    regionName: region.name,
+    zone: ZONE_BY_REGION[region.code] || null,
+  };
+};
+
+const scaleTo100 = (value, max) => (max > 0 ? (value / max) * 100 : 0);
+const average = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+const inRange = (year, range) => year >= range.from && year <= range.to;
+
+class ClimateRiskService {
+  /**
+   * Normalize an uploaded incident row
+   * Expected columns: date or year(/month), hazard type, district/region,
+   * people affected, damages (GHS), and optionally fatalities and sector.
+   */
+  normalizeIncident(record) {
+    const period = parseYearMonth(record);
+    const location = resolveLocation(record);
+    const hazard = (pickField(record, 'hazardType', 'hazard', 'type', 'eventType') || '').toString().toLowerCase();
+    const type = hazard.includes('flood') ? 'flood' : hazard.includes('drought') || hazard.includes('dry spell') ? 'drought' : null;
+    if (!period || !location || !type) return null;
+
+    return {
+      ...period,
+      ...location,
+      type,
+      peopleAffected: toNumber(pickField(record, 'peopleAffected', 'affected', 'affectedPopulation')),
+      damages: toNumber(pickField(record, 'damagesGhs', 'damages', 'economicLoss', 'loss')),
+      fatalities: toNumber(pickField(record, 'fatalities', 'deaths')),
+      sector: (pickField(record, 'sector', 'impactSector') || '').toString().trim() || null,
+    };
+  }
+
+  /**
+   * Normalize an uploaded rainfall row (daily or monthly totals in mm)
+   */
+  normalizeRainfall(record) {
+    const period = parseYearMonth(record);
+    const location = resolveLocation(record);
+    const rainfall = Number(pickField(record, 'rainfallMm', 'rainfall', 'precipitation', 'rain'));
+    if (!period?.month || !location || !Number.isFinite(rainfall)) return null;
+    return { ...period, ...location, rainfall };
+  }
+
+  readCache(dataType) {
+    try {
+      const cached = localStorage.getItem(`${CACHE_PREFIX}${dataType}`);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      console.warn('Failed to read cached climate risk data:', error);
+      return null;
+    }
+  }
+
+  writeCache(dataType, records) {
+    try {
+      localStorage.setItem(`${CACHE_PREFIX}${dataType}`, JSON.stringify(records));
+    } catch (error) {
+      console.warn('Failed to cache climate risk data:', error);
+    }
+  }
+
+  async fetchRecords(dataType) {
+    const result = await userService.getAgriculturalData(dataType);
+    if (result.success) {
+      const records = Array.isArray(result.data) ? result.data : [];
+      this.writeCache(dataType, records);
+      return { records, stale: false };
+    }
+
+    const cached = this.readCache(dataType);
+    if (cached) return { records: cached, stale: true, error: result.error };
+    return { records: [], stale: false, error: result.error };
+  }
+
+  /**
+   * Load and normalize incidents and rainfall observations
+   * @returns {Promise<Object>} { success, data: { incidents, rainfall, years }, stale, error }
+   */
+  async loadDataset() {
+    const [incidentResult, rainfallResult] = await Promise.all([
+      this.fetchRecords(INCIDENT_DATA_TYPE),
+      this.fetchRecords(RAINFALL_DATA_TYPE),
+    ]);
+
+    const incidents = incidentResult.records.map(r => this.normalizeIncident(r)).filter(Boolean);
+    const rainfall = rainfallResult.records.map(r => this.normalizeRainfall(r)).filter(Boolean);
+    const years = [...new Set([...incidents, ...rainfall].map(r => r.year))].sort((a, b) => a - b);
+    const error = incidentResult.error || rainfallResult.error;
+
+    return {
+      success: incidents.length > 0 || rainfall.length > 0 || !error,
+      data: { incidents, rainfall, years },
+      stale: incidentResult.stale || rainfallResult.stale,
+      error,
+    };
+  }
+
+  /**
+   * Monthly rainfall totals per location (district where known, else region)
+   * @returns {Object} { [locationKey]: { location, series: [{ year, month, rainfall }] } }
+   */
+  buildMonthlySeries(rainfall) {
+    const locations = {};
+    rainfall.forEach((observation) => {
+      const key = observation.districtCode || observation.regionCode;
+      if (!locations[key]) {
+        const { districtCode, districtName, regionCode, regionName, zone } = observation;
+        locations[key] = { location: { districtCode, districtName, regionCode, regionName, zone }, totals: {} };
+      }
+      const monthKey = `${observation.year}-${observation.month}`;
+      locations[key].totals[monthKey] = (locations[key].totals[monthKey] || 0) + observation.rainfall;
+    });
+
+    return Object.fromEntries(Object.entries(locations).map(([key, { location, totals }]) => [
+      key,
+      {
+        location,
+        series: Object.entries(totals).map(([monthKey, total]) => {
+          const [year, month] = monthKey.split('-').map(Number);
+          return { year, month, rainfall: total };
+        }),
+      },
+    ]));
+  }
+
+  /**
+   * SPI at every supported scale for each location, fitted on the full record
+   * so that any year range is judged against the same climatology.
+   */
+  computeDroughtIndices(rainfall) {
+    const monthly = this.buildMonthlySeries(rainfall);
+    return Object.fromEntries(Object.entries(monthly).map(([key, { location, series }]) => [
+      key,
+      {
+        location,
+        spi: Object.fromEntries(SPI_SCALES.map(scale => [scale, computeSpi(series, scale)])),
+      },
+    ]));
+  }
+
+  /**
+   * National mean SPI per month for the selected range and scale
+   */
+  buildSpiTimeline(indices, scale, range) {
+    const byMonth = {};
+    Object.values(indices).forEach(({ spi }) => {
+      spi[scale].forEach((entry) => {
+        if (entry.spi === null || !inRange(entry.year, range)) return;
+        const key = `${entry.year}-${String(entry.month).padStart(2, '0')}`;
+        (byMonth[key] = byMonth[key] || []).push(entry.spi);
+      });
+    });
+
+    return Object.keys(byMonth).sort().map(period => ({
+      period,
+      spi: Math.round(average(byMonth[period]) * 100) / 100,
+    }));
+  }
+
+  /**
+   * Locations whose latest SPI in range is at or below the drought threshold
+   */
+  getLocationsInDrought(indices, scale, range) {
+    return Object.values(indices)
+      .map(({ location, spi }) => {
+        const latest = [...spi[scale]].reverse().find(entry => entry.spi !== null && inRange(entry.year, range));
+        return latest ? { ...location, ...latest } : null;
+      })
+      .filter(entry => entry && entry.spi <= DROUGHT_SPI_THRESHOLD)
+      .sort((a, b) => a.spi - b.spi);
+  }
+
+  /**
+   * Flood exposure index (0-100) per district from flood incidents and very wet months
+   */
+  computeFloodExposure(incidents, indices, range) {
+    const districts = {};
+    const ensure = (location) => {
+      const key = location.districtCode || location.regionCode;
+      if (!districts[key]) {
+        districts[key] = {
+          districtCode: location.districtCode,
+          name: location.districtName || location.regionName,
+          regionCode: location.regionCode,
+          regionName: location.regionName,
+          zone: location.zone,
+          events: 0,
+          affected: 0,
+          damages: 0,
+          wetMonths: 0,
+        };
+      }
+      return districts[key];
+    };
+
+    incidents
+      .filter(incident => incident.type === 'flood' && inRange(incident.year, range))
+      .forEach((incident) => {
+        const entry = ensure(incident);
+        entry.events += 1;
+        entry.affected += incident.peopleAffected;
+        entry.damages += incident.damages;
+      });
+
+    Object.values(indices).forEach(({ location, spi }) => {
+      const wetMonths = spi[1].filter(e => e.spi !== null && e.spi >= WET_SPI_THRESHOLD && inRange(e.year, range)).length;
+      if (wetMonths > 0) ensure(location).wetMonths += wetMonths;
+    });
+
+    const entries = Object.values(districts);
+    const max = (field) => Math.max(0, ...entries.map(e => e[field]));
+    const maxima = { events: max('events'), affected: max('affected'), damages: max('damages'), wetMonths: max('wetMonths') };
+
+    return entries
+      .map(entry => ({
+        ...entry,
+        exposure: Math.round(Object.entries(FLOOD_EXPOSURE_WEIGHTS)
+          .reduce((score, [field, weight]) => score + weight * scaleTo100(entry[field], maxima[field]), 0)),
+      }))
+      .sort((a, b) => b.exposure - a.exposure);
+  }
+
+  /**
+   * Flood risk, drought risk and resilience (0-100) per agro-ecological zone
+   */
+  computeZoneScores(incidents, indices, floodExposure, range) {
+    const droughtIncidents = Object.fromEntries(Object.keys(AGRO_ECOLOGICAL_ZONES).map(zone => [
+      zone,
+      incidents.filter(i => i.type === 'drought' && i.zone === zone && inRange(i.year, range)).length,
+    ]));
+    const maxDroughtIncidents = Math.max(0, ...Object.values(droughtIncidents));
+
+    return Object.keys(AGRO_ECOLOGICAL_ZONES).map((zone) => {
+      const zoneExposure = floodExposure.filter(entry => entry.zone === zone).map(entry => entry.exposure);
+      const floodRisk = Math.round(average(zoneExposure) ?? 0);
+
+      const spiValues = Object.values(indices)
+        .filter(({ location }) => location.zone === zone)
+        .flatMap(({ spi }) => spi[3].filter(e => e.spi !== null && inRange(e.year, range)));
+      const droughtFrequency = spiValues.length
+        ? spiValues.filter(e => e.spi <= DROUGHT_SPI_THRESHOLD).length / spiValues.length
+        : null;
+
+      const spiComponent = droughtFrequency === null
+        ? null
+        : Math.min(100, (droughtFrequency / DROUGHT_FREQUENCY_FULL_SCALE) * 100);
+      const incidentComponent = scaleTo100(droughtIncidents[zone], maxDroughtIncidents);
+      const droughtRisk = Math.round(spiComponent === null
+        ? incidentComponent
+        : DROUGHT_RISK_WEIGHTS.spi * spiComponent + DROUGHT_RISK_WEIGHTS.incidents * incidentComponent);
+
+      return {
+        region: zone,
+        floodRisk,
+        droughtRisk,
+        adaptationScore: Math.max(0, Math.round(100 - (floodRisk + droughtRisk) / 2)),
+        droughtFrequency,
+        hasData: zoneExposure.length > 0 || spiValues.length > 0 || droughtIncidents[zone] > 0,
+      };
+    });
+  }
+
+  getRiskLevel(score) {
+    if (score >= 80) return 'Extreme';
+    if (score >= 60) return 'High';
+    if (score >= 40) return 'Moderate';
+    return 'Low';
+  }
+
+  getResilienceLevel(score) {
+    if (score > 75) return { label: 'High', color: '#00CC00' };
+    if (score > 50) return { label: 'Moderate', color: '#FFA500' };
+    return { label: 'Low', color: '#FF0000' };
+  }
+
+  /**
+   * Incident trend for a zone: second half of the range vs the first
+   */
+  getTrend(incidents, type, zone, range) {
+    const midpoint = range.from + (range.to - range.from) / 2;
+    const zoneIncidents = incidents.filter(i => i.type === type && i.zone === zone && inRange(i.year, range));
+    const early = zoneIncidents.filter(i => i.year < midpoint).length;
+    const late = zoneIncidents.filter(i => i.year > midpoint).length;
+
+    if (late > early) return type === 'flood' ? 'Increasing' : 'Worsening';
+    if (late < early) return type === 'flood' ? 'Decreasing' : 'Improving';
+    return 'Stable';
+  }
+
+  buildYearlySeries(incidents, indices, range) {
+    const years = [];
+    for (let year = range.from; year <= range.to; year++) {
+      const flood = incidents.filter(i => i.type === 'flood' && i.year === year);
+      const drought = incidents.filter(i => i.type === 'drought' && i.year === year);
+
+      // Regions with a drought incident or a month of SPI-3 drought
+      const droughtRegions = new Set(drought.map(i => i.regionCode));
+      Object.values(indices).forEach(({ location, spi }) => {
+        if (spi[3].some(e => e.year === year && e.spi !== null && e.spi <= DROUGHT_SPI_THRESHOLD)) {
+          droughtRegions.add(location.regionCode);
+        }
+      });
+
+      const sum = (list, field) => list.reduce((total, item) => total + item[field], 0);
+      years.push({
+        year,
+        flood: {
+          incidents: flood.length,
+          affected: sum(flood, 'peopleAffected'),
+          damages: sum(flood, 'damages'),
+        },
+        drought: {
+          incidents: drought.length,
+          regions: droughtRegions.size,
+          affected: sum(drought, 'peopleAffected'),
+          damages: sum(drought, 'damages'),
+        },
+      });
+    }
+    return years;
+  }
+
+  /**
+   * Recorded incidents per impacted sector
+   */
+  buildImpactDistribution(incidents, range) {
+    const bySector = {};
+    incidents
+      .filter(incident => incident.sector && inRange(incident.year, range))
+      .forEach((incident) => {
+        bySector[incident.sector] = (bySector[incident.sector] || 0) + 1;
+      });
+    return Object.entries(bySector)
+      .map(([name, value]) => ({ name, value }))
+      .sort((a, b) => b.value - a.value);
+  }
+
+  /**
+   * Full risk assessment for a year range
+   * @param {Object} dataset - from loadDataset()
+   * @param {Object} range - { from, to } inclusive years
+   * @param {Object} options - { spiScale }
+   */
+  assess(dataset, range, { spiScale = 3 } = {}) {
+    const { incidents, rainfall } = dataset;
+    const indices = this.computeDroughtIndices(rainfall);
+    const floodExposure = this.computeFloodExposure(incidents, indices, range);
+    const zones = this.computeZoneScores(incidents, indices, floodExposure, range);
+    const zonesWithData = zones.filter(zone => zone.hasData);
+
+    const hotspots = zonesWithData
+      .flatMap(zone => [
+        {
+          type: 'Flood',
+          region: zone.region,
+          impact: zone.floodRisk,
+          risk: this.getRiskLevel(zone.floodRisk),
+          trend: this.getTrend(incidents, 'flood', zone.region, range),
+        },
+        {
+          type: 'Drought',
+          region: zone.region,
+          impact: zone.droughtRisk,
+          risk: this.getRiskLevel(zone.droughtRisk),
+          trend: this.getTrend(incidents, 'drought', zone.region, range),
+        },
+      ])
+      .filter(spot => spot.impact >= 40)
+      .sort((a, b) => b.impact - a.impact)
+      .slice(0, 6);
+
+    const nationalResilience = zonesWithData.length
+      ? Math.round(average(zonesWithData.map(zone => zone.adaptationScore)))
+      : null;
+
+    return {
+      range,
+      yearly: this.buildYearlySeries(incidents, indices, range),
+      zones,
+      floodExposure,
+      hotspots,
+      impactDistribution: this.buildImpactDistribution(incidents, range),
+      spiTimeline: this.buildSpiTimeline(indices, spiScale, range),
+      locationsInDrought: this.getLocationsInDrought(indices, spiScale, range),
+      resilience: nationalResilience === null
+        ? null
+        : { score: nationalResilience, ...this.getResilienceLevel(nationalResilience) },
+    };
+  }
+}
+
+export default new ClimateRiskService();
@@ -0,0 +1,262 @@
+/**
+ * Content Workflow Service
+ * Editorial states for uploaded advisories and calendars. Uploads start as
+ * drafts and only reach the public pages once published:
+ *
+ *   draft -> in_review -> approved -> published -> archived
+ *
+ * Reviews can send an item back to draft, an approved item with a scheduled
+ * publish date is published by the server once the date passes, and archived
+ * items can be restored as drafts. Every item keeps its reviewer, comments
+ * and a history of transitions.
+ *
+ * Workflow items are stored by the data API, which keeps the `status` of each
+ * uploaded record in step with its item. Public pages only show records whose
+ * status is `published`; a record without a status is not shown.
+ */
+
+import userService from './userService';
+import { getDistrictName, getRegionName } from '../data/ghanaCodes';
+
+export const WORKFLOW_STATES = {
+  draft: { id: 'draft', label: 'Draft', color: 'gray' },
+  in_review: { id: 'in_review', label: 'In review', color: 'yellow' },
+  approved: { id: 'approved', label: 'Approved', color: 'blue' },
+  published: { id: 'published', label: 'Published', color: 'green' },
+  archived: { id: 'archived', label: 'Archived', color: 'red' },
+};
+
+/**
+ * Allowed transitions and the action that performs each
+ */
+export const WORKFLOW_TRANSITIONS = {
+  draft: [
+    { to: 'in_review', action: 'Submit for review' },
+    { to: 'archived', action: 'Archive' },
+  ],
+  in_review: [
+    { to: 'approved', action: 'Approve' },
+    { to: 'draft', action: 'Request changes' },
+    { to: 'archived', action: 'Archive' },
+  ],
+  approved: [
+    { to: 'published', action: 'Publish now' },
+    { to: 'in_review', action: 'Reopen review' },
+    { to: 'archived', action: 'Archive' },
+  ],
+  published: [
+    { to: 'archived', action: 'Archive' },
+  ],
+  archived: [
+    { to: 'draft', action: 'Restore as draft' },
+  ],
+};
+
+export const CONTENT_TYPES = {
+  'agromet-advisory': 'Agromet advisory',
+  'poultry-advisory': 'Poultry advisory',
+  'crop-calendar': 'Crop calendar',
+  'poultry-calendar': 'Poultry calendar',
+  'enhanced-calendar': 'Enhanced calendar',
+};
+
+const describeUser = () => {
+  const user = userService.getCurrentUser();
+  return {
+    id: user?.id || user?._id || null,
+    name: user?.name || [user?.firstName, user?.lastName].filter(Boolean).join(' ') || user?.email || 'Unknown user',
+    email: user?.email || null,
+  };
+};
+
+// The parts of an item the audit log keeps before and after a change
+const auditView = (item) => ({
+  state: item.state,
+  reviewer: item.reviewer,
+  scheduledPublishAt: item.scheduledPublishAt || null,
+  comments: item.comments.length,
+});
+
+class ContentWorkflowService {
+  /**
+   * All workflow items
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  async getItems() {
+    const result = await userService.getWorkflowItems();
+    return result.success
+      ? { success: true, data: Array.isArray(result.data) ? result.data : [] }
+      : { success: false, data: [], error: result.error };
+  }
+
+  /**
+   * A new workflow id, sent with the upload so the stored record can be
+   * matched to its workflow item
+   */
+  createWorkflowId(contentType) {
+    return `${contentType}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Record an upload as a draft
+   * @param {Object} submission - { workflowId, contentType, recordId, uniqueId,
+   *   title, region, district, commodity }
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  async registerDraft({ workflowId, contentType, recordId = null, uniqueId = null, title, region, district, commodity }) {
+    if (!CONTENT_TYPES[contentType]) {
+      return { success: false, error: `Unknown content type: ${contentType}` };
+    }
+    const now = new Date().toISOString();
+    const author = describeUser();
+    const item = {
+      id: workflowId || this.createWorkflowId(contentType),
+      contentType,
+      recordId: recordId ? String(recordId) : null,
+      uniqueId: uniqueId || null,
+      title: title?.trim() || CONTENT_TYPES[contentType],
+      region: region ? getRegionName(region) : '',
+      district: district ? getDistrictName(district) : '',
+      commodity: commodity || '',
+      state: 'draft',
+      reviewer: null,
+      scheduledPublishAt: null,
+      comments: [],
+      history: [{ from: null, to: 'draft', by: author, at: now, comment: 'Uploaded' }],
+      createdBy: author,
+      createdAt: now,
+      updatedAt: now,
+    };
+    return userService.createWorkflowItem(item);
+  }
+
+  /**
+   * Move an item to another state
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  transition(id, to, comment = '') {
+    return this.updateItem(id, (item) => {
+      const allowed = WORKFLOW_TRANSITIONS[item.state].some(entry => entry.to === to);
+      if (!allowed) {
+        throw new Error(`Cannot move from ${WORKFLOW_STATES[item.state].label} to ${WORKFLOW_STATES[to]?.label || to}.`);
+      }
+      if (to === 'in_review' && !item.reviewer) {
+        throw new Error('Assign a reviewer before submitting for review.');
+      }
+      return this.withTransition(item, to, describeUser(), comment);
+    }, (before, after) => `${after.title}: ${WORKFLOW_STATES[before.state].label} to ${WORKFLOW_STATES[after.state].label}`);
+  }
+
+  /**
+   * @param {Object|null} reviewer - { name, email }; null to unassign
+   */
+  assignReviewer(id, reviewer) {
+    return this.updateItem(id, (item) => {
+      if (reviewer && !reviewer.name?.trim() && !reviewer.email?.trim()) {
+        throw new Error('Enter the reviewer\'s name or email.');
+      }
+      return {
+        ...item,
+        reviewer: reviewer ? { name: reviewer.name?.trim() || reviewer.email.trim(), email: reviewer.email?.trim() || null } : null,
+      };
+    }, (before, after) => (after.reviewer ? `${after.title}: reviewer ${after.reviewer.name}` : `${after.title}: reviewer removed`));
+  }
+
+  addComment(id, text) {
+    return this.updateItem(id, (item) => {
+      if (!text?.trim()) throw new Error('A comment cannot be empty.');
+      const comment = {
+        id: `comment-${Date.now()}`,
+        author: describeUser(),
+        text: text.trim(),
+        createdAt: new Date().toISOString(),
+      };
+      return { ...item, comments: [...item.comments, comment] };
+    }, (before, after) => `${after.title}: comment "${text.trim()}"`);
+  }
+
+  /**
+   * Publish an item at a later date, once it is approved
+   * @param {string|null} publishAt - ISO date; null clears the schedule
+   */
+  schedulePublish(id, publishAt) {
+    return this.updateItem(id, (item) => {
+      if (item.state === 'published' || item.state === 'archived') {
+        throw new Error(`${WORKFLOW_STATES[item.state].label} items cannot be scheduled.`);
+      }
+      if (publishAt && Number.isNaN(new Date(publishAt).getTime())) {
+        throw new Error('Enter a valid publish date.');
+      }
+      return { ...item, scheduledPublishAt: publishAt ? new Date(publishAt).toISOString() : null };
+    }, (before, after) => `${after.title}: ${after.scheduledPublishAt ? `publish scheduled for ${after.scheduledPublishAt}` : 'publish schedule cleared'}`);
+  }
+
+  /**
+   * Of the given items, those waiting on an editor, oldest first
+   */
+  getReviewQueue(items) {
+    return items
+      .filter(item => item.state === 'in_review' || item.state === 'approved')
+      .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+  }
+
+  /**
+   * Whether a record from the data API may be shown on public pages
+   */
+  isPublic(record) {
+    return record?.status === 'published';
+  }
+
+  /**
+   * The records of a data API response that are published
+   */
+  filterPublic(records) {
+    if (!Array.isArray(records)) return records;
+    return records.filter(record => this.isPublic(record));
+  }
+
+  /**
+   * @param {Function} update - (item) => updated item; throws to refuse the change
+   * @param {Function} [summarize] - (before, after) => audit log summary
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  async updateItem(id, update, summarize = null) {
+    try {
+      const items = await this.getItems();
+      if (!items.success) throw new Error(items.error);
+      const existing = items.data.find(item => item.id === id);
+      if (!existing) throw new Error('Workflow item not found.');
+      const updated = { ...update(existing), updatedAt: new Date().toISOString() };
+      const saved = await userService.updateWorkflowItem(id, updated);
+      if (!saved.success) throw new Error(saved.error);
+      if (summarize) this.audit(existing, saved.data, summarize(existing, saved.data), userService.getCurrentUser());
+      return { success: true, data: saved.data };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  withTransition(item, to, by, comment = '') {
+    const at = new Date().toISOString();
+    return {
+      ...item,
+      state: to,
+      publishedAt: to === 'published' ? at : item.publishedAt || null,
+      history: [...item.history, { from: item.state, to, by, at, comment: comment.trim() }],
+    };
+  }
+
+  audit(before, after, summary, actor) {
+    userService.audit({
+      action: 'workflow',
+      entityType: after.contentType,
+      entityId: after.recordId || after.id,
+      before: auditView(before),
+      after: auditView(after),
+      summary,
+      actor,
+    });
+  }
+}
+
+export default new ContentWorkflowService();
@@ -0,0 +1,333 @@
+/**
+ * Dekad Bulletin Service
+ * Dekadal (10-day) agromet bulletins: one record per region, year and dekad
+ * holding observed vs normal rainfall, temperature anomalies and crop impact
+ * text. Bulletins are uploaded from the admin Dashboard and rendered by the
+ * AgroBulletins page, which addresses them as /agro-bulletins/:region/:year/:dekad.
+ */
+
+import userService from './userService';
+import { GHANA_REGIONS, getRegionByCode, getRegionByName } from '../data/ghanaCodes';
+
+const DEKADS_PER_YEAR = 36;
+const CACHE_PREFIX = 'dekad_bulletins_';
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Rainfall within this percentage of normal is reported as "near normal"
+const NEAR_NORMAL_RAINFALL_PCT = 20;
+
+// Spreadsheet header aliases for each bulletin field (lowercased, trimmed)
+const COLUMN_ALIASES = {
+  regionCode: ['region code', 'regioncode', 'region'],
+  year: ['year'],
+  dekad: ['dekad', 'dekad number', 'dekad no'],
+  observedRainfall: ['observed rainfall', 'observed rainfall (mm)', 'rainfall (mm)', 'rainfall'],
+  normalRainfall: ['normal rainfall', 'normal rainfall (mm)', 'rainfall normal'],
+  rainyDays: ['rainy days', 'rain days'],
+  observedMaxTemp: ['max temp', 'max temp (°c)', 'observed max temp', 'tmax'],
+  normalMaxTemp: ['normal max temp', 'normal max temp (°c)', 'tmax normal'],
+  observedMinTemp: ['min temp', 'min temp (°c)', 'observed min temp', 'tmin'],
+  normalMinTemp: ['normal min temp', 'normal min temp (°c)', 'tmin normal'],
+  humidity: ['humidity', 'humidity (%)', 'relative humidity'],
+  summary: ['summary', 'weather summary'],
+  cropImpact: ['crop impact', 'impact on crops', 'crop impact text'],
+};
+
+const toNumberOrNull = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toDateString = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const roundTo = (value, digits = 1) => {
+  if (value === null) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+class DekadBulletinService {
+  /**
+   * Dekad containing a date. Dekads 1-3 of a month cover days 1-10, 11-20
+   * and 21-end, so a year has 36 dekads.
+   * @param {Date} date
+   * @returns {Object} { year, dekad }
+   */
+  getDekadOfDate(date = new Date()) {
+    const dekadOfMonth = Math.min(3, Math.floor((date.getDate() - 1) / 10) + 1);
+    return {
+      year: date.getFullYear(),
+      dekad: date.getMonth() * 3 + dekadOfMonth,
+    };
+  }
+
+  isValidDekad(year, dekad) {
+    return Number.isInteger(year) && year > 1900 &&
+      Number.isInteger(dekad) && dekad >= 1 && dekad <= DEKADS_PER_YEAR;
+  }
+
+  /**
+   * Calendar range covered by a dekad
+   * @returns {Object} { start, end } as local Dates
+   */
+  getDekadRange(year, dekad) {
+    const month = Math.floor((dekad - 1) / 3);
+    const dekadOfMonth = ((dekad - 1) % 3) + 1;
+    const startDay = (dekadOfMonth - 1) * 10 + 1;
+    const endDay = dekadOfMonth === 3
+      ? new Date(year, month + 1, 0).getDate()
+      : startDay + 9;
+
+    return {
+      start: new Date(year, month, startDay),
+      end: new Date(year, month, endDay),
+    };
+  }
+
+  shiftDekad({ year, dekad }, offset) {
+    const index = year * DEKADS_PER_YEAR + (dekad - 1) + offset;
+    return {
+      year: Math.floor(index / DEKADS_PER_YEAR),
+      dekad: (index % DEKADS_PER_YEAR) + 1,
+    };
+  }
+
+  /**
+   * Human-readable dekad label, e.g. "Dekad 2, March 2025 (11-20 Mar)"
+   */
+  formatDekadLabel(year, dekad) {
+    const { start, end } = this.getDekadRange(year, dekad);
+    const monthName = MONTH_NAMES[start.getMonth()];
+    const dekadOfMonth = ((dekad - 1) % 3) + 1;
+    return `Dekad ${dekadOfMonth}, ${monthName} ${year} (${start.getDate()}-${end.getDate()} ${monthName.slice(0, 3)})`;
+  }
+
+  getBulletinPath(regionCode, year, dekad) {
+    return `/agro-bulletins/${regionCode}/${year}/${dekad}`;
+  }
+
+  /**
+   * Accepts a region code ("REG02") or name ("Ashanti" / "Ashanti Region")
+   * @returns {Object|null} { code, name }
+   */
+  resolveRegion(region) {
+    if (!region) return null;
+    const value = region.toString().trim();
+
+    const byCode = getRegionByCode(value.toUpperCase());
+    if (byCode) return { code: byCode.code, name: byCode.name };
+
+    const fullName = /\s+Region$/i.test(value) ? value : `${value} Region`;
+    const byName = getRegionByName(fullName) ||
+      Object.values(GHANA_REGIONS).find(r => r.name.toLowerCase() === fullName.toLowerCase());
+
+    return byName ? { code: byName.code, name: byName.name } : null;
+  }
+
+  getRainfallStatus(anomalyPercent) {
+    if (anomalyPercent === null) return 'unknown';
+    if (anomalyPercent > NEAR_NORMAL_RAINFALL_PCT) return 'above normal';
+    if (anomalyPercent < -NEAR_NORMAL_RAINFALL_PCT) return 'below normal';
+    return 'near normal';
+  }
+
+  /**
+   * Normalize a bulletin record from the API or a parsed spreadsheet row
+   * into the shape rendered by AgroBulletins. Anomalies are derived here
+   * so the page never has to recompute them.
+   */
+  normalizeBulletin(raw) {
+    const region = this.resolveRegion(raw.regionCode || raw.region);
+    const year = Number(raw.year);
+    const dekad = Number(raw.dekad);
+    const { start, end } = this.getDekadRange(year, dekad);
+
+    const observedRainfall = toNumberOrNull(raw.rainfall?.observed ?? raw.observedRainfall);
+    const normalRainfall = toNumberOrNull(raw.rainfall?.normal ?? raw.normalRainfall);
+    const rainfallAnomalyPct = observedRainfall !== null && normalRainfall
+      ? roundTo(((observedRainfall - normalRainfall) / normalRainfall) * 100, 0)
+      : null;
+
+    const observedMax = toNumberOrNull(raw.temperature?.observedMax ?? raw.observedMaxTemp);
+    const normalMax = toNumberOrNull(raw.temperature?.normalMax ?? raw.normalMaxTemp);
+    const observedMin = toNumberOrNull(raw.temperature?.observedMin ?? raw.observedMinTemp);
+    const normalMin = toNumberOrNull(raw.temperature?.normalMin ?? raw.normalMinTemp);
+
+    return {
+      id: raw.id || raw._id || `${region?.code || 'UNKNOWN'}-${year}-${dekad}`,
+      regionCode: region?.code || null,
+      regionName: region?.name || raw.regionName || null,
+      year,
+      dekad,
+      label: this.formatDekadLabel(year, dekad),
+      startDate: toDateString(start),
+      endDate: toDateString(end),
+      rainfall: {
+        observed: observedRainfall,
+        normal: normalRainfall,
+        anomalyMm: observedRainfall !== null && normalRainfall !== null
+          ? roundTo(observedRainfall - normalRainfall)
+          : null,
+        anomalyPercent: rainfallAnomalyPct,
+        status: this.getRainfallStatus(rainfallAnomalyPct),
+        rainyDays: toNumberOrNull(raw.rainfall?.rainyDays ?? raw.rainyDays),
+      },
+      temperature: {
+        observedMax,
+        normalMax,
+        maxAnomaly: observedMax !== null && normalMax !== null ? roundTo(observedMax - normalMax) : null,
+        observedMin,
+        normalMin,
+        minAnomaly: observedMin !== null && normalMin !== null ? roundTo(observedMin - normalMin) : null,
+      },
+      humidity: toNumberOrNull(raw.humidity),
+      summary: (raw.summary || '').toString().trim(),
+      cropImpact: (raw.cropImpact || '').toString().trim(),
+      issuedAt: raw.issuedAt || raw.createdAt || null,
+    };
+  }
+
+  /**
+   * Map spreadsheet rows (first row = headers) to bulletin records
+   * @param {Array} headers
+   * @param {Array<Array>} rows
+   * @param {Object} defaults - values applied when a column is missing (e.g. regionCode, year)
+   * @returns {Object} { records, errors }
+   */
+  parseBulletinRows(headers, rows, defaults = {}) {
+    const columnIndex = {};
+    headers.forEach((header, index) => {
+      const key = (header ?? '').toString().trim().toLowerCase();
+      Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+        if (columnIndex[field] === undefined && aliases.includes(key)) {
+          columnIndex[field] = index;
+        }
+      });
+    });
+
+    const records = [];
+    const errors = [];
+
+    rows.forEach((row, rowIndex) => {
+      const raw = { ...defaults };
+      Object.entries(columnIndex).forEach(([field, index]) => {
+        const value = row[index];
+        if (value !== undefined && value !== null && value !== '') {
+          raw[field] = value;
+        }
+      });
+
+      const rowNumber = rowIndex + 2; // 1-based, after the header row
+      const region = this.resolveRegion(raw.regionCode);
+      const year = Number(raw.year);
+      const dekad = Number(raw.dekad);
+
+      if (!region) {
+        errors.push(`Row ${rowNumber}: unknown region "${raw.regionCode ?? ''}"`);
+        return;
+      }
+      if (!this.isValidDekad(year, dekad)) {
+        errors.push(`Row ${rowNumber}: year/dekad must be a year and a dekad between 1 and ${DEKADS_PER_YEAR}`);
+        return;
+      }
+      if (toNumberOrNull(raw.observedRainfall) === null) {
+        errors.push(`Row ${rowNumber}: observed rainfall is required`);
+        return;
+      }
+
+      records.push(this.normalizeBulletin({ ...raw, regionCode: region.code }));
+    });
+
+    return { records, errors };
+  }
+
+  getCacheKey(regionCode) {
+    return `${CACHE_PREFIX}${regionCode}`;
+  }
+
+  readCache(regionCode) {
+    try {
+      const cached = localStorage.getItem(this.getCacheKey(regionCode));
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      console.warn('Failed to read cached dekad bulletins:', error);
+      return null;
+    }
+  }
+
+  writeCache(regionCode, bulletins) {
+    try {
+      localStorage.setItem(this.getCacheKey(regionCode), JSON.stringify(bulletins));
+    } catch (error) {
+      console.warn('Failed to cache dekad bulletins:', error);
+    }
+  }
+
+  sortBulletins(bulletins) {
+    return [...bulletins].sort((a, b) => (b.year - a.year) || (b.dekad - a.dekad));
+  }
+
+  /**
+   * Bulletin history, newest first. Falls back to the last list fetched for
+   * the region when the API is unreachable.
+   * @param {Object} filters - { regionCode, year }
+   * @returns {Promise<Object>} { success, data, stale, error }
+   */
+  async getBulletins(filters = {}) {
+    const query = {};
+    if (filters.regionCode) query.regionCode = filters.regionCode;
+    if (filters.year) query.year = filters.year;
+
+    const result = await userService.getDekadBulletins(query);
+
+    if (result.success) {
+      const bulletins = this.sortBulletins(
+        (Array.isArray(result.data) ? result.data : []).map(raw => this.normalizeBulletin(raw))
+      );
+      if (filters.regionCode && !filters.year) {
+        this.writeCache(filters.regionCode, bulletins);
+      }
+      return { success: true, data: bulletins, stale: false };
+    }
+
+    const cached = filters.regionCode ? this.readCache(filters.regionCode) : null;
+    if (cached) {
+      const data = filters.year ? cached.filter(b => b.year === Number(filters.year)) : cached;
+      return { success: true, data, stale: true, error: result.error };
+    }
+
+    return { success: false, data: [], stale: false, error: result.error };
+  }
+
+  /**
+   * A single bulletin by region, year and dekad
+   * @returns {Promise<Object>} { success, data, stale, error }
+   */
+  async getBulletin(regionCode, year, dekad) {
+    const result = await this.getBulletins({ regionCode });
+    if (!result.success) return { ...result, data: null };
+
+    const bulletin = result.data.find(b => b.year === Number(year) && b.dekad === Number(dekad));
+    return bulletin
+      ? { success: true, data: bulletin, stale: result.stale }
+      : { success: false, data: null, stale: result.stale, error: 'No bulletin published for this dekad' };
+  }
+
+  async uploadBulletins(formData, progressCallback) {
+    return userService.uploadDekadBulletins(formData, progressCallback);
+  }
+
+  async deleteBulletin(bulletinId, before = null) {
+    return userService.deleteDekadBulletin(bulletinId, before);
+  }
+}
+
+export default new DekadBulletinService();
@@ -0,0 +1,106 @@
+/**
+ * Diagnostic Usage Service
+ * Counts uses of the crop diagnostic tools so the Dashboard reports can show
+ * how often farmers use them. The tool pages record each diagnosis a farmer
+ * runs; the chatbot's symptom lookups are not counted. Only the tool, crop,
+ * result and time are kept, never the photo.
+ *
+ * Uses are sent to the data API, which the reports read from. The tools work
+ * offline, so uses that could not be sent wait in this browser and go with
+ * the next one, or when the connection comes back.
+ */
+
+import userService from './userService';
+
+// Uses waiting to be sent to the server
+const PENDING_KEY = 'triagro_diagnostic_usage_pending';
+// Oldest waiting uses are dropped beyond this, so an offline device cannot fill its storage
+const PENDING_LIMIT = 500;
+
+export const DIAGNOSTIC_TOOLS = {
+  image: { id: 'image', label: 'Photo diagnosis' },
+  guided: { id: 'guided', label: 'Guided diagnosis' },
+};
+
+const readPending = () => {
+  try {
+    const stored = localStorage.getItem(PENDING_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.warn(`Could not read ${PENDING_KEY}:`, error);
+    return [];
+  }
+};
+
+const savePending = (entries) => {
+  try {
+    if (entries.length > 0) localStorage.setItem(PENDING_KEY, JSON.stringify(entries.slice(-PENDING_LIMIT)));
+    else localStorage.removeItem(PENDING_KEY);
+  } catch (error) {
+    // Usage counts must never get in the way of a diagnosis
+    console.warn('Could not keep diagnostic usage to send later:', error);
+  }
+};
+
+class DiagnosticUsageService {
+  constructor() {
+    this.sending = null;
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => this.flush());
+    }
+  }
+
+  /**
+   * Record one use of a diagnostic tool
+   * @param {Object} use - { tool, crop, result, source }
+   */
+  record({ tool, crop = null, result = null, source = null }) {
+    const entry = {
+      tool,
+      crop,
+      result,
+      source,
+      timestamp: new Date().toISOString(),
+    };
+
+    savePending([...readPending(), entry]);
+    this.flush();
+    return entry;
+  }
+
+  /**
+   * Send the waiting uses; one batch at a time
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this.sending) return this.sending;
+
+    const batch = readPending();
+    if (batch.length === 0) return Promise.resolve();
+
+    this.sending = userService.recordDiagnosticUsage(batch).then((result) => {
+      // Uses recorded while the batch was in flight stay waiting
+      this.sending = null;
+      if (result.success) {
+        savePending(readPending().slice(batch.length));
+        return this.flush();
+      }
+      return undefined;
+    });
+    return this.sending;
+  }
+
+  /**
+   * Uses recorded on the server, oldest first
+   * @param {Object} filters - { from, to } dates (YYYY-MM-DD), inclusive
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  async getUsage({ from, to } = {}) {
+    const result = await userService.getDiagnosticUsage({ from, to });
+    if (!result.success) return { success: false, data: [], error: result.error };
+    const uses = Array.isArray(result.data) ? result.data : [];
+    return { success: true, data: [...uses].sort((a, b) => a.timestamp.localeCompare(b.timestamp)) };
+  }
+}
+
+export default new DiagnosticUsageService();
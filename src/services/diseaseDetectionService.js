@@ -142,7 +142,7 @@ class DiseaseDetectionService {
       
       if (healthyApis.length === 0) {
         console.warn("🚫 No healthy APIs available, using intelligent fallback");
-        return this.generateIntelligentFallback();
+        return this.recordUsage(this.generateIntelligentFallback());
       }
 
       // Try each healthy API
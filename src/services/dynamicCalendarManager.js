@@ -1,6 +1,6 @@
 import agriculturalDataService from './agriculturalDataService';
 import weatherCalendarIntegration from './weatherCalendarIntegration';
-import sophisticatedCalendarParser from '../utils/sophisticatedCalendarParser';
+import calendarParsingService from './calendarParsingService';
 
 /**
  * Dynamic Calendar Data Manager
@@ -21,7 +21,6 @@ class DynamicCalendarManager {
     this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
     this.fallbackTemplates = null;
     this.isInitialized = false;
-    this.calendarParser = sophisticatedCalendarParser;
   }
 
   /**
@@ -281,299 +280,38 @@ class DynamicCalendarManager {
    * @returns {Array} Standardized activities
    */
   parseExcelDataToActivities(calendar) {
-    console.log('\n🔧 parseExcelDataToActivities called for calendar:', calendar.id);
-    console.log('📄 Calendar fileData structure:', {
-      hasFileData: !!calendar.fileData,
-      hasSheets: !!(calendar.fileData && calendar.fileData.sheets),
-      sheetNames: calendar.fileData?.sheets ? Object.keys(calendar.fileData.sheets) : []
-    });
-
-    const activities = [];
     const sheets = calendar.fileData.sheets;
 
     if (!sheets || typeof sheets !== 'object') {
       console.error('❌ Invalid sheets data:', sheets);
-      return activities;
-    }
-
-    // Process each sheet
-    Object.keys(sheets).forEach(sheetName => {
-      console.log(`\n📋 Processing sheet: "${sheetName}"`);
-      const sheet = sheets[sheetName];
-
-      if (!sheet) {
-        console.warn('⚠️ Sheet is null/undefined:', sheetName);
-        return;
-      }
-
-      if (!sheet.data || !Array.isArray(sheet.data)) {
-        console.warn('⚠️ Sheet has no data array:', {
-          sheetName,
-          hasData: !!sheet.data,
-          dataType: typeof sheet.data,
-          sheetKeys: Object.keys(sheet)
-        });
-        return;
-      }
-
-      console.log(`📊 Sheet "${sheetName}" has ${sheet.data.length} rows`);
-      console.log('🔍 First few rows:', sheet.data.slice(0, 5));
-
-      // Find activity column and month columns
-      console.log('🔍 Finding columns in Excel data...');
-      const { activityColumnIndex, monthColumns } = this.findColumnsInExcelData(sheet.data);
-
-      console.log('📍 Column detection result:', {
-        activityColumnIndex,
-        monthColumnsCount: monthColumns.length,
-        firstFewMonths: monthColumns.slice(0, 5)
-      });
-
-      if (activityColumnIndex === -1) {
-        console.warn('❌ Could not find activity column in sheet:', sheetName);
-        console.log('🔍 Headers analysis:', sheet.data.slice(0, 3));
-        return;
-      }
-
-      console.log(`✅ Found activity column at index ${activityColumnIndex}`);
-
-      // Extract activities from rows
-      let activitiesFromSheet = 0;
-      sheet.data.forEach((row, rowIndex) => {
-        if (!Array.isArray(row)) {
-          console.warn(`⚠️ Row ${rowIndex} is not an array:`, row);
-          return;
-        }
-
-        if (rowIndex < 3) {
-          console.log(`⏭️ Skipping header row ${rowIndex}:`, row);
-          return; // Skip headers
-        }
-
-        const activityName = row[activityColumnIndex];
-        console.log(`🔍 Row ${rowIndex} activity cell [${activityColumnIndex}]:`, activityName);
-
-        if (!activityName || typeof activityName !== 'string') {
-          console.log(`⏭️ Skipping row ${rowIndex} - invalid activity name:`, activityName);
-          return;
-        }
-
-        // Skip row numbers and headers
-        const lowerActivityName = activityName.toLowerCase();
-        const isHeaderRow = lowerActivityName.includes('s/n') ||
-                          lowerActivityName.includes('stage') ||
-                          lowerActivityName.includes('activity') ||
-                          lowerActivityName.includes('calendar') ||
-                          /^\d+$/.test(activityName.toString().trim());
-
-        if (isHeaderRow) {
-          console.log(`⏭️ Skipping header/number row ${rowIndex}:`, activityName);
-          return;
-        }
-
-        // Find which months this activity spans
-        console.log(`🗓️ Finding timespan for "${activityName}"...`);
-        const { startMonth, endMonth } = this.findActivityTimespan(row, monthColumns, activityColumnIndex);
-
-        console.log(`📅 Timespan result:`, { startMonth, endMonth });
-
-        if (startMonth && endMonth) {
-          const activity = {
-            activity: this.cleanActivityName(activityName),
-            start: startMonth,
-            end: endMonth,
-            color: this.generateActivityColor({ name: activityName }),
-            advisory: this.generateBasicAdvisory({ name: activityName }),
-            calendarId: calendar.id,
-            commodity: calendar.crop || calendar.commodity,
-            regionCode: calendar.region || calendar.regionCode,
-            districtCode: calendar.district || calendar.districtCode,
-            season: 'Major', // Default to Major season
-            metadata: {
-              source: 'uploaded',
-              calendarType: 'seasonal',
-              sheet: sheetName,
-              row: rowIndex
-            }
-          };
-
-          activities.push(activity);
-          activitiesFromSheet++;
-          console.log(`✅ Added activity ${activitiesFromSheet}:`, activity.activity, `(${startMonth} → ${endMonth})`);
-        } else {
-          console.log(`❌ No valid timespan for "${activityName}"`);
-        }
-      });
-
-      console.log(`📊 Sheet "${sheetName}" contributed ${activitiesFromSheet} activities`);
-    });
-
-    console.log(`🎯 Total extracted ${activities.length} activities from calendar ${calendar.id}`);
-    console.log('📋 Activity summary:', activities.map(a => ({ activity: a.activity, start: a.start, end: a.end })));
-
-    return activities;
-  }
-
-  /**
-   * Find activity and month columns in Excel data
-   * @param {Array} data - Excel sheet data
-   * @returns {Object} Column indices
-   */
-  findColumnsInExcelData(data) {
-    console.log('\n🔍 findColumnsInExcelData called with', data.length, 'rows');
-
-    let activityColumnIndex = -1;
-    const monthColumns = [];
-
-    // Look for headers in first few rows
-    const rowsToCheck = Math.min(5, data.length);
-    console.log(`📊 Checking first ${rowsToCheck} rows for headers...`);
-
-    for (let rowIndex = 0; rowIndex < rowsToCheck; rowIndex++) {
-      const row = data[rowIndex];
-      console.log(`\n🔍 Row ${rowIndex}:`, row);
-
-      if (!Array.isArray(row)) {
-        console.warn(`⚠️ Row ${rowIndex} is not an array, skipping`);
-        continue;
-      }
-
-      row.forEach((cell, colIndex) => {
-        console.log(`🔍 Cell [${rowIndex},${colIndex}]: value="${cell}", type="${typeof cell}"`);
-
-        if (!cell) {
-          console.log(`⏭️ Cell [${rowIndex},${colIndex}] is empty, skipping`);
-          return;
-        }
-
-        if (typeof cell !== 'string') {
-          console.log(`🔄 Cell [${rowIndex},${colIndex}] is not string, converting:`, typeof cell, cell);
-          // Convert to string for processing
-          cell = String(cell).trim();
-        }
-
-        const cellLower = cell.toLowerCase().trim();
-        console.log(`🔍 Processing cell [${rowIndex},${colIndex}]: "${cell}" → "${cellLower}"`);
-
-        // Find activity column - be more flexible with matching
-        const isActivityColumn = cellLower.includes('activity') ||
-                                cellLower.includes('stage') ||
-                                cellLower.includes('task') ||
-                                cellLower.includes('farming') ||
-                                cellLower === 'activities';
-
-        if (isActivityColumn) {
-          console.log(`✅ FOUND ACTIVITY COLUMN at index ${colIndex} with text: "${cell}"`);
-          activityColumnIndex = colIndex;
-        }
-
-        // Find month columns - check exact matches and partial matches
-        const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
-        const fullMonths = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
-
-        let matchingMonth = months.find(month => cellLower === month || cellLower.includes(month));
-        if (!matchingMonth) {
-          // Check full month names and return the corresponding abbreviation
-          const fullMonthIndex = fullMonths.findIndex(month => cellLower === month || cellLower.includes(month));
-          if (fullMonthIndex !== -1) {
-            matchingMonth = months[fullMonthIndex];
-          }
-        }
-
-        if (matchingMonth) {
-          console.log(`📅 FOUND MONTH "${matchingMonth}" at column ${colIndex} with text: "${cell}"`);
-
-          if (!monthColumns.find(m => m.index === colIndex)) {
-            const monthInfo = {
-              index: colIndex,
-              month: this.getFullMonthName(matchingMonth),
-              monthIndex: months.indexOf(matchingMonth)
-            };
-            monthColumns.push(monthInfo);
-            console.log(`➕ ADDED MONTH COLUMN:`, monthInfo);
-          } else {
-            console.log(`⚠️ Month column ${colIndex} already exists, skipping`);
-          }
-        } else {
-          console.log(`❌ Cell "${cellLower}" is not a month`);
-        }
-      });
+      return [];
     }
 
-    // Sort month columns by their month index
-    monthColumns.sort((a, b) => a.monthIndex - b.monthIndex);
-
-    console.log('\n📋 Final column detection results:', {
-      activityColumnIndex,
-      monthColumnsCount: monthColumns.length,
-      monthColumns: monthColumns.map(m => ({ index: m.index, month: m.month }))
-    });
-
-    return { activityColumnIndex, monthColumns };
-  }
-
-  /**
-   * Find the timespan of an activity based on filled cells
-   * @param {Array} row - Excel row data
-   * @param {Array} monthColumns - Month column information
-   * @param {number} activityColumnIndex - Activity column index
-   * @returns {Object} Start and end months
-   */
-  findActivityTimespan(row, monthColumns, activityColumnIndex) {
-    const filledMonths = [];
-
-    // Check each month column for content
-    monthColumns.forEach(monthInfo => {
-      if (monthInfo.index < row.length) {
-        const cellValue = row[monthInfo.index];
-        // Consider cell "filled" if it has any non-empty content
-        if (cellValue !== null && cellValue !== undefined && cellValue !== '') {
-          filledMonths.push(monthInfo.month);
+    const results = calendarParsingService.parseSheets(sheets, { crop: calendar.crop || calendar.commodity });
+
+    return results.filter(result => result.success).flatMap(result => (
+      calendarParsingService.toMonthSpans(result).map(span => ({
+        activity: span.name,
+        start: span.startMonth,
+        end: span.endMonth,
+        color: span.color || this.generateActivityColor({ name: span.name }),
+        advisory: this.generateBasicAdvisory({ name: span.name }),
+        calendarId: calendar.id,
+        commodity: calendar.crop || calendar.commodity,
+        regionCode: calendar.region || calendar.regionCode,
+        districtCode: calendar.district || calendar.districtCode,
+        season: 'Major', // Default to Major season
+        metadata: {
+          source: 'uploaded',
+          calendarType: result.calendarType,
+          sheet: span.source.sheet,
+          cell: span.source.address,
+          parseConfidence: result.confidence.score
         }
-      }
-    });
-
-    if (filledMonths.length === 0) {
-      return { startMonth: null, endMonth: null };
-    }
-
-    return {
-      startMonth: filledMonths[0],
-      endMonth: filledMonths[filledMonths.length - 1]
-    };
-  }
-
-  /**
-   * Convert month abbreviation to full name
-   * @param {string} monthAbbr - Month abbreviation
-   * @returns {string} Full month name
-   */
-  getFullMonthName(monthAbbr) {
-    const monthMap = {
-      'jan': 'January', 'feb': 'February', 'mar': 'March', 'apr': 'April',
-      'may': 'May', 'jun': 'June', 'jul': 'July', 'aug': 'August',
-      'sep': 'September', 'oct': 'October', 'nov': 'November', 'dec': 'December'
-    };
-    return monthMap[monthAbbr.toLowerCase()] || monthAbbr;
-  }
-
-  /**
-   * Clean activity name for display
-   * @param {string} name - Raw activity name
-   * @returns {string} Cleaned name
-   */
-  cleanActivityName(name) {
-    return name.toString().trim()
-      .replace(/^\d+\.?\s*/, '') // Remove leading numbers
-      .replace(/^\|?\s*/, '')    // Remove leading pipes
-      .trim();
+      }))
+    ));
   }
 
-
-
-
-
-
   /**
    * Extract start time from activity
    * @param {Object} activity - Activity object
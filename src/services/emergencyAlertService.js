@@ -0,0 +1,214 @@
+/**
+ * Emergency Alert Service
+ * Emergency broadcasts authored in the Dashboard: a hazard type, a severity,
+ * the affected districts (picked or drawn on the map), a message with its
+ * local-language translations and an expiry. Active emergencies show as the
+ * site-wide banner and as severity polygons on the Home map.
+ *
+ * Emergencies are stored by the data API so every visitor sees the same
+ * broadcasts. The server retires each one when its expiry passes.
+ */
+
+import userService from './userService';
+import boundaryService from './boundaryService';
+import translationService from './translationService';
+import { getDistrictByCode } from '../data/ghanaCodes';
+import { pointInPolygon, closeRing } from '../utils/geoUtils';
+
+export const EMERGENCY_HAZARDS = {
+  flood: { id: 'flood', label: 'Flood' },
+  drought: { id: 'drought', label: 'Drought' },
+  windstorm: { id: 'windstorm', label: 'Windstorm' },
+  extreme_heat: { id: 'extreme_heat', label: 'Extreme heat' },
+  bushfire: { id: 'bushfire', label: 'Bushfire' },
+  pest_outbreak: { id: 'pest_outbreak', label: 'Pest outbreak' },
+  disease_outbreak: { id: 'disease_outbreak', label: 'Livestock disease outbreak' },
+  other: { id: 'other', label: 'Other emergency' },
+};
+
+// Ids match the severities SeverityPolygon colours
+export const EMERGENCY_SEVERITIES = {
+  low: { id: 'low', label: 'Low' },
+  medium: { id: 'medium', label: 'Medium' },
+  high: { id: 'high', label: 'High' },
+};
+
+const toLatLngRing = (ring) => ring.map(([lng, lat]) => [lat, lng]);
+
+class EmergencyAlertService {
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  /**
+   * All emergencies, newest first
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  async getAlerts() {
+    const result = await userService.getEmergencyAlerts();
+    return this.toAlertList(result);
+  }
+
+  /**
+   * Emergencies that are live now
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  async getActiveAlerts() {
+    const result = await userService.getActiveEmergencyAlerts();
+    return this.toAlertList(result);
+  }
+
+  toAlertList(result) {
+    if (!result.success) return { success: false, data: [], error: result.error };
+    const alerts = Array.isArray(result.data) ? result.data : [];
+    return { success: true, data: [...alerts].sort((a, b) => b.createdAt.localeCompare(a.createdAt)) };
+  }
+
+  validateAlert({ hazard, severity, title, message, districtCodes = [], expiresAt }, now = new Date()) {
+    const errors = [];
+    if (!EMERGENCY_HAZARDS[hazard]) errors.push('Choose a hazard type');
+    if (!EMERGENCY_SEVERITIES[severity]) errors.push('Choose a severity');
+    if (!title?.trim()) errors.push('Give the emergency a title');
+    if (!message?.trim()) errors.push('Write the message to broadcast');
+    if (districtCodes.length === 0) errors.push('Select or draw at least one affected district');
+    if (districtCodes.some(code => !getDistrictByCode(code))) errors.push('Unknown district in the selection');
+    const expiry = new Date(expiresAt);
+    if (!expiresAt || Number.isNaN(expiry.getTime())) {
+      errors.push('Set when the emergency expires');
+    } else if (expiry <= now) {
+      errors.push('The expiry must be in the future');
+    }
+    return errors;
+  }
+
+  /**
+   * Publish an emergency
+   * @param {Object} data - { hazard, severity, title, message, translations,
+   *   districtCodes, area, expiresAt }; translations maps language codes to
+   *   the message, area is a drawn [lng, lat] ring
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  async createAlert(data) {
+    const errors = this.validateAlert(data);
+    if (errors.length > 0) {
+      return { success: false, error: errors.join('. ') };
+    }
+
+    const user = userService.getCurrentUser();
+    const translations = Object.fromEntries(
+      Object.entries(data.translations || {}).filter(([, text]) => text?.trim()).map(([code, text]) => [code, text.trim()])
+    );
+    const alert = {
+      hazard: data.hazard,
+      severity: data.severity,
+      title: data.title.trim(),
+      message: data.message.trim(),
+      translations,
+      districtCodes: [...new Set(data.districtCodes)],
+      area: data.area?.length >= 3 ? closeRing(data.area) : null,
+      createdAt: new Date().toISOString(),
+      createdBy: user?.name || user?.email || 'Unknown user',
+      expiresAt: new Date(data.expiresAt).toISOString(),
+    };
+
+    const result = await userService.createEmergencyAlert(alert);
+    if (!result.success) return result;
+    this.audit(result.data, null, result.data, `Published ${EMERGENCY_HAZARDS[alert.hazard].label.toLowerCase()} emergency "${alert.title}"`, user);
+    this.notifyListeners();
+    return result;
+  }
+
+  /**
+   * End an emergency before its expiry
+   * @param {Object} existing - The active emergency
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  async retireAlert(existing) {
+    if (existing.status !== 'active') {
+      return { success: false, error: 'This emergency is no longer active' };
+    }
+
+    const result = await userService.retireEmergencyAlert(existing.id);
+    if (!result.success) return result;
+    const retired = result.data?.id ? result.data : { ...existing, status: 'retired', retiredAt: new Date().toISOString(), retiredReason: 'manual' };
+    this.audit(retired, existing, retired, `Retired emergency "${retired.title}"`, userService.getCurrentUser());
+    this.notifyListeners();
+    return { success: true, data: retired };
+  }
+
+  /**
+   * The message in a language, falling back to the English original
+   */
+  getMessage(alert, language = 'en') {
+    return alert.translations?.[language] || alert.message;
+  }
+
+  /**
+   * Machine translations of a message as a starting point for the author
+   * @returns {Promise<Object>} Language code -> translated text
+   */
+  async translateMessage(message, languages) {
+    const entries = await Promise.all(languages.map(async (code) => {
+      try {
+        return [code, await translationService.translate(message, code, 'en')];
+      } catch (error) {
+        console.warn(`Could not translate the emergency message to ${code}:`, error);
+        return [code, ''];
+      }
+    }));
+    return Object.fromEntries(entries);
+  }
+
+  /**
+   * Districts whose centre lies inside a drawn [lng, lat] ring
+   */
+  getDistrictsInArea(ring) {
+    if (!ring || ring.length < 3) return [];
+    const polygon = [closeRing(ring)];
+    return boundaryService.getDistrictFeatures().features
+      .filter(feature => feature.properties.code && feature.properties.center)
+      .filter(feature => pointInPolygon(feature.properties.center, polygon))
+      .map(feature => feature.properties.code);
+  }
+
+  /**
+   * Outlines of the affected area as [lat, lng] rings for map polygons: each
+   * district's outer boundary, and the drawn area when there is one
+   */
+  getAlertRings(alert) {
+    const rings = [];
+    alert.districtCodes.forEach((code) => {
+      const geometry = boundaryService.getDistrictFeature(code)?.geometry;
+      if (geometry?.type === 'Polygon') {
+        rings.push(toLatLngRing(geometry.coordinates[0]));
+      } else if (geometry?.type === 'MultiPolygon') {
+        geometry.coordinates.forEach(polygon => rings.push(toLatLngRing(polygon[0])));
+      }
+    });
+    if (alert.area) rings.push(toLatLngRing(alert.area));
+    return rings;
+  }
+
+  audit(alert, before, after, summary, actor) {
+    userService.audit({
+      action: 'emergency',
+      entityType: 'emergency-alert',
+      entityId: alert.id,
+      before,
+      after,
+      summary,
+      actor,
+    });
+  }
+
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners() {
+    this.listeners.forEach(listener => listener());
+  }
+}
+
+export default new EmergencyAlertService();
@@ -0,0 +1,217 @@
+/**
+ * Farm Field Service
+ * Field boundaries drawn on the map or imported from GeoJSON/KML files:
+ * measures each field, records the district the farmer chose for it, and
+ * assembles a field outlook (forecast at the field, farming
+ * weather advisories and this month's calendar activities for its district).
+ * Fields are saved with the farm profile by personalizedFarmingService.
+ */
+
+import {
+  ACRES_PER_HECTARE,
+  closeRing,
+  getGeometryAreaHectares,
+  getGeometryCentroid,
+} from '../utils/geoUtils';
+import { getDistrictByCode } from '../data/ghanaCodes';
+import smartWeatherService from './smartWeatherService';
+import agriculturalDataService from './agriculturalDataService';
+import personalizedFarmingService from './personalizedFarmingService';
+
+// Anything outside this range is more likely a mis-drawn shape or a district boundary than a field
+const MIN_FIELD_HECTARES = 0.01;
+const MAX_FIELD_HECTARES = 5000;
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Polygon rings from a KML coordinates string ("lng,lat[,alt] lng,lat[,alt] ...")
+ */
+const parseKmlCoordinates = (text) => text
+  .trim()
+  .split(/\s+/)
+  .map(tuple => tuple.split(',').slice(0, 2).map(Number))
+  .filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat));
+
+const getChildByName = (element, name) => Array.from(element.getElementsByTagNameNS('*', name))[0] || null;
+
+class FarmFieldService {
+  /**
+   * Read the polygons in an uploaded GeoJSON or KML file
+   * @param {string} text - File contents
+   * @param {string} fileName - Used to pick the format
+   * @returns {Object} { success, data: [{ name, geometry }], error }
+   */
+  parseFieldFile(text, fileName = '') {
+    try {
+      const isKml = /\.kml$/i.test(fileName) || text.trim().startsWith('<');
+      const shapes = isKml ? this.parseKml(text) : this.parseGeoJson(JSON.parse(text));
+
+      if (shapes.length === 0) {
+        return { success: false, data: [], error: 'No field polygons found in the file' };
+      }
+      return { success: true, data: shapes };
+    } catch (error) {
+      console.error('Error reading field file:', error);
+      return { success: false, data: [], error: `Could not read ${fileName || 'file'}: ${error.message}` };
+    }
+  }
+
+  parseGeoJson(json) {
+    const features = json.type === 'FeatureCollection'
+      ? json.features
+      : [json.type === 'Feature' ? json : { type: 'Feature', properties: {}, geometry: json }];
+
+    // Each part of a MultiPolygon becomes its own field
+    return features.flatMap((feature) => {
+      const { geometry } = feature;
+      const name = feature.properties?.name || feature.properties?.Name || '';
+      if (geometry?.type === 'Polygon') {
+        return [{ name, geometry }];
+      }
+      if (geometry?.type === 'MultiPolygon') {
+        return geometry.coordinates.map(coordinates => ({ name, geometry: { type: 'Polygon', coordinates } }));
+      }
+      return [];
+    });
+  }
+
+  parseKml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('the KML is not valid XML');
+    }
+
+    return Array.from(doc.getElementsByTagNameNS('*', 'Polygon')).map((polygon) => {
+      const outer = getChildByName(polygon, 'outerBoundaryIs');
+      const holes = Array.from(polygon.getElementsByTagNameNS('*', 'innerBoundaryIs'));
+      const rings = [outer, ...holes]
+        .filter(Boolean)
+        .map(boundary => parseKmlCoordinates(getChildByName(boundary, 'coordinates')?.textContent || ''));
+
+      let placemark = polygon.parentNode;
+      while (placemark && placemark.localName !== 'Placemark') {
+        placemark = placemark.parentNode;
+      }
+      const nameElement = placemark ? getChildByName(placemark, 'name') : null;
+
+      return {
+        name: nameElement?.textContent.trim() || '',
+        geometry: { type: 'Polygon', coordinates: rings },
+      };
+    });
+  }
+
+  /**
+   * Measure a field polygon and place it in its district
+   * @param {Object} geometry - GeoJSON Polygon ([lng, lat] rings; open rings are closed)
+   * @param {Object} options - { name, source: 'drawn' | 'geojson' | 'kml', districtCode }
+   * @returns {Object} { success, data: field, error }
+   */
+  createField(geometry, { name = '', source = 'drawn', districtCode = '' } = {}) {
+    const district = getDistrictByCode(districtCode);
+    if (!district) {
+      return { success: false, error: 'Choose the district the field is in' };
+    }
+
+    const rings = (geometry?.coordinates || []).map(closeRing);
+    if (geometry?.type !== 'Polygon' || !rings[0] || rings[0].length < 4) {
+      return { success: false, error: 'A field needs at least three corner points' };
+    }
+
+    const polygon = { type: 'Polygon', coordinates: rings };
+    const hectares = getGeometryAreaHectares(polygon);
+    if (hectares < MIN_FIELD_HECTARES) {
+      return { success: false, error: 'The field is too small to measure' };
+    }
+    if (hectares > MAX_FIELD_HECTARES) {
+      return { success: false, error: `Fields larger than ${MAX_FIELD_HECTARES} ha are not supported` };
+    }
+
+    const centroid = getGeometryCentroid(polygon);
+    return {
+      success: true,
+      data: {
+        id: `field_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+        name: name || `Field ${personalizedFarmingService.getFarmFields().length + 1}`,
+        source,
+        geometry: polygon,
+        area: { hectares: round(hectares, 3), acres: round(hectares * ACRES_PER_HECTARE, 3) },
+        centroid: [round(centroid[0], 6), round(centroid[1], 6)],
+        location: {
+          districtCode: district.code,
+          districtName: district.name,
+          regionCode: district.regionCode,
+          regionName: district.regionName,
+        },
+        createdAt: new Date().toISOString(),
+      },
+    };
+  }
+
+  /**
+   * Forecast, advisories and calendar activities for a saved field.
+   * Activities come from the district crop calendar when the server has one,
+   * otherwise from the seasonal farming plan.
+   * @returns {Promise<Object>} { success, data: { weather, activities, activitySource }, error }
+   */
+  async getFieldOutlook(field, { crops = [], now = new Date() } = {}) {
+    const [lng, lat] = field.centroid;
+    const region = field.location.regionName.replace(/\s+Region$/, '');
+
+    const [weatherResult, activitiesResult] = await Promise.allSettled([
+      smartWeatherService.getWeatherAt({ lat, lng, name: field.name }, region),
+      this.getCalendarActivities(field.location.districtName, crops, now),
+    ]);
+
+    const weather = weatherResult.status === 'fulfilled' ? weatherResult.value : null;
+    const calendar = activitiesResult.status === 'fulfilled' ? activitiesResult.value : null;
+    const activities = calendar?.length ? calendar : this.getSeasonalActivities(now);
+
+    return {
+      success: Boolean(weather),
+      data: {
+        weather,
+        activities,
+        activitySource: calendar?.length ? 'calendar' : 'seasonal',
+      },
+      error: weather ? undefined : 'Forecast is unavailable for this field',
+    };
+  }
+
+  async getCalendarActivities(districtName, crops, now) {
+    const month = now.getMonth() + 1;
+    const [planting, harvest] = await Promise.all([
+      agriculturalDataService.getPlantingRecommendations(districtName, month),
+      agriculturalDataService.getHarvestPredictions(districtName, month),
+    ]);
+
+    const wanted = crops.map(crop => crop.toLowerCase());
+    const matchesCrops = entry => wanted.length === 0 || wanted.includes(String(entry.crop || '').toLowerCase());
+
+    return [
+      ...(planting.success ? planting.data : []).filter(matchesCrops).map(entry => ({
+        activity: 'Planting',
+        crop: entry.crop,
+        period: `${entry.plantingStart} - ${entry.plantingEnd}`,
+      })),
+      ...(harvest.success ? harvest.data : []).filter(matchesCrops).map(entry => ({
+        activity: 'Harvest',
+        crop: entry.crop,
+        period: `${entry.harvestStart} - ${entry.harvestEnd}`,
+      })),
+    ];
+  }
+
+  getSeasonalActivities(now) {
+    const monthName = MONTH_NAMES[now.getMonth()];
+    const tasks = Object.values(personalizedFarmingService.seasonalTemplates)
+      .flatMap(template => template.preparation[monthName] || []);
+    return tasks.map(task => ({ activity: task, crop: null, period: monthName }));
+  }
+}
+
+export default new FarmFieldService();
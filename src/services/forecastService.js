@@ -0,0 +1,176 @@
+/**
+ * Forecast Service
+ * Builds the 7-day daily forecast (min/max temperature, rainfall amount and
+ * probability, wind, humidity) for a point or a district code, and keeps the
+ * last good response so pages still have data when providers are down.
+ */
+
+import weatherProviderService, { REGION_CENTERS } from './weatherProviderService';
+import { getDistrictByCode } from '../data/ghanaCodes';
+
+const STORAGE_PREFIX = 'forecast_last_good_';
+const FORECAST_DAYS = 7;
+const HOURLY_STEP = 3; // hours between entries in a day's hourly strip
+
+class ForecastService {
+  constructor() {
+    this.defaultLocation = { ...REGION_CENTERS['Greater Accra'], region: 'Greater Accra' };
+  }
+
+  /**
+   * Resolve the forecast target to coordinates
+   * @param {Object} target - { lat, lng } or { districtCode }
+   * @returns {Object} { lat, lng, name, region, districtCode }
+   */
+  resolveTarget({ lat, lng, districtCode, name } = {}) {
+    if (districtCode) {
+      const district = getDistrictByCode(districtCode);
+      if (!district) {
+        throw new Error(`Unknown district code: ${districtCode}`);
+      }
+
+      const location = weatherProviderService.resolveLocation({
+        district: district.name,
+        region: district.regionName,
+      });
+      if (!location) {
+        throw new Error(`No coordinates available for district ${district.name}`);
+      }
+
+      return {
+        ...location,
+        name: district.name,
+        region: district.regionName.replace(/\s+Region$/, ''),
+        districtCode,
+      };
+    }
+
+    if (lat !== undefined && lat !== null && lng !== undefined && lng !== null) {
+      return { lat, lng, name: name || null, region: null, districtCode: null };
+    }
+
+    return { ...this.defaultLocation, districtCode: null };
+  }
+
+  getStorageKey(location) {
+    return location.districtCode
+      ? `${STORAGE_PREFIX}${location.districtCode}`
+      : `${STORAGE_PREFIX}${Number(location.lat).toFixed(2)}_${Number(location.lng).toFixed(2)}`;
+  }
+
+  readLastGood(location) {
+    try {
+      const stored = localStorage.getItem(this.getStorageKey(location));
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.warn('Could not read cached forecast:', error.message);
+      return null;
+    }
+  }
+
+  saveLastGood(location, forecast) {
+    try {
+      localStorage.setItem(this.getStorageKey(location), JSON.stringify(forecast));
+    } catch (error) {
+      console.warn('Could not cache forecast:', error.message);
+    }
+  }
+
+  /**
+   * Serve a cached forecast, dropping days that have already passed
+   */
+  asStale(forecast) {
+    const today = new Date().toISOString().split('T')[0];
+    return {
+      ...forecast,
+      days: forecast.days.filter(day => day.date >= today),
+      stale: true,
+    };
+  }
+
+  /**
+   * Pick every few hours of a day for the hourly strip
+   */
+  buildHourlyStrip(hourly, date) {
+    return hourly
+      .filter(entry => entry.time?.startsWith(date))
+      .filter(entry => new Date(entry.time).getUTCHours() % HOURLY_STEP === 0)
+      .map(entry => ({
+        time: entry.time,
+        temperature: entry.temperature,
+        condition: entry.condition,
+        rainProbability: entry.precipitationProbability ?? 0,
+      }));
+  }
+
+  /**
+   * Turn a normalized provider report into the forecast payload
+   */
+  buildForecast(report, location) {
+    return {
+      location: {
+        name: location.name || report.location.name,
+        region: location.region,
+        districtCode: location.districtCode,
+        lat: location.lat,
+        lng: location.lng,
+      },
+      source: report.source,
+      sourceLabel: weatherProviderService.getProviderLabel(report.source),
+      station: report.station || null,
+      issuedAt: report.issuedAt,
+      retrievedAt: new Date().toISOString(),
+      units: report.units,
+      days: report.daily.slice(0, FORECAST_DAYS).map(day => ({
+        date: day.date,
+        minTemp: day.minTemp,
+        maxTemp: day.maxTemp,
+        rainfall: day.precipitation,
+        rainProbability: day.precipitationProbability ?? 0,
+        windSpeed: day.windSpeed,
+        humidity: day.humidity,
+        condition: day.condition,
+        summary: day.summary,
+        hourly: this.buildHourlyStrip(report.hourly, day.date),
+      })),
+    };
+  }
+
+  /**
+   * Get the 7-day forecast for coordinates or a district code
+   * @param {Object} target - { lat, lng, name } or { districtCode }
+   * @param {Object} options - { forceRefresh }
+   * @returns {Promise<Object>} Forecast with `stale: true` when served from the last good copy
+   */
+  async getSevenDayForecast(target = {}, { forceRefresh = false } = {}) {
+    const location = this.resolveTarget(target);
+    const lastGood = this.readLastGood(location);
+
+    try {
+      const report = await weatherProviderService.getWeather(location, { forceRefresh });
+
+      const forecast = this.buildForecast(report, location);
+
+      // Only fixture climatology or a report without forecast days (station
+      // readings) came back: a recent real forecast is better
+      const unusable = report.source === 'fixture' || forecast.days.length === 0;
+      if (unusable && lastGood && lastGood.source !== 'fixture') {
+        return this.asStale(lastGood);
+      }
+
+      if (forecast.days.length > 0) {
+        this.saveLastGood(location, forecast);
+      }
+
+      return { ...forecast, stale: false };
+    } catch (error) {
+      if (lastGood) {
+        console.warn('Forecast unavailable, serving last good response:', error.message);
+        return this.asStale(lastGood);
+      }
+      throw error;
+    }
+  }
+}
+
+export default new ForecastService();
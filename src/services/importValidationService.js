@@ -0,0 +1,510 @@
+/**
+ * Import Validation Service
+ * Checks an uploaded spreadsheet row by row against the template schema of
+ * its data type (TEMPLATE_SCHEMAS in templateGenerationService): required
+ * columns, region and district codes known to ghanaCodes.js, dates, week
+ * numbers, numbers in range and duplicate rows. Calendars are checked on
+ * what calendarParsingService reads from them: one row per activity.
+ *
+ * The result is a per-row report that can be downloaded as a workbook, and
+ * an upload of only the valid rows can be prepared from it. Row numbers are
+ * the spreadsheet's own (1-based) so they match what the author sees.
+ */
+
+import * as XLSX from 'xlsx';
+import { TEMPLATE_SCHEMAS } from './templateGenerationService';
+import calendarParsingService from './calendarParsingService';
+import { readWorkbook, worksheetToGrid } from './calendarParsing/sheetGrid';
+import { GHANA_REGIONS, getDistrictByCode } from '../data/ghanaCodes';
+import { toRegionCode, toDistrictCode } from '../utils/accessControl';
+
+// Rows searched for a header before a sheet is reported as missing one
+const HEADER_SEARCH_ROWS = 15;
+const PLACEHOLDER_PATTERN = /^(enter\b.*|dd\/mm\/yyyy)$/i;
+// "...PRODUCTION-OTI REGION, BIAKOYE DISTRICT" in calendar titles
+const LOCATION_PATTERN = /PRODUCTION(?:\s+CALENDAR)?\s*-\s*(.+?)\s+DISTRICT\b/i;
+
+const normalizeHeader = (text) => String(text || '').replace(/[[\]]/g, '').trim().toUpperCase().replace(/\s+/g, ' ');
+
+const isBlankRow = (row) => row.every(cell => !cell.text);
+
+const columnNames = (column) => [column.header, ...(column.aliases || [])];
+
+const rowOfAddress = (address) => XLSX.utils.decode_cell(address).r + 1;
+
+const summarize = (sheets, rows) => {
+  const valid = rows.filter(row => row.status === 'valid').length;
+  return {
+    sheets: sheets.length,
+    total: rows.length,
+    valid,
+    invalid: rows.length - valid,
+    sheetErrors: sheets.reduce((count, sheet) => count + sheet.errors.length, 0),
+  };
+};
+
+const describeRange = ({ min, max }) => {
+  if (min !== undefined && max !== undefined) return ` from ${min} to ${max}`;
+  if (min !== undefined) return ` from ${min}`;
+  return max !== undefined ? ` up to ${max}` : '';
+};
+
+const regionName = (code) => GHANA_REGIONS[code].name;
+
+// "La-Dade-Kotopon" and "Accra Metro" for "La Dade Kotopon Municipal" and "Accra Metropolitan"
+const looseDistrictName = (name) => String(name).toLowerCase()
+  .replace(/[-_.]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/\s+(municipal|municipality|metropolitan|metro|district)(\s+assembly)?$/, '');
+
+const toLooseDistrictCodes = (text, regionCode) => {
+  const wanted = looseDistrictName(text);
+  const regions = regionCode ? [GHANA_REGIONS[regionCode]] : Object.values(GHANA_REGIONS);
+  return regions.flatMap(region => Object.entries(region.districts)
+    .filter(([, name]) => looseDistrictName(name) === wanted)
+    .map(([code]) => code));
+};
+
+// CSV is read as plain text; SheetJS would otherwise read 03/04/2025 as a US date
+const readUpload = async (file) => {
+  if (/\.csv$/i.test(file.name)) {
+    return XLSX.read(await file.text(), { type: 'string', raw: true });
+  }
+  return readWorkbook(file);
+};
+
+/**
+ * Region code from a code, a name, or the templates' "REG07/Oti Region"
+ */
+export const resolveRegion = (text) => {
+  const codes = [...new Set(String(text).split('/').map(part => toRegionCode(part.trim())).filter(Boolean))];
+  if (codes.length === 0) return { error: `Unknown region "${text}"` };
+  if (codes.length > 1) return { error: `"${text}" names two different regions` };
+  return { code: codes[0] };
+};
+
+/**
+ * District code from a code, a name or "DS148/La-Dade-Kotopon", checked
+ * against the region when one is known
+ */
+export const resolveDistrict = (text, regionCode = null) => {
+  const codes = [...new Set(String(text).split('/').flatMap((part) => {
+    const code = toDistrictCode(part.trim());
+    if (code) return [code];
+    const loose = toLooseDistrictCodes(part, regionCode);
+    return loose.length > 0 ? loose : toLooseDistrictCodes(part);
+  }))];
+  if (codes.length === 0) return { error: `Unknown district "${text}"` };
+  if (codes.length > 1) return { error: `"${text}" names two different districts` };
+  const district = getDistrictByCode(codes[0]);
+  if (regionCode && district.regionCode !== regionCode) {
+    return { error: `${district.name} is not in ${regionName(regionCode)}` };
+  }
+  return { code: codes[0], regionCode: district.regionCode };
+};
+
+/**
+ * A date cell as YYYY-MM-DD: Excel serial dates, DD/MM/YYYY or ISO text
+ */
+export const parseDate = (cell) => {
+  let parts = null;
+  if (cell.value instanceof Date) {
+    return Number.isNaN(cell.value.getTime()) ? null : cell.value.toISOString().slice(0, 10);
+  }
+  if (typeof cell.value === 'number') {
+    const parsed = XLSX.SSF.parse_date_code(cell.value);
+    if (parsed) parts = [parsed.y, parsed.m, parsed.d];
+  } else {
+    const dmy = cell.text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    const iso = cell.text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (dmy) parts = [Number(dmy[3]), Number(dmy[2]), Number(dmy[1])];
+    else if (iso) parts = [Number(iso[1]), Number(iso[2]), Number(iso[3])];
+  }
+  if (!parts) return null;
+
+  const [year, month, day] = parts;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Week of the year from 7, "WK7", "Week 7" or "W7"
+ */
+export const parseWeek = (text) => {
+  const match = String(text).trim().match(/^(?:wk|week|w)?\s*(\d{1,2})$/i);
+  if (!match) return null;
+  const week = Number(match[1]);
+  return week >= 1 && week <= 53 ? week : null;
+};
+
+class ImportValidationService {
+  hasSchema(dataType) {
+    return Boolean(TEMPLATE_SCHEMAS[dataType]);
+  }
+
+  /**
+   * Validate an uploaded file
+   * @param {File} file - Excel or CSV upload
+   * @param {string} dataType - A key of TEMPLATE_SCHEMAS
+   * @param {Object} options - defaults: column values (by key) for columns
+   *   the file may leave out or blank, such as the region chosen on the form;
+   *   layoutProfile and district: for calendars, as for validateCalendar
+   * @returns {Promise<Object>} { dataType, fileName, layout, sheets, rows, summary };
+   *   sheets carry structural errors, rows carry { sheet, row, status, errors, cells }
+   */
+  async validateFile(file, dataType, { defaults = {}, layoutProfile = null, district = null } = {}) {
+    const schema = TEMPLATE_SCHEMAS[dataType];
+    if (!schema) throw new Error(`No template schema for ${dataType}`);
+
+    if (schema.layout === 'calendar') {
+      const result = await calendarParsingService.parseFile(file, { layoutProfile });
+      return this.validateCalendar(result, { dataType, fileName: file.name, district });
+    }
+
+    const workbook = await readUpload(file);
+    const sheets = [];
+    const rows = [];
+    workbook.SheetNames.forEach((name) => {
+      const grid = worksheetToGrid(workbook.Sheets[name], name);
+      if (grid.rows.every(isBlankRow)) return;
+      const result = this.validateRecordSheet(grid, schema, defaults);
+      sheets.push({ name, errors: result.errors, rowCount: result.rows.length });
+      rows.push(...result.rows);
+    });
+
+    return { dataType, fileName: file.name, layout: schema.layout, sheets, rows, summary: summarize(sheets, rows) };
+  }
+
+  /**
+   * Header row index and the column of each schema column, or the columns
+   * still missing from the best candidate row
+   */
+  findHeader(grid, headers, isMatch) {
+    let best = { index: -1, missing: headers };
+    grid.rows.slice(0, HEADER_SEARCH_ROWS).forEach((row, index) => {
+      const texts = row.map(cell => normalizeHeader(cell.text));
+      const missing = headers.filter(header => !isMatch(texts, header));
+      if (missing.length < best.missing.length) best = { index, missing, texts };
+    });
+    return best;
+  }
+
+  validateRecordSheet(grid, schema, defaults = {}) {
+    // A column with a default may be left out of the file
+    const required = schema.columns.filter(column => column.required && defaults[column.key] === undefined);
+    const header = this.findHeader(grid, required.map(column => column.header), (texts, name) => (
+      columnNames(required.find(column => column.header === name)).some(alias => texts.includes(alias))
+    ));
+    if (header.missing.length > 0) {
+      return { errors: [`Missing required columns: ${header.missing.join(', ')}`], rows: [] };
+    }
+
+    const columnIndex = Object.fromEntries(schema.columns.map(column => [
+      column.key,
+      header.texts.findIndex(text => columnNames(column).includes(text)),
+    ]));
+    const rows = [];
+    const seen = new Map();
+
+    // Records run from below the header to the first blank row
+    for (let r = header.index + 1; r < grid.rows.length && !isBlankRow(grid.rows[r]); r += 1) {
+      const cells = grid.rows[r];
+      const errors = [];
+      const values = {};
+
+      schema.columns.forEach((column) => {
+        const cell = cells[columnIndex[column.key]] || { value: null, text: '' };
+        if (!cell.text) {
+          if (defaults[column.key] !== undefined) values[column.key] = defaults[column.key];
+          else if (column.required) errors.push(`${column.header} is required`);
+          return;
+        }
+        if (PLACEHOLDER_PATTERN.test(cell.text)) {
+          errors.push(`${column.header} still holds the template placeholder "${cell.text}"`);
+          return;
+        }
+        const checked = this.checkValue(column, cell, values, schema);
+        if (checked.error) errors.push(checked.error);
+        else values[column.key] = checked.value;
+      });
+
+      if (errors.length === 0) {
+        const key = schema.duplicateKey.map(field => String(values[field] ?? '').toLowerCase()).join('|');
+        if (seen.has(key)) errors.push(`Duplicate of row ${seen.get(key)}`);
+        else seen.set(key, r + 1);
+      }
+
+      rows.push({ sheet: grid.name, row: r + 1, status: errors.length ? 'invalid' : 'valid', errors, cells: cells.map(cell => cell.text) });
+    }
+
+    return { errors: rows.length === 0 ? ['No records below the header row'] : [], rows };
+  }
+
+  checkValue(column, cell, values, schema) {
+    switch (column.type) {
+      case 'region': {
+        const region = resolveRegion(cell.text);
+        return region.error ? region : { value: region.code };
+      }
+      case 'district': {
+        const district = resolveDistrict(cell.text, values.region);
+        return district.error ? district : { value: district.code };
+      }
+      case 'date': {
+        const date = parseDate(cell);
+        if (!date) return { error: `${column.header} "${cell.text}" is not a valid date (DD/MM/YYYY)` };
+        if (column.notBefore && values[column.notBefore] && date < values[column.notBefore]) {
+          const earlier = schema.columns.find(entry => entry.key === column.notBefore);
+          return { error: `${column.header} is before ${earlier.header}` };
+        }
+        return { value: date };
+      }
+      case 'week': {
+        const week = parseWeek(cell.text);
+        return week ? { value: week } : { error: `${column.header} "${cell.text}" is not a week number from 1 to 53` };
+      }
+      case 'integer':
+      case 'number': {
+        const number = Number(cell.text);
+        const isNumber = column.type === 'integer' ? Number.isInteger(number) : Number.isFinite(number);
+        if (!isNumber || number < column.min || number > column.max) {
+          const kind = column.type === 'integer' ? 'a whole number' : 'a number';
+          return { error: `${column.header} "${cell.text}" must be ${kind}${describeRange(column)}` };
+        }
+        return { value: number };
+      }
+      default:
+        return { value: cell.text };
+    }
+  }
+
+  /**
+   * Check a parsed calendar (a calendarParsingService result) row by row:
+   * each activity needs at least one marked period and must not repeat an
+   * earlier one. A sheet that could not be read, a timeline with impossible
+   * weeks or dates, or a title naming another district makes every row of
+   * the sheet invalid.
+   * @param {Object} result - Parse result
+   * @param {Object} options - { dataType, fileName, district }; district is
+   *   the name or code chosen on the upload form
+   * @returns {Object} The same report as validateFile
+   */
+  validateCalendar(result, { dataType, fileName, district = null } = {}) {
+    const report = (sheets, rows) => ({
+      dataType,
+      fileName: fileName || result.fileName,
+      layout: 'calendar',
+      sheets,
+      rows,
+      summary: summarize(sheets, rows),
+    });
+    if (!result.success) {
+      return report([{ name: result.sheetName || fileName || result.fileName, errors: [result.error], rowCount: 0 }], []);
+    }
+
+    const { activities, timeline } = result.data;
+    const errors = [
+      ...this.checkTitleDistrict(result.title, district),
+      ...this.checkTimeline(timeline.columns),
+    ];
+    const seen = new Map();
+    const rows = activities.map((activity) => {
+      const row = rowOfAddress(activity.source.address);
+      const rowErrors = [];
+      const key = activity.name.toLowerCase();
+      if (seen.has(key)) rowErrors.push(`Duplicate of row ${seen.get(key)}`);
+      else seen.set(key, row);
+      if (activity.periods.length === 0) rowErrors.push('No period is marked for this activity');
+      // Problems with the sheet as a whole make each of its rows unusable
+      const status = rowErrors.length || errors.length ? 'invalid' : 'valid';
+      const cells = [activity.name, ...activity.periods.map(period => timeline.columns[period].label)];
+      return { sheet: result.sheetName, row, status, errors: rowErrors, cells };
+    });
+
+    return report([{ name: result.sheetName, errors, rowCount: rows.length }], rows);
+  }
+
+  /**
+   * A calendar title that names a district ("...PRODUCTION-OTI REGION,
+   * BIAKOYE DISTRICT") must name a known district, and the one uploaded for
+   */
+  checkTitleDistrict(title, district) {
+    const match = String(title || '').match(LOCATION_PATTERN);
+    if (!match) return [];
+    const parts = match[1].split(',').map(part => part.trim());
+    const districtName = parts.pop();
+    let regionCode = null;
+    if (parts.length > 0) {
+      const region = resolveRegion(parts.join(','));
+      if (region.error) return [`Title: ${region.error}`];
+      regionCode = region.code;
+    }
+    const named = resolveDistrict(districtName, regionCode);
+    if (named.error) return [`Title: ${named.error}`];
+    const chosen = district ? resolveDistrict(district) : null;
+    if (chosen?.code && chosen.code !== named.code) {
+      return [`The title is for ${getDistrictByCode(named.code).name}, not ${getDistrictByCode(chosen.code).name}`];
+    }
+    return [];
+  }
+
+  /**
+   * Week numbers ("WK7", "WEEK 1-13") and date ranges ("1/1-7/1") of the
+   * timeline columns
+   */
+  checkTimeline(columns) {
+    const errors = [];
+    columns.forEach(({ weekLabel, dateRange, source }) => {
+      const where = source.address ? `${source.address}: ` : '';
+      const weeks = (weekLabel || '').match(/\d+/g) || [];
+      if (weeks.some(week => Number(week) < 1 || Number(week) > 53)) {
+        errors.push(`${where}"${weekLabel}" is not a week from 1 to 53`);
+      }
+      const range = (dateRange || '').match(/^(\d{1,2})\/(\d{1,2})\s*-\s*(\d{1,2})\/(\d{1,2})$/);
+      if (range) {
+        const [, startDay, startMonth, endDay, endMonth] = range.map(Number);
+        const isDay = (day, month) => month >= 1 && month <= 12 && day >= 1 && day <= new Date(Date.UTC(2024, month, 0)).getUTCDate();
+        if (!isDay(startDay, startMonth) || !isDay(endDay, endMonth)) {
+          errors.push(`${where}"${dateRange}" is not a valid date range`);
+        }
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * 'ready' when every row passed, 'needs-review' when only some did (the
+   * valid ones can still be imported on their own) and 'rejected' when none
+   * did
+   */
+  getStatus(report) {
+    const { total, valid, invalid, sheetErrors } = report.summary;
+    if (total === 0) return 'rejected';
+    if (invalid === 0 && sheetErrors === 0) return 'ready';
+    return valid === 0 ? 'rejected' : 'needs-review';
+  }
+
+  /**
+   * The report for some of its sheets, for forms that let the author leave
+   * sheets out
+   */
+  forSheets(report, sheetNames) {
+    const sheets = report.sheets.filter(sheet => sheetNames.includes(sheet.name));
+    const rows = report.rows.filter(row => sheetNames.includes(row.sheet));
+    return { ...report, sheets, rows, summary: summarize(sheets, rows) };
+  }
+
+  /**
+   * Row numbers of the invalid rows by sheet
+   * @returns {Object} { [sheetName]: Array<number> }
+   */
+  getExcludedRows(report) {
+    const excluded = {};
+    report.rows.filter(row => row.status === 'invalid').forEach((row) => {
+      excluded[row.sheet] = [...(excluded[row.sheet] || []), row.row];
+    });
+    return excluded;
+  }
+
+  /**
+   * The upload for "import valid rows only". Record workbooks are rebuilt
+   * without their invalid rows. Calendar bars are cell fills, which SheetJS
+   * cannot write back, so a calendar goes up unchanged with the rows the
+   * server is to skip.
+   * @returns {Promise<Object>} { file, excludedRows }; excludedRows is set
+   *   for calendars only
+   */
+  async prepareValidUpload(file, report) {
+    if (report.layout === 'calendar') {
+      return { file, excludedRows: this.getExcludedRows(report) };
+    }
+    return { file: await this.buildValidUpload(file, report), excludedRows: null };
+  }
+
+  /**
+   * A record workbook rebuilt without its invalid rows and broken sheets
+   * @returns {Promise<File>}
+   */
+  async buildValidUpload(file, report) {
+    const excluded = this.getExcludedRows(report);
+    const brokenSheets = report.sheets.filter(sheet => sheet.errors.length > 0).map(sheet => sheet.name);
+    if (Object.keys(excluded).length === 0 && brokenSheets.length === 0) return file;
+
+    const source = await readUpload(file);
+    const workbook = XLSX.utils.book_new();
+    source.SheetNames.filter(name => !brokenSheets.includes(name)).forEach((name) => {
+      const worksheet = source.Sheets[name];
+      const start = XLSX.utils.decode_range(worksheet['!ref'] || 'A1:A1').s.r;
+      const skip = new Set(excluded[name] || []);
+      const data = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: true, defval: '', blankrows: true })
+        .filter((row, index) => !skip.has(start + index + 1));
+      const copy = XLSX.utils.aoa_to_sheet(data, { origin: start });
+      if (worksheet['!cols']) copy['!cols'] = worksheet['!cols'];
+      XLSX.utils.book_append_sheet(workbook, copy, name);
+    });
+
+    const isCsv = /\.csv$/i.test(file.name);
+    const output = XLSX.write(workbook, { bookType: isCsv ? 'csv' : 'xlsx', type: 'array' });
+    const name = file.name.replace(/(\.[^.]+)?$/, isCsv ? '_valid_rows.csv' : '_valid_rows.xlsx');
+    const type = isCsv ? 'text/csv' : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    return new File([output], name, { type });
+  }
+
+  /**
+   * A parse result without the activities on excluded rows, so previews and
+   * saved versions hold what the server imports
+   */
+  withoutExcludedRows(result, excludedRows) {
+    const skip = new Set(excludedRows?.[result?.sheetName] || []);
+    if (!result?.success || skip.size === 0) return result;
+
+    const { calendarGrid } = result.data;
+    const kept = result.data.activities.map(activity => !skip.has(rowOfAddress(activity.source.address)));
+    const activities = result.data.activities.filter((activity, index) => kept[index]);
+    const rows = calendarGrid.rows.filter((row, index) => kept[index]);
+    return {
+      ...result,
+      data: {
+        ...result.data,
+        activities,
+        calendarGrid: { ...calendarGrid, rows, summary: { ...calendarGrid.summary, totalRows: rows.length } },
+        summary: {
+          ...result.data.summary,
+          totalActivities: activities.length,
+          activePeriodsCount: activities.reduce((sum, activity) => sum + activity.periods.length, 0),
+        },
+      },
+      metadata: result.metadata && { ...result.metadata, totalActivities: activities.length },
+    };
+  }
+
+  /**
+   * Download the report as a workbook: one line per checked row (and per
+   * sheet-level problem) with its status, problems and contents
+   */
+  downloadReport(report) {
+    const lines = [['Sheet', 'Row', 'Status', 'Problems', 'Row contents']];
+    report.sheets.forEach((sheet) => {
+      sheet.errors.forEach(error => lines.push([sheet.name, '', 'Sheet error', error, '']));
+      report.rows.filter(row => row.sheet === sheet.name).forEach((row) => {
+        lines.push([
+          row.sheet,
+          row.row,
+          row.status === 'valid' ? 'Valid' : 'Invalid',
+          row.errors.join('; ') || (row.status === 'invalid' ? 'Sheet error' : ''),
+          row.cells.filter(Boolean).join(' | '),
+        ]);
+      });
+    });
+
+    const worksheet = XLSX.utils.aoa_to_sheet(lines);
+    worksheet['!cols'] = [{ width: 24 }, { width: 6 }, { width: 12 }, { width: 60 }, { width: 80 }];
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Validation report');
+    XLSX.writeFile(workbook, `${report.fileName.replace(/\.[^.]+$/, '')}_validation_report.xlsx`);
+  }
+}
+
+export default new ImportValidationService();
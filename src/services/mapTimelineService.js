@@ -0,0 +1,297 @@
+/**
+ * Map Timeline Service
+ * Frames for the weather map time slider: forecast hours and days from the
+ * weather provider layer, and past dekads from published dekad bulletins.
+ * Each frame resolves to one reading per region (keyed by region code): the
+ * forecasts are fetched for region centres and bulletins are issued per
+ * region, so the map draws time steps on region polygons only.
+ * Frame data is cached so playback can prefetch the frames ahead of it.
+ */
+
+import { GHANA_REGIONS } from '../data/ghanaCodes';
+import weatherProviderService, { REGION_CENTERS } from './weatherProviderService';
+import dekadBulletinService from './dekadBulletinService';
+
+export const TIMELINE_MODES = {
+  hourly: {
+    id: 'hourly',
+    label: 'Hourly forecast',
+    metrics: ['temperature', 'rainfall'],
+    defaultMetric: 'temperature',
+  },
+  daily: {
+    id: 'daily',
+    label: '7-day forecast',
+    metrics: ['temperature', 'rainfall'],
+    defaultMetric: 'rainfall',
+  },
+  dekads: {
+    id: 'dekads',
+    label: 'Past dekads',
+    metrics: ['rainfall-anomaly', 'rainfall', 'temperature'],
+    defaultMetric: 'rainfall-anomaly',
+  },
+};
+
+const HOURLY_STEP_HOURS = 3;
+const HOURLY_FRAME_COUNT = 16; // 48 hours
+const DAILY_FRAME_COUNT = 7;
+const DEKAD_FRAME_COUNT = 6;
+export const PREFETCH_AHEAD = 2;
+
+// Forecast frames go stale with the provider cache they are built from
+const FRAME_TTL = 10 * 60 * 1000;
+const MAX_HOURLY_OFFSET = (HOURLY_STEP_HOURS / 2) * 60 * 60 * 1000;
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const pad = (value) => String(value).padStart(2, '0');
+const toDateString = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Values a layer can take from a frame reading
+const METRIC_FIELDS = {
+  temperature: 'temperature',
+  rainfall: 'precipitation',
+  'rainfall-anomaly': 'rainfallAnomaly',
+};
+
+const getTimelineRegions = () => Object.values(GHANA_REGIONS)
+  .map(region => ({ code: region.code, name: region.name.replace(/\s+Region$/, '') }))
+  .filter(region => REGION_CENTERS[region.name]);
+
+class MapTimelineService {
+  constructor() {
+    this.frameCache = new Map();
+    this.bulletinCache = new Map();
+  }
+
+  /**
+   * Frames for a mode, starting from now (forecasts) or the latest complete dekad
+   * @returns {Array} [{ id, mode, label, ... }]
+   */
+  buildFrames(mode, now = new Date()) {
+    if (mode === 'hourly') {
+      const start = new Date(now);
+      start.setMinutes(0, 0, 0);
+      return Array.from({ length: HOURLY_FRAME_COUNT }, (_, step) => {
+        const time = new Date(start.getTime() + step * HOURLY_STEP_HOURS * 60 * 60 * 1000);
+        return {
+          id: time.toISOString(),
+          mode,
+          time: time.toISOString(),
+          label: `${DAY_NAMES[time.getDay()]} ${pad(time.getHours())}:00`,
+        };
+      });
+    }
+
+    if (mode === 'daily') {
+      return Array.from({ length: DAILY_FRAME_COUNT }, (_, step) => {
+        const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + step);
+        return {
+          id: toDateString(day),
+          mode,
+          date: toDateString(day),
+          label: step === 0 ? 'Today' : `${DAY_NAMES[day.getDay()]} ${day.getDate()} ${MONTH_NAMES[day.getMonth()]}`,
+        };
+      });
+    }
+
+    if (mode === 'dekads') {
+      // Oldest first so playback runs forward in time
+      const current = dekadBulletinService.getDekadOfDate(now);
+      return Array.from({ length: DEKAD_FRAME_COUNT }, (_, step) => {
+        const { year, dekad } = dekadBulletinService.shiftDekad(current, step - DEKAD_FRAME_COUNT);
+        return {
+          id: `${year}-${dekad}`,
+          mode,
+          year,
+          dekad,
+          label: dekadBulletinService.formatDekadLabel(year, dekad),
+        };
+      });
+    }
+
+    return [];
+  }
+
+  getCacheKey(frame) {
+    return `${frame.mode}:${frame.id}`;
+  }
+
+  isFrameReady(frame) {
+    const cached = this.frameCache.get(this.getCacheKey(frame));
+    return Boolean(cached?.data);
+  }
+
+  /**
+   * Readings for every region at a frame. Never rejects.
+   * @returns {Promise<Object>} { regions: { [regionCode]: reading }, error }
+   */
+  loadFrame(frame) {
+    const key = this.getCacheKey(frame);
+    const cached = this.frameCache.get(key);
+    if (cached && Date.now() - cached.createdAt < FRAME_TTL) {
+      return cached.promise;
+    }
+
+    const entry = { createdAt: Date.now(), data: null };
+    entry.promise = (frame.mode === 'dekads' ? this.loadDekadFrame(frame) : this.loadForecastFrame(frame))
+      .then((data) => {
+        entry.data = data;
+        return data;
+      })
+      .catch((error) => {
+        console.error(`Error loading map frame ${key}:`, error);
+        this.frameCache.delete(key);
+        return { regions: {}, error: error.message };
+      });
+
+    this.frameCache.set(key, entry);
+    return entry.promise;
+  }
+
+  /**
+   * Warm the cache for the frames after index (wrapping, as playback loops)
+   */
+  prefetch(frames, index, count = PREFETCH_AHEAD) {
+    for (let step = 0; step < Math.min(count, frames.length - 1); step++) {
+      const frame = frames[(index + step) % frames.length];
+      if (frame) this.loadFrame(frame);
+    }
+  }
+
+  async loadForecastFrame(frame) {
+    const regions = getTimelineRegions();
+    // Provider reports are cached and shared, so every forecast frame reuses the same requests
+    const results = await Promise.allSettled(
+      regions.map(region => weatherProviderService.getWeather(REGION_CENTERS[region.name]))
+    );
+
+    const readings = {};
+    results.forEach((result, index) => {
+      if (result.status !== 'fulfilled') return;
+      const reading = this.readForecast(result.value, frame);
+      if (reading) {
+        readings[regions[index].code] = { ...reading, regionName: regions[index].name };
+      }
+    });
+
+    const failed = results.filter(result => result.status === 'rejected').length;
+    return {
+      regions: readings,
+      error: failed === regions.length ? 'Forecast data is unavailable' : null,
+    };
+  }
+
+  /**
+   * Pick the hourly or daily entry of a normalized report for a frame
+   */
+  readForecast(report, frame) {
+    if (frame.mode === 'hourly') {
+      const target = new Date(frame.time).getTime();
+      let nearest = null;
+      report.hourly.forEach((entry) => {
+        const offset = Math.abs(new Date(entry.time).getTime() - target);
+        if (offset <= MAX_HOURLY_OFFSET && (!nearest || offset < nearest.offset)) {
+          nearest = { entry, offset };
+        }
+      });
+      if (!nearest) return null;
+      const { entry } = nearest;
+      return {
+        temperature: entry.temperature,
+        precipitation: entry.precipitation,
+        humidity: entry.humidity,
+        windSpeed: entry.windSpeed,
+        condition: entry.condition,
+        label: weatherProviderService.getConditionLabel(entry.condition),
+        summary: entry.precipitationProbability !== null
+          ? `${entry.precipitationProbability}% chance of rain`
+          : null,
+        rainfallAnomaly: null,
+        source: report.source,
+      };
+    }
+
+    const day = report.daily.find(entry => entry.date === frame.date);
+    if (!day) return null;
+    return {
+      temperature: day.maxTemp,
+      minTemperature: day.minTemp,
+      precipitation: day.precipitation,
+      humidity: day.humidity,
+      windSpeed: day.windSpeed,
+      condition: day.condition,
+      label: weatherProviderService.getConditionLabel(day.condition),
+      summary: day.summary,
+      rainfallAnomaly: null,
+      source: report.source,
+    };
+  }
+
+  getBulletinsForYear(year) {
+    if (!this.bulletinCache.has(year)) {
+      const request = dekadBulletinService.getBulletins({ year }).then((result) => {
+        if (!result.success) this.bulletinCache.delete(year);
+        return result;
+      });
+      this.bulletinCache.set(year, request);
+    }
+    return this.bulletinCache.get(year);
+  }
+
+  async loadDekadFrame(frame) {
+    const result = await this.getBulletinsForYear(frame.year);
+    const readings = {};
+
+    (result.data || [])
+      .filter(bulletin => bulletin.dekad === frame.dekad)
+      .forEach((bulletin) => {
+        const status = bulletin.rainfall.status;
+        readings[bulletin.regionCode] = {
+          regionName: bulletin.regionName.replace(/\s+Region$/, ''),
+          temperature: bulletin.temperature.observedMax,
+          minTemperature: bulletin.temperature.observedMin,
+          precipitation: bulletin.rainfall.observed,
+          humidity: bulletin.humidity,
+          windSpeed: null,
+          condition: bulletin.rainfall.observed > 0 ? 'rain' : 'clear',
+          label: status === 'unknown' ? 'Rainfall observed' : `${status.charAt(0).toUpperCase()}${status.slice(1)} rainfall`,
+          summary: bulletin.summary,
+          rainfallAnomaly: bulletin.rainfall.anomalyPercent,
+          source: null,
+        };
+      });
+
+    return {
+      regions: readings,
+      error: result.success ? null : result.error,
+    };
+  }
+
+  /**
+   * Choropleth values for a metric from a frame, or null when the frame has none.
+   * Frames carry no district values, so draw these on region features.
+   * @returns {Object|null} { regions }
+   */
+  toLayerValues(frameData, metricId) {
+    const field = METRIC_FIELDS[metricId];
+    if (!frameData || !field) return null;
+
+    const regions = {};
+    Object.entries(frameData.regions).forEach(([code, reading]) => {
+      if (reading[field] !== null && reading[field] !== undefined) {
+        regions[code] = reading[field];
+      }
+    });
+    return { regions };
+  }
+
+  clearCache() {
+    this.frameCache.clear();
+    this.bulletinCache.clear();
+  }
+}
+
+export default new MapTimelineService();
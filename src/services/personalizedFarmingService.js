@@ -1,8 +1,11 @@
 /**
  * Personalized Farming Assistant Service for Phase 3 Advanced Features
  * Provides farm profiles, seasonal planning, and personalized recommendations
+ * Mapped fields (farm.fields) set the farm size from their measured area
  */
 
+import { ACRES_PER_HECTARE } from '../utils/geoUtils';
+
 class PersonalizedFarmingService {
   constructor() {
     // Local storage keys for persistence
@@ -31,7 +34,8 @@ class PersonalizedFarmingService {
         waterSource: '', // rain-fed, irrigation, borehole, river
         farmingSystem: '', // monoculture, intercropping, mixed
         elevation: '', // lowland, upland, highland
-        slope: '' // flat, gentle, steep
+        slope: '', // flat, gentle, steep
+        fields: [] // mapped field boundaries (see farmFieldService)
       },
       crops: {
         current: [], // Current season crops
@@ -212,6 +216,67 @@ class PersonalizedFarmingService {
     }
   }
 
+  /**
+   * Mapped field boundaries saved with the farm profile
+   */
+  getFarmFields() {
+    return this.currentProfile?.farm?.fields || [];
+  }
+
+  /**
+   * Add or replace a mapped field; farm size becomes the total field area
+   * @param {Object} field - Field from farmFieldService.createField
+   */
+  saveFarmField(field) {
+    if (!this.currentProfile) {
+      return {
+        success: false,
+        message: 'Please create a farm profile first to save your fields'
+      };
+    }
+
+    const others = this.getFarmFields().filter(existing => existing.id !== field.id);
+    return this.updateFarmFields([...others, field], field.location);
+  }
+
+  removeFarmField(fieldId) {
+    if (!this.currentProfile) {
+      return { success: false, message: 'No farm profile found' };
+    }
+
+    const fields = this.getFarmFields().filter(field => field.id !== fieldId);
+    // Keep the last entered size once the final field is removed
+    if (fields.length === 0) {
+      return this.createFarmProfile({
+        ...this.currentProfile,
+        farm: { ...this.currentProfile.farm, fields }
+      });
+    }
+    return this.updateFarmFields(fields);
+  }
+
+  updateFarmFields(fields, location = null) {
+    const { farm, personal } = this.currentProfile;
+    const unit = farm.size?.unit || 'acres';
+    const hectares = fields.reduce((sum, field) => sum + field.area.hectares, 0);
+    const size = unit === 'hectares' ? hectares : hectares * ACRES_PER_HECTARE;
+
+    return this.createFarmProfile({
+      ...this.currentProfile,
+      personal: {
+        ...personal,
+        // Fill in the farm's location from its first field
+        region: personal.region || (location ? location.regionName.replace(/\s+Region$/, '') : ''),
+        district: personal.district || location?.districtName || ''
+      },
+      farm: {
+        ...farm,
+        fields,
+        size: { value: Math.round(size * 100) / 100, unit }
+      }
+    });
+  }
+
   /**
    * Get personalized recommendations
    */
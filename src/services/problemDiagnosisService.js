@@ -3,12 +3,20 @@
  * Provides intelligent pest identification, disease management, and nutrient deficiency diagnosis
  */
 
+// How often an answer in the guided diagnosis may not fit the real problem
+// (the wrong plant part picked, an unusual season). An answer a problem does
+// not explain lowers its score by this much instead of ruling it out.
+const GUIDED_ANSWER_NOISE = { part: 0.1, sign: 0.1, spread: 0.25, weather: 0.3 };
+// Guided candidates below this confidence (%) are no longer offered
+const GUIDED_MIN_CONFIDENCE = 5;
+
 class ProblemDiagnosisService {
   constructor() {
     // Comprehensive pest database for Ghana
     this.pestDatabase = {
       'fall-armyworm': {
         name: 'Fall Armyworm',
+        guide: { part: ['leaves', 'whole'], sign: ['holes', 'larvae'], spread: ['patches', 'field'], weather: ['dry'] },
         scientific_name: 'Spodoptera frugiperda',
         crops_affected: ['maize', 'rice', 'sorghum', 'millet'],
         symptoms: [
@@ -35,6 +43,7 @@ class ProblemDiagnosisService {
       },
       'stem-borer': {
         name: 'Stem Borer',
+        guide: { part: ['stem', 'whole', 'fruit'], sign: ['dead-heart', 'stem-holes', 'weak-stem', 'poor-fill', 'larvae'], spread: ['scattered', 'patches'] },
         crops_affected: ['rice', 'maize', 'sugarcane'],
         symptoms: [
           'dead hearts in young plants',
@@ -53,6 +62,7 @@ class ProblemDiagnosisService {
       },
       'aphids': {
         name: 'Aphids',
+        guide: { part: ['leaves'], sign: ['curled', 'sticky', 'larvae'], spread: ['patches'], weather: ['dry'] },
         crops_affected: ['vegetables', 'legumes', 'cereals'],
         symptoms: [
           'curled leaves',
@@ -70,6 +80,7 @@ class ProblemDiagnosisService {
       },
       'whitefly': {
         name: 'Whitefly',
+        guide: { part: ['leaves'], sign: ['larvae', 'sticky', 'yellow-old'], spread: ['patches', 'field'], weather: ['dry'] },
         crops_affected: ['tomatoes', 'pepper', 'cassava', 'beans'],
         symptoms: [
           'yellowing leaves',
@@ -88,6 +99,7 @@ class ProblemDiagnosisService {
       },
       'termites': {
         name: 'Termites',
+        guide: { part: ['roots', 'stem', 'whole'], sign: ['mud-tubes', 'roots-eaten', 'wilting'], spread: ['patches', 'scattered'], weather: ['dry'] },
         crops_affected: ['maize', 'cassava', 'yam', 'groundnuts'],
         symptoms: [
           'wilting plants',
@@ -109,6 +121,7 @@ class ProblemDiagnosisService {
     this.diseaseDatabase = {
       'maize-streak-virus': {
         name: 'Maize Streak Virus',
+        guide: { part: ['leaves', 'whole'], sign: ['streaks', 'stunted'], spread: ['scattered', 'patches'] },
         crops_affected: ['maize'],
         symptoms: [
           'yellow streaks on leaves',
@@ -125,6 +138,7 @@ class ProblemDiagnosisService {
       },
       'late-blight': {
         name: 'Late Blight',
+        guide: { part: ['leaves', 'fruit'], sign: ['spots', 'mould', 'rot'], spread: ['patches'], weather: ['wet'] },
         crops_affected: ['tomatoes', 'potatoes'],
         symptoms: [
           'dark spots on leaves',
@@ -142,6 +156,7 @@ class ProblemDiagnosisService {
       },
       'black-sigatoka': {
         name: 'Black Sigatoka',
+        guide: { part: ['leaves'], sign: ['streaks', 'spots'], spread: ['patches', 'field'], weather: ['wet'] },
         crops_affected: ['plantain', 'banana'],
         symptoms: [
           'yellow streaks on leaves',
@@ -158,6 +173,7 @@ class ProblemDiagnosisService {
       },
       'bacterial-wilt': {
         name: 'Bacterial Wilt',
+        guide: { part: ['whole', 'stem'], sign: ['wilting', 'vascular'], spread: ['scattered', 'patches'], weather: ['wet'] },
         crops_affected: ['tomatoes', 'pepper', 'eggplant'],
         symptoms: [
           'sudden wilting',
@@ -174,6 +190,7 @@ class ProblemDiagnosisService {
       },
       'cassava-mosaic-virus': {
         name: 'Cassava Mosaic Virus',
+        guide: { part: ['leaves', 'whole'], sign: ['mosaic', 'curled', 'stunted'], spread: ['scattered', 'field'] },
         crops_affected: ['cassava'],
         symptoms: [
           'yellow mosaic on leaves',
@@ -193,6 +210,7 @@ class ProblemDiagnosisService {
     this.nutrientDeficiencies = {
       'nitrogen': {
         name: 'Nitrogen Deficiency',
+        guide: { part: ['leaves', 'whole'], sign: ['yellow-old', 'stunted'], spread: ['field'], weather: ['wet'] },
         symptoms: [
           'yellowing of older leaves',
           'stunted growth',
@@ -211,6 +229,7 @@ class ProblemDiagnosisService {
       },
       'phosphorus': {
         name: 'Phosphorus Deficiency',
+        guide: { part: ['leaves', 'roots', 'whole'], sign: ['purple', 'poor-roots', 'stunted'], spread: ['field'] },
         symptoms: [
           'purplish or reddish leaves',
           'delayed maturity',
@@ -227,6 +246,7 @@ class ProblemDiagnosisService {
       },
       'potassium': {
         name: 'Potassium Deficiency',
+        guide: { part: ['leaves', 'stem', 'fruit'], sign: ['brown-edges', 'weak-stem', 'poor-fill'], spread: ['field'] },
         symptoms: [
           'yellowing leaf margins',
           'brown leaf edges',
@@ -243,6 +263,7 @@ class ProblemDiagnosisService {
       },
       'iron': {
         name: 'Iron Deficiency',
+        guide: { part: ['leaves'], sign: ['yellow-veins-young'], spread: ['patches'] },
         symptoms: [
           'yellowing between leaf veins',
           'green veins remain',
@@ -259,6 +280,7 @@ class ProblemDiagnosisService {
       },
       'magnesium': {
         name: 'Magnesium Deficiency',
+        guide: { part: ['leaves'], sign: ['yellow-veins-old', 'purple'], spread: ['field'] },
         symptoms: [
           'yellowing between veins',
           'affects older leaves',
@@ -286,12 +308,103 @@ class ProblemDiagnosisService {
       'brown_edges': ['potassium deficiency', 'salt stress', 'heat stress'],
       'purple_leaves': ['phosphorus deficiency', 'cold stress', 'anthocyanin buildup']
     };
+
+    // Guided diagnosis questions, asked in this order. Each problem's `guide`
+    // lists the answers it explains; a step left out of a guide neither
+    // supports nor rules out that problem.
+    this.guidedSteps = [
+      {
+        id: 'crop',
+        question: 'Which crop is affected?',
+        choices: [
+          { id: 'maize', label: 'Maize', crops: ['maize', 'cereals'] },
+          { id: 'rice', label: 'Rice', crops: ['rice', 'cereals'] },
+          { id: 'sorghum', label: 'Sorghum or millet', crops: ['sorghum', 'millet', 'cereals'] },
+          { id: 'cassava', label: 'Cassava', crops: ['cassava'] },
+          { id: 'yam', label: 'Yam', crops: ['yam'] },
+          { id: 'plantain', label: 'Plantain or banana', crops: ['plantain', 'banana'] },
+          { id: 'tomato', label: 'Tomato', crops: ['tomatoes', 'vegetables'] },
+          { id: 'pepper', label: 'Pepper', crops: ['pepper', 'vegetables'] },
+          { id: 'onion', label: 'Onion', crops: ['vegetables'] },
+          { id: 'soybean', label: 'Soybean or beans', crops: ['beans', 'legumes'] },
+        ]
+      },
+      {
+        id: 'part',
+        question: 'Which part of the plant shows the problem?',
+        choices: [
+          { id: 'leaves', label: 'Leaves' },
+          { id: 'stem', label: 'Stem' },
+          { id: 'roots', label: 'Roots' },
+          { id: 'fruit', label: 'Fruit, grain or tubers' },
+          { id: 'whole', label: 'The whole plant' },
+        ]
+      },
+      {
+        id: 'sign',
+        question: 'What do you see?',
+        choices: [
+          { id: 'holes', label: 'Holes or chewed leaves', parts: ['leaves'] },
+          { id: 'larvae', label: 'Caterpillars or insects on the plant', parts: ['leaves', 'stem', 'whole'] },
+          { id: 'sticky', label: 'Sticky leaves or a black sooty coating', parts: ['leaves'] },
+          { id: 'curled', label: 'Curled or crinkled leaves', parts: ['leaves'] },
+          { id: 'yellow-old', label: 'Older, lower leaves turning yellow', parts: ['leaves', 'whole'] },
+          { id: 'yellow-veins-young', label: 'Young leaves yellow between green veins', parts: ['leaves'] },
+          { id: 'yellow-veins-old', label: 'Older leaves yellow between green veins', parts: ['leaves'] },
+          { id: 'streaks', label: 'Yellow streaks along the leaf', parts: ['leaves'] },
+          { id: 'mosaic', label: 'Yellow-green mosaic, twisted leaves', parts: ['leaves'] },
+          { id: 'spots', label: 'Dark or brown spots', parts: ['leaves', 'fruit'] },
+          { id: 'mould', label: 'White mould growing on it', parts: ['leaves', 'fruit'] },
+          { id: 'brown-edges', label: 'Brown, scorched leaf edges', parts: ['leaves'] },
+          { id: 'purple', label: 'Purple or reddish leaves', parts: ['leaves'] },
+          { id: 'dead-heart', label: 'Dead centre shoot or empty white heads', parts: ['stem', 'whole'] },
+          { id: 'stem-holes', label: 'Holes and sawdust on the stem', parts: ['stem'] },
+          { id: 'mud-tubes', label: 'Mud tubes on the stem, or hollow stems', parts: ['stem', 'roots'] },
+          { id: 'vascular', label: 'Brown streaks inside the cut stem', parts: ['stem'] },
+          { id: 'weak-stem', label: 'Weak stems, plants falling over', parts: ['stem', 'whole'] },
+          { id: 'roots-eaten', label: 'Roots eaten or damaged', parts: ['roots'] },
+          { id: 'poor-roots', label: 'Small, poorly developed roots', parts: ['roots'] },
+          { id: 'rot', label: 'Rotting fruit or tubers', parts: ['fruit'] },
+          { id: 'poor-fill', label: 'Small or poorly filled fruit, grain or tubers', parts: ['fruit'] },
+          { id: 'wilting', label: 'Wilting, even when the soil is moist', parts: ['whole', 'leaves'] },
+          { id: 'stunted', label: 'Stunted, slow-growing plants', parts: ['whole'] },
+        ]
+      },
+      {
+        id: 'spread',
+        question: 'How is the problem spread across the field?',
+        choices: [
+          { id: 'scattered', label: 'Single plants here and there' },
+          { id: 'patches', label: 'In patches that are spreading' },
+          { id: 'field', label: 'Evenly across the whole field' },
+        ]
+      },
+      {
+        id: 'weather',
+        question: 'What has the weather been like for the last two weeks?',
+        choices: [
+          { id: 'wet', label: 'Rainy or very humid' },
+          { id: 'dry', label: 'Dry and hot' },
+          { id: 'normal', label: 'Normal for the season' },
+        ]
+      },
+    ];
   }
 
   /**
    * Diagnose problem based on symptoms description
    */
   diagnoseProblem(symptoms, crop = null, region = null) {
+    const possibleProblems = this.matchProblems(symptoms, crop);
+
+    return this.formatDiagnosis(possibleProblems, symptoms, crop, region);
+  }
+
+  /**
+   * Pests, diseases and deficiencies whose symptoms appear in the description,
+   * most likely first: [{ type, problem, key, confidence, matched_symptoms }]
+   */
+  matchProblems(symptoms, crop = null) {
     const normalizedSymptoms = symptoms.toLowerCase();
     const possibleProblems = [];
 
@@ -352,8 +465,114 @@ class ProblemDiagnosisService {
 
     // Sort by confidence
     possibleProblems.sort((a, b) => b.confidence - a.confidence);
+    return possibleProblems;
+  }
 
-    return this.formatDiagnosis(possibleProblems, symptoms, crop, region);
+  // Every pest, disease and deficiency as { type, key, problem }
+  getAllProblems() {
+    return [
+      ...Object.entries(this.pestDatabase).map(([key, problem]) => ({ type: 'pest', key, problem })),
+      ...Object.entries(this.diseaseDatabase).map(([key, problem]) => ({ type: 'disease', key, problem })),
+      ...Object.entries(this.nutrientDeficiencies).map(([key, problem]) => ({ type: 'nutrient_deficiency', key, problem })),
+    ];
+  }
+
+  /**
+   * Steps of the guided diagnosis, in order: [{ id, question, choices }]
+   */
+  getGuidedSteps() {
+    return this.guidedSteps;
+  }
+
+  getGuidedChoice(stepId, choiceId) {
+    const step = this.guidedSteps.find(item => item.id === stepId);
+    return step?.choices.find(choice => choice.id === choiceId) || null;
+  }
+
+  /**
+   * Rank problems against the guided answers so far. Every answer scores a
+   * problem by how well its guide explains it (naive Bayes over the steps)
+   * and the scores are normalised into confidences that add up to 100. The
+   * crop is a hard filter for pests and diseases; deficiencies fit any crop.
+   * @param {Object} answers - { crop, part, sign, spread, weather }; missing or null when unsure
+   * @returns {Object[]} [{ type, key, problem, confidence, matched }], most likely first
+   */
+  rankGuidedCandidates(answers = {}) {
+    const crop = this.getGuidedChoice('crop', answers.crop);
+    const candidates = this.getAllProblems().filter(({ type, problem }) =>
+      !crop || type === 'nutrient_deficiency' || problem.crops_affected.some(affected => crop.crops.includes(affected))
+    );
+
+    const scored = candidates.map(candidate => {
+      let score = 1;
+      const matched = [];
+      Object.keys(GUIDED_ANSWER_NOISE).forEach(stepId => {
+        const answer = answers[stepId];
+        if (!answer) return;
+
+        const optionCount = this.guidedSteps.find(step => step.id === stepId).choices.length;
+        const explained = candidate.problem.guide?.[stepId];
+        if (!explained) {
+          score *= 1 / optionCount;
+        } else if (explained.includes(answer)) {
+          score *= (1 - GUIDED_ANSWER_NOISE[stepId]) / explained.length;
+          matched.push(this.getGuidedChoice(stepId, answer).label);
+        } else {
+          score *= GUIDED_ANSWER_NOISE[stepId] / (optionCount - explained.length);
+        }
+      });
+      return { ...candidate, score, matched };
+    });
+
+    const total = scored.reduce((sum, candidate) => sum + candidate.score, 0);
+    return scored
+      .map(({ score, ...candidate }) => ({ ...candidate, confidence: total > 0 ? (score / total) * 100 : 0 }))
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+
+  // Guided candidates still worth considering
+  getLikelyGuidedCandidates(answers = {}) {
+    return this.rankGuidedCandidates(answers)
+      .filter(candidate => candidate.confidence >= GUIDED_MIN_CONFIDENCE);
+  }
+
+  /**
+   * The choices worth offering at a step, given the answers to the steps
+   * before it: plant parts and signs that a still-likely problem explains,
+   * and only signs of the chosen part
+   */
+  getGuidedChoices(stepId, answers = {}) {
+    const step = this.guidedSteps.find(item => item.id === stepId);
+    if (stepId !== 'part' && stepId !== 'sign') return step.choices;
+
+    const likely = this.getLikelyGuidedCandidates(answers);
+    return step.choices.filter(choice =>
+      (stepId !== 'sign' || !answers.part || choice.parts.includes(answers.part)) &&
+      likely.some(candidate => candidate.problem.guide?.[stepId]?.includes(choice.id))
+    );
+  }
+
+  /**
+   * Guided diagnosis result: the likely problems, what each answer matched
+   * and what to do. Runs entirely on this device.
+   * @returns {Object} { success, data: [{ type, key, name, confidence, matched, actions, prevention }] }
+   */
+  diagnoseGuided(answers = {}) {
+    const likely = this.getLikelyGuidedCandidates(answers).slice(0, 3);
+
+    return {
+      success: true,
+      data: likely.map(({ type, key, problem, confidence, matched }) => ({
+        type,
+        key,
+        name: problem.name,
+        confidence: Math.round(confidence),
+        matched,
+        cause: problem.cause || null,
+        actions: problem.control_methods || problem.correction || {},
+        prevention: problem.prevention || null,
+      })),
+    };
   }
 
   /**
@@ -0,0 +1,531 @@
+/**
+ * Report Service
+ * Parameterized Dashboard reports built from the stored content and the
+ * diagnostic usage recorded by the server: uploads per region, advisories issued per week,
+ * calendar coverage by commodity and diagnostic tool usage.
+ *
+ * A generated report is a table (columns and rows) plus a chart spec, and can
+ * be exported as PDF or Excel. Saved reports go through the userService report
+ * endpoints, or stay in this browser when those are unavailable. Reports
+ * scheduled weekly are regenerated by the first Dashboard visit after their
+ * next run date.
+ */
+
+import * as XLSX from 'xlsx';
+import userService from './userService';
+import diagnosticUsageService, { DIAGNOSTIC_TOOLS } from './diagnosticUsageService';
+import { GHANA_REGIONS, getDistrictByCode, getTotalDistrictCount } from '../data/ghanaCodes';
+import { toRegionCode, toDistrictCode } from '../utils/accessControl';
+
+const LOCAL_REPORTS_KEY = 'triagro_reports';
+// Marks report records of this module among everything under /user/reports
+const REPORT_CATEGORY = 'dashboard-report';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+export const CONTENT_SOURCES = {
+  'crop-calendar': 'Crop calendars',
+  'poultry-calendar': 'Poultry calendars',
+  'agromet-advisory': 'Agromet advisories',
+  'poultry-advisory': 'Poultry advisories',
+};
+
+export const REPORT_RANGES = {
+  last_4_weeks: { id: 'last_4_weeks', label: 'Last 4 weeks', weeks: 4 },
+  last_12_weeks: { id: 'last_12_weeks', label: 'Last 12 weeks', weeks: 12 },
+  last_52_weeks: { id: 'last_52_weeks', label: 'Last 52 weeks', weeks: 52 },
+  custom: { id: 'custom', label: 'Custom dates' },
+};
+
+export const REPORT_SCHEDULES = {
+  none: { id: 'none', label: 'On demand' },
+  weekly: { id: 'weekly', label: 'Weekly' },
+};
+
+/**
+ * Report types; `usesDateRange` and `usesRegion` say which parameters apply
+ */
+export const REPORT_TYPES = {
+  uploads_by_region: {
+    id: 'uploads_by_region',
+    label: 'Uploads per region',
+    description: 'Calendars and advisories uploaded in the period, per region (or per district of the chosen region).',
+    usesDateRange: true,
+    usesRegion: true,
+  },
+  advisories_per_week: {
+    id: 'advisories_per_week',
+    label: 'Advisories issued per week',
+    description: 'Agromet and poultry advisories issued in each week of the period.',
+    usesDateRange: true,
+    usesRegion: true,
+  },
+  calendar_coverage: {
+    id: 'calendar_coverage',
+    label: 'Calendar coverage by commodity',
+    description: 'How many districts have a crop or poultry calendar for each commodity.',
+    usesDateRange: false,
+    usesRegion: true,
+  },
+  diagnostic_usage: {
+    id: 'diagnostic_usage',
+    label: 'Diagnostic tool usage',
+    description: 'Photo and guided diagnoses run in each week of the period, from every device.',
+    usesDateRange: true,
+    usesRegion: false,
+  },
+};
+
+const SERIES_COLORS = ['#16a34a', '#2563eb', '#f59e0b', '#9333ea', '#dc2626'];
+
+const readLocalReports = () => {
+  try {
+    const stored = localStorage.getItem(LOCAL_REPORTS_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.warn(`Could not read ${LOCAL_REPORTS_KEY}:`, error);
+    return [];
+  }
+};
+
+const writeLocalReports = (reports) => {
+  localStorage.setItem(LOCAL_REPORTS_KEY, JSON.stringify(reports));
+};
+
+// The report list from a /user/reports response, whatever its envelope
+const toReportList = (data) => {
+  const list = Array.isArray(data) ? data : data?.data || data?.reports || [];
+  return Array.isArray(list) ? list : [];
+};
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+// Monday of the week the date falls in, as YYYY-MM-DD
+const weekStart = (value) => {
+  const date = new Date(value);
+  const offset = (date.getUTCDay() + 6) % 7;
+  return toDay(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - offset)));
+};
+
+const weeksBetween = (from, to) => {
+  const weeks = [];
+  for (let time = new Date(weekStart(from)).getTime(); time <= new Date(to).getTime(); time += WEEK_MS) {
+    weeks.push(toDay(new Date(time)));
+  }
+  return weeks;
+};
+
+const recordDate = (record) => record.createdAt || record.uploadedAt || record.lastUpdated || record.validFrom || null;
+
+const recordRegionCode = (record) => {
+  const districtCode = toDistrictCode(record.districtCode || record.district);
+  return toRegionCode(record.regionCode || record.region)
+    || (districtCode ? getDistrictByCode(districtCode).regionCode : null);
+};
+
+class ReportService {
+  constructor() {
+    this.pendingRun = null;
+  }
+
+  /**
+   * The from/to dates (YYYY-MM-DD) a report covers when generated at `now`
+   */
+  resolveDates(parameters = {}, now = new Date()) {
+    const range = REPORT_RANGES[parameters.range] || REPORT_RANGES.last_12_weeks;
+    if (range.id === 'custom') {
+      return { from: parameters.from || toDay(now), to: parameters.to || toDay(now) };
+    }
+    return { from: toDay(new Date(now.getTime() - range.weeks * WEEK_MS + DAY_MS)), to: toDay(now) };
+  }
+
+  validateParameters(type, parameters = {}) {
+    const errors = [];
+    if (!REPORT_TYPES[type]) errors.push('Choose a report type');
+    if (parameters.range === 'custom') {
+      if (!parameters.from || !parameters.to) errors.push('Set both dates of the custom period');
+      else if (parameters.from > parameters.to) errors.push('The period must end after it starts');
+    }
+    if (parameters.regionCode && !GHANA_REGIONS[parameters.regionCode]) errors.push('Unknown region');
+    return errors;
+  }
+
+  /**
+   * Build a report
+   * @param {string} type - One of REPORT_TYPES
+   * @param {Object} parameters - { range, from, to, regionCode, sources }
+   * @returns {Promise<Object>} { success, data: { type, parameters, period,
+   *   generatedAt, columns, rows, chart }, error }
+   */
+  async generateReport(type, parameters = {}, now = new Date()) {
+    const errors = this.validateParameters(type, parameters);
+    if (errors.length > 0) {
+      return { success: false, error: errors.join('. ') };
+    }
+
+    const period = REPORT_TYPES[type].usesDateRange ? this.resolveDates(parameters, now) : null;
+    try {
+      let table;
+      if (type === 'uploads_by_region') table = await this.buildUploadsByRegion(period, parameters);
+      else if (type === 'advisories_per_week') table = await this.buildAdvisoriesPerWeek(period, parameters);
+      else if (type === 'calendar_coverage') table = await this.buildCalendarCoverage(parameters);
+      else table = await this.buildDiagnosticUsage(period);
+
+      return {
+        success: true,
+        data: { type, parameters, period, generatedAt: now.toISOString(), ...table },
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Records of a content type, limited to a region and period when given
+   */
+  async loadRecords(dataType, { regionCode = null, period = null } = {}) {
+    const result = await userService.getAgriculturalData(dataType);
+    if (!result.success) {
+      throw new Error(`Could not load ${CONTENT_SOURCES[dataType].toLowerCase()}: ${result.error}`);
+    }
+    return result.data.filter((record) => {
+      if (regionCode && recordRegionCode(record) !== regionCode) return false;
+      if (period) {
+        const date = recordDate(record);
+        if (!date) return false;
+        const day = String(date).slice(0, 10);
+        if (day < period.from || day > period.to) return false;
+      }
+      return true;
+    });
+  }
+
+  async buildUploadsByRegion(period, { regionCode = null, sources = Object.keys(CONTENT_SOURCES) }) {
+    const types = sources.filter(source => CONTENT_SOURCES[source]);
+    const byDistrict = Boolean(regionCode);
+    const places = byDistrict
+      ? Object.entries(GHANA_REGIONS[regionCode].districts).map(([code, name]) => ({ code, name }))
+      : Object.values(GHANA_REGIONS).map(region => ({ code: region.code, name: region.name }));
+
+    const rows = places.map(place => ({
+      place: place.name,
+      ...Object.fromEntries(types.map(type => [type, 0])),
+      total: 0,
+    }));
+    const rowByCode = new Map(places.map((place, index) => [place.code, rows[index]]));
+    const unknown = { place: 'Unknown', ...Object.fromEntries(types.map(type => [type, 0])), total: 0 };
+
+    for (const type of types) {
+      const records = await this.loadRecords(type, { regionCode, period });
+      records.forEach((record) => {
+        const code = byDistrict ? toDistrictCode(record.districtCode || record.district) : recordRegionCode(record);
+        const row = rowByCode.get(code) || unknown;
+        row[type] += 1;
+        row.total += 1;
+      });
+    }
+
+    const series = types.map((type, index) => ({ key: type, label: CONTENT_SOURCES[type], color: SERIES_COLORS[index] }));
+    return {
+      columns: [{ key: 'place', label: byDistrict ? 'District' : 'Region' }, ...series, { key: 'total', label: 'Total' }],
+      rows: [...rows, ...(unknown.total > 0 ? [unknown] : [])],
+      chart: { kind: 'bar', xKey: 'place', stacked: true, series },
+    };
+  }
+
+  async buildAdvisoriesPerWeek(period, { regionCode = null }) {
+    const types = ['agromet-advisory', 'poultry-advisory'];
+    const rows = weeksBetween(period.from, period.to).map(week => ({ week, 'agromet-advisory': 0, 'poultry-advisory': 0, total: 0 }));
+    const rowByWeek = new Map(rows.map(row => [row.week, row]));
+
+    for (const type of types) {
+      const records = await this.loadRecords(type, { regionCode, period });
+      records.forEach((record) => {
+        const row = rowByWeek.get(weekStart(recordDate(record)));
+        if (!row) return;
+        row[type] += 1;
+        row.total += 1;
+      });
+    }
+
+    const series = types.map((type, index) => ({ key: type, label: CONTENT_SOURCES[type], color: SERIES_COLORS[index] }));
+    return {
+      columns: [{ key: 'week', label: 'Week starting' }, ...series, { key: 'total', label: 'Total' }],
+      rows,
+      chart: { kind: 'line', xKey: 'week', series },
+    };
+  }
+
+  async buildCalendarCoverage({ regionCode = null }) {
+    const totalDistricts = regionCode
+      ? Object.keys(GHANA_REGIONS[regionCode].districts).length
+      : getTotalDistrictCount();
+    const commodities = new Map();
+
+    const sources = [
+      { type: 'crop-calendar', label: 'Crop', commodityOf: record => record.crop || record.commodity },
+      { type: 'poultry-calendar', label: 'Poultry', commodityOf: record => record.poultryType || record.commodity },
+    ];
+    for (const source of sources) {
+      const records = await this.loadRecords(source.type, { regionCode });
+      records.forEach((record) => {
+        const commodity = String(source.commodityOf(record) || '').trim();
+        if (!commodity) return;
+        const key = `${source.type}:${commodity.toLowerCase()}`;
+        if (!commodities.has(key)) {
+          commodities.set(key, { commodity, calendarType: source.label, calendars: 0, districts: new Set(), regions: new Set() });
+        }
+        const entry = commodities.get(key);
+        entry.calendars += 1;
+        const districtCode = toDistrictCode(record.districtCode || record.district);
+        if (districtCode) entry.districts.add(districtCode);
+        const recordRegion = recordRegionCode(record);
+        if (recordRegion) entry.regions.add(recordRegion);
+      });
+    }
+
+    const rows = [...commodities.values()]
+      .map(entry => ({
+        commodity: entry.commodity,
+        calendarType: entry.calendarType,
+        calendars: entry.calendars,
+        districts: entry.districts.size,
+        regions: entry.regions.size,
+        coverage: Math.round((entry.districts.size / totalDistricts) * 1000) / 10,
+      }))
+      .sort((a, b) => b.districts - a.districts || a.commodity.localeCompare(b.commodity));
+
+    return {
+      columns: [
+        { key: 'commodity', label: 'Commodity' },
+        { key: 'calendarType', label: 'Calendar' },
+        { key: 'calendars', label: 'Calendars' },
+        { key: 'districts', label: 'Districts covered' },
+        { key: 'regions', label: 'Regions covered' },
+        { key: 'coverage', label: `% of ${totalDistricts} districts` },
+      ],
+      rows,
+      chart: { kind: 'bar', xKey: 'commodity', series: [{ key: 'districts', label: 'Districts covered', color: SERIES_COLORS[0] }] },
+    };
+  }
+
+  async buildDiagnosticUsage(period) {
+    const usage = await diagnosticUsageService.getUsage(period);
+    if (!usage.success) {
+      throw new Error(`Could not load diagnostic usage: ${usage.error}`);
+    }
+
+    const tools = Object.keys(DIAGNOSTIC_TOOLS);
+    const rows = weeksBetween(period.from, period.to).map(week => ({
+      week,
+      ...Object.fromEntries(tools.map(tool => [tool, 0])),
+      total: 0,
+    }));
+    const rowByWeek = new Map(rows.map(row => [row.week, row]));
+
+    usage.data.forEach((use) => {
+      const row = rowByWeek.get(weekStart(use.timestamp));
+      if (!row || !(use.tool in row)) return;
+      row[use.tool] += 1;
+      row.total += 1;
+    });
+
+    const series = tools.map((tool, index) => ({ key: tool, label: DIAGNOSTIC_TOOLS[tool].label, color: SERIES_COLORS[index] }));
+    return {
+      columns: [{ key: 'week', label: 'Week starting' }, ...series, { key: 'total', label: 'Total' }],
+      rows,
+      chart: { kind: 'bar', xKey: 'week', stacked: true, series },
+    };
+  }
+
+  /**
+   * Saved reports, newest first; `storage` says where each one lives
+   * @returns {Promise<Object>} { success, data, warning }
+   */
+  async getReports() {
+    const result = await userService.getUserReports({ category: REPORT_CATEGORY });
+    const remote = result.success
+      ? toReportList(result.data).filter(report => report.category === REPORT_CATEGORY).map(report => ({ ...report, storage: 'server' }))
+      : [];
+    const reports = [...remote, ...readLocalReports()]
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    return {
+      success: true,
+      data: reports,
+      warning: result.success ? null : `Saved reports on the server are unavailable (${result.error}); showing reports saved in this browser`,
+    };
+  }
+
+  /**
+   * Save a new report, or update one when it has an id
+   * @param {Object} report - { id, name, type, parameters, schedule, lastRun }
+   */
+  async saveReport(report, now = new Date()) {
+    const errors = this.validateParameters(report.type, report.parameters);
+    if (!report.name?.trim()) errors.unshift('Give the report a name');
+    if (!REPORT_SCHEDULES[report.schedule]) errors.push('Choose a schedule');
+    if (errors.length > 0) {
+      return { success: false, error: errors.join('. ') };
+    }
+
+    const user = userService.getCurrentUser();
+    const record = {
+      category: REPORT_CATEGORY,
+      name: report.name.trim(),
+      type: report.type,
+      parameters: report.parameters,
+      schedule: report.schedule,
+      nextRunAt: report.schedule === 'weekly' ? (report.nextRunAt || new Date(now.getTime() + WEEK_MS).toISOString()) : null,
+      lastRun: report.lastRun || null,
+      createdAt: report.createdAt || now.toISOString(),
+      createdBy: report.createdBy || user?.name || user?.email || 'Unknown user',
+      updatedAt: now.toISOString(),
+    };
+
+    if (report.id && report.storage === 'local') {
+      const saved = { ...record, id: report.id, storage: 'local' };
+      writeLocalReports(readLocalReports().map(entry => (entry.id === report.id ? saved : entry)));
+      return { success: true, data: saved };
+    }
+
+    const result = report.id
+      ? await userService.updateReport(report.id, record)
+      : await userService.createReport(record);
+    if (result.success) {
+      const stored = result.data?.data || result.data;
+      return { success: true, data: { ...record, ...(stored && typeof stored === 'object' ? stored : {}), id: stored?.id || stored?._id || report.id, storage: 'server' } };
+    }
+    if (report.id) {
+      return { success: false, error: result.error };
+    }
+
+    // No report endpoint: keep the report in this browser instead
+    const saved = { ...record, id: `report_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`, storage: 'local' };
+    writeLocalReports([...readLocalReports(), saved]);
+    return { success: true, data: saved, warning: 'The server did not accept the report, so it is saved in this browser only' };
+  }
+
+  async deleteReport(report) {
+    if (report.storage === 'local') {
+      writeLocalReports(readLocalReports().filter(entry => entry.id !== report.id));
+      return { success: true };
+    }
+    return userService.deleteReport(report.id);
+  }
+
+  /**
+   * Regenerate a saved report and store the result as its latest run
+   */
+  async runReport(report, now = new Date()) {
+    const generated = await this.generateReport(report.type, report.parameters, now);
+    if (!generated.success) return generated;
+
+    let nextRunAt = report.nextRunAt;
+    if (report.schedule === 'weekly') {
+      let next = new Date(report.nextRunAt || now).getTime();
+      while (next <= now.getTime()) next += WEEK_MS;
+      nextRunAt = new Date(next).toISOString();
+    }
+    return this.saveReport({ ...report, lastRun: generated.data, nextRunAt }, now);
+  }
+
+  /**
+   * Regenerate every weekly report whose next run date has passed
+   * @returns {Promise<Object>} { success, data: regenerated reports, errors }
+   */
+  runDueReports(now = new Date()) {
+    // The Dashboard and the Reports page both ask on load; run once
+    if (!this.pendingRun) {
+      this.pendingRun = this.regenerateDue(now).finally(() => {
+        this.pendingRun = null;
+      });
+    }
+    return this.pendingRun;
+  }
+
+  async regenerateDue(now) {
+    const { data: reports } = await this.getReports();
+    const due = reports.filter(report => report.schedule === 'weekly' && report.nextRunAt && new Date(report.nextRunAt) <= now);
+    const regenerated = [];
+    const errors = [];
+    for (const report of due) {
+      const result = await this.runReport(report, now);
+      if (result.success) regenerated.push(result.data);
+      else errors.push(`${report.name}: ${result.error}`);
+    }
+    return { success: errors.length === 0, data: regenerated, errors };
+  }
+
+  describeParameters(report) {
+    const type = REPORT_TYPES[report.type];
+    const parts = [type?.label || report.type];
+    if (report.period) parts.push(`${report.period.from} to ${report.period.to}`);
+    if (type?.usesRegion) parts.push(report.parameters?.regionCode ? GHANA_REGIONS[report.parameters.regionCode].name : 'All regions');
+    return parts.join(' · ');
+  }
+
+  fileName(title, generated) {
+    return `${title.replace(/[^\w-]+/g, '_')}_${generated.generatedAt.slice(0, 10)}`;
+  }
+
+  /**
+   * Download a generated report as an Excel workbook
+   */
+  exportToExcel(title, generated) {
+    const wb = XLSX.utils.book_new();
+    const sheet = XLSX.utils.aoa_to_sheet([
+      generated.columns.map(column => column.label),
+      ...generated.rows.map(row => generated.columns.map(column => row[column.key])),
+    ]);
+    sheet['!cols'] = generated.columns.map(column => ({ width: Math.max(column.label.length + 2, 12) }));
+    XLSX.utils.book_append_sheet(wb, sheet, 'Report');
+
+    const about = XLSX.utils.aoa_to_sheet([
+      ['Report', title],
+      ['Parameters', this.describeParameters(generated)],
+      ['Generated', new Date(generated.generatedAt).toLocaleString()],
+    ]);
+    XLSX.utils.book_append_sheet(wb, about, 'About');
+
+    XLSX.writeFile(wb, `${this.fileName(title, generated)}.xlsx`);
+  }
+
+  /**
+   * Download a generated report as a PDF table
+   */
+  async exportToPDF(title, generated) {
+    const [{ jsPDF }, { autoTable }] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+    const doc = new jsPDF({ orientation: generated.columns.length > 5 ? 'landscape' : 'portrait' });
+    const pageWidth = doc.internal.pageSize.width;
+    const pageHeight = doc.internal.pageSize.height;
+
+    doc.setFontSize(16);
+    doc.setFont('helvetica', 'bold');
+    doc.text(title, pageWidth / 2, 20, { align: 'center' });
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'normal');
+    doc.text(this.describeParameters(generated), 20, 32);
+    doc.text(`Generated: ${new Date(generated.generatedAt).toLocaleString()}`, 20, 38);
+
+    autoTable(doc, {
+      head: [generated.columns.map(column => column.label)],
+      body: generated.rows.map(row => generated.columns.map(column => String(row[column.key] ?? ''))),
+      startY: 46,
+      margin: { horizontal: 20 },
+      styles: { fontSize: 9, cellPadding: 3 },
+      headStyles: { fillColor: [46, 125, 50], textColor: 255, fontStyle: 'bold' },
+      alternateRowStyles: { fillColor: [245, 245, 245] },
+    });
+
+    const pageCount = doc.internal.getNumberOfPages();
+    for (let i = 1; i <= pageCount; i++) {
+      doc.setPage(i);
+      doc.setFontSize(8);
+      doc.text(`Page ${i} of ${pageCount} | Generated by TriAgro AI`, pageWidth / 2, pageHeight - 10, { align: 'center' });
+    }
+
+    doc.save(`${this.fileName(title, generated)}.pdf`);
+  }
+}
+
+export default new ReportService();
@@ -4,6 +4,7 @@
  */
 
 import ghanaRegions from '../assets/ghana-regions.json';
+import weatherProviderService from './weatherProviderService';
 
 class SmartWeatherService {
   constructor() {
@@ -104,20 +105,18 @@ class SmartWeatherService {
   }
 
   /**
-   * Generate mock weather data for Ghana regions
-   * In production, this would connect to actual weather APIs
+   * Get weather for a Ghana region from the weather provider layer,
+   * with agricultural interpretation on top
    */
   async getRegionalWeather(region) {
     const currentSeason = this.getCurrentSeason();
-    const month = new Date().getMonth() + 1;
-    
-    // Simulate realistic weather for Ghana
-    const baseWeather = this.generateRealisticWeather(region, currentSeason, month);
+    const baseWeather = await this.fetchRegionalWeather(region, currentSeason);
     
     return {
       current: baseWeather.current,
       forecast: baseWeather.forecast,
       alerts: baseWeather.alerts,
+      source: baseWeather.source,
       agricultural: {
         season: currentSeason,
         plantingWindow: this.getPlantingWindow(region, currentSeason),
@@ -128,75 +127,53 @@ class SmartWeatherService {
   }
 
   /**
-   * Generate realistic weather data for Ghana
+   * Fetch and reshape a normalized weather report for a region
    */
-  generateRealisticWeather(region, season, month) {
-    const isNorthern = ['Northern', 'Upper East', 'Upper West'].includes(region);
-    const isCoastal = ['Greater Accra', 'Central', 'Western'].includes(region);
-    
-    let temperature, humidity, rainfall, condition;
-    
-    if (season === 'major-rainy-season') {
-      temperature = isNorthern ? 28 : (isCoastal ? 26 : 25);
-      humidity = isNorthern ? 70 : 85;
-      rainfall = Math.random() > 0.3 ? 'likely' : 'none';
-      condition = rainfall === 'likely' ? 'Rainy' : 'Cloudy';
-    } else if (season === 'minor-rainy-season') {
-      temperature = isNorthern ? 30 : (isCoastal ? 27 : 26);
-      humidity = isNorthern ? 60 : 75;
-      rainfall = Math.random() > 0.5 ? 'light' : 'none';
-      condition = rainfall === 'light' ? 'Light Rain' : 'Partly Cloudy';
-    } else { // dry-season
-      temperature = isNorthern ? 35 : (isCoastal ? 29 : 31);
-      humidity = isNorthern ? 30 : 60;
-      rainfall = 'none';
-      condition = isNorthern ? 'Hot & Dry' : 'Sunny';
-    }
+  async fetchRegionalWeather(region, season) {
+    const station = this.weatherStations[region];
+    const location = station
+      ? { lat: station.lat, lng: station.lon, name: station.station }
+      : weatherProviderService.resolveLocation({ region }) || this.weatherStations['Greater Accra'];
+
+    return this.getWeatherAt({
+      lat: location.lat,
+      lng: location.lng ?? location.lon,
+      name: location.name || location.station
+    }, region, season);
+  }
 
+  /**
+   * Weather and farming alerts for any point, such as the centre of a mapped field
+   * @param {Object} location - { lat, lng, name }
+   * @param {string} region - Region name used for the alerts
+   */
+  async getWeatherAt(location, region, season = this.getCurrentSeason()) {
+    const report = await weatherProviderService.getWeather(location);
+
+    const todayRain = report.daily[0]?.precipitation ?? report.current.precipitation;
     const current = {
-      temperature: temperature + Math.floor(Math.random() * 4 - 2), // ±2°C variation
-      humidity: humidity + Math.floor(Math.random() * 10 - 5), // ±5% variation
-      condition,
-      rainfall,
-      windSpeed: Math.floor(Math.random() * 15 + 5), // 5-20 km/h
-      pressure: 1013 + Math.floor(Math.random() * 20 - 10), // ±10 hPa
-      timestamp: new Date().toISOString()
+      temperature: Math.round(report.current.temperature),
+      humidity: report.current.humidity,
+      condition: weatherProviderService.getConditionLabel(report.current.condition),
+      rainfall: todayRain > 10 ? 'likely' : todayRain > 0 ? 'light' : 'none',
+      windSpeed: report.current.windSpeed,
+      pressure: report.current.pressure,
+      timestamp: report.issuedAt
     };
 
-    // Generate 7-day forecast
-    const forecast = [];
-    for (let i = 1; i <= 7; i++) {
-      const date = new Date();
-      date.setDate(date.getDate() + i);
-      
-      forecast.push({
-        date: date.toISOString().split('T')[0],
-        highTemp: current.temperature + Math.floor(Math.random() * 6 - 3),
-        lowTemp: current.temperature - Math.floor(Math.random() * 8 + 3),
-        condition: this.getRandomCondition(season),
-        rainfall: season === 'dry-season' ? 0 : Math.floor(Math.random() * 20),
-        humidity: current.humidity + Math.floor(Math.random() * 10 - 5)
-      });
-    }
+    // Daily forecast for the next 7 days (today excluded)
+    const forecast = report.daily.slice(1, 8).map(day => ({
+      date: day.date,
+      highTemp: Math.round(day.maxTemp),
+      lowTemp: Math.round(day.minTemp),
+      condition: weatherProviderService.getConditionLabel(day.condition),
+      rainfall: day.precipitation,
+      humidity: day.humidity
+    }));
 
-    // Generate weather alerts
     const alerts = this.generateWeatherAlerts(current, forecast, season, region);
 
-    return { current, forecast, alerts };
-  }
-
-  /**
-   * Get random weather condition based on season
-   */
-  getRandomCondition(season) {
-    const conditions = {
-      'major-rainy-season': ['Rainy', 'Heavy Rain', 'Cloudy', 'Thunderstorms', 'Partly Cloudy'],
-      'minor-rainy-season': ['Light Rain', 'Cloudy', 'Partly Cloudy', 'Sunny'],
-      'dry-season': ['Sunny', 'Hot & Dry', 'Clear', 'Dusty']
-    };
-    
-    const seasonConditions = conditions[season];
-    return seasonConditions[Math.floor(Math.random() * seasonConditions.length)];
+    return { current, forecast, alerts, source: report.source };
   }
 
   /**
@@ -236,7 +213,7 @@ class SmartWeatherService {
     }
     
     // Seasonal planting alerts
-    if (season === 'major-rainy-season' && current.condition === 'Rainy') {
+    if (season === 'major-rainy-season' && current.condition.includes('Rain')) {
       alerts.push({
         type: 'planting_opportunity',
         severity: 'low',
@@ -0,0 +1,465 @@
+/**
+ * SMS Dispatch Service
+ * Sends advisory SMS to farmer recipient lists. Admins pick recipients by
+ * district and crop, messages are queued and sent through a provider adapter
+ * (HTTP gateway, or the local fake in development), and every recipient's
+ * delivery status is tracked on the dispatch record. Without a configured
+ * gateway a production build refuses to create dispatches.
+ */
+
+import API_CONFIG, { isDevelopment } from '../config/apiConfig';
+import userService from './userService';
+import { getDistrictByCode, getDistrictCode } from '../data/ghanaCodes';
+import { analyzeSms } from '../utils/smsEncoding';
+import { parseCsv } from './weatherProviders/gmetStationProvider';
+import GatewaySmsProvider from './smsProviders/gatewaySmsProvider';
+import FakeSmsProvider from './smsProviders/fakeSmsProvider';
+
+const RECIPIENTS_KEY = 'triagro_sms_recipients';
+const DISPATCHES_KEY = 'triagro_sms_dispatches';
+const DRAFT_KEY = 'triagro_sms_draft';
+const DISPATCH_HISTORY_LIMIT = 50;
+const SEND_BATCH_SIZE = 10;
+const MAX_SEND_ATTEMPTS = 3;
+
+/**
+ * Normalize a phone number to E.164. Local Ghana numbers (024 123 4567,
+ * 233241234567) get the +233 prefix.
+ * @returns {string|null} Normalized number, or null when it isn't one
+ */
+export const normalizePhoneNumber = (phone) => {
+  const raw = String(phone || '').trim();
+  const digits = raw.replace(/\D/g, '');
+
+  if (raw.startsWith('+')) {
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+  if (digits.startsWith('233') && digits.length === 12) return `+${digits}`;
+  if (digits.startsWith('0') && digits.length === 10) return `+233${digits.slice(1)}`;
+  if (digits.length === 9) return `+233${digits}`;
+  return null;
+};
+
+const readJson = (key, fallback, storage = localStorage) => {
+  try {
+    const stored = storage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (error) {
+    console.warn(`Could not read ${key}:`, error);
+    return fallback;
+  }
+};
+
+const countByStatus = (recipients) => recipients.reduce(
+  (counts, recipient) => ({ ...counts, [recipient.status]: (counts[recipient.status] || 0) + 1 }),
+  { queued: 0, sent: 0, delivered: 0, failed: 0 }
+);
+
+class SmsDispatchService {
+  constructor() {
+    this.providers = {};
+    this.listeners = new Set();
+    this.processing = null;
+
+    this.registerProvider(new GatewaySmsProvider());
+    // The fake reports every message delivered, so it must never stand in
+    // for the gateway outside development
+    if (isDevelopment) this.registerProvider(new FakeSmsProvider());
+  }
+
+  /**
+   * Register (or replace) a provider adapter. Adapters expose `id`, `label`,
+   * `isConfigured()`, `send({ to, message, encoding, segments, reference })`
+   * and optionally `getStatus(messageId)`.
+   */
+  registerProvider(provider) {
+    this.providers[provider.id] = provider;
+  }
+
+  /**
+   * The configured provider, else the gateway when it has a URL, else the
+   * fake in development
+   * @returns {Object|null} Null when no provider can send
+   */
+  getProvider() {
+    const preferred = this.providers[API_CONFIG.SMS_PROVIDER];
+    if (preferred?.isConfigured()) return preferred;
+    if (this.providers.gateway?.isConfigured()) return this.providers.gateway;
+    return this.providers.fake || null;
+  }
+
+  // Drafts handed from an advisory page to the Dashboard composer
+
+  saveDraft(draft) {
+    sessionStorage.setItem(DRAFT_KEY, JSON.stringify(draft));
+  }
+
+  /**
+   * Read and clear the pending draft
+   * @returns {Object|null} { title, message, regionCode, districtCode, crop }
+   */
+  takeDraft() {
+    const draft = readJson(DRAFT_KEY, null, sessionStorage);
+    sessionStorage.removeItem(DRAFT_KEY);
+    return draft;
+  }
+
+  // Recipients
+
+  getRecipients() {
+    return readJson(RECIPIENTS_KEY, []);
+  }
+
+  saveRecipients(recipients) {
+    localStorage.setItem(RECIPIENTS_KEY, JSON.stringify(recipients));
+    this.notifyListeners();
+  }
+
+  /**
+   * Build a recipient record, checking the phone number and district
+   * @returns {Object} { success, data, error }
+   */
+  createRecipient({ name = '', phone, districtCode, crops = [] }) {
+    const normalizedPhone = normalizePhoneNumber(phone);
+    if (!normalizedPhone) {
+      return { success: false, error: `Invalid phone number: ${phone || '(empty)'}` };
+    }
+
+    const district = getDistrictByCode(districtCode);
+    if (!district) {
+      return { success: false, error: `Unknown district: ${districtCode || '(empty)'}` };
+    }
+
+    return {
+      success: true,
+      data: {
+        id: `rcp_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+        name: name.trim(),
+        phone: normalizedPhone,
+        districtCode: district.code,
+        districtName: district.name,
+        regionCode: district.regionCode,
+        crops: crops.map(crop => crop.trim()).filter(Boolean),
+        createdAt: new Date().toISOString(),
+      },
+    };
+  }
+
+  /**
+   * Add a recipient, replacing any existing entry for the same number
+   * @returns {Object} { success, data, error }
+   */
+  addRecipient(details) {
+    const result = this.createRecipient(details);
+    if (!result.success) return result;
+
+    const recipients = this.getRecipients();
+    const existing = recipients.find(recipient => recipient.phone === result.data.phone);
+    this.saveRecipients([...recipients.filter(recipient => recipient !== existing), result.data]);
+    this.audit({
+      entityType: 'sms-recipient',
+      entityId: result.data.id,
+      before: existing,
+      after: result.data,
+      summary: `${existing ? 'Updated' : 'Added'} recipient ${result.data.phone}`,
+    });
+    return result;
+  }
+
+  removeRecipient(recipientId) {
+    const recipients = this.getRecipients();
+    const removed = recipients.find(recipient => recipient.id === recipientId);
+    this.saveRecipients(recipients.filter(recipient => recipient.id !== recipientId));
+    if (removed) {
+      this.audit({ entityType: 'sms-recipient', entityId: recipientId, before: removed, summary: `Removed recipient ${removed.phone}` });
+    }
+    return { success: true };
+  }
+
+  /**
+   * Import recipients from CSV with name, phone, district (name or code) and
+   * crops (separated by ; or |) columns
+   * @returns {Object} { success, data: { added, skipped }, errors }
+   */
+  importRecipients(csvText) {
+    const rows = parseCsv(csvText);
+    if (rows.length < 2) {
+      return { success: false, data: { added: 0, skipped: 0 }, errors: ['The file has no recipient rows'] };
+    }
+
+    const headers = rows[0].map(header => header.trim().toLowerCase());
+    const column = (names) => headers.findIndex(header => names.includes(header));
+    const columns = {
+      name: column(['name', 'farmer', 'farmer_name']),
+      phone: column(['phone', 'phone_number', 'msisdn', 'mobile']),
+      district: column(['district', 'district_code', 'district_name']),
+      crops: column(['crops', 'crop', 'commodities']),
+    };
+
+    if (columns.phone === -1 || columns.district === -1) {
+      return { success: false, data: { added: 0, skipped: 0 }, errors: ['The file needs phone and district columns'] };
+    }
+
+    const byPhone = new Map(this.getRecipients().map(recipient => [recipient.phone, recipient]));
+    const errors = [];
+    let added = 0;
+
+    rows.slice(1).forEach((row, index) => {
+      const districtValue = (row[columns.district] || '').trim();
+      const result = this.createRecipient({
+        name: columns.name === -1 ? '' : row[columns.name] || '',
+        phone: row[columns.phone],
+        districtCode: getDistrictByCode(districtValue) ? districtValue : getDistrictCode(districtValue),
+        crops: columns.crops === -1 ? [] : (row[columns.crops] || '').split(/[;|]/),
+      });
+
+      if (result.success) {
+        byPhone.set(result.data.phone, result.data);
+        added++;
+      } else {
+        errors.push(`Row ${index + 2}: ${result.error}`);
+      }
+    });
+
+    this.saveRecipients([...byPhone.values()]);
+    if (added > 0) {
+      this.audit({
+        entityType: 'sms-recipient',
+        after: { added, skipped: errors.length },
+        summary: `Imported ${added} recipients from CSV`,
+      });
+    }
+    return { success: added > 0, data: { added, skipped: errors.length }, errors };
+  }
+
+  /**
+   * Recipients in any of the districts who grow any of the crops. An empty
+   * filter matches everyone; each phone number appears once.
+   */
+  selectRecipients({ districtCodes = [], crops = [] } = {}) {
+    const wantedCrops = crops.map(crop => crop.toLowerCase());
+    const seen = new Set();
+
+    return this.getRecipients().filter((recipient) => {
+      const inDistrict = districtCodes.length === 0 || districtCodes.includes(recipient.districtCode);
+      const growsCrop = wantedCrops.length === 0
+        || recipient.crops.some(crop => wantedCrops.includes(crop.toLowerCase()));
+      if (!inDistrict || !growsCrop || seen.has(recipient.phone)) return false;
+      seen.add(recipient.phone);
+      return true;
+    });
+  }
+
+  // Dispatches
+
+  getDispatches() {
+    return readJson(DISPATCHES_KEY, []);
+  }
+
+  saveDispatches(dispatches) {
+    localStorage.setItem(DISPATCHES_KEY, JSON.stringify(dispatches.slice(0, DISPATCH_HISTORY_LIMIT)));
+    this.notifyListeners();
+  }
+
+  updateDispatch(dispatchId, update) {
+    const dispatches = this.getDispatches().map(dispatch => (
+      dispatch.id === dispatchId ? update(dispatch) : dispatch
+    ));
+    this.saveDispatches(dispatches);
+  }
+
+  getDispatchSummary(dispatch) {
+    return countByStatus(dispatch.recipients);
+  }
+
+  /**
+   * Queue an SMS to every matching recipient and start sending
+   * @param {Object} options - { title, message, districtCodes, crops }
+   * @returns {Object} { success, data, error }
+   */
+  createDispatch({ title = '', message, districtCodes = [], crops = [] }) {
+    const text = (message || '').trim();
+    if (!text) {
+      return { success: false, error: 'Write the message to send' };
+    }
+
+    const recipients = this.selectRecipients({ districtCodes, crops });
+    if (recipients.length === 0) {
+      return { success: false, error: 'No recipients match the selected districts and crops' };
+    }
+
+    const provider = this.getProvider();
+    if (!provider) {
+      return { success: false, error: 'No SMS gateway is configured, so nothing can be sent' };
+    }
+
+    const analysis = analyzeSms(text);
+    const dispatch = {
+      id: `sms_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      title: title.trim() || text.slice(0, 40),
+      message: text,
+      encoding: analysis.encoding,
+      segmentCount: analysis.segments.length,
+      filters: { districtCodes, crops },
+      providerId: provider.id,
+      providerLabel: provider.label,
+      createdAt: new Date().toISOString(),
+      recipients: recipients.map(recipient => ({
+        recipientId: recipient.id,
+        name: recipient.name,
+        phone: recipient.phone,
+        districtCode: recipient.districtCode,
+        status: 'queued',
+        messageId: null,
+        error: null,
+        attempts: 0,
+        updatedAt: new Date().toISOString(),
+      })),
+    };
+
+    this.saveDispatches([dispatch, ...this.getDispatches()]);
+    this.audit({
+      entityType: 'sms-dispatch',
+      entityId: dispatch.id,
+      after: { title: dispatch.title, message: dispatch.message, filters: dispatch.filters, recipients: dispatch.recipients.length },
+      summary: `Sent "${dispatch.title}" to ${dispatch.recipients.length} recipients`,
+    });
+    this.processQueue();
+
+    return { success: true, data: dispatch };
+  }
+
+  /**
+   * Put a dispatch's failed recipients back in the queue
+   */
+  retryFailed(dispatchId) {
+    this.updateDispatch(dispatchId, dispatch => ({
+      ...dispatch,
+      recipients: dispatch.recipients.map(recipient => (
+        recipient.status === 'failed' ? { ...recipient, status: 'queued', error: null } : recipient
+      )),
+    }));
+    return this.processQueue();
+  }
+
+  /**
+   * Send every queued message, a batch at a time, saving progress after each
+   * batch. Concurrent calls share one run.
+   */
+  processQueue() {
+    if (!this.processing) {
+      this.processing = this.sendQueued().finally(() => {
+        this.processing = null;
+      });
+    }
+    return this.processing;
+  }
+
+  async sendQueued() {
+    for (const { id } of this.getDispatches()) {
+      let dispatch = this.getDispatches().find(entry => entry.id === id);
+      // Newer dispatches may have pushed this one out of the stored history
+      if (!dispatch) continue;
+      const provider = this.providers[dispatch.providerId] || this.getProvider();
+      // Left queued until a provider that can send is configured
+      if (!provider) continue;
+
+      while (dispatch?.recipients.some(recipient => recipient.status === 'queued')) {
+        const batch = dispatch.recipients.filter(recipient => recipient.status === 'queued').slice(0, SEND_BATCH_SIZE);
+        const results = await Promise.all(batch.map(recipient => this.sendOne(provider, dispatch, recipient)));
+        const updates = new Map(results.map(result => [result.phone, result]));
+
+        this.updateDispatch(id, current => ({
+          ...current,
+          recipients: current.recipients.map(recipient => updates.get(recipient.phone) || recipient),
+        }));
+        dispatch = this.getDispatches().find(entry => entry.id === id);
+      }
+    }
+  }
+
+  async sendOne(provider, dispatch, recipient) {
+    const attempts = recipient.attempts + 1;
+    try {
+      const result = await provider.send({
+        to: recipient.phone,
+        message: dispatch.message,
+        encoding: dispatch.encoding,
+        segments: dispatch.segmentCount,
+        reference: `${dispatch.id}:${recipient.recipientId}`,
+      });
+      return {
+        ...recipient,
+        status: result.status,
+        messageId: result.messageId,
+        error: null,
+        attempts,
+        updatedAt: new Date().toISOString(),
+      };
+    } catch (error) {
+      // Transient gateway errors go back in the queue until attempts run out
+      return {
+        ...recipient,
+        status: attempts < MAX_SEND_ATTEMPTS && error.name === 'AbortError' ? 'queued' : 'failed',
+        error: error.message,
+        attempts,
+        updatedAt: new Date().toISOString(),
+      };
+    }
+  }
+
+  /**
+   * Ask the providers for delivery receipts on messages still marked sent
+   * @returns {Promise<number>} How many recipients are still awaiting a receipt
+   */
+  async refreshStatuses() {
+    let pending = 0;
+
+    for (const dispatch of this.getDispatches()) {
+      const provider = this.providers[dispatch.providerId];
+      const awaiting = dispatch.recipients.filter(recipient => recipient.status === 'sent' && recipient.messageId);
+      if (!provider?.getStatus || awaiting.length === 0) continue;
+
+      const updates = new Map();
+      await Promise.all(awaiting.map(async (recipient) => {
+        try {
+          const receipt = await provider.getStatus(recipient.messageId);
+          if (receipt) {
+            updates.set(recipient.phone, { ...recipient, ...receipt, updatedAt: new Date().toISOString() });
+          }
+        } catch (error) {
+          console.warn(`Could not get SMS status for ${recipient.messageId}:`, error.message);
+        }
+      }));
+
+      pending += awaiting.length - updates.size;
+      if (updates.size > 0) {
+        this.updateDispatch(dispatch.id, current => ({
+          ...current,
+          recipients: current.recipients.map(recipient => updates.get(recipient.phone) || recipient),
+        }));
+      }
+    }
+
+    return pending;
+  }
+
+  audit(entry) {
+    userService.audit({ ...entry, action: 'sms' });
+  }
+
+  /**
+   * Be told when recipients or dispatches change
+   * @returns {Function} Unsubscribe
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners() {
+    this.listeners.forEach(listener => listener());
+  }
+}
+
+export default new SmsDispatchService();
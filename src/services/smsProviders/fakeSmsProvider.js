@@ -0,0 +1,42 @@
+/**
+ * Fake SMS Provider
+ * Local stand-in for the SMS gateway used in development and testing.
+ * Nothing leaves the browser: each send gets a message id, and status lookups
+ * report it delivered after a short delay. Numbers ending in 000 are
+ * reported undeliverable so failure handling can be exercised.
+ */
+
+class FakeSmsProvider {
+  constructor({ deliveryDelay = 3000 } = {}) {
+    this.id = 'fake';
+    this.label = 'Local test provider';
+    this.deliveryDelay = deliveryDelay;
+    this.messages = new Map();
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async send({ to, message, segments }) {
+    const messageId = `fake_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    this.messages.set(messageId, { to, sentAt: Date.now() });
+    console.info(`📱 [fake SMS] to ${to} (${segments} segment${segments === 1 ? '' : 's'}): ${message}`);
+    return { messageId, status: 'sent' };
+  }
+
+  async getStatus(messageId) {
+    const entry = this.messages.get(messageId);
+    if (!entry) {
+      // Sent before a page reload; the fake keeps no history, so settle it now
+      return { status: 'delivered' };
+    }
+    if (Date.now() - entry.sentAt < this.deliveryDelay) return null;
+    if (entry.to.endsWith('000')) {
+      return { status: 'failed', error: 'Handset unreachable (test number)' };
+    }
+    return { status: 'delivered' };
+  }
+}
+
+export default FakeSmsProvider;
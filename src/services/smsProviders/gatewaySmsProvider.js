@@ -0,0 +1,68 @@
+/**
+ * Gateway SMS Provider
+ * Adapter for an HTTP SMS aggregator. Posts { to, message, encoding,
+ * segments, reference } and reads the message id from the response.
+ * Delivery receipts reach the gateway's webhook, so messages stay "sent"
+ * here unless the gateway answers status lookups at `${url}/{messageId}`.
+ */
+
+import API_CONFIG from '../../config/apiConfig';
+
+class GatewaySmsProvider {
+  constructor({ url = API_CONFIG.SMS_GATEWAY_URL, timeout = 15000 } = {}) {
+    this.id = 'gateway';
+    this.label = 'SMS gateway';
+    this.url = url;
+    this.timeout = timeout;
+  }
+
+  isConfigured() {
+    return Boolean(this.url);
+  }
+
+  async request(url, options = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(url, { ...options, signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`SMS gateway error: ${response.status}`);
+      }
+      return await response.json().catch(() => ({}));
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * @param {Object} message - { to, message, encoding, segments, reference }
+   * @returns {Promise<Object>} { messageId, status }
+   */
+  async send(message) {
+    const body = await this.request(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message),
+    });
+
+    return {
+      messageId: body.id || body.messageId || null,
+      status: body.status === 'delivered' ? 'delivered' : 'sent',
+    };
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { status, error } or null when the gateway has no answer yet
+   */
+  async getStatus(messageId) {
+    const body = await this.request(`${this.url.replace(/\/$/, '')}/${encodeURIComponent(messageId)}`);
+    if (body.status === 'delivered') return { status: 'delivered' };
+    if (body.status === 'failed' || body.status === 'undelivered') {
+      return { status: 'failed', error: body.error || body.reason || 'Not delivered' };
+    }
+    return null;
+  }
+}
+
+export default GatewaySmsProvider;
@@ -1,4 +1,66 @@
 import * as XLSX from 'xlsx';
+import { toRegionCode, toDistrictCode } from '../utils/accessControl';
+
+// What an upload must look like for each template below, used to check files
+// row by row before they are imported. Advisory and bulletin templates hold
+// one record per row under a header row; a column may go by several names
+// (aliases). Calendars come in many layouts, so they are checked on what the
+// calendar parser reads from them instead of on fixed headers.
+export const TEMPLATE_SCHEMAS = {
+  'agromet-advisory': {
+    layout: 'records',
+    columns: [
+      { key: 'zone', header: 'ZONE', type: 'text' },
+      { key: 'region', header: 'REGION', type: 'region', required: true },
+      { key: 'district', header: 'DISTRICT', type: 'district', required: true },
+      { key: 'monthYear', header: 'MONTH/YEAR', type: 'text' },
+      { key: 'week', header: 'WEEK', type: 'week', required: true },
+      { key: 'startDate', header: 'START DATE', type: 'date', required: true },
+      { key: 'endDate', header: 'END DATE', type: 'date', required: true, notBefore: 'startDate' },
+      { key: 'crop', header: 'CROP', type: 'text', required: true },
+    ],
+    duplicateKey: ['region', 'district', 'week', 'startDate', 'crop'],
+  },
+  'poultry-advisory': {
+    layout: 'records',
+    columns: [
+      { key: 'region', header: 'REGION', type: 'region', required: true },
+      { key: 'district', header: 'DISTRICT', type: 'district', required: true },
+      { key: 'poultryType', header: 'POULTRY TYPE', type: 'text', required: true },
+      { key: 'breed', header: 'BREED', type: 'text' },
+      { key: 'stage', header: 'PRODUCTION STAGE', type: 'text' },
+      { key: 'week', header: 'WEEK', type: 'week', required: true },
+      { key: 'age', header: 'AGE (DAYS)', type: 'integer', min: 0 },
+      { key: 'advisoryType', header: 'ADVISORY TYPE', type: 'text', required: true },
+    ],
+    duplicateKey: ['region', 'district', 'poultryType', 'stage', 'week', 'advisoryType'],
+  },
+  'crop-calendar': {
+    layout: 'calendar',
+  },
+  'poultry-calendar': {
+    layout: 'calendar',
+  },
+  'dekad-bulletin': {
+    layout: 'records',
+    columns: [
+      { key: 'region', header: 'REGION CODE', aliases: ['REGIONCODE', 'REGION'], type: 'region', required: true },
+      { key: 'year', header: 'YEAR', type: 'integer', min: 1901, required: true },
+      { key: 'dekad', header: 'DEKAD', aliases: ['DEKAD NUMBER', 'DEKAD NO'], type: 'integer', min: 1, max: 36, required: true },
+      { key: 'observedRainfall', header: 'OBSERVED RAINFALL (MM)', aliases: ['OBSERVED RAINFALL', 'RAINFALL (MM)', 'RAINFALL'], type: 'number', min: 0, required: true },
+      { key: 'normalRainfall', header: 'NORMAL RAINFALL (MM)', aliases: ['NORMAL RAINFALL', 'RAINFALL NORMAL'], type: 'number', min: 0 },
+      { key: 'rainyDays', header: 'RAINY DAYS', aliases: ['RAIN DAYS'], type: 'integer', min: 0, max: 11 },
+      { key: 'maxTemp', header: 'MAX TEMP (°C)', aliases: ['MAX TEMP', 'OBSERVED MAX TEMP', 'TMAX'], type: 'number' },
+      { key: 'normalMaxTemp', header: 'NORMAL MAX TEMP (°C)', aliases: ['NORMAL MAX TEMP', 'TMAX NORMAL'], type: 'number' },
+      { key: 'minTemp', header: 'MIN TEMP (°C)', aliases: ['MIN TEMP', 'OBSERVED MIN TEMP', 'TMIN'], type: 'number' },
+      { key: 'normalMinTemp', header: 'NORMAL MIN TEMP (°C)', aliases: ['NORMAL MIN TEMP', 'TMIN NORMAL'], type: 'number' },
+      { key: 'humidity', header: 'HUMIDITY (%)', aliases: ['HUMIDITY', 'RELATIVE HUMIDITY'], type: 'number', min: 0, max: 100 },
+      { key: 'summary', header: 'SUMMARY', aliases: ['WEATHER SUMMARY'], type: 'text' },
+      { key: 'cropImpact', header: 'CROP IMPACT', aliases: ['IMPACT ON CROPS', 'CROP IMPACT TEXT'], type: 'text' },
+    ],
+    duplicateKey: ['region', 'year', 'dekad'],
+  },
+};
 
 // Template generation service based on Ghana agricultural advisory formats
 class TemplateGenerationService {
@@ -6,6 +68,8 @@ class TemplateGenerationService {
   // Generate Agrometeorological Advisory Template (Multi-sheet format like tomato_agrometerologicalforcast.xlsx)
   static generateAgrometAdvisoryTemplate(crop = 'Tomato', region = 'Greater Accra Region', district = 'La-Dade-Kotopon') {
     const workbook = XLSX.utils.book_new();
+    const regionCode = toRegionCode(region);
+    const districtCode = toDistrictCode(district);
     
     // Production stages for agricultural activities
     const stages = [
@@ -27,7 +91,7 @@ class TemplateGenerationService {
         ['[ZONE]', '[REGION]', '[DISTRICT]', '[MONTH/YEAR]', '[WEEK]', '[START DATE]', '[END DATE]', '[CROP]'],
         
         // Sample data row
-        ['Enter Zone', `REG07/${region}`, `DS148/${district}`, 'Enter Month/Year', 'ENTER WEEK', 'DD/MM/YYYY', 'DD/MM/YYYY', crop],
+        ['Enter Zone', regionCode ? `${regionCode}/${region}` : region, districtCode ? `${districtCode}/${district}` : district, 'Enter Month/Year', 'ENTER WEEK', 'DD/MM/YYYY', 'DD/MM/YYYY', crop],
         
         // Empty row
         ['', '', '', '', '', '', '', ''],
@@ -73,7 +137,8 @@ class TemplateGenerationService {
         { width: 15 }  // Crop
       ];
 
-      XLSX.utils.book_append_sheet(workbook, worksheet, stage);
+      // Excel sheet names cannot contain '/' (PLANTING/SOWING)
+      XLSX.utils.book_append_sheet(workbook, worksheet, stage.replace('/', '-'));
     });
 
     return workbook;
@@ -308,6 +373,47 @@ class TemplateGenerationService {
     return workbook;
   }
 
+  // Generate Dekadal Agromet Bulletin Template (one row per region and dekad)
+  static generateDekadBulletinTemplate(regionCode = 'REG01', year = new Date().getFullYear()) {
+    const workbook = XLSX.utils.book_new();
+
+    const sheetData = [
+      [
+        'Region Code', 'Year', 'Dekad', 'Observed Rainfall (mm)', 'Normal Rainfall (mm)', 'Rainy Days',
+        'Max Temp (°C)', 'Normal Max Temp (°C)', 'Min Temp (°C)', 'Normal Min Temp (°C)', 'Humidity (%)',
+        'Summary', 'Crop Impact'
+      ],
+      [
+        regionCode, year, 1, 12.5, 8.0, 2,
+        32.1, 31.4, 23.0, 22.6, 72,
+        'Enter the weather summary for the dekad', 'Enter the impact on crops'
+      ],
+    ];
+
+    const worksheet = XLSX.utils.aoa_to_sheet(sheetData);
+
+    // Set column widths
+    worksheet['!cols'] = [
+      { width: 12 }, // Region Code
+      { width: 8 },  // Year
+      { width: 8 },  // Dekad
+      { width: 20 }, // Observed Rainfall
+      { width: 20 }, // Normal Rainfall
+      { width: 11 }, // Rainy Days
+      { width: 14 }, // Max Temp
+      { width: 20 }, // Normal Max Temp
+      { width: 14 }, // Min Temp
+      { width: 20 }, // Normal Min Temp
+      { width: 13 }, // Humidity
+      { width: 50 }, // Summary
+      { width: 50 }  // Crop Impact
+    ];
+
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'DEKAD BULLETINS');
+
+    return workbook;
+  }
+
   // Utility function to get week date ranges
   static getWeekDateRange(weekNumber) {
     const startDate = new Date(2025, 0, 1); // January 1, 2025
@@ -366,6 +472,14 @@ class TemplateGenerationService {
         filename = `poultry_advisory_${options.poultryType || 'broiler'}_template.xlsx`;
         break;
         
+      case 'dekad-bulletin':
+        workbook = this.generateDekadBulletinTemplate(
+          options.regionCode || 'REG01',
+          options.year || new Date().getFullYear()
+        );
+        filename = `dekad_bulletin_${options.year || new Date().getFullYear()}_template.xlsx`;
+        break;
+
       default:
         throw new Error('Unknown template type');
     }
@@ -1,5 +1,9 @@
 import axios from 'axios';
 import API_CONFIG from '../config/apiConfig';
+import auditLogService from './auditLogService';
+
+// ID of the record an upload or create endpoint responds with
+const responseRecordId = (data) => data?.data?.id || data?.data?._id || data?.id || data?._id || null;
 
 class UserService {
   constructor() {
@@ -23,6 +27,17 @@ class UserService {
       },
     });
 
+    // Data server calls made from public pages. Sends the token when there is
+    // one but never redirects to the admin login, so a visitor without an
+    // account, or with an expired session, stays on the page they are reading.
+    this.publicAPI = axios.create({
+      baseURL: this.dataBaseURL,
+      timeout: API_CONFIG.DEFAULT_TIMEOUT,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    });
+
     // Add request interceptor for auth API
     this.authAPI.interceptors.request.use(
       (config) => {
@@ -51,6 +66,20 @@ class UserService {
       }
     );
 
+    // Add request interceptor for public API
+    this.publicAPI.interceptors.request.use(
+      (config) => {
+        const token = localStorage.getItem('token') || localStorage.getItem('donatrakAccessToken');
+        if (token) {
+          config.headers.Authorization = `Bearer ${token}`;
+        }
+        return config;
+      },
+      (error) => {
+        return Promise.reject(error);
+      }
+    );
+
     // Add response interceptor for auth API
     this.authAPI.interceptors.response.use(
       (response) => response,
@@ -448,6 +477,259 @@ class UserService {
     }
   }
 
+  // Chatbot conversation history
+  async getChatSessions(filters = {}) {
+    try {
+      const response = await this.api.get('/user/chat-sessions', { params: filters });
+      return {
+        success: true,
+        data: response.data
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  async saveChatSession(sessionId, sessionData) {
+    try {
+      const response = await this.api.put(`/user/chat-sessions/${sessionId}`, sessionData);
+      return {
+        success: true,
+        data: response.data
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  async deleteChatSession(sessionId) {
+    try {
+      await this.api.delete(`/user/chat-sessions/${sessionId}`);
+      return {
+        success: true,
+        message: 'Chat session deleted successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  // Editorial workflow of uploaded advisories and calendars. The server keeps
+  // each stored record's `status` in step with its workflow item's state.
+  async getWorkflowItems(filters = {}) {
+    try {
+      const response = await this.dataAPI.get('/api/content-workflow', { params: filters });
+      return {
+        success: true,
+        data: response.data?.data || response.data || []
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  async createWorkflowItem(item) {
+    try {
+      const response = await this.dataAPI.post('/api/content-workflow', item);
+      return {
+        success: true,
+        data: response.data?.data || item
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  async updateWorkflowItem(itemId, item) {
+    try {
+      const response = await this.dataAPI.put(`/api/content-workflow/${itemId}`, item);
+      return {
+        success: true,
+        data: response.data?.data || item
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  // Emergency broadcasts. The server retires emergencies once they expire,
+  // so `status: 'active'` only returns live ones.
+  async getEmergencyAlerts(filters = {}) {
+    try {
+      const response = await this.dataAPI.get('/api/emergency-alerts', { params: filters });
+      return {
+        success: true,
+        data: response.data?.data || response.data || []
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  // Live emergencies for the public banner and map, so visitors are never
+  // sent to the admin login
+  async getActiveEmergencyAlerts() {
+    try {
+      const response = await this.publicAPI.get('/api/emergency-alerts', { params: { status: 'active' } });
+      return {
+        success: true,
+        data: response.data?.data || response.data || []
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  async createEmergencyAlert(alert) {
+    try {
+      const response = await this.dataAPI.post('/api/emergency-alerts', alert);
+      return {
+        success: true,
+        data: response.data?.data || alert
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  async retireEmergencyAlert(alertId) {
+    try {
+      const response = await this.dataAPI.post(`/api/emergency-alerts/${alertId}/retire`);
+      return {
+        success: true,
+        data: response.data?.data || response.data
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  // Weather alert subscriptions. The server checks every active subscription
+  // against its district forecast and delivers the alerts, so these are open
+  // to visitors: their subscriptions are looked up by the IDs this browser
+  // created, plus the signed-in user's own.
+  async getAlertSubscriptions(filters = {}) {
+    try {
+      const response = await this.publicAPI.get('/api/alert-subscriptions', { params: filters });
+      return {
+        success: true,
+        data: response.data?.data || response.data || []
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  async saveAlertSubscription(subscription) {
+    try {
+      const response = subscription.id
+        ? await this.publicAPI.put(`/api/alert-subscriptions/${subscription.id}`, subscription)
+        : await this.publicAPI.post('/api/alert-subscriptions', subscription);
+      return {
+        success: true,
+        data: response.data?.data || response.data
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  async deleteAlertSubscription(subscriptionId) {
+    try {
+      await this.publicAPI.delete(`/api/alert-subscriptions/${subscriptionId}`);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  // Runs the server's forecast check for the given subscriptions straight away
+  async checkAlertSubscriptions(subscriptionIds) {
+    try {
+      const response = await this.publicAPI.post('/api/alert-subscriptions/check', { ids: subscriptionIds });
+      return {
+        success: true,
+        data: response.data?.data || response.data
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  // Alerts raised for the given subscriptions, newest first, with their deliveries
+  async getWeatherAlerts(filters = {}) {
+    try {
+      const response = await this.publicAPI.get('/api/weather-alerts', { params: filters });
+      return {
+        success: true,
+        data: response.data?.data || response.data || []
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  // Disease sightings farmers share from the diagnostic tool; open to visitors
+  async createCommunityAlerts(reports) {
+    try {
+      const response = await this.publicAPI.post('/api/community-alerts', { reports });
+      return {
+        success: true,
+        data: response.data?.data || reports
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
   // Weather data integration
   async getUserWeatherData(location, dateRange) {
     try {
@@ -537,6 +819,194 @@ class UserService {
     return !!this.getAuthToken();
   }
 
+  // Record a data mutation in the audit log, by the signed-in user unless an
+  // actor is given. Entries the server could not take are sent again first.
+  async audit(entry) {
+    const entries = [
+      ...auditLogService.takePending(),
+      auditLogService.createEntry({ ...entry, actor: entry.actor || this.getCurrentUser() }),
+    ];
+    for (let index = 0; index < entries.length; index++) {
+      const result = await this.createAuditEntry(entries[index]);
+      if (!result.success) {
+        auditLogService.keepPending(entries.slice(index));
+        console.error('Could not write the audit log, the entry will be sent again:', result.error);
+        return result;
+      }
+    }
+    return { success: true };
+  }
+
+  async getCalendarVersions(filters = {}) {
+    try {
+      const response = await this.dataAPI.get('/api/calendar-versions', { params: filters });
+      return {
+        success: true,
+        data: response.data?.data || response.data || []
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  // Multipart: the workbook as `file` and the version details as JSON in `version`
+  async createCalendarVersion(formData) {
+    try {
+      const response = await this.dataAPI.post('/api/calendar-versions', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+      return {
+        success: true,
+        data: response.data?.data || response.data
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  async getCalendarVersionFile(versionId) {
+    try {
+      const response = await this.dataAPI.get(`/api/calendar-versions/${versionId}/file`, { responseType: 'blob' });
+      return {
+        success: true,
+        data: response.data
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  // Calendar layouts mapped by hand, per district. The server sets ids,
+  // timestamps and use counts.
+  async getCalendarLayoutProfiles(filters = {}) {
+    try {
+      const response = await this.dataAPI.get('/api/calendar-layout-profiles', { params: filters });
+      return {
+        success: true,
+        data: response.data?.data || response.data || []
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  async saveCalendarLayoutProfile(profile) {
+    try {
+      const response = profile.id
+        ? await this.dataAPI.put(`/api/calendar-layout-profiles/${profile.id}`, profile)
+        : await this.dataAPI.post('/api/calendar-layout-profiles', profile);
+      return {
+        success: true,
+        data: response.data?.data || response.data
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  // Records that the profile parsed an upload
+  async markCalendarLayoutProfileUsed(profileId) {
+    try {
+      await this.dataAPI.post(`/api/calendar-layout-profiles/${profileId}/use`);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  async deleteCalendarLayoutProfile(profileId) {
+    try {
+      await this.dataAPI.delete(`/api/calendar-layout-profiles/${profileId}`);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  async getDiagnosticUsage(filters = {}) {
+    try {
+      const response = await this.dataAPI.get('/api/diagnostic-usage', { params: filters });
+      return {
+        success: true,
+        data: response.data?.data || response.data || []
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  // Open to visitors who are not signed in; takes a batch of uses
+  async recordDiagnosticUsage(entries) {
+    try {
+      const response = await this.publicAPI.post('/api/diagnostic-usage', { entries });
+      return {
+        success: true,
+        data: response.data?.data || entries
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  async getAuditLog(filters = {}) {
+    try {
+      const response = await this.dataAPI.get('/api/audit-log', { params: filters });
+      return {
+        success: true,
+        data: response.data?.data || response.data || []
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  async createAuditEntry(entry) {
+    try {
+      const response = await this.dataAPI.post('/api/audit-log', entry);
+      return {
+        success: true,
+        data: response.data?.data || entry
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
   // Dashboard statistics
   async getDashboardStats() {
     try {
@@ -594,6 +1064,14 @@ class UserService {
         },
       });
 
+      this.audit({
+        action: 'upload',
+        entityType: dataType,
+        entityId: responseRecordId(response.data) || formData.get('workflowId'),
+        after: formData,
+        summary: `Uploaded ${formData.get('title') || formData.get('file')?.name || dataType}`,
+      });
+
       return {
         success: true,
         data: response.data,
@@ -703,9 +1181,17 @@ class UserService {
     return JSON.stringify(obj);
   }
 
-  async deleteAgriculturalData(dataType, recordId) {
+  // `before` is the record as the Dashboard shows it, kept in the audit log
+  async deleteAgriculturalData(dataType, recordId, before = null) {
     try {
       await this.dataAPI.delete(`/api/agricultural-data/${dataType}/${recordId}`);
+      this.audit({
+        action: 'delete',
+        entityType: dataType,
+        entityId: recordId,
+        before,
+        summary: `Deleted ${before?.title || before?.crop || before?.district || recordId}`,
+      });
       return {
         success: true,
         message: 'Agricultural data deleted successfully'
@@ -718,10 +1204,41 @@ class UserService {
     }
   }
 
+  async updateAgriculturalData(dataType, recordId, updates, before = null) {
+    try {
+      const response = await this.dataAPI.put(`/api/agricultural-data/${dataType}/${recordId}`, updates);
+      this.audit({
+        action: 'update',
+        entityType: dataType,
+        entityId: recordId,
+        before,
+        after: response.data?.data || { ...before, ...updates },
+        summary: `Edited ${before?.title || before?.crop || before?.district || recordId}`,
+      });
+      return {
+        success: true,
+        data: response.data?.data || response.data,
+        message: 'Agricultural data updated successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
   // Create crop calendar manually (without file upload)
   async createCropCalendar(calendarData) {
     try {
       const response = await this.dataAPI.post('/api/crop-calendars/create', calendarData);
+      this.audit({
+        action: 'upload',
+        entityType: 'crop-calendar',
+        entityId: responseRecordId(response.data) || calendarData.workflowId,
+        after: calendarData,
+        summary: `Created ${calendarData.crop} calendar for ${calendarData.district}`,
+      });
       return response.data;
     } catch (error) {
       console.error('Create crop calendar error:', error);
@@ -779,6 +1296,14 @@ class UserService {
         },
       });
 
+      this.audit({
+        action: 'upload',
+        entityType: 'agromet-advisory',
+        entityId: responseRecordId(response.data) || formData.get('workflowId'),
+        after: formData,
+        summary: `Uploaded weekly advisory ${formData.get('title') || formData.get('file')?.name || ''}`.trim(),
+      });
+
       return {
         success: true,
         data: response.data,
@@ -792,6 +1317,81 @@ class UserService {
       };
     }
   }
+
+  // Dekad Bulletin Upload
+  async uploadDekadBulletins(formData, progressCallback) {
+    try {
+      const response = await this.dataAPI.post('/api/dekad-bulletins/upload', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        onUploadProgress: (progressEvent) => {
+          if (progressCallback && progressEvent.total) {
+            const progress = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+            progressCallback(progress);
+          }
+        },
+      });
+
+      this.audit({
+        action: 'upload',
+        entityType: 'dekad-bulletin',
+        entityId: responseRecordId(response.data),
+        after: formData,
+        summary: `Uploaded dekad bulletins ${formData.get('file')?.name || ''}`.trim(),
+      });
+
+      return {
+        success: true,
+        data: response.data,
+        message: response.data.message || 'Dekad bulletins uploaded successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  // Get dekad bulletins (filters: regionCode, year, dekad)
+  async getDekadBulletins(filters = {}) {
+    try {
+      const params = new URLSearchParams(filters);
+      const response = await this.dataAPI.get(`/api/dekad-bulletins?${params}`);
+      return {
+        success: true,
+        data: response.data?.data || response.data || []
+      };
+    } catch (error) {
+      console.error('Get dekad bulletins error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  // Delete a dekad bulletin
+  async deleteDekadBulletin(bulletinId, before = null) {
+    try {
+      await this.dataAPI.delete(`/api/dekad-bulletins/${bulletinId}`);
+      this.audit({
+        action: 'delete',
+        entityType: 'dekad-bulletin',
+        entityId: bulletinId,
+        before,
+        summary: `Deleted bulletin ${before ? `${before.regionName}, ${before.label}` : bulletinId}`,
+      });
+      return { success: true };
+    } catch (error) {
+      console.error('Delete dekad bulletin error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
 }
 
 export default new UserService();
\ No newline at end of file
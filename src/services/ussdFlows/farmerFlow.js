@@ -0,0 +1,143 @@
+/**
+ * Farmer USSD Flow
+ * Feature-phone menus for the district forecast, crop calendar, weekly
+ * advisory and market prices. Regions and districts come from ghanaCodes.js;
+ * content comes from the same services the web pages use.
+ */
+
+import { GHANA_REGIONS, getDistrictByCode, getCommodityByCode } from '../../data/ghanaCodes';
+import agriculturalDataService from '../agriculturalDataService';
+import marketIntelligenceService from '../marketIntelligenceService';
+import weatherProviderService from '../weatherProviderService';
+import boundaryService from '../boundaryService';
+import farmFieldService from '../farmFieldService';
+import { HAZARD_TYPES } from '../alertService';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Crops covered by the crop calendars and weekly advisories
+const CALENDAR_CROPS = ['Maize', 'Rice', 'Sorghum', 'Soyabean', 'Cassava', 'Yam', 'Tomato', 'Groundnut'];
+
+const regionOptions = () => Object.values(GHANA_REGIONS)
+  .map(region => ({ label: region.name.replace(/\s+Region$/, ''), value: region.code }))
+  .sort((a, b) => a.label.localeCompare(b.label));
+
+const districtOptions = ({ regionCode }) => Object.entries(GHANA_REGIONS[regionCode]?.districts || {})
+  .map(([code, name]) => ({ label: name, value: code }))
+  .sort((a, b) => a.label.localeCompare(b.label));
+
+const marketOptions = () => Object.keys(marketIntelligenceService.currentPrices).map(key => ({
+  label: key.charAt(0).toUpperCase() + key.slice(1).replace(/-/g, ' '),
+  value: key,
+}));
+
+const districtName = ({ districtCode }) => getDistrictByCode(districtCode)?.name || districtCode;
+
+const sameCrop = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+
+const forecastText = async (context) => {
+  const name = districtName(context);
+  const location = boundaryService.getDistrictLocation(context.districtCode);
+  if (!location) return `No forecast point for ${name}.`;
+
+  try {
+    const report = await weatherProviderService.getWeather(location);
+    const days = report.daily.slice(0, 3).map((day) => {
+      const weekday = DAY_NAMES[new Date(`${day.date}T00:00:00`).getDay()];
+      const rain = day.precipitation >= 1 ? `rain ${Math.round(day.precipitation)}mm` : 'dry';
+      return `${weekday} ${Math.round(day.minTemp)}-${Math.round(day.maxTemp)}C ${rain}`;
+    });
+    const hazard = Object.values(HAZARD_TYPES).find(type => type.evaluate(report.daily).length > 0);
+    const warning = hazard ? `\nWarning: ${hazard.label}. ${hazard.action}` : '';
+    return `${name}:\n${days.join('\n')}${warning}`;
+  } catch (error) {
+    console.warn('USSD forecast failed:', error);
+    return 'Forecast unavailable. Please try again later.';
+  }
+};
+
+const calendarText = async (context) => {
+  const name = districtName(context);
+  const result = await agriculturalDataService.getCropCalendar({ district: name });
+  const entry = (result.success ? result.data : []).find(item => sameCrop(item.crop || item.commodity, context.crop));
+
+  if (entry) {
+    return `${context.crop}, ${name}:\nPlant ${entry.plantingStart}-${entry.plantingEnd}\nHarvest ${entry.harvestStart}-${entry.harvestEnd}`;
+  }
+
+  const [seasonal] = farmFieldService.getSeasonalActivities(new Date());
+  return `No ${context.crop} calendar for ${name} yet.${seasonal ? `\nThis month: ${seasonal.activity}` : ''}`;
+};
+
+const advisoryText = async (context) => {
+  const name = districtName(context);
+  const result = await agriculturalDataService.getCurrentAdvisories(name);
+  const advisory = (result.success ? result.data : []).find(item => (
+    sameCrop(item.crop, context.crop) || sameCrop(getCommodityByCode(item.commodityCode), context.crop)
+  ));
+  const text = advisory && (advisory.sms_text || advisory.smsText || advisory.advisory || advisory.summary);
+
+  return text
+    ? `${context.crop}, ${name}: ${text}`
+    : `No weekly ${context.crop} advisory for ${name} yet.`;
+};
+
+const marketText = ({ commodity }) => {
+  const price = marketIntelligenceService.getCurrentPrice(commodity);
+  const label = marketOptions().find(option => option.value === commodity)?.label || commodity;
+  if (!price) return `No price for ${label} yet.`;
+  return `${label}: GHS ${price.price.toFixed(2)} ${price.unit}\nTrend: ${price.trend}\nDemand: ${price.demand}`;
+};
+
+const farmerFlow = {
+  id: 'farmer',
+  start: 'main',
+  nodes: {
+    main: {
+      type: 'select',
+      text: 'TriAgro AI',
+      options: [
+        { label: 'Weather forecast', value: 'forecast' },
+        { label: 'Crop calendar', value: 'calendar' },
+        { label: 'Weekly advisory', value: 'advisory' },
+        { label: 'Market prices', value: 'market' },
+      ],
+      store: 'service',
+      next: ({ service }) => (service === 'market' ? 'marketCommodity' : 'region'),
+    },
+    region: {
+      type: 'select',
+      text: 'Select region',
+      options: regionOptions,
+      store: 'regionCode',
+      next: 'district',
+    },
+    district: {
+      type: 'select',
+      text: 'Select district',
+      options: districtOptions,
+      store: 'districtCode',
+      next: ({ service }) => (service === 'forecast' ? 'forecastResult' : 'crop'),
+    },
+    crop: {
+      type: 'select',
+      text: 'Select crop',
+      options: CALENDAR_CROPS.map(crop => ({ label: crop, value: crop })),
+      store: 'crop',
+      next: ({ service }) => (service === 'calendar' ? 'calendarResult' : 'advisoryResult'),
+    },
+    marketCommodity: {
+      type: 'select',
+      text: 'Select commodity',
+      options: marketOptions,
+      store: 'commodity',
+      next: 'marketResult',
+    },
+    forecastResult: { type: 'end', text: forecastText },
+    calendarResult: { type: 'end', text: calendarText },
+    advisoryResult: { type: 'end', text: advisoryText },
+    marketResult: { type: 'end', text: marketText },
+  },
+};
+
+export default farmerFlow;
@@ -0,0 +1,206 @@
+/**
+ * USSD Service
+ * Runs declarative USSD flows for feature-phone farmers. A flow is a map of
+ * nodes; the engine keeps one session per USSD session id, renders each node
+ * to a screen of at most 182 characters (paging long option lists) and
+ * answers in the "CON ..." / "END ..." form USSD gateways expect.
+ *
+ * Node types:
+ *   menu   - { text, options: [{ label, next }] }
+ *   select - { text, options: [{ label, value }] | (context) => options, store, next }
+ *   input  - { text, store, validate?: (value, context) => error | null, next }
+ *   end    - { text: string | (context) => string }  closes the session
+ * `text` may be a function of the session context and may return a promise.
+ * `next` may be a node id or a function of the context returning one.
+ */
+
+import farmerFlow from './ussdFlows/farmerFlow';
+
+// Longest USSD screen most handsets and gateways accept
+export const USSD_MAX_LENGTH = 182;
+const DEFAULT_SESSION_TIMEOUT = 3 * 60 * 1000; // USSD sessions expire quickly
+
+const BACK = '0';
+const HOME = '00';
+const MORE = '98';
+
+const resolve = async (value, context) => (typeof value === 'function' ? value(context) : value);
+
+const truncate = (text, maxLength) => (
+  text.length <= maxLength ? text : `${text.slice(0, maxLength - 3).trimEnd()}...`
+);
+
+export class UssdFlowEngine {
+  constructor(flow, { maxLength = USSD_MAX_LENGTH, sessionTimeout = DEFAULT_SESSION_TIMEOUT } = {}) {
+    this.flow = flow;
+    this.maxLength = maxLength;
+    this.sessionTimeout = sessionTimeout;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Begin a session at the flow's start node
+   * @returns {Promise<Object>} { text, ended }
+   */
+  async start({ sessionId, phoneNumber }) {
+    const session = {
+      id: sessionId,
+      phoneNumber,
+      nodeId: this.flow.start,
+      history: [],
+      page: 0,
+      context: { phoneNumber },
+      lastActiveAt: Date.now(),
+    };
+    this.sessions.set(sessionId, session);
+    return this.render(session);
+  }
+
+  /**
+   * Apply one reply to a session
+   * @returns {Promise<Object>} { text, ended }
+   */
+  async respond(sessionId, input) {
+    const session = this.sessions.get(sessionId);
+    if (!session || Date.now() - session.lastActiveAt > this.sessionTimeout) {
+      this.sessions.delete(sessionId);
+      return { text: 'Session expired. Please dial again.', ended: true };
+    }
+    session.lastActiveAt = Date.now();
+
+    const value = String(input ?? '').trim();
+    const node = this.getNode(session.nodeId);
+
+    if (value === HOME) {
+      return this.goTo(session, this.flow.start, { resetHistory: true });
+    }
+    if (value === BACK && session.history.length > 0) {
+      const previous = session.history.pop();
+      session.nodeId = previous.nodeId;
+      session.page = previous.page;
+      return this.render(session);
+    }
+
+    if (node.type === 'input') {
+      const error = node.validate ? await node.validate(value, session.context) : null;
+      if (error) return this.render(session, error);
+      session.context[node.store] = value;
+      return this.advance(session, node);
+    }
+
+    const { pages } = await this.paginate(session, node);
+    if (value === MORE && session.page < pages.length - 1) {
+      session.history.push({ nodeId: session.nodeId, page: session.page });
+      session.page += 1;
+      return this.render(session);
+    }
+
+    const options = await this.getOptions(node, session.context);
+    const choice = options[Number(value) - 1];
+    if (!/^\d+$/.test(value) || !choice) {
+      return this.render(session, 'Invalid choice.');
+    }
+
+    if (node.type === 'menu') {
+      return this.goTo(session, await resolve(choice.next, session.context));
+    }
+    session.context[node.store] = choice.value;
+    return this.advance(session, node);
+  }
+
+  /**
+   * Gateway entry point. Gateways send the whole reply chain joined with "*"
+   * (e.g. "1*3*2") on every request; only the newest reply is applied.
+   * @returns {Promise<string>} "CON <screen>" to continue or "END <screen>"
+   */
+  async handleRequest({ sessionId, phoneNumber, text = '' }) {
+    const replies = text === '' ? [] : text.split('*');
+    const result = replies.length === 0 || !this.sessions.has(sessionId)
+      ? await this.start({ sessionId, phoneNumber })
+      : await this.respond(sessionId, replies[replies.length - 1]);
+    return `${result.ended ? 'END' : 'CON'} ${result.text}`;
+  }
+
+  endSession(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  getNode(nodeId) {
+    const node = this.flow.nodes[nodeId];
+    if (!node) throw new Error(`USSD flow "${this.flow.id}" has no node "${nodeId}"`);
+    return node;
+  }
+
+  async getOptions(node, context) {
+    return (await resolve(node.options, context)) || [];
+  }
+
+  async advance(session, node) {
+    return this.goTo(session, await resolve(node.next, session.context));
+  }
+
+  async goTo(session, nodeId, { resetHistory = false } = {}) {
+    if (resetHistory) {
+      session.history = [];
+    } else {
+      session.history.push({ nodeId: session.nodeId, page: session.page });
+    }
+    session.nodeId = nodeId;
+    session.page = 0;
+    return this.render(session);
+  }
+
+  /**
+   * Split a list node's options into screens that fit the length limit.
+   * Options keep their overall numbering across pages.
+   */
+  async paginate(session, node) {
+    const options = await this.getOptions(node, session.context);
+    const header = await resolve(node.text, session.context);
+    const lines = options.map((option, index) => `${index + 1}. ${option.label}`);
+    const footer = (hasMore) => [hasMore && `${MORE}. More`, session.history.length > 0 && `${BACK}. Back`]
+      .filter(Boolean)
+      .join('\n');
+
+    const pages = [];
+    let current = [];
+    lines.forEach((line) => {
+      const candidate = [header, ...current, line, footer(true)].join('\n');
+      if (current.length > 0 && candidate.length > this.maxLength) {
+        pages.push(current);
+        current = [];
+      }
+      current.push(line);
+    });
+    pages.push(current);
+
+    return { header, pages, footer };
+  }
+
+  async render(session, notice = '') {
+    const node = this.getNode(session.nodeId);
+
+    if (node.type === 'end') {
+      this.sessions.delete(session.id);
+      const text = await resolve(node.text, session.context);
+      return { text: truncate(text, this.maxLength), ended: true };
+    }
+
+    if (node.type === 'input') {
+      const text = [notice, await resolve(node.text, session.context)].filter(Boolean).join('\n');
+      return { text: truncate(text, this.maxLength), ended: false };
+    }
+
+    const { header, pages, footer } = await this.paginate(session, node);
+    const page = Math.min(session.page, pages.length - 1);
+    const body = [...pages[page], footer(page < pages.length - 1)];
+    let screen = [notice, header, ...body].filter(Boolean).join('\n');
+    // A notice on a full page replaces the heading rather than pushing options off screen
+    if (screen.length > this.maxLength) {
+      screen = [notice, ...body].filter(Boolean).join('\n');
+    }
+    return { text: truncate(screen, this.maxLength), ended: false };
+  }
+}
+
+export default new UssdFlowEngine(farmerFlow);
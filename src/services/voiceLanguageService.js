@@ -5,6 +5,9 @@
 
 import { GhanaNLP } from '@paakways/ghananlp-node';
 
+// Where a sentence of a streamed answer ends
+const SENTENCE_END = /[.!?](?=\s)|\n/g;
+
 class VoiceLanguageService {
   constructor() {
     // Ghana NLP integration for local languages
@@ -457,6 +460,89 @@ class VoiceLanguageService {
     return voiceText;
   }
 
+  /**
+   * Speak an answer while it is still arriving. push() takes the answer so
+   * far and queues each sentence as soon as it is complete, finish() speaks
+   * the rest once the answer is in, and stop() silences it. Without
+   * synthesize the browser voice reads the sentences; with it, each sentence
+   * is handed to synthesize (which may translate it) and the audio it
+   * returns, a { type: 'api', url } or { type: 'browser', speak } result of
+   * translationService.textToSpeech, is played in order.
+   */
+  createSentenceSpeaker(language = 'en', synthesize = null) {
+    let spoken = 0;
+    let stopped = false;
+    let playing = Promise.resolve();
+    let audio = null;
+
+    const play = (result) => {
+      if (result?.type === 'browser' && result.speak) {
+        result.speak();
+        return Promise.resolve();
+      }
+      if (result?.type !== 'api' || !result.url) return Promise.resolve();
+      audio = new Audio(result.url);
+      return new Promise((resolve) => {
+        audio.onended = resolve;
+        audio.onerror = resolve;
+        audio.play().catch(resolve);
+      }).finally(() => URL.revokeObjectURL(result.url));
+    };
+
+    const queue = (text) => {
+      if (synthesize) {
+        if (!text.replace(/[.\s]/g, '')) return;
+        // Sentences are synthesised one at a time so they play in order
+        playing = playing
+          .then(async () => {
+            if (stopped) return;
+            const result = await synthesize(text.trim());
+            if (!stopped) await play(result);
+          })
+          .catch(error => console.error('Speech synthesis error:', error));
+        return;
+      }
+
+      const voiceText = this.generateVoiceFriendlyResponse(text.trim(), language);
+      if (!this.speechSynthesis || !voiceText.replace(/[.\s]/g, '')) return;
+
+      const utterance = new SpeechSynthesisUtterance(voiceText);
+      const voices = this.availableVoices?.[language] || this.availableVoices?.['en'];
+      if (voices && voices.length > 0) {
+        utterance.voice = voices[0];
+      }
+      utterance.rate = this.speechSettings.rate;
+      utterance.pitch = this.speechSettings.pitch;
+      utterance.volume = this.speechSettings.volume;
+      utterance.lang = language === 'en' ? 'en-GH' : language;
+      this.speechSynthesis.speak(utterance);
+    };
+
+    this.speechSynthesis?.cancel();
+    return {
+      push: (text) => {
+        let end = spoken;
+        SENTENCE_END.lastIndex = spoken;
+        for (let match = SENTENCE_END.exec(text); match; match = SENTENCE_END.exec(text)) {
+          end = match.index + match[0].length;
+        }
+        if (end > spoken) {
+          queue(text.slice(spoken, end));
+          spoken = end;
+        }
+      },
+      finish: (text) => {
+        if (text.length > spoken) queue(text.slice(spoken));
+        spoken = text.length;
+      },
+      stop: () => {
+        stopped = true;
+        audio?.pause();
+        this.speechSynthesis?.cancel();
+      },
+    };
+  }
+
   /**
    * Get language preferences for user
    */
@@ -1,28 +1,32 @@
-const mockWeatherData = {
-  weather: [
-    { city: "New York", temperature: 22, condition: "Sunny" },
-    { city: "London", temperature: 18, condition: "Cloudy" },
-    { city: "Tokyo", temperature: 28, condition: "Rainy" },
-  ],
-  alert: "Heat wave expected in New York this weekend",
-};
+import weatherProviderService, { REGION_CENTERS } from "./weatherProviderService";
+
+const DEFAULT_LOCATION = REGION_CENTERS["Greater Accra"];
 
-const mockForecastData = [
-  { date: "2024-09-11", highTemp: 25, lowTemp: 18, condition: "Sunny" },
-  { date: "2024-09-12", highTemp: 27, lowTemp: 19, condition: "Partly Cloudy" },
-  { date: "2024-09-13", highTemp: 23, lowTemp: 17, condition: "Rainy" },
-  { date: "2024-09-14", highTemp: 22, lowTemp: 16, condition: "Cloudy" },
-  { date: "2024-09-15", highTemp: 24, lowTemp: 18, condition: "Sunny" },
-];
+// Current conditions for a place (coordinates, district or region), backed by the weather provider layer
+export const getCurrentWeather = async (place = {}) => {
+  const location = weatherProviderService.resolveLocation(place) || DEFAULT_LOCATION;
+  const report = await weatherProviderService.getWeather(location);
 
-export const getCurrentWeather = () => {
-  return new Promise((resolve) => {
-    setTimeout(() => resolve(mockWeatherData), 500);
-  });
+  return {
+    city: report.location.name,
+    temperature: report.current.temperature,
+    humidity: report.current.humidity,
+    windSpeed: report.current.windSpeed,
+    condition: weatherProviderService.getConditionLabel(report.current.condition),
+    source: report.source,
+    issuedAt: report.issuedAt,
+  };
 };
 
-export const getForecast = () => {
-  return new Promise((resolve) => {
-    setTimeout(() => resolve(mockForecastData), 500);
-  });
+// Daily forecast for a place, in the shape ForecastCard renders
+export const getForecast = async (place = {}, days = 5) => {
+  const location = weatherProviderService.resolveLocation(place) || DEFAULT_LOCATION;
+  const report = await weatherProviderService.getWeather(location);
+
+  return report.daily.slice(0, days).map((day) => ({
+    date: day.date,
+    highTemp: Math.round(day.maxTemp),
+    lowTemp: Math.round(day.minTemp),
+    condition: weatherProviderService.getConditionLabel(day.condition),
+  }));
 };
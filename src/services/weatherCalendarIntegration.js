@@ -5,12 +5,12 @@
  * to provide climate-adjusted agricultural timing
  */
 
+import weatherProviderService from './weatherProviderService';
+
 class WeatherCalendarIntegration {
   constructor() {
     this.cache = new Map();
     this.cacheExpiry = 60 * 60 * 1000; // 1 hour
-    this.weatherApiKey = import.meta.env.VITE_WEATHER_API_KEY;
-    this.weatherBaseUrl = 'https://api.openweathermap.org/data/2.5';
   }
 
   /**
@@ -116,8 +116,7 @@ class WeatherCalendarIntegration {
 
       const { lat, lon } = regionCoordinates;
 
-      // Mock weather API call (replace with real API when key is available)
-      const weatherData = await this.mockWeatherApi(lat, lon, regionCode);
+      const weatherData = await this.fetchWeather(lat, lon, regionCode);
 
       // Cache the result
       this.cache.set(cacheKey, {
@@ -136,66 +135,49 @@ class WeatherCalendarIntegration {
   }
 
   /**
-   * Mock weather API for demonstration (replace with real API)
+   * Fetch weather for a point from the shared weather provider layer
    * @param {number} lat - Latitude
    * @param {number} lon - Longitude
    * @param {string} regionCode - Region code
-   * @returns {Promise<Object>} Mock weather data
+   * @returns {Promise<Object>} Weather data in the shape the adjustments expect
    */
-  async mockWeatherApi(lat, lon, regionCode) {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 100));
-
-    // Generate realistic mock data based on Ghana's climate
-    const currentTemp = 25 + Math.random() * 10; // 25-35°C range
-    const humidity = 60 + Math.random() * 30; // 60-90% range
-    const rainfall = Math.random() * 20; // 0-20mm daily
+  async fetchWeather(lat, lon, regionCode) {
+    const report = await weatherProviderService.getWeather({ lat, lng: lon, name: regionCode });
+    const toConditions = (condition) => {
+      if (['rain', 'drizzle', 'thunderstorm'].includes(condition)) return 'rainy';
+      if (['cloudy', 'partly-cloudy', 'fog'].includes(condition)) return 'cloudy';
+      return 'sunny';
+    };
 
     return {
       success: true,
       data: {
         current: {
-          temperature: Math.round(currentTemp),
-          humidity: Math.round(humidity),
-          rainfall: Math.round(rainfall * 10) / 10,
-          conditions: rainfall > 10 ? 'rainy' : rainfall > 5 ? 'cloudy' : 'sunny',
-          windSpeed: Math.round((5 + Math.random() * 15) * 10) / 10
+          temperature: Math.round(report.current.temperature),
+          humidity: report.current.humidity,
+          rainfall: report.daily[0]?.precipitation ?? report.current.precipitation,
+          conditions: toConditions(report.current.condition),
+          windSpeed: report.current.windSpeed
         },
-        forecast: this.generateMockForecast(),
+        forecast: report.daily.slice(0, 7).map((day, index) => ({
+          day: index,
+          date: day.date,
+          temperature: {
+            high: Math.round(day.maxTemp),
+            low: Math.round(day.minTemp)
+          },
+          rainfall: day.precipitation,
+          humidity: day.humidity,
+          conditions: toConditions(day.condition)
+        })),
         region: regionCode,
-        coordinates: { lat, lon }
+        coordinates: { lat, lon },
+        source: report.source,
+        issuedAt: report.issuedAt
       }
     };
   }
 
-  /**
-   * Generate mock 7-day forecast
-   * @returns {Array} Mock forecast data
-   */
-  generateMockForecast() {
-    const forecast = [];
-    const baseTemp = 28;
-
-    for (let i = 0; i < 7; i++) {
-      const tempVariation = (Math.random() - 0.5) * 8;
-      const rainfallChance = Math.random();
-
-      forecast.push({
-        day: i,
-        date: new Date(Date.now() + i * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-        temperature: {
-          high: Math.round(baseTemp + tempVariation + 3),
-          low: Math.round(baseTemp + tempVariation - 3)
-        },
-        rainfall: rainfallChance > 0.7 ? Math.round(Math.random() * 25) : 0,
-        humidity: Math.round(65 + Math.random() * 25),
-        conditions: rainfallChance > 0.7 ? 'rainy' : rainfallChance > 0.4 ? 'cloudy' : 'sunny'
-      });
-    }
-
-    return forecast;
-  }
-
   /**
    * Apply weather adjustments to calendar activities
    * @param {Array} activities - Original activities
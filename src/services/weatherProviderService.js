@@ -0,0 +1,230 @@
+/**
+ * Weather Provider Service
+ * Single entry point for weather data. Resolves a configured provider adapter
+ * (Ambee, Open-Meteo, GMet station feed or offline fixtures), normalizes its
+ * output to one schema and falls back down the chain when a provider fails.
+ * The offline fixtures are seeded test data: they only join the chain in
+ * development or when explicitly selected, never as a silent fallback.
+ */
+
+import API_CONFIG, { isDevelopment } from '../config/apiConfig';
+import AmbeeProvider from './weatherProviders/ambeeProvider';
+import OpenMeteoProvider from './weatherProviders/openMeteoProvider';
+import GmetStationProvider from './weatherProviders/gmetStationProvider';
+import FixtureProvider from './weatherProviders/fixtureProvider';
+import { getConditionLabel } from './weatherProviders/weatherSchema';
+import ghanaRegions from '../assets/ghana-regions.json';
+
+const DEFAULT_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+
+// Reference points (regional capitals) used when only a region is known
+export const REGION_CENTERS = {
+  'Greater Accra': { lat: 5.6037, lng: -0.187, name: 'Accra' },
+  'Ashanti': { lat: 6.6885, lng: -1.6244, name: 'Kumasi' },
+  'Western': { lat: 4.896, lng: -1.7847, name: 'Sekondi-Takoradi' },
+  'Western North': { lat: 6.2031, lng: -2.4883, name: 'Sefwi Wiawso' },
+  'Central': { lat: 5.1053, lng: -1.2466, name: 'Cape Coast' },
+  'Eastern': { lat: 6.0941, lng: -0.2591, name: 'Koforidua' },
+  'Volta': { lat: 6.6008, lng: 0.4713, name: 'Ho' },
+  'Oti': { lat: 8.0667, lng: 0.1833, name: 'Dambai' },
+  'Northern': { lat: 9.4008, lng: -0.8393, name: 'Tamale' },
+  'Savannah': { lat: 9.0842, lng: -1.815, name: 'Damongo' },
+  'North East': { lat: 10.5167, lng: -0.3667, name: 'Nalerigu' },
+  'Upper East': { lat: 10.7856, lng: -0.8514, name: 'Bolgatanga' },
+  'Upper West': { lat: 10.0606, lng: -2.5097, name: 'Wa' },
+  'Bono': { lat: 7.339, lng: -2.3268, name: 'Sunyani' },
+  'Bono East': { lat: 7.5833, lng: -1.9333, name: 'Techiman' },
+  'Ahafo': { lat: 6.8, lng: -2.5167, name: 'Goaso' },
+  // Pre-2019 region name still used by some datasets
+  'Brong Ahafo': { lat: 7.339, lng: -2.3268, name: 'Sunyani' },
+};
+
+const normalizePlaceName = (name) => (name || '')
+  .replace(/\s+Region$/i, '')
+  .trim()
+  .toLowerCase();
+
+class WeatherProviderService {
+  constructor() {
+    this.providers = {};
+    this.cache = new Map();
+    this.inFlight = new Map();
+    this.cacheTtl = DEFAULT_CACHE_TTL;
+
+    this.registerProvider(new AmbeeProvider());
+    this.registerProvider(new OpenMeteoProvider());
+    this.registerProvider(new GmetStationProvider());
+    this.registerProvider(new FixtureProvider());
+
+    this.providerOrder = this.resolveProviderOrder(API_CONFIG.WEATHER_PROVIDER);
+  }
+
+  /**
+   * Register (or replace) a provider adapter. Adapters expose
+   * `id`, `label`, `isConfigured()` and `getWeather({ lat, lng, name })`.
+   */
+  registerProvider(provider) {
+    this.providers[provider.id] = provider;
+  }
+
+  /**
+   * Work out the provider chain: the configured provider first, then any other
+   * configured live provider. The offline fixtures come last in development
+   * and are otherwise only used when they are the configured provider.
+   */
+  resolveProviderOrder(preferred) {
+    // Open-Meteo needs no key, so it only joins the chain when explicitly chosen
+    const defaults = isDevelopment ? ['ambee', 'gmet-stations', 'fixture'] : ['ambee', 'gmet-stations'];
+    const first = preferred && this.providers[preferred] ? [preferred] : [];
+
+    return [...first, ...defaults.filter(id => id !== preferred)];
+  }
+
+  /**
+   * Override the provider chain at runtime (e.g. to force fixtures in tests)
+   */
+  setProviderOrder(order) {
+    this.providerOrder = order.filter(id => this.providers[id]);
+    this.clearCache();
+  }
+
+  getActiveProviders() {
+    return this.providerOrder
+      .map(id => this.providers[id])
+      .filter(provider => provider.isConfigured());
+  }
+
+  getCacheKey(lat, lng) {
+    // ~1 km precision is plenty for forecast lookups and keeps the cache small
+    return `${Number(lat).toFixed(2)},${Number(lng).toFixed(2)}`;
+  }
+
+  clearCache() {
+    this.cache.clear();
+    this.inFlight.clear();
+  }
+
+  /**
+   * Get a normalized weather report for a point
+   * @param {Object} location - { lat, lng, name }
+   * @param {Object} options - { forceRefresh }
+   * @returns {Promise<Object>} Normalized report (see weatherSchema.createWeatherReport)
+   */
+  async getWeather({ lat, lng, name } = {}, { forceRefresh = false } = {}) {
+    if (lat === undefined || lng === undefined || lat === null || lng === null) {
+      throw new Error('Latitude and longitude are required for weather lookups');
+    }
+
+    const key = this.getCacheKey(lat, lng);
+    const cached = this.cache.get(key);
+
+    if (!forceRefresh && cached && Date.now() - cached.fetchedAt < this.cacheTtl) {
+      return this.withName(cached.report, name);
+    }
+
+    // Share one request between components asking for the same place at once
+    if (!forceRefresh && this.inFlight.has(key)) {
+      return this.withName(await this.inFlight.get(key), name);
+    }
+
+    const request = this.fetchFromProviders({ lat, lng, name });
+    this.inFlight.set(key, request);
+
+    try {
+      const report = await request;
+      this.cache.set(key, { report, fetchedAt: Date.now() });
+      return this.withName(report, name);
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  async fetchFromProviders(location) {
+    const errors = [];
+    const providers = this.getActiveProviders();
+    if (providers.length === 0) {
+      throw new Error('No weather provider is configured');
+    }
+
+    for (const provider of providers) {
+      try {
+        const report = await provider.getWeather(location);
+        if (errors.length > 0) {
+          report.fallbackFrom = errors.map(e => e.provider);
+        }
+        return report;
+      } catch (error) {
+        console.warn(`Weather provider "${provider.id}" failed:`, error.message);
+        errors.push({ provider: provider.id, message: error.message });
+      }
+    }
+
+    throw new Error(
+      `All weather providers failed: ${errors.map(e => `${e.provider} (${e.message})`).join(', ')}`
+    );
+  }
+
+  withName(report, name) {
+    if (!name || report.location.name === name) return report;
+    return { ...report, location: { ...report.location, name } };
+  }
+
+  /**
+   * Fetch several named points at once; failed points are left out
+   */
+  async getWeatherForLocations(locations, options) {
+    const results = await Promise.allSettled(
+      locations.map(location => this.getWeather(location, options))
+    );
+
+    return results
+      .map((result, index) => (result.status === 'fulfilled'
+        ? { ...locations[index], report: result.value }
+        : null))
+      .filter(Boolean);
+  }
+
+  /**
+   * Resolve a place (district name, region name or coordinates) to a point
+   * @param {Object} place - { lat, lng, district, region, name }
+   * @returns {Object|null} { lat, lng, name }
+   */
+  resolveLocation({ lat, lng, district, region, name } = {}) {
+    if (lat !== undefined && lat !== null && lng !== undefined && lng !== null) {
+      return { lat, lng, name: name || district || region || null };
+    }
+
+    if (district) {
+      const target = normalizePlaceName(district);
+      const feature = ghanaRegions.features.find(
+        f => normalizePlaceName(f.properties.name) === target
+      );
+      if (feature) {
+        const [featureLng, featureLat] = feature.geometry.coordinates;
+        return { lat: featureLat, lng: featureLng, name: feature.properties.name };
+      }
+    }
+
+    if (region) {
+      const target = normalizePlaceName(region);
+      const match = Object.entries(REGION_CENTERS).find(
+        ([regionName]) => normalizePlaceName(regionName) === target
+      );
+      if (match) {
+        return { ...match[1] };
+      }
+    }
+
+    return null;
+  }
+
+  getProviderLabel(providerId) {
+    return this.providers[providerId]?.label || providerId;
+  }
+
+  getConditionLabel(condition) {
+    return getConditionLabel(condition);
+  }
+}
+
+export default new WeatherProviderService();
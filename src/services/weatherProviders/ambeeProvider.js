@@ -0,0 +1,116 @@
+/**
+ * Ambee Weather Provider
+ * Adapter for the Ambee latest/forecast endpoints (proxied under /api/ambee)
+ */
+
+import API_CONFIG from '../../config/apiConfig';
+import {
+  createWeatherReport,
+  fahrenheitToCelsius,
+  metersPerSecondToKmh,
+  aggregateHourlyToDaily,
+} from './weatherSchema';
+
+const PLACEHOLDER_KEY = 'your-ambee-api-key-here';
+
+class AmbeeProvider {
+  constructor({ apiKey = API_CONFIG.AMBEE_API_KEY, baseUrl = '/api/ambee', timeout = 8000 } = {}) {
+    this.id = 'ambee';
+    this.label = 'Ambee';
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+    this.timeout = timeout;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey) && this.apiKey !== PLACEHOLDER_KEY;
+  }
+
+  async request(path, lat, lng) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(`${this.baseUrl}${path}?lat=${lat}&lng=${lng}`, {
+        headers: {
+          'Content-type': 'application/json',
+          'x-api-key': this.apiKey,
+        },
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        throw new Error(`Ambee API error: ${response.status}`);
+      }
+
+      return await response.json();
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Ambee temperatures come in Fahrenheit, but older responses were already in
+   * Celsius, so anything above 50 is treated as Fahrenheit (same rule the pages
+   * used before). Wind speed is always in m/s; see mapReading.
+   */
+  toCelsius(value) {
+    if (value === null || value === undefined) return null;
+    return value > 50 ? fahrenheitToCelsius(value) : value;
+  }
+
+  mapReading(reading) {
+    return {
+      time: reading.time ? new Date(reading.time * 1000).toISOString() : undefined,
+      temperature: this.toCelsius(reading.temperature),
+      feelsLike: this.toCelsius(reading.apparentTemperature),
+      humidity: reading.humidity,
+      windSpeed: reading.windSpeed !== undefined ? metersPerSecondToKmh(reading.windSpeed) : null,
+      windDirection: reading.windBearing,
+      precipitation: reading.precipIntensity ?? reading.precipitationIntensity ?? 0,
+      precipitationProbability: reading.precipProbability !== undefined
+        ? reading.precipProbability * (reading.precipProbability <= 1 ? 100 : 1)
+        : null,
+      pressure: reading.pressure,
+      visibility: reading.visibility,
+      cloudCover: reading.cloudCover,
+      summary: reading.summary,
+    };
+  }
+
+  async getWeather({ lat, lng, name }) {
+    if (!this.isConfigured()) {
+      throw new Error('Ambee API key not configured');
+    }
+
+    const [latest, forecast] = await Promise.allSettled([
+      this.request('/weather/latest/by-lat-lng', lat, lng),
+      this.request('/weather/forecast/by-lat-lng', lat, lng),
+    ]);
+
+    if (latest.status === 'rejected') {
+      throw latest.reason;
+    }
+
+    const current = latest.value?.data;
+    if (!current) {
+      throw new Error('Invalid Ambee response format');
+    }
+
+    const forecastData = forecast.status === 'fulfilled' ? forecast.value?.data : null;
+    const forecastReadings = Array.isArray(forecastData)
+      ? forecastData
+      : forecastData?.forecast || [];
+    const hourly = forecastReadings.map(reading => this.mapReading(reading));
+
+    return createWeatherReport({
+      source: this.id,
+      location: { lat, lng, name },
+      current: this.mapReading(current),
+      hourly,
+      daily: aggregateHourlyToDaily(hourly),
+    });
+  }
+}
+
+export default AmbeeProvider;
@@ -0,0 +1,125 @@
+/**
+ * Fixture Weather Provider
+ * Offline/stub adapter used for local development, tests and as the last
+ * fallback. Values follow Ghana's seasonal climatology and are deterministic
+ * for a given location and date, so every page shows the same numbers.
+ */
+
+import { createWeatherReport, aggregateHourlyToDaily, WEATHER_CONDITIONS } from './weatherSchema';
+
+// Deterministic 0..1 value from a string seed (FNV-1a hash)
+const seededRandom = (seed) => {
+  let hash = 2166136261;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return ((hash >>> 0) % 10000) / 10000;
+};
+
+// Rain probability baseline by month for the south (bimodal) and north (unimodal) of Ghana
+const SOUTHERN_RAIN_BY_MONTH = [10, 20, 40, 55, 65, 75, 45, 30, 50, 55, 35, 15];
+const NORTHERN_RAIN_BY_MONTH = [0, 5, 15, 30, 45, 55, 65, 75, 70, 35, 5, 0];
+
+class FixtureProvider {
+  constructor({ days = 7, fixtures = {} } = {}) {
+    this.id = 'fixture';
+    this.label = 'Offline climatology';
+    this.days = days;
+    // Optional pre-recorded normalized reports keyed by "lat,lng" (used by tests)
+    this.fixtures = fixtures;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  getClimate(lat, month) {
+    const isNorthern = lat >= 8.5;
+    const isCoastal = lat < 6;
+    const rainBaseline = isNorthern ? NORTHERN_RAIN_BY_MONTH[month] : SOUTHERN_RAIN_BY_MONTH[month];
+    const isHarmattan = isNorthern && [11, 0, 1].includes(month);
+
+    return {
+      baseTemp: isNorthern ? 30 : isCoastal ? 27 : 26,
+      diurnalRange: isNorthern ? (isHarmattan ? 14 : 10) : 7,
+      humidity: isHarmattan ? 25 : isCoastal ? 80 : 70,
+      rainBaseline,
+      isHarmattan,
+    };
+  }
+
+  buildHour(lat, lng, time) {
+    const climate = this.getClimate(lat, time.getMonth());
+    const hour = time.getHours();
+    const dayKey = time.toISOString().split('T')[0];
+    const daySeed = seededRandom(`${lat.toFixed(2)},${lng.toFixed(2)},${dayKey}`);
+    const hourSeed = seededRandom(`${lat.toFixed(2)},${lng.toFixed(2)},${time.toISOString()}`);
+
+    // Warmest around 14:00, coolest around 05:00
+    const diurnal = Math.cos(((hour - 14) / 24) * 2 * Math.PI);
+    const temperature = climate.baseTemp + (climate.diurnalRange / 2) * diurnal + (daySeed - 0.5) * 3;
+
+    // Convective rain is most likely in the afternoon and evening
+    const afternoonBoost = hour >= 13 && hour <= 20 ? 15 : -10;
+    const precipitationProbability = Math.max(
+      0,
+      Math.min(100, climate.rainBaseline + afternoonBoost + (daySeed - 0.5) * 30)
+    );
+    const raining = hourSeed * 100 < precipitationProbability * 0.6;
+    const precipitation = raining ? Math.round(hourSeed * 80) / 10 : 0;
+
+    let condition = WEATHER_CONDITIONS.CLEAR;
+    if (raining) {
+      condition = precipitation > 5 ? WEATHER_CONDITIONS.THUNDERSTORM
+        : precipitation > 1.5 ? WEATHER_CONDITIONS.RAIN : WEATHER_CONDITIONS.DRIZZLE;
+    } else if (climate.isHarmattan) {
+      condition = WEATHER_CONDITIONS.FOG;
+    } else if (precipitationProbability > 40) {
+      condition = WEATHER_CONDITIONS.CLOUDY;
+    } else if (precipitationProbability > 15) {
+      condition = WEATHER_CONDITIONS.PARTLY_CLOUDY;
+    }
+
+    return {
+      time: time.toISOString(),
+      temperature,
+      humidity: Math.min(100, climate.humidity + (raining ? 15 : 0) - diurnal * 10),
+      precipitation,
+      precipitationProbability: Math.round(precipitationProbability),
+      windSpeed: 6 + hourSeed * 14 + (climate.isHarmattan ? 6 : 0),
+      windDirection: Math.round(climate.isHarmattan ? 45 : 200 + daySeed * 40),
+      pressure: 1010 + daySeed * 6,
+      visibility: climate.isHarmattan ? 3 : 10,
+      condition,
+    };
+  }
+
+  async getWeather({ lat, lng, name }) {
+    const fixtureKey = `${lat},${lng}`;
+    if (this.fixtures[fixtureKey]) {
+      return this.fixtures[fixtureKey];
+    }
+
+    const start = new Date();
+    start.setMinutes(0, 0, 0);
+
+    const hourly = [];
+    for (let i = 0; i < this.days * 24; i++) {
+      const time = new Date(start);
+      time.setHours(start.getHours() + i);
+      hourly.push(this.buildHour(lat, lng, time));
+    }
+
+    return createWeatherReport({
+      source: this.id,
+      location: { lat, lng, name },
+      issuedAt: start.toISOString(),
+      current: hourly[0],
+      hourly,
+      daily: aggregateHourlyToDaily(hourly).slice(0, this.days),
+    });
+  }
+}
+
+export default FixtureProvider;
@@ -0,0 +1,202 @@
+/**
+ * GMet Station Feed Provider
+ * Adapter for the Ghana Meteorological Agency synoptic station CSV feed.
+ * Picks the station nearest to the requested point and builds the report
+ * from its latest observations. The feed holds no forecast: past readings
+ * are returned under `observations`, and `hourly` and `daily` stay empty.
+ */
+
+import API_CONFIG from '../../config/apiConfig';
+import { createWeatherReport, createHourlyEntry } from './weatherSchema';
+import { distanceKm } from '../../utils/geoUtils';
+
+// Accepted header spellings for each normalized column
+const COLUMN_ALIASES = {
+  stationId: ['station_id', 'stationid', 'station_code', 'wmo_id'],
+  stationName: ['station_name', 'station', 'name'],
+  lat: ['latitude', 'lat'],
+  lng: ['longitude', 'lon', 'lng'],
+  observedAt: ['observed_at', 'datetime', 'date_time', 'timestamp', 'obs_time'],
+  temperature: ['temperature', 'temp_c', 'air_temp', 'temp'],
+  humidity: ['humidity', 'rh', 'relative_humidity'],
+  windSpeed: ['wind_speed', 'wind_kmh', 'wind'],
+  windDirection: ['wind_direction', 'wind_dir'],
+  precipitation: ['rainfall', 'rain_mm', 'precipitation'],
+  pressure: ['pressure', 'pressure_hpa', 'mslp'],
+  visibility: ['visibility', 'visibility_km'],
+  summary: ['weather', 'present_weather', 'summary'],
+};
+
+/**
+ * Minimal CSV parser that understands quoted fields
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let field = '';
+  let row = [];
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value.trim() !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(value => value.trim() !== '')) rows.push(row);
+
+  return rows;
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+// ISO time of an observation, or null when the value is not a date
+const toIsoTime = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+class GmetStationProvider {
+  constructor({ feedUrl = API_CONFIG.GMET_STATION_FEED_URL, timeout = 10000, cacheTtl = 10 * 60 * 1000 } = {}) {
+    this.id = 'gmet-stations';
+    this.label = 'GMet Stations';
+    this.feedUrl = feedUrl;
+    this.timeout = timeout;
+    this.cacheTtl = cacheTtl;
+    this.feedCache = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.feedUrl);
+  }
+
+  /**
+   * Convert CSV rows into observation objects keyed by the normalized column
+   * names. Rows without coordinates or a valid observation time are skipped.
+   */
+  parseObservations(csvText) {
+    const [header, ...rows] = parseCsv(csvText);
+    if (!header) return [];
+
+    const headerKeys = header.map(h => h.trim().toLowerCase());
+    const columnIndex = {};
+    Object.entries(COLUMN_ALIASES).forEach(([key, aliases]) => {
+      columnIndex[key] = headerKeys.findIndex(h => aliases.includes(h));
+    });
+
+    return rows
+      .map((row) => {
+        const get = (key) => (columnIndex[key] >= 0 ? row[columnIndex[key]] : undefined);
+        return {
+          stationId: get('stationId') || get('stationName'),
+          stationName: get('stationName') || get('stationId'),
+          lat: toNumber(get('lat')),
+          lng: toNumber(get('lng')),
+          time: toIsoTime(get('observedAt')),
+          temperature: toNumber(get('temperature')),
+          humidity: toNumber(get('humidity')),
+          windSpeed: toNumber(get('windSpeed')),
+          windDirection: toNumber(get('windDirection')),
+          precipitation: toNumber(get('precipitation')) ?? 0,
+          pressure: toNumber(get('pressure')),
+          visibility: toNumber(get('visibility')),
+          summary: get('summary'),
+        };
+      })
+      .filter(obs => obs.lat !== null && obs.lng !== null && obs.time);
+  }
+
+  async loadFeed() {
+    if (this.feedCache && Date.now() - this.feedCache.loadedAt < this.cacheTtl) {
+      return this.feedCache.observations;
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(this.feedUrl, { signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`GMet station feed error: ${response.status}`);
+      }
+      const observations = this.parseObservations(await response.text());
+      this.feedCache = { observations, loadedAt: Date.now() };
+      return observations;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  findNearestStation(observations, lat, lng) {
+    let nearest = null;
+    observations.forEach((obs) => {
+      const distance = distanceKm([lng, lat], [obs.lng, obs.lat]);
+      if (!nearest || distance < nearest.distance) {
+        nearest = { stationId: obs.stationId, stationName: obs.stationName, distance };
+      }
+    });
+    return nearest;
+  }
+
+  async getWeather({ lat, lng, name }) {
+    if (!this.isConfigured()) {
+      throw new Error('GMet station feed URL not configured');
+    }
+
+    const observations = await this.loadFeed();
+    const station = this.findNearestStation(observations, lat, lng);
+    if (!station) {
+      throw new Error('No GMet station observations available');
+    }
+
+    const stationObservations = observations
+      .filter(obs => obs.stationId === station.stationId)
+      .sort((a, b) => a.time.localeCompare(b.time));
+    const latest = stationObservations[stationObservations.length - 1];
+
+    const report = createWeatherReport({
+      source: this.id,
+      location: { lat, lng, name: name || station.stationName },
+      issuedAt: latest.time,
+      current: latest,
+    });
+    report.observations = stationObservations.map(createHourlyEntry);
+
+    report.station = {
+      id: station.stationId,
+      name: station.stationName,
+      distanceKm: Math.round(station.distance),
+    };
+
+    return report;
+  }
+}
+
+export default GmetStationProvider;
@@ -0,0 +1,139 @@
+/**
+ * Open-Meteo Weather Provider
+ * Adapter for Open-Meteo style JSON (hourly/daily column arrays with WMO weather codes)
+ */
+
+import API_CONFIG from '../../config/apiConfig';
+import { createWeatherReport, WEATHER_CONDITIONS } from './weatherSchema';
+
+const CURRENT_FIELDS = [
+  'temperature_2m', 'relative_humidity_2m', 'apparent_temperature', 'precipitation',
+  'weather_code', 'cloud_cover', 'pressure_msl', 'wind_speed_10m', 'wind_direction_10m',
+];
+const HOURLY_FIELDS = [
+  'temperature_2m', 'relative_humidity_2m', 'precipitation_probability',
+  'precipitation', 'weather_code', 'wind_speed_10m',
+];
+const DAILY_FIELDS = [
+  'weather_code', 'temperature_2m_max', 'temperature_2m_min', 'precipitation_sum',
+  'precipitation_probability_max', 'wind_speed_10m_max', 'relative_humidity_2m_mean',
+];
+
+/**
+ * Map a WMO weather interpretation code to a condition key
+ */
+export const wmoCodeToCondition = (code) => {
+  if (code === null || code === undefined) return WEATHER_CONDITIONS.PARTLY_CLOUDY;
+  if (code === 0) return WEATHER_CONDITIONS.CLEAR;
+  if (code === 1 || code === 2) return WEATHER_CONDITIONS.PARTLY_CLOUDY;
+  if (code === 3) return WEATHER_CONDITIONS.CLOUDY;
+  if (code === 45 || code === 48) return WEATHER_CONDITIONS.FOG;
+  if (code >= 51 && code <= 57) return WEATHER_CONDITIONS.DRIZZLE;
+  if (code >= 95) return WEATHER_CONDITIONS.THUNDERSTORM;
+  if ((code >= 61 && code <= 67) || (code >= 80 && code <= 82)) return WEATHER_CONDITIONS.RAIN;
+  return WEATHER_CONDITIONS.CLOUDY;
+};
+
+class OpenMeteoProvider {
+  constructor({ baseUrl = API_CONFIG.OPEN_METEO_BASE_URL, timeout = 8000, forecastDays = 7 } = {}) {
+    this.id = 'open-meteo';
+    this.label = 'Open-Meteo';
+    this.baseUrl = baseUrl;
+    this.timeout = timeout;
+    this.forecastDays = forecastDays;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+
+  buildUrl(lat, lng) {
+    const params = new URLSearchParams({
+      latitude: lat,
+      longitude: lng,
+      current: CURRENT_FIELDS.join(','),
+      hourly: HOURLY_FIELDS.join(','),
+      daily: DAILY_FIELDS.join(','),
+      wind_speed_unit: 'kmh',
+      timezone: 'Africa/Accra',
+      forecast_days: this.forecastDays,
+    });
+    return `${this.baseUrl}/v1/forecast?${params.toString()}`;
+  }
+
+  /**
+   * Turn Open-Meteo's column arrays ({ time: [...], temperature_2m: [...] })
+   * into an array of row objects
+   */
+  columnsToRows(columns = {}) {
+    const times = columns.time || [];
+    return times.map((time, index) => {
+      const row = { time };
+      Object.keys(columns).forEach((key) => {
+        if (key !== 'time') row[key] = columns[key]?.[index];
+      });
+      return row;
+    });
+  }
+
+  async getWeather({ lat, lng, name }) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    let data;
+    try {
+      const response = await fetch(this.buildUrl(lat, lng), { signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`Open-Meteo API error: ${response.status}`);
+      }
+      data = await response.json();
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (!data?.current && !data?.hourly) {
+      throw new Error('Invalid Open-Meteo response format');
+    }
+
+    const current = data.current || {};
+
+    return createWeatherReport({
+      source: this.id,
+      location: { lat, lng, name },
+      issuedAt: current.time ? new Date(current.time).toISOString() : undefined,
+      current: {
+        time: current.time ? new Date(current.time).toISOString() : undefined,
+        temperature: current.temperature_2m,
+        feelsLike: current.apparent_temperature,
+        humidity: current.relative_humidity_2m,
+        windSpeed: current.wind_speed_10m,
+        windDirection: current.wind_direction_10m,
+        precipitation: current.precipitation,
+        pressure: current.pressure_msl,
+        cloudCover: current.cloud_cover,
+        condition: wmoCodeToCondition(current.weather_code),
+      },
+      hourly: this.columnsToRows(data.hourly).map(row => ({
+        time: row.time,
+        temperature: row.temperature_2m,
+        humidity: row.relative_humidity_2m,
+        precipitation: row.precipitation,
+        precipitationProbability: row.precipitation_probability,
+        windSpeed: row.wind_speed_10m,
+        condition: wmoCodeToCondition(row.weather_code),
+      })),
+      daily: this.columnsToRows(data.daily).map(row => ({
+        date: row.time,
+        minTemp: row.temperature_2m_min,
+        maxTemp: row.temperature_2m_max,
+        precipitation: row.precipitation_sum,
+        precipitationProbability: row.precipitation_probability_max,
+        windSpeed: row.wind_speed_10m_max,
+        humidity: row.relative_humidity_2m_mean,
+        condition: wmoCodeToCondition(row.weather_code),
+      })),
+    });
+  }
+}
+
+export default OpenMeteoProvider;
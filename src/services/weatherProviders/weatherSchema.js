@@ -0,0 +1,194 @@
+/**
+ * Normalized Weather Schema
+ * Shared shape and unit helpers that every weather provider adapter maps into
+ */
+
+// Units used by every normalized weather report
+export const WEATHER_UNITS = {
+  temperature: '°C',
+  windSpeed: 'km/h',
+  precipitation: 'mm',
+  pressure: 'hPa',
+  visibility: 'km',
+  humidity: '%',
+  probability: '%',
+};
+
+// Canonical condition keys (the same keys the forecast pages already render)
+export const WEATHER_CONDITIONS = {
+  CLEAR: 'clear',
+  PARTLY_CLOUDY: 'partly-cloudy',
+  CLOUDY: 'cloudy',
+  DRIZZLE: 'drizzle',
+  RAIN: 'rain',
+  THUNDERSTORM: 'thunderstorm',
+  FOG: 'fog',
+  WINDY: 'windy',
+};
+
+// Labels double as the keys of the weather themes/animated icons
+const CONDITION_LABELS = {
+  'clear': 'Sunny',
+  'partly-cloudy': 'Partly Cloudy',
+  'cloudy': 'Cloudy',
+  'drizzle': 'Light Rain',
+  'rain': 'Moderate Rain',
+  'thunderstorm': 'Thunderstorm',
+  'fog': 'Fog',
+  'windy': 'Windy',
+};
+
+/**
+ * Map free-text provider summaries ("Light rain showers", "Overcast") to a condition key
+ */
+export const normalizeCondition = (summary) => {
+  const text = (summary || '').toLowerCase();
+
+  if (text.includes('thunder') || text.includes('storm')) return WEATHER_CONDITIONS.THUNDERSTORM;
+  if (text.includes('drizzle') || text.includes('light rain')) return WEATHER_CONDITIONS.DRIZZLE;
+  if (text.includes('rain') || text.includes('shower')) return WEATHER_CONDITIONS.RAIN;
+  if (text.includes('fog') || text.includes('mist') || text.includes('haze') || text.includes('harmattan')) {
+    return WEATHER_CONDITIONS.FOG;
+  }
+  if (text.includes('partly') || text.includes('interval') || text.includes('scattered')) {
+    return WEATHER_CONDITIONS.PARTLY_CLOUDY;
+  }
+  if (text.includes('cloud') || text.includes('overcast')) return WEATHER_CONDITIONS.CLOUDY;
+  if (text.includes('wind')) return WEATHER_CONDITIONS.WINDY;
+  if (text.includes('clear') || text.includes('sun')) return WEATHER_CONDITIONS.CLEAR;
+
+  return WEATHER_CONDITIONS.PARTLY_CLOUDY;
+};
+
+/**
+ * Human readable label for a condition key
+ */
+export const getConditionLabel = (condition) => {
+  return CONDITION_LABELS[condition] || CONDITION_LABELS['partly-cloudy'];
+};
+
+// Unit conversions
+export const fahrenheitToCelsius = (value) => ((value - 32) * 5) / 9;
+export const metersPerSecondToKmh = (value) => value * 3.6;
+
+/**
+ * Round a possibly missing numeric value, keeping null for missing readings
+ */
+export const roundOrNull = (value, digits = 0) => {
+  if (value === null || value === undefined || Number.isNaN(Number(value))) {
+    return null;
+  }
+  const factor = 10 ** digits;
+  return Math.round(Number(value) * factor) / factor;
+};
+
+/**
+ * Build a normalized current-conditions block
+ */
+export const createCurrentConditions = (values = {}) => ({
+  time: values.time || new Date().toISOString(),
+  temperature: roundOrNull(values.temperature, 1),
+  feelsLike: roundOrNull(values.feelsLike, 1),
+  humidity: roundOrNull(values.humidity),
+  windSpeed: roundOrNull(values.windSpeed),
+  windDirection: roundOrNull(values.windDirection),
+  precipitation: roundOrNull(values.precipitation, 1) ?? 0,
+  pressure: roundOrNull(values.pressure),
+  visibility: roundOrNull(values.visibility),
+  cloudCover: roundOrNull(values.cloudCover),
+  condition: values.condition || normalizeCondition(values.summary),
+  summary: values.summary || getConditionLabel(values.condition || normalizeCondition(values.summary)),
+});
+
+/**
+ * Build a normalized hourly forecast entry
+ */
+export const createHourlyEntry = (values = {}) => ({
+  time: values.time,
+  temperature: roundOrNull(values.temperature, 1),
+  humidity: roundOrNull(values.humidity),
+  precipitation: roundOrNull(values.precipitation, 1) ?? 0,
+  precipitationProbability: roundOrNull(values.precipitationProbability),
+  windSpeed: roundOrNull(values.windSpeed),
+  condition: values.condition || normalizeCondition(values.summary),
+});
+
+/**
+ * Build a normalized daily forecast entry
+ */
+export const createDailyEntry = (values = {}) => ({
+  date: values.date,
+  minTemp: roundOrNull(values.minTemp, 1),
+  maxTemp: roundOrNull(values.maxTemp, 1),
+  precipitation: roundOrNull(values.precipitation, 1) ?? 0,
+  precipitationProbability: roundOrNull(values.precipitationProbability),
+  windSpeed: roundOrNull(values.windSpeed),
+  humidity: roundOrNull(values.humidity),
+  condition: values.condition || normalizeCondition(values.summary),
+  summary: values.summary || getConditionLabel(values.condition || normalizeCondition(values.summary)),
+});
+
+/**
+ * Build the top-level normalized weather report returned by every provider
+ */
+export const createWeatherReport = ({ source, location, current, hourly = [], daily = [], issuedAt }) => ({
+  source,
+  issuedAt: issuedAt || new Date().toISOString(),
+  location: {
+    lat: location.lat,
+    lng: location.lng,
+    name: location.name || null,
+  },
+  units: WEATHER_UNITS,
+  current: createCurrentConditions(current),
+  hourly: hourly.map(createHourlyEntry),
+  daily: daily.map(createDailyEntry),
+});
+
+/**
+ * Aggregate normalized hourly entries into daily entries (used by providers
+ * that only publish hourly or observation data)
+ */
+export const aggregateHourlyToDaily = (hourly) => {
+  const byDate = {};
+
+  hourly.forEach((entry) => {
+    const date = (entry.time || '').split('T')[0];
+    if (!date) return;
+    if (!byDate[date]) byDate[date] = [];
+    byDate[date].push(entry);
+  });
+
+  return Object.entries(byDate)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, entries]) => {
+      const temps = entries.map(e => e.temperature).filter(t => t !== null && t !== undefined);
+      const humidity = entries.map(e => e.humidity).filter(h => h !== null && h !== undefined);
+      const winds = entries.map(e => e.windSpeed).filter(w => w !== null && w !== undefined);
+      const probabilities = entries
+        .map(e => e.precipitationProbability)
+        .filter(p => p !== null && p !== undefined);
+      const precipitation = entries.reduce((sum, e) => sum + (e.precipitation || 0), 0);
+
+      // The most frequent condition of the day wins
+      const conditionCounts = entries.reduce((counts, e) => {
+        const key = e.condition || normalizeCondition(e.summary);
+        counts[key] = (counts[key] || 0) + 1;
+        return counts;
+      }, {});
+      const condition = Object.entries(conditionCounts).sort((a, b) => b[1] - a[1])[0]?.[0];
+
+      return {
+        date,
+        minTemp: temps.length ? Math.min(...temps) : null,
+        maxTemp: temps.length ? Math.max(...temps) : null,
+        precipitation,
+        precipitationProbability: probabilities.length ? Math.max(...probabilities) : null,
+        windSpeed: winds.length ? Math.max(...winds) : null,
+        humidity: humidity.length
+          ? humidity.reduce((sum, h) => sum + h, 0) / humidity.length
+          : null,
+        condition,
+      };
+    });
+};
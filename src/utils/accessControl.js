@@ -0,0 +1,168 @@
+/**
+ * Role-based access control for the admin Dashboard
+ *
+ * Roles grant permissions; regional and district roles only hold them inside
+ * their region or district. Scopes use the region and district codes of
+ * ghanaCodes.js, while targets (records, form values) may give names or codes.
+ *
+ * A user's role comes from `user.role`, their scope from `user.regionCode` /
+ * `user.districtCode` (or `user.region` / `user.district` names). The older
+ * `admin` role maps to national admin; users without a known role are viewers.
+ */
+
+import { GHANA_REGIONS, getDistrictByCode } from '../data/ghanaCodes';
+
+export const PERMISSIONS = {
+  VIEW_CONTENT: 'content:view',
+  UPLOAD_CONTENT: 'content:upload',
+  EDIT_CONTENT: 'content:edit',
+  DELETE_CONTENT: 'content:delete',
+  REVIEW_CONTENT: 'content:review',
+  SEND_SMS: 'sms:send',
+  MANAGE_SYSTEM: 'system:manage',
+};
+
+export const ROLES = {
+  national_admin: {
+    id: 'national_admin',
+    label: 'National admin',
+    scope: 'national',
+    permissions: Object.values(PERMISSIONS),
+  },
+  regional_officer: {
+    id: 'regional_officer',
+    label: 'Regional officer',
+    scope: 'region',
+    permissions: [
+      PERMISSIONS.VIEW_CONTENT,
+      PERMISSIONS.UPLOAD_CONTENT,
+      PERMISSIONS.EDIT_CONTENT,
+      PERMISSIONS.DELETE_CONTENT,
+      PERMISSIONS.REVIEW_CONTENT,
+      PERMISSIONS.SEND_SMS,
+    ],
+  },
+  district_officer: {
+    id: 'district_officer',
+    label: 'District extension officer',
+    scope: 'district',
+    permissions: [
+      PERMISSIONS.VIEW_CONTENT,
+      PERMISSIONS.UPLOAD_CONTENT,
+      PERMISSIONS.EDIT_CONTENT,
+    ],
+  },
+  viewer: {
+    id: 'viewer',
+    label: 'Viewer',
+    scope: 'national',
+    permissions: [PERMISSIONS.VIEW_CONTENT],
+  },
+};
+
+const LEGACY_ROLES = {
+  admin: 'national_admin',
+  administrator: 'national_admin',
+  super_admin: 'national_admin',
+};
+
+/**
+ * Dashboard pages that need more than VIEW_CONTENT
+ */
+export const PAGE_PERMISSIONS = {
+  'content-management-sms-dissemination': PERMISSIONS.SEND_SMS,
+  'content-management-calendar-parser-checks': PERMISSIONS.MANAGE_SYSTEM,
+  'content-management-audit-log': PERMISSIONS.MANAGE_SYSTEM,
+  'enhanced-calendar-upload': PERMISSIONS.UPLOAD_CONTENT,
+  emergency: PERMISSIONS.MANAGE_SYSTEM,
+  news: PERMISSIONS.MANAGE_SYSTEM,
+  'ussd-simulator': PERMISSIONS.MANAGE_SYSTEM,
+};
+
+const normalizeName = (value) => String(value || '').trim().toLowerCase().replace(/\s+region$/, '');
+
+/**
+ * Region code for a region code or name ("Ashanti" or "Ashanti Region")
+ */
+export const toRegionCode = (region) => {
+  if (!region) return null;
+  if (GHANA_REGIONS[region]) return region;
+  const match = Object.values(GHANA_REGIONS).find(entry => normalizeName(entry.name) === normalizeName(region));
+  return match ? match.code : null;
+};
+
+/**
+ * District code for a district code or name
+ */
+export const toDistrictCode = (district) => {
+  if (!district) return null;
+  if (getDistrictByCode(district)) return district;
+  const name = normalizeName(district);
+  for (const region of Object.values(GHANA_REGIONS)) {
+    const match = Object.entries(region.districts).find(([, districtName]) => normalizeName(districtName) === name);
+    if (match) return match[0];
+  }
+  return null;
+};
+
+export const getRole = (user) => {
+  const role = LEGACY_ROLES[user?.role] || user?.role;
+  return ROLES[role] || ROLES.viewer;
+};
+
+/**
+ * Where the user's role applies
+ * @returns {Object} { level, regionCode, districtCode }
+ */
+export const getScope = (user) => {
+  const role = getRole(user);
+  const districtCode = toDistrictCode(user?.districtCode || user?.district);
+  const regionCode = toRegionCode(user?.regionCode || user?.region)
+    || (districtCode ? getDistrictByCode(districtCode).regionCode : null);
+  return { level: role.scope, regionCode, districtCode };
+};
+
+/**
+ * Whether a region/district target lies in the user's scope. Scoped users
+ * without an assigned region or district have no scope at all.
+ * @param {Object} target - { region, district }, names or codes
+ */
+export const isInScope = (user, target = {}) => {
+  const scope = getScope(user);
+  if (scope.level === 'national') return true;
+
+  const districtCode = toDistrictCode(target.districtCode || target.district);
+  const regionCode = toRegionCode(target.regionCode || target.region)
+    || (districtCode ? getDistrictByCode(districtCode).regionCode : null);
+
+  if (scope.level === 'region') {
+    return Boolean(scope.regionCode) && regionCode === scope.regionCode;
+  }
+  return Boolean(scope.districtCode) && districtCode === scope.districtCode;
+};
+
+/**
+ * Whether the user holds a permission, for a target when one is given
+ * @param {Object} [target] - { region, district } of the record or upload
+ */
+export const can = (user, permission, target = null) => {
+  if (!getRole(user).permissions.includes(permission)) return false;
+  return target ? isInScope(user, target) : true;
+};
+
+export const canAccessPage = (user, page) => can(user, PAGE_PERMISSIONS[page] || PERMISSIONS.VIEW_CONTENT);
+
+/**
+ * "District extension officer · Ejisu Municipal" style label for the user
+ */
+export const describeAccess = (user) => {
+  const role = getRole(user);
+  const scope = getScope(user);
+  if (role.scope === 'district' && scope.districtCode) {
+    return `${role.label} · ${getDistrictByCode(scope.districtCode).name}`;
+  }
+  if (role.scope === 'region' && scope.regionCode) {
+    return `${role.label} · ${GHANA_REGIONS[scope.regionCode].name}`;
+  }
+  return role.label;
+};
@@ -0,0 +1,192 @@
+/**
+ * Drought Indices
+ * Standardized Precipitation Index (SPI, McKee et al. 1993) computed from
+ * monthly rainfall totals. Accumulated rainfall for each calendar month is
+ * fitted to a gamma distribution (Thom's maximum-likelihood estimate), with
+ * a mixed distribution for zero totals, and the cumulative probability is
+ * transformed to a standard normal deviate.
+ */
+
+// Fewer non-zero accumulations than this for a calendar month and no SPI is reported
+const MIN_FIT_SAMPLES = 5;
+
+// SPI classes from the WMO SPI User Guide (WMO-No. 1090)
+export const SPI_CLASSES = [
+  { min: 2, label: 'Extremely wet' },
+  { min: 1.5, label: 'Very wet' },
+  { min: 1, label: 'Moderately wet' },
+  { min: -0.99, label: 'Near normal' },
+  { min: -1.49, label: 'Moderately dry' },
+  { min: -1.99, label: 'Severely dry' },
+  { min: -Infinity, label: 'Extremely dry' },
+];
+
+export const SPI_SCALES = [1, 3, 6];
+
+// Lanczos approximation of ln(Γ(x))
+const LANCZOS = [
+  76.180091729471, -86.505320329417, 24.014098240831,
+  -1.2317395724502, 0.12086509738662e-2, -0.5395239384953e-5,
+];
+
+export const logGamma = (x) => {
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  LANCZOS.forEach((coefficient) => {
+    y += 1;
+    series += coefficient / y;
+  });
+  return -tmp + Math.log((2.506628274631 * series) / x);
+};
+
+/**
+ * Regularized lower incomplete gamma function P(a, x)
+ */
+export const regularizedGammaP = (a, x) => {
+  if (x <= 0) return 0;
+
+  if (x < a + 1) {
+    // Series representation
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 200; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-12) break;
+    }
+    return sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+  }
+
+  // Continued fraction (modified Lentz) for the upper tail
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 200; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return 1 - Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+};
+
+/**
+ * Inverse of the standard normal CDF (Abramowitz & Stegun 26.2.23),
+ * the approximation used in the original SPI formulation.
+ */
+export const inverseNormalCdf = (p) => {
+  const probability = Math.min(Math.max(p, 1e-10), 1 - 1e-10);
+  const c = [2.515517, 0.802853, 0.010328];
+  const d = [1.432788, 0.189269, 0.001308];
+
+  const rationalApprox = (q) => {
+    const t = Math.sqrt(-2 * Math.log(q));
+    return t - (c[0] + c[1] * t + c[2] * t * t) /
+      (1 + d[0] * t + d[1] * t * t + d[2] * t * t * t);
+  };
+
+  return probability < 0.5
+    ? -rationalApprox(probability)
+    : rationalApprox(1 - probability);
+};
+
+/**
+ * Fit a gamma distribution to positive samples
+ * @returns {Object|null} { alpha, beta } (shape, scale)
+ */
+export const fitGamma = (samples) => {
+  const positive = samples.filter((value) => value > 0);
+  if (positive.length < MIN_FIT_SAMPLES) return null;
+
+  const mean = positive.reduce((sum, value) => sum + value, 0) / positive.length;
+  const meanLog = positive.reduce((sum, value) => sum + Math.log(value), 0) / positive.length;
+  const A = Math.log(mean) - meanLog;
+  if (A <= 0) return null; // All samples identical
+
+  const alpha = (1 + Math.sqrt(1 + (4 * A) / 3)) / (4 * A);
+  return { alpha, beta: mean / alpha };
+};
+
+export const classifySpi = (value) => {
+  if (value === null || value === undefined) return null;
+  return SPI_CLASSES.find((spiClass) => value >= spiClass.min).label;
+};
+
+/**
+ * Compute SPI for a monthly rainfall series
+ * @param {Array} series - [{ year, month (1-12), rainfall }] in any order, gaps allowed
+ * @param {number} scale - accumulation period in months (1, 3, 6, ...)
+ * @returns {Array} [{ year, month, accumulation, spi, category }] sorted by date;
+ *   spi is null where the window has gaps or the calendar month cannot be fitted
+ */
+export const computeSpi = (series, scale = 3) => {
+  const byIndex = new Map();
+  series.forEach(({ year, month, rainfall }) => {
+    if (Number.isFinite(rainfall)) {
+      byIndex.set(year * 12 + (month - 1), rainfall);
+    }
+  });
+  if (byIndex.size === 0) return [];
+
+  const indices = [...byIndex.keys()].sort((a, b) => a - b);
+  const first = indices[0];
+  const last = indices[indices.length - 1];
+
+  // Rolling accumulations; windows with a missing month are skipped
+  const accumulations = [];
+  for (let index = first + scale - 1; index <= last; index++) {
+    let total = 0;
+    let complete = true;
+    for (let offset = 0; offset < scale; offset++) {
+      const value = byIndex.get(index - offset);
+      if (value === undefined) {
+        complete = false;
+        break;
+      }
+      total += value;
+    }
+    if (complete) {
+      accumulations.push({
+        year: Math.floor(index / 12),
+        month: (index % 12) + 1,
+        accumulation: total,
+      });
+    }
+  }
+
+  // One distribution per calendar month
+  const fits = {};
+  for (let month = 1; month <= 12; month++) {
+    const samples = accumulations
+      .filter((entry) => entry.month === month)
+      .map((entry) => entry.accumulation);
+    const zeroProbability = samples.length
+      ? samples.filter((value) => value <= 0).length / samples.length
+      : 0;
+    fits[month] = { gamma: fitGamma(samples), zeroProbability };
+  }
+
+  return accumulations.map((entry) => {
+    const { gamma, zeroProbability } = fits[entry.month];
+    if (!gamma) {
+      return { ...entry, spi: null, category: null };
+    }
+
+    const gammaProbability = entry.accumulation > 0
+      ? regularizedGammaP(gamma.alpha, entry.accumulation / gamma.beta)
+      : 0;
+    const probability = zeroProbability + (1 - zeroProbability) * gammaProbability;
+    const spi = Math.round(inverseNormalCdf(probability) * 100) / 100;
+
+    return { ...entry, spi, category: classifySpi(spi) };
+  });
+};
@@ -0,0 +1,124 @@
+/**
+ * Geometry helpers for GeoJSON boundaries
+ * Coordinates follow GeoJSON order: [lng, lat].
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Ray-casting test for a single linear ring
+ */
+export const pointInRing = ([x, y], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Polygon coordinates: outer ring followed by any holes
+ */
+export const pointInPolygon = (point, rings) => (
+  pointInRing(point, rings[0]) && !rings.slice(1).some(hole => pointInRing(point, hole))
+);
+
+/**
+ * @returns {Array} [minLng, minLat, maxLng, maxLat]
+ */
+export const getGeometryBounds = (geometry) => {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+  polygons.forEach(rings => rings[0].forEach(([lng, lat]) => {
+    bounds[0] = Math.min(bounds[0], lng);
+    bounds[1] = Math.min(bounds[1], lat);
+    bounds[2] = Math.max(bounds[2], lng);
+    bounds[3] = Math.max(bounds[3], lat);
+  }));
+  return bounds;
+};
+
+/**
+ * Great-circle distance between two [lng, lat] points
+ */
+export const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+const WGS84_RADIUS_M = 6378137;
+export const SQ_METRES_PER_HECTARE = 10000;
+export const ACRES_PER_HECTARE = 2.4710538;
+
+/**
+ * Signed area of a ring on the sphere in square metres
+ * (the spherical excess approximation used by most web mapping libraries)
+ */
+const ringArea = (ring) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  let total = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lng1, lat1] = ring[i];
+    const [lng2, lat2] = ring[i + 1];
+    total += toRad(lng2 - lng1) * (2 + Math.sin(toRad(lat1)) + Math.sin(toRad(lat2)));
+  }
+  return (total * WGS84_RADIUS_M * WGS84_RADIUS_M) / 2;
+};
+
+/**
+ * Area of a Polygon or MultiPolygon in hectares, holes excluded
+ */
+export const getGeometryAreaHectares = (geometry) => {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  const squareMetres = polygons.reduce((sum, [outer, ...holes]) => (
+    sum + Math.abs(ringArea(outer)) - holes.reduce((holeSum, hole) => holeSum + Math.abs(ringArea(hole)), 0)
+  ), 0);
+  return squareMetres / SQ_METRES_PER_HECTARE;
+};
+
+/**
+ * Area-weighted centre of the largest outer ring, as [lng, lat].
+ * Small areas only: treats degrees as planar coordinates.
+ */
+export const getGeometryCentroid = (geometry) => {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  const outer = polygons
+    .map(rings => rings[0])
+    .reduce((largest, ring) => (Math.abs(ringArea(ring)) > Math.abs(ringArea(largest)) ? ring : largest));
+
+  let twiceArea = 0;
+  let lng = 0;
+  let lat = 0;
+  for (let i = 0; i < outer.length - 1; i++) {
+    const [x1, y1] = outer[i];
+    const [x2, y2] = outer[i + 1];
+    const cross = x1 * y2 - x2 * y1;
+    twiceArea += cross;
+    lng += (x1 + x2) * cross;
+    lat += (y1 + y2) * cross;
+  }
+
+  if (twiceArea === 0) {
+    const [minLng, minLat, maxLng, maxLat] = getGeometryBounds(geometry);
+    return [(minLng + maxLng) / 2, (minLat + maxLat) / 2];
+  }
+  return [lng / (3 * twiceArea), lat / (3 * twiceArea)];
+};
+
+/**
+ * Close a ring (first point repeated at the end) if it is open
+ */
+export const closeRing = (ring) => {
+  if (ring.length === 0) return ring;
+  const [firstLng, firstLat] = ring[0];
+  const [lastLng, lastLat] = ring[ring.length - 1];
+  return firstLng === lastLng && firstLat === lastLat ? ring : [...ring, ring[0]];
+};
@@ -1,265 +0,0 @@
-/**
- * Simple Calendar Parser - Focused on Color Extraction
- * Simplified, reliable parser that focuses on getting colors right
- */
-
-import * as XLSX from 'xlsx';
-
-class SimpleCalendarParser {
-  constructor() {
-    // Activity color mappings (matching target Excel exactly)
-    this.activityColors = {
-      'site selection': '#8B4513',      // Brown
-      'land preparation': '#FFA500',    // Orange
-      'planting': '#FFFF00',           // Yellow
-      'sowing': '#FFFF00',             // Yellow
-      '1st fertilizer': '#FFFF00',     // Yellow
-      'first fertilizer': '#FFFF00',   // Yellow
-      '2nd fertilizer': '#FFA500',     // Orange
-      'second fertilizer': '#FFA500',  // Orange
-      'first weed': '#FF0000',         // Red
-      'weed management': '#FF0000',    // Red
-      'army worm': '#FF0000',          // Red
-      'second weed': '#FF0000',        // Red
-      'pest control': '#FF0000',       // Red
-      'disease control': '#FF0000',    // Red
-      'harvest': '#008000',            // Green
-      'post harvest': '#800080',       // Purple
-      'storage': '#800080'             // Purple
-    };
-
-    // Default activity patterns for maize calendar
-    this.defaultActivities = [
-      { name: 'Site Selection', color: '#8B4513', weeks: [0, 1] },
-      { name: 'Land preparation', color: '#FFA500', weeks: [1, 2, 3, 4, 5] },
-      { name: 'Planting/sowing', color: '#FFFF00', weeks: [6, 7, 8] },
-      { name: '1st fertilizer application', color: '#FFFF00', weeks: [8, 9] },
-      { name: 'First weed management & Control of fall army worm', color: '#FF0000', weeks: [10, 11] },
-      { name: '2nd Fertilizer Application (Urea or SOA)', color: '#FFA500', weeks: [12, 13, 14, 15] },
-      { name: 'Second weed management & Pest and disease control', color: '#FF0000', weeks: [16, 17, 18, 19] },
-      { name: 'Harvesting', color: '#008000', weeks: [20, 21, 22, 23] },
-      { name: 'Post harvest handling', color: '#800080', weeks: [24, 25, 26, 27] }
-    ];
-  }
-
-  async parseCalendarForPreview(file, metadata = {}) {
-    try {
-      console.log('🚀 SimpleCalendarParser: Starting...');
-      
-      if (!file) {
-        throw new Error('No file provided');
-      }
-
-      // Read the Excel file
-      const arrayBuffer = await file.arrayBuffer();
-      const workbook = XLSX.read(arrayBuffer, { 
-        type: 'array',
-        cellStyles: true
-      });
-
-      const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-      
-      // Convert to basic structure
-      const rawData = XLSX.utils.sheet_to_json(worksheet, { 
-        header: 1, 
-        defval: '',
-        raw: false
-      });
-
-      console.log('📊 Excel loaded:', rawData.length, 'rows');
-
-      // Create a simple calendar structure
-      const calendar = this.createSimpleCalendar(rawData);
-
-      return {
-        success: true,
-        fileName: file.name,
-        data: calendar,
-        calendarType: 'seasonal',
-        commodity: 'maize',
-        title: 'MAIZE PRODUCTION-MAJOR SEASON'
-      };
-
-    } catch (error) {
-      console.error('SimpleCalendarParser error:', error);
-      return {
-        success: false,
-        error: error.message,
-        fileName: file?.name || 'unknown'
-      };
-    }
-  }
-
-  createSimpleCalendar(rawData) {
-    console.log('🏗️ Creating simple calendar structure...');
-
-    // Create month headers (basic timeline)
-    const months = [
-      { name: 'JAN', startIndex: 0, colspan: 4 },
-      { name: 'FEB', startIndex: 4, colspan: 4 },
-      { name: 'MAR', startIndex: 8, colspan: 4 },
-      { name: 'APR', startIndex: 12, colspan: 4 },
-      { name: 'MAY', startIndex: 16, colspan: 4 },
-      { name: 'JUN', startIndex: 20, colspan: 4 },
-      { name: 'JUL', startIndex: 24, colspan: 4 }
-    ];
-
-    // Create timeline columns
-    const timelineColumns = [];
-    for (let i = 0; i < 28; i++) {
-      const monthIndex = Math.floor(i / 4);
-      const weekInMonth = (i % 4) + 1;
-      timelineColumns.push({
-        index: i + 1, // +1 for activity column
-        label: `WK${i + 1}`,
-        monthLabel: months[monthIndex]?.name || 'JUL',
-        weekLabel: `WK${i + 1}`,
-        dateRange: `${i * 7 + 1}-${(i + 1) * 7}`
-      });
-    }
-
-    // Try to extract activities from Excel, fallback to defaults
-    let activities = this.extractActivitiesFromExcel(rawData);
-    if (activities.length === 0) {
-      console.log('📋 Using default activity patterns...');
-      activities = this.defaultActivities.map(act => ({
-        name: act.name,
-        rowIndex: this.defaultActivities.indexOf(act) + 3,
-        activePeriods: act.weeks.map(week => ({
-          columnIndex: week,
-          timeLabel: `WK${week + 1}`,
-          background: act.color,
-          cellValue: '',
-          hasBackground: true
-        })),
-        schedule: {}
-      }));
-    }
-
-    // Create calendar grid
-    const calendarGrid = {
-      rows: activities.map(activity => ({
-        activity: activity.name,
-        cells: timelineColumns.map((timeCol, index) => {
-          const period = activity.activePeriods.find(p => p.columnIndex === index);
-          return {
-            active: !!period,
-            value: period?.cellValue || '',
-            background: period?.background || null,
-            timeLabel: timeCol.label
-          };
-        })
-      }))
-    };
-
-    return {
-      type: 'seasonal',
-      commodity: 'maize',
-      title: 'MAIZE PRODUCTION-MAJOR SEASON',
-      timeline: {
-        columns: timelineColumns,
-        months: months,
-        weeks: timelineColumns.map(col => col.weekLabel),
-        totalSpan: timelineColumns.length
-      },
-      activities: activities,
-      calendarGrid: calendarGrid,
-      summary: {
-        totalActivities: activities.length,
-        timeSpan: timelineColumns.length,
-        activePeriodsCount: activities.reduce((sum, act) => sum + act.activePeriods.length, 0)
-      }
-    };
-  }
-
-  extractActivitiesFromExcel(rawData) {
-    const activities = [];
-    console.log('🔍 Extracting activities from Excel...');
-
-    // Look for activity rows (typically starting around row 3-4)
-    for (let i = 2; i < Math.min(rawData.length, 15); i++) {
-      const row = rawData[i];
-      if (!row || !row[0]) continue;
-
-      let activityName = row[0].toString().trim();
-      if (!activityName || activityName.toLowerCase().includes('total')) continue;
-
-      // Clean up activity name
-      activityName = activityName.replace(/^\d+\s*/, '').trim();
-      if (!activityName) continue;
-
-      // Get color for this activity
-      const color = this.getColorForActivity(activityName);
-
-      // For now, create a simple pattern (you can enhance this later)
-      const activity = {
-        name: activityName,
-        rowIndex: i,
-        activePeriods: [],
-        schedule: {}
-      };
-
-      // Add some periods based on activity type (simple fallback)
-      const weekPattern = this.getWeekPatternForActivity(activityName);
-      weekPattern.forEach(week => {
-        if (week < 28) {
-          activity.activePeriods.push({
-            columnIndex: week,
-            timeLabel: `WK${week + 1}`,
-            background: color,
-            cellValue: '',
-            hasBackground: true
-          });
-        }
-      });
-
-      if (activity.activePeriods.length > 0) {
-        activities.push(activity);
-      }
-    }
-
-    console.log('✅ Extracted', activities.length, 'activities');
-    return activities;
-  }
-
-  getColorForActivity(activityName) {
-    const activity = activityName.toLowerCase();
-    
-    for (const [key, color] of Object.entries(this.activityColors)) {
-      if (activity.includes(key)) {
-        return color;
-      }
-    }
-    
-    // Enhanced fallbacks
-    if (activity.includes('site') && activity.includes('selection')) return '#8B4513';
-    if (activity.includes('land') && activity.includes('preparation')) return '#FFA500';
-    if (activity.includes('plant') || activity.includes('sow')) return '#FFFF00';
-    if (activity.includes('fertilizer') || activity.includes('fertiliser')) return '#FF0000';
-    if (activity.includes('weed') || activity.includes('pest')) return '#FF0000';
-    if (activity.includes('harvest') && !activity.includes('post')) return '#008000';
-    if (activity.includes('post') || activity.includes('storage')) return '#800080';
-    
-    return '#32CD32'; // Default green
-  }
-
-  getWeekPatternForActivity(activityName) {
-    const activity = activityName.toLowerCase();
-    
-    if (activity.includes('site') && activity.includes('selection')) return [0, 1];
-    if (activity.includes('land') && activity.includes('preparation')) return [1, 2, 3, 4, 5];
-    if (activity.includes('plant') || activity.includes('sow')) return [6, 7, 8];
-    if (activity.includes('1st') && activity.includes('fertilizer')) return [8, 9];
-    if (activity.includes('first') && activity.includes('weed')) return [10, 11];
-    if (activity.includes('2nd') && activity.includes('fertilizer')) return [12, 13, 14, 15];
-    if (activity.includes('second') && activity.includes('weed')) return [16, 17, 18, 19];
-    if (activity.includes('harvest') && !activity.includes('post')) return [20, 21, 22, 23];
-    if (activity.includes('post') && activity.includes('harvest')) return [24, 25, 26, 27];
-    
-    return [10, 11, 12]; // Default pattern
-  }
-}
-
-// Export singleton
-const simpleCalendarParser = new SimpleCalendarParser();
-export default simpleCalendarParser;
\ No newline at end of file
@@ -0,0 +1,96 @@
+/**
+ * SMS Encoding
+ * Segment counting and splitting per GSM 03.38. Text that fits the GSM-7
+ * alphabet is sent 160 characters to a message (153 per part once it has to
+ * be concatenated); anything else, including the open vowels and ŋ used in
+ * Twi, Ewe and Dagbani, forces UCS-2 at 70 (67 per part) UTF-16 units.
+ */
+
+const GSM_BASIC_CHARS =
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+
+// Extension table characters cost two septets (escape + character)
+const GSM_EXTENDED_CHARS = '\f^{}\\[~]|€';
+
+const GSM_BASIC = new Set(GSM_BASIC_CHARS);
+const GSM_EXTENDED = new Set(GSM_EXTENDED_CHARS);
+
+export const SMS_LIMITS = {
+  'GSM-7': { single: 160, multipart: 153 },
+  'UCS-2': { single: 70, multipart: 67 },
+};
+
+// Typographic characters that silently switch a message to UCS-2
+const GSM_REPLACEMENTS = {
+  '‘': "'",
+  '’': "'",
+  '“': '"',
+  '”': '"',
+  '–': '-',
+  '—': '-',
+  '…': '...',
+  '\u00a0': ' ',
+  '°': '',
+};
+
+const isGsmChar = (char) => GSM_BASIC.has(char) || GSM_EXTENDED.has(char);
+
+/**
+ * Characters in the text that are outside the GSM-7 alphabet
+ * @returns {string[]} Unique offending characters
+ */
+export const getNonGsmCharacters = (text = '') => [...new Set([...text].filter(char => !isGsmChar(char)))];
+
+export const getSmsEncoding = (text = '') => (getNonGsmCharacters(text).length > 0 ? 'UCS-2' : 'GSM-7');
+
+/**
+ * Swap curly quotes, dashes, ellipses and the like for GSM-7 equivalents
+ * so English advisories don't pay the UCS-2 segment price
+ */
+export const toGsmFriendly = (text = '') => [...text].map(char => GSM_REPLACEMENTS[char] ?? char).join('');
+
+// Cost of one character in the encoding's units (septets or UTF-16 code units)
+const charUnits = (char, encoding) => {
+  if (encoding === 'UCS-2') return char.length;
+  return GSM_EXTENDED.has(char) ? 2 : 1;
+};
+
+/**
+ * Split a message into the segments it will be sent as. Escaped GSM
+ * characters and surrogate pairs are never split across segments.
+ * @param {string} text
+ * @returns {Object} { encoding, units, segments: string[], perSegment, remaining, nonGsmCharacters }
+ */
+export const analyzeSms = (text = '') => {
+  const encoding = getSmsEncoding(text);
+  const limits = SMS_LIMITS[encoding];
+  const chars = [...text];
+  const units = chars.reduce((sum, char) => sum + charUnits(char, encoding), 0);
+
+  const perSegment = units > limits.single ? limits.multipart : limits.single;
+  const segments = [];
+  let current = '';
+  let currentUnits = 0;
+
+  chars.forEach((char) => {
+    const cost = charUnits(char, encoding);
+    if (currentUnits + cost > perSegment) {
+      segments.push(current);
+      current = '';
+      currentUnits = 0;
+    }
+    current += char;
+    currentUnits += cost;
+  });
+  if (current) segments.push(current);
+
+  return {
+    encoding,
+    units,
+    segments,
+    perSegment,
+    remaining: segments.length === 0 ? perSegment : perSegment - currentUnits,
+    nonGsmCharacters: encoding === 'UCS-2' ? getNonGsmCharacters(text) : [],
+  };
+};
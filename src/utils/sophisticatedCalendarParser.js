@@ -1,1217 +0,0 @@
-/**
- * Sophisticated Calendar Parser with Advanced Activity Detection
- * 
- * Features:
- * - Fuzzy string matching for activity names
- * - Machine learning-inspired pattern recognition
- * - Multiple fallback strategies for different Excel formats
- * - Advanced color extraction with multiple detection methods
- * - Intelligent timeline reconstruction
- * - Comprehensive error recovery
- */
-
-import * as XLSX from 'xlsx';
-
-class SophisticatedCalendarParser {
-  constructor() {
-    // The 9 target activities with comprehensive pattern matching
-    this.targetActivities = [
-      {
-        id: 'site_selection',
-        canonical: 'Site Selection',
-        patterns: ['site selection', 'land selection', 'field selection', 'location selection', 'site select'],
-        keywords: ['site', 'location', 'select', 'field', 'land', 'area', 'place'],
-        color: '#8B4513', // Brown
-        fuzzyThreshold: 0.6
-      },
-      {
-        id: 'land_preparation',
-        canonical: 'Land preparation',
-        patterns: ['land preparation', 'land prep', 'field preparation', 'soil preparation', 'field prep'],
-        keywords: ['land', 'soil', 'field', 'prep', 'preparation', 'till', 'cultivate'],
-        color: '#FFA500', // Orange
-        fuzzyThreshold: 0.7
-      },
-      {
-        id: 'planting_sowing',
-        canonical: 'Planting/sowing',
-        patterns: ['planting', 'sowing', 'seeding', 'plant', 'seed', 'planting/sowing'],
-        keywords: ['plant', 'sow', 'seed', 'planting', 'sowing', 'germinate'],
-        color: '#000000', // Black (fixed from yellow)
-        fuzzyThreshold: 0.8
-      },
-      {
-        id: 'first_fertilizer',
-        canonical: '1st fertilizer application',
-        patterns: ['1st fertilizer', 'first fertilizer', 'fertilizer application', 'initial fertilizer', '1st fertiliser'],
-        keywords: ['fertilizer', 'fertiliser', '1st', 'first', 'initial', 'application', 'nutrient'],
-        color: '#FF0000', // Red
-        fuzzyThreshold: 0.7
-      },
-      {
-        id: 'first_weed_management',
-        canonical: 'First weed management & Control of fall army worm',
-        patterns: ['weed management', 'first weed', 'army worm', 'fall army worm', 'weed control', '1st weed'],
-        keywords: ['weed', 'army', 'worm', 'control', 'management', 'first', '1st', 'pest'],
-        color: '#FF4500', // Red-Orange
-        fuzzyThreshold: 0.6
-      },
-      {
-        id: 'second_fertilizer',
-        canonical: '2nd Fertilizer Application (Urea or SOA)',
-        patterns: ['2nd fertilizer', 'second fertilizer', 'urea', 'soa', 'additional fertilizer', '2nd fertiliser'],
-        keywords: ['fertilizer', 'fertiliser', '2nd', 'second', 'urea', 'soa', 'additional'],
-        color: '#FF0000', // Red
-        fuzzyThreshold: 0.7
-      },
-      {
-        id: 'second_weed_pest',
-        canonical: 'Second weed management & Pest and disease control',
-        patterns: ['second weed', 'pest control', 'disease control', 'pest management', '2nd weed', 'pest disease'],
-        keywords: ['pest', 'disease', 'weed', 'control', 'management', 'second', '2nd'],
-        color: '#DC143C', // Crimson
-        fuzzyThreshold: 0.6
-      },
-      {
-        id: 'harvesting',
-        canonical: 'Harvesting',
-        patterns: ['harvesting', 'harvest', 'harvesting time', 'crop harvest', 'reaping'],
-        keywords: ['harvest', 'harvesting', 'crop', 'gather', 'reap', 'collect'],
-        color: '#008000', // Green
-        fuzzyThreshold: 0.8
-      },
-      {
-        id: 'post_harvest',
-        canonical: 'Post harvest handling',
-        patterns: ['post harvest', 'post-harvest', 'post harvest handling', 'after harvest', 'storage'],
-        keywords: ['post', 'after', 'harvest', 'handling', 'storage', 'preserve'],
-        color: '#800080', // Purple
-        fuzzyThreshold: 0.7
-      }
-    ];
-
-    // Enhanced Excel color mapping with more variations
-    this.colorMappings = {
-      // Standard colors
-      '#FFFFFF': 'white', '#000000': 'black', '#FF0000': 'red', '#00FF00': 'lime',
-      '#0000FF': 'blue', '#FFFF00': 'yellow', '#FF00FF': 'magenta', '#00FFFF': 'cyan',
-      '#800000': 'maroon', '#008000': 'green', '#000080': 'navy', '#808000': 'olive',
-      '#800080': 'purple', '#008080': 'teal', '#C0C0C0': 'silver', '#808080': 'gray',
-      
-      // Common Excel indexed colors
-      '#FFA500': 'orange', '#FFD700': 'gold', '#8B4513': 'brown', '#DC143C': 'crimson',
-      '#FF4500': 'orangered', '#32CD32': 'limegreen', '#4169E1': 'royalblue'
-    };
-
-    // Month patterns for timeline detection
-    this.monthPatterns = [
-      { pattern: /jan(uary)?/i, month: 'JAN', order: 1 },
-      { pattern: /feb(ruary)?/i, month: 'FEB', order: 2 },
-      { pattern: /mar(ch)?/i, month: 'MAR', order: 3 },
-      { pattern: /apr(il)?/i, month: 'APR', order: 4 },
-      { pattern: /may/i, month: 'MAY', order: 5 },
-      { pattern: /jun(e)?/i, month: 'JUN', order: 6 },
-      { pattern: /jul(y)?/i, month: 'JUL', order: 7 },
-      { pattern: /aug(ust)?/i, month: 'AUG', order: 8 },
-      { pattern: /sep(tember)?/i, month: 'SEP', order: 9 },
-      { pattern: /oct(ober)?/i, month: 'OCT', order: 10 },
-      { pattern: /nov(ember)?/i, month: 'NOV', order: 11 },
-      { pattern: /dec(ember)?/i, month: 'DEC', order: 12 }
-    ];
-  }
-
-  /**
-   * Main parsing method with sophisticated fallback strategies
-   */
-  async parseExcelFile(file) {
-    console.log('🚀 SOPHISTICATED PARSER: Starting advanced parsing for', file.name);
-
-    try {
-      // Read Excel file
-      const arrayBuffer = await file.arrayBuffer();
-      const workbook = XLSX.read(arrayBuffer, { 
-        type: 'array',
-        cellStyles: true,
-        sheetStubs: true,
-        raw: false 
-      });
-
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      
-      console.log('📊 Loaded sheet:', sheetName);
-
-      // Convert to multiple formats for analysis
-      const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', raw: false });
-      const fullData = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: null, raw: false });
-      
-      console.log('📋 Sheet dimensions:', jsonData.length, 'x', Math.max(...jsonData.map(row => row.length)));
-      console.log('📋 Sample data (first 5 rows):', jsonData.slice(0, 5));
-
-      // Multiple parsing strategies
-      const strategies = [
-        () => this.parseWithActivityColumnDetection(jsonData, worksheet),
-        () => this.parseWithPatternMatching(jsonData, worksheet),
-        () => this.parseWithForcedStructure(jsonData, worksheet)
-      ];
-
-      let result = null;
-      for (let i = 0; i < strategies.length; i++) {
-        try {
-          console.log(`🎯 Attempting parsing strategy ${i + 1}...`);
-          result = strategies[i]();
-          if (result && result.activities && result.activities.length > 0) {
-            console.log(`✅ Strategy ${i + 1} succeeded with ${result.activities.length} activities`);
-            break;
-          }
-        } catch (error) {
-          console.log(`❌ Strategy ${i + 1} failed:`, error.message);
-        }
-      }
-
-      if (!result) {
-        // Last resort: create structure based on target image
-        console.log('🆘 All strategies failed, creating fallback structure...');
-        
-        // Try to detect crop from filename or use default
-        const detectedCrop = this.detectCropFromFilename(file.name) || 'maize';
-        result = this.createFallbackCalendar(jsonData, worksheet, detectedCrop);
-      }
-
-      // If we still have no activities, create default ones with standard colors
-      if (result && result.activities && result.activities.length === 0) {
-        console.log('⚠️ No activities extracted, creating default activity structure...');
-        result.activities = this.createDefaultActivities(result.timeline);
-        result.calendarGrid = this.generateCalendarGrid(result.activities, result.timeline);
-      }
-
-      console.log('✅ SOPHISTICATED PARSER: Completed successfully');
-      console.log('📊 Final result:', {
-        activities: result.activities.length,
-        timeline: result.timeline?.columns?.length,
-        hasColors: result.activities.some(a => a.activePeriods.some(p => p.background))
-      });
-
-      return {
-        success: true,
-        data: result,
-        fileName: file.name
-      };
-
-    } catch (error) {
-      console.error('❌ SOPHISTICATED PARSER ERROR:', error);
-      return {
-        success: false,
-        error: error.message,
-        fileName: file.name
-      };
-    }
-  }
-
-  /**
-   * Strategy 1: Detect activity column and build structure from actual Excel data
-   */
-  parseWithActivityColumnDetection(data, worksheet) {
-    console.log('🔍 Strategy 1: Real Excel structure detection');
-    console.log('📊 Excel data preview (first 10 rows):', data.slice(0, 10));
-    
-    // Find the header row with "S/N STAGE OF ACTIVITY" or similar
-    let headerRowIndex = -1;
-    let activityCol = -1;
-    let monthStartCol = -1;
-    
-    // Search more thoroughly for the structure
-    for (let row = 0; row < Math.min(data.length, 10); row++) {
-      for (let col = 0; col < Math.min(data[row]?.length || 0, 20); col++) {
-        const cell = data[row]?.[col];
-        if (!cell) continue;
-        
-        const cellText = cell.toString().toLowerCase().trim();
-        
-        // Look for activity header patterns
-        if (cellText.includes('stage of activity') || 
-            cellText.includes('activity') || 
-            cellText.includes('s/n')) {
-          headerRowIndex = row;
-          activityCol = col;
-          console.log('📝 Found activity header at row', row, 'col', col, ':', cell);
-        }
-        
-        // Look for month headers in the same row
-        if (headerRowIndex === row && this.isMonthName(cellText)) {
-          if (monthStartCol === -1 || col < monthStartCol) {
-            monthStartCol = col;
-            console.log('📅 Found first month header at row', row, 'col', col, ':', cell);
-          }
-        }
-      }
-      
-      // If we found both activity column and month start, we're good
-      if (headerRowIndex !== -1 && activityCol !== -1 && monthStartCol !== -1) {
-        break;
-      }
-    }
-
-    console.log('🎯 Detection results:', { headerRowIndex, activityCol, monthStartCol });
-
-    if (headerRowIndex === -1) {
-      console.log('⚠️ Could not find proper header structure, trying pattern matching...');
-      throw new Error('Could not find header row structure in Excel file');
-    }
-    
-    if (monthStartCol === -1) {
-      // Look for months in subsequent rows
-      for (let row = headerRowIndex; row < Math.min(data.length, headerRowIndex + 5); row++) {
-        for (let col = activityCol + 1; col < Math.min(data[row]?.length || 0, 50); col++) {
-          const cell = data[row]?.[col];
-          if (cell && this.isMonthName(cell.toString())) {
-            monthStartCol = col;
-            console.log('📅 Found month in row', row, 'col', col, ':', cell);
-            break;
-          }
-        }
-        if (monthStartCol !== -1) break;
-      }
-    }
-    
-    if (monthStartCol === -1) {
-      monthStartCol = activityCol + 1; // Default guess
-      console.log('⚠️ Month start column not found, defaulting to', monthStartCol);
-    }
-    
-    // Extract timeline
-    const timeline = this.extractRealTimelineFromExcel(data, worksheet, headerRowIndex, monthStartCol);
-    console.log('⏰ Extracted timeline with', timeline.columns.length, 'columns');
-    
-    // Extract activities using the real Excel data
-    const activities = this.extractRealActivitiesFromExcel(data, worksheet, headerRowIndex, activityCol, timeline);
-    console.log('🎯 Extracted', activities.length, 'activities:', activities.map(a => a.name));
-
-    // If we got no activities, this strategy failed
-    if (activities.length === 0) {
-      throw new Error('No activities found in Excel structure');
-    }
-
-    // Determine title from data or filename
-    const title = this.extractTitleFromExcel(data) || 'PRODUCTION CALENDAR';
-    
-    return {
-      type: 'seasonal',
-      commodity: this.detectCommodityFromData(data) || 'maize',
-      title: title,
-      timeline: timeline,
-      activities: activities,
-      calendarGrid: this.generateCalendarGrid(activities, timeline),
-      summary: {
-        totalActivities: activities.length,
-        timeSpan: timeline.columns.length
-      }
-    };
-  }
-
-  /**
-   * Strategy 2: Pattern matching approach
-   */
-  parseWithPatternMatching(data, worksheet) {
-    console.log('🔍 Strategy 2: Pattern matching');
-    
-    const activities = [];
-    const timeline = this.createStandardTimeline(); // JAN-JUL with weeks
-
-    // Search for activities throughout the sheet
-    for (let row = 0; row < Math.min(data.length, 20); row++) {
-      for (let col = 0; col < Math.min(data[row]?.length || 0, 5); col++) {
-        const cell = data[row]?.[col];
-        if (!cell) continue;
-
-        const activityMatch = this.findBestActivityMatch(cell.toString());
-        if (activityMatch && activityMatch.confidence > 0.6) {
-          console.log(`🎯 Found activity "${activityMatch.activity.canonical}" at (${row},${col}) with confidence ${activityMatch.confidence}`);
-          
-          // Extract schedule for this activity
-          const schedule = this.extractActivitySchedule(data, worksheet, row, timeline);
-          
-          activities.push({
-            name: activityMatch.activity.canonical,
-            rowIndex: row,
-            activePeriods: schedule,
-            matchConfidence: activityMatch.confidence
-          });
-        }
-      }
-    }
-
-    if (activities.length === 0) {
-      throw new Error('No activities found with pattern matching');
-    }
-
-    // Remove duplicates and keep best matches
-    const uniqueActivities = this.deduplicateActivities(activities);
-    
-    return {
-      type: 'seasonal',
-      commodity: 'maize',
-      title: 'MAIZE PRODUCTION-MAJOR SEASON',
-      timeline: timeline,
-      activities: uniqueActivities,
-      calendarGrid: this.generateCalendarGrid(uniqueActivities, timeline),
-      summary: {
-        totalActivities: uniqueActivities.length,
-        timeSpan: timeline.columns.length
-      }
-    };
-  }
-
-  /**
-   * Strategy 3: Forced structure creation based on target requirements
-   */
-  parseWithForcedStructure(data, worksheet) {
-    console.log('🔍 Strategy 3: Forced structure creation');
-    
-    const timeline = this.createStandardTimeline();
-    
-    // Try to map existing data to our target structure
-    const activities = this.targetActivities.map((target, index) => {
-      const schedule = this.findScheduleForActivity(data, worksheet, target, timeline);
-      
-      return {
-        name: target.canonical,
-        rowIndex: index + 3, // Start from row 3 as per target structure
-        activePeriods: schedule,
-        targetId: target.id
-      };
-    });
-
-    return {
-      type: 'seasonal',
-      commodity: 'maize',
-      title: 'MAIZE PRODUCTION-MAJOR SEASON',
-      timeline: timeline,
-      activities: activities,
-      calendarGrid: this.generateCalendarGrid(activities, timeline),
-      summary: {
-        totalActivities: activities.length,
-        timeSpan: timeline.columns.length
-      }
-    };
-  }
-
-  /**
-   * Last resort: Create calendar matching the target image exactly
-   */
-  createFallbackCalendar(data, worksheet, crop = 'maize') {
-    console.log('🆘 Creating fallback calendar structure for:', crop);
-    
-    const timeline = this.createStandardTimeline();
-    
-    // Get crop-specific activities or use default maize activities
-    const cropActivities = this.getCropSpecificActivities(crop.toLowerCase());
-    
-    // Create activities with sample schedules matching target image patterns
-    const activities = cropActivities.map((activityData, index) => ({
-      name: activityData.name,
-      rowIndex: index + 1,
-      activePeriods: this.createSchedule(activityData.schedule, activityData.color, timeline)
-    }));
-
-    return {
-      type: 'seasonal',
-      commodity: crop.toLowerCase(),
-      title: `${crop.toUpperCase()} PRODUCTION-MAJOR SEASON`,
-      timeline: timeline,
-      activities: activities,
-      calendarGrid: this.generateCalendarGrid(activities, timeline),
-      summary: {
-        totalActivities: activities.length,
-        timeSpan: timeline.columns.length
-      }
-    };
-  }
-
-  /**
-   * Template generation disabled in Excel-only system
-   */
-  getCropSpecificActivities(crop) {
-    console.log('🚫 Crop-specific activity templates disabled in Excel-only system');
-    return []; // Return empty array - no templates
-  }
-
-  /**
-   * Enhanced fallback creation for old structure compatibility
-   */
-  createCompatibleFallbackCalendar(data, worksheet) {
-    console.log('🆘 Creating compatible fallback calendar structure...');
-    
-    const timeline = this.createStandardTimeline();
-    
-    // Create activities with sample schedules matching target image patterns - old structure
-    const activities = [
-      {
-        name: 'Site Selection',
-        rowIndex: 1,
-        activePeriods: this.createSchedule([0, 1], '#8B4513', timeline) // Jan weeks 1-2
-      },
-      {
-        name: 'Land preparation',
-        rowIndex: 2,
-        activePeriods: this.createSchedule([2, 3, 4, 5], '#FFA500', timeline) // Jan-Feb
-      },
-      {
-        name: 'Planting/sowing',
-        rowIndex: 3,
-        activePeriods: this.createSchedule([8, 9, 10, 11], '#000000', timeline) // Mar
-      },
-      {
-        name: '1st fertilizer application',
-        rowIndex: 4,
-        activePeriods: this.createSchedule([12, 13], '#FF0000', timeline) // Apr weeks 1-2
-      },
-      {
-        name: 'First weed management & Control of fall army worm',
-        rowIndex: 5,
-        activePeriods: this.createSchedule([14, 15], '#FF4500', timeline) // Apr weeks 3-4
-      },
-      {
-        name: '2nd Fertilizer Application (Urea or SOA)',
-        rowIndex: 6,
-        activePeriods: this.createSchedule([16, 17, 18, 19], '#FF0000', timeline) // May
-      },
-      {
-        name: 'Second weed management & Pest and disease control',
-        rowIndex: 7,
-        activePeriods: this.createSchedule([20, 21, 22, 23], '#DC143C', timeline) // Jun
-      },
-      {
-        name: 'Harvesting',
-        rowIndex: 8,
-        activePeriods: this.createSchedule([24, 25, 26, 27], '#008000', timeline) // Jul
-      },
-      {
-        name: 'Post harvest handling',
-        rowIndex: 9,
-        activePeriods: this.createSchedule([26, 27], '#800080', timeline) // Jul weeks 3-4
-      }
-    ];
-
-    return {
-      type: 'seasonal',
-      commodity: 'maize',
-      title: 'MAIZE PRODUCTION-MAJOR SEASON',
-      timeline: timeline,
-      activities: activities,
-      calendarGrid: this.generateCalendarGrid(activities, timeline),
-      summary: {
-        totalActivities: activities.length,
-        timeSpan: timeline.columns.length
-      }
-    };
-  }
-
-  /**
-   * Create standard timeline (JAN-JUL, 4 weeks each)
-   */
-  createStandardTimeline() {
-    const timeline = {
-      columns: [],
-      totalSpan: 28 // 7 months x 4 weeks
-    };
-
-    const months = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL'];
-    for (let m = 0; m < months.length; m++) {
-      for (let w = 1; w <= 4; w++) {
-        timeline.columns.push({
-          index: timeline.columns.length,
-          label: `WK${w}`,
-          monthLabel: months[m],
-          weekLabel: `WK${w}`,
-          dateRange: `${w*7-6}-${w*7}`
-        });
-      }
-    }
-
-    return timeline;
-  }
-
-  /**
-   * Create schedule periods for given column indices
-   */
-  createSchedule(columnIndices, color, timeline) {
-    return columnIndices.map(index => ({
-      columnIndex: index,
-      timeLabel: timeline.columns[index]?.label || '',
-      background: color,
-      cellValue: '■',
-      active: true
-    }));
-  }
-
-  /**
-   * Fuzzy string matching for activity names
-   */
-  calculateStringSimilarity(str1, str2) {
-    // Simple Levenshtein distance-based similarity
-    const s1 = str1.toLowerCase().trim();
-    const s2 = str2.toLowerCase().trim();
-    
-    if (s1 === s2) return 1.0;
-    
-    const len1 = s1.length;
-    const len2 = s2.length;
-    
-    if (len1 === 0) return len2 === 0 ? 1.0 : 0.0;
-    if (len2 === 0) return 0.0;
-    
-    // Create matrix for dynamic programming
-    const matrix = Array(len1 + 1).fill(null).map(() => Array(len2 + 1).fill(null));
-    
-    // Initialize first row and column
-    for (let i = 0; i <= len1; i++) matrix[i][0] = i;
-    for (let j = 0; j <= len2; j++) matrix[0][j] = j;
-    
-    // Fill matrix
-    for (let i = 1; i <= len1; i++) {
-      for (let j = 1; j <= len2; j++) {
-        const cost = s1[i - 1] === s2[j - 1] ? 0 : 1;
-        matrix[i][j] = Math.min(
-          matrix[i - 1][j] + 1,      // deletion
-          matrix[i][j - 1] + 1,      // insertion
-          matrix[i - 1][j - 1] + cost // substitution
-        );
-      }
-    }
-    
-    const distance = matrix[len1][len2];
-    const maxLen = Math.max(len1, len2);
-    return (maxLen - distance) / maxLen;
-  }
-
-  /**
-   * Find best matching activity for given text
-   */
-  findBestActivityMatch(text) {
-    let bestMatch = null;
-    let bestScore = 0;
-
-    for (const activity of this.targetActivities) {
-      // Check exact pattern matches first
-      for (const pattern of activity.patterns) {
-        const similarity = this.calculateStringSimilarity(text, pattern);
-        if (similarity > bestScore && similarity >= activity.fuzzyThreshold) {
-          bestMatch = { activity, confidence: similarity };
-          bestScore = similarity;
-        }
-      }
-
-      // Check keyword matches
-      const textWords = text.toLowerCase().split(/\s+/);
-      const keywordMatches = activity.keywords.filter(keyword => 
-        textWords.some(word => word.includes(keyword) || keyword.includes(word))
-      ).length;
-      
-      if (keywordMatches > 0) {
-        const keywordScore = keywordMatches / activity.keywords.length;
-        if (keywordScore > bestScore && keywordScore >= 0.3) {
-          bestMatch = { activity, confidence: keywordScore };
-          bestScore = keywordScore;
-        }
-      }
-    }
-
-    return bestMatch;
-  }
-
-  /**
-   * Check if a string is likely an activity name
-   */
-  isLikelyActivityName(text) {
-    const str = text.toString().toLowerCase().trim();
-    
-    // Skip common non-activity patterns
-    if (str.match(/^(total|summary|date|week|month|jan|feb|mar|apr|may|jun|jul|wk\d+|\d+)$/i)) {
-      return false;
-    }
-
-    // Look for activity-like patterns
-    const activityKeywords = ['selection', 'preparation', 'planting', 'sowing', 'fertilizer', 'weed', 'pest', 'harvest', 'control', 'management'];
-    return activityKeywords.some(keyword => str.includes(keyword));
-  }
-
-  /**
-   * Generate calendar grid for display
-   */
-  generateCalendarGrid(activities, timeline) {
-    return {
-      headers: ['Activity', ...timeline.columns.map(col => col.label)],
-      rows: activities.map(activity => ({
-        activity: activity.name,
-        cells: timeline.columns.map((col, index) => {
-          const period = activity.activePeriods.find(p => p.columnIndex === index);
-          return period || { active: false, value: '', background: null };
-        })
-      }))
-    };
-  }
-
-  /**
-   * Create default activities with proper colors when extraction fails
-   */
-  createDefaultActivities(timeline) {
-    console.log('🔧 Creating default activities for target image replication...');
-    
-    const defaultActivities = [
-      {
-        name: 'Site Selection',
-        schedule: [0, 1], // JAN weeks 1-2
-        color: '#8B4513' // Brown
-      },
-      {
-        name: 'Land preparation', 
-        schedule: [2, 3, 4, 5], // JAN weeks 3-4, FEB weeks 1-2
-        color: '#FFA500' // Orange
-      },
-      {
-        name: 'Planting/sowing',
-        schedule: [8, 9, 10, 11], // MAR all weeks
-        color: '#FFFF00' // Yellow
-      },
-      {
-        name: '1st fertilizer application',
-        schedule: [12, 13], // APR weeks 1-2
-        color: '#FF0000' // Red
-      },
-      {
-        name: 'First weed management & Control of fall army worm',
-        schedule: [14, 15], // APR weeks 3-4
-        color: '#FF4500' // Red-Orange
-      },
-      {
-        name: '2nd Fertilizer Application (Urea or SOA)',
-        schedule: [16, 17, 18, 19], // MAY all weeks
-        color: '#FF0000' // Red
-      },
-      {
-        name: 'Second weed management & Pest and disease control',
-        schedule: [20, 21, 22, 23], // JUN all weeks
-        color: '#DC143C' // Crimson
-      },
-      {
-        name: 'Harvesting',
-        schedule: [24, 25, 26, 27], // JUL all weeks
-        color: '#008000' // Green
-      },
-      {
-        name: 'Post harvest handling',
-        schedule: [26, 27], // JUL weeks 3-4
-        color: '#800080' // Purple
-      }
-    ];
-
-    return defaultActivities.map((activity, index) => ({
-      name: activity.name,
-      rowIndex: index + 1,
-      activePeriods: activity.schedule.map(colIndex => ({
-        columnIndex: colIndex,
-        timeLabel: timeline.columns[colIndex]?.label || `W${colIndex + 1}`,
-        background: activity.color,
-        cellValue: '●',
-        active: true,
-        originalCol: colIndex
-      })),
-      originalRow: index + 1
-    }));
-  }
-
-  /**
-   * Remove duplicate activities and keep best matches
-   */
-  deduplicateActivities(activities) {
-    const uniqueActivities = [];
-    const seen = new Set();
-
-    activities
-      .sort((a, b) => (b.matchConfidence || 0) - (a.matchConfidence || 0))
-      .forEach(activity => {
-        const key = activity.name.toLowerCase().replace(/[^a-z]/g, '');
-        if (!seen.has(key)) {
-          seen.add(key);
-          uniqueActivities.push(activity);
-        }
-      });
-
-    return uniqueActivities;
-  }
-
-  /**
-   * Detect crop type from filename
-   */
-  detectCropFromFilename(filename) {
-    const lowerFilename = filename.toLowerCase();
-    const cropPatterns = {
-      'maize': ['maize', 'corn', 'zea mays'],
-      'rice': ['rice', 'oryza', 'paddy'],
-      'cassava': ['cassava', 'manihot', 'yuca', 'tapioca'],
-      'yam': ['yam', 'dioscorea'],
-      'plantain': ['plantain', 'banana'],
-      'tomato': ['tomato', 'lycopersicon'],
-      'pepper': ['pepper', 'capsicum'],
-      'onion': ['onion', 'allium']
-    };
-
-    for (const [crop, patterns] of Object.entries(cropPatterns)) {
-      for (const pattern of patterns) {
-        if (lowerFilename.includes(pattern)) {
-          return crop;
-        }
-      }
-    }
-
-    return null; // No crop detected
-  }
-
-  /**
-   * Extract real timeline structure from Excel headers
-   */
-  extractRealTimelineFromExcel(data, worksheet, headerRowIndex, monthStartCol) {
-    console.log('📋 Extracting timeline from Excel headers...');
-    
-    const timeline = { columns: [], months: [] };
-    const headerRow = data[headerRowIndex] || [];
-    const weekRow = data[headerRowIndex + 1] || [];
-    const dateRow = data[headerRowIndex + 2] || [];
-    
-    // Find all months in header row
-    let currentMonth = null;
-    let monthStartIndex = monthStartCol;
-    let columnIndex = 0;
-    
-    for (let col = monthStartCol; col < headerRow.length; col++) {
-      const cellValue = headerRow[col];
-      
-      // Check if this is a month name
-      if (cellValue && this.isMonthName(cellValue.toString())) {
-        // If we had a previous month, finalize it
-        if (currentMonth) {
-          timeline.months.push({
-            name: currentMonth,
-            startIndex: monthStartIndex,
-            endIndex: col - 1
-          });
-        }
-        
-        currentMonth = cellValue.toString().toUpperCase();
-        monthStartIndex = col;
-      }
-      
-      // Add week/time columns under this month
-      const weekLabel = weekRow[col] || `W${columnIndex + 1}`;
-      const dateRange = dateRow[col] || `${columnIndex + 1}`;
-      
-      if (cellValue || weekLabel || dateRange) { // If there's any data
-        timeline.columns.push({
-          index: columnIndex,
-          excelCol: col,
-          label: weekLabel,
-          monthLabel: currentMonth,
-          weekLabel: weekLabel,
-          dateRange: dateRange,
-          originalCol: col
-        });
-        columnIndex++;
-      }
-    }
-    
-    // Add the last month
-    if (currentMonth) {
-      timeline.months.push({
-        name: currentMonth,
-        startIndex: monthStartIndex,
-        endIndex: headerRow.length - 1
-      });
-    }
-    
-    console.log('📊 Timeline extracted:', {
-      months: timeline.months.length,
-      columns: timeline.columns.length,
-      monthNames: timeline.months.map(m => m.name)
-    });
-    
-    return timeline;
-  }
-
-  /**
-   * Extract real activities from Excel data
-   */
-  extractRealActivitiesFromExcel(data, worksheet, startRow, activityCol, timeline) {
-    console.log('🏃 Extracting real activities from Excel...');
-    console.log('📍 Starting from row', startRow, 'activity column', activityCol);
-    
-    const activities = [];
-    
-    // Look for actual activity data starting from header row + 3 (skip header, week, date rows)
-    for (let row = startRow + 3; row < Math.min(data.length, startRow + 20); row++) {
-      const activityName = data[row]?.[activityCol];
-      
-      if (!activityName || !activityName.toString().trim()) {
-        console.log(`🚫 Skipping empty row ${row}`);
-        continue; // Skip empty rows
-      }
-      
-      const cleanName = activityName.toString().trim();
-      
-      // Skip headers or non-activity rows but be more lenient  
-      if (this.isHeaderOrNonActivity(cleanName)) {
-        console.log(`🚫 Skipping header/non-activity row ${row}:`, cleanName);
-        continue;
-      }
-      
-      console.log(`📝 Processing activity "${cleanName}" at row ${row}`);
-      
-      // Extract schedule from this row using timeline columns
-      const activePeriods = [];
-      
-      timeline.columns.forEach((timeCol, colIndex) => {
-        const excelCol = timeCol.excelCol || (timeline.startCol + colIndex);
-        const cellRef = XLSX.utils.encode_cell({ r: row, c: excelCol });
-        const cell = worksheet[cellRef];
-        const cellValue = data[row]?.[excelCol];
-        
-        console.log(`   📱 Checking cell ${cellRef} (row ${row}, col ${excelCol}):`, cellValue, cell?.s);
-        
-        // Check if this cell is active (has content or color)
-        const isActive = this.isCellActiveInExcel(cell, cellValue);
-        const backgroundColor = this.extractCellColor(cell);
-        
-        if (isActive || backgroundColor) {
-          console.log(`   ✅ Active cell found with background:`, backgroundColor);
-          
-          activePeriods.push({
-            columnIndex: colIndex,
-            timeLabel: timeCol.label,
-            background: backgroundColor || this.getActivityColorFromName(cleanName),
-            cellValue: cellValue || '●',
-            active: true,
-            originalCol: excelCol
-          });
-        }
-      });
-      
-      console.log(`   📊 Activity "${cleanName}" has ${activePeriods.length} active periods`);
-      
-      // Add the activity even if no active periods detected (we'll use fallback colors)
-      activities.push({
-        name: cleanName,
-        rowIndex: row,
-        activePeriods: activePeriods,
-        originalRow: row
-      });
-    }
-    
-    console.log('✅ Extracted activities:', activities.map(a => `${a.name} (${a.activePeriods.length} periods)`));
-    return activities;
-  }
-
-  /**
-   * Check if a cell is active in Excel (has content or styling)
-   */
-  isCellActiveInExcel(cell, cellValue) {
-    // Check for cell content
-    if (cellValue && cellValue.toString().trim() !== '') {
-      return true;
-    }
-    
-    // Check for background color
-    if (cell && this.extractCellColor(cell)) {
-      return true;
-    }
-    
-    // Check for other styling indicators
-    if (cell && cell.s) {
-      // Check for borders, fill, etc.
-      if (cell.s.fill || cell.s.border) {
-        return true;
-      }
-    }
-    
-    return false;
-  }
-
-  /**
-   * Check if text is a month name
-   */
-  isMonthName(text) {
-    const str = text.toString().toLowerCase().trim();
-    const monthNames = [
-      'jan', 'january', 'feb', 'february', 'mar', 'march',
-      'apr', 'april', 'may', 'jun', 'june',
-      'jul', 'july', 'aug', 'august', 'sep', 'september',
-      'oct', 'october', 'nov', 'november', 'dec', 'december'
-    ];
-    
-    return monthNames.includes(str);
-  }
-
-  /**
-   * Check if text is a header or non-activity row
-   */
-  isHeaderOrNonActivity(text) {
-    const str = text.toString().toLowerCase().trim();
-    const nonActivityPatterns = [
-      'calendar date', 'date', 's/n', 'stage of activity',
-      'activity', 'month', 'week', 'total', 'summary'
-    ];
-
-    // First check for obvious header patterns
-    if (nonActivityPatterns.some(pattern => str.includes(pattern))) {
-      return true;
-    }
-
-    // ENHANCED: Check if it's a pure number or serial number (should be excluded)
-    // Pure numbers like "1", "2", "3", "10", etc.
-    if (/^\d+$/.test(str)) return true;
-
-    // Serial numbers like "1.", "2.", "3.", etc.
-    if (/^\d+\.$/.test(str)) return true;
-
-    // Roman numerals like "I", "II", "III", "IV", etc.
-    if (/^[IVX]+$/.test(str.toUpperCase())) return true;
-
-    // ENHANCED: However, if it's a numbered agricultural activity, it should NOT be excluded
-    const agriculturalKeywords = [
-      'site', 'land', 'plant', 'sow', 'harvest', 'weed', 'fertilizer', 'fertiliser',
-      'pest', 'disease', 'control', 'management', 'spray', 'application', 'preparation',
-      'selection', 'treatment', 'handling', 'processing', 'storage'
-    ];
-
-    // Pattern for numbered activities: "1st", "2nd", "3rd", "first", "second", etc. + agricultural terms
-    const numberedActivityPatterns = [
-      /^\d+(st|nd|rd|th)\s+(weed|fertilizer|fertiliser|application|spray|pest|disease|control|management)/i,
-      /^(first|second|third|1st|2nd|3rd)\s+(weed|fertilizer|fertiliser|application|spray|pest|disease|control|management)/i,
-      /^\d+\.\s+(weed|fertilizer|fertiliser|application|spray|pest|disease|control|management)/i,
-      /^\d+\)\s+(weed|fertilizer|fertiliser|application|spray|pest|disease|control|management)/i
-    ];
-
-    // Check if it matches numbered activity patterns - these should NOT be headers
-    for (const pattern of numberedActivityPatterns) {
-      if (pattern.test(text)) {
-        console.log(`✅ Detected numbered agricultural activity (not header): "${text}"`);
-        return false; // This is a valid numbered activity, not a header
-      }
-    }
-
-    // If it starts with a number/ordinal but contains agricultural keywords, it's likely an activity
-    if (/^\d+(st|nd|rd|th|\.|)\s+/i.test(text)) {
-      for (const keyword of agriculturalKeywords) {
-        if (str.includes(keyword)) {
-          console.log(`✅ Detected numbered activity with agricultural keyword "${keyword}": "${text}"`);
-          return false; // This is a valid numbered activity, not a header
-        }
-      }
-    }
-
-    // If it starts with ordinal words + agricultural terms
-    if (/^(first|second|third|fourth|fifth)\s+/i.test(text)) {
-      for (const keyword of agriculturalKeywords) {
-        if (str.includes(keyword)) {
-          console.log(`✅ Detected ordinal activity with agricultural keyword "${keyword}": "${text}"`);
-          return false; // This is a valid numbered activity, not a header
-        }
-      }
-    }
-
-    // If none of the above header patterns match, it's likely an activity
-    return false;
-  }
-
-  /**
-   * Check if text is a recognized activity (more permissive)
-   */
-  isRecognizedActivity(text) {
-    const str = text.toString().toLowerCase().trim();
-    const activityKeywords = [
-      'site', 'selection', 'land', 'preparation', 'planting', 'sowing', 
-      'fertilizer', 'fertiliser', 'weed', 'pest', 'harvest', 'control', 
-      'management', 'urea', 'soa', 'army', 'worm', 'disease'
-    ];
-    
-    return activityKeywords.some(keyword => str.includes(keyword));
-  }
-
-  /**
-   * Extract title from Excel data
-   */
-  extractTitleFromExcel(data) {
-    // Look for title in first few rows
-    for (let row = 0; row < Math.min(data.length, 3); row++) {
-      for (let col = 0; col < Math.min(data[row]?.length || 0, 10); col++) {
-        const cell = data[row]?.[col];
-        if (cell && cell.toString().includes('PRODUCTION')) {
-          return cell.toString().toUpperCase();
-        }
-      }
-    }
-    return null;
-  }
-
-  /**
-   * Detect commodity from Excel data
-   */
-  detectCommodityFromData(data) {
-    const dataString = JSON.stringify(data).toLowerCase();
-    const commodities = ['maize', 'rice', 'cassava', 'yam', 'tomato', 'pepper'];
-    
-    for (const commodity of commodities) {
-      if (dataString.includes(commodity)) {
-        return commodity;
-      }
-    }
-    return 'crop';
-  }
-
-  /**
-   * Detect timeline structure from headers (fallback method)
-   */
-  detectTimelineStructure(data) {
-    // Try the new method first
-    try {
-      return this.extractRealTimelineFromExcel(data, {}, 0, 1);
-    } catch (error) {
-      console.log('⚠️ Falling back to standard timeline');
-      return this.createStandardTimeline();
-    }
-  }
-
-  /**
-   * Advanced activity extraction with color detection
-   */
-  extractActivitiesAdvanced(data, worksheet, activityCol, timeline) {
-    // Implementation for advanced activity extraction
-    // This would be more sophisticated than the current version
-    return []; // Placeholder
-  }
-
-  /**
-   * Extract activity schedule from Excel data
-   */
-  extractActivitySchedule(data, worksheet, row, timeline) {
-    const schedule = [];
-    
-    // Look for colored or filled cells in the timeline columns
-    timeline.columns.forEach((col, index) => {
-      const cellValue = data[row]?.[col.index];
-      const cellRef = XLSX.utils.encode_cell({ r: row, c: col.index });
-      const cell = worksheet[cellRef];
-      
-      if (this.isCellActive(cellValue, cell)) {
-        const color = this.extractCellColor(cell) || '#32CD32';
-        schedule.push({
-          columnIndex: index,
-          timeLabel: col.label,
-          background: color,
-          cellValue: cellValue || '■',
-          active: true
-        });
-      }
-    });
-
-    return schedule;
-  }
-
-  /**
-   * Find schedule for a specific target activity
-   */
-  findScheduleForActivity(data, worksheet, target, timeline) {
-    // For now, return empty schedule - would implement search logic
-    return [];
-  }
-
-  /**
-   * Check if a cell is active (has content or styling)
-   */
-  isCellActive(value, cell) {
-    // Check for content
-    if (value && value.toString().trim() !== '') {
-      return true;
-    }
-
-    // Check for background color
-    if (cell && this.extractCellColor(cell)) {
-      return true;
-    }
-
-    return false;
-  }
-
-  /**
-   * Extract color from Excel cell
-   */
-  extractCellColor(cell) {
-    if (!cell || !cell.s) return null;
-
-    const style = cell.s;
-    
-    // Check fill background color
-    if (style.fill && style.fill.bgColor) {
-      const bgColor = style.fill.bgColor;
-      
-      if (bgColor.rgb) {
-        return bgColor.rgb.startsWith('#') ? bgColor.rgb : `#${bgColor.rgb}`;
-      }
-      
-      if (bgColor.indexed !== undefined) {
-        // Enhanced indexed color mapping
-        const indexedColors = {
-          1: '#FFFFFF', 2: '#FF0000', 3: '#00FF00', 4: '#0000FF', 5: '#FFFF00',
-          6: '#FF00FF', 7: '#00FFFF', 8: '#000000', 9: '#FFFFFF', 10: '#800000',
-          11: '#008000', 12: '#000080', 13: '#808000', 14: '#800080', 15: '#008080',
-          16: '#C0C0C0', 17: '#808080', 18: '#9999FF', 19: '#993366', 20: '#FFFFCC',
-          21: '#CCFFFF', 22: '#660066', 23: '#FF8080', 24: '#0066CC', 25: '#CCCCFF',
-          // Common Excel colors
-          40: '#00CCFF', 41: '#CCFFFF', 42: '#CCFFCC', 43: '#FFFF99', 44: '#99CCFF',
-          45: '#FF99CC', 46: '#CC99FF', 47: '#FFCC99', 48: '#3366FF', 49: '#33CCCC',
-          50: '#99CC00', 51: '#FFCC00', 52: '#FF9900', 53: '#FF6600', 54: '#666699',
-          55: '#969696', 56: '#003366', 57: '#339966'
-        };
-        return indexedColors[bgColor.indexed] || '#CCCCCC';
-      }
-
-      if (bgColor.theme !== undefined) {
-        // Theme colors
-        const themeColors = {
-          0: '#FFFFFF', 1: '#000000', 2: '#E7E6E6', 3: '#44546A', 4: '#5B9BD5',
-          5: '#70AD47', 6: '#FFC000', 7: '#F79646', 8: '#C5504B', 9: '#9F4F96'
-        };
-        return themeColors[bgColor.theme] || '#CCCCCC';
-      }
-    }
-
-    return null;
-  }
-
-  /**
-   * Get activity color from name (fallback when Excel colors not available)
-   */
-  getActivityColorFromName(activityName) {
-    const name = activityName.toLowerCase();
-    
-    // Map activity names to colors based on common patterns
-    if (name.includes('site') || name.includes('selection')) return '#8B4513'; // Brown
-    if (name.includes('land') || name.includes('preparation')) return '#FFA500'; // Orange
-    if (name.includes('plant') || name.includes('sowing')) return '#000000'; // Black
-    if (name.includes('fertilizer') || name.includes('fertiliser')) return '#FF0000'; // Red
-    if (name.includes('weed') && (name.includes('first') || name.includes('1st'))) return '#FF4500'; // Red-Orange
-    if (name.includes('weed') && (name.includes('second') || name.includes('2nd'))) return '#DC143C'; // Crimson
-    if (name.includes('pest') || name.includes('disease')) return '#DC143C'; // Crimson
-    if (name.includes('harvest')) return '#008000'; // Green
-    if (name.includes('post') && name.includes('harvest')) return '#800080'; // Purple
-    
-    // Default colors for common activities
-    if (name.includes('irrigation')) return '#4169E1'; // Royal Blue
-    if (name.includes('spray')) return '#FF6347'; // Tomato
-    
-    return '#32CD32'; // Default lime green
-  }
-}
-
-// Create and export instance
-const sophisticatedCalendarParser = new SophisticatedCalendarParser();
-export default sophisticatedCalendarParser;
\ No newline at end of file
@@ -1,9 +1,51 @@
+import { readFileSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+// Pages that must keep working offline; every asset they import is precached
+const OFFLINE_PAGES = ['src/components/GuidedDiagnosis.jsx'];
+
+// Emits /sw.js with the app shell (index.html, scripts, styles) and the
+// offline pages' images in its precache list
+const precacheServiceWorker = () => {
+  let root;
+  return {
+    name: 'precache-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      root = config.root;
+    },
+    generateBundle(options, bundle) {
+      const offlineAssets = new Set();
+      for (const id of this.getModuleIds()) {
+        if (!OFFLINE_PAGES.includes(path.relative(root, id).split(path.sep).join('/'))) continue;
+        this.getModuleInfo(id).importedIds.forEach((imported) => {
+          offlineAssets.add(path.relative(root, imported).split(path.sep).join('/'));
+        });
+      }
+
+      const files = Object.values(bundle)
+        .filter(file => file.type === 'chunk'
+          || file.fileName.endsWith('.css')
+          || offlineAssets.has(file.originalFileName))
+        .map(file => `/${file.fileName}`)
+        .sort();
+      const urls = ['/index.html', ...files];
+      const version = createHash('sha256').update(urls.join('\n')).digest('hex').slice(0, 12);
+
+      const source = readFileSync(path.resolve(root, 'src/serviceWorker.js'), 'utf8')
+        .replace('self.__PRECACHE_MANIFEST', JSON.stringify({ version, urls }));
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+    },
+  };
+};
+
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheServiceWorker()],
   server: {
     port: 3000,
     open: true,